@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+// Batch balance simulation: boots the real service manifest headlessly and
+// plays N seeded sessions with a bot player, printing per-wave metrics.
+//
+// Runs through vite-node (data modules use Vite `?raw` imports):
+//   npm run simulate -- --runs 20 --seed 1000 --bot evasive --format csv
+//
+// Options:
+//   --runs <n>         Number of sessions (default 5)
+//   --seed <n>         First seed; sessions use seed, seed+1, ... (default 1)
+//   --seeds <a,b,c>    Explicit seed list (overrides --runs/--seed)
+//   --bot <id>         idle | evasive (default evasive)
+//   --max-waves <n>    Stop a session after clearing n waves (default 10)
+//   --max-minutes <n>  Simulated time cap per session (default 15)
+//   --hull <id>        Hull id applied to every session
+//   --format <fmt>     json | csv (default json)
+//   --out <file>       Write to file instead of stdout
+//   --verbose          Keep development logging (NODE_ENV=development, console.log)
+
+import { writeFileSync } from 'node:fs';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith('--')) {
+      continue;
+    }
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function toNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const format = args.format === 'csv' ? 'csv' : 'json';
+
+// vite-node runs in development mode; the dev-only spawn diagnostics and
+// system logs would otherwise drown the report on stdout.
+if (!args.verbose) {
+  process.env.NODE_ENV = 'production';
+  console.log = () => {};
+  console.info = () => {};
+  console.debug = () => {};
+}
+
+const { default: HeadlessSimulationRunner } = await import(
+  '../src/simulation/HeadlessSimulationRunner.js'
+);
+
+const runner = new HeadlessSimulationRunner({
+  bot: typeof args.bot === 'string' ? args.bot : 'evasive',
+  maxWaves: toNumber(args['max-waves'], 10),
+  maxDurationSeconds: toNumber(args['max-minutes'], 15) * 60,
+  hullId: typeof args.hull === 'string' ? args.hull : undefined,
+});
+
+const startedAt = Date.now();
+const report = runner.run({
+  seeds:
+    typeof args.seeds === 'string'
+      ? args.seeds.split(',').map((seed) => seed.trim())
+      : undefined,
+  runs: toNumber(args.runs, 5),
+  baseSeed: toNumber(args.seed, 1),
+});
+runner.dispose();
+
+const output =
+  format === 'csv'
+    ? HeadlessSimulationRunner.toCsv(report)
+    : JSON.stringify(report, null, 2);
+
+if (typeof args.out === 'string') {
+  writeFileSync(args.out, `${output}\n`);
+  console.error(
+    `[simulate] ${report.runs.length} session(s) written to ${args.out} in ${Date.now() - startedAt}ms`
+  );
+} else {
+  process.stdout.write(`${output}\n`);
+}
+
+// Pending timers (retry countdowns, GC idle passes) must not keep the CLI alive.
+process.exit(0);
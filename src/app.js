@@ -6,7 +6,11 @@ import {
   PRESERVE_LEGACY_SIZE_DISTRIBUTION,
   PRESERVE_LEGACY_POSITIONING,
   STRICT_LEGACY_SPAWN_SEQUENCE,
+  USE_FIXED_TIMESTEP,
+  SIMULATION_LOOP_CONFIG,
+  SIMULATION_UPDATE_ORDER,
 } from './data/constants/gameplay.js';
+import { FixedTimestepClock } from './core/FixedTimestepClock.js';
 import {
   debugLog,
   resolveDebugPreference,
@@ -20,6 +24,7 @@ import {
 } from './bootstrap/serviceManifest.js';
 import { installMathRandomGuard } from './utils/dev/mathRandomGuard.js';
 import GameSessionService from './services/GameSessionService.js';
+import ReplayService from './services/ReplayService.js';
 import {
   GameDebugLogger,
   isDevEnvironment,
@@ -53,6 +58,10 @@ let garbageCollectionManager = null;
 // Performance monitoring (Week 1: Balance & Feel)
 const performanceMonitor = new PerformanceMonitor();
 
+// Fixed-timestep accumulator: simulation runs at a constant tick rate
+// regardless of the display refresh rate.
+const simulationClock = new FixedTimestepClock(SIMULATION_LOOP_CONFIG);
+
 // Initialize DI Container (Phase 2.1)
 let diContainer = null;
 let mathRandomGuard = null;
@@ -73,6 +82,8 @@ let servicesCache = {
   progression: null,
   world: null,
   ui: null,
+  replay: null,
+  renderer: null,
 };
 let servicesCacheInitialized = false;
 let stateDirty = false;
@@ -436,6 +447,10 @@ function init() {
     const ui = services['ui'];
     if (ui) ui.showScreen('menu');
 
+    if (DEV_MODE) {
+      exposeReplayTools();
+    }
+
     if (DEV_MODE) {
       const playerSystem = services['player'];
       const enemySystem = services['enemies'];
@@ -534,8 +549,17 @@ function gameLoop(currentTime) {
   // Start performance monitoring
   performanceMonitor.startFrame();
 
-  const deltaTime = Math.min((currentTime - gameState.lastTime) / 1000, 0.016);
+  const frameSeconds = Math.max((currentTime - gameState.lastTime) / 1000, 0);
+  // Long stalls (tab switch, breakpoint) are clamped so the accumulator never
+  // asks for more than maxCatchUpSteps ticks in a single frame.
+  const deltaTime = USE_FIXED_TIMESTEP
+    ? Math.min(
+        frameSeconds,
+        SIMULATION_LOOP_CONFIG.maxCatchUpSteps / SIMULATION_LOOP_CONFIG.tickRate
+      )
+    : Math.min(frameSeconds, 0.016);
   gameState.lastTime = currentTime;
+  let interpolationAlpha = 1;
 
   try {
     const session = gameSessionService;
@@ -564,8 +588,20 @@ function gameLoop(currentTime) {
       adjustedDelta = effects.update(shouldUpdateGame ? deltaTime : 0);
     }
 
-    if (shouldUpdateGame) {
+    if (shouldUpdateGame && USE_FIXED_TIMESTEP) {
+      const { steps, stepDuration } = simulationClock.advance(adjustedDelta);
+      for (let step = 0; step < steps; step += 1) {
+        updateGame(stepDuration);
+        if (!getSessionFrameState(session).isRunning) {
+          simulationClock.reset();
+          break;
+        }
+      }
+      interpolationAlpha = simulationClock.getAlpha();
+    } else if (shouldUpdateGame) {
       updateGame(adjustedDelta);
+    } else {
+      simulationClock.reset();
     }
 
     // OPTIMIZATION #1: PerformanceMonitor Cache - recalculate only every 5 frames
@@ -601,7 +637,7 @@ function gameLoop(currentTime) {
     }
 
     if (shouldRenderGame) {
-      renderGame();
+      renderGame(interpolationAlpha);
     }
 
     // Capture render timing AFTER render completes
@@ -635,79 +671,141 @@ function updateGame(deltaTime) {
   // OPTIMIZATION #2: Services Lookup Cache - initialize cache on first run or after invalidation
   if (!servicesCacheInitialized) {
     servicesCache.input = gameSystemServices?.['input'];
-    servicesCache.player = gameSystemServices?.['player'];
-    servicesCache.enemies = gameSystemServices?.['enemies'];
-    servicesCache.physics = gameSystemServices?.['physics'];
-    servicesCache.combat = gameSystemServices?.['combat'];
-    servicesCache['xp-orbs'] = gameSystemServices?.['xp-orbs'];
-    servicesCache.healthHearts = gameSystemServices?.['healthHearts'];
-    servicesCache.progression = gameSystemServices?.['progression'];
-    servicesCache.world = gameSystemServices?.['world'];
+    SIMULATION_UPDATE_ORDER.forEach((name) => {
+      servicesCache[name] = gameSystemServices?.[name];
+    });
     servicesCache.ui = gameSystemServices?.['ui'];
+    servicesCache.replay = gameSystemServices?.['replay'];
+    servicesCache.renderer = gameSystemServices?.['renderer'];
     servicesCacheInitialized = true;
   }
 
-  // Use cached service references directly (10 direct lookups instead of forEach)
-  if (servicesCache.input && typeof servicesCache.input.update === 'function') {
-    servicesCache.input.update(deltaTime);
+  // Replay playback substitutes recorded delta times and commands for live input
+  const replay = servicesCache.replay;
+  const replayPlayback = Boolean(replay?.isPlaying?.());
+  if (replay && typeof replay.beginFrame === 'function') {
+    deltaTime = replay.beginFrame(deltaTime);
   }
+
+  // Pre-step positions for render interpolation
   if (
-    servicesCache.player &&
-    typeof servicesCache.player.update === 'function'
+    servicesCache.renderer &&
+    typeof servicesCache.renderer.captureInterpolationState === 'function'
   ) {
-    servicesCache.player.update(deltaTime);
+    servicesCache.renderer.captureInterpolationState();
   }
+
+  // Use cached service references directly (no per-frame service lookups)
   if (
-    servicesCache.enemies &&
-    typeof servicesCache.enemies.update === 'function'
+    !replayPlayback &&
+    servicesCache.input &&
+    typeof servicesCache.input.update === 'function'
   ) {
-    servicesCache.enemies.update(deltaTime);
+    servicesCache.input.update(deltaTime);
   }
-  if (
-    servicesCache.physics &&
-    typeof servicesCache.physics.update === 'function'
-  ) {
-    servicesCache.physics.update(deltaTime);
+  // Shared with HeadlessSimulationRunner so both tick the same order
+  for (let i = 0; i < SIMULATION_UPDATE_ORDER.length; i += 1) {
+    const system = servicesCache[SIMULATION_UPDATE_ORDER[i]];
+    if (system && typeof system.update === 'function') {
+      system.update(deltaTime);
+    }
   }
-  if (
-    servicesCache.combat &&
-    typeof servicesCache.combat.update === 'function'
-  ) {
-    servicesCache.combat.update(deltaTime);
+  if (servicesCache.ui && typeof servicesCache.ui.update === 'function') {
+    servicesCache.ui.update(deltaTime);
   }
-  if (
-    servicesCache['xp-orbs'] &&
-    typeof servicesCache['xp-orbs'].update === 'function'
-  ) {
-    servicesCache['xp-orbs'].update(deltaTime);
+
+  if (replay && typeof replay.endFrame === 'function') {
+    replay.endFrame();
   }
-  if (
-    servicesCache.healthHearts &&
-    typeof servicesCache.healthHearts.update === 'function'
-  ) {
-    servicesCache.healthHearts.update(deltaTime);
+}
+
+/**
+ * Re-simulates a recorded replay synchronously through updateGame(), without
+ * rendering. Stops early when the session leaves the running state (death or
+ * menu exit) so the result mirrors the recorded run.
+ * @param {Object|string} replayInput - Replay payload or JSON string
+ * @returns {{ framesPlayed: number, frameCount: number, wave: number, level: number }|null}
+ */
+function runReplayHeadless(replayInput) {
+  const replay = gameSystemServices?.['replay'];
+  const session = gameSessionService;
+  if (!replay || !session || typeof session.startReplayRun !== 'function') {
+    console.warn('[App] Replay playback unavailable - services missing.');
+    return null;
   }
-  if (
-    servicesCache.progression &&
-    typeof servicesCache.progression.update === 'function'
-  ) {
-    servicesCache.progression.update(deltaTime);
+
+  const parsed = replay.startPlayback(replayInput);
+  if (!session.startReplayRun(parsed)) {
+    replay.finishPlayback({ reason: 'start-failed' });
+    return null;
   }
-  if (servicesCache.world && typeof servicesCache.world.update === 'function') {
-    servicesCache.world.update(deltaTime);
+
+  let framesPlayed = 0;
+  while (replay.isPlaying()) {
+    updateGame(0);
+    framesPlayed += 1;
+
+    const sessionState = session.getSessionState?.();
+    if (sessionState === 'player-died' || sessionState === 'menu') {
+      replay.finishPlayback({ reason: sessionState });
+    }
   }
-  if (servicesCache.ui && typeof servicesCache.ui.update === 'function') {
-    servicesCache.ui.update(deltaTime);
+
+  const enemies = gameSystemServices?.['enemies'];
+  const progression = gameSystemServices?.['progression'];
+  return {
+    framesPlayed,
+    frameCount: parsed.frameCount,
+    wave: enemies?.waveManager?.currentWave || 0,
+    level: progression?.level || 0,
+  };
+}
+
+/**
+ * Plays a recorded replay in real time through the regular game loop.
+ * @param {Object|string} replayInput - Replay payload or JSON string
+ * @returns {boolean}
+ */
+function playReplay(replayInput) {
+  const replay = gameSystemServices?.['replay'];
+  const session = gameSessionService;
+  if (!replay || !session || typeof session.startReplayRun !== 'function') {
+    console.warn('[App] Replay playback unavailable - services missing.');
+    return false;
+  }
+
+  const parsed = replay.startPlayback(replayInput);
+  if (!session.startReplayRun(parsed)) {
+    replay.finishPlayback({ reason: 'start-failed' });
+    return false;
+  }
+
+  return true;
+}
+
+function exposeReplayTools() {
+  const replay = gameSystemServices?.['replay'];
+  if (!replay || typeof window === 'undefined') {
+    return;
   }
+
+  window.replayTools = {
+    play: playReplay,
+    runHeadless: runReplayHeadless,
+    stop: () => replay.finishPlayback({ reason: 'stopped' }),
+    exportLast: () => replay.exportReplay(),
+    downloadLast: () => replay.downloadReplay(),
+    loadLastSaved: () => ReplayService.loadLastReplay(),
+  };
 }
 
-function renderGame() {
+function renderGame(interpolationAlpha = 1) {
   if (!gameState.ctx) return;
 
   const renderer = gameSystemServices?.['renderer'];
   if (renderer && typeof renderer.render === 'function') {
     performanceMonitor.startMeasure('render');
-    renderer.render(gameState.ctx);
+    renderer.render(gameState.ctx, { interpolationAlpha });
     performanceMonitor.endMeasure('render');
   }
 }
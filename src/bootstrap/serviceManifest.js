@@ -20,6 +20,12 @@ import { gameEvents } from '../core/EventBus.js';
 import { createServiceResolver } from '../core/serviceUtils.js';
 import GameSessionService from '../services/GameSessionService.js';
 import CommandQueueService from '../services/CommandQueueService.js';
+import ReplayService from '../services/ReplayService.js';
+import MetaProgressionService from '../services/MetaProgressionService.js';
+import RunModifierService from '../services/RunModifierService.js';
+import RunHistoryService from '../services/RunHistoryService.js';
+import ScoreService from '../services/ScoreService.js';
+import ChallengeService from '../services/ChallengeService.js';
 
 export const DEFAULT_POOL_CONFIG = {
   bullets: { initial: 25, max: 120 },
@@ -248,10 +254,44 @@ function createRandomService(context = {}) {
   return service;
 }
 
+/**
+ * Replaces the factory (and optionally the dependency list) of selected
+ * manifest entries. Used by headless tooling to swap DOM-bound systems for
+ * inert implementations while keeping the rest of the graph untouched.
+ * @param {Array<Object>} manifest
+ * @param {Object<string, Function|{factory: Function, dependencies?: string[]}>} [overrides]
+ * @returns {Array<Object>}
+ */
+function applyServiceOverrides(manifest, overrides) {
+  if (!overrides || typeof overrides !== 'object') {
+    return manifest;
+  }
+
+  return manifest.map((entry) => {
+    const override = overrides[entry.name];
+    if (typeof override === 'function') {
+      return { ...entry, factory: override };
+    }
+
+    if (override && typeof override.factory === 'function') {
+      return {
+        ...entry,
+        factory: override.factory,
+        dependencies: Array.isArray(override.dependencies)
+          ? override.dependencies
+          : entry.dependencies,
+      };
+    }
+
+    return entry;
+  });
+}
+
 export function createServiceManifest(context = {}) {
-  const { gameState, poolConfig, garbageCollectorOptions } = context;
+  const { gameState, poolConfig, garbageCollectorOptions, serviceOverrides } =
+    context;
 
-  return [
+  const manifest = [
     {
       name: 'event-bus',
       singleton: true,
@@ -296,6 +336,25 @@ export function createServiceManifest(context = {}) {
       factory: ({ resolved }) =>
         new SettingsSystem({ eventBus: resolved['event-bus'] }),
     },
+    {
+      name: 'meta-progression',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus'],
+      factory: ({ resolved, container }) =>
+        new MetaProgressionService({
+          eventBus: resolved['event-bus'],
+          serviceResolver: createServiceResolver(container),
+        }),
+    },
+    {
+      name: 'run-modifiers',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus'],
+      factory: ({ resolved }) =>
+        new RunModifierService({ eventBus: resolved['event-bus'] }),
+    },
     {
       name: 'audio',
       singleton: true,
@@ -339,12 +398,13 @@ export function createServiceManifest(context = {}) {
       name: 'player',
       singleton: true,
       lazy: false,
-      dependencies: ['event-bus', 'input', 'command-queue'],
+      dependencies: ['event-bus', 'input', 'command-queue', 'run-modifiers'],
       factory: ({ resolved }) =>
         new PlayerSystem({
           eventBus: resolved['event-bus'],
           input: resolved['input'],
           'command-queue': resolved['command-queue'],
+          'run-modifiers': resolved['run-modifiers'],
         }),
     },
     {
@@ -437,6 +497,8 @@ export function createServiceManifest(context = {}) {
         'ui',
         'effects',
         'random',
+        'meta-progression',
+        'run-modifiers',
       ],
       factory: ({ resolved }) => {
         const progression = new ProgressionSystem({
@@ -446,6 +508,8 @@ export function createServiceManifest(context = {}) {
           ui: resolved['ui'],
           effects: resolved['effects'],
           random: resolved['random'],
+          'meta-progression': resolved['meta-progression'],
+          'run-modifiers': resolved['run-modifiers'],
         });
 
         const xpOrbSystem = resolved['xp-orbs'];
@@ -459,6 +523,18 @@ export function createServiceManifest(context = {}) {
         return progression;
       },
     },
+    {
+      // After progression so a kill is scored with the combo it extends
+      name: 'score',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus', 'progression', 'run-modifiers'],
+      factory: ({ resolved, container }) =>
+        new ScoreService({
+          eventBus: resolved['event-bus'],
+          serviceResolver: createServiceResolver(container),
+        }),
+    },
     {
       name: 'enemies',
       singleton: true,
@@ -471,6 +547,7 @@ export function createServiceManifest(context = {}) {
         'physics',
         'healthHearts',
         'random',
+        'run-modifiers',
       ],
       factory: ({ resolved, container }) => {
         const serviceResolver = createServiceResolver(container);
@@ -482,6 +559,7 @@ export function createServiceManifest(context = {}) {
           physics: resolved['physics'],
           healthHearts: resolved['healthHearts'],
           random: resolved['random'],
+          'run-modifiers': resolved['run-modifiers'],
           serviceResolver,
         });
 
@@ -552,6 +630,7 @@ export function createServiceManifest(context = {}) {
         'enemies',
         'physics',
         'command-queue',
+        'random',
       ],
       factory: ({ resolved }) =>
         new CombatSystem({
@@ -560,6 +639,7 @@ export function createServiceManifest(context = {}) {
           enemies: resolved['enemies'],
           physics: resolved['physics'],
           'command-queue': resolved['command-queue'],
+          random: resolved['random'],
         }),
     },
     {
@@ -611,6 +691,9 @@ export function createServiceManifest(context = {}) {
         'world',
         'effects',
         'settings',
+        'meta-progression',
+        'run-modifiers',
+        'score',
       ],
       factory: ({ resolved, context }) => {
         const instance = new GameSessionService({
@@ -629,6 +712,9 @@ export function createServiceManifest(context = {}) {
             world: resolved['world'],
             effects: resolved['effects'],
             settings: resolved['settings'],
+            metaProgression: resolved['meta-progression'],
+            runModifiers: resolved['run-modifiers'],
+            score: resolved['score'],
           },
           gameState: context.gameState,
         });
@@ -643,6 +729,37 @@ export function createServiceManifest(context = {}) {
         return instance;
       },
     },
+    {
+      name: 'replay',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus', 'command-queue', 'game-session'],
+      factory: ({ resolved, container }) =>
+        new ReplayService({
+          eventBus: resolved['event-bus'],
+          commandQueue: resolved['command-queue'],
+          serviceResolver: createServiceResolver(container),
+        }),
+    },
+    {
+      name: 'run-history',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus', 'game-session'],
+      factory: ({ resolved, container }) =>
+        new RunHistoryService({
+          eventBus: resolved['event-bus'],
+          serviceResolver: createServiceResolver(container),
+        }),
+    },
+    {
+      name: 'challenge',
+      singleton: true,
+      lazy: false,
+      dependencies: ['event-bus', 'game-session'],
+      factory: ({ resolved }) =>
+        new ChallengeService({ eventBus: resolved['event-bus'] }),
+    },
     {
       name: 'renderer',
       singleton: true,
@@ -656,6 +773,7 @@ export function createServiceManifest(context = {}) {
         'effects',
         'combat',
         'enemies',
+        'physics',
         'random',
       ],
       factory: ({ resolved }) =>
@@ -668,6 +786,7 @@ export function createServiceManifest(context = {}) {
           effects: resolved['effects'],
           combat: resolved['combat'],
           enemies: resolved['enemies'],
+          physics: resolved['physics'],
           random: resolved['random'],
         }),
     },
@@ -687,4 +806,6 @@ export function createServiceManifest(context = {}) {
       },
     },
   ];
+
+  return applyServiceOverrides(manifest, serviceOverrides);
 }
@@ -0,0 +1,132 @@
+/**
+ * Fixed-timestep accumulator for the simulation loop.
+ *
+ * Converts the variable frame time delivered by requestAnimationFrame into a
+ * whole number of fixed simulation ticks. Leftover time is carried over to the
+ * next frame and exposed as an interpolation alpha so rendering can blend
+ * between the previous and current simulation states.
+ *
+ * @example
+ * ```javascript
+ * const clock = new FixedTimestepClock({ tickRate: 60, maxCatchUpSteps: 5 });
+ *
+ * const { steps, stepDuration, alpha } = clock.advance(frameSeconds);
+ * for (let i = 0; i < steps; i += 1) {
+ *   updateGame(stepDuration);
+ * }
+ * render({ alpha });
+ * ```
+ *
+ * @class FixedTimestepClock
+ */
+export class FixedTimestepClock {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.tickRate=60] - Simulation ticks per second
+   * @param {number} [options.maxCatchUpSteps=5] - Max ticks simulated in a single frame
+   */
+  constructor(options = {}) {
+    this.tickRate = 60;
+    this.stepDuration = 1 / 60;
+    this.maxCatchUpSteps = 5;
+
+    /** @private @type {number} Unsimulated time carried between frames */
+    this.accumulator = 0;
+
+    /** @private @type {number} Total ticks simulated since the last reset */
+    this.tickCount = 0;
+
+    /** @private @type {number} Time discarded because catch-up was capped */
+    this.droppedTime = 0;
+
+    this.configure(options);
+  }
+
+  /**
+   * Updates tick rate and catch-up limits without resetting the accumulator.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.tickRate]
+   * @param {number} [options.maxCatchUpSteps]
+   */
+  configure({ tickRate, maxCatchUpSteps } = {}) {
+    if (Number.isFinite(tickRate) && tickRate > 0) {
+      this.tickRate = tickRate;
+      this.stepDuration = 1 / tickRate;
+    }
+
+    if (Number.isFinite(maxCatchUpSteps) && maxCatchUpSteps >= 1) {
+      this.maxCatchUpSteps = Math.floor(maxCatchUpSteps);
+    }
+  }
+
+  /**
+   * Adds frame time to the accumulator and returns how many fixed ticks to run.
+   *
+   * When more ticks are pending than maxCatchUpSteps allows, the excess is
+   * discarded so a long stall (tab switch, breakpoint) cannot trigger a
+   * spiral of death.
+   *
+   * @param {number} frameSeconds - Elapsed (possibly time-scaled) frame time
+   * @returns {{ steps: number, stepDuration: number, alpha: number }}
+   */
+  advance(frameSeconds) {
+    const elapsed =
+      Number.isFinite(frameSeconds) && frameSeconds > 0 ? frameSeconds : 0;
+    this.accumulator += elapsed;
+
+    let steps = Math.floor(this.accumulator / this.stepDuration);
+    if (steps > this.maxCatchUpSteps) {
+      const excess = (steps - this.maxCatchUpSteps) * this.stepDuration;
+      this.droppedTime += excess;
+      this.accumulator -= excess;
+      steps = this.maxCatchUpSteps;
+    }
+
+    this.accumulator -= steps * this.stepDuration;
+    if (this.accumulator < 0) {
+      this.accumulator = 0;
+    }
+    this.tickCount += steps;
+
+    return {
+      steps,
+      stepDuration: this.stepDuration,
+      alpha: this.getAlpha(),
+    };
+  }
+
+  /**
+   * Fraction of a tick left in the accumulator, in the range [0, 1).
+   *
+   * @returns {number}
+   */
+  getAlpha() {
+    return Math.min(Math.max(this.accumulator / this.stepDuration, 0), 0.9999);
+  }
+
+  /**
+   * Clears pending time, e.g. after a pause or when a run starts.
+   */
+  reset() {
+    this.accumulator = 0;
+    this.tickCount = 0;
+    this.droppedTime = 0;
+  }
+
+  /**
+   * @returns {{ tickRate: number, stepDuration: number, maxCatchUpSteps: number, tickCount: number, droppedTime: number, alpha: number }}
+   */
+  getStats() {
+    return {
+      tickRate: this.tickRate,
+      stepDuration: this.stepDuration,
+      maxCatchUpSteps: this.maxCatchUpSteps,
+      tickCount: this.tickCount,
+      droppedTime: this.droppedTime,
+      alpha: this.getAlpha(),
+    };
+  }
+}
+
+export default FixedTimestepClock;
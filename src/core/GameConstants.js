@@ -8,6 +8,8 @@ import * as AsteroidConfigs from '../data/enemies/asteroid-configs.js';
 import * as DroneConfigs from '../data/enemies/drone.js';
 import * as HunterConfigs from '../data/enemies/hunter.js';
 import * as MineConfigs from '../data/enemies/mine.js';
+import * as SniperConfigs from '../data/enemies/sniper.js';
+import * as CarrierConfigs from '../data/enemies/carrier.js';
 import * as BossConfigs from '../data/enemies/boss.js';
 
 // === DIMENSÕES DO JOGO ===
@@ -61,6 +63,12 @@ export const PROGRESSION_UPGRADE_FALLBACK_COUNT = 3;
 export const PROGRESSION_COMBO_TIMEOUT = 3.0;
 export const PROGRESSION_COMBO_MULTIPLIER_STEP = 0.1;
 export const PROGRESSION_COMBO_MULTIPLIER_CAP = 2.0;
+// Cargas por run na tela de level-up; upgrades e meta-progressão somam mais
+export const PROGRESSION_REROLL_CHARGES = 1;
+export const PROGRESSION_BANISH_CHARGES = 1;
+// Pular a escolha cura parte do casco ou, com casco cheio, dá parte do XP do próximo nível
+export const PROGRESSION_SKIP_HEAL_FRACTION = 0.15;
+export const PROGRESSION_SKIP_XP_FRACTION = 0.2;
 
 // Re-export all constants from focused files for backward compatibility
 export * from '../data/constants/physics.js';
@@ -70,6 +78,8 @@ export * from '../data/enemies/asteroid-configs.js';
 export * from '../data/enemies/drone.js';
 export * from '../data/enemies/hunter.js';
 export * from '../data/enemies/mine.js';
+export * from '../data/enemies/sniper.js';
+export * from '../data/enemies/carrier.js';
 
 // Namespace exports for optional direct module access
 export {
@@ -80,6 +90,8 @@ export {
   DroneConfigs,
   HunterConfigs,
   MineConfigs,
+  SniperConfigs,
+  CarrierConfigs,
   BossConfigs,
 };
 
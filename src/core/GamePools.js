@@ -19,6 +19,8 @@ import { debugLog } from './debugLogging.js';
 import { Drone } from '../modules/enemies/types/Drone.js';
 import { Mine } from '../modules/enemies/types/Mine.js';
 import { Hunter } from '../modules/enemies/types/Hunter.js';
+import { Sniper } from '../modules/enemies/types/Sniper.js';
+import { Carrier } from '../modules/enemies/types/Carrier.js';
 import { BossEnemy } from '../modules/enemies/types/BossEnemy.js';
 
 /**
@@ -37,6 +39,8 @@ export class GamePools {
   static drones = null;
   static mines = null;
   static hunters = null;
+  static snipers = null;
+  static carriers = null;
   static bosses = null;
   static xpOrbs = null;
   static shockwaves = null;
@@ -62,6 +66,8 @@ export class GamePools {
       drones: { initial: 10, max: 30 },
       mines: { initial: 5, max: 15 },
       hunters: { initial: 5, max: 12 },
+      snipers: { initial: 3, max: 8 },
+      carriers: { initial: 1, max: 4 },
       bosses: { initial: 1, max: 3 },
       xpOrbs: { initial: 30, max: 200 },
       shockwaves: { initial: 5, max: 20 },
@@ -77,6 +83,8 @@ export class GamePools {
     this.initializeDronePool(config.drones);
     this.initializeMinePool(config.mines);
     this.initializeHunterPool(config.hunters);
+    this.initializeSniperPool(config.snipers);
+    this.initializeCarrierPool(config.carriers);
     this.initializeBossPool(config.bosses);
     this.initializeXPOrbPool(config.xpOrbs);
     this.initializeShockwavePool(config.shockwaves);
@@ -137,6 +145,19 @@ export class GamePools {
         bullet.active = true;
         bullet.type = 'player';
         bullet.trail = null;
+        bullet.weaponId = null;
+        bullet.damageType = null;
+        bullet.deflectedBy = null;
+        bullet.behavior = null;
+        bullet.pierce = 0;
+        bullet.hitIds = null;
+        bullet.turnRate = 0;
+        bullet.drag = 0;
+        bullet.armTimer = 0;
+        bullet.triggerRadius = 0;
+        bullet.explosionRadius = 0;
+        bullet.splashMultiplier = 0;
+        bullet.statusEffect = null;
       },
 
       config.initial,
@@ -405,6 +426,72 @@ export class GamePools {
     );
   }
 
+  /**
+   * Initializes sniper enemy pool.
+   *
+   * @private
+   * @param {Object} config - Pool configuration
+   */
+  static initializeSniperPool(config) {
+    this.snipers = new ObjectPool(
+      // Factory function
+      () => {
+        const sniper = new Sniper();
+        if (typeof sniper.resetForPool === 'function') {
+          sniper.resetForPool();
+        }
+        return sniper;
+      },
+
+      // Reset function
+      (sniper) => {
+        if (!sniper) return;
+        if (typeof sniper.resetForPool === 'function') {
+          sniper.resetForPool();
+        } else {
+          sniper.alive = false;
+          sniper.initialized = false;
+        }
+      },
+
+      config.initial,
+      config.max
+    );
+  }
+
+  /**
+   * Initializes carrier enemy pool.
+   *
+   * @private
+   * @param {Object} config - Pool configuration
+   */
+  static initializeCarrierPool(config) {
+    this.carriers = new ObjectPool(
+      // Factory function
+      () => {
+        const carrier = new Carrier();
+        if (typeof carrier.resetForPool === 'function') {
+          carrier.resetForPool();
+        }
+        return carrier;
+      },
+
+      // Reset function
+      (carrier) => {
+        if (!carrier) return;
+        if (typeof carrier.resetForPool === 'function') {
+          carrier.resetForPool();
+        } else {
+          carrier.alive = false;
+          carrier.initialized = false;
+        }
+      },
+
+      config.initial,
+      config.max
+    );
+  }
+
   /**
    * Initializes boss enemy pool.
    *
@@ -706,6 +793,8 @@ export class GamePools {
       this.drones,
       this.mines,
       this.hunters,
+      this.snipers,
+      this.carriers,
       this.bosses,
       this.xpOrbs,
       this.shockwaves,
@@ -733,6 +822,8 @@ export class GamePools {
       this.drones,
       this.mines,
       this.hunters,
+      this.snipers,
+      this.carriers,
       this.bosses,
       this.xpOrbs,
       this.shockwaves,
@@ -766,6 +857,8 @@ export class GamePools {
       drones: this.drones?.getStats() || null,
       mines: this.mines?.getStats() || null,
       hunters: this.hunters?.getStats() || null,
+      snipers: this.snipers?.getStats() || null,
+      carriers: this.carriers?.getStats() || null,
       bosses: this.bosses?.getStats() || null,
       xpOrbs: this.xpOrbs?.getStats() || null,
       shockwaves: this.shockwaves?.getStats() || null,
@@ -798,6 +891,8 @@ export class GamePools {
       drones: this.drones,
       mines: this.mines,
       hunters: this.hunters,
+      snipers: this.snipers,
+      carriers: this.carriers,
       bosses: this.bosses,
       xpOrbs: this.xpOrbs,
       shockwaves: this.shockwaves,
@@ -836,6 +931,8 @@ export class GamePools {
     this.drones = null;
     this.mines = null;
     this.hunters = null;
+    this.snipers = null;
+    this.carriers = null;
     this.bosses = null;
     this.xpOrbs = null;
     this.shockwaves = null;
@@ -904,6 +1001,8 @@ export const {
   drones: DronePool,
   mines: MinePool,
   hunters: HunterPool,
+  snipers: SniperPool,
+  carriers: CarrierPool,
   bosses: BossPool,
   xpOrbs: XPOrbPool,
   shockwaves: ShockwavePool,
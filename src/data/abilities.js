@@ -0,0 +1,91 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+import { SHIELD_COOLDOWN_DURATION } from './constants/gameplay.js';
+
+/**
+ * Active abilities for the ship's ability slots.
+ *
+ * PlayerSystem owns an AbilityController with one slot per entry and
+ * registers the effect handler that matches each id. Every slot declares:
+ * - `binding`: control key in settingsSchema.js that triggers it
+ * - `charges`: uses banked at most; one charge returns per `cooldown` seconds
+ * - `cooldownTrigger`: 'activation' starts the recharge when a charge is
+ *   spent, 'manual' leaves it to the handler (the shield recharges only after
+ *   it breaks)
+ * - `unlockedByDefault`: whether the slot is usable from the start of a run
+ *
+ * Per ability:
+ * - 'shield': energy shield; capacity and cooldown come from the shield
+ *   upgrade level, which also unlocks it
+ * - 'dash': blinks `distance` px along the ship's velocity (or heading when
+ *   still) and grants `invulnerability` seconds of invulnerability
+ * - 'time-slow': slows the whole field to `scale` for `duration` seconds
+ *   through EffectsSystem.applyTimeDilation(), easing back over `transition`
+ * - 'emp-pulse': deals up to `damage` to enemies within `radius` (falling off
+ *   with distance) and applies `statusEffect` (data/statusEffects.js) to the
+ *   survivors
+ */
+export const ACTIVE_ABILITIES = deepFreeze({
+  shield: {
+    id: 'shield',
+    name: 'Energy Shield',
+    icon: '🛡️',
+    color: '#00AAFF',
+    binding: 'activateShield',
+    charges: 1,
+    cooldown: SHIELD_COOLDOWN_DURATION,
+    cooldownTrigger: 'manual',
+    unlockedByDefault: false,
+  },
+  dash: {
+    id: 'dash',
+    name: 'Blink Dash',
+    icon: '💨',
+    color: '#7DF9FF',
+    binding: 'activateDash',
+    charges: 2,
+    cooldown: 5,
+    cooldownTrigger: 'activation',
+    unlockedByDefault: true,
+    distance: 150,
+    invulnerability: 0.35,
+  },
+  'time-slow': {
+    id: 'time-slow',
+    name: 'Chrono Field',
+    icon: '⏳',
+    color: '#FFD166',
+    binding: 'activateTimeSlow',
+    charges: 1,
+    cooldown: 20,
+    cooldownTrigger: 'activation',
+    unlockedByDefault: true,
+    scale: 0.4,
+    duration: 2.5,
+    transition: 0.6,
+  },
+  'emp-pulse': {
+    id: 'emp-pulse',
+    name: 'EMP Pulse',
+    icon: '⚡',
+    color: '#B388FF',
+    binding: 'activateEmp',
+    charges: 1,
+    cooldown: 15,
+    cooldownTrigger: 'activation',
+    unlockedByDefault: true,
+    radius: 220,
+    damage: 30,
+    statusEffect: 'emp',
+  },
+});
+
+/**
+ * @param {string} binding - Control key from settingsSchema.js
+ * @returns {string|null} Id of the ability bound to it
+ */
+export function getAbilityIdForBinding(binding) {
+  const ability = Object.values(ACTIVE_ABILITIES).find(
+    (definition) => definition.binding === binding
+  );
+  return ability ? ability.id : null;
+}
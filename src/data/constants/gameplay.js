@@ -222,6 +222,14 @@ export const COMBAT_AIMING_UPGRADE_CONFIG = deepFreeze({
     parallelRadiusMultiplier: 0.55,
   },
 
+  // Manual Weapons: Targeting Matrix levels bend shots toward the enemy
+  // closest to the aim line instead of locking on. Indexed by suite level.
+  manualAssist: {
+    coneAngle: [0, 0.1, 0.16, 0.22],
+
+    pull: [0, 0.5, 0.8, 1],
+  },
+
   feedback: {
     lockPulseDuration: 0.4,
 
@@ -273,6 +281,42 @@ export const SUPPORT_ENEMY_PROGRESSION = deepFreeze({
 
     weightScaling: 0.1,
   }),
+
+  sniper: deepFreeze({
+    startWave: 15,
+
+    baseWeight: 1,
+
+    weightScaling: 0.08,
+  }),
+
+  carrier: deepFreeze({
+    startWave: 11,
+
+    baseWeight: 1,
+
+    weightScaling: 0.05,
+  }),
+});
+
+// Group-aware movement strategies (see MovementComponent) assigned to whole
+// support groups by WaveManager
+export const ENEMY_FORMATION_TYPES = deepFreeze([
+  'flock',
+  'v-formation',
+  'encircle',
+]);
+
+// Formações alternam por onda entre as listadas; grupos menores que minCount
+// continuam com o movimento individual do tipo
+export const SUPPORT_GROUP_FORMATIONS = deepFreeze({
+  drone: deepFreeze({
+    startWave: 9,
+
+    minCount: 3,
+
+    formations: ['flock', 'v-formation', 'encircle'],
+  }),
 });
 
 export const USE_WAVE_MANAGER = true; // Feature flag para ativar o novo WaveManager (experimental). Consulte docs/validation/asteroid-baseline-metrics.md para critérios de compatibilidade.
@@ -292,3 +336,34 @@ export const ASTEROID_SAFE_SPAWN_DISTANCE = 200; // Distância mínima do jogado
 export const ASTEROID_ENTRY_ANGLE_VARIANCE = Math.PI / 4; // Ajuste direcional para entrada (45°)
 export const ASTEROID_OFFSCREEN_RECOVERY_TIME = 4.0; // Tempo fora da tela antes de reorientar o asteroide
 export const STRICT_LEGACY_SPAWN_SEQUENCE = true; // WAVE-006: Garante que posição e tamanho reutilizem o mesmo stream de randomização
+
+export const WAVE_SCRIPT_ID = null; // Id de um roteiro de ondas em src/data/waves (ex.: 'opening-gauntlet'); null mantém as ondas procedurais
+
+// === SIMULATION LOOP ===
+
+export const USE_FIXED_TIMESTEP = true; // Simulação em passo fixo (independente do refresh rate); false restaura o delta variável limitado a 16ms
+
+export const SIMULATION_LOOP_CONFIG = deepFreeze({
+  tickRate: 60, // Ticks de simulação por segundo
+  maxCatchUpSteps: 5, // Máximo de ticks por frame antes de descartar tempo acumulado
+});
+
+// Sistemas atualizados a cada tick, nesta ordem, pelo app.js (entre input e
+// ui) e pelo HeadlessSimulationRunner
+export const SIMULATION_UPDATE_ORDER = deepFreeze([
+  'player',
+  'enemies',
+  'physics',
+  'combat',
+  'xp-orbs',
+  'healthHearts',
+  'progression',
+  'world',
+]);
+
+// === META-PROGRESSION ===
+
+export const META_PROGRESSION_REWARDS = deepFreeze({
+  perWaveCleared: 10, // Salvage creditado ao concluir cada wave
+  perBossDefeated: 50, // Bônus adicional por chefe derrotado
+});
@@ -4,6 +4,8 @@ import { deepFreeze } from '../../utils/deepFreeze.js';
 import { DRONE_CONFIG, DRONE_REWARDS } from '../enemies/drone.js';
 import { HUNTER_CONFIG, HUNTER_REWARDS } from '../enemies/hunter.js';
 import { MINE_CONFIG, MINE_REWARDS } from '../enemies/mine.js';
+import { SNIPER_CONFIG, SNIPER_REWARDS } from '../enemies/sniper.js';
+import { CARRIER_CONFIG, CARRIER_REWARDS } from '../enemies/carrier.js';
 import {
   BOSS_CONFIG,
   BOSS_PHYSICS_CONFIG,
@@ -20,6 +22,8 @@ export const ENEMY_TYPES = deepFreeze({
   drone: DRONE_CONFIG,
   mine: MINE_CONFIG,
   hunter: HUNTER_CONFIG,
+  sniper: SNIPER_CONFIG,
+  carrier: CARRIER_CONFIG,
 });
 
 export {
@@ -51,6 +55,8 @@ export const ENEMY_REWARDS = deepFreeze({
   drone: DRONE_REWARDS,
   mine: MINE_REWARDS,
   hunter: HUNTER_REWARDS,
+  sniper: SNIPER_REWARDS,
+  carrier: CARRIER_REWARDS,
   boss: BOSS_REWARDS,
 });
 
@@ -85,6 +91,25 @@ export const ENEMY_EFFECT_COLORS = deepFreeze({
     explosionSpark: '#FFE8FF',
     explosionSmoke: 'rgba(70, 30, 110, 0.35)',
   }),
+  sniper: Object.freeze({
+    body: '#FF3358',
+    aimLine: 'rgba(255, 70, 100, 0.55)',
+    aimLocked: '#FF2040',
+    beam: '#FF3358',
+    beamCore: '#FFE3E8',
+    flash: 'rgba(255, 120, 140, 0.4)',
+    explosionCore: 'rgba(255, 80, 110, 0.5)',
+    explosionSpark: '#FFD6DE',
+    explosionSmoke: 'rgba(90, 20, 35, 0.35)',
+  }),
+  carrier: Object.freeze({
+    body: '#4FD1C5',
+    shield: '#9AF5FF',
+    flash: 'rgba(120, 240, 255, 0.4)',
+    explosionCore: 'rgba(90, 220, 230, 0.5)',
+    explosionSpark: '#E0FFFD',
+    explosionSmoke: 'rgba(20, 70, 80, 0.35)',
+  }),
   mine: Object.freeze({
     body: '#5A5046',
     bodyHighlight: '#8E7B68',
@@ -0,0 +1,75 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Damage types and critical hit tuning for the player's weapons.
+ *
+ * Every player projectile carries a `damageType`. Enemies declare
+ * `resistances` keyed by type, in their health component config
+ * (data/enemies/*.js) or their asteroid variant (asteroid-configs.js):
+ * - `0.4` takes 40% less damage of that type
+ * - `-0.25` is a weakness and takes 25% more
+ * Missing types take full damage.
+ */
+export const DAMAGE_TYPES = deepFreeze({
+  kinetic: {
+    id: 'kinetic',
+    name: 'Kinetic',
+    color: '#FFFFFF',
+  },
+  plasma: {
+    id: 'plasma',
+    name: 'Plasma',
+    color: '#7DF9FF',
+  },
+  explosive: {
+    id: 'explosive',
+    name: 'Explosive',
+    color: '#FF9F43',
+  },
+});
+
+export const DEFAULT_DAMAGE_TYPE = 'kinetic';
+
+/** Resistances are clamped so no type can heal or fully nullify a hit. */
+export const RESISTANCE_LIMITS = deepFreeze({ min: -1, max: 0.9 });
+
+/**
+ * Base player crit stats. Chance starts at zero and comes from upgrades
+ * (`upgrade-critical-strike`); the multiplier applies to the whole hit.
+ */
+export const CRITICAL_HIT_CONFIG = deepFreeze({
+  baseChance: 0,
+  baseMultiplier: 1.5,
+  maxChance: 0.75,
+});
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The damage type definition, or null when unknown
+ */
+export function getDamageType(id) {
+  return Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, id)
+    ? DAMAGE_TYPES[id]
+    : null;
+}
+
+/**
+ * Damage scale for a hit of `damageType` against `resistances`.
+ *
+ * @param {Object<string, number>|null} resistances
+ * @param {string} damageType
+ * @returns {number} 1 for full damage, below 1 when resisted
+ */
+export function resolveResistanceMultiplier(resistances, damageType) {
+  const resistance = resistances?.[damageType];
+  if (!Number.isFinite(resistance)) {
+    return 1;
+  }
+  const clamped = Math.min(
+    RESISTANCE_LIMITS.max,
+    Math.max(RESISTANCE_LIMITS.min, resistance)
+  );
+  return 1 - clamped;
+}
+
+export default DAMAGE_TYPES;
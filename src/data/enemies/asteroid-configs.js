@@ -703,6 +703,8 @@ export const ASTEROID_VARIANTS = deepFreeze({
     speedMultiplier: 0.85,
     massMultiplier: 1.2,
     movementStrategy: 'linear',
+    // Metal shell shrugs off kinetic rounds but melts under plasma
+    resistances: { kinetic: 0.4, plasma: -0.25 },
 
     // NEW ORB SYSTEM:
     orbMultiplier: 2.53, // stats × rarity = 1.1 × 2.3
@@ -730,6 +732,7 @@ export const ASTEROID_VARIANTS = deepFreeze({
     speedMultiplier: 0.65,
     massMultiplier: 1.4,
     movementStrategy: 'linear',
+    resistances: { explosive: 0.3 },
 
     // NEW ORB SYSTEM:
     orbMultiplier: 2.93, // stats × rarity = 1.17 × 2.5
@@ -932,6 +935,8 @@ export const ASTEROID_VARIANTS = deepFreeze({
     speedMultiplier: 1.3, // AUMENTADO de 0.8 para 1.3 (ágil!)
     massMultiplier: 0.95,
     movementStrategy: 'linear',
+    // Energy lattice absorbs plasma, shatters under kinetic impacts
+    resistances: { plasma: 0.5, kinetic: -0.25 },
 
     // NEW ORB SYSTEM:
     orbMultiplier: 4.73, // stats × rarity = 0.91 × 5.2
@@ -153,13 +153,12 @@ export const BOSS_CONFIG = deepFreeze(_bossConfigBase);
 
 /**
  * Component configuration that assembles the boss enemy from modular behaviors.
- * Movement, weapon patterns, rendering, collision and health management are
- * delegated to reusable components defined here so the boss class can focus on
- * phase orchestration and minion control.
+ * Movement, rendering, collision and health management are delegated to
+ * reusable components defined here. Attacks, minion deployment and per-phase
+ * movement come from the archetype phase scripts (see BOSS_ARCHETYPES).
  *
  * @typedef {object} BossComponents
- * @property {object} movement - Seeking movement strategy configuration
- * @property {object} weapon - Multi-pattern weapon configuration
+ * @property {object} movement - Entry movement before the first phase applies
  * @property {object} render - Procedural boss renderer tuning
  * @property {object} collision - Collision radius/response parameters
  * @property {object} health - Health/armor/phase configuration
@@ -172,48 +171,6 @@ export const BOSS_COMPONENTS = deepFreeze({
     safeDistance: 240,
     damping: 0.95,
   },
-  movementPhases: [
-    {
-      strategy: 'seeking',
-      acceleration: 80,
-      maxSpeed: 45,
-      safeDistance: 320,
-      damping: 0.96,
-      jitter: 0.05,
-    },
-    {
-      strategy: 'orbit',
-      acceleration: 240,
-      maxSpeed: 120,
-      preferredDistance: 180,
-    },
-    {
-      strategy: 'parasite',
-      acceleration: 280,
-      maxSpeed: 160,
-      minDistance: 90,
-    },
-  ],
-  weapon: {
-    patterns: ['spread', 'volley'],
-    spread: {
-      projectileCount: 7,
-      speed: 260,
-      cooldown: 2.4,
-      variance: 0.45,
-      arc: 0.85,
-      angleVariance: 0.12,
-    },
-    volley: {
-      burstSize: 5,
-      shotDelay: 0.16,
-      cooldown: 1.35,
-      variance: 0.2,
-      speed: 320,
-      spread: 0.12,
-    },
-    damage: 35,
-  },
   render: {
     strategy: _resolvedRenderStrategy,
     shape: 'boss',
@@ -233,9 +190,371 @@ export const BOSS_COMPONENTS = deepFreeze({
     scaling: 1.2,
     phaseThresholds: [0.66, 0.33],
     invulnerabilityDuration: 2.0,
+    resistances: { explosive: 0.25 },
   },
 });
 
+// === BOSS ARCHETYPES ===
+
+/**
+ * One phase of a boss archetype. BossEnemy runs every attack of the current
+ * phase on its own cooldown, deploys minion squads and opens invulnerability
+ * windows; `movement` is handed to the MovementComponent.
+ *
+ * @typedef {object} BossPhaseScript
+ * @property {object} movement - MovementComponent strategy plus overrides
+ * @property {object[]} attacks - Attacks keyed by `type`: 'spread', 'volley',
+ *   'charge', 'ring' or 'sweep'. Every attack takes `cooldown`, `variance`
+ *   and an optional `damage`; other fields belong to the attack type
+ * @property {object|null} [minions] - Squad deployment: `types`, `squadSize`,
+ *   `maxActive`, `cooldown`, `variance`
+ * @property {object} [invulnerability] - `onEnter` seconds of invulnerability
+ *   when the phase starts, plus recurring windows of `duration` seconds every
+ *   `interval` seconds while the phase lasts
+ */
+
+/**
+ * Boss archetype: base stats plus the phase script. Fields left out fall back
+ * to BOSS_CONFIG. `phaseThresholds` holds one health ratio per phase after
+ * the first.
+ *
+ * @typedef {object} BossArchetype
+ * @property {string} key
+ * @property {string} displayName
+ * @property {number} [radius]
+ * @property {number} [health]
+ * @property {number} [healthScaling]
+ * @property {number} [speed]
+ * @property {number} [contactDamage]
+ * @property {number} [projectileDamage]
+ * @property {number[]} phaseThresholds
+ * @property {string[]} phaseColors
+ * @property {BossPhaseScript[]} phases
+ */
+
+const APEX_OVERLORD_SPREAD = {
+  type: 'spread',
+  projectileCount: _bossConfigBase.spreadProjectileCount,
+  speed: _bossConfigBase.spreadProjectileSpeed,
+  arc: _bossConfigBase.spreadArc,
+  angleVariance: _bossConfigBase.spreadAngleVariance,
+  cooldown: _bossConfigBase.spreadCooldown,
+  variance: _bossConfigBase.spreadVariance,
+};
+
+const APEX_OVERLORD_VOLLEY = {
+  type: 'volley',
+  burstSize: _bossConfigBase.volleyBurstSize,
+  shotDelay: _bossConfigBase.volleyShotDelay,
+  speed: _bossConfigBase.volleyProjectileSpeed,
+  spread: _bossConfigBase.volleySpread,
+  cooldown: _bossConfigBase.volleyCooldown,
+  variance: _bossConfigBase.volleyVariance,
+};
+
+const APEX_OVERLORD_CHARGE = {
+  type: 'charge',
+  duration: _bossConfigBase.chargeDuration,
+  recovery: _bossConfigBase.chargeRecovery,
+  speedMultiplier: _bossConfigBase.chargeSpeedMultiplier,
+  projectileCount: _bossConfigBase.chargeProjectileCount,
+  projectileSpeed: _bossConfigBase.chargeProjectileSpeed,
+  projectileVariance: _bossConfigBase.chargeProjectileVariance,
+  aimVariance: _bossConfigBase.chargeAimVariance,
+  cooldown: _bossConfigBase.chargeCooldown,
+  variance: 0,
+};
+
+export const BOSS_ARCHETYPES = deepFreeze({
+  'apex-overlord': {
+    key: 'apex-overlord',
+    displayName: _bossConfigBase.displayName,
+    phaseThresholds: _bossConfigBase.phaseThresholds,
+    phaseColors: _bossConfigBase.phaseColors,
+    phases: [
+      {
+        movement: {
+          strategy: 'seeking',
+          acceleration: 80,
+          maxSpeed: 45,
+          safeDistance: 320,
+          damping: 0.96,
+          jitter: 0.05,
+        },
+        attacks: [APEX_OVERLORD_SPREAD],
+        minions: null,
+      },
+      {
+        movement: {
+          strategy: 'orbit',
+          acceleration: 240,
+          maxSpeed: 120,
+          preferredDistance: 180,
+        },
+        attacks: [APEX_OVERLORD_VOLLEY],
+        minions: {
+          types: _bossConfigBase.minionTypes,
+          squadSize: 1,
+          cooldown: _bossConfigBase.spawnCooldown,
+          variance: _bossConfigBase.spawnVariance,
+        },
+        invulnerability: { onEnter: _bossConfigBase.invulnerabilityDuration },
+      },
+      {
+        movement: {
+          strategy: 'parasite',
+          acceleration: 280,
+          maxSpeed: 160,
+          minDistance: 90,
+        },
+        attacks: [APEX_OVERLORD_VOLLEY, APEX_OVERLORD_CHARGE],
+        minions: null,
+        invulnerability: { onEnter: _bossConfigBase.invulnerabilityDuration },
+      },
+    ],
+  },
+  'hive-carrier': {
+    key: 'hive-carrier',
+    displayName: 'Hive Carrier',
+    radius: 72,
+    health: 1800,
+    speed: 40,
+    contactDamage: 50,
+    projectileDamage: 28,
+    phaseThresholds: [0.6, 0.3],
+    phaseColors: ['#7bd389', '#f4a261', '#e76f51'],
+    phases: [
+      {
+        movement: {
+          strategy: 'seeking',
+          acceleration: 60,
+          maxSpeed: 35,
+          safeDistance: 380,
+          damping: 0.96,
+          jitter: 0.04,
+        },
+        attacks: [
+          {
+            type: 'ring',
+            projectileCount: 12,
+            speed: 200,
+            angleVariance: 0.3,
+            cooldown: 3.6,
+            variance: 0.5,
+          },
+        ],
+        minions: {
+          types: ['drone'],
+          squadSize: 3,
+          maxActive: 6,
+          cooldown: 7,
+          variance: 1,
+        },
+      },
+      {
+        movement: {
+          strategy: 'orbit',
+          acceleration: 160,
+          maxSpeed: 70,
+          preferredDistance: 300,
+        },
+        attacks: [
+          {
+            type: 'spread',
+            projectileCount: 5,
+            speed: 240,
+            arc: 0.7,
+            angleVariance: 0.1,
+            cooldown: 2.8,
+            variance: 0.4,
+          },
+        ],
+        minions: {
+          types: ['drone', 'hunter'],
+          squadSize: 3,
+          maxActive: 8,
+          cooldown: 6,
+          variance: 1,
+        },
+        invulnerability: { onEnter: 2, interval: 9, duration: 2.5 },
+      },
+      {
+        movement: {
+          strategy: 'seeking',
+          acceleration: 120,
+          maxSpeed: 60,
+          safeDistance: 220,
+          damping: 0.95,
+          jitter: 0.08,
+        },
+        attacks: [
+          {
+            type: 'ring',
+            projectileCount: 16,
+            speed: 240,
+            angleVariance: 0.4,
+            cooldown: 2.6,
+            variance: 0.3,
+          },
+          {
+            type: 'spread',
+            projectileCount: 5,
+            speed: 260,
+            arc: 0.7,
+            angleVariance: 0.1,
+            cooldown: 3.2,
+            variance: 0.4,
+          },
+        ],
+        minions: {
+          types: ['drone', 'hunter'],
+          squadSize: 4,
+          maxActive: 10,
+          cooldown: 5,
+          variance: 0.8,
+        },
+        invulnerability: { onEnter: 2 },
+      },
+    ],
+  },
+  'lance-sweeper': {
+    key: 'lance-sweeper',
+    displayName: 'Lance Sweeper',
+    radius: 56,
+    health: 1400,
+    speed: 70,
+    contactDamage: 40,
+    projectileDamage: 30,
+    phaseThresholds: [0.7, 0.4],
+    phaseColors: ['#9b5de5', '#f15bb5', '#00f5d4'],
+    phases: [
+      {
+        movement: {
+          strategy: 'orbit',
+          acceleration: 200,
+          maxSpeed: 90,
+          preferredDistance: 260,
+        },
+        attacks: [
+          {
+            type: 'sweep',
+            duration: 1.6,
+            arc: 1.4,
+            beams: 1,
+            shotInterval: 0.05,
+            speed: 380,
+            damage: 14,
+            cooldown: 3.2,
+            variance: 0.4,
+          },
+        ],
+        minions: null,
+      },
+      {
+        movement: {
+          strategy: 'orbit',
+          acceleration: 240,
+          maxSpeed: 110,
+          preferredDistance: 220,
+        },
+        attacks: [
+          {
+            type: 'sweep',
+            duration: 2,
+            arc: 2.2,
+            beams: 2,
+            shotInterval: 0.06,
+            speed: 400,
+            damage: 14,
+            cooldown: 3,
+            variance: 0.3,
+          },
+          {
+            type: 'volley',
+            burstSize: 3,
+            shotDelay: 0.14,
+            speed: 340,
+            spread: 0.1,
+            cooldown: 2.2,
+            variance: 0.3,
+          },
+        ],
+        minions: {
+          types: ['hunter'],
+          squadSize: 1,
+          maxActive: 2,
+          cooldown: 9,
+          variance: 1.5,
+        },
+        invulnerability: { onEnter: 2 },
+      },
+      {
+        movement: {
+          strategy: 'parasite',
+          acceleration: 260,
+          maxSpeed: 150,
+          minDistance: 120,
+        },
+        attacks: [
+          {
+            type: 'sweep',
+            duration: 2.6,
+            arc: Math.PI * 2,
+            beams: 3,
+            shotInterval: 0.08,
+            speed: 420,
+            damage: 14,
+            cooldown: 2.6,
+            variance: 0.3,
+          },
+          { ...APEX_OVERLORD_CHARGE, cooldown: 7 },
+        ],
+        minions: null,
+        invulnerability: { onEnter: 2, interval: 7, duration: 1.5 },
+      },
+    ],
+  },
+});
+
+/** Default archetype, used when a boss spawns without one. */
+export const DEFAULT_BOSS_ARCHETYPE = 'apex-overlord';
+
+/** Order in which procedural boss waves cycle through the archetypes. */
+export const BOSS_ARCHETYPE_ROTATION = deepFreeze([
+  'apex-overlord',
+  'hive-carrier',
+  'lance-sweeper',
+]);
+
+/**
+ * @param {string} key
+ * @returns {BossArchetype|null} The archetype, or null when unknown
+ */
+export function getBossArchetype(key) {
+  if (!key || !Object.prototype.hasOwnProperty.call(BOSS_ARCHETYPES, key)) {
+    return null;
+  }
+
+  return BOSS_ARCHETYPES[key];
+}
+
+/**
+ * Minion types any phase of the archetype can deploy.
+ * @param {BossArchetype} archetype
+ * @returns {string[]}
+ */
+export function getBossArchetypeMinionTypes(archetype) {
+  const types = [];
+  (archetype?.phases || []).forEach((phase) => {
+    (phase.minions?.types || []).forEach((type) => {
+      if (!types.includes(type)) {
+        types.push(type);
+      }
+    });
+  });
+  return types;
+}
+
 // === BOSS PHYSICS ===
 
 /**
@@ -0,0 +1,105 @@
+// src/data/enemies/carrier.js
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+
+/**
+ * Carrier enemy configuration following canonical schema.
+ * See schema.js for complete field definitions and naming conventions.
+ *
+ * @typedef {import('./schema.js').EnemyConfigSchema} EnemyConfigSchema
+ */
+
+// === CARRIER CONFIGURATION ===
+
+/**
+ * Immutable configuration describing stats and hangar behavior for the
+ * shielded carrier enemy archetype.
+ *
+ * @typedef {object} CarrierConfig
+ * @property {string} key
+ * @property {string} displayName
+ * @property {number} radius
+ * @property {number} health
+ * @property {number} speed
+ * @property {number} acceleration
+ * @property {number} preferredDistance
+ * @property {number} shieldArc - Width of the frontal shield, in radians
+ * @property {number} shieldTurnRate - Radians per second the shield turns toward the player
+ * @property {number} launchInterval - Seconds between drone launches
+ * @property {number} dronesPerLaunch
+ * @property {number} maxActiveDrones - Launches pause while this many drones are alive
+ * @property {number} launchSpeed - Initial drone speed out of the hangar
+ * @property {boolean} selfDestructDrones - Destroy remaining drones when the carrier dies
+ */
+export const CARRIER_CONFIG = deepFreeze({
+  key: 'carrier',
+  displayName: 'Shield Carrier',
+  radius: 30,
+  health: 260,
+  speed: 40,
+  acceleration: 60,
+  preferredDistance: 320,
+  shieldArc: (Math.PI * 2) / 3,
+  shieldTurnRate: 0.9,
+  launchInterval: 7,
+  dronesPerLaunch: 2,
+  maxActiveDrones: 6,
+  launchSpeed: 120,
+  selfDestructDrones: true,
+});
+
+/**
+ * Component configuration for the shield carrier. The collision component
+ * declares the frontal `shieldArc` that deflects player rounds (see the
+ * 'deflect' response in CollisionComponent); there is no weapon, the
+ * carrier fights through the drones it launches.
+ *
+ * @typedef {object} CarrierComponents
+ * @property {object} movement - Slow orbit tuning
+ * @property {object} render - Procedural renderer configuration
+ * @property {object} collision - Collision radius, response and frontal shield
+ * @property {object} health - Base health and scaling modifiers
+ */
+export const CARRIER_COMPONENTS = deepFreeze({
+  movement: {
+    strategy: 'orbit',
+    acceleration: 60,
+    maxSpeed: 40,
+    preferredDistance: 320,
+    orbitDirection: 1,
+  },
+  render: {
+    strategy: 'procedural',
+    shape: 'diamond',
+    showTurret: false,
+  },
+  collision: {
+    shape: 'circle',
+    radius: 30,
+    response: 'damage',
+    contactDamage: 20,
+    shieldArc: (Math.PI * 2) / 3,
+  },
+  health: {
+    base: 260,
+    armor: 2,
+    scaling: 1.0,
+    // Heavy hull plating shrugs off explosions but not focused plasma
+    resistances: { explosive: 0.3, plasma: -0.15 },
+  },
+});
+
+// === CARRIER REWARDS ===
+
+/**
+ * Reward distribution granted when the shield carrier is destroyed.
+ * @typedef {object} CarrierRewards
+ * @property {number} baseOrbs
+ * @property {number} totalXP
+ * @property {number} healthHeartChance
+ */
+export const CARRIER_REWARDS = deepFreeze({
+  baseOrbs: 6,
+  totalXP: 120,
+  healthHeartChance: 0.12,
+});
@@ -59,6 +59,7 @@ export const DRONE_CONFIG = deepFreeze({
  * @property {object} render - Procedural triangle renderer configuration
  * @property {object} collision - Collision radius/response tuning
  * @property {object} health - Base health and scaling configuration
+ * @property {object} behavior - State machine layered over the components
  */
 export const DRONE_COMPONENTS = deepFreeze({
   movement: {
@@ -92,6 +93,20 @@ export const DRONE_COMPONENTS = deepFreeze({
     base: 30,
     armor: 0,
     scaling: 1.0,
+    // Light hull electronics overload under plasma
+    resistances: { plasma: -0.25 },
+  },
+  behavior: {
+    initial: 'hunt',
+    states: {
+      // Wounded drones close to the player stop shooting and ram it
+      hunt: {
+        transitions: [
+          { to: 'kamikaze', when: { healthBelow: 0.4, playerInRange: 240 } },
+        ],
+      },
+      kamikaze: { movement: 'kamikaze', weapon: false },
+    },
   },
 });
 
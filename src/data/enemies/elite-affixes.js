@@ -0,0 +1,131 @@
+// src/data/enemies/elite-affixes.js
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+
+/**
+ * Elite affixes rolled by EnemyFactory.create() on drones, hunters and mines.
+ *
+ * ELITE_SPAWN_CONFIG decides whether a spawn becomes elite; the affixes are
+ * then drawn by weight from those whose `minWave` and `types` allow them.
+ * Every affix may declare:
+ * - `weight`/`weightPerWave`: draw weight, growing after `minWave`
+ * - `rewardMultiplier`: XP bonus RewardManager.dropRewards() applies to every
+ *   orb of the kill
+ * - `color`: aura color drawn by drawEliteAura() in RenderComponent
+ * plus the tuning of its own mechanic (see BaseEnemy.applyEliteAffixes()).
+ */
+
+// === ELITE SPAWN RULES ===
+
+export const ELITE_SPAWN_CONFIG = deepFreeze({
+  minWave: 5,
+  baseChance: 0.08,
+  chancePerWave: 0.015,
+  maxChance: 0.35,
+  // A second affix can stack on the same enemy from this wave onwards
+  secondAffixWave: 12,
+  secondAffixChance: 0.25,
+});
+
+// === AFFIXES ===
+
+export const ELITE_AFFIXES = deepFreeze({
+  shielded: {
+    id: 'shielded',
+    name: 'Shielded',
+    color: '#5AC8FA',
+    types: ['drone', 'hunter', 'mine'],
+    minWave: 5,
+    weight: 3,
+    weightPerWave: 0,
+    rewardMultiplier: 1.4,
+    shieldFraction: 0.5, // of max health
+    regenDelay: 2.5,
+    regenPerSecond: 0.25, // of the shield max
+  },
+  fast: {
+    id: 'fast',
+    name: 'Fast',
+    color: '#FFE066',
+    types: ['drone', 'hunter'],
+    minWave: 5,
+    weight: 3,
+    weightPerWave: 0,
+    rewardMultiplier: 1.3,
+    speedMultiplier: 1.4,
+  },
+  vampiric: {
+    id: 'vampiric',
+    name: 'Vampiric',
+    color: '#FF3B6B',
+    types: ['drone', 'hunter'],
+    minWave: 8,
+    weight: 1,
+    weightPerWave: 0.2,
+    rewardMultiplier: 1.5,
+    leechFraction: 2, // enemy healing per point of player health lost
+  },
+  splitting: {
+    id: 'splitting',
+    name: 'Splitting',
+    color: '#B5FF6B',
+    types: ['drone', 'hunter', 'mine'],
+    minWave: 10,
+    weight: 1,
+    weightPerWave: 0.25,
+    rewardMultiplier: 1.6,
+    splitCount: 2,
+    splitHealthFraction: 0.5,
+  },
+});
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The affix definition, or null when unknown
+ */
+export function getEliteAffix(id) {
+  return Object.prototype.hasOwnProperty.call(ELITE_AFFIXES, id)
+    ? ELITE_AFFIXES[id]
+    : null;
+}
+
+/**
+ * Chance that a spawn of an eligible type on `wave` becomes elite.
+ *
+ * @param {number} wave
+ * @returns {number}
+ */
+export function resolveEliteChance(wave) {
+  const config = ELITE_SPAWN_CONFIG;
+  if (!Number.isFinite(wave) || wave < config.minWave) {
+    return 0;
+  }
+  return Math.min(
+    config.maxChance,
+    config.baseChance + config.chancePerWave * (wave - config.minWave)
+  );
+}
+
+/**
+ * Affixes an enemy of `type` can roll on `wave`, keyed by id with their
+ * current weight (the shape RandomService.weightedPick() expects).
+ *
+ * @param {string} type
+ * @param {number} wave
+ * @returns {Object<string, number>}
+ */
+export function resolveEliteAffixWeights(type, wave) {
+  const weights = {};
+  Object.values(ELITE_AFFIXES).forEach((affix) => {
+    if (!affix.types.includes(type) || wave < affix.minWave) {
+      return;
+    }
+    const weight = affix.weight + affix.weightPerWave * (wave - affix.minWave);
+    if (weight > 0) {
+      weights[affix.id] = weight;
+    }
+  });
+  return weights;
+}
+
+export default ELITE_AFFIXES;
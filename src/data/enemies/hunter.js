@@ -62,6 +62,7 @@ export const HUNTER_CONFIG = deepFreeze({
  * @property {object} render - Procedural diamond renderer configuration
  * @property {object} collision - Collision radius/response tuning
  * @property {object} health - Base health and scaling modifiers
+ * @property {object} behavior - State machine layered over the components
  */
 export const HUNTER_COMPONENTS = deepFreeze({
   movement: {
@@ -97,6 +98,23 @@ export const HUNTER_COMPONENTS = deepFreeze({
     base: 48,
     armor: 0,
     scaling: 1.0,
+    // Angled plating deflects part of kinetic rounds
+    resistances: { kinetic: 0.2, explosive: -0.2 },
+  },
+  behavior: {
+    initial: 'engage',
+    states: {
+      // Badly hurt hunters break off in short bursts, still firing
+      engage: {
+        transitions: [
+          { to: 'retreat', when: { healthBelow: 0.35, timeInState: 4 } },
+        ],
+      },
+      retreat: {
+        movement: 'flee',
+        transitions: [{ to: 'engage', when: { timeInState: 2.5 } }],
+      },
+    },
   },
 });
 
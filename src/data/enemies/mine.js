@@ -84,6 +84,8 @@ export const MINE_COMPONENTS = deepFreeze({
     base: 20,
     armor: 0,
     scaling: 1.0,
+    // Blast-hardened casing
+    resistances: { explosive: 0.5 },
   },
 });
 
@@ -24,7 +24,7 @@ import { deepFreeze } from '../../utils/deepFreeze.js';
  * Defines how an enemy moves in the game world.
  *
  * @typedef {Object} MovementSchema
- * @property {string} strategy - Movement strategy: 'tracking', 'orbit', 'seeking', 'proximity'
+ * @property {string} strategy - Movement strategy: 'tracking', 'orbit', 'seeking', 'proximity', 'flee', 'kamikaze'
  * @property {number} maxSpeed - Maximum velocity magnitude (canonical field, replaces 'speed')
  * @property {number} acceleration - Acceleration rate per second
  * @property {number} [damping] - Velocity damping factor (0-1), default 1.0 (no damping)
@@ -36,6 +36,16 @@ import { deepFreeze } from '../../utils/deepFreeze.js';
  * @property {number} [driftSpeed] - Proximity strategy: slow drift velocity (mines)
  * @property {number} [driftVariance] - Proximity strategy: random drift variance (default 12)
  * @property {number} [lifetime] - Proximity strategy: time until self-destruct (mines)
+ * @property {number} [neighborRadius] - Flock strategy: squadmate lookup radius (default 140)
+ * @property {number} [separationDistance] - Flock strategy: spacing kept from squadmates (default 45)
+ * @property {number} [formationSpacing] - V-formation strategy: distance between slots (default 44)
+ * @property {number} [formationAngle] - V-formation strategy: wing half-angle in radians (default 0.6)
+ * @property {number} [encircleRadius] - Encircle strategy: ring radius around the player (default preferredDistance or 200)
+ * @property {number} [encircleRotationSpeed] - Encircle strategy: ring rotation in rad/s (default 0.4)
+ * @property {number} [kamikazeBoost] - Kamikaze strategy: speed and acceleration multiplier (default 1.6)
+ *
+ * Group strategies ('flock', 'v-formation', 'encircle') are assigned by
+ * WaveManager to members of a formation group rather than set here.
  *
  * @deprecated {number} speed - Use 'maxSpeed' instead (backward compatible via fallback)
  */
@@ -62,8 +72,8 @@ export const MOVEMENT_SCHEMA = deepFreeze({
  * NOTE: 'speed' in this context refers to PROJECTILE speed, not enemy movement speed.
  *
  * @typedef {Object} WeaponSchema
- * @property {string} pattern - Attack pattern: 'single', 'burst', 'spread', 'volley', 'proximity'
- * @property {number} damage - Damage per projectile
+ * @property {string} pattern - Attack pattern: 'single', 'burst', 'spread', 'volley', 'proximity', 'beam'
+ * @property {number} damage - Damage per projectile (per beam for the beam pattern)
  * @property {number} speed - Projectile velocity (NOT enemy speed)
  * @property {number} lifetime - Projectile lifetime in seconds
  * @property {number} cooldown - Time between attacks (canonical field, replaces 'fireRate'/'interval'/'burstInterval')
@@ -79,6 +89,11 @@ export const MOVEMENT_SCHEMA = deepFreeze({
  * @property {number} [proximityRadius] - Proximity pattern: trigger radius
  * @property {number} [armTime] - Proximity pattern: arming delay
  * @property {boolean} [triggerOnProximity] - Proximity pattern: auto-trigger on proximity
+ * @property {number} [chargeTime] - Beam pattern: telegraphed charge before the beam fires
+ * @property {number} [lockTime] - Beam pattern: final part of the charge where the aim stops tracking
+ * @property {number} [beamWidth] - Beam pattern: thickness of the hitscan beam
+ * @property {number} [beamDuration] - Beam pattern: how long the fired beam stays visible
+ * @property {string} [statusEffect] - Status effect applied to the player on hit (see data/statusEffects.js)
  *
  * @deprecated {number} fireRate - Use 'cooldown' instead (backward compatible via fallback)
  * @deprecated {number} interval - Use 'cooldown' instead (backward compatible via fallback)
@@ -142,6 +157,7 @@ export const RENDER_SCHEMA = deepFreeze({
  * @property {number} radius - Collision radius
  * @property {string} response - Collision response: 'damage', 'trigger'
  * @property {number} [contactDamage] - Damage dealt on collision
+ * @property {number} [shieldArc] - Frontal arc (radians) that deflects player projectiles, centred on the enemy's shieldAngle or heading
  */
 export const COLLISION_SCHEMA = deepFreeze({
   shape: 'circle', // Required: collision shape
@@ -161,6 +177,8 @@ export const COLLISION_SCHEMA = deepFreeze({
  * @property {number} [scaling] - Wave-based health scaling multiplier
  * @property {number[]} [phaseThresholds] - Boss: HP thresholds for phase transitions (0-1)
  * @property {number} [invulnerabilityDuration] - Boss: phase transition invulnerability time
+ * @property {Object<string, number>} [resistances] - Fraction of each damage type resisted
+ *   (negative = weakness), keyed by DAMAGE_TYPES in data/damageTypes.js
  */
 export const HEALTH_SCHEMA = deepFreeze({
   base: 50, // Required: base health
@@ -168,6 +186,36 @@ export const HEALTH_SCHEMA = deepFreeze({
   scaling: 1.5, // Optional: wave scaling
   phaseThresholds: [0.66, 0.33], // Optional: boss phase thresholds
   invulnerabilityDuration: 1.0, // Optional: boss phase invuln
+  resistances: { kinetic: 0.2 }, // Optional: damage type resistances
+});
+
+/**
+ * Behavior Component Schema
+ *
+ * Optional state machine that drives the other components (see
+ * BehaviorComponent). A state may set `movement` (any MovementComponent
+ * strategy, including 'flee' and 'kamikaze'), merge `movementConfig` into
+ * the movement tuning, and set `weapon` to a pattern name or `false` to hold
+ * fire. Omitted fields keep the enemy's own values.
+ *
+ * Transition `when` objects are ANDed; `any: [...]` takes alternatives.
+ * Conditions: playerInRange, playerOutOfRange (px), healthBelow, healthAbove
+ * (fraction of max health), allyNearby, noAllyNearby (radius, or
+ * `{ radius, count, type }`), timeInState (seconds).
+ *
+ * @typedef {Object} BehaviorSchema
+ * @property {string} initial - State entered on spawn
+ * @property {Object<string, Object>} states - State definitions by name
+ * @property {Array<{to: string, when: Object}>} [transitions] - Checked from every state before its own
+ */
+export const BEHAVIOR_SCHEMA = deepFreeze({
+  initial: 'hunt', // Required: starting state
+  states: {
+    hunt: {
+      transitions: [{ to: 'flee', when: { healthBelow: 0.3 } }],
+    },
+    flee: { movement: 'flee', weapon: false }, // Optional per-state overrides
+  },
 });
 
 /**
@@ -182,6 +230,7 @@ export const HEALTH_SCHEMA = deepFreeze({
  * @property {RenderSchema} render - Render component configuration
  * @property {CollisionSchema} collision - Collision component configuration
  * @property {HealthSchema} health - Health component configuration
+ * @property {BehaviorSchema} [behavior] - Optional behavior state machine
  *
  * @example
  * // Creating a new enemy config following the schema:
@@ -221,6 +270,7 @@ export const ENEMY_CONFIG_SCHEMA = deepFreeze({
   render: RENDER_SCHEMA,
   collision: COLLISION_SCHEMA,
   health: HEALTH_SCHEMA,
+  behavior: BEHAVIOR_SCHEMA,
 });
 
 /**
@@ -0,0 +1,113 @@
+// src/data/enemies/sniper.js
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+
+/**
+ * Sniper enemy configuration following canonical schema.
+ * See schema.js for complete field definitions and naming conventions.
+ *
+ * @typedef {import('./schema.js').EnemyConfigSchema} EnemyConfigSchema
+ */
+
+// === SNIPER CONFIGURATION ===
+
+/**
+ * Immutable configuration describing stats and beam behavior for the sniper
+ * lancer enemy archetype.
+ *
+ * @typedef {object} SniperConfig
+ * @property {string} key
+ * @property {string} displayName
+ * @property {number} radius
+ * @property {number} health
+ * @property {number} speed
+ * @property {number} acceleration
+ * @property {number} preferredDistance
+ * @property {number} beamDamage
+ * @property {number} fireRange
+ * @property {number} cooldown - Time between beams, charge excluded
+ * @property {number} chargeTime - Telegraphed delay before the beam fires
+ * @property {number} lockTime - End of the charge where the aim stops tracking
+ * @property {number} beamWidth
+ * @property {number} beamDuration
+ */
+export const SNIPER_CONFIG = deepFreeze({
+  key: 'sniper',
+  displayName: 'Sniper Lancer',
+  radius: 14,
+  health: 36,
+  speed: 90,
+  acceleration: 160,
+  preferredDistance: 430,
+  beamDamage: 28,
+  fireRange: 680,
+  cooldown: 4.5,
+  chargeTime: 1.4,
+  lockTime: 0.35,
+  beamWidth: 8,
+  beamDuration: 0.25,
+});
+
+/**
+ * Component configuration for the sniper lancer. It orbits far from the
+ * player and fires a hitscan beam after a visible charge; the aim freezes
+ * for the last `lockTime` seconds so the player can sidestep the shot.
+ *
+ * @typedef {object} SniperComponents
+ * @property {object} movement - Long-range orbit tuning
+ * @property {object} weapon - Beam weapon behavior
+ * @property {object} render - Procedural renderer configuration
+ * @property {object} collision - Collision radius/response tuning
+ * @property {object} health - Base health and scaling modifiers
+ */
+export const SNIPER_COMPONENTS = deepFreeze({
+  movement: {
+    strategy: 'orbit',
+    acceleration: 160,
+    maxSpeed: 90,
+    preferredDistance: 430,
+    orbitDirection: 1,
+  },
+  weapon: {
+    pattern: 'beam',
+    damage: 28,
+    cooldown: 4.5,
+    fireRange: 680,
+    chargeTime: 1.4,
+    lockTime: 0.35,
+    beamWidth: 8,
+    beamDuration: 0.25,
+  },
+  render: {
+    strategy: 'procedural',
+    shape: 'diamond',
+    showTurret: true,
+  },
+  collision: {
+    shape: 'circle',
+    radius: 14,
+    response: 'damage',
+  },
+  health: {
+    base: 36,
+    armor: 0,
+    scaling: 1.0,
+    // Light frame: plasma burns through its cooling fins
+    resistances: { plasma: -0.25 },
+  },
+});
+
+// === SNIPER REWARDS ===
+
+/**
+ * Reward distribution granted when the sniper lancer is destroyed.
+ * @typedef {object} SniperRewards
+ * @property {number} baseOrbs
+ * @property {number} totalXP
+ * @property {number} healthHeartChance
+ */
+export const SNIPER_REWARDS = deepFreeze({
+  baseOrbs: 3,
+  totalXP: 55,
+  healthHeartChance: 0.03,
+});
@@ -0,0 +1,81 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Environmental hazards spawned by WaveManager and simulated by PhysicsSystem.
+ *
+ * Every hazard lasts `duration` seconds and has a position and `radius`
+ * (the flare is a screen-wide band instead). Per type:
+ * - 'gravity-well': accelerates the player, enemies, bullets and asteroids
+ *   toward its center by up to `strength` px/s², fading linearly to 0 at the
+ *   edge. XP orbs have no velocity, so they drift in at `orbPullSpeed`.
+ *   Player bullets that reach `coreRadius` are swallowed.
+ * - 'nebula': keeps `statusEffect` (data/statusEffects.js) refreshed on
+ *   every ship inside, which slows it. The player's auto-targeting is jammed
+ *   inside the cloud (enemy aim is not), and enemies inside cannot be locked
+ *   on from outside.
+ * - 'solar-flare': after `warningTime` seconds of HUD warning, a band
+ *   `width` px wide sweeps the field at `sweepSpeed`, dealing `damage` once
+ *   to the player and to each enemy ship it crosses (not asteroids).
+ *
+ * Bosses are never affected.
+ */
+export const HAZARD_TYPES = deepFreeze({
+  'gravity-well': {
+    id: 'gravity-well',
+    name: 'Gravity Well',
+    color: '#B388FF',
+    startWave: 6,
+    weight: 1,
+    duration: 16,
+    radius: 170,
+    coreRadius: 18,
+    strength: 360,
+    orbPullSpeed: 90,
+  },
+  nebula: {
+    id: 'nebula',
+    name: 'Nebula Cloud',
+    color: '#6EC8FF',
+    startWave: 4,
+    weight: 1.2,
+    duration: 22,
+    radius: 130,
+    statusEffect: 'nebula',
+  },
+  'solar-flare': {
+    id: 'solar-flare',
+    name: 'Solar Flare',
+    color: '#FFB347',
+    startWave: 8,
+    weight: 0.8,
+    warningTime: 3,
+    sweepSpeed: 260,
+    width: 70,
+    damage: 25,
+  },
+});
+
+// Chance de hazard por onda cresce até maxChance; ondas de chefe ficam limpas
+export const HAZARD_WAVE_RULES = deepFreeze({
+  startWave: 4,
+  baseChance: 0.35,
+  chancePerWave: 0.04,
+  maxChance: 0.8,
+  extraHazardWave: 14,
+  maxPerWave: 2,
+  minPlayerDistance: 180,
+  edgeMargin: 60,
+  skipBossWaves: true,
+});
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The hazard definition, or null when unknown
+ */
+export function getHazardType(id) {
+  return Object.prototype.hasOwnProperty.call(HAZARD_TYPES, id)
+    ? HAZARD_TYPES[id]
+    : null;
+}
+
+export default HAZARD_TYPES;
@@ -0,0 +1,72 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+import { SOLAR_SLICER_HULL_ID } from './shipModels.js';
+
+/**
+ * Permanent unlock tree purchased with salvage between runs.
+ *
+ * Every hull or upgrade listed under a node's `unlocks` stays locked until
+ * that node is bought. Upgrades surface the lock as a `meta-unlock`
+ * prerequisite; hulls are hidden from selection. Nodes listed in `requires`
+ * must be owned before a node can be purchased. `levelUpCharges` adds reroll
+ * and banish charges to every run once the node is owned.
+ */
+export const META_UNLOCK_TREE = deepFreeze([
+  {
+    id: 'targeting-research',
+    name: 'Targeting Research',
+    description: 'Unlocks the Targeting Suite upgrade.',
+    cost: 100,
+    requires: [],
+    unlocks: { upgrades: ['targeting_suite'] },
+  },
+  {
+    id: 'inertial-dampeners',
+    name: 'Inertial Dampeners',
+    description: 'Unlocks the Braking System upgrade.',
+    cost: 120,
+    requires: [],
+    unlocks: { upgrades: ['braking_system'] },
+  },
+  {
+    id: 'tactical-uplink',
+    name: 'Tactical Uplink',
+    description: 'Start every run with an extra reroll and banish charge.',
+    cost: 150,
+    requires: ['targeting-research'],
+    unlocks: {},
+    levelUpCharges: { reroll: 1, banish: 1 },
+  },
+  {
+    id: 'solar-slicer-blueprint',
+    name: 'Solar Slicer Blueprint',
+    description: 'Unlocks the Solar Slicer hull.',
+    cost: 200,
+    requires: ['inertial-dampeners'],
+    unlocks: { hulls: [SOLAR_SLICER_HULL_ID] },
+  },
+]);
+
+export const META_UNLOCKS_BY_ID = deepFreeze(
+  META_UNLOCK_TREE.reduce((lookup, node) => {
+    lookup[node.id] = node;
+    return lookup;
+  }, {})
+);
+
+function indexUnlocks(kind) {
+  const lookup = {};
+  META_UNLOCK_TREE.forEach((node) => {
+    (node.unlocks?.[kind] || []).forEach((id) => {
+      lookup[id] = node.id;
+    });
+  });
+  return deepFreeze(lookup);
+}
+
+/** Upgrade id → id of the node that unlocks it. */
+export const META_UPGRADE_GATES = indexUnlocks('upgrades');
+
+/** Hull id → id of the node that unlocks it. */
+export const META_HULL_GATES = indexUnlocks('hulls');
+
+export default META_UNLOCK_TREE;
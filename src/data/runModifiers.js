@@ -0,0 +1,93 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Optional run modifiers selected on the main menu before a run starts.
+ *
+ * Modifiers only declare values; RunModifierService merges the active set and
+ * each system reads the result at its own config point:
+ * - `playerStats`: stat multipliers applied by PlayerSystem.resetStats()
+ * - `waves`: WaveManager boss cadence plus asteroid variant/speed overrides
+ * - `enemyHealth`: multiplier on the wave health scaling of every enemy
+ * - `rewards`: XP multiplier RewardManager.dropRewards() applies to every drop
+ * - `upgrades.excluded`: upgrade ids never offered on level-up
+ * - `upgrades.luck`: extra luck for the level-up rarity rolls
+ *
+ * Modifiers stack: multipliers multiply, luck adds up, the shortest boss interval wins and
+ * the run's score multiplier is the product of every `scoreMultiplier`.
+ */
+export const RUN_MODIFIERS = deepFreeze([
+  {
+    id: 'glass-cannon',
+    name: 'Glass Cannon',
+    description: 'Double damage, half max health.',
+    scoreMultiplier: 1.3,
+    hooks: {
+      playerStats: { damage: 2, maxHealth: 0.5 },
+    },
+  },
+  {
+    id: 'asteroid-rush',
+    name: 'Asteroid Rush',
+    description: 'Asteroids move twice as fast.',
+    scoreMultiplier: 1.25,
+    hooks: {
+      waves: { asteroidSpeed: 2 },
+    },
+  },
+  {
+    id: 'no-shield',
+    name: 'No Shield',
+    description: 'Energy Shield and Deflection Matrix are never offered.',
+    scoreMultiplier: 1.2,
+    hooks: {
+      upgrades: { excluded: ['shield', 'deflector_shield'] },
+    },
+  },
+  {
+    id: 'volatile-field',
+    name: 'Volatile Field',
+    description: 'Every asteroid is volatile.',
+    scoreMultiplier: 1.4,
+    hooks: {
+      waves: { asteroidVariant: 'volatile' },
+    },
+  },
+  {
+    id: 'boss-rush',
+    name: 'Boss Rush',
+    description: 'A boss arrives every 3 waves.',
+    scoreMultiplier: 1.5,
+    hooks: {
+      waves: { bossInterval: 3 },
+    },
+  },
+  {
+    id: 'hardened-hulls',
+    name: 'Hardened Hulls',
+    description:
+      'Enemies have 50% more health and drop 25% more XP. Rare upgrades are more likely.',
+    scoreMultiplier: 1.15,
+    hooks: {
+      enemyHealth: 1.5,
+      rewards: 1.25,
+      upgrades: { luck: 1 },
+    },
+  },
+]);
+
+export const RUN_MODIFIERS_BY_ID = deepFreeze(
+  RUN_MODIFIERS.reduce((lookup, modifier) => {
+    lookup[modifier.id] = modifier;
+    return lookup;
+  }, {})
+);
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The modifier definition, or null when unknown
+ */
+export function getRunModifier(id) {
+  return RUN_MODIFIERS_BY_ID[id] || null;
+}
+
+export default RUN_MODIFIERS;
@@ -0,0 +1,61 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Point values awarded by ScoreService.
+ *
+ * Kills are worth `enemies[type]` (asteroids: `asteroidSizes[size]` scaled by
+ * `asteroidVariants[variant]`), doubled for elites, then multiplied by the
+ * current combo multiplier. Every award is finally scaled by the run
+ * modifiers' score multiplier. Bosses pay out on `boss-defeated` instead of
+ * their kill event. XP orbs pay `orbPointsPerXp` per XP point, without combo.
+ */
+export const SCORE_VALUES = deepFreeze({
+  enemies: {
+    drone: 150,
+    mine: 100,
+    hunter: 300,
+    sniper: 350,
+    carrier: 500,
+  },
+  defaultEnemy: 100,
+  eliteMultiplier: 2,
+  boss: 5000,
+  asteroidSizes: {
+    large: 100,
+    medium: 60,
+    small: 30,
+  },
+  asteroidVariants: {
+    common: 1,
+    iron: 1.5,
+    denseCore: 1.75,
+    volatile: 1.5,
+    parasite: 2,
+    crystal: 2.5,
+    gold: 5,
+  },
+  orbPointsPerXp: 1,
+});
+
+/**
+ * Bonuses paid when a wave is cleared (`wave-complete`):
+ * - `clearPerWave` × wave number, always
+ * - `noDamage` (+ `noDamagePerWave` × wave) when the hull lost no health
+ * - `speedClear.pointsPerSecond` for every second under the par time
+ *   (`parTime` + `parTimePerWave` × wave, capped at `maxParTime`), up to
+ *   `speedClear.maxBonus`
+ */
+export const SCORE_WAVE_BONUS = deepFreeze({
+  clearPerWave: 100,
+  noDamage: 500,
+  noDamagePerWave: 50,
+  speedClear: {
+    parTime: 45,
+    parTimePerWave: 3,
+    maxParTime: 90,
+    pointsPerSecond: 25,
+    maxBonus: 1500,
+  },
+});
+
+export default SCORE_VALUES;
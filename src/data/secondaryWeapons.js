@@ -0,0 +1,121 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Secondary weapon archetypes for the ship's second weapon slot.
+ *
+ * Upgrades equip and improve them through the `upgrade-secondary-weapon`
+ * event (see data/upgrades/offense.js). CombatSystem fires the equipped weapon
+ * through createBullet(), so every archetype is a set of projectile options:
+ * - `behavior`: 'homing' steers toward the nearest enemy, 'pierce' passes
+ *   through `pierce` extra enemies, 'flak' bursts at the end of its range,
+ *   'mine' slows to a stop and detonates when an enemy enters `triggerRadius`
+ * - `explosionRadius`/`splashMultiplier`: area damage around the detonation
+ * - `projectiles`/`spread`: rounds per trigger pull and their fan in radians
+ * - `damageType`: key of DAMAGE_TYPES (data/damageTypes.js), checked against
+ *   enemy resistances
+ *
+ * Only one archetype can be equipped at a time; the upgrades share the
+ * `secondary-weapon` exclusive group.
+ */
+export const SECONDARY_WEAPONS = deepFreeze({
+  'homing-missiles': {
+    id: 'homing-missiles',
+    name: 'Homing Missiles',
+    icon: '🚀',
+    color: '#FF8A5C',
+    cooldown: 2.4,
+    projectiles: 2,
+    spread: 0.5,
+    damage: 40,
+    speed: 320,
+    lifetime: 2.6,
+    radius: 4,
+    behavior: 'homing',
+    damageType: 'explosive',
+    turnRate: 4.5,
+    explosionRadius: 45,
+    splashMultiplier: 0.5,
+  },
+  railgun: {
+    id: 'railgun',
+    name: 'Piercing Railgun',
+    icon: '🔱',
+    color: '#7DF9FF',
+    cooldown: 3,
+    projectiles: 1,
+    spread: 0,
+    damage: 90,
+    speed: 1400,
+    lifetime: 0.8,
+    radius: 3,
+    behavior: 'pierce',
+    damageType: 'plasma',
+    pierce: 4,
+  },
+  'flak-burst': {
+    id: 'flak-burst',
+    name: 'Flak Burst',
+    icon: '🎆',
+    color: '#FFD166',
+    cooldown: 1.6,
+    projectiles: 7,
+    spread: 0.9,
+    damage: 14,
+    speed: 520,
+    lifetime: 0.35,
+    radius: 3,
+    behavior: 'flak',
+    damageType: 'explosive',
+    explosionRadius: 28,
+    splashMultiplier: 0.5,
+  },
+  'proximity-mine': {
+    id: 'proximity-mine',
+    name: 'Proximity Mine',
+    icon: '💣',
+    color: '#FF4D6D',
+    cooldown: 3.5,
+    projectiles: 1,
+    spread: 0,
+    damage: 80,
+    speed: 90,
+    drag: 2.5,
+    lifetime: 12,
+    radius: 6,
+    behavior: 'mine',
+    damageType: 'explosive',
+    armTime: 0.5,
+    triggerRadius: 60,
+    explosionRadius: 90,
+    splashMultiplier: 1,
+    maxActive: 3,
+  },
+});
+
+/** Stats that upgrade payloads may add to or multiply. */
+export const SECONDARY_WEAPON_STATS = deepFreeze([
+  'cooldown',
+  'projectiles',
+  'spread',
+  'damage',
+  'speed',
+  'lifetime',
+  'pierce',
+  'turnRate',
+  'explosionRadius',
+  'splashMultiplier',
+  'triggerRadius',
+  'maxActive',
+]);
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The archetype definition, or null when unknown
+ */
+export function getSecondaryWeapon(id) {
+  return Object.prototype.hasOwnProperty.call(SECONDARY_WEAPONS, id)
+    ? SECONDARY_WEAPONS[id]
+    : null;
+}
+
+export default SECONDARY_WEAPONS;
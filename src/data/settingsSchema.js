@@ -34,6 +34,14 @@ const SETTINGS_SCHEMA = [
         options: HULL_OPTION_IDS,
         optionLabels: HULL_OPTION_LABELS,
       },
+      {
+        key: 'manualWeapons',
+        type: 'toggle',
+        label: 'Manual Weapons',
+        description:
+          'Aim with the mouse or right stick and hold Fire to shoot. Targeting Matrix upgrades become aim assist.',
+        default: false,
+      },
       {
         key: 'damageNumbers',
         type: 'toggle',
@@ -137,6 +145,77 @@ const SETTINGS_SCHEMA = [
           gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
         },
       },
+      {
+        key: 'activateDash',
+        type: 'binding',
+        label: 'Blink Dash',
+        description: 'Blinks forward with a brief window of invulnerability.',
+        default: {
+          keyboard: ['KeyR'],
+          gamepad: ['button:1'],
+        },
+        metadata: {
+          keyboard: { ...DEFAULT_BINDING_METADATA.keyboard },
+          gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
+        },
+      },
+      {
+        key: 'activateTimeSlow',
+        type: 'binding',
+        label: 'Chrono Field',
+        description: 'Slows down the whole battlefield for a few seconds.',
+        default: {
+          keyboard: ['KeyC'],
+          gamepad: ['button:10'],
+        },
+        metadata: {
+          keyboard: { ...DEFAULT_BINDING_METADATA.keyboard },
+          gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
+        },
+      },
+      {
+        key: 'activateEmp',
+        type: 'binding',
+        label: 'EMP Pulse',
+        description: 'Damages and jams nearby enemies.',
+        default: {
+          keyboard: ['KeyX'],
+          gamepad: ['button:11'],
+        },
+        metadata: {
+          keyboard: { ...DEFAULT_BINDING_METADATA.keyboard },
+          gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
+        },
+      },
+      {
+        key: 'firePrimary',
+        type: 'binding',
+        label: 'Fire',
+        description:
+          'Hold to fire with Manual Weapons enabled. Left mouse button also fires.',
+        default: {
+          keyboard: ['KeyF', 'ControlLeft'],
+          gamepad: ['button:7', 'button:5'],
+        },
+        metadata: {
+          keyboard: { ...DEFAULT_BINDING_METADATA.keyboard },
+          gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
+        },
+      },
+      {
+        key: 'fireSecondary',
+        type: 'binding',
+        label: 'Fire Secondary',
+        description: 'Hold to fire the secondary weapon once one is installed.',
+        default: {
+          keyboard: ['KeyQ', 'ShiftRight'],
+          gamepad: ['button:6', 'button:3'],
+        },
+        metadata: {
+          keyboard: { ...DEFAULT_BINDING_METADATA.keyboard },
+          gamepad: { ...DEFAULT_BINDING_METADATA.gamepad },
+        },
+      },
       {
         key: 'pause',
         type: 'binding',
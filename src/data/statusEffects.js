@@ -0,0 +1,79 @@
+import { deepFreeze } from '../utils/deepFreeze.js';
+
+/**
+ * Status effect definitions shared by enemies and the player.
+ *
+ * StatusEffectController instances (one per BaseEnemy and one on
+ * PlayerSystem) apply these by id. Each definition may combine:
+ * - `stacking`: 'refresh' keeps one instance and resets its duration,
+ *   'stack' adds stacks up to `maxStacks` and resets the shared duration
+ * - `tickInterval`/`tickDamage`: damage over time, per stack
+ * - `speedMultiplier`: movement scale read by MovementComponent and PlayerSystem
+ * - `damageTakenPerStack`: extra incoming damage per stack (armor shred)
+ * - `disables`: capabilities switched off while active ('weapons', 'shield',
+ *   'targeting')
+ * - `tint`: overlay color drawn on the afflicted entity
+ */
+export const STATUS_EFFECTS = deepFreeze({
+  burn: {
+    id: 'burn',
+    name: 'Burn',
+    duration: 3,
+    stacking: 'stack',
+    maxStacks: 5,
+    tickInterval: 0.5,
+    tickDamage: 4,
+    tint: '#FF6A00',
+  },
+  slow: {
+    id: 'slow',
+    name: 'Slow',
+    duration: 2.5,
+    stacking: 'refresh',
+    maxStacks: 1,
+    speedMultiplier: 0.6,
+    tint: '#6EC8FF',
+  },
+  emp: {
+    id: 'emp',
+    name: 'EMP',
+    duration: 1.5,
+    stacking: 'refresh',
+    maxStacks: 1,
+    disables: ['weapons', 'shield'],
+    tint: '#B388FF',
+  },
+  shred: {
+    id: 'shred',
+    name: 'Shred',
+    duration: 5,
+    stacking: 'stack',
+    maxStacks: 5,
+    damageTakenPerStack: 0.1,
+    tint: '#C0FF3E',
+  },
+  // Kept refreshed by nebula hazards (data/hazards.js) while inside the cloud
+  nebula: {
+    id: 'nebula',
+    name: 'Nebula',
+    duration: 0.25,
+    stacking: 'refresh',
+    maxStacks: 1,
+    speedMultiplier: 0.55,
+    disables: ['targeting'],
+  },
+});
+
+export const STATUS_EFFECT_STACKING = deepFreeze(['refresh', 'stack']);
+
+/**
+ * @param {string} id
+ * @returns {Object|null} The effect definition, or null when unknown
+ */
+export function getStatusEffect(id) {
+  return Object.prototype.hasOwnProperty.call(STATUS_EFFECTS, id)
+    ? STATUS_EFFECTS[id]
+    : null;
+}
+
+export default STATUS_EFFECTS;
@@ -11,6 +11,7 @@ export const DEFENSE_UPGRADES = deepFreeze([
     icon: '🛡️',
     themeColor: '#4ECDC4',
     unlockLevel: 1,
+    rarity: 'common',
     tags: ['health', 'hull'],
     text: {
       name: 'Energy Shield',
@@ -76,6 +77,7 @@ export const DEFENSE_UPGRADES = deepFreeze([
     icon: '💠',
     themeColor: '#5EC8FF',
     unlockLevel: 2,
+    rarity: 'rare',
     tags: ['escudo', 'defesa ativa'],
     prerequisites: [
       {
@@ -178,4 +180,55 @@ export const DEFENSE_UPGRADES = deepFreeze([
       },
     ],
   },
+  {
+    id: 'phoenix_core',
+    category: 'defense',
+    icon: '🔥',
+    themeColor: '#FF8A3D',
+    unlockLevel: 5,
+    rarity: 'legendary',
+    tags: ['health', 'revive'],
+    text: {
+      name: 'Phoenix Core',
+      summary:
+        'Emergency reactor that rebuilds the hull when it would be destroyed.',
+      lore: 'Salvaged from a derelict flagship whose crew swore it came back from the dead twice.',
+      levels: [
+        {
+          title: 'Rebirth Protocol',
+          description: 'Survive one lethal hit and restore 40% hull.',
+          highlights: ['Grants 3 seconds of invulnerability after reviving.'],
+        },
+        {
+          title: 'Ashen Reserve',
+          description: 'Stores a second revival and restores 60% hull.',
+          highlights: ['Only legendary technology can cheat death.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-last-stand',
+            unique: true,
+            payload: { charges: 1, healFraction: 0.4, invulnerability: 3 },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-last-stand',
+            unique: true,
+            payload: { charges: 1, healFraction: 0.6, invulnerability: 3 },
+          },
+        ],
+      },
+    ],
+  },
 ]);
@@ -0,0 +1,134 @@
+// src/data/upgrades/evolutions.js
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+
+// === EVOLUTIONS ===
+
+/**
+ * Roll weight of an evolution once it is ready, well above every rarity
+ * weight so a completed recipe shows up within a level-up or two.
+ */
+export const EVOLUTION_ROLL_WEIGHT = 120;
+
+/**
+ * Evolved upgrades. Each joins the level-up pool once every upgrade listed in
+ * `evolution.requires` is at its maximum level, and takes their place in the
+ * build when picked: the components' effects are revoked, so an evolution's
+ * own effects carry their strength on top of its bonus.
+ * `evolution.hint` is shown instead of the result until the recipe has been
+ * discovered in some run.
+ */
+export const EVOLUTION_UPGRADES = deepFreeze([
+  {
+    id: 'plasma_tempest',
+    category: 'offense',
+    icon: '🌩️',
+    themeColor: '#FFD84D',
+    rarity: 'legendary',
+    tags: ['damage', 'projectiles', 'evolution'],
+    evolution: {
+      requires: ['plasma', 'multishot'],
+      hint: 'Overcharge a fully split plasma cannon.',
+    },
+    text: {
+      name: 'Plasma Tempest',
+      summary:
+        'Fuses the plasma coils with every emitter into a single storm of superheated bolts.',
+      lore: 'Pilots report the cannon humming on its own between volleys.',
+      levels: [
+        {
+          title: 'Storm Front',
+          description:
+            'Plasma bolts deal +140% damage with four extra projectiles per sequence.',
+          highlights: ['Replaces Plasma Gun and Multishot in the build.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-damage-boost',
+            payload: { multiplier: 2.4 },
+          },
+          {
+            type: 'event',
+            event: 'upgrade-primary-damage-type',
+            payload: { damageType: 'plasma' },
+          },
+          {
+            type: 'event',
+            event: 'upgrade-multishot',
+            payload: { bonus: 4 },
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'deadeye_array',
+    category: 'offense',
+    icon: '🎯',
+    themeColor: '#FF9F43',
+    rarity: 'legendary',
+    tags: ['critical', 'targeting', 'evolution'],
+    evolution: {
+      requires: ['critical_optics', 'targeting_suite'],
+      hint: 'Teach perfect optics where to look.',
+    },
+    text: {
+      name: 'Deadeye Array',
+      summary:
+        'Slaves the critical optics to the targeting matrix so every shot seeks a weak point.',
+      lore: 'The fire-control AI refuses to waste a round on armour plating.',
+      levels: [
+        {
+          title: 'Weak Point Lock',
+          description:
+            'Raises crit chance to 37% and crit damage to 300%, with the full Targeting Matrix.',
+          highlights: ['Replaces Critical Optics and Targeting Matrix.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-critical-strike',
+            payload: { chance: 0.37, multiplier: 1.5 },
+          },
+          {
+            type: 'event',
+            event: 'upgrade-aiming-suite',
+            payload: {
+              targetingLevel: 3,
+              resetWeights: true,
+              dynamicPrediction: {
+                minLeadTime: 0.05,
+                maxLeadTime: 1,
+                fallbackLeadTime: 0.32,
+              },
+              multiLockTargets: 4,
+              cooldownMultiplier: 0.92,
+            },
+          },
+        ],
+      },
+    ],
+  },
+]);
+
+/**
+ * Recipe view of EVOLUTION_UPGRADES for codex-style listings.
+ */
+export const UPGRADE_EVOLUTIONS = deepFreeze(
+  EVOLUTION_UPGRADES.map((upgrade) => ({
+    id: upgrade.id,
+    requires: [...upgrade.evolution.requires],
+    hint: upgrade.evolution.hint,
+  }))
+);
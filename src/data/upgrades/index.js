@@ -9,13 +9,31 @@ import { OFFENSE_UPGRADES } from './offense.js';
 import { DEFENSE_UPGRADES } from './defense.js';
 import { MOBILITY_UPGRADES } from './mobility.js';
 import { UTILITY_UPGRADES } from './utility.js';
+import {
+  UPGRADE_RARITIES,
+  DEFAULT_UPGRADE_RARITY,
+  UPGRADE_RARITY_ROLL,
+} from './rarities.js';
+import {
+  EVOLUTION_UPGRADES,
+  EVOLUTION_ROLL_WEIGHT,
+  UPGRADE_EVOLUTIONS,
+} from './evolutions.js';
 
 const UPGRADE_LIBRARY = deepFreeze([
   ...OFFENSE_UPGRADES,
   ...DEFENSE_UPGRADES,
   ...MOBILITY_UPGRADES,
   ...UTILITY_UPGRADES,
+  ...EVOLUTION_UPGRADES,
 ]);
 
-export { UPGRADE_CATEGORIES };
+export {
+  UPGRADE_CATEGORIES,
+  UPGRADE_RARITIES,
+  DEFAULT_UPGRADE_RARITY,
+  UPGRADE_RARITY_ROLL,
+  UPGRADE_EVOLUTIONS,
+  EVOLUTION_ROLL_WEIGHT,
+};
 export default UPGRADE_LIBRARY;
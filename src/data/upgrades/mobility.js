@@ -11,6 +11,7 @@ export const MOBILITY_UPGRADES = deepFreeze([
     icon: '🚀',
     themeColor: '#5DADE2',
     unlockLevel: 1,
+    rarity: 'common',
     tags: ['velocidade', 'mobilidade', 'aceleração'],
     text: {
       name: 'Propulsores Principais',
@@ -160,6 +161,7 @@ export const MOBILITY_UPGRADES = deepFreeze([
     icon: '🛰️',
     themeColor: '#5DADE2',
     unlockLevel: 2,
+    rarity: 'common',
     tags: ['rotação', 'agilidade', 'manobras'],
     prerequisites: [
       {
@@ -313,6 +315,7 @@ export const MOBILITY_UPGRADES = deepFreeze([
     icon: '⚙️',
     themeColor: '#5DADE2',
     unlockLevel: 3,
+    rarity: 'rare',
     tags: ['controle', 'frenagem', 'precisão'],
     prerequisites: [
       {
@@ -11,6 +11,7 @@ export const OFFENSE_UPGRADES = deepFreeze([
     icon: '⚡',
     themeColor: '#F6C945',
     unlockLevel: 1,
+    rarity: 'common',
     tags: ['damage', 'weaponry'],
     text: {
       name: 'Plasma Gun',
@@ -21,7 +22,10 @@ export const OFFENSE_UPGRADES = deepFreeze([
         {
           title: 'Fusion Coil',
           description: 'Standard projectiles deal immediately +25% damage.',
-          highlights: ['Multiplier applied directly to base damage.'],
+          highlights: [
+            'Multiplier applied directly to base damage.',
+            'Main cannon switches to plasma damage: melts iron, crystals resist it.',
+          ],
         },
         {
           title: 'Twinned Capacitors',
@@ -44,6 +48,11 @@ export const OFFENSE_UPGRADES = deepFreeze([
             event: 'upgrade-damage-boost',
             payload: { multiplier: 1.25 },
           },
+          {
+            type: 'event',
+            event: 'upgrade-primary-damage-type',
+            payload: { damageType: 'plasma' },
+          },
         ],
       },
       {
@@ -74,6 +83,7 @@ export const OFFENSE_UPGRADES = deepFreeze([
     icon: '💥',
     themeColor: '#A56DFF',
     unlockLevel: 1,
+    rarity: 'rare',
     tags: ['projectiles', 'weaponry'],
     text: {
       name: 'Multishot',
@@ -131,17 +141,82 @@ export const OFFENSE_UPGRADES = deepFreeze([
       },
     ],
   },
+  {
+    id: 'critical_optics',
+    category: 'offense',
+    icon: '✴️',
+    themeColor: '#FFBB00',
+    unlockLevel: 2,
+    rarity: 'rare',
+    tags: ['critical', 'weaponry'],
+    text: {
+      name: 'Critical Optics',
+      summary:
+        'Weak-point scanners time shots to structural faults for critical hits.',
+      lore: 'Mining survey lenses repurposed to find fracture lines in anything that moves.',
+      levels: [
+        {
+          title: 'Fault Scanner',
+          description: 'Hits have a 10% chance to crit for 150% damage.',
+          highlights: ['Critical hits show gold damage numbers and markers.'],
+        },
+        {
+          title: 'Stress Mapping',
+          description: 'Raises crit chance to 18% and crit damage to 175%.',
+          highlights: ['Applies to both weapon slots.'],
+        },
+        {
+          title: 'Resonant Lock',
+          description: 'Raises crit chance to 25% and crit damage to 225%.',
+          highlights: ['Crits are rolled on every direct hit.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-critical-strike',
+            payload: { chance: 0.1 },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-critical-strike',
+            payload: { chance: 0.08, multiplier: 0.25 },
+          },
+        ],
+      },
+      {
+        rank: 3,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-critical-strike',
+            payload: { chance: 0.07, multiplier: 0.5 },
+          },
+        ],
+      },
+    ],
+  },
   {
     id: 'targeting_suite',
     category: 'offense',
     icon: '🎯',
     themeColor: '#FFD166',
     unlockLevel: 3,
+    rarity: 'epic',
     tags: ['aim', 'tactical', 'weaponry'],
     text: {
       name: 'Targeting Matrix',
       summary:
-        'Implants combat heuristics that prioritize critical threats and refine shot prediction.',
+        'Implants combat heuristics that prioritize critical threats and refine shot prediction. With Manual Weapons, each level strengthens aim assist instead of locking on.',
       lore: 'Experimental firmware extracted from escort drones, calibrated for instant hazard reading in chaotic scenarios.',
       levels: [
         {
@@ -225,4 +300,297 @@ export const OFFENSE_UPGRADES = deepFreeze([
       },
     ],
   },
+  {
+    id: 'homing_missiles',
+    category: 'offense',
+    icon: '🚀',
+    themeColor: '#FF8A5C',
+    unlockLevel: 3,
+    rarity: 'epic',
+    exclusiveGroup: 'secondary-weapon',
+    tags: ['secondary', 'projectiles', 'weaponry'],
+    text: {
+      name: 'Homing Missiles',
+      summary:
+        'Mounts a missile pod in the secondary slot that hunts the nearest threat.',
+      lore: 'Scavenged from a decommissioned picket frigate. The seekers still hum with their old fleet IFF codes.',
+      levels: [
+        {
+          title: 'Seeker Pod',
+          description:
+            'Equips a secondary pod firing two homing missiles that explode on impact.',
+          highlights: [
+            'Occupies the secondary weapon slot.',
+            'Missiles splash nearby enemies for half damage.',
+          ],
+        },
+        {
+          title: 'Triple Rack',
+          description: 'Adds a third missile to every salvo.',
+          highlights: ['Wider salvo fan covers flanking threats.'],
+        },
+        {
+          title: 'Shaped Warheads',
+          description: 'Missiles deal +30% damage and reload 20% faster.',
+          highlights: ['Cooldown drops from 2.4s to about 1.9s.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'homing-missiles' },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'homing-missiles', add: { projectiles: 1 } },
+          },
+        ],
+      },
+      {
+        rank: 3,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: {
+              weaponId: 'homing-missiles',
+              multiply: { damage: 1.3, cooldown: 0.8 },
+            },
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'railgun',
+    category: 'offense',
+    icon: '🔱',
+    themeColor: '#7DF9FF',
+    unlockLevel: 4,
+    rarity: 'epic',
+    exclusiveGroup: 'secondary-weapon',
+    tags: ['secondary', 'damage', 'weaponry'],
+    text: {
+      name: 'Piercing Railgun',
+      summary:
+        'Charges a magnetic rail in the secondary slot that punches through whole lines of enemies.',
+      lore: 'The capacitor bank was designed for a cargo hauler. Nobody asked what it was hauling.',
+      levels: [
+        {
+          title: 'Magnetic Rail',
+          description: 'Equips a railgun slug that pierces up to four enemies.',
+          highlights: [
+            'Occupies the secondary weapon slot.',
+            'Very fast slug with long reach.',
+          ],
+        },
+        {
+          title: 'Tungsten Core',
+          description: 'Pierces three more enemies and deals +25% damage.',
+          highlights: ['Ideal against tight asteroid clusters.'],
+        },
+        {
+          title: 'Supercooled Coils',
+          description: 'Reloads 30% faster.',
+          highlights: ['Cooldown drops from 3s to 2.1s.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'railgun' },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: {
+              weaponId: 'railgun',
+              add: { pierce: 3 },
+              multiply: { damage: 1.25 },
+            },
+          },
+        ],
+      },
+      {
+        rank: 3,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'railgun', multiply: { cooldown: 0.7 } },
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'flak_burst',
+    category: 'offense',
+    icon: '🎆',
+    themeColor: '#FFD166',
+    unlockLevel: 3,
+    rarity: 'rare',
+    exclusiveGroup: 'secondary-weapon',
+    tags: ['secondary', 'projectiles', 'weaponry'],
+    text: {
+      name: 'Flak Burst',
+      summary:
+        'Loads a short-range flak cannon in the secondary slot that shreds anything close to the hull.',
+      lore: 'Point-defense hardware repurposed for offense. The shells are not picky about what they hit.',
+      levels: [
+        {
+          title: 'Scatter Shell',
+          description:
+            'Equips a flak cannon firing seven pellets that burst at the end of their range.',
+          highlights: [
+            'Occupies the secondary weapon slot.',
+            'Bursts splash nearby enemies.',
+          ],
+        },
+        {
+          title: 'Dense Pattern',
+          description: 'Adds three pellets to every burst.',
+          highlights: ['Tighter coverage at close range.'],
+        },
+        {
+          title: 'Proximity Fuses',
+          description: 'Bursts grow 50% larger and pellets deal +20% damage.',
+          highlights: ['Great for clearing swarms around the ship.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'flak-burst' },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'flak-burst', add: { projectiles: 3 } },
+          },
+        ],
+      },
+      {
+        rank: 3,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: {
+              weaponId: 'flak-burst',
+              multiply: { explosionRadius: 1.5, damage: 1.2 },
+            },
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'proximity_mines',
+    category: 'offense',
+    icon: '💣',
+    themeColor: '#FF4D6D',
+    unlockLevel: 4,
+    rarity: 'rare',
+    exclusiveGroup: 'secondary-weapon',
+    tags: ['secondary', 'area', 'weaponry'],
+    text: {
+      name: 'Proximity Mines',
+      summary:
+        'Fits a mine layer in the secondary slot that seeds the field with area denial charges.',
+      lore: 'Standard issue on blockade runners. Leave them behind and let pursuers find them.',
+      levels: [
+        {
+          title: 'Mine Layer',
+          description:
+            'Equips proximity mines that arm after half a second and detonate when enemies come close.',
+          highlights: [
+            'Occupies the secondary weapon slot.',
+            'Up to three mines active; the oldest is replaced.',
+          ],
+        },
+        {
+          title: 'Wide Sensors',
+          description:
+            'Two more mines can stay active and their trigger radius grows 30%.',
+          highlights: ['Better zone control during boss fights.'],
+        },
+        {
+          title: 'Shaped Charges',
+          description: 'Mines deal +50% damage and deploy 25% faster.',
+          highlights: ['Cooldown drops from 3.5s to about 2.6s.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: { weaponId: 'proximity-mine' },
+          },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: {
+              weaponId: 'proximity-mine',
+              add: { maxActive: 2 },
+              multiply: { triggerRadius: 1.3 },
+            },
+          },
+        ],
+      },
+      {
+        rank: 3,
+        effects: [
+          {
+            type: 'event',
+            event: 'upgrade-secondary-weapon',
+            payload: {
+              weaponId: 'proximity-mine',
+              multiply: { damage: 1.5, cooldown: 0.75 },
+            },
+          },
+        ],
+      },
+    ],
+  },
 ]);
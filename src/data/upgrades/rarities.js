@@ -0,0 +1,67 @@
+// src/data/upgrades/rarities.js
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+
+/**
+ * @typedef {Object} UpgradeRarity
+ * @property {string} id Unique identifier for the tier.
+ * @property {string} label Human-readable label displayed on level-up cards.
+ * @property {number} tier Ordering index; anything above 0 counts as "rare"
+ *   for luck and pity.
+ * @property {number} weight Base roll weight of each upgrade in this tier.
+ * @property {string} themeColor Hex color used to accent the level-up card.
+ * @property {boolean} allowsUniqueEffects Whether upgrades of this tier may
+ *   carry effects flagged `unique: true`.
+ */
+
+export const UPGRADE_RARITIES = deepFreeze({
+  common: {
+    id: 'common',
+    label: 'Common',
+    tier: 0,
+    weight: 60,
+    themeColor: '#B8C4D6',
+    allowsUniqueEffects: false,
+  },
+  rare: {
+    id: 'rare',
+    label: 'Rare',
+    tier: 1,
+    weight: 30,
+    themeColor: '#4DA3FF',
+    allowsUniqueEffects: false,
+  },
+  epic: {
+    id: 'epic',
+    label: 'Epic',
+    tier: 2,
+    weight: 12,
+    themeColor: '#B36BFF',
+    allowsUniqueEffects: false,
+  },
+  legendary: {
+    id: 'legendary',
+    label: 'Legendary',
+    tier: 3,
+    weight: 4,
+    themeColor: '#FFB627',
+    allowsUniqueEffects: true,
+  },
+});
+
+export const DEFAULT_UPGRADE_RARITY = 'common';
+
+/**
+ * Bonuses applied to the weight of every non-common upgrade:
+ * - each point of luck adds `luckWeightBonus` × tier
+ * - after `pity.threshold` level-ups without a rare or better on offer, every
+ *   further dry level-up adds `pity.weightBonusPerLevel` × tier
+ * Luck comes from `upgrade-luck` upgrade effects and run modifiers.
+ */
+export const UPGRADE_RARITY_ROLL = deepFreeze({
+  luckWeightBonus: 0.25,
+  pity: {
+    threshold: 3,
+    weightBonusPerLevel: 0.5,
+  },
+});
@@ -11,6 +11,7 @@ export const UTILITY_UPGRADES = deepFreeze([
     icon: '🧲',
     themeColor: '#C08BFF',
     unlockLevel: 1,
+    rarity: 'common',
     tags: ['collection', 'magnetism'],
     text: {
       name: 'Magnetic Field',
@@ -106,4 +107,47 @@ export const UTILITY_UPGRADES = deepFreeze([
       },
     ],
   },
+  {
+    id: 'probability_core',
+    category: 'utility',
+    icon: '🎲',
+    themeColor: '#7FDBFF',
+    unlockLevel: 2,
+    rarity: 'rare',
+    tags: ['level-up', 'reroll'],
+    text: {
+      name: 'Probability Core',
+      summary:
+        'Tactical computer that forecasts alternative upgrade routes at every level-up.',
+      lore: 'Simulates thousands of refits per second and discards the ones that would get the pilot killed.',
+      levels: [
+        {
+          title: 'Branch Predictor',
+          description: 'Grants +2 reroll charges and +1 luck.',
+          highlights: [
+            'Rerolling replaces every offered upgrade.',
+            'Luck makes rare, epic and legendary upgrades more likely.',
+          ],
+        },
+        {
+          title: 'Pruning Routine',
+          description: 'Grants +1 reroll and +2 banish charges.',
+          highlights: ['Banished upgrades never appear again this run.'],
+        },
+      ],
+    },
+    levels: [
+      {
+        rank: 1,
+        effects: [
+          { type: 'level-up-charges', reroll: 2 },
+          { type: 'upgrade-luck', value: 1 },
+        ],
+      },
+      {
+        rank: 2,
+        effects: [{ type: 'level-up-charges', reroll: 1, banish: 2 }],
+      },
+    ],
+  },
 ]);
@@ -0,0 +1,22 @@
+// src/data/waves/index.js
+
+// Registry of authored wave scripts (see ./schema.js for the format)
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+import OPENING_GAUNTLET from './scripts/opening-gauntlet.json';
+
+export const WAVE_SCRIPTS = deepFreeze({
+  [OPENING_GAUNTLET.id]: OPENING_GAUNTLET,
+});
+
+/**
+ * @param {string|null} id - Registry id
+ * @returns {Object|null} The wave script, or null when unknown
+ */
+export function getWaveScript(id) {
+  if (!id || !Object.prototype.hasOwnProperty.call(WAVE_SCRIPTS, id)) {
+    return null;
+  }
+
+  return WAVE_SCRIPTS[id];
+}
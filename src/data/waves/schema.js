@@ -0,0 +1,366 @@
+/**
+ * Wave Script Schema
+ *
+ * Documents the authored wave-script format consumed by WaveManager and
+ * validates scripts before they are loaded. Scripts are plain JSON modules
+ * registered in `data/waves/index.js`.
+ *
+ * Wave N of a run plays `waves[N - 1]`; after the last scripted wave
+ * WaveManager falls back to procedural generation.
+ *
+ * ASTEROID OWNERSHIP:
+ * - Asteroid groups follow WAVEMANAGER_HANDLES_ASTEROID_SPAWN, exactly like
+ *   the built-in wave configs. While the legacy spawner owns asteroids, scripted
+ *   asteroid groups are filtered out and only support enemies and bosses spawn.
+ *
+ * @module waves/schema
+ */
+
+import { deepFreeze } from '../../utils/deepFreeze.js';
+import { ASTEROID_VARIANTS } from '../enemies/asteroid-configs.js';
+import { getBossArchetype } from '../enemies/boss.js';
+import { ENEMY_FORMATION_TYPES } from '../constants/gameplay.js';
+import { HAZARD_TYPES } from '../hazards.js';
+
+export const WAVE_SCRIPT_FORMAT_VERSION = 1;
+
+export const WAVE_SCRIPT_ENEMY_TYPES = deepFreeze([
+  'asteroid',
+  'drone',
+  'mine',
+  'hunter',
+  'sniper',
+  'carrier',
+]);
+
+export const WAVE_SCRIPT_ASTEROID_SIZES = deepFreeze([
+  'small',
+  'medium',
+  'large',
+  'auto',
+]);
+
+export const WAVE_SCRIPT_HAZARD_TYPES = deepFreeze(Object.keys(HAZARD_TYPES));
+
+/** Edge names in the order used by WaveManager.calculateEdgeSpawnPosition(). */
+export const WAVE_SCRIPT_EDGES = deepFreeze(['top', 'right', 'bottom', 'left']);
+
+export const WAVE_SCRIPT_BOSS_FIELDS = deepFreeze([
+  'archetype',
+  'displayName',
+  'health',
+  'healthScaling',
+  'radius',
+  'entryDriftSpeed',
+]);
+
+/**
+ * Where each enemy of a group enters. Omit to keep the default placement for
+ * the enemy type.
+ *
+ * @typedef {Object} WaveScriptSpawn
+ * @property {string} [edge] - One of WAVE_SCRIPT_EDGES; random point along it.
+ *   Asteroids enter from just outside the edge, other enemies just inside it
+ * @property {number} [x] - Fixed position as a fraction of world width (0-1)
+ * @property {number} [y] - Fixed position as a fraction of world height (0-1)
+ */
+
+/**
+ * @typedef {Object} WaveScriptGroup
+ * @property {string} type - One of WAVE_SCRIPT_ENEMY_TYPES
+ * @property {number} count - Enemies in the group (positive integer)
+ * @property {string} [size] - Asteroids only, one of WAVE_SCRIPT_ASTEROID_SIZES
+ * @property {string} [variant] - Asteroids only, a key of ASTEROID_VARIANTS
+ * @property {Object<string, number>} [variants] - Asteroids only, weighted
+ *   variant mix rolled per asteroid (e.g. `{ "common": 3, "iron": 1 }`)
+ * @property {number} [delay] - Seconds after wave start before the first spawn
+ * @property {number} [interval] - Seconds between spawns within the group
+ * @property {WaveScriptSpawn} [spawn] - Spawn edge or fixed position
+ * @property {string} [formation] - Move as a squadron, one of
+ *   ENEMY_FORMATION_TYPES (not for asteroids)
+ */
+
+/**
+ * An environmental hazard placed at wave start (see data/hazards.js).
+ *
+ * @typedef {Object} WaveScriptHazard
+ * @property {string} type - One of WAVE_SCRIPT_HAZARD_TYPES
+ * @property {number} [x] - Position as a fraction of world width (0-1)
+ * @property {number} [y] - Position as a fraction of world height (0-1)
+ * @property {string} [axis] - Solar flares only, 'x' sweeps horizontally and
+ *   'y' vertically
+ * @property {number} [direction] - Solar flares only, 1 or -1
+ */
+
+/**
+ * @typedef {Object} WaveScriptWave
+ * @property {WaveScriptGroup[]} [enemies] - Groups spawned this wave
+ * @property {WaveScriptHazard[]} [hazards] - Hazards of this wave; omit to
+ *   roll them procedurally, `[]` for none
+ * @property {boolean|Object} [boss] - `true` for the default boss entry, or an
+ *   object overriding WAVE_SCRIPT_BOSS_FIELDS. `archetype` picks a key of
+ *   BOSS_ARCHETYPES instead of the wave's rotation. When `enemies` is omitted
+ *   the boss keeps its procedural support groups.
+ */
+
+/**
+ * @typedef {Object} WaveScript
+ * @property {string} id - Registry id
+ * @property {string} [name] - Display name
+ * @property {number} [version] - Format version, defaults to current
+ * @property {WaveScriptWave[]} waves - Waves in play order, starting at wave 1
+ *
+ * @example
+ * {
+ *   "id": "example",
+ *   "waves": [
+ *     { "enemies": [{ "type": "drone", "count": 2, "spawn": { "edge": "top" } }] },
+ *     { "boss": { "health": 2400 }, "enemies": [] }
+ *   ]
+ * }
+ */
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function validateSpawn(spawn, path, errors) {
+  if (!isPlainObject(spawn)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const hasEdge = spawn.edge !== undefined;
+  const hasPosition = spawn.x !== undefined || spawn.y !== undefined;
+
+  if (hasEdge && hasPosition) {
+    errors.push(`${path} cannot set both edge and x/y`);
+  }
+  if (hasEdge && !WAVE_SCRIPT_EDGES.includes(spawn.edge)) {
+    errors.push(`${path}.edge must be one of ${WAVE_SCRIPT_EDGES.join(', ')}`);
+  }
+  if (hasPosition) {
+    ['x', 'y'].forEach((axis) => {
+      const value = spawn[axis];
+      if (!isNonNegativeNumber(value) || value > 1) {
+        errors.push(`${path}.${axis} must be a number between 0 and 1`);
+      }
+    });
+  }
+  if (!hasEdge && !hasPosition) {
+    errors.push(`${path} needs an edge or x/y`);
+  }
+}
+
+function validateGroup(group, path, errors) {
+  if (!isPlainObject(group)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (!WAVE_SCRIPT_ENEMY_TYPES.includes(group.type)) {
+    errors.push(
+      `${path}.type must be one of ${WAVE_SCRIPT_ENEMY_TYPES.join(', ')}`
+    );
+  }
+  if (!Number.isInteger(group.count) || group.count <= 0) {
+    errors.push(`${path}.count must be a positive integer`);
+  }
+
+  const isAsteroid = group.type === 'asteroid';
+  ['size', 'variant', 'variants'].forEach((field) => {
+    if (!isAsteroid && group[field] !== undefined) {
+      errors.push(`${path}.${field} only applies to asteroids`);
+    }
+  });
+
+  if (
+    group.size !== undefined &&
+    !WAVE_SCRIPT_ASTEROID_SIZES.includes(group.size)
+  ) {
+    errors.push(
+      `${path}.size must be one of ${WAVE_SCRIPT_ASTEROID_SIZES.join(', ')}`
+    );
+  }
+  if (group.variant !== undefined && !ASTEROID_VARIANTS[group.variant]) {
+    errors.push(`${path}.variant "${group.variant}" is not a known variant`);
+  }
+  if (group.variants !== undefined) {
+    if (group.variant !== undefined) {
+      errors.push(`${path} cannot set both variant and variants`);
+    }
+    if (!isPlainObject(group.variants)) {
+      errors.push(`${path}.variants must be an object of weights`);
+    } else {
+      let totalWeight = 0;
+      Object.entries(group.variants).forEach(([variant, weight]) => {
+        if (!ASTEROID_VARIANTS[variant]) {
+          errors.push(`${path}.variants "${variant}" is not a known variant`);
+        }
+        if (!isNonNegativeNumber(weight)) {
+          errors.push(`${path}.variants.${variant} must be a weight >= 0`);
+        } else {
+          totalWeight += weight;
+        }
+      });
+      if (totalWeight <= 0) {
+        errors.push(`${path}.variants needs at least one positive weight`);
+      }
+    }
+  }
+
+  if (group.formation !== undefined) {
+    if (isAsteroid) {
+      errors.push(`${path}.formation does not apply to asteroids`);
+    } else if (!ENEMY_FORMATION_TYPES.includes(group.formation)) {
+      errors.push(
+        `${path}.formation must be one of ${ENEMY_FORMATION_TYPES.join(', ')}`
+      );
+    }
+  }
+
+  ['delay', 'interval'].forEach((field) => {
+    if (group[field] !== undefined && !isNonNegativeNumber(group[field])) {
+      errors.push(`${path}.${field} must be a number of seconds >= 0`);
+    }
+  });
+
+  if (group.spawn !== undefined) {
+    validateSpawn(group.spawn, `${path}.spawn`, errors);
+  }
+}
+
+function validateHazard(hazard, path, errors) {
+  if (!isPlainObject(hazard)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (!WAVE_SCRIPT_HAZARD_TYPES.includes(hazard.type)) {
+    errors.push(
+      `${path}.type must be one of ${WAVE_SCRIPT_HAZARD_TYPES.join(', ')}`
+    );
+  }
+  ['x', 'y'].forEach((axis) => {
+    const value = hazard[axis];
+    if (value !== undefined && (!isNonNegativeNumber(value) || value > 1)) {
+      errors.push(`${path}.${axis} must be a number between 0 and 1`);
+    }
+  });
+
+  const isFlare = hazard.type === 'solar-flare';
+  ['axis', 'direction'].forEach((field) => {
+    if (!isFlare && hazard[field] !== undefined) {
+      errors.push(`${path}.${field} only applies to solar flares`);
+    }
+  });
+  if (hazard.axis !== undefined && !['x', 'y'].includes(hazard.axis)) {
+    errors.push(`${path}.axis must be x or y`);
+  }
+  if (hazard.direction !== undefined && ![1, -1].includes(hazard.direction)) {
+    errors.push(`${path}.direction must be 1 or -1`);
+  }
+}
+
+function validateBoss(boss, path, errors) {
+  if (boss === true) {
+    return;
+  }
+  if (!isPlainObject(boss)) {
+    errors.push(`${path} must be true or an object of overrides`);
+    return;
+  }
+
+  Object.entries(boss).forEach(([field, value]) => {
+    if (!WAVE_SCRIPT_BOSS_FIELDS.includes(field)) {
+      errors.push(`${path}.${field} is not an overridable boss field`);
+    } else if (field === 'archetype') {
+      if (!getBossArchetype(value)) {
+        errors.push(
+          `${path}.archetype "${value}" is not a known boss archetype`
+        );
+      }
+    } else if (field === 'displayName') {
+      if (typeof value !== 'string' || !value.trim()) {
+        errors.push(`${path}.displayName must be a non-empty string`);
+      }
+    } else if (!isNonNegativeNumber(value) || value === 0) {
+      errors.push(`${path}.${field} must be a positive number`);
+    }
+  });
+}
+
+/**
+ * Validates an authored wave script.
+ *
+ * @param {WaveScript} script - Parsed JSON module
+ * @returns {string[]} Error messages; empty when the script is valid
+ */
+export function validateWaveScript(script) {
+  const errors = [];
+
+  if (!isPlainObject(script)) {
+    return ['script must be an object'];
+  }
+
+  if (typeof script.id !== 'string' || !script.id.trim()) {
+    errors.push('id must be a non-empty string');
+  }
+  if (
+    script.version !== undefined &&
+    script.version !== WAVE_SCRIPT_FORMAT_VERSION
+  ) {
+    errors.push(
+      `version ${script.version} is not supported (expected ${WAVE_SCRIPT_FORMAT_VERSION})`
+    );
+  }
+  if (!Array.isArray(script.waves) || script.waves.length === 0) {
+    errors.push('waves must be a non-empty array');
+    return errors;
+  }
+
+  script.waves.forEach((wave, index) => {
+    const path = `waves[${index}]`;
+    if (!isPlainObject(wave)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (wave.boss !== undefined) {
+      validateBoss(wave.boss, `${path}.boss`, errors);
+    }
+
+    if (wave.hazards !== undefined) {
+      if (!Array.isArray(wave.hazards)) {
+        errors.push(`${path}.hazards must be an array`);
+      } else {
+        wave.hazards.forEach((hazard, hazardIndex) => {
+          validateHazard(hazard, `${path}.hazards[${hazardIndex}]`, errors);
+        });
+      }
+    }
+
+    if (wave.enemies === undefined) {
+      if (wave.boss === undefined) {
+        errors.push(`${path} needs enemies or a boss`);
+      }
+      return;
+    }
+
+    if (!Array.isArray(wave.enemies)) {
+      errors.push(`${path}.enemies must be an array`);
+      return;
+    }
+    if (wave.enemies.length === 0 && wave.boss === undefined) {
+      errors.push(`${path}.enemies cannot be empty without a boss`);
+    }
+
+    wave.enemies.forEach((group, groupIndex) => {
+      validateGroup(group, `${path}.enemies[${groupIndex}]`, errors);
+    });
+  });
+
+  return errors;
+}
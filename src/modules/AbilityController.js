@@ -0,0 +1,285 @@
+import { ACTIVE_ABILITIES } from '../data/abilities.js';
+
+/**
+ * Tracks charges and cooldowns of the ship's active abilities (see
+ * data/abilities.js).
+ *
+ * The controller only keeps the slot bookkeeping; what an ability does is up
+ * to the handler its owner registers under the same id:
+ * - `activate(slot)`: performs the effect, returning false when it could not
+ *   (no charge is spent then)
+ * - `canActivate(slot)`: optional, returns a failure reason or null
+ * - `isUnlocked(slot)`: optional, replaces the slot's own unlocked flag
+ * - `onReady(slot)`: optional, called whenever a charge comes back
+ * PlayerSystem owns the only instance.
+ *
+ * @example
+ * ```js
+ * const abilities = new AbilityController({
+ *   handlers: { dash: { activate: (slot) => ship.blink(slot.definition) } },
+ * });
+ * abilities.activate('dash'); // { activated: true, reason: null }
+ * abilities.update(deltaTime);
+ * ```
+ */
+export class AbilityController {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, Object>} [options.handlers] - Handlers by ability id
+   */
+  constructor(options = {}) {
+    this.handlers = { ...(options.handlers || {}) };
+    this.slots = new Map();
+    this.reset();
+  }
+
+  /**
+   * Restores every slot (or only `id`) to its definition: full charges, no
+   * cooldown and the default unlock state.
+   *
+   * @param {string} [id]
+   */
+  reset(id) {
+    const definitions = id
+      ? [ACTIVE_ABILITIES[id]].filter(Boolean)
+      : Object.values(ACTIVE_ABILITIES);
+
+    definitions.forEach((definition) => {
+      this.slots.set(definition.id, {
+        id: definition.id,
+        definition,
+        unlocked: Boolean(definition.unlockedByDefault),
+        charges: definition.charges,
+        maxCharges: definition.charges,
+        cooldown: definition.cooldown,
+        cooldownTimer: 0,
+      });
+    });
+  }
+
+  getSlot(id) {
+    return this.slots.get(id) || null;
+  }
+
+  isUnlocked(id) {
+    const slot = this.slots.get(id);
+    if (!slot) {
+      return false;
+    }
+
+    const handler = this.handlers[id];
+    return typeof handler?.isUnlocked === 'function'
+      ? Boolean(handler.isUnlocked(slot))
+      : slot.unlocked;
+  }
+
+  /**
+   * Changes a slot's cooldown or charge capacity. A running cooldown is
+   * clamped to the new duration and banked charges to the new capacity.
+   *
+   * @param {string} id
+   * @param {Object} options
+   * @param {number} [options.cooldown]
+   * @param {number} [options.charges]
+   */
+  configure(id, { cooldown, charges } = {}) {
+    const slot = this.slots.get(id);
+    if (!slot) {
+      return;
+    }
+
+    if (Number.isFinite(cooldown)) {
+      slot.cooldown = Math.max(0, cooldown);
+      slot.cooldownTimer = Math.min(slot.cooldownTimer, slot.cooldown);
+    }
+
+    if (Number.isFinite(charges)) {
+      slot.maxCharges = Math.max(1, Math.floor(charges));
+      slot.charges = Math.min(slot.charges, slot.maxCharges);
+    }
+  }
+
+  /**
+   * Spends a charge and runs the ability's handler.
+   *
+   * @param {string} id
+   * @returns {{activated: boolean, reason: string|null}} `reason` is one of
+   *   'unknown', 'locked', 'cooldown', 'unavailable' or a handler reason
+   */
+  activate(id) {
+    const slot = this.slots.get(id);
+    const handler = this.handlers[id];
+    if (!slot || !handler) {
+      return { activated: false, reason: 'unknown' };
+    }
+
+    if (!this.isUnlocked(id)) {
+      return { activated: false, reason: 'locked' };
+    }
+
+    const blocked =
+      typeof handler.canActivate === 'function'
+        ? handler.canActivate(slot)
+        : null;
+    if (blocked) {
+      return { activated: false, reason: blocked };
+    }
+
+    if (slot.charges <= 0) {
+      return { activated: false, reason: 'cooldown' };
+    }
+
+    if (handler.activate(slot) === false) {
+      return { activated: false, reason: 'unavailable' };
+    }
+
+    slot.charges -= 1;
+    if (
+      slot.definition.cooldownTrigger === 'activation' &&
+      slot.cooldownTimer <= 0
+    ) {
+      this.startCooldown(id);
+    }
+
+    return { activated: true, reason: null };
+  }
+
+  /**
+   * Starts recharging a charge, spending it first if the slot is full.
+   * Abilities with a 'manual' trigger call this themselves; with no cooldown
+   * the charge comes back at once.
+   *
+   * @param {string} id
+   */
+  startCooldown(id) {
+    const slot = this.slots.get(id);
+    if (!slot) {
+      return;
+    }
+
+    slot.charges = Math.min(slot.charges, slot.maxCharges - 1);
+
+    if (slot.cooldown > 0) {
+      slot.cooldownTimer = slot.cooldown;
+      return;
+    }
+
+    this.restoreCharge(slot);
+  }
+
+  /**
+   * Ends any cooldown and refills every charge of a slot.
+   *
+   * @param {string} id
+   */
+  refill(id) {
+    const slot = this.slots.get(id);
+    if (slot) {
+      slot.cooldownTimer = 0;
+      slot.charges = slot.maxCharges;
+    }
+  }
+
+  /**
+   * Advances cooldowns, returning one charge each time a cooldown ends.
+   *
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    if (!Number.isFinite(deltaTime) || deltaTime <= 0) {
+      return;
+    }
+
+    for (const slot of this.slots.values()) {
+      if (slot.cooldownTimer <= 0) {
+        continue;
+      }
+
+      slot.cooldownTimer -= deltaTime;
+      if (slot.cooldownTimer <= 0) {
+        slot.cooldownTimer = 0;
+        this.restoreCharge(slot);
+      }
+    }
+  }
+
+  restoreCharge(slot) {
+    slot.charges = Math.min(slot.maxCharges, slot.charges + 1);
+    if (
+      slot.charges < slot.maxCharges &&
+      slot.definition.cooldownTrigger === 'activation'
+    ) {
+      slot.cooldownTimer = slot.cooldown;
+    }
+    this.handlers[slot.id]?.onReady?.(slot);
+  }
+
+  /**
+   * @returns {Object<string, {charges: number, cooldownTimer: number}>}
+   *   Banked charges and running cooldowns by ability id
+   */
+  exportState() {
+    return Object.fromEntries(
+      Array.from(this.slots.values(), (slot) => [
+        slot.id,
+        { charges: slot.charges, cooldownTimer: slot.cooldownTimer },
+      ])
+    );
+  }
+
+  /**
+   * Restores charges and cooldowns from exportState(). Capacities come from
+   * configure(), so call it after the upgrades have been re-applied; values
+   * are clamped to the current capacity and cooldown.
+   *
+   * @param {Object} state
+   */
+  importState(state) {
+    if (!state || typeof state !== 'object') {
+      return;
+    }
+
+    for (const slot of this.slots.values()) {
+      const saved = state[slot.id];
+      if (!saved) {
+        continue;
+      }
+
+      if (Number.isFinite(saved.charges)) {
+        slot.charges = Math.max(
+          0,
+          Math.min(slot.maxCharges, Math.floor(saved.charges))
+        );
+      }
+
+      if (Number.isFinite(saved.cooldownTimer)) {
+        slot.cooldownTimer = Math.max(
+          0,
+          Math.min(slot.cooldown, saved.cooldownTimer)
+        );
+      }
+    }
+  }
+
+  /**
+   * @returns {Array<Object>} One entry per slot, in data order, for the HUD
+   */
+  getStates() {
+    return Array.from(this.slots.values(), (slot) => ({
+      id: slot.id,
+      name: slot.definition.name,
+      icon: slot.definition.icon,
+      color: slot.definition.color,
+      binding: slot.definition.binding,
+      unlocked: this.isUnlocked(slot.id),
+      charges: slot.charges,
+      maxCharges: slot.maxCharges,
+      cooldown: slot.cooldown,
+      cooldownTimer: slot.cooldownTimer,
+      cooldownRatio:
+        slot.cooldown > 0 ? Math.min(1, slot.cooldownTimer / slot.cooldown) : 0,
+    }));
+  }
+}
+
+export default AbilityController;
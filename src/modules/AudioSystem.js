@@ -380,6 +380,10 @@ class AudioSystem extends BaseSystem {
       this.playMineExplosion(data);
     });
 
+    this.registerEventListener('secondary-weapon-detonated', (data = {}) => {
+      this.playMineExplosion(data);
+    });
+
     this.registerEventListener('boss-spawned', (data = {}) => {
       this.playBossRoar(data);
       this._onBossFightStarted(data);
@@ -402,7 +406,7 @@ class AudioSystem extends BaseSystem {
           ? data.damage
           : 0;
 
-      if (data?.blocked && data?.invulnerable) {
+      if (data?.blocked && (data?.invulnerable || data?.deflected)) {
         this.playBossShieldDeflect();
       } else if (effectiveDamage > 0 || data?.killed) {
         this.playBulletHit(data?.killed || false);
@@ -437,6 +441,17 @@ class AudioSystem extends BaseSystem {
       this.playShieldShockwave();
     });
 
+    this.registerEventListener('player-emp-pulse', () => {
+      this.playShieldShockwave();
+    });
+
+    // The shield already plays its cue through shield-activation-failed
+    this.registerEventListener('ability-activation-failed', (data) => {
+      if (data?.abilityId !== 'shield') {
+        this.playShieldFail();
+      }
+    });
+
     // UI Sound Effects
     this.registerEventListener('upgrade-applied', (data) => {
       this.playUpgradeSelect(data?.rarity || 'common');
@@ -3609,6 +3624,7 @@ class AudioSystem extends BaseSystem {
       uncommon: 554, // C#5
       rare: 659, // E5
       epic: 784, // G5
+      legendary: 988, // B5
     };
 
     const freq = frequencies[rarity] || 440;
@@ -29,6 +29,14 @@ import {
   ASTEROID_SIZE_ORB_FACTOR,
   ORB_VALUE,
 } from '../data/enemies/asteroid-configs.js';
+import {
+  SECONDARY_WEAPON_STATS,
+  getSecondaryWeapon,
+} from '../data/secondaryWeapons.js';
+import {
+  DEFAULT_DAMAGE_TYPE,
+  resolveResistanceMultiplier,
+} from '../data/damageTypes.js';
 
 const COMBAT_SERVICE_MAP = {
   cachedPlayer: 'player',
@@ -42,7 +50,10 @@ class CombatSystem extends BaseSystem {
     super(dependencies, {
       systemName: 'CombatSystem',
       serviceName: 'combat',
-      enableRandomManagement: false,
+      enableRandomManagement: true,
+      randomForkLabels: {
+        crits: 'combat.crits',
+      },
     });
 
     this.commandQueue = null;
@@ -123,8 +134,27 @@ class CombatSystem extends BaseSystem {
     this.lastKnownPlayerStats = null;
     this.lastPrimaryTargetId = null;
 
+    // === MIRA MANUAL ===
+    // Fed by 'aim' and 'firePrimary' commands from InputSystem.
+    this.manualAim = {
+      enabled: false,
+      point: null,
+      direction: null,
+      firing: false,
+    };
+
     this.resetAimingBranchState();
 
+    // === ARMA SECUNDÁRIA ===
+    // Equipped by 'upgrade-secondary-weapon', fired by 'fireSecondary' commands.
+    this.secondaryWeapon = null;
+    this.secondaryCooldownTimer = 0;
+    this.secondaryFiring = false;
+
+    // === TIPO DE DANO ===
+    // Primary shots use this type; secondary weapons declare their own.
+    this.primaryDamageType = DEFAULT_DAMAGE_TYPE;
+
     // === CACHES DE SERVIÇOS ===
     this.cachedPlayer = null;
     this.cachedEnemies = null;
@@ -145,6 +175,8 @@ class CombatSystem extends BaseSystem {
   setupEventListeners() {
     this.registerEventListener('player-reset', () => {
       this.resolveCachedServices(COMBAT_SERVICE_MAP, { force: true });
+      this.manualAim.firing = false;
+      this.secondaryFiring = false;
       this.currentTarget = null;
       this.currentTargetLocks = [];
       this.currentLockAssignments = [];
@@ -161,6 +193,8 @@ class CombatSystem extends BaseSystem {
     this.registerEventListener('progression-reset', () => {
       this.resolveCachedServices(COMBAT_SERVICE_MAP, { force: true });
       this.resetAimingBranchState();
+      this.resetSecondaryWeapon();
+      this.primaryDamageType = DEFAULT_DAMAGE_TYPE;
       this.targetThreatCache.clear();
       this.clearEnemyBullets();
     });
@@ -185,9 +219,27 @@ class CombatSystem extends BaseSystem {
     });
 
     this.registerEventListener('upgrade-aiming-suite', (data) => {
+      if (data?.revoke) {
+        this.resetAimingBranchState();
+        return;
+      }
       this.applyAimingUpgrade(data || {});
     });
 
+    this.registerEventListener('upgrade-secondary-weapon', (data) => {
+      this.applySecondaryWeaponUpgrade(data || {});
+    });
+
+    this.registerEventListener('upgrade-primary-damage-type', (data) => {
+      if (data?.revoke) {
+        if (this.primaryDamageType === data.damageType) {
+          this.primaryDamageType = DEFAULT_DAMAGE_TYPE;
+        }
+        return;
+      }
+      this.primaryDamageType = data?.damageType || DEFAULT_DAMAGE_TYPE;
+    });
+
     // Enemy projectiles are forwarded to the combat system by EnemySystem.
     // Subscribing here would duplicate the handling and spawn two bullets.
   }
@@ -209,6 +261,7 @@ class CombatSystem extends BaseSystem {
         ? player.getStats()
         : null;
     this.lastKnownPlayerStats = playerStats || null;
+    this.consumeWeaponCommands();
 
     // Only target and shoot when ship hull exists (visible and alive)
     if (
@@ -217,11 +270,19 @@ class CombatSystem extends BaseSystem {
       !player.isRetrying &&
       !player._quitExplosionHidden
     ) {
-      this.updateTargeting(deltaTime);
+      if (!this.manualAim.enabled) {
+        if (player.isTargetingJammed?.()) {
+          this.releaseTargetLocks();
+        } else {
+          this.updateTargeting(deltaTime);
+        }
+      }
 
       if (playerStats) {
         this.handleShooting(deltaTime, playerStats);
       }
+
+      this.handleSecondaryWeapon(deltaTime);
     }
 
     // Always update bullets - they keep flying even without ship hull
@@ -252,6 +313,351 @@ class CombatSystem extends BaseSystem {
     }
   }
 
+  // === COMANDOS DE ARMA ===
+  consumeWeaponCommands() {
+    const queue = this.commandQueue;
+    if (!queue || typeof queue.consume !== 'function') {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = queue.consume({
+        types: ['aim', 'firePrimary', 'fireSecondary'],
+        consumerId: this.commandQueueConsumerId,
+      });
+    } catch (error) {
+      console.warn('[CombatSystem] Failed to consume weapon commands:', error);
+      return;
+    }
+
+    if (Array.isArray(entries)) {
+      entries.forEach((entry) => this.applyWeaponCommand(entry));
+    }
+  }
+
+  applyWeaponCommand(entry) {
+    const payload = entry?.payload;
+    if (!payload || typeof payload !== 'object') {
+      return;
+    }
+
+    if (entry.type === 'firePrimary') {
+      this.manualAim.firing = payload.phase === 'pressed';
+      return;
+    }
+
+    if (entry.type === 'fireSecondary') {
+      this.secondaryFiring = payload.phase === 'pressed';
+      return;
+    }
+
+    const enabled = payload.manual === true;
+    if (enabled && !this.manualAim.enabled) {
+      this.releaseTargetLocks();
+    }
+
+    const toVector = (value) =>
+      value && Number.isFinite(value.x) && Number.isFinite(value.y)
+        ? { x: value.x, y: value.y }
+        : null;
+
+    this.manualAim.enabled = enabled;
+    this.manualAim.point = enabled ? toVector(payload.point) : null;
+    this.manualAim.direction = enabled ? toVector(payload.direction) : null;
+  }
+
+  releaseTargetLocks() {
+    if (this.lastPrimaryTargetId !== null) {
+      this.eventBus?.emit?.('combat-target-lock', { lost: true });
+    }
+    this.currentTarget = null;
+    this.currentTargetLocks = [];
+    this.currentLockAssignments = [];
+    this.targetingPriorityList = [];
+    this.predictedAimPoints = [];
+    this.predictedAimPointsMap.clear();
+    this.lastPrimaryTargetId = null;
+  }
+
+  isManualAimEnabled() {
+    return this.manualAim.enabled;
+  }
+
+  // === ARMA SECUNDÁRIA ===
+  resetSecondaryWeapon() {
+    this.secondaryWeapon = null;
+    this.secondaryCooldownTimer = 0;
+    this.secondaryFiring = false;
+  }
+
+  /**
+   * Equips the payload's archetype (replacing any other) and applies its
+   * `add`/`multiply` stat changes on top of the current stats.
+   * @param {{weaponId: string, add?: Object, multiply?: Object}} data
+   */
+  applySecondaryWeaponUpgrade(data = {}) {
+    const definition = getSecondaryWeapon(data.weaponId);
+    if (!definition) {
+      console.warn(
+        '[CombatSystem] Unknown secondary weapon:',
+        data.weaponId ?? null
+      );
+      return;
+    }
+
+    if (!this.secondaryWeapon || this.secondaryWeapon.id !== definition.id) {
+      this.secondaryWeapon = { ...definition };
+      this.secondaryCooldownTimer = 0;
+    }
+
+    const weapon = this.secondaryWeapon;
+    SECONDARY_WEAPON_STATS.forEach((stat) => {
+      const added = Number(data.add?.[stat]);
+      if (Number.isFinite(added)) {
+        weapon[stat] = this.toNumber(weapon[stat], 0) + added;
+      }
+
+      const factor = Number(data.multiply?.[stat]);
+      if (Number.isFinite(factor) && factor > 0) {
+        weapon[stat] = this.toNumber(weapon[stat], 0) * factor;
+      }
+    });
+  }
+
+  handleSecondaryWeapon(deltaTime) {
+    const weapon = this.secondaryWeapon;
+    if (!weapon) {
+      return;
+    }
+
+    this.secondaryCooldownTimer = Math.max(
+      0,
+      this.secondaryCooldownTimer - deltaTime
+    );
+    if (
+      !this.secondaryFiring ||
+      this.secondaryCooldownTimer > 0 ||
+      this.isWeaponJammed()
+    ) {
+      return;
+    }
+
+    const player = this.getCachedPlayer();
+    const playerPos =
+      player && typeof player.getPosition === 'function'
+        ? player.getPosition()
+        : null;
+    if (!playerPos) {
+      return;
+    }
+
+    this.fireSecondaryWeapon(playerPos, player);
+  }
+
+  fireSecondaryWeapon(playerPos, player) {
+    const weapon = this.secondaryWeapon;
+    const aimAngle = this.resolveSecondaryAimAngle(playerPos, player);
+    const count = Math.max(1, Math.floor(weapon.projectiles || 1));
+    const spread = Math.max(0, this.toNumber(weapon.spread, 0));
+    const options = {
+      weaponId: weapon.id,
+      behavior: weapon.behavior,
+      speed: weapon.speed,
+      lifetime: weapon.lifetime,
+      radius: weapon.radius,
+      color: weapon.color,
+      pierce: weapon.pierce,
+      turnRate: weapon.turnRate,
+      drag: weapon.drag,
+      armTime: weapon.armTime,
+      triggerRadius: weapon.triggerRadius,
+      explosionRadius: weapon.explosionRadius,
+      splashMultiplier: weapon.splashMultiplier,
+      damageType: weapon.damageType,
+    };
+    const range = 1000;
+    let firstTarget = null;
+
+    if (weapon.behavior === 'mine') {
+      this.enforceActiveMineLimit(weapon, count);
+    }
+
+    for (let shotIndex = 0; shotIndex < count; shotIndex += 1) {
+      const offset = count > 1 ? (shotIndex / (count - 1) - 0.5) * spread : 0;
+      const aimPoint = {
+        x: playerPos.x + Math.cos(aimAngle + offset) * range,
+        y: playerPos.y + Math.sin(aimAngle + offset) * range,
+      };
+      firstTarget = firstTarget || aimPoint;
+      this.createBullet(playerPos, aimPoint, weapon.damage, options);
+    }
+
+    this.secondaryCooldownTimer = Math.max(0.05, weapon.cooldown);
+
+    this.eventBus?.emit?.('weapon-fired', {
+      position: playerPos,
+      target: firstTarget,
+      weaponType: weapon.id,
+      secondary: true,
+      primaryTargetId: null,
+    });
+  }
+
+  resolveSecondaryAimAngle(playerPos, player) {
+    if (this.manualAim.enabled) {
+      return this.resolveManualAimAngle(playerPos, player);
+    }
+
+    if (this.currentTarget && !this.currentTarget.destroyed) {
+      const predicted =
+        this.getPredictedTargetPosition(this.currentTarget, playerPos) ||
+        this.currentTarget;
+      return Math.atan2(predicted.y - playerPos.y, predicted.x - playerPos.x);
+    }
+
+    const angle = typeof player.getAngle === 'function' ? player.getAngle() : 0;
+    return Number.isFinite(angle) ? angle : 0;
+  }
+
+  enforceActiveMineLimit(weapon, incoming) {
+    const maxActive = Math.max(1, Math.floor(weapon.maxActive || 1));
+    const mines = this.bullets.filter(
+      (bullet) =>
+        bullet.weaponId === weapon.id && !bullet.hit && bullet.life > 0
+    );
+
+    // Bullets are kept in firing order, so the oldest mines go first. An
+    // expired mine detonates, so evicted ones are retired as spent instead.
+    const excess = mines.length + incoming - maxActive;
+    for (let i = 0; i < excess && i < mines.length; i += 1) {
+      mines[i].hit = true;
+      mines[i].life = 0;
+    }
+  }
+
+  steerHomingBullet(bullet, deltaTime) {
+    let target = null;
+    let closestDistanceSq = Infinity;
+    this.forEachActiveEnemy((enemy) => {
+      if (!enemy || enemy.destroyed || this.isHiddenFromTargeting(enemy)) {
+        return;
+      }
+      const dx = enemy.x - bullet.x;
+      const dy = enemy.y - bullet.y;
+      const distanceSq = dx * dx + dy * dy;
+      if (distanceSq < closestDistanceSq) {
+        closestDistanceSq = distanceSq;
+        target = enemy;
+      }
+    });
+
+    if (!target) {
+      return;
+    }
+
+    const speed = Math.hypot(bullet.vx, bullet.vy);
+    const heading = Math.atan2(bullet.vy, bullet.vx);
+    const desired = Math.atan2(target.y - bullet.y, target.x - bullet.x);
+    const difference = Math.atan2(
+      Math.sin(desired - heading),
+      Math.cos(desired - heading)
+    );
+    const maxTurn = Math.max(0, bullet.turnRate) * deltaTime;
+    const angle = heading + Math.max(-maxTurn, Math.min(maxTurn, difference));
+
+    bullet.vx = Math.cos(angle) * speed;
+    bullet.vy = Math.sin(angle) * speed;
+  }
+
+  /** @returns {boolean} Whether an armed mine has an enemy in trigger range */
+  isMineTriggered(bullet) {
+    if (bullet.armTimer > 0 || bullet.triggerRadius <= 0) {
+      return false;
+    }
+
+    let triggered = false;
+    this.forEachActiveEnemy((enemy) => {
+      if (triggered || !enemy || enemy.destroyed) {
+        return;
+      }
+      const reach = bullet.triggerRadius + (enemy.radius || 0);
+      triggered = Math.hypot(enemy.x - bullet.x, enemy.y - bullet.y) <= reach;
+    });
+    return triggered;
+  }
+
+  /**
+   * Ends a secondary projectile and deals splash damage to every enemy within
+   * its explosion radius, except the one it hit directly.
+   */
+  detonateBullet(bullet, directHit = null) {
+    bullet.hit = true;
+
+    const radius = this.toNumber(bullet.explosionRadius, 0);
+    if (radius <= 0) {
+      return;
+    }
+
+    const position = { x: bullet.x, y: bullet.y };
+    const splashDamage =
+      this.toNumber(bullet.damage, 0) *
+      this.toNumber(bullet.splashMultiplier, 0);
+
+    if (splashDamage > 0) {
+      // Collect first: kills may reshuffle the active enemy list.
+      const victims = [];
+      this.forEachActiveEnemy((enemy) => {
+        if (!enemy || enemy.destroyed || enemy === directHit) {
+          return;
+        }
+        const reach = radius + (enemy.radius || 0);
+        if (Math.hypot(enemy.x - position.x, enemy.y - position.y) <= reach) {
+          victims.push(enemy);
+        }
+      });
+
+      victims.forEach((enemy) => {
+        this.processBulletHit(
+          {
+            ...position,
+            damage: splashDamage,
+            weaponId: bullet.weaponId,
+            damageType: bullet.damageType,
+            splash: true,
+            hit: false,
+          },
+          enemy,
+          this.cachedEnemies
+        );
+      });
+    }
+
+    this.eventBus?.emit?.('secondary-weapon-detonated', {
+      position,
+      radius,
+      damage: splashDamage,
+      weaponId: bullet.weaponId,
+    });
+  }
+
+  getSecondaryWeaponState() {
+    const weapon = this.secondaryWeapon;
+    if (!weapon) {
+      return null;
+    }
+
+    const cooldown = Math.max(0.05, weapon.cooldown);
+    return {
+      id: weapon.id,
+      name: weapon.name,
+      icon: weapon.icon,
+      color: weapon.color,
+      cooldownRatio: Math.min(1, this.secondaryCooldownTimer / cooldown),
+      ready: this.secondaryCooldownTimer <= 0,
+    };
+  }
+
   // === SISTEMA DE TARGETING ===
   updateTargeting(deltaTime) {
     this.targetIndicatorPulse = Math.max(
@@ -327,7 +733,7 @@ class CombatSystem extends BaseSystem {
     this.targetThreatCache.clear();
 
     const processEnemy = (enemy) => {
-      if (!enemy || enemy.destroyed) {
+      if (!enemy || enemy.destroyed || this.isHiddenFromTargeting(enemy)) {
         return;
       }
 
@@ -379,21 +785,7 @@ class CombatSystem extends BaseSystem {
       candidates.push(candidateEntry);
     };
 
-    if (typeof enemies.forEachActiveEnemy === 'function') {
-      enemies.forEachActiveEnemy(processEnemy);
-    } else if (typeof enemies.forEachActiveAsteroid === 'function') {
-      enemies.forEachActiveAsteroid(processEnemy);
-    } else if (typeof enemies.getActiveEnemies === 'function') {
-      const activeEnemies = enemies.getActiveEnemies();
-      for (let i = 0; i < activeEnemies.length; i += 1) {
-        processEnemy(activeEnemies[i]);
-      }
-    } else if (typeof enemies.getAsteroids === 'function') {
-      const asteroids = enemies.getAsteroids();
-      for (let i = 0; i < asteroids.length; i += 1) {
-        processEnemy(asteroids[i]);
-      }
-    }
+    this.forEachActiveEnemy(processEnemy);
 
     if (!candidates.length) {
       if (this.currentTarget) {
@@ -447,6 +839,10 @@ class CombatSystem extends BaseSystem {
       return false;
     }
 
+    if (this.isHiddenFromTargeting(target)) {
+      return false;
+    }
+
     const playerPos = player.getPosition();
     const dx = target.x - playerPos.x;
     const dy = target.y - playerPos.y;
@@ -455,6 +851,13 @@ class CombatSystem extends BaseSystem {
     return distance <= this.targetingRange;
   }
 
+  // Nebula clouds hide the ships inside them from the targeting computer
+  isHiddenFromTargeting(enemy) {
+    return Boolean(
+      this.cachedPhysics?.isInsideHazard?.(enemy.x, enemy.y, 'nebula')
+    );
+  }
+
   // === SISTEMA DE TIRO ===
   handleShooting(deltaTime, playerStats) {
     this.lastShotTime += deltaTime;
@@ -467,6 +870,13 @@ class CombatSystem extends BaseSystem {
     const playerPos = player.getPosition();
     if (!playerPos) return;
 
+    if (this.manualAim.enabled) {
+      if (this.manualAim.firing) {
+        this.fireManual(playerPos, player, playerStats);
+      }
+      return;
+    }
+
     // [SMART AUTO-FIRE] If no targets locked, fire forward!
     const lockTargets =
       this.currentTargetLocks && this.currentTargetLocks.length
@@ -630,7 +1040,13 @@ class CombatSystem extends BaseSystem {
   canShoot() {
     // [SMART AUTO-FIRE] Allow firing if cooldown is ready.
     // We no longer require a forced target lock.
-    return this.lastShotTime >= this.shootCooldown;
+    return this.lastShotTime >= this.shootCooldown && !this.isWeaponJammed();
+  }
+
+  // Status effects such as EMP keep both weapon slots from firing
+  isWeaponJammed() {
+    const player = this.getCachedPlayer();
+    return Boolean(player?.isWeaponSystemDisabled?.());
   }
 
   // [SMART AUTO-FIRE] Helper: Fire forward relative to ship rotation
@@ -687,6 +1103,156 @@ class CombatSystem extends BaseSystem {
     }
   }
 
+  // === MIRA MANUAL ===
+  fireManual(playerPos, player, playerStats) {
+    const totalShots = Math.max(1, Math.floor(playerStats?.multishot ?? 1));
+    const aimAngle = this.resolveManualAimAngle(playerPos, player);
+    // Coordinated Locks (level 3) lets each multishot round bend to its own
+    // target inside the cone; lower levels assist the whole volley at once.
+    const assists = this.findAimAssistTargets(
+      playerPos,
+      aimAngle,
+      this.targetingUpgradeLevel >= 3 ? totalShots : 1
+    );
+    const range = 1000;
+    const firedTargets = [];
+
+    for (let shotIndex = 0; shotIndex < totalShots; shotIndex += 1) {
+      const assist = assists.length > 1 ? assists[shotIndex] : assists[0];
+      const angle = assist ? assist.angle : aimAngle;
+      let aimPoint = {
+        x: playerPos.x + Math.cos(angle) * range,
+        y: playerPos.y + Math.sin(angle) * range,
+      };
+
+      if (totalShots > 1 && assists.length <= 1) {
+        aimPoint = this.applyMultishotSpread(
+          playerPos,
+          aimPoint,
+          shotIndex,
+          totalShots
+        );
+      }
+
+      this.createBullet(playerPos, aimPoint, playerStats.damage);
+      firedTargets.push({
+        enemyId: assist?.enemy?.id ?? null,
+        position: { ...aimPoint },
+      });
+    }
+
+    this.lastShotTime = 0;
+
+    this.eventBus?.emit?.('weapon-fired', {
+      position: playerPos,
+      target: firedTargets[0].position,
+      weaponType: 'basic',
+      primaryTargetId: assists[0]?.enemy?.id ?? null,
+      targeting: {
+        manual: true,
+        dynamicPrediction: this.usingDynamicPrediction(),
+        lockCount: assists.length,
+        multiLockActive: assists.length > 1,
+        predictedPoints: firedTargets,
+      },
+    });
+  }
+
+  resolveManualAimAngle(playerPos, player) {
+    const { point, direction } = this.manualAim;
+
+    if (direction) {
+      return Math.atan2(direction.y, direction.x);
+    }
+
+    if (point && (point.x !== playerPos.x || point.y !== playerPos.y)) {
+      return Math.atan2(point.y - playerPos.y, point.x - playerPos.x);
+    }
+
+    const angle = typeof player.getAngle === 'function' ? player.getAngle() : 0;
+    return Number.isFinite(angle) ? angle : 0;
+  }
+
+  resolveAimAssistSettings() {
+    const config = this.aimingConfig?.manualAssist || {};
+    const pick = (values) => {
+      if (!Array.isArray(values) || values.length === 0) {
+        return 0;
+      }
+      const index = Math.min(values.length - 1, this.targetingUpgradeLevel);
+      return Math.max(0, this.toNumber(values[index], 0));
+    };
+
+    return {
+      coneAngle: pick(config.coneAngle),
+      pull: Math.min(1, pick(config.pull)),
+    };
+  }
+
+  /**
+   * Finds enemies whose predicted position lies inside the assist cone around
+   * the manual aim angle, closest to the aim line first.
+   * @returns {Array<{enemy: Object, angle: number}>} Assisted shot angles
+   */
+  findAimAssistTargets(playerPos, aimAngle, maxTargets = 1) {
+    const { coneAngle, pull } = this.resolveAimAssistSettings();
+    if (coneAngle <= 0 || pull <= 0 || !this.cachedEnemies) {
+      return [];
+    }
+
+    const candidates = [];
+    this.forEachActiveEnemy((enemy) => {
+      if (!enemy || enemy.destroyed || this.isHiddenFromTargeting(enemy)) {
+        return;
+      }
+
+      const distance = Math.hypot(enemy.x - playerPos.x, enemy.y - playerPos.y);
+      if (!Number.isFinite(distance) || distance > this.targetingRange) {
+        return;
+      }
+
+      const predicted =
+        this.getPredictedTargetPosition(enemy, playerPos) || enemy;
+      const targetAngle = Math.atan2(
+        predicted.y - playerPos.y,
+        predicted.x - playerPos.x
+      );
+      const offset = Math.atan2(
+        Math.sin(targetAngle - aimAngle),
+        Math.cos(targetAngle - aimAngle)
+      );
+
+      if (Math.abs(offset) <= coneAngle) {
+        candidates.push({ enemy, offset });
+      }
+    });
+
+    return candidates
+      .sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset))
+      .slice(0, Math.max(1, maxTargets))
+      .map(({ enemy, offset }) => ({
+        enemy,
+        angle: aimAngle + offset * pull,
+      }));
+  }
+
+  forEachActiveEnemy(callback) {
+    const enemies = this.cachedEnemies;
+    if (!enemies) {
+      return;
+    }
+
+    if (typeof enemies.forEachActiveEnemy === 'function') {
+      enemies.forEachActiveEnemy(callback);
+    } else if (typeof enemies.forEachActiveAsteroid === 'function') {
+      enemies.forEachActiveAsteroid(callback);
+    } else if (typeof enemies.getActiveEnemies === 'function') {
+      enemies.getActiveEnemies().forEach((enemy) => callback(enemy));
+    } else if (typeof enemies.getAsteroids === 'function') {
+      enemies.getAsteroids().forEach((enemy) => callback(enemy));
+    }
+  }
+
   getPredictedTargetPosition(enemy = this.currentTarget, playerPos = null) {
     if (!enemy) return null;
 
@@ -881,7 +1447,9 @@ class CombatSystem extends BaseSystem {
   }
 
   applyAimingUpgrade(data = {}) {
-    const levelValue = Number(data?.level);
+    // Upgrades other than the targeting suite (its evolution) name the
+    // branch level they grant instead of using their own.
+    const levelValue = Number(data?.targetingLevel ?? data?.level);
     if (Number.isFinite(levelValue)) {
       this.targetingUpgradeLevel = Math.max(
         this.targetingUpgradeLevel,
@@ -1838,7 +2406,11 @@ class CombatSystem extends BaseSystem {
   }
 
   // === SISTEMA DE PROJÉTEIS ===
-  createBullet(fromPos, toPos, damage) {
+  /**
+   * @param {Object} [options] - Secondary weapon projectile settings (see
+   *   data/secondaryWeapons.js); primary shots use the defaults
+   */
+  createBullet(fromPos, toPos, damage, options = {}) {
     const dx = toPos.x - fromPos.x;
     const dy = toPos.y - fromPos.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1851,16 +2423,42 @@ class CombatSystem extends BaseSystem {
     // Configure bullet properties
     bullet.x = fromPos.x;
     bullet.y = fromPos.y;
-    bullet.vx = (dx / distance) * this.bulletSpeed;
-    bullet.vy = (dy / distance) * this.bulletSpeed;
+    const speed = Number.isFinite(options.speed)
+      ? options.speed
+      : this.bulletSpeed;
+    const lifetime = Number.isFinite(options.lifetime)
+      ? options.lifetime
+      : this.bulletLifetime;
+    bullet.vx = (dx / distance) * speed;
+    bullet.vy = (dy / distance) * speed;
     bullet.damage = damage;
-    bullet.life = this.bulletLifetime;
-    bullet.maxLife = this.bulletLifetime;
+    bullet.life = lifetime;
+    bullet.maxLife = lifetime;
     bullet.hit = false;
     bullet.active = true;
     bullet.type = 'player';
     bullet.offscreenTimer = 0;
 
+    // Secondary weapon behaviour (left at pool defaults for primary shots)
+    bullet.weaponId = options.weaponId || null;
+    bullet.damageType = options.damageType || this.primaryDamageType;
+    bullet.deflectedBy = null;
+    bullet.behavior = options.behavior || null;
+    bullet.pierce = Math.max(0, Math.floor(this.toNumber(options.pierce, 0)));
+    bullet.turnRate = this.toNumber(options.turnRate, 0);
+    bullet.drag = this.toNumber(options.drag, 0);
+    bullet.armTimer = this.toNumber(options.armTime, 0);
+    bullet.triggerRadius = this.toNumber(options.triggerRadius, 0);
+    bullet.explosionRadius = this.toNumber(options.explosionRadius, 0);
+    bullet.splashMultiplier = this.toNumber(options.splashMultiplier, 0);
+    if (Number.isFinite(options.radius)) {
+      bullet.radius = options.radius;
+    }
+    if (options.color) {
+      bullet.color = options.color;
+    }
+    bullet.hitIds = bullet.pierce > 0 ? [] : null;
+
     // Initialize trail array
     if (!bullet.trail) {
       bullet.trail = [];
@@ -1937,6 +2535,7 @@ class CombatSystem extends BaseSystem {
     bullet.type = 'enemy';
     bullet.offscreenTimer = 0;
     bullet.isBossProjectile = isBossProjectile;
+    bullet.statusEffect = projectile.statusEffect ?? null;
     bullet.color = this.resolveEnemyProjectileColor(
       { ...data, isBossProjectile },
       projectile
@@ -2286,6 +2885,7 @@ class CombatSystem extends BaseSystem {
             radius: Number.isFinite(bullet.radius)
               ? bullet.radius
               : defaultBulletRadius,
+            statusEffect: bullet.statusEffect ?? null,
           },
           source: bullet.source
             ? { ...bullet.source }
@@ -2325,6 +2925,7 @@ class CombatSystem extends BaseSystem {
         bullet.enemyId = null;
         bullet.enemyType = null;
         bullet.isBossProjectile = false;
+        bullet.statusEffect = null;
         bullet.destroyed = false;
         bullet.destroyReason = null;
         bullet.destroyLogEmitted = false;
@@ -2375,18 +2976,40 @@ class CombatSystem extends BaseSystem {
     this.bullets.forEach((bullet) => {
       if (bullet.hit) return;
 
+      const isMine = bullet.behavior === 'mine';
+
       // Atualizar trail
-      bullet.trail.push({ x: bullet.x, y: bullet.y });
-      if (bullet.trail.length > this.trailLength) {
-        bullet.trail.shift();
+      if (!isMine) {
+        bullet.trail.push({ x: bullet.x, y: bullet.y });
+        if (bullet.trail.length > this.trailLength) {
+          bullet.trail.shift();
+        }
+        trailPoints += bullet.trail.length;
+      }
+
+      if (bullet.behavior === 'homing') {
+        this.steerHomingBullet(bullet, deltaTime);
+      } else if (isMine) {
+        const damping = Math.max(0, 1 - bullet.drag * deltaTime);
+        bullet.vx *= damping;
+        bullet.vy *= damping;
+        bullet.armTimer -= deltaTime;
       }
-      trailPoints += bullet.trail.length;
 
       // Atualizar posição
       bullet.x += bullet.vx * deltaTime;
       bullet.y += bullet.vy * deltaTime;
       bullet.life -= deltaTime;
 
+      // Flak bursts at the end of its range; mines on proximity or timeout
+      if (
+        (bullet.behavior === 'flak' && bullet.life <= 0) ||
+        (isMine && (bullet.life <= 0 || this.isMineTriggered(bullet)))
+      ) {
+        this.detonateBullet(bullet);
+        return;
+      }
+
       const offscreenGrace = Number.isFinite(PLAYER_BULLET_OFFSCREEN_GRACE)
         ? Math.max(0, PLAYER_BULLET_OFFSCREEN_GRACE)
         : 0;
@@ -2486,16 +3109,43 @@ class CombatSystem extends BaseSystem {
       return;
     }
 
-    bullet.hit = true;
+    if (this.deflectBullet(bullet, enemy)) {
+      return;
+    }
+
+    if (bullet.hitIds) {
+      // Piercing rounds damage each enemy once and stop after `pierce` extra hits
+      const enemyKey = enemy.id ?? enemy;
+      if (bullet.hitIds.includes(enemyKey)) {
+        return;
+      }
+      bullet.hitIds.push(enemyKey);
+    }
+
+    if (bullet.pierce > 0) {
+      bullet.pierce -= 1;
+    } else {
+      bullet.hit = true;
+    }
     const healthBefore = Number.isFinite(enemy.health) ? enemy.health : null;
-    const requestedDamage = Number.isFinite(bullet.damage) ? bullet.damage : 0;
+    const damageType = bullet.damageType || DEFAULT_DAMAGE_TYPE;
+    // Splash already inherits the crit-less base damage of its parent round.
+    const critical = !bullet.splash && this.rollCriticalHit();
+    const baseDamage = Number.isFinite(bullet.damage) ? bullet.damage : 0;
+    const requestedDamage = critical
+      ? baseDamage * this.getCriticalMultiplier()
+      : baseDamage;
 
     const damageResult = enemiesSystem
-      ? this.applyDamageToEnemy(enemiesSystem, enemy, requestedDamage)
+      ? this.applyDamageToEnemy(enemiesSystem, enemy, requestedDamage, {
+          damageType,
+        })
       : {
           killed: Boolean(enemy.destroyed),
           remainingHealth: Math.max(0, enemy.health ?? 0),
+          resistanceMultiplier: 1,
         };
+    const resisted = damageResult.resistanceMultiplier < 1;
     const remainingHealth = Number.isFinite(damageResult.remainingHealth)
       ? damageResult.remainingHealth
       : enemy.health ?? null;
@@ -2559,30 +3209,115 @@ class CombatSystem extends BaseSystem {
       killed: damageResult.killed,
       remainingHealth: damageResult.remainingHealth,
       invulnerable: !!enemy.invulnerable,
+      damageType,
+      critical,
+      resisted,
     });
 
+    if (bullet.explosionRadius > 0 && !bullet.splash) {
+      this.detonateBullet(bullet, enemy);
+    }
+
     return damageResult;
   }
 
-  applyDamageToEnemy(enemiesSystem, enemy, damage) {
+  applyDamageToEnemy(enemiesSystem, enemy, damage, options = {}) {
     if (typeof enemiesSystem.applyDamage === 'function') {
-      const result = enemiesSystem.applyDamage(enemy, damage);
+      const result = enemiesSystem.applyDamage(enemy, damage, options);
       return {
         killed: !!result?.killed,
         remainingHealth: Math.max(
           0,
           result?.remainingHealth ?? enemy.health ?? 0
         ),
+        resistanceMultiplier: result?.resistanceMultiplier ?? 1,
       };
     }
 
-    const killed = enemy.takeDamage(damage);
+    const resistanceMultiplier = options.damageType
+      ? resolveResistanceMultiplier(enemy.resistances, options.damageType)
+      : 1;
+    const killed = enemy.takeDamage(damage * resistanceMultiplier);
     if (killed) {
       enemy.destroyed = true;
-      return { killed: true, remainingHealth: 0 };
+      return { killed: true, remainingHealth: 0, resistanceMultiplier };
+    }
+
+    return {
+      killed: false,
+      remainingHealth: Math.max(0, enemy.health ?? 0),
+      resistanceMultiplier,
+    };
+  }
+
+  /**
+   * Frontal shields (the collision component's `shieldArc`) bounce rounds
+   * that strike inside the arc. A deflected round can no longer hurt that
+   * enemy, and the hit is reported as blocked.
+   *
+   * @returns {boolean} True when the bullet was (or already had been) deflected
+   */
+  deflectBullet(bullet, enemy) {
+    const enemyKey = enemy.id ?? enemy;
+    if (bullet.deflectedBy === enemyKey) {
+      return true;
+    }
+
+    const collision = enemy.getComponent?.('collision');
+    if (!collision?.config?.shieldArc || bullet.splash) {
+      return false;
+    }
+
+    const deflected = collision.handleCollision({
+      enemy,
+      other: bullet,
+      response: 'deflect',
+    });
+    if (!deflected) {
+      return false;
     }
 
-    return { killed: false, remainingHealth: Math.max(0, enemy.health ?? 0) };
+    bullet.deflectedBy = enemyKey;
+    this.eventBus?.emit?.('bullet-hit', {
+      bullet,
+      enemy,
+      position: { x: bullet.x, y: bullet.y },
+      damage: 0,
+      requestedDamage: bullet.damage,
+      effectiveDamage: 0,
+      blocked: true,
+      deflected: true,
+      killed: false,
+      remainingHealth: enemy.health,
+      invulnerable: false,
+      damageType: bullet.damageType || DEFAULT_DAMAGE_TYPE,
+      critical: false,
+      resisted: false,
+    });
+    return true;
+  }
+
+  // === ACERTOS CRÍTICOS ===
+  /**
+   * Rolls a critical hit against the player's `critChance`, read from the
+   * stats cached this frame. The RNG is only consumed once crit chance has
+   * been unlocked, keeping seeded runs without crit upgrades unchanged.
+   *
+   * @returns {boolean}
+   */
+  rollCriticalHit() {
+    const chance = this.toNumber(this.lastKnownPlayerStats?.critChance, 0);
+    if (chance <= 0) {
+      return false;
+    }
+    return Boolean(this.getRandomFork('crits')?.chance(chance));
+  }
+
+  getCriticalMultiplier() {
+    return Math.max(
+      1,
+      this.toNumber(this.lastKnownPlayerStats?.critMultiplier, 1)
+    );
   }
 
   // === GETTERS PÚBLICOS ===
@@ -2788,11 +3523,28 @@ class CombatSystem extends BaseSystem {
         ctx.fill();
       }
 
-      // Solid White Core
-      ctx.fillStyle = '#FFFFFF';
+      // Solid White Core (tinted for secondary weapons)
+      ctx.fillStyle = bullet.weaponId ? bullet.color : '#FFFFFF';
       ctx.beginPath();
-      ctx.arc(bullet.x, bullet.y, BULLET_SIZE, 0, Math.PI * 2);
+      ctx.arc(
+        bullet.x,
+        bullet.y,
+        bullet.weaponId ? bullet.radius : BULLET_SIZE,
+        0,
+        Math.PI * 2
+      );
       ctx.fill();
+
+      if (bullet.behavior === 'mine' && bullet.armTimer <= 0) {
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+        ctx.strokeStyle = bullet.color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(bullet.x, bullet.y, bullet.triggerRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+      }
     });
 
     ctx.restore(); // End 'lighter' mode
@@ -2963,6 +3715,9 @@ class CombatSystem extends BaseSystem {
     }
     this.targetThreatCache.clear();
     this.lastShotTime = 0;
+    this.manualAim.firing = false;
+    this.secondaryFiring = false;
+    this.secondaryCooldownTimer = 0;
     this.resolveCachedServices(COMBAT_SERVICE_MAP, { force: true });
     console.log('[CombatSystem] Reset');
   }
@@ -185,14 +185,21 @@ SpaceParticle.ensureSpriteCache = function ensureSpriteCache() {
 };
 
 class HitMarker {
-  constructor(x, y, killed, damage) {
+  /**
+   * @param {Object} [style]
+   * @param {boolean} [style.critical] - Larger gold marker
+   * @param {boolean} [style.resisted] - Smaller, dimmed marker
+   */
+  constructor(x, y, killed, damage, style = {}) {
     this.x = x;
     this.y = y;
     this.killed = killed;
     this.damage = damage;
+    this.critical = Boolean(style.critical);
+    this.resisted = Boolean(style.resisted);
     this.life = 0.3;
     this.maxLife = 0.3;
-    this.size = killed ? 12 : 8;
+    this.size = killed ? 12 : this.critical ? 11 : this.resisted ? 6 : 8;
     this.expansion = 0;
   }
 
@@ -208,8 +215,15 @@ class HitMarker {
     ctx.globalAlpha = alpha;
     ctx.translate(this.x, this.y);
 
-    const color = this.killed ? '#FF4444' : '#FFFF88';
-    const lineWidth = this.killed ? 2.5 : 2;
+    const color = this.killed
+      ? '#FF4444'
+      : this.critical
+        ? '#FFBB00'
+        : this.resisted
+          ? '#9AA4B2'
+          : '#FFFF88';
+    const lineWidth =
+      this.killed || this.critical ? 2.5 : this.resisted ? 1.5 : 2;
     const radius = this.size + this.expansion;
 
     ctx.strokeStyle = color;
@@ -238,11 +252,20 @@ class HitMarker {
 }
 
 class DamageText {
-  constructor(x, y, damage, isCritical) {
+  /**
+   * @param {Object} [style]
+   * @param {boolean} [style.resisted] - Smaller grey text
+   * @param {string} [style.color] - Fill for regular hits (damage type color)
+   * @param {string} [style.prefix] - Prepended to the number, e.g. '+' for score
+   */
+  constructor(x, y, damage, isCritical, style = {}) {
     this.x = x;
     this.y = y;
     this.damage = Math.round(damage);
     this.isCritical = isCritical;
+    this.resisted = !isCritical && Boolean(style.resisted);
+    this.color = style.color || '#FFFFFF';
+    this.label = `${style.prefix || ''}${this.damage}${isCritical ? '!' : ''}`;
     this.life = 0.8;
     this.maxLife = 0.8;
     this.vy = -30;
@@ -269,7 +292,8 @@ class DamageText {
     ctx.save();
     ctx.globalAlpha = alpha;
     ctx.translate(this.x, this.y);
-    const scale = this.scale * (this.isCritical ? 1.5 : 1.0);
+    const scale =
+      this.scale * (this.isCritical ? 1.5 : this.resisted ? 0.8 : 1.0);
     ctx.scale(scale, scale);
 
     ctx.font = `bold ${this.isCritical ? '24px' : '16px'} "Rajdhani", sans-serif`;
@@ -277,13 +301,65 @@ class DamageText {
     ctx.textBaseline = 'middle';
     ctx.lineWidth = 3;
     ctx.strokeStyle = '#000000';
-    ctx.strokeText(String(this.damage), 0, 0);
+    ctx.strokeText(this.label, 0, 0);
 
-    ctx.fillStyle = this.isCritical ? '#FFBB00' : '#FFFFFF';
-    ctx.fillText(String(this.damage), 0, 0);
+    ctx.fillStyle = this.isCritical
+      ? '#FFBB00'
+      : this.resisted
+        ? '#9AA4B2'
+        : this.color;
+    ctx.fillText(this.label, 0, 0);
 
     ctx.restore();
   }
 }
 
-export { DamageText, HitMarker, SpaceParticle };
+class BeamTrace {
+  /**
+   * Fading line left by a hitscan enemy beam.
+   *
+   * @param {Object} style
+   * @param {string} style.color - Outer glow
+   * @param {string} style.coreColor - Bright center line
+   */
+  constructor(x1, y1, x2, y2, width, duration, style = {}) {
+    this.x1 = x1;
+    this.y1 = y1;
+    this.x2 = x2;
+    this.y2 = y2;
+    this.width = width;
+    this.color = style.color || '#FF3358';
+    this.coreColor = style.coreColor || '#FFFFFF';
+    this.life = duration;
+    this.maxLife = duration;
+  }
+
+  update(deltaTime) {
+    this.life -= deltaTime;
+    return this.life > 0;
+  }
+
+  draw(ctx) {
+    const alpha = Math.max(0, this.life / this.maxLife);
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.lineCap = 'round';
+
+    ctx.globalAlpha = alpha * 0.5;
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = this.width * (1.5 + (1 - alpha));
+    ctx.beginPath();
+    ctx.moveTo(this.x1, this.y1);
+    ctx.lineTo(this.x2, this.y2);
+    ctx.stroke();
+
+    ctx.globalAlpha = alpha;
+    ctx.strokeStyle = this.coreColor;
+    ctx.lineWidth = Math.max(1, this.width * 0.35 * alpha);
+    ctx.stroke();
+
+    ctx.restore();
+  }
+}
+
+export { BeamTrace, DamageText, HitMarker, SpaceParticle };
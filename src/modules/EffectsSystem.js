@@ -1,7 +1,12 @@
 import { BaseSystem } from '../core/BaseSystem.js';
 import { GAME_HEIGHT, GAME_WIDTH } from '../core/GameConstants.js';
 import { GamePools } from '../core/GamePools.js';
-import { DamageText, HitMarker, SpaceParticle } from './EffectEntities.js';
+import {
+  BeamTrace,
+  DamageText,
+  HitMarker,
+  SpaceParticle,
+} from './EffectEntities.js';
 import { ScreenShake, ShakePresets } from '../utils/ScreenShake.js';
 import { resolveService } from '../core/serviceUtils.js';
 import { createRandomHelpers } from '../utils/randomHelpers.js';
@@ -13,6 +18,7 @@ import {
   ENEMY_EFFECT_COLORS,
 } from '../data/constants/visual.js';
 import { ASTEROID_VARIANTS } from '../data/enemies/asteroid-configs.js';
+import { getDamageType } from '../data/damageTypes.js';
 
 const MAIN_THRUSTER_FLASH_THRESHOLD = 0.85;
 const MAIN_THRUSTER_FLASH_COLOR = '#3399FF';
@@ -71,6 +77,7 @@ export default class EffectsSystem extends BaseSystem {
     this.particles = [];
     this.shockwaves = [];
     this.hitMarkers = []; // NEW: Hit marker tracking
+    this.beamTraces = [];
     this.damageIndicators = []; // NEW: Directional damage indicators
     this.bossTransitionEffects = [];
     this.processedMineExplosions = new WeakSet();
@@ -413,6 +420,10 @@ export default class EffectsSystem extends BaseSystem {
       }
     });
 
+    this.registerEventListener('enemy-beam-fired', (payload = {}) => {
+      this.createEnemyBeamEffect(payload);
+    });
+
     this.registerEventListener('thruster-effect', (data) => {
       if (!data || !data.position || !data.direction) return;
 
@@ -452,10 +463,23 @@ export default class EffectsSystem extends BaseSystem {
             this.createHitMarker(
               data.position,
               data.killed || false,
-              effectiveDamage
+              effectiveDamage,
+              { critical: data.critical, resisted: data.resisted }
             );
           }
         }
+        if (!blocked && effectiveDamage > 0) {
+          this.createFloatingDamageText(
+            data.position.x,
+            data.position.y,
+            effectiveDamage,
+            Boolean(data.critical),
+            {
+              resisted: data.resisted,
+              color: getDamageType(data.damageType)?.color,
+            }
+          );
+        }
         this.createBulletImpact(
           data.position,
           { x: data.enemy?.vx || 0, y: data.enemy?.vy || 0 },
@@ -489,6 +513,10 @@ export default class EffectsSystem extends BaseSystem {
       this.createMineExplosion(payload);
     });
 
+    this.registerEventListener('secondary-weapon-detonated', (payload = {}) => {
+      this.createSecondaryDetonation(payload);
+    });
+
     this.registerEventListener('asteroid-crack-stage-changed', (data) => {
       if (data?.position) {
         this.createCrackDebris(data);
@@ -552,6 +580,12 @@ export default class EffectsSystem extends BaseSystem {
       }
     });
 
+    this.registerEventListener('score-changed', (data) => {
+      if (data?.position && data.delta > 0) {
+        this.createScorePopup(data.position, data.delta);
+      }
+    });
+
     this.registerEventListener('enemy-took-damage', (data) => {
       if (data?.enemy && Number.isFinite(data.damage)) {
         this.createFloatingDamageText(
@@ -590,6 +624,37 @@ export default class EffectsSystem extends BaseSystem {
       this.createShieldHitEffect(data);
     });
 
+    // Active abilities (data/abilities.js)
+    this.registerEventListener('player-time-slow', (data = {}) => {
+      this.applyTimeDilation(data.scale, {
+        holdDuration: data.duration,
+        duration: data.transition,
+        gameplay: true,
+      });
+      this.addScreenFlash('rgba(255, 209, 102, 0.25)', 0.25, 0.15);
+    });
+
+    this.registerEventListener('player-emp-pulse', (data) => {
+      if (!data?.position) return;
+
+      this.createShockwaveEffect({
+        position: data.position,
+        radius: data.radius,
+        color: 'rgba(179, 136, 255, 0.6)',
+      });
+      this.addScreenShake(6, 0.25);
+    });
+
+    this.registerEventListener('player-dashed', (data) => {
+      if (!data?.to) return;
+
+      this.createShockwaveEffect({
+        position: data.to,
+        radius: 40,
+        color: 'rgba(125, 249, 255, 0.5)',
+      });
+    });
+
     this.registerEventListener('player-died', (data) => {
       if (data?.position) {
         this.createEpicShipExplosion(data.position);
@@ -621,6 +686,7 @@ export default class EffectsSystem extends BaseSystem {
     this.updateParticles(effectDelta);
     this.updateShockwaves(effectDelta);
     this.updateHitMarkers(effectDelta);
+    this.updateBeamTraces(effectDelta);
     this.updateDamageTexts(effectDelta);
     this.updateDamageIndicators(effectDelta);
     this.updateBossTransitions(effectDelta);
@@ -848,6 +914,10 @@ export default class EffectsSystem extends BaseSystem {
 
     this.drawShockwaves(ctx);
 
+    for (let i = 0; i < this.beamTraces.length; i += 1) {
+      this.beamTraces[i].draw(ctx);
+    }
+
     // Draw hit markers
     for (let i = 0; i < this.hitMarkers.length; i += 1) {
       const marker = this.hitMarkers[i];
@@ -2017,7 +2087,8 @@ export default class EffectsSystem extends BaseSystem {
     let duration = optionDuration;
     let holdDuration = optionHold;
 
-    if (this.motionReduced) {
+    // Gameplay slow-downs (the time-slow ability) keep their full strength
+    if (this.motionReduced && !options.gameplay) {
       scale = Math.max(scale, 0.7);
       duration = Math.min(duration, 0.35);
       holdDuration = Math.min(holdDuration, 0.12);
@@ -2543,6 +2614,55 @@ export default class EffectsSystem extends BaseSystem {
     this.addScreenShake('bossAttack');
   }
 
+  /**
+   * Player secondary weapon blasts. Large blasts (mines) reuse the full mine
+   * explosion; small ones (flak, missiles) skip shake and freeze frames so
+   * rapid bursts stay readable.
+   */
+  createSecondaryDetonation(payload = {}) {
+    const position = payload?.position;
+    if (
+      !position ||
+      !Number.isFinite(position.x) ||
+      !Number.isFinite(position.y)
+    ) {
+      return;
+    }
+
+    const radius = Number.isFinite(payload.radius) ? payload.radius : 40;
+    if (radius >= 80) {
+      this.createMineExplosion({ position, radius });
+      return;
+    }
+
+    this.createShockwaveEffect({
+      position,
+      radius,
+      duration: 0.3,
+      baseWidth: 8,
+      maxAlpha: 0.5,
+      color: 'rgba(255, 200, 120, 0.45)',
+    });
+
+    const sparkCount = this.getScaledParticleCount(6 + Math.round(radius / 6));
+    for (let i = 0; i < sparkCount; i += 1) {
+      const angle = this.randomFloat('explosions') * Math.PI * 2;
+      const speed = 80 + this.randomFloat('explosions') * radius * 3;
+      this.particles.push(
+        this.createParticle(
+          position.x,
+          position.y,
+          Math.cos(angle) * speed,
+          Math.sin(angle) * speed,
+          '#FFD27F',
+          1.8 + this.randomFloat('explosions') * 1.6,
+          0.2 + this.randomFloat('explosions') * 0.15,
+          'spark'
+        )
+      );
+    }
+  }
+
   createMineExplosion(payload = {}) {
     if (!payload) {
       return;
@@ -2804,7 +2924,8 @@ export default class EffectsSystem extends BaseSystem {
       return;
     }
 
-    const palette = this.resolveEnemyEffectPalette('hunter');
+    // Snipers and carriers share the frigate explosion in their own colors
+    const palette = this.resolveEnemyEffectPalette(enemy.type, 'hunter');
     const radius = Number.isFinite(enemy.radius) ? enemy.radius : 16;
     const velocity = {
       x: Number.isFinite(enemy.vx) ? enemy.vx : 0,
@@ -2889,8 +3010,30 @@ export default class EffectsSystem extends BaseSystem {
     }
   }
 
-  createHitMarker(position, killed, damage) {
-    this.hitMarkers.push(new HitMarker(position.x, position.y, killed, damage));
+  createEnemyBeamEffect(payload = {}) {
+    const { origin, end } = payload;
+    if (!origin || !end) {
+      return;
+    }
+
+    const palette = this.resolveEnemyEffectPalette(payload.enemyType, 'sniper');
+    this.beamTraces.push(
+      new BeamTrace(
+        origin.x,
+        origin.y,
+        end.x,
+        end.y,
+        payload.width ?? 8,
+        payload.duration ?? 0.25,
+        { color: palette.beam, coreColor: palette.beamCore }
+      )
+    );
+  }
+
+  createHitMarker(position, killed, damage, style = {}) {
+    this.hitMarkers.push(
+      new HitMarker(position.x, position.y, killed, damage, style)
+    );
   }
 
   createDirectionalDamageIndicator(damageSourcePos, playerPos) {
@@ -3312,7 +3455,11 @@ export default class EffectsSystem extends BaseSystem {
       return;
     }
 
-    if (enemyType === 'hunter') {
+    if (
+      enemyType === 'hunter' ||
+      enemyType === 'sniper' ||
+      enemyType === 'carrier'
+    ) {
       this.createHunterDestructionEffect(asteroid, context);
       return;
     }
@@ -4077,6 +4224,7 @@ export default class EffectsSystem extends BaseSystem {
     this.particles = [];
     this.shockwaves = [];
     this.hitMarkers = [];
+    this.beamTraces = [];
     this.damageIndicators = [];
     this.damageTexts = [];
     this.bossTransitionEffects = [];
@@ -4111,9 +4259,33 @@ export default class EffectsSystem extends BaseSystem {
     };
   }
 
-  createFloatingDamageText(x, y, damage, isCritical = false) {
+  createFloatingDamageText(x, y, damage, isCritical = false, style = {}) {
     if (!this.damageNumbersEnabled) return;
-    this.damageTexts.push(new DamageText(x, y, damage, isCritical));
+    this.damageTexts.push(new DamageText(x, y, damage, isCritical, style));
+  }
+
+  createScorePopup(position, points) {
+    // Offset above the kill so it does not overlap the damage numbers
+    this.damageTexts.push(
+      new DamageText(position.x, position.y - 18, points, false, {
+        color: '#FFD166',
+        prefix: '+',
+      })
+    );
+  }
+
+  updateBeamTraces(deltaTime) {
+    const traces = this.beamTraces;
+    let writeIndex = 0;
+
+    for (let i = 0; i < traces.length; i += 1) {
+      const trace = traces[i];
+      if (trace && trace.update(deltaTime)) {
+        traces[writeIndex++] = trace;
+      }
+    }
+
+    traces.length = writeIndex;
   }
 
   updateDamageTexts(deltaTime) {
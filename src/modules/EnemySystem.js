@@ -13,6 +13,8 @@ import { Asteroid } from './enemies/types/Asteroid.js';
 import { Drone } from './enemies/types/Drone.js';
 import { Mine } from './enemies/types/Mine.js';
 import { Hunter } from './enemies/types/Hunter.js';
+import { Sniper } from './enemies/types/Sniper.js';
+import { Carrier } from './enemies/types/Carrier.js';
 import { BossEnemy } from './enemies/types/BossEnemy.js';
 import { EnemyFactory } from './enemies/base/EnemyFactory.js';
 import { WaveManager } from './enemies/managers/WaveManager.js';
@@ -54,6 +56,8 @@ import {
 import { ENEMY_TYPES, BOSS_CONFIG } from '../data/constants/visual.js';
 import { DRONE_COMPONENTS } from '../data/enemies/drone.js';
 import { HUNTER_COMPONENTS } from '../data/enemies/hunter.js';
+import { SNIPER_COMPONENTS } from '../data/enemies/sniper.js';
+import { CARRIER_COMPONENTS } from '../data/enemies/carrier.js';
 import { MINE_COMPONENTS } from '../data/enemies/mine.js';
 import { BOSS_COMPONENTS } from '../data/enemies/boss.js';
 import {
@@ -232,6 +236,11 @@ class EnemySystem extends BaseSystem {
       this.handleShieldExplosionDamage(data);
     });
 
+    // EMP pulse ability: same falloff blast, jamming the survivors
+    this.registerEventListener('player-emp-pulse', (data) => {
+      this.handleShieldExplosionDamage({ ...data, cause: 'player-emp-pulse' });
+    });
+
     this.registerEventListener('player-reset', () => {
       this.refreshServiceState({ force: true });
     });
@@ -280,6 +289,19 @@ class EnemySystem extends BaseSystem {
         source: data.source || null,
       });
 
+      const statusEffect = data.projectile?.statusEffect;
+      if (statusEffect && result?.applied && !result.absorbed) {
+        this.getCachedPlayer()?.applyStatusEffect?.(statusEffect, {
+          source: data.source || null,
+        });
+      }
+
+      if (result?.healthDamage > 0) {
+        this.findActiveEnemyById(data.source?.id)?.leechPlayerHealth?.(
+          result.healthDamage
+        );
+      }
+
       GameDebugLogger.log('COLLISION', 'Player hit by enemy projectile', {
         damage,
         applied: Boolean(result?.applied),
@@ -302,6 +324,10 @@ class EnemySystem extends BaseSystem {
     // NEW: Integrate RewardManager with enemy destruction
     if (this.useManagers) {
       this.registerEventListener('enemy-destroyed', (data) => {
+        // Self-destructed minions (e.g. carrier drones) drop nothing
+        if (data.context?.skipRewards) {
+          return;
+        }
         if (this.rewardManager && data.enemy) {
           this.rewardManager.dropRewards(data.enemy);
         }
@@ -819,16 +845,34 @@ class EnemySystem extends BaseSystem {
         });
       }
 
+      if (ENEMY_TYPES?.sniper) {
+        this.factory.registerType('sniper', {
+          class: Sniper,
+          pool: GamePools?.snipers || null,
+          defaults: { ...ENEMY_TYPES.sniper, components: SNIPER_COMPONENTS },
+          tags: ['enemy', 'hostile', 'ranged'],
+        });
+      }
+
+      if (ENEMY_TYPES?.carrier) {
+        this.factory.registerType('carrier', {
+          class: Carrier,
+          pool: GamePools?.carriers || null,
+          defaults: { ...ENEMY_TYPES.carrier, components: CARRIER_COMPONENTS },
+          tags: ['enemy', 'hostile', 'carrier', 'elite'],
+        });
+      }
+
       if (BOSS_CONFIG) {
-        const bossDefaults = { ...BOSS_CONFIG };
+        // Stats and phases come from the boss archetype (BossEnemy falls back
+        // to BOSS_CONFIG itself), so factory defaults must not mask them.
+        const bossDefaults = { key: BOSS_CONFIG.key };
         const sanitizedMinions = this.getAvailableBossMinionTypes(
-          bossDefaults.minionTypes
+          BOSS_CONFIG.minionTypes
         );
 
         if (Array.isArray(sanitizedMinions) && sanitizedMinions.length > 0) {
           bossDefaults.minionTypes = [...sanitizedMinions];
-        } else {
-          delete bossDefaults.minionTypes;
         }
 
         this.factory.registerType('boss', {
@@ -2277,6 +2321,18 @@ class EnemySystem extends BaseSystem {
     return this.damageSystem.destroyAsteroid(asteroid, options);
   }
 
+  /**
+   * Merged effects of the active run modifiers (see RunModifierService), read
+   * by asteroids, health components and the wave/reward managers.
+   * @returns {Object|null} Null when the service is unavailable
+   */
+  getRunModifierEffects() {
+    const runModifiers = resolveService('run-modifiers', this.dependencies);
+    return typeof runModifiers?.getEffects === 'function'
+      ? runModifiers.getEffects()
+      : null;
+  }
+
   /**
    * Determines an asteroid variant via the spawn sub-system.
    * Throws if the spawn sub-system is not initialized.
@@ -2372,6 +2428,13 @@ class EnemySystem extends BaseSystem {
     return this.activeEnemyCache;
   }
 
+  findActiveEnemyById(id) {
+    if (id === null || id === undefined) {
+      return null;
+    }
+    return this.getActiveEnemies().find((enemy) => enemy?.id === id) || null;
+  }
+
   getActiveEnemiesByType(type) {
     const enemies = this.getActiveEnemies();
     if (!type || typeof type !== 'string') {
@@ -2560,6 +2623,7 @@ class EnemySystem extends BaseSystem {
       poolId,
       id: boss.id || null,
       type: boss.type || 'boss',
+      archetype: boss.archetype || null,
       wave: safeNumber(boss.wave, this.waveState?.current || 1),
       x: safeNumber(boss.x),
       y: safeNumber(boss.y),
@@ -2599,6 +2663,15 @@ class EnemySystem extends BaseSystem {
       maxHealth: safeNumber(enemy.maxHealth),
       spawnedBy: enemy.spawnedBy ?? null,
       spawnedByBossId: enemy.spawnedByBossId ?? null,
+      eliteAffixes: Array.isArray(enemy.eliteAffixes)
+        ? enemy.eliteAffixes.map((affix) => affix.id)
+        : [],
+      eliteShield: enemy.eliteShield
+        ? {
+            shields: safeNumber(enemy.shields),
+            cooldown: safeNumber(enemy.eliteShield.cooldown),
+          }
+        : null,
     };
   }
 
@@ -2703,6 +2776,7 @@ class EnemySystem extends BaseSystem {
 
     const config = {
       id: snapshot.id || undefined,
+      archetype: snapshot.archetype || undefined,
       wave: safeNumber(snapshot.wave, this.waveState?.current || 1),
       x: safeNumber(snapshot.x, 0),
       y: safeNumber(snapshot.y, 0),
@@ -2843,6 +2917,8 @@ class EnemySystem extends BaseSystem {
       radius: safeNumber(snapshot.radius, null),
       spawnedBy: snapshot.spawnedBy ?? null,
       spawnedByBossId: snapshot.spawnedByBossId ?? null,
+      // Restores the saved affixes instead of rolling new ones.
+      eliteAffixes: snapshot.eliteAffixes ?? [],
       randomScope: 'snapshot',
       poolId: snapshot.poolId,
     };
@@ -2865,6 +2941,10 @@ class EnemySystem extends BaseSystem {
           enemy = new Mine(this, config);
         } else if (snapshotType === 'hunter') {
           enemy = new Hunter(this, config);
+        } else if (snapshotType === 'sniper') {
+          enemy = new Sniper(this, config);
+        } else if (snapshotType === 'carrier') {
+          enemy = new Carrier(this, config);
         }
       } catch (error) {
         console.error(
@@ -2882,6 +2962,7 @@ class EnemySystem extends BaseSystem {
     this.assignAsteroidPoolId(enemy, snapshot.poolId);
 
     if (!registeredByFactory) {
+      enemy.applyEliteAffixes?.(config.eliteAffixes);
       const registrationResult = this.registerActiveEnemy(enemy, {
         skipDuplicateCheck: true,
       });
@@ -2907,6 +2988,10 @@ class EnemySystem extends BaseSystem {
     if (snapshot.spawnedByBossId !== undefined) {
       enemy.spawnedByBossId = snapshot.spawnedByBossId;
     }
+    if (enemy.eliteShield && snapshot.eliteShield) {
+      enemy.shields = safeNumber(snapshot.eliteShield.shields, enemy.shields);
+      enemy.eliteShield.cooldown = safeNumber(snapshot.eliteShield.cooldown, 0);
+    }
 
     return enemy;
   }
@@ -3170,6 +3255,10 @@ class EnemySystem extends BaseSystem {
   }
 
   destroy() {
+    // The event bus outlives the system (headless runs reboot on it), so a
+    // stale wave manager would otherwise keep counting the next run's kills
+    this.removeAllEventListeners();
+    this.waveManager?.disconnect?.();
     this.releaseAllAsteroidsToPool();
     this.asteroids = [];
     this.sessionActive = false;
@@ -3385,7 +3474,8 @@ class EnemySystem extends BaseSystem {
       active: false,
       defeated: false,
       wave: waveNumber,
-      name: data.name || this.bossHudState?.name || null,
+      name:
+        data.name || data.boss?.displayName || this.bossHudState?.name || null,
       phaseColors,
       invulnerable: false,
       invulnerabilityTimer: null,
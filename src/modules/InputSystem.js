@@ -1,6 +1,8 @@
 // src/modules/InputSystem.js
 
 import SETTINGS_SCHEMA from '../data/settingsSchema.js';
+import { getAbilityIdForBinding } from '../data/abilities.js';
+import { GAME_HEIGHT, GAME_WIDTH } from '../core/GameConstants.js';
 import { debugLog } from '../core/debugLogging.js';
 import {
   normalizeDependencies,
@@ -18,6 +20,11 @@ const MOVEMENT_ACTIONS = new Set([
 const MOVEMENT_ACTION_LIST = Array.from(MOVEMENT_ACTIONS);
 const DEFAULT_GAMEPAD_AXIS_THRESHOLD = 0.45;
 const PASSWORD_MANAGER_GUARD_CODES = new Set(['KeyS', 'ArrowDown']);
+// Manual weapons: right stick aims, left mouse button fires on top of the
+// bindable firePrimary action.
+const AIM_STICK_AXES = { x: 2, y: 3 };
+const AIM_STICK_DEADZONE = 0.3;
+const MANUAL_FIRE_MOUSE_BUTTON = 0;
 
 function ensureArray(value) {
   return Array.isArray(value) ? value : [];
@@ -46,6 +53,14 @@ class InputSystem {
     this.codes = {};
     this.mousePos = { x: 0, y: 0 };
     this.mouseButtons = {};
+    this.hasPointerMoved = false;
+    this.gameCanvas = null;
+
+    // === MANUAL WEAPONS ===
+    this.manualWeapons = false;
+    this.aimDevice = 'mouse';
+    this.aimStickDirection = null;
+    this.lastAimCommand = null;
 
     this.gamepadConnected = false;
     this.gamepad = null;
@@ -62,6 +77,7 @@ class InputSystem {
     this.movementBindings = new Set();
     this.activeKeyboardActions = new Set();
     this.activeGamepadActions = new Set();
+    this.activeMouseActions = new Set();
     this.keyboardActionInputs = new Map();
     this.isCapturingBinding = false;
 
@@ -71,6 +87,7 @@ class InputSystem {
 
     this.setupEventListeners();
     this.initializeBindings();
+    this.initializeGameplayPreferences();
 
     debugLog('[InputSystem] Initialized');
   }
@@ -135,6 +152,24 @@ class InputSystem {
     this.applyControlSettings(values);
   }
 
+  initializeGameplayPreferences() {
+    const values =
+      this.settings && typeof this.settings.getCategoryValues === 'function'
+        ? this.settings.getCategoryValues('gameplay')
+        : null;
+    this.applyGameplayPreferences(values || {});
+  }
+
+  applyGameplayPreferences(values = {}) {
+    this.manualWeapons = values.manualWeapons === true;
+
+    if (!this.manualWeapons && this.activeMouseActions.size > 0) {
+      Array.from(this.activeMouseActions).forEach((action) => {
+        this.handleActionRelease(action, 'mouse', { device: 'mouse' });
+      });
+    }
+  }
+
   extractDefaultsFromSchema() {
     const defaults = {};
     this.controlFieldDefinitions.forEach((field, key) => {
@@ -223,9 +258,20 @@ class InputSystem {
         }
       });
 
+      eventBus.on('settings-gameplay-changed', (payload = {}) => {
+        if (payload?.values) {
+          this.applyGameplayPreferences(payload.values);
+        }
+      });
+
       eventBus.on('input-binding-capture', (payload = {}) => {
         this.isCapturingBinding = payload?.state === 'start';
       });
+
+      // Resend the aim state so every run (and its replay) starts from it.
+      eventBus.on('game-started', () => {
+        this.lastAimCommand = null;
+      });
     }
   }
 
@@ -338,10 +384,15 @@ class InputSystem {
   onMouseMove(event) {
     this.mousePos.x = event.clientX;
     this.mousePos.y = event.clientY;
+    this.hasPointerMoved = true;
+    this.aimDevice = 'mouse';
   }
 
   onMouseDown(event) {
     this.mouseButtons[event.button] = true;
+    if (this.manualWeapons && event.button === MANUAL_FIRE_MOUSE_BUTTON) {
+      this.handleActionPress('firePrimary', 'mouse', { device: 'mouse' });
+    }
     const eventBus = this.getEventBus();
     if (eventBus?.emit) {
       eventBus.emit('mouse-pressed', {
@@ -354,6 +405,9 @@ class InputSystem {
 
   onMouseUp(event) {
     this.mouseButtons[event.button] = false;
+    if (event.button === MANUAL_FIRE_MOUSE_BUTTON) {
+      this.handleActionRelease('firePrimary', 'mouse', { device: 'mouse' });
+    }
     const eventBus = this.getEventBus();
     if (eventBus?.emit) {
       eventBus.emit('mouse-pressed', {
@@ -413,6 +467,8 @@ class InputSystem {
       this.activeKeyboardActions.add(action);
     } else if (source === 'gamepad') {
       this.activeGamepadActions.add(action);
+    } else if (source === 'mouse') {
+      this.activeMouseActions.add(action);
     }
 
     if (wasActive) {
@@ -442,6 +498,11 @@ class InputSystem {
       }
     } else if (source === 'gamepad') {
       this.activeGamepadActions.delete(action);
+    } else if (source === 'mouse') {
+      if (!this.activeMouseActions.has(action)) {
+        return;
+      }
+      this.activeMouseActions.delete(action);
     }
 
     if (this.isActionActive(action)) {
@@ -467,13 +528,16 @@ class InputSystem {
       return;
     }
 
+    const abilityId = getAbilityIdForBinding(action);
+    if (abilityId) {
+      eventBus?.emit?.('activate-ability-pressed', { abilityId, source });
+      return;
+    }
+
     switch (action) {
       case 'pause':
         eventBus?.emit?.('toggle-pause');
         break;
-      case 'activateShield':
-        eventBus?.emit?.('activate-shield-pressed');
-        break;
       case 'openSettings':
         eventBus?.emit?.('settings-menu-requested', {
           source: context.device || source || 'input',
@@ -523,12 +587,14 @@ class InputSystem {
       }
       this.gamepadConnected = false;
       this.gamepad = null;
+      this.aimStickDirection = null;
       return;
     }
 
     this.gamepad = pad;
     this.gamepadConnected = true;
     this.gamepadIndex = pad.index;
+    this.updateAimStick(pad);
 
     const activeActions = new Set();
 
@@ -801,7 +867,8 @@ class InputSystem {
   isActionActive(action) {
     return (
       this.activeKeyboardActions.has(action) ||
-      this.activeGamepadActions.has(action)
+      this.activeGamepadActions.has(action) ||
+      this.activeMouseActions.has(action)
     );
   }
 
@@ -943,10 +1010,11 @@ class InputSystem {
     const normalizedSource = sanitizedContext.device || source || 'input';
     const timestamp = this.getCurrentTimestamp();
 
-    if (action === 'activateShield' && phase === 'pressed') {
+    const abilityId = getAbilityIdForBinding(action);
+    if (abilityId && phase === 'pressed') {
       const command = {
         type: 'ability',
-        abilityId: 'shield',
+        abilityId,
         phase: 'pressed',
         source: normalizedSource,
         timestamp,
@@ -961,7 +1029,7 @@ class InputSystem {
         metadata: {
           action,
           phase,
-          abilityId: 'shield',
+          abilityId,
         },
       };
 
@@ -972,15 +1040,15 @@ class InputSystem {
       try {
         queue.enqueue(command, metadata);
       } catch (error) {
-        console.warn('[InputSystem] Failed to enqueue shield command:', error);
+        console.warn('[InputSystem] Failed to enqueue ability command:', error);
       }
 
       return;
     }
 
-    if (action === 'firePrimary') {
+    if (action === 'firePrimary' || action === 'fireSecondary') {
       const command = {
-        type: 'firePrimary',
+        type: action,
         phase,
         source: normalizedSource,
         timestamp,
@@ -1061,6 +1129,124 @@ class InputSystem {
     return !!this.mouseButtons[button];
   }
 
+  updateAimStick(pad) {
+    const x = Number(pad.axes?.[AIM_STICK_AXES.x]) || 0;
+    const y = Number(pad.axes?.[AIM_STICK_AXES.y]) || 0;
+    const magnitude = Math.hypot(x, y);
+
+    // Inside the deadzone the last stick direction is kept, so releasing the
+    // stick does not snap the aim back to the mouse pointer.
+    if (magnitude < AIM_STICK_DEADZONE) {
+      return;
+    }
+
+    this.aimStickDirection = { x: x / magnitude, y: y / magnitude };
+    this.aimDevice = 'gamepad';
+  }
+
+  /**
+   * Maps the mouse pointer from client coordinates to world coordinates.
+   * @returns {{x: number, y: number}|null}
+   */
+  getPointerWorldPosition() {
+    if (!this.hasPointerMoved || typeof document === 'undefined') {
+      return null;
+    }
+
+    if (!this.gameCanvas || !this.gameCanvas.isConnected) {
+      this.gameCanvas = document.getElementById?.('game-canvas') || null;
+    }
+
+    const canvas = this.gameCanvas;
+    if (!canvas || typeof canvas.getBoundingClientRect !== 'function') {
+      return null;
+    }
+
+    const rect = canvas.getBoundingClientRect();
+    const width = canvas.clientWidth || rect.width;
+    const height = canvas.clientHeight || rect.height;
+    if (!(width > 0) || !(height > 0)) {
+      return null;
+    }
+
+    return {
+      x:
+        ((this.mousePos.x - rect.left - (canvas.clientLeft || 0)) / width) *
+        GAME_WIDTH,
+      y:
+        ((this.mousePos.y - rect.top - (canvas.clientTop || 0)) / height) *
+        GAME_HEIGHT,
+    };
+  }
+
+  /**
+   * Builds the aim command consumed by CombatSystem. Mouse aim is a world
+   * point, stick aim a unit direction; auto-targeting sends `manual: false`.
+   * @returns {Object}
+   */
+  buildAimCommand() {
+    if (!this.manualWeapons) {
+      return { type: 'aim', manual: false };
+    }
+
+    if (this.aimDevice === 'gamepad' && this.aimStickDirection) {
+      return {
+        type: 'aim',
+        manual: true,
+        source: 'gamepad',
+        direction: {
+          x: Math.round(this.aimStickDirection.x * 1000) / 1000,
+          y: Math.round(this.aimStickDirection.y * 1000) / 1000,
+        },
+      };
+    }
+
+    const point = this.getPointerWorldPosition();
+    return {
+      type: 'aim',
+      manual: true,
+      source: 'mouse',
+      point: point ? { x: Math.round(point.x), y: Math.round(point.y) } : null,
+    };
+  }
+
+  isSameAimCommand(a, b) {
+    if (!a || !b) {
+      return false;
+    }
+
+    return (
+      a.manual === b.manual &&
+      a.source === b.source &&
+      a.point?.x === b.point?.x &&
+      a.point?.y === b.point?.y &&
+      a.direction?.x === b.direction?.x &&
+      a.direction?.y === b.direction?.y
+    );
+  }
+
+  /**
+   * Enqueues the aim state when it changes. Aim goes through the command queue
+   * like movement so replays reproduce manual aim.
+   */
+  enqueueAimCommand(queue) {
+    const command = this.buildAimCommand();
+    if (this.isSameAimCommand(command, this.lastAimCommand)) {
+      return;
+    }
+
+    this.lastAimCommand = command;
+
+    try {
+      queue.enqueue(
+        { ...command, timestamp: this.getCurrentTimestamp() },
+        { source: command.source || 'input', metadata: { action: 'aim' } }
+      );
+    } catch (error) {
+      console.warn('[InputSystem] Failed to enqueue aim command:', error);
+    }
+  }
+
   getActiveKeys() {
     const activeKeys = Object.keys(this.keys).filter((key) => this.keys[key]);
     const activeCodes = Object.keys(this.codes).filter(
@@ -1085,6 +1271,8 @@ class InputSystem {
     } catch (error) {
       console.warn('[InputSystem] Failed to enqueue movement command:', error);
     }
+
+    this.enqueueAimCommand(queue);
   }
 
   destroy() {
@@ -2,6 +2,8 @@ import { BaseSystem } from '../core/BaseSystem.js';
 import {
   ASTEROID_SIZES,
   BULLET_SIZE,
+  GAME_HEIGHT,
+  GAME_WIDTH,
   PHYSICS_CELL_SIZE,
   SHIP_SIZE,
 } from '../core/GameConstants.js';
@@ -15,6 +17,7 @@ import {
   validateSnapshot,
 } from '../utils/StateManager.js';
 import { SHIP_MASS } from '../data/constants/physics.js';
+import { getHazardType } from '../data/hazards.js';
 import {
   SHIELD_COLLISION_BOUNCE,
   SHIELD_REFLECT_SPEED,
@@ -51,6 +54,10 @@ class PhysicsSystem extends BaseSystem {
     this._handledMineExplosions = new WeakSet();
     this._handledMineExplosionIds = new Set();
 
+    // Environmental hazards (see data/hazards.js)
+    this.hazards = [];
+    this.hazardSequence = 0;
+
     this.effectsService = this.dependencies.effects || null;
 
     // New SpatialHash-based collision system
@@ -198,6 +205,10 @@ class PhysicsSystem extends BaseSystem {
       this.markMineExplosionHandled(payload.enemy, payload.enemyId);
     });
 
+    this.registerEventListener('enemy-beam-fired', (payload = {}) => {
+      this.resolveEnemyBeamHit(payload);
+    });
+
     this.registerEventListener('progression-reset', () => {
       this.reset();
     });
@@ -1280,6 +1291,9 @@ class PhysicsSystem extends BaseSystem {
     return {
       version: 1,
       asteroids,
+      hazards: this.hazards.map((hazard) =>
+        this.serializeHazardForSnapshot(hazard)
+      ),
     };
   }
 
@@ -1349,6 +1363,11 @@ class PhysicsSystem extends BaseSystem {
       this.registerEnemy(liveEnemies[i]);
     }
 
+    this.clearHazards();
+    (Array.isArray(snapshot.hazards) ? snapshot.hazards : []).forEach((entry) =>
+      this.spawnHazard(entry?.type, entry)
+    );
+
     this.bootstrapCompleted = true;
     this.indexDirty = true;
     this.lastSpatialHashMaintenance = performance.now();
@@ -1373,7 +1392,7 @@ class PhysicsSystem extends BaseSystem {
     return this.importState(snapshot);
   }
 
-  update() {
+  update(deltaTime = 0) {
     const startTime = performance.now();
 
     this.refreshEnemyReference();
@@ -1381,6 +1400,7 @@ class PhysicsSystem extends BaseSystem {
 
     // Update spatial hash with current asteroid positions
     this.updateSpatialHash();
+    this.updateHazards(deltaTime);
 
     if (!this.activeEnemies.size) {
       if (this.enemyIndex.size) {
@@ -1590,6 +1610,380 @@ class PhysicsSystem extends BaseSystem {
     return dx * dx + dy * dy <= totalRadius * totalRadius;
   }
 
+  /**
+   * Distance from a point to the segment (x1, y1)-(x2, y2).
+   * Used by hitscan beams, which have no projectile to collide.
+   */
+  getPointSegmentDistance(px, py, x1, y1, x2, y2) {
+    const sx = x2 - x1;
+    const sy = y2 - y1;
+    const lengthSq = sx * sx + sy * sy;
+    const t =
+      lengthSq > 0
+        ? Math.max(0, Math.min(1, ((px - x1) * sx + (py - y1) * sy) / lengthSq))
+        : 0;
+    return Math.hypot(px - (x1 + sx * t), py - (y1 + sy * t));
+  }
+
+  /**
+   * Checks an enemy beam (see the WeaponComponent 'beam' pattern) against
+   * the player and forwards hits through 'player-hit-by-projectile', so
+   * shields and invulnerability apply exactly as for regular shots.
+   *
+   * @param {Object} payload - 'enemy-beam-fired' payload
+   * @returns {{hit: boolean, distance: number|null, position: Object|null}}
+   */
+  resolveEnemyBeamHit(payload = {}) {
+    const result = { hit: false, distance: null, position: null };
+    const { origin, end } = payload;
+    if (
+      !origin ||
+      !end ||
+      !Number.isFinite(origin.x) ||
+      !Number.isFinite(origin.y) ||
+      !Number.isFinite(end.x) ||
+      !Number.isFinite(end.y)
+    ) {
+      return result;
+    }
+
+    const player =
+      payload.player ?? this.enemySystem?.getCachedPlayer?.() ?? null;
+    const position = player?.position;
+    if (!position || player.isDead || player.isRetrying) {
+      return result;
+    }
+
+    const { collisionRadius } = this.buildPlayerCollisionContext(player);
+    const halfWidth = Math.max(0, (payload.width ?? 0) / 2);
+    const distance = this.getPointSegmentDistance(
+      position.x,
+      position.y,
+      origin.x,
+      origin.y,
+      end.x,
+      end.y
+    );
+
+    result.distance = distance;
+    if (distance > collisionRadius + halfWidth) {
+      return result;
+    }
+
+    result.hit = true;
+    result.position = { x: position.x, y: position.y };
+
+    this.eventBus?.emit?.('player-hit-by-projectile', {
+      damage: payload.damage,
+      position: result.position,
+      enemyType: payload.enemyType,
+      pattern: 'beam',
+      source: payload.source ?? null,
+    });
+
+    return result;
+  }
+
+  // === HAZARDS AMBIENTAIS ===
+  /**
+   * Adds an environmental hazard (see data/hazards.js). WaveManager spawns
+   * them per wave; update() runs them each frame until they expire.
+   *
+   * @param {string} type - Key of HAZARD_TYPES
+   * @param {Object} [options] - Position (`x`, `y`), flare sweep (`axis`
+   *   'x'|'y', `direction` 1|-1) and overrides of the definition
+   * @returns {Object|null} The hazard, or null for unknown types
+   */
+  spawnHazard(type, options = {}) {
+    const definition = getHazardType(type);
+    if (!definition) {
+      return null;
+    }
+
+    this.hazardSequence += 1;
+    const hazard = {
+      ...definition,
+      ...options,
+      id: options.id ?? `hazard-${this.hazardSequence}`,
+      type,
+      x: Number.isFinite(options.x) ? options.x : GAME_WIDTH / 2,
+      y: Number.isFinite(options.y) ? options.y : GAME_HEIGHT / 2,
+      elapsed: Math.max(0, Number(options.elapsed) || 0),
+    };
+
+    if (type === 'solar-flare') {
+      hazard.axis = options.axis === 'y' ? 'y' : 'x';
+      hazard.direction = options.direction === -1 ? -1 : 1;
+      hazard.phase = hazard.elapsed < hazard.warningTime ? 'warning' : 'sweep';
+      hazard.bandCenter = null;
+      hazard.hitIds = new Set(options.hitIds || []);
+      hazard.duration =
+        hazard.warningTime +
+        (this.getSolarFlareExtent(hazard) + hazard.width) / hazard.sweepSpeed;
+    }
+
+    this.hazards.push(hazard);
+    this.eventBus?.emit?.('hazard-spawned', {
+      id: hazard.id,
+      type,
+      name: hazard.name,
+      position: { x: hazard.x, y: hazard.y },
+      duration: hazard.duration,
+      warningTime: hazard.warningTime ?? 0,
+    });
+    return hazard;
+  }
+
+  getHazards() {
+    return this.hazards;
+  }
+
+  clearHazards() {
+    this.hazards = [];
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {string|null} [type] - Only hazards of this type
+   * @returns {boolean} True when the point lies inside a round hazard
+   */
+  isInsideHazard(x, y, type = null) {
+    return this.hazards.some(
+      (hazard) =>
+        (!type || hazard.type === type) && this.isInsideHazardArea(hazard, x, y)
+    );
+  }
+
+  isInsideHazardArea(hazard, x, y) {
+    return (
+      Number.isFinite(hazard.radius) &&
+      (x - hazard.x) ** 2 + (y - hazard.y) ** 2 <= hazard.radius ** 2
+    );
+  }
+
+  /**
+   * Integrates an acceleration into a body's velocity. Enemies and bullets
+   * keep vx/vy on themselves; PlayerSystem keeps them on `velocity`.
+   *
+   * @returns {boolean} False when the body has no velocity to push
+   */
+  applyForce(body, ax, ay, deltaTime) {
+    const velocity = Number.isFinite(body?.velocity?.vx) ? body.velocity : body;
+    if (!Number.isFinite(velocity?.vx) || !Number.isFinite(velocity?.vy)) {
+      return false;
+    }
+
+    velocity.vx += ax * deltaTime;
+    velocity.vy += ay * deltaTime;
+    return true;
+  }
+
+  updateHazards(deltaTime) {
+    if (!this.hazards.length || !Number.isFinite(deltaTime) || deltaTime <= 0) {
+      return;
+    }
+
+    const player = resolveService('player', this.dependencies);
+    const combat = resolveService('combat', this.dependencies);
+    const xpOrbs = resolveService('xp-orbs', this.dependencies);
+    const targets = {
+      player:
+        player?.position && !player.isDead && !player.isRetrying
+          ? player
+          : null,
+      bullets: [...(combat?.bullets || []), ...(combat?.enemyBullets || [])],
+      xpOrbs,
+    };
+
+    this.hazards = this.hazards.filter((hazard) => {
+      hazard.elapsed += deltaTime;
+      if (hazard.elapsed >= hazard.duration) {
+        this.eventBus?.emit?.('hazard-expired', {
+          id: hazard.id,
+          type: hazard.type,
+        });
+        return false;
+      }
+
+      if (hazard.type === 'gravity-well') {
+        this.applyGravityWell(hazard, targets, deltaTime);
+      } else if (hazard.type === 'nebula') {
+        this.applyNebula(hazard, targets);
+      } else if (hazard.type === 'solar-flare') {
+        this.updateSolarFlare(hazard, targets);
+      }
+      return true;
+    });
+  }
+
+  // Non-boss enemies inside a round hazard, looked up through the SpatialHash
+  getHazardEnemies(hazard) {
+    const radiusSq = hazard.radius * hazard.radius;
+    return this.getNearbyEnemies(hazard.x, hazard.y, hazard.radius).filter(
+      (enemy) =>
+        enemy?.alive !== false &&
+        !this.isBossEnemy(enemy) &&
+        (enemy.x - hazard.x) ** 2 + (enemy.y - hazard.y) ** 2 <= radiusSq
+    );
+  }
+
+  applyGravityWell(hazard, targets, deltaTime) {
+    const pullAt = (x, y) => {
+      const dx = hazard.x - x;
+      const dy = hazard.y - y;
+      const distance = Math.hypot(dx, dy);
+      if (distance >= hazard.radius || distance < 1) {
+        return null;
+      }
+      const falloff = 1 - distance / hazard.radius;
+      return {
+        distance,
+        ax: (dx / distance) * hazard.strength * falloff,
+        ay: (dy / distance) * hazard.strength * falloff,
+        nx: dx / distance,
+        ny: dy / distance,
+      };
+    };
+
+    const { player, bullets, xpOrbs } = targets;
+    if (player) {
+      const pull = pullAt(player.position.x, player.position.y);
+      if (pull) {
+        this.applyForce(player, pull.ax, pull.ay, deltaTime);
+      }
+    }
+
+    this.getHazardEnemies(hazard).forEach((enemy) => {
+      const pull = pullAt(enemy.x, enemy.y);
+      if (pull) {
+        this.applyForce(enemy, pull.ax, pull.ay, deltaTime);
+      }
+    });
+
+    bullets.forEach((bullet) => {
+      if (!bullet || bullet.hit || !(bullet.life > 0)) {
+        return;
+      }
+      const pull = pullAt(bullet.x, bullet.y);
+      if (!pull) {
+        return;
+      }
+      if (bullet.type === 'player' && pull.distance <= hazard.coreRadius) {
+        bullet.life = 0;
+        return;
+      }
+      this.applyForce(bullet, pull.ax, pull.ay, deltaTime);
+    });
+
+    const orbs =
+      typeof xpOrbs?.getActiveOrbs === 'function' ? xpOrbs.getActiveOrbs() : [];
+    let orbsMoved = false;
+    orbs.forEach((orb) => {
+      const pull = pullAt(orb.x, orb.y);
+      if (!pull) {
+        return;
+      }
+      const step = Math.min(pull.distance, hazard.orbPullSpeed * deltaTime);
+      orb.x += pull.nx * step;
+      orb.y += pull.ny * step;
+      orbsMoved = true;
+    });
+    if (orbsMoved) {
+      xpOrbs.invalidateSpatialIndex?.();
+    }
+  }
+
+  applyNebula(hazard, targets) {
+    const source = { id: hazard.id, type: hazard.type };
+    const { player } = targets;
+    if (
+      player &&
+      this.isInsideHazardArea(hazard, player.position.x, player.position.y)
+    ) {
+      player.applyStatusEffect?.(hazard.statusEffect, { source });
+    }
+
+    this.getHazardEnemies(hazard).forEach((enemy) => {
+      enemy.applyStatusEffect?.(hazard.statusEffect, { source });
+    });
+  }
+
+  getSolarFlareExtent(hazard) {
+    return hazard.axis === 'y' ? GAME_HEIGHT : GAME_WIDTH;
+  }
+
+  /**
+   * @returns {number|null} Center of the flare band along its axis, or null
+   *   while the flare is still a warning
+   */
+  getSolarFlareBandCenter(hazard) {
+    const travel = (hazard.elapsed - hazard.warningTime) * hazard.sweepSpeed;
+    if (travel < 0) {
+      return null;
+    }
+
+    const start = -hazard.width / 2 + travel;
+    return hazard.direction === 1
+      ? start
+      : this.getSolarFlareExtent(hazard) - start;
+  }
+
+  updateSolarFlare(hazard, targets) {
+    const center = this.getSolarFlareBandCenter(hazard);
+    hazard.bandCenter = center;
+    if (center === null) {
+      hazard.phase = 'warning';
+      return;
+    }
+    hazard.phase = 'sweep';
+
+    const halfWidth = hazard.width / 2;
+    const inBand = (x, y, radius = 0) =>
+      Math.abs((hazard.axis === 'y' ? y : x) - center) <= halfWidth + radius;
+    const source = { id: hazard.id, type: hazard.type };
+
+    const { player } = targets;
+    if (player && !hazard.hitIds.has('player')) {
+      const { collisionRadius } = this.buildPlayerCollisionContext(player);
+      if (inBand(player.position.x, player.position.y, collisionRadius)) {
+        hazard.hitIds.add('player');
+        this.eventBus?.emit?.('player-hit-by-projectile', {
+          damage: hazard.damage,
+          position: { x: player.position.x, y: player.position.y },
+          enemyType: null,
+          pattern: hazard.type,
+          source,
+        });
+      }
+    }
+
+    this.activeEnemies.forEach((enemy) => {
+      if (
+        !enemy ||
+        enemy.destroyed ||
+        enemy.alive === false ||
+        enemy.type === 'asteroid' ||
+        this.isBossEnemy(enemy) ||
+        hazard.hitIds.has(enemy.id) ||
+        !inBand(enemy.x, enemy.y, enemy.radius ?? 0)
+      ) {
+        return;
+      }
+      hazard.hitIds.add(enemy.id);
+      enemy.takeDamage?.(
+        hazard.damage,
+        { ...source, cause: 'hazard' },
+        { cause: 'hazard' }
+      );
+    });
+  }
+
+  serializeHazardForSnapshot(hazard) {
+    const { hitIds, ...rest } = hazard;
+    return hitIds ? { ...rest, hitIds: Array.from(hitIds) } : { ...rest };
+  }
+
   buildPlayerCollisionContext(player) {
     const shieldState =
       typeof player.getShieldState === 'function'
@@ -2237,6 +2631,7 @@ class PhysicsSystem extends BaseSystem {
     this._snapshotFallbackWarningIssued = false;
     this._handledMineExplosions = new WeakSet();
     this._handledMineExplosionIds.clear();
+    this.clearHazards();
     this.effectsService = this.dependencies.effects || null;
     this.refreshEnemyReference({ force: true });
 
@@ -4,6 +4,8 @@ import { NeonGraphics } from '../utils/NeonGraphics.js';
 import { GAME_HEIGHT, GAME_WIDTH, SHIP_SIZE } from '../core/GameConstants.js';
 import shipModels from '../data/shipModels.js';
 import { resolveService } from '../core/serviceUtils.js';
+import { StatusEffectController } from './StatusEffectController.js';
+import { AbilityController } from './AbilityController.js';
 import {
   SHIP_ACCELERATION,
   SHIP_ANGULAR_DAMPING,
@@ -17,6 +19,7 @@ import {
   SHIELD_IMPACT_DAMAGE_BASE,
   SHIELD_IMPACT_DAMAGE_PER_LEVEL,
 } from '../data/constants/gameplay.js';
+import { CRITICAL_HIT_CONFIG } from '../data/damageTypes.js';
 
 const DRIFT_SETTINGS = {
   rampSpeed: 2.8,
@@ -24,6 +27,16 @@ const DRIFT_SETTINGS = {
   brakeReduction: 0.4,
 };
 
+// Stats que modificadores de run podem escalar (ver data/runModifiers.js)
+const RUN_MODIFIER_PLAYER_STATS = Object.freeze([
+  'damage',
+  'maxHealth',
+  'maxSpeed',
+  'acceleration',
+  'rotationSpeed',
+  'magnetismRadius',
+]);
+
 const SHIELD_LEVEL_CONFIG = {
   1: {
     maxHP: 50,
@@ -125,6 +138,8 @@ class PlayerSystem extends BaseSystem {
     this.targetAngle = 0; // Para rotação suave (futuro)
     this.angularVelocity = 0;
     this.driftFactor = 0;
+    // Pose at the start of the latest simulation step (render interpolation)
+    this.previousPose = null;
 
     // === CONFIGURAÇÕES DE MOVIMENTO ===
     // Usar constantes do arquivo separado
@@ -139,7 +154,10 @@ class PlayerSystem extends BaseSystem {
     this.maxHealth = 100;
     this.damage = 25;
     this.multishot = 1;
+    this.critChance = CRITICAL_HIT_CONFIG.baseChance;
+    this.critMultiplier = CRITICAL_HIT_CONFIG.baseMultiplier;
     this.magnetismRadius = MAGNETISM_RADIUS;
+    this.resetLastStand();
     this.currentHull = null;
     this._currentHullMetrics = {
       outline: [],
@@ -166,15 +184,25 @@ class PlayerSystem extends BaseSystem {
     this.recoilOffset = { x: 0, y: 0 };
     this.recoilDecay = 0.85; // Fast decay for snappy feel
 
+    // === HABILIDADES ATIVAS (ver data/abilities.js) ===
+    // The shield's cooldown lives in its ability slot.
+    this.abilities = new AbilityController({
+      handlers: this.createAbilityHandlers(),
+    });
+
     this.shieldUpgradeLevel = 0;
     this.shieldMaxHP = 0;
     this.shieldHP = 0;
-    this.shieldCooldownTimer = 0;
     this.shieldMaxCooldown = 0;
     this.shieldWasInCooldown = false;
     this.isShieldActive = false;
     this.invulnerableTimer = 0;
 
+    // === EFEITOS DE STATUS (ver data/statusEffects.js) ===
+    this.statusEffects = new StatusEffectController({
+      onTick: (amount, effect) => this.onStatusEffectTick(amount, effect),
+    });
+
     // === DEATH/RETRY STATE ===
     this.isDead = false;
     this.isRetrying = false;
@@ -330,7 +358,11 @@ class PlayerSystem extends BaseSystem {
 
   setupEventListeners() {
     this.registerEventListener('upgrade-damage-boost', (data) => {
-      this.damage = Math.floor(this.damage * data.multiplier);
+      // Revoked newest first, the ceiling undoes each floor exactly; the
+      // epsilon keeps float noise from rounding an exact quotient up.
+      this.damage = data.revoke
+        ? Math.ceil(this.damage / data.multiplier - 1e-9)
+        : Math.floor(this.damage * data.multiplier);
       console.log('[PlayerSystem] Damage boosted to', this.damage);
     });
 
@@ -395,11 +427,45 @@ class PlayerSystem extends BaseSystem {
       console.log('[PlayerSystem] Health boosted to', this.maxHealth);
     });
 
+    this.registerEventListener('upgrade-last-stand', (data = {}) => {
+      this.lastStand.charges += data.charges ?? 1;
+      this.lastStand.healFraction = Math.max(
+        this.lastStand.healFraction,
+        data.healFraction ?? 0
+      );
+      this.lastStand.invulnerability = Math.max(
+        this.lastStand.invulnerability,
+        data.invulnerability ?? 0
+      );
+      console.log('[PlayerSystem] Last stand charges:', this.lastStand.charges);
+    });
+
     this.registerEventListener('upgrade-multishot', (data) => {
-      this.multishot += data.bonus;
+      this.multishot += data.revoke ? -data.bonus : data.bonus;
       console.log('[PlayerSystem] Multishot boosted to', this.multishot);
     });
 
+    this.registerEventListener('upgrade-critical-strike', (data = {}) => {
+      const sign = data.revoke ? -1 : 1;
+      this.critChance = Math.max(
+        CRITICAL_HIT_CONFIG.baseChance,
+        Math.min(
+          CRITICAL_HIT_CONFIG.maxChance,
+          this.critChance + sign * (data.chance ?? 0)
+        )
+      );
+      this.critMultiplier = Math.max(
+        CRITICAL_HIT_CONFIG.baseMultiplier,
+        this.critMultiplier + sign * (data.multiplier ?? 0)
+      );
+      console.log(
+        '[PlayerSystem] Critical strike:',
+        this.critChance,
+        'x',
+        this.critMultiplier
+      );
+    });
+
     this.registerEventListener('upgrade-magnetism', (data) => {
       this.magnetismRadius = Math.floor(this.magnetismRadius * data.multiplier);
       console.log('[PlayerSystem] Magnetism boosted to', this.magnetismRadius);
@@ -441,6 +507,7 @@ class PlayerSystem extends BaseSystem {
     this.shieldUpgradeLevel = level;
     this.shieldMaxHP = config.maxHP;
     this.shieldMaxCooldown = config.cooldown;
+    this.abilities.configure('shield', { cooldown: config.cooldown });
 
     if (this.isShieldActive) {
       this.shieldHP = this.shieldMaxHP;
@@ -451,13 +518,8 @@ class PlayerSystem extends BaseSystem {
     }
 
     if (level === 1) {
-      this.shieldCooldownTimer = 0;
+      this.abilities.refill('shield');
       this.shieldWasInCooldown = false;
-    } else {
-      this.shieldCooldownTimer = Math.min(
-        this.shieldCooldownTimer,
-        this.shieldMaxCooldown
-      );
     }
 
     this.emitShieldStats();
@@ -485,26 +547,103 @@ class PlayerSystem extends BaseSystem {
   }
 
   activateShield() {
-    if (this.shieldUpgradeLevel <= 0) {
-      this.emitShieldActivationFailed('locked');
-      return false;
-    }
+    return this.activateAbility('shield');
+  }
 
-    if (this.isShieldActive) {
-      this.emitShieldActivationFailed('active');
-      return false;
-    }
+  /** Remaining shield recharge time, kept by the shield ability slot */
+  get shieldCooldownTimer() {
+    return this.abilities?.getSlot('shield')?.cooldownTimer ?? 0;
+  }
 
-    if (this.shieldCooldownTimer > 0) {
-      this.emitShieldActivationFailed('cooldown');
-      return false;
-    }
+  // === HABILIDADES ATIVAS ===
+  /**
+   * Effect handlers for the AbilityController slots, by ability id.
+   * @returns {Object<string, Object>}
+   */
+  createAbilityHandlers() {
+    return {
+      shield: {
+        // The upgrade level is the source of truth for the shield unlock
+        isUnlocked: () => this.shieldUpgradeLevel > 0,
+        canActivate: () => {
+          if (this.statusEffects.isDisabled('shield')) {
+            return 'emp';
+          }
+          if (this.isShieldActive) {
+            return 'active';
+          }
+          return this.shieldMaxHP <= 0 ? 'unavailable' : null;
+        },
+        activate: () => this.raiseShield(),
+        onReady: () => this.handleShieldRecharged(),
+      },
+      dash: {
+        activate: (slot) => this.blink(slot.definition),
+      },
+      'time-slow': {
+        activate: (slot) => {
+          const { scale, duration, transition } = slot.definition;
+          // EffectsSystem applies the dilation to the whole frame delta
+          this.eventBus?.emit?.('player-time-slow', {
+            position: this.getPosition(),
+            scale,
+            duration,
+            transition,
+          });
+        },
+      },
+      'emp-pulse': {
+        activate: (slot) => {
+          const { radius, damage, statusEffect } = slot.definition;
+          this.eventBus?.emit?.('player-emp-pulse', {
+            position: this.getPosition(),
+            radius,
+            damage,
+            statusEffect,
+          });
+        },
+      },
+    };
+  }
 
-    if (this.shieldMaxHP <= 0) {
-      this.emitShieldActivationFailed('unavailable');
+  /**
+   * Triggers an active ability (see data/abilities.js).
+   * @param {string} abilityId
+   * @returns {boolean} Whether the ability fired
+   */
+  activateAbility(abilityId) {
+    const { activated, reason } =
+      this.isDead || this.isRetrying
+        ? { activated: false, reason: 'dead' }
+        : this.abilities.activate(abilityId);
+
+    if (!activated) {
+      // The shield keeps its own event for the existing audio cues
+      if (abilityId === 'shield') {
+        this.emitShieldActivationFailed(reason);
+      }
+      this.eventBus?.emit?.('ability-activation-failed', {
+        abilityId,
+        reason,
+      });
       return false;
     }
 
+    const slot = this.abilities.getSlot(abilityId);
+    this.eventBus?.emit?.('ability-activated', {
+      abilityId,
+      charges: slot.charges,
+      cooldown: slot.cooldown,
+    });
+    return true;
+  }
+
+  /** @returns {Array<Object>} Ability slot states for the HUD */
+  getAbilityStates() {
+    return this.abilities.getStates();
+  }
+
+  raiseShield() {
     this.isShieldActive = true;
     this.shieldHP = this.shieldMaxHP;
     this.shieldWasInCooldown = false;
@@ -515,7 +654,47 @@ class PlayerSystem extends BaseSystem {
     });
 
     this.emitShieldStats();
-    return true;
+  }
+
+  handleShieldRecharged() {
+    if (this.shieldWasInCooldown) {
+      this.shieldWasInCooldown = false;
+      this.shieldHP = this.shieldMaxHP;
+      this.eventBus?.emit?.('shield-recharged', {
+        level: this.shieldUpgradeLevel,
+      });
+    }
+    this.emitShieldStats();
+  }
+
+  /**
+   * Teleports the ship along its velocity (or heading when nearly still),
+   * wrapping at the screen edges like regular movement.
+   * @param {Object} definition - The dash entry of ACTIVE_ABILITIES
+   */
+  blink(definition) {
+    const { vx, vy } = this.velocity;
+    const direction = Math.hypot(vx, vy) > 1 ? Math.atan2(vy, vx) : this.angle;
+    const from = this.getPosition();
+    const wrap = (value, size) => ((value % size) + size) % size;
+
+    this.position.x = wrap(
+      from.x + Math.cos(direction) * definition.distance,
+      GAME_WIDTH
+    );
+    this.position.y = wrap(
+      from.y + Math.sin(direction) * definition.distance,
+      GAME_HEIGHT
+    );
+    // No interpolated slide across the gap
+    this.capturePreviousPose();
+    this.setInvulnerableTimer(definition.invulnerability);
+
+    this.eventBus?.emit?.('player-dashed', {
+      from,
+      to: this.getPosition(),
+      invulnerability: definition.invulnerability,
+    });
   }
 
   shieldTookDamage(damageAmount) {
@@ -569,10 +748,10 @@ class PlayerSystem extends BaseSystem {
     }
 
     if (this.shieldMaxCooldown > 0) {
-      this.shieldCooldownTimer = this.shieldMaxCooldown;
+      this.abilities.startCooldown('shield');
       this.shieldWasInCooldown = true;
     } else {
-      this.shieldCooldownTimer = 0;
+      this.abilities.refill('shield');
       this.shieldWasInCooldown = false;
       this.eventBus?.emit?.('shield-recharged', {
         level: this.shieldUpgradeLevel,
@@ -631,28 +810,17 @@ class PlayerSystem extends BaseSystem {
       movement = { ...this.cachedMovementInput };
     }
 
-    if (this.shieldCooldownTimer > 0) {
-      this.shieldCooldownTimer -= deltaTime;
-      if (this.shieldCooldownTimer <= 0) {
-        this.shieldCooldownTimer = 0;
-        if (this.shieldWasInCooldown) {
-          this.shieldWasInCooldown = false;
-          this.shieldHP = this.shieldMaxHP;
-          this.eventBus?.emit?.('shield-recharged', {
-            level: this.shieldUpgradeLevel,
-          });
-          this.emitShieldStats();
-        } else {
-          this.emitShieldStats(); // Emit stats during cooldown for UI progress bar
-        }
-      }
-    }
+    // Shield recharge runs through handleShieldRecharged()
+    this.abilities.update(deltaTime);
 
     // === ONLY UPDATE WHEN ALIVE: ===
     if (this.isDead || this.isRetrying) {
       return; // Don't process input, movement, or effects when dead/retrying
     }
 
+    this.statusEffects.update(deltaTime);
+
+    this.capturePreviousPose();
     this.updateMovement(deltaTime, movement);
     this.updatePosition(deltaTime);
 
@@ -853,9 +1021,10 @@ class PlayerSystem extends BaseSystem {
   }
 
   updatePosition(deltaTime) {
-    // Integrar posição
-    this.position.x += this.velocity.vx * deltaTime;
-    this.position.y += this.velocity.vy * deltaTime;
+    // Integrar posição (efeitos de lentidão escalam o deslocamento)
+    const speedMultiplier = this.statusEffects.getSpeedMultiplier();
+    this.position.x += this.velocity.vx * deltaTime * speedMultiplier;
+    this.position.y += this.velocity.vy * deltaTime * speedMultiplier;
 
     // Screen wrapping
     if (this.position.x < 0) this.position.x = GAME_WIDTH;
@@ -1245,6 +1414,52 @@ class PlayerSystem extends BaseSystem {
     return true;
   }
 
+  // === INTERPOLAÇÃO DE RENDERIZAÇÃO ===
+  capturePreviousPose() {
+    if (!this.previousPose) {
+      this.previousPose = { x: 0, y: 0, angle: 0 };
+    }
+    this.previousPose.x = this.position.x;
+    this.previousPose.y = this.position.y;
+    this.previousPose.angle = this.angle;
+  }
+
+  /**
+   * Blends the pose from the previous simulation step with the current one.
+   * Falls back to the current pose when no step has run yet or when the ship
+   * wrapped around a screen edge during the step.
+   * @param {number} alpha - Interpolation factor in [0, 1]
+   * @returns {{ x: number, y: number, angle: number }}
+   */
+  getInterpolatedPose(alpha = 1) {
+    const current = {
+      x: this.position.x,
+      y: this.position.y,
+      angle: this.angle,
+    };
+    const previous = this.previousPose;
+
+    if (!previous || !Number.isFinite(alpha) || alpha >= 1) {
+      return current;
+    }
+
+    const dx = current.x - previous.x;
+    const dy = current.y - previous.y;
+    if (Math.abs(dx) > GAME_WIDTH / 2 || Math.abs(dy) > GAME_HEIGHT / 2) {
+      return current;
+    }
+
+    const t = Math.max(0, alpha);
+    let dAngle = current.angle - previous.angle;
+    dAngle = Math.atan2(Math.sin(dAngle), Math.cos(dAngle));
+
+    return {
+      x: previous.x + dx * t,
+      y: previous.y + dy * t,
+      angle: previous.angle + dAngle * t,
+    };
+  }
+
   // === GETTERS PÚBLICOS ===
   getPosition() {
     return { ...this.position };
@@ -1322,23 +1537,45 @@ class PlayerSystem extends BaseSystem {
     if (this.isDead || this._quitExplosionHidden) return;
 
     const tilt = typeof options.tilt === 'number' ? options.tilt : 0;
+    const pose = options.pose || this.position;
+    const angle = Number.isFinite(options.pose?.angle)
+      ? options.pose.angle
+      : this.angle;
 
     ctx.save();
-    ctx.translate(this.position.x, this.position.y);
-    ctx.rotate(this.angle);
+    ctx.translate(pose.x, pose.y);
+    ctx.rotate(angle);
 
     if (tilt !== 0) {
       ctx.transform(1, 0, tilt, 1, 0, 0);
     }
 
     this.renderHullModel(ctx, this.currentHull, options);
+    this.renderStatusEffectTint(ctx);
+
+    ctx.restore();
+  }
+
+  renderStatusEffectTint(ctx) {
+    const tint = this.statusEffects.getTint();
+    if (!tint) return;
 
+    const radius = this.getHullBoundingRadius() * 1.25;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = tint;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.stroke();
     ctx.restore();
   }
 
   // === GERENCIAMENTO DE VIDA ===
   takeDamage(amount) {
-    const damageAmount = Math.max(0, amount);
+    const damageAmount =
+      Math.max(0, amount) * this.statusEffects.getDamageTakenMultiplier();
     if (damageAmount <= 0) {
       return this.health;
     }
@@ -1357,6 +1594,10 @@ class PlayerSystem extends BaseSystem {
     const previousHealth = this.health;
     this.health = Math.max(0, this.health - remainingDamage);
 
+    if (this.health <= 0 && this.lastStand.charges > 0) {
+      this.triggerLastStand();
+    }
+
     if (this.health !== previousHealth) {
       this.eventBus?.emit?.('player-health-changed', {
         current: this.health,
@@ -1367,8 +1608,101 @@ class PlayerSystem extends BaseSystem {
     return this.health;
   }
 
+  // === EFEITOS DE STATUS ===
+  /**
+   * Applies a status effect (see data/statusEffects.js) to the ship.
+   *
+   * @param {string} id - Effect id, e.g. 'slow'
+   * @param {Object} [options] - Duration, stacks, tickDamage and source
+   * @returns {Object|null} The active effect, or null when not applied
+   */
+  applyStatusEffect(id, options = {}) {
+    if (this.isDead || this.isRetrying) {
+      return null;
+    }
+    return this.statusEffects.apply(id, options);
+  }
+
+  /** @returns {boolean} True while an effect such as EMP jams the weapons */
+  isWeaponSystemDisabled() {
+    return this.statusEffects.isDisabled('weapons');
+  }
+
+  /** @returns {boolean} True while an effect such as a nebula jams auto-targeting */
+  isTargetingJammed() {
+    return this.statusEffects.isDisabled('targeting');
+  }
+
+  /**
+   * Damage-over-time ticks go through EnemySystem so shields, death handling
+   * and `player-took-damage` behave like any other hit, without opening an
+   * invulnerability window on every tick.
+   */
+  onStatusEffectTick(amount, effect) {
+    const enemies = resolveService('enemies', this.dependencies);
+    const context = {
+      cause: 'status-effect',
+      statusEffect: effect.id,
+      source: effect.source,
+      invulnerabilityWindow: 0,
+    };
+
+    if (typeof enemies?.applyDirectDamageToPlayer === 'function') {
+      enemies.applyDirectDamageToPlayer(amount, context);
+      return;
+    }
+    this.takeDamage(amount);
+  }
+
+  resetLastStand() {
+    this.lastStand = {
+      charges: 0,
+      spent: 0,
+      healFraction: 0,
+      invulnerability: 0,
+    };
+  }
+
+  /**
+   * Spends again the charges a restored run had already used: re-applying
+   * the upgrades after a retry or a continue grants every charge anew.
+   * @param {number} spent - Charges used before the snapshot
+   */
+  restoreSpentLastStands(spent) {
+    if (!Number.isFinite(spent) || spent <= 0) {
+      return;
+    }
+
+    const count = Math.floor(spent);
+    this.lastStand.charges = Math.max(0, this.lastStand.charges - count);
+    this.lastStand.spent += count;
+  }
+
+  /**
+   * Spends a last stand charge (Phoenix Core) to survive a lethal hit.
+   */
+  triggerLastStand() {
+    this.lastStand.charges -= 1;
+    this.lastStand.spent += 1;
+    this.health = Math.max(
+      1,
+      Math.round(this.maxHealth * this.lastStand.healFraction)
+    );
+    this.invulnerableTimer = Math.max(
+      this.invulnerableTimer,
+      this.lastStand.invulnerability
+    );
+
+    this.eventBus?.emit?.('player-last-stand', {
+      health: this.health,
+      remainingCharges: this.lastStand.charges,
+      position: { ...this.position },
+    });
+  }
+
   setInvulnerableTimer(duration) {
-    this.invulnerableTimer = duration;
+    // Post-hit windows must not cut short a longer one (last stand revive)
+    this.invulnerableTimer = Math.max(this.invulnerableTimer, duration);
   }
 
   heal(amount) {
@@ -1387,6 +1721,8 @@ class PlayerSystem extends BaseSystem {
       maxHP: this.maxHealth, // Alias for consistency
       damage: this.damage,
       multishot: this.multishot,
+      critChance: this.critChance,
+      critMultiplier: this.critMultiplier,
       magnetismRadius: this.magnetismRadius,
       shieldLevel: this.shieldUpgradeLevel,
       shieldMaxHP: this.shieldMaxHP,
@@ -1426,10 +1762,10 @@ class PlayerSystem extends BaseSystem {
     this.shieldUpgradeLevel = 0;
     this.shieldMaxHP = 0;
     this.shieldHP = 0;
-    this.shieldCooldownTimer = 0;
     this.shieldMaxCooldown = 0;
     this.shieldWasInCooldown = false;
     this.isShieldActive = false;
+    this.abilities.reset('shield');
   }
 
   getShieldState() {
@@ -1446,7 +1782,10 @@ class PlayerSystem extends BaseSystem {
     this.maxHealth = 100;
     this.damage = 25;
     this.multishot = 1;
+    this.critChance = CRITICAL_HIT_CONFIG.baseChance;
+    this.critMultiplier = CRITICAL_HIT_CONFIG.baseMultiplier;
     this.magnetismRadius = MAGNETISM_RADIUS;
+    this.resetLastStand();
     this.maxSpeed = SHIP_MAX_SPEED;
     this.acceleration = SHIP_ACCELERATION;
     this.rotationSpeed = SHIP_ROTATION_SPEED;
@@ -1461,6 +1800,35 @@ class PlayerSystem extends BaseSystem {
     this.brakingVisualLevel = 0;
 
     this.resetShieldState();
+    this.abilities.reset();
+    this.statusEffects.clear();
+    this.applyRunModifierStats();
+  }
+
+  /**
+   * Scales the base stats by the active run modifiers (e.g. Glass Cannon).
+   * Runs on every stat reset, so retries and restored runs keep them.
+   */
+  applyRunModifierStats() {
+    const runModifiers = resolveService('run-modifiers', this.dependencies);
+    const playerStats =
+      typeof runModifiers?.getEffects === 'function'
+        ? runModifiers.getEffects()?.playerStats
+        : null;
+    if (!playerStats) {
+      return;
+    }
+
+    Object.entries(playerStats).forEach(([stat, factor]) => {
+      if (!RUN_MODIFIER_PLAYER_STATS.includes(stat)) {
+        return;
+      }
+      const scaled = this[stat] * factor;
+      this[stat] = Number.isInteger(this[stat])
+        ? Math.max(1, Math.round(scaled))
+        : scaled;
+    });
+    this.health = this.maxHealth;
   }
 
   reset() {
@@ -1478,6 +1846,7 @@ class PlayerSystem extends BaseSystem {
     this.angle = 0;
     this.angularVelocity = 0;
     this.driftFactor = 0;
+    this.previousPose = null;
     this._quitExplosionHidden = false; // Reset visibility flag
     this.isDead = false;
     this.isRetrying = false;
@@ -1486,6 +1855,7 @@ class PlayerSystem extends BaseSystem {
   markDead() {
     this.isDead = true;
     this.isRetrying = false;
+    this.statusEffects.clear();
 
     // Force stop all thruster sounds
     this._stopAllThrusterSounds();
@@ -1553,6 +1923,7 @@ class PlayerSystem extends BaseSystem {
       this.position.x = position.x;
       this.position.y = position.y;
     }
+    this.previousPose = null;
 
     // Reset velocity and rotation
     this.velocity.vx = 0;
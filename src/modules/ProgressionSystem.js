@@ -6,6 +6,8 @@ import {
   PROGRESSION_COMBO_MULTIPLIER_CAP,
   PROGRESSION_LEVEL_SCALING,
   PROGRESSION_UPGRADE_ROLL_COUNT,
+  PROGRESSION_SKIP_HEAL_FRACTION,
+  PROGRESSION_SKIP_XP_FRACTION,
 } from '../core/GameConstants.js';
 import UpgradeSystem from './UpgradeSystem.js';
 import {
@@ -97,6 +99,8 @@ class ProgressionSystem extends UpgradeSystem {
         playerService: 'player',
         uiService: 'ui',
         effectsService: 'effects',
+        metaProgressionService: 'meta-progression',
+        runModifierService: 'run-modifiers',
       },
       { force }
     );
@@ -302,10 +306,20 @@ class ProgressionSystem extends UpgradeSystem {
       ? Math.max(1, this.comboMultiplier)
       : 1;
     const adjustedValue = Math.max(1, Math.round(value * multiplier));
+    const levelsGained = this.addExperience(adjustedValue);
 
-    this.totalExperience += adjustedValue;
+    return { gained: adjustedValue, levels: levelsGained };
+  }
+
+  /**
+   * Adds experience as-is (no combo multiplier) and resolves level-ups.
+   * @param {number} amount
+   * @returns {number} Levels gained
+   */
+  addExperience(amount) {
+    this.totalExperience += amount;
 
-    let pool = this.experience + adjustedValue;
+    let pool = this.experience + amount;
     let levelsGained = 0;
     const levelContexts = [];
 
@@ -322,7 +336,7 @@ class ProgressionSystem extends UpgradeSystem {
       this.emitLevelUp(context);
     });
 
-    return { gained: adjustedValue, levels: levelsGained };
+    return levelsGained;
   }
 
   update(deltaTime = 0) {
@@ -353,6 +367,7 @@ class ProgressionSystem extends UpgradeSystem {
     const upgradeContext = this.prepareUpgradeOptions(
       PROGRESSION_UPGRADE_ROLL_COUNT
     );
+    this.trackRarityPity(upgradeContext.options);
 
     return {
       level: this.level,
@@ -377,6 +392,7 @@ class ProgressionSystem extends UpgradeSystem {
       poolSize: context.poolSize ?? 0,
       totalDefinitions: context.totalDefinitions ?? 0,
       inventory: this.getUpgradeProgressSnapshot(),
+      charges: this.getLevelUpCharges(),
       autoResolved: (context.options || []).length === 0,
     });
   }
@@ -384,6 +400,57 @@ class ProgressionSystem extends UpgradeSystem {
   // === SISTEMA DE UPGRADES ===
   // Upgrade handling provided by UpgradeSystem base class.
 
+  /**
+   * Declines the pending upgrade options. A damaged hull is repaired by
+   * PROGRESSION_SKIP_HEAL_FRACTION of its maximum; otherwise the pilot gets
+   * PROGRESSION_SKIP_XP_FRACTION of the next level's requirement.
+   * @returns {{reward: 'heal'|'xp', amount: number}|null} Null when nothing
+   *   was pending
+   */
+  skipUpgradeSelection() {
+    if (!this.pendingUpgradeOptions.length) {
+      return null;
+    }
+
+    this.pendingUpgradeOptions = [];
+    this.refreshInjectedServices();
+
+    const player = this.playerService;
+    const maxHealth = Number(player?.maxHealth);
+    const health = Number(player?.health);
+    let result;
+
+    if (
+      typeof player?.heal === 'function' &&
+      Number.isFinite(maxHealth) &&
+      health < maxHealth
+    ) {
+      const amount = Math.max(
+        1,
+        Math.round(maxHealth * PROGRESSION_SKIP_HEAL_FRACTION)
+      );
+      player.heal(amount);
+      result = { reward: 'heal', amount };
+    } else {
+      result = {
+        reward: 'xp',
+        amount: Math.max(
+          1,
+          Math.round(this.experienceToNext * PROGRESSION_SKIP_XP_FRACTION)
+        ),
+      };
+    }
+
+    this.eventBus?.emit?.('upgrade-skipped', { ...result, level: this.level });
+
+    // After the event, so a level gained here opens its own selection
+    if (result.reward === 'xp') {
+      this.addExperience(result.amount);
+    }
+
+    return result;
+  }
+
   // === GETTERS PÚBLICOS ===
   getLevel() {
     return this.level;
@@ -433,6 +500,9 @@ class ProgressionSystem extends UpgradeSystem {
     this.totalExperience = 0;
     this.appliedUpgrades.clear();
     this.pendingUpgradeOptions = [];
+    this.banishedUpgrades.clear();
+    this.levelUpChargesUsed = { reroll: 0, banish: 0 };
+    this.levelsWithoutRare = 0;
     this._snapshotFallbackWarningIssued = false;
 
     if (Number.isFinite(this.defaultComboTimeout)) {
@@ -463,6 +533,9 @@ class ProgressionSystem extends UpgradeSystem {
       experienceToNext: safeNumber(this.experienceToNext, 100),
       totalExperience: safeNumber(this.totalExperience, 0),
       appliedUpgrades: Array.from(this.appliedUpgrades.entries()),
+      banishedUpgrades: this.getBanishedUpgrades(),
+      levelUpChargesUsed: { ...this.levelUpChargesUsed },
+      levelsWithoutRare: safeNumber(this.levelsWithoutRare, 0),
       comboState: {
         comboCount: safeNumber(this.currentCombo, 0),
         comboTimer: safeNumber(this.comboTimer, 0),
@@ -487,6 +560,14 @@ class ProgressionSystem extends UpgradeSystem {
       : [];
     this.appliedUpgrades = new Map(entries);
     this.pendingUpgradeOptions = [];
+    this.banishedUpgrades = new Set(
+      Array.isArray(snapshot.banishedUpgrades) ? snapshot.banishedUpgrades : []
+    );
+    this.levelUpChargesUsed = {
+      reroll: safeNumber(snapshot.levelUpChargesUsed?.reroll, 0),
+      banish: safeNumber(snapshot.levelUpChargesUsed?.banish, 0),
+    };
+    this.levelsWithoutRare = safeNumber(snapshot.levelsWithoutRare, 0);
 
     if (Number.isFinite(this.defaultComboTimeout)) {
       this.comboTimeout = safeNumber(
@@ -737,6 +737,12 @@ class RenderingSystem extends BaseSystem {
 
     this._loggedBossRenderIds = new Set();
 
+    // Render interpolation of enemies, projectiles and XP orbs
+    this.interpolationAlpha = 1;
+    this.interpolationStep = 0;
+    this.previousEntityPositions = new WeakMap();
+    this.interpolatedEntities = [];
+
     this.shieldVisualCache = {
       signature: '',
       patternCanvas: null, // [NEO-ARCADE] Cache for hex pattern
@@ -821,10 +827,13 @@ class RenderingSystem extends BaseSystem {
     }
   }
 
-  render(ctx) {
+  render(ctx, options = {}) {
     if (!ctx) return;
 
     const frameStart = performance.now();
+    this.interpolationAlpha = Number.isFinite(options.interpolationAlpha)
+      ? options.interpolationAlpha
+      : 1;
 
     // Initialize state manager if needed
     if (!this.stateManager.currentState.fillStyle) {
@@ -849,6 +858,7 @@ class RenderingSystem extends BaseSystem {
         cachedEffects: 'effects',
         cachedCombat: 'combat',
         cachedEnemies: 'enemies',
+        cachedPhysics: 'physics',
         cachedUI: 'ui',
       });
 
@@ -866,6 +876,7 @@ class RenderingSystem extends BaseSystem {
       // Optimized rendering with batching
       this.renderOptimized(ctx, player, playerVelocity);
     } finally {
+      this.restoreSimulatedPositions();
       ctx.restore();
     }
 
@@ -880,6 +891,13 @@ class RenderingSystem extends BaseSystem {
 
     // Objects phase - batch similar objects
     this.stateManager.transitionToPhase(ctx, 'objects');
+    this.applyInterpolatedPositions();
+
+    // Environmental hazards sit under everything else on the field
+    const physics = this.cachedPhysics;
+    if (physics && typeof physics.getHazards === 'function') {
+      this.drawHazards(ctx, physics.getHazards());
+    }
 
     // XP Orbs
     const xpOrbs = this.cachedXPOrbs;
@@ -927,6 +945,97 @@ class RenderingSystem extends BaseSystem {
     }
   }
 
+  // === INTERPOLAÇÃO DE ENTIDADES ===
+  /**
+   * Records where enemies, projectiles and XP orbs stand before a simulation
+   * step. app.js calls this at the start of every fixed step so render() can
+   * blend them toward their post-step positions, as the player ship does
+   * (see PlayerSystem.getInterpolatedPose()).
+   */
+  captureInterpolationState() {
+    this.resolveCachedServices({
+      cachedXPOrbs: 'xp-orbs',
+      cachedCombat: 'combat',
+      cachedEnemies: 'enemies',
+    });
+
+    this.interpolationStep += 1;
+    this.forEachInterpolatedEntity((entity) => {
+      let previous = this.previousEntityPositions.get(entity);
+      if (!previous) {
+        previous = { x: 0, y: 0, simulatedX: 0, simulatedY: 0, step: 0 };
+        this.previousEntityPositions.set(entity, previous);
+      }
+      previous.x = entity.x;
+      previous.y = entity.y;
+      previous.step = this.interpolationStep;
+    });
+  }
+
+  forEachInterpolatedEntity(callback) {
+    const groups = [
+      this.resolveEnemyCollection(this.cachedEnemies),
+      this.cachedCombat?.bullets,
+      this.cachedCombat?.enemyBullets,
+      this.cachedXPOrbs?.xpOrbs,
+    ];
+
+    groups.forEach((group) => {
+      if (!Array.isArray(group)) {
+        return;
+      }
+
+      for (let i = 0; i < group.length; i += 1) {
+        const entity = group[i];
+        if (entity && Number.isFinite(entity.x) && Number.isFinite(entity.y)) {
+          callback(entity);
+        }
+      }
+    });
+  }
+
+  /**
+   * Moves the captured entities to their blended positions for drawing;
+   * restoreSimulatedPositions() puts the simulated ones back. Entities
+   * spawned during the step, or that wrapped around a screen edge, are drawn
+   * where they are.
+   */
+  applyInterpolatedPositions() {
+    const alpha = this.interpolationAlpha;
+    if (!Number.isFinite(alpha) || alpha >= 1) {
+      return;
+    }
+
+    const t = Math.max(0, alpha);
+    this.forEachInterpolatedEntity((entity) => {
+      const previous = this.previousEntityPositions.get(entity);
+      if (!previous || previous.step !== this.interpolationStep) {
+        return;
+      }
+
+      const dx = entity.x - previous.x;
+      const dy = entity.y - previous.y;
+      if (Math.abs(dx) > GAME_WIDTH / 2 || Math.abs(dy) > GAME_HEIGHT / 2) {
+        return;
+      }
+
+      previous.simulatedX = entity.x;
+      previous.simulatedY = entity.y;
+      entity.x = previous.x + dx * t;
+      entity.y = previous.y + dy * t;
+      this.interpolatedEntities.push(entity);
+    });
+  }
+
+  restoreSimulatedPositions() {
+    this.interpolatedEntities.forEach((entity) => {
+      const previous = this.previousEntityPositions.get(entity);
+      entity.x = previous.simulatedX;
+      entity.y = previous.simulatedY;
+    });
+    this.interpolatedEntities.length = 0;
+  }
+
   logEnemyRenderLoop(enemies) {
     if (!enemies) {
       return;
@@ -1295,6 +1404,129 @@ class RenderingSystem extends BaseSystem {
     ctx.restore();
   }
 
+  drawHazards(ctx, hazards) {
+    if (!Array.isArray(hazards) || !hazards.length) return;
+
+    hazards.forEach((hazard) => {
+      ctx.save();
+      try {
+        if (hazard.type === 'gravity-well') {
+          this.drawGravityWell(ctx, hazard);
+        } else if (hazard.type === 'nebula') {
+          this.drawNebulaHazard(ctx, hazard);
+        } else if (hazard.type === 'solar-flare') {
+          this.drawSolarFlare(ctx, hazard);
+        }
+      } finally {
+        ctx.restore();
+      }
+    });
+  }
+
+  drawGravityWell(ctx, hazard) {
+    const { x, y, radius, coreRadius, color, elapsed } = hazard;
+
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    gradient.addColorStop(0, '#000000');
+    gradient.addColorStop(coreRadius / radius, '#000000');
+    gradient.addColorStop(Math.min(1, (coreRadius * 2) / radius), color);
+    gradient.addColorStop(1, 'transparent');
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Anéis espiralando para dentro mostram o alcance da atração
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 10]);
+    for (let ring = 0; ring < 3; ring += 1) {
+      const phase = (elapsed * 0.4 + ring / 3) % 1;
+      ctx.globalAlpha = 0.5 * phase;
+      ctx.lineDashOffset = elapsed * 30;
+      ctx.beginPath();
+      ctx.arc(x, y, coreRadius + (radius - coreRadius) * phase, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.arc(x, y, coreRadius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  drawNebulaHazard(ctx, hazard) {
+    const { x, y, radius, color, elapsed } = hazard;
+    const breathing = 1 + Math.sin(elapsed * 1.3) * 0.04;
+
+    const gradient = ctx.createRadialGradient(
+      x,
+      y,
+      0,
+      x,
+      y,
+      radius * breathing
+    );
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(0.7, color);
+    gradient.addColorStop(1, 'transparent');
+    ctx.globalAlpha = 0.22;
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, radius * breathing, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.globalAlpha = 0.3;
+    ctx.strokeStyle = color;
+    ctx.setLineDash([2, 8]);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  drawSolarFlare(ctx, hazard) {
+    const horizontal = hazard.axis !== 'y';
+    const extent = horizontal ? GAME_WIDTH : GAME_HEIGHT;
+    const span = horizontal ? GAME_HEIGHT : GAME_WIDTH;
+    const { color, width } = hazard;
+
+    if (hazard.phase === 'warning') {
+      // Faixa piscando na borda de onde o flare vai entrar
+      const pulse = 0.25 + 0.25 * Math.abs(Math.sin(hazard.elapsed * 6));
+      const edge = hazard.direction === 1 ? 0 : extent - 12;
+      ctx.globalAlpha = pulse;
+      ctx.fillStyle = color;
+      if (horizontal) {
+        ctx.fillRect(edge, 0, 12, span);
+      } else {
+        ctx.fillRect(0, edge, span, 12);
+      }
+      return;
+    }
+
+    if (!Number.isFinite(hazard.bandCenter)) {
+      return;
+    }
+
+    const from = hazard.bandCenter - width / 2;
+    const gradient = horizontal
+      ? ctx.createLinearGradient(from, 0, from + width, 0)
+      : ctx.createLinearGradient(0, from, 0, from + width);
+    gradient.addColorStop(0, 'transparent');
+    gradient.addColorStop(0.5, color);
+    gradient.addColorStop(1, 'transparent');
+    ctx.globalAlpha = 0.55;
+    ctx.fillStyle = gradient;
+    if (horizontal) {
+      ctx.fillRect(from, 0, width, span);
+    } else {
+      ctx.fillRect(0, from, span, width);
+    }
+  }
+
   renderPlayer(ctx, player) {
     if (!player || typeof player.render !== 'function') return;
 
@@ -1313,6 +1545,11 @@ class RenderingSystem extends BaseSystem {
       typeof player.getStats === 'function' ? player.getStats() : null;
     const recoilOffset = playerStats?.recoilOffset || { x: 0, y: 0 };
 
+    const pose =
+      typeof player.getInterpolatedPose === 'function'
+        ? player.getInterpolatedPose(this.interpolationAlpha)
+        : null;
+
     // Apply recoil by translating the context
     ctx.save();
     ctx.translate(recoilOffset.x, recoilOffset.y);
@@ -1331,9 +1568,10 @@ class RenderingSystem extends BaseSystem {
         Math.min(1, shieldState.currentHits / shieldState.maxHits)
       );
       const position =
-        typeof player.getPosition === 'function'
+        pose ||
+        (typeof player.getPosition === 'function'
           ? player.getPosition()
-          : player.position;
+          : player.position);
 
       if (position) {
         const padding = Math.max(
@@ -1348,8 +1586,9 @@ class RenderingSystem extends BaseSystem {
         const radiusForGradient = visuals.radius;
 
         if (shieldPath && radiusForGradient > 0) {
-          const angle =
-            typeof player.getAngle === 'function'
+          const angle = pose
+            ? pose.angle
+            : typeof player.getAngle === 'function'
               ? player.getAngle()
               : player.angle || 0;
 
@@ -1475,7 +1714,7 @@ class RenderingSystem extends BaseSystem {
       }
     }
 
-    player.render(ctx, { tilt });
+    player.render(ctx, { tilt, pose });
 
     // Restore context (remove recoil transform)
     ctx.restore();
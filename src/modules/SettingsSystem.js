@@ -482,6 +482,13 @@ class SettingsSystem {
       });
     }
 
+    if (change.category === 'gameplay') {
+      eventBus.emit('settings-gameplay-changed', {
+        values: this.getCategoryValues('gameplay'),
+        change,
+      });
+    }
+
     if (change.category === 'accessibility') {
       eventBus.emit('settings-accessibility-changed', {
         values: this.getCategoryValues('accessibility'),
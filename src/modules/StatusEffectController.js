@@ -0,0 +1,185 @@
+import { getStatusEffect } from '../data/statusEffects.js';
+
+/**
+ * Tracks the status effects active on one entity (see data/statusEffects.js).
+ *
+ * The controller only keeps timers and stacks; the owner decides what a tick
+ * of damage means through the `onTick` callback and reads the aggregated
+ * modifiers (speed, damage taken, disabled capabilities, tint) where they
+ * apply. BaseEnemy and PlayerSystem each own one instance.
+ *
+ * @example
+ * ```js
+ * const effects = new StatusEffectController({
+ *   onTick: (amount, effect) => entity.takeDamage(amount, effect.source),
+ * });
+ * effects.apply('burn', { stacks: 2 });
+ * effects.update(deltaTime);
+ * ```
+ */
+export class StatusEffectController {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.onTick] - Called as onTick(amount, effect) for
+   *   each damage tick
+   */
+  constructor(options = {}) {
+    this.onTick = typeof options.onTick === 'function' ? options.onTick : null;
+    this.effects = new Map();
+  }
+
+  /**
+   * Applies an effect following its stacking rule.
+   *
+   * @param {string} id - Key of STATUS_EFFECTS
+   * @param {Object} [options]
+   * @param {number} [options.duration] - Overrides the definition duration
+   * @param {number} [options.stacks=1] - Stacks added by this application
+   * @param {number} [options.tickDamage] - Overrides the per-stack tick damage
+   * @param {Object} [options.source] - Who applied it, passed back on ticks
+   * @returns {Object|null} The active effect, or null for unknown ids
+   */
+  apply(id, options = {}) {
+    const definition = getStatusEffect(id);
+    if (!definition) {
+      return null;
+    }
+
+    const duration = Number.isFinite(options.duration)
+      ? Math.max(0, options.duration)
+      : definition.duration;
+    const stacks = Number.isFinite(options.stacks)
+      ? Math.max(1, Math.floor(options.stacks))
+      : 1;
+    const maxStacks = definition.maxStacks ?? 1;
+    const tickDamage = Number.isFinite(options.tickDamage)
+      ? options.tickDamage
+      : definition.tickDamage ?? 0;
+
+    let effect = this.effects.get(id);
+    if (!effect) {
+      effect = {
+        id,
+        definition,
+        stacks: Math.min(stacks, maxStacks),
+        remaining: duration,
+        duration,
+        tickTimer: 0,
+        tickDamage,
+        source: options.source ?? null,
+      };
+      this.effects.set(id, effect);
+      return effect;
+    }
+
+    if (definition.stacking === 'stack') {
+      effect.stacks = Math.min(effect.stacks + stacks, maxStacks);
+    } else {
+      effect.stacks = Math.min(Math.max(effect.stacks, stacks), maxStacks);
+    }
+    effect.remaining = Math.max(effect.remaining, duration);
+    effect.duration = Math.max(effect.duration, duration);
+    effect.tickDamage = Math.max(effect.tickDamage, tickDamage);
+    effect.source = options.source ?? effect.source;
+    return effect;
+  }
+
+  /**
+   * Advances durations and fires damage ticks.
+   *
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    if (!Number.isFinite(deltaTime) || deltaTime <= 0 || !this.effects.size) {
+      return;
+    }
+
+    for (const effect of this.effects.values()) {
+      const interval = effect.definition.tickInterval ?? 0;
+      if (interval > 0 && effect.tickDamage > 0) {
+        effect.tickTimer += Math.min(deltaTime, effect.remaining);
+        while (effect.tickTimer >= interval && this.effects.has(effect.id)) {
+          effect.tickTimer -= interval;
+          this.onTick?.(effect.tickDamage * effect.stacks, effect);
+        }
+      }
+
+      effect.remaining -= deltaTime;
+      if (effect.remaining <= 0) {
+        this.effects.delete(effect.id);
+      }
+    }
+  }
+
+  has(id) {
+    return this.effects.has(id);
+  }
+
+  getStacks(id) {
+    return this.effects.get(id)?.stacks ?? 0;
+  }
+
+  remove(id) {
+    return this.effects.delete(id);
+  }
+
+  clear() {
+    this.effects.clear();
+  }
+
+  /** @returns {number} Product of the active speed multipliers */
+  getSpeedMultiplier() {
+    let multiplier = 1;
+    for (const effect of this.effects.values()) {
+      if (Number.isFinite(effect.definition.speedMultiplier)) {
+        multiplier *= effect.definition.speedMultiplier;
+      }
+    }
+    return multiplier;
+  }
+
+  /** @returns {number} Incoming damage scale from shred-like effects */
+  getDamageTakenMultiplier() {
+    let multiplier = 1;
+    for (const effect of this.effects.values()) {
+      const perStack = effect.definition.damageTakenPerStack;
+      if (Number.isFinite(perStack)) {
+        multiplier += perStack * effect.stacks;
+      }
+    }
+    return multiplier;
+  }
+
+  /**
+   * @param {string} capability - e.g. 'weapons' or 'shield'
+   * @returns {boolean}
+   */
+  isDisabled(capability) {
+    for (const effect of this.effects.values()) {
+      if (effect.definition.disables?.includes(capability)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** @returns {string|null} Tint of the most recently added active effect */
+  getTint() {
+    let tint = null;
+    for (const effect of this.effects.values()) {
+      tint = effect.definition.tint ?? tint;
+    }
+    return tint;
+  }
+
+  /** @returns {Array<{id: string, stacks: number, remaining: number}>} */
+  getActiveEffects() {
+    return Array.from(this.effects.values(), (effect) => ({
+      id: effect.id,
+      stacks: effect.stacks,
+      remaining: Math.max(0, effect.remaining),
+    }));
+  }
+}
+
+export default StatusEffectController;
@@ -13,7 +13,20 @@ import SETTINGS_SCHEMA from '../data/settingsSchema.js';
 import { WAVE_BOSS_INTERVAL } from '../data/constants/gameplay.js';
 import { BaseSystem } from '../core/BaseSystem.js';
 import { resolveService } from '../core/serviceUtils.js';
+import { getRunModifierScoreMultiplier } from '../services/RunModifierService.js';
 import { AAAHudLayout } from './ui/AAAHudLayout.js';
+import { ChallengeOverlay } from './ui/ChallengeOverlay.js';
+import { renderEvolutionRecipes } from './ui/EvolutionRecipes.js';
+import { HangarOverlay } from './ui/HangarOverlay.js';
+import {
+  LeaderboardOverlay,
+  describeRunBuild,
+  describeRunHull,
+  describeRunModifiers,
+  formatRunDuration,
+  formatScore,
+  formatScoreMultiplier,
+} from './ui/LeaderboardOverlay.js';
 
 const ensureArray = (value) => (Array.isArray(value) ? value : []);
 
@@ -30,6 +43,8 @@ const MINIMAP_ENTITY_COLORS = {
   drone: '#63B3ED',
   mine: '#F6AD55',
   hunter: '#B794F4',
+  sniper: '#FC8181',
+  carrier: '#4FD1C5',
   boss: '#F56565',
   default: '#E2E8F0',
 };
@@ -37,6 +52,8 @@ const MINIMAP_ENTITY_COLORS = {
 const THREAT_ICON_LOOKUP = {
   boss: '☠',
   hunter: '✦',
+  sniper: '⌖',
+  carrier: '◆',
   drone: '▲',
   mine: '✸',
   asteroid: '●',
@@ -156,6 +173,8 @@ class UISystem extends BaseSystem {
       buttons: [],
       focusIndex: -1,
       poolSize: 0,
+      charges: { reroll: 0, banish: 0 },
+      banishMode: false,
     };
     this.currentVisualPreferences = {
       accessibility: {},
@@ -182,10 +201,30 @@ class UISystem extends BaseSystem {
     this.updateAAATacticalHudFromServices({ force: true });
 
     this.bindPauseControls();
+    this.bindLevelUpControls();
     this.bindSettingsControls();
     this.bindCreditsControls();
+    this.hangarOverlay = new HangarOverlay({
+      refs: this.domRefs.hangar,
+      getMetaProgression: () => this.getService('meta-progression'),
+      emit: (eventName, payload) => this.eventBus?.emit?.(eventName, payload),
+    });
+    this.hangarOverlay.bind();
+    this.leaderboardOverlay = new LeaderboardOverlay({
+      refs: this.domRefs.leaderboard,
+      getRunHistory: () => this.getService('run-history'),
+      emit: (eventName, payload) => this.eventBus?.emit?.(eventName, payload),
+    });
+    this.leaderboardOverlay.bind();
+    this.challengeOverlay = new ChallengeOverlay({
+      refs: this.domRefs.challenge,
+      getChallengeService: () => this.getService('challenge'),
+      emit: (eventName, payload) => this.eventBus?.emit?.(eventName, payload),
+    });
+    this.challengeOverlay.bind();
     this.bindMainMenuControls();
     this.initializeMenuShipSelector();
+    this.initializeMenuModifierSelector();
     this.bootstrapSettingsState();
     this.initializeViewportScaling();
   }
@@ -216,18 +255,33 @@ class UISystem extends BaseSystem {
       levelUp: {
         container: document.getElementById('upgrades-container') || null,
         text: document.getElementById('levelup-text') || null,
+        rerollBtn: document.getElementById('levelup-reroll-btn') || null,
+        rerollCount: document.getElementById('levelup-reroll-count') || null,
+        banishBtn: document.getElementById('levelup-banish-btn') || null,
+        banishCount: document.getElementById('levelup-banish-count') || null,
+        skipBtn: document.getElementById('levelup-skip-btn') || null,
+        evolutions: document.getElementById('levelup-evolutions') || null,
       },
       gameOver: {
-        level: document.getElementById('final-level') || null,
-        kills: document.getElementById('final-kills') || null,
-        waves: document.getElementById('final-waves') || null,
-        time: document.getElementById('final-time') || null,
+        summary: document.getElementById('gameover-summary') || null,
+        rank: document.getElementById('gameover-rank') || null,
+        score: document.getElementById('gameover-score') || null,
+        wave: document.getElementById('gameover-wave') || null,
+        kills: document.getElementById('gameover-kills') || null,
+        combo: document.getElementById('gameover-combo') || null,
+        time: document.getElementById('gameover-time') || null,
+        hull: document.getElementById('gameover-hull') || null,
+        seed: document.getElementById('gameover-seed') || null,
+        build: document.getElementById('gameover-build') || null,
+        modifiers: document.getElementById('gameover-modifiers') || null,
       },
       pause: {
         container: document.getElementById('pause-screen') || null,
         resumeBtn: document.getElementById('pause-resume-btn') || null,
         settingsBtn: document.getElementById('pause-settings-btn') || null,
+        saveBtn: document.getElementById('pause-save-btn') || null,
         exitBtn: document.getElementById('pause-exit-btn') || null,
+        evolutions: document.getElementById('pause-evolutions') || null,
       },
       settings: {
         overlay: document.getElementById('settings-screen') || null,
@@ -247,6 +301,56 @@ class UISystem extends BaseSystem {
           document.getElementById('credits-back-btn'),
         ].filter(Boolean),
       },
+      hangar: {
+        overlay: document.getElementById('hangar-screen') || null,
+        primaryAction: document.getElementById('hangar-back-btn') || null,
+        closeButtons: [
+          document.getElementById('hangar-close-btn'),
+          document.getElementById('hangar-back-btn'),
+        ].filter(Boolean),
+        list: document.getElementById('hangar-unlock-list') || null,
+        currency: document.getElementById('hangar-currency') || null,
+        transferField: document.getElementById('hangar-transfer-code') || null,
+        transferStatus:
+          document.getElementById('hangar-transfer-status') || null,
+        exportButton: document.getElementById('hangar-export-btn') || null,
+        importButton: document.getElementById('hangar-import-btn') || null,
+      },
+      leaderboard: {
+        overlay: document.getElementById('leaderboard-screen') || null,
+        primaryAction: document.getElementById('leaderboard-back-btn') || null,
+        closeButtons: [
+          document.getElementById('leaderboard-close-btn'),
+          document.getElementById('leaderboard-back-btn'),
+        ].filter(Boolean),
+        sortButtons: Array.from(
+          document.querySelectorAll('#leaderboard-screen [data-sort]')
+        ),
+        rows: document.getElementById('leaderboard-rows') || null,
+        empty: document.getElementById('leaderboard-empty') || null,
+      },
+      challenge: {
+        overlay: document.getElementById('challenge-screen') || null,
+        primaryAction: document.getElementById('challenge-play-btn') || null,
+        closeButtons: [
+          document.getElementById('challenge-close-btn'),
+          document.getElementById('challenge-back-btn'),
+        ].filter(Boolean),
+        periodButtons: Array.from(
+          document.querySelectorAll('#challenge-screen [data-period]')
+        ),
+        key: document.getElementById('challenge-key') || null,
+        hull: document.getElementById('challenge-hull') || null,
+        modifiers: document.getElementById('challenge-modifiers') || null,
+        status: document.getElementById('challenge-status') || null,
+        playButton: document.getElementById('challenge-play-btn') || null,
+        shareButton: document.getElementById('challenge-share-btn') || null,
+        importButton: document.getElementById('challenge-import-btn') || null,
+        codeField: document.getElementById('challenge-code') || null,
+        codeStatus: document.getElementById('challenge-code-status') || null,
+        rows: document.getElementById('challenge-rows') || null,
+        empty: document.getElementById('challenge-empty') || null,
+      },
       minimap: {
         container: document.getElementById('hud-minimap') || null,
         canvas: document.getElementById('minimap-canvas') || null,
@@ -268,6 +372,10 @@ class UISystem extends BaseSystem {
         shipSelector: document.getElementById('menu-ship-selector') || null,
         shipSelectorOptions:
           document.getElementById('menu-ship-selector-options') || null,
+        modifierSelectorOptions:
+          document.getElementById('menu-modifier-selector-options') || null,
+        modifierSelectorScore:
+          document.getElementById('menu-modifier-selector-score') || null,
       },
     };
   }
@@ -615,7 +723,21 @@ class UISystem extends BaseSystem {
         ? this.settings.getCategoryValues('gameplay') || null
         : null;
     const hullDefinition = getShipModelById(gameplayValues?.selectedHull);
-    return hullDefinition?.id || DEFAULT_HULL_ID;
+    if (!hullDefinition || !this.isHullUnlocked(hullDefinition.id)) {
+      return DEFAULT_HULL_ID;
+    }
+    return hullDefinition.id;
+  }
+
+  isHullUnlocked(hullId) {
+    const metaProgression = this.getService('meta-progression');
+    if (
+      !metaProgression ||
+      typeof metaProgression.isHullUnlocked !== 'function'
+    ) {
+      return true;
+    }
+    return metaProgression.isHullUnlocked(hullId);
   }
 
   getHullDisplayName(hullDefinition) {
@@ -669,6 +791,10 @@ class UISystem extends BaseSystem {
           return;
         }
 
+        if (!this.isHullUnlocked(hullDefinition.id)) {
+          return;
+        }
+
         this.settings.setSetting(
           'gameplay',
           'selectedHull',
@@ -717,8 +843,12 @@ class UISystem extends BaseSystem {
         }
 
         const isActive = button.dataset.hullId === selectedHullId;
+        const isLocked = !this.isHullUnlocked(button.dataset.hullId);
         button.classList.toggle('is-active', isActive);
+        button.classList.toggle('is-locked', isLocked);
         button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        button.setAttribute('aria-disabled', isLocked ? 'true' : 'false');
+        button.title = isLocked ? 'Locked - unlock in the Hangar' : '';
       });
 
     this.renderMenuShipSelectorPreviews();
@@ -760,6 +890,57 @@ class UISystem extends BaseSystem {
       });
   }
 
+  initializeMenuModifierSelector() {
+    const container = this.domRefs.menu?.modifierSelectorOptions;
+    const runModifiers = this.getService('run-modifiers');
+    if (!container || typeof runModifiers?.getCatalogue !== 'function') {
+      return;
+    }
+
+    container.innerHTML = '';
+
+    const fragment = document.createDocumentFragment();
+    runModifiers.getCatalogue().forEach((modifier) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'menu-modifier-selector__option';
+      button.dataset.modifierId = modifier.id;
+      button.setAttribute('aria-pressed', 'false');
+      button.title = `${modifier.description} Score ×${modifier.scoreMultiplier.toFixed(2)}`;
+      button.textContent = modifier.name;
+      button.addEventListener('click', () => {
+        this.getService('run-modifiers')?.toggle?.(modifier.id);
+      });
+      fragment.appendChild(button);
+    });
+
+    container.appendChild(fragment);
+    this.refreshMenuModifierSelector();
+  }
+
+  refreshMenuModifierSelector() {
+    const { modifierSelectorOptions: container, modifierSelectorScore: score } =
+      this.domRefs.menu || {};
+    const runModifiers = this.getService('run-modifiers');
+    if (!container || typeof runModifiers?.getSelectedIds !== 'function') {
+      return;
+    }
+
+    const selected = runModifiers.getSelectedIds();
+    container
+      .querySelectorAll('.menu-modifier-selector__option')
+      .forEach((button) => {
+        const isActive = selected.includes(button.dataset.modifierId);
+        button.classList.toggle('is-active', isActive);
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      });
+
+    if (score) {
+      const multiplier = getRunModifierScoreMultiplier(selected);
+      score.textContent = `Score ×${multiplier.toFixed(2)}`;
+    }
+  }
+
   bindPauseControls() {
     const pauseRefs = this.domRefs.pause;
     if (!pauseRefs) {
@@ -798,6 +979,24 @@ class UISystem extends BaseSystem {
       });
     }
 
+    if (pauseRefs.saveBtn) {
+      pauseRefs.saveBtn.addEventListener('mouseenter', () => {
+        this.eventBus?.emit?.('ui-hover', {
+          source: 'pause-menu',
+          button: 'save',
+        });
+      });
+      pauseRefs.saveBtn.addEventListener('click', () => {
+        if (!this.currentPauseState) {
+          return;
+        }
+
+        this.eventBus?.emit?.('save-and-quit-requested', {
+          source: 'pause-menu',
+        });
+      });
+    }
+
     if (pauseRefs.exitBtn) {
       pauseRefs.exitBtn.addEventListener('mouseenter', () => {
         this.eventBus?.emit?.('ui-hover', {
@@ -817,6 +1016,39 @@ class UISystem extends BaseSystem {
     }
   }
 
+  /**
+   * Challenge runs cannot be saved, so the pause menu hides Save & Quit.
+   * @param {boolean} available
+   */
+  setPauseSaveAvailable(available) {
+    const saveBtn = this.domRefs.pause?.saveBtn;
+    if (saveBtn) {
+      saveBtn.classList.toggle('hidden', !available);
+    }
+  }
+
+  bindLevelUpControls() {
+    const refs = this.domRefs.levelUp;
+    if (!refs) {
+      return;
+    }
+
+    [refs.rerollBtn, refs.banishBtn, refs.skipBtn].forEach((button) => {
+      if (!button) {
+        return;
+      }
+      button.addEventListener('click', () =>
+        this.triggerLevelUpAction(button.dataset.levelUpAction)
+      );
+      button.addEventListener('focus', () => {
+        const index = ensureArray(this.levelUpState.buttons).indexOf(button);
+        if (index >= 0) {
+          this.focusLevelUpOption(index, { preventFocus: true });
+        }
+      });
+    });
+  }
+
   bindSettingsControls() {
     const settingsRefs = this.domRefs.settings;
     if (!settingsRefs) {
@@ -968,7 +1200,7 @@ class UISystem extends BaseSystem {
         (event) => {
           // Check for common button classes or interactive elements
           const target = event.target.closest(
-            '.menu-screen__button, .menu-ship-selector__option, .btn, .settings-tab-button, [role="button"]'
+            '.menu-screen__button, .menu-ship-selector__option, .menu-modifier-selector__option, .btn, .settings-tab-button, [role="button"]'
           );
 
           // Debounce/Check if it's a new hover target to avoid spam
@@ -1081,6 +1313,35 @@ class UISystem extends BaseSystem {
     return `${pad(hours)}:${pad(minutes)}:${pad(remainder)}`;
   }
 
+  /**
+   * Picks the hazard worth a HUD warning: an incoming solar flare (with its
+   * countdown) first, then a hazard the ship is currently inside.
+   *
+   * @returns {{label: string}|null}
+   */
+  resolveHazardAlert(hazards = [], playerPosition = null) {
+    const flare = hazards.find((hazard) => hazard.type === 'solar-flare');
+    if (flare) {
+      const seconds = Math.ceil(flare.warningTime - flare.elapsed);
+      return {
+        label:
+          flare.phase === 'warning' ? `${flare.name} ${seconds}` : flare.name,
+      };
+    }
+
+    const inside = playerPosition
+      ? hazards.find(
+          (hazard) =>
+            Number.isFinite(hazard.radius) &&
+            Math.hypot(
+              hazard.x - playerPosition.x,
+              hazard.y - playerPosition.y
+            ) <= hazard.radius
+        )
+      : null;
+    return inside ? { label: inside.name } : null;
+  }
+
   updateAAATacticalHudFromServices(options = {}) {
     const hud = this.aaaTacticalHud;
     if (!hud) {
@@ -1155,6 +1416,40 @@ class UISystem extends BaseSystem {
       hud.updateStats(null, undefined, comboCount);
     }
 
+    const score = this.getService('score');
+    if (
+      typeof hud.updateScore === 'function' &&
+      typeof score?.getScore === 'function'
+    ) {
+      hud.updateScore(score.getScore());
+    }
+
+    const runModifiers = this.getService('run-modifiers');
+    if (
+      typeof hud.updateModifiers === 'function' &&
+      typeof runModifiers?.getActiveModifiers === 'function'
+    ) {
+      hud.updateModifiers(
+        runModifiers.getActiveModifiers().map((modifier) => modifier.name),
+        runModifiers.getScoreMultiplier()
+      );
+    }
+
+    const combat = this.getService('combat');
+    if (
+      typeof hud.updateSecondaryWeapon === 'function' &&
+      typeof combat?.getSecondaryWeaponState === 'function'
+    ) {
+      hud.updateSecondaryWeapon(combat.getSecondaryWeaponState());
+    }
+
+    if (
+      typeof hud.updateAbilities === 'function' &&
+      typeof player?.getAbilityStates === 'function'
+    ) {
+      hud.updateAbilities(player.getAbilityStates());
+    }
+
     const waveState =
       enemies && typeof enemies.getWaveState === 'function'
         ? enemies.getWaveState() || null
@@ -1253,9 +1548,35 @@ class UISystem extends BaseSystem {
         });
       }
 
+      if (typeof physics?.getHazards === 'function') {
+        physics.getHazards().forEach((hazard) => {
+          const dx = hazard.x - originX;
+          const dy = hazard.y - originY;
+          if (
+            Number.isFinite(hazard.radius) &&
+            Math.hypot(dx, dy) <= radarRange
+          ) {
+            blips.push({
+              x: dx / radarRange,
+              y: dy / radarRange,
+              type: 'hazard',
+            });
+          }
+        });
+      }
+
       hud.updateRadar(blips);
     }
 
+    if (
+      typeof hud.updateHazardAlert === 'function' &&
+      typeof physics?.getHazards === 'function'
+    ) {
+      hud.updateHazardAlert(
+        this.resolveHazardAlert(physics.getHazards(), playerPosition)
+      );
+    }
+
     const bossState = this.getBossHudState();
     const cachedBossVisible = Boolean(this.cachedValues.boss?.visible);
     const bossActive =
@@ -1354,6 +1675,59 @@ class UISystem extends BaseSystem {
       this.handleCreditsMenuRequest(payload);
     });
 
+    this.registerEventListener('hangar-menu-requested', (payload = {}) => {
+      if (payload.open === false) {
+        this.hangarOverlay?.close({ restoreFocus: true });
+        return;
+      }
+      this.hangarOverlay?.open(payload.triggerId);
+    });
+
+    this.registerEventListener('leaderboard-menu-requested', (payload = {}) => {
+      if (payload.open === false) {
+        this.leaderboardOverlay?.close({ restoreFocus: true });
+        return;
+      }
+      this.leaderboardOverlay?.open(payload.triggerId);
+    });
+
+    this.registerEventListener('challenge-menu-requested', (payload = {}) => {
+      if (payload.open === false) {
+        this.challengeOverlay?.close({ restoreFocus: true });
+        return;
+      }
+      this.challengeOverlay?.open(payload.triggerId);
+    });
+
+    this.registerEventListener('challenge-result-recorded', () => {
+      if (this.challengeOverlay?.isOpen) {
+        this.challengeOverlay.render();
+      }
+    });
+
+    this.registerEventListener('game-started', (payload = {}) => {
+      this.setPauseSaveAvailable(!payload.challenge);
+    });
+
+    this.registerEventListener('run-resumed', () => {
+      this.setPauseSaveAvailable(true);
+    });
+
+    this.registerEventListener('run-recorded', (payload = {}) => {
+      this.renderGameOverSummary(payload.entry, payload.rank);
+    });
+
+    this.registerEventListener('run-modifiers-changed', () => {
+      this.refreshMenuModifierSelector();
+    });
+
+    this.registerEventListener('meta-progression-changed', () => {
+      if (this.hangarOverlay?.isOpen) {
+        this.hangarOverlay.render();
+      }
+      this.requestMenuShipSelectorRefresh();
+    });
+
     this.registerEventListener('settings-controls-changed', (payload = {}) => {
       if (
         this.settingsState.isOpen &&
@@ -2526,6 +2900,10 @@ class UISystem extends BaseSystem {
       const pauseOverlay = document.getElementById('pause-screen');
       if (pauseOverlay) pauseOverlay.classList.add('hidden');
 
+      this.hangarOverlay?.close();
+      this.leaderboardOverlay?.close();
+      this.challengeOverlay?.close();
+
       const creditsOverlay = document.getElementById('credits-screen');
       if (creditsOverlay) {
         creditsOverlay.classList.add('hidden');
@@ -2566,6 +2944,10 @@ class UISystem extends BaseSystem {
 
     document.body?.classList.toggle('is-paused', shouldPause);
 
+    if (shouldPause) {
+      this.renderEvolutionRecipes(this.domRefs.pause.evolutions);
+    }
+
     if (
       !shouldPause &&
       this.settingsState.isOpen &&
@@ -2598,6 +2980,11 @@ class UISystem extends BaseSystem {
       ? Number(data.poolSize)
       : options.length;
     this.levelUpState.focusIndex = -1;
+    this.levelUpState.charges = {
+      reroll: Math.max(0, Number(data.charges?.reroll) || 0),
+      banish: Math.max(0, Number(data.charges?.banish) || 0),
+    };
+    this.levelUpState.banishMode = false;
 
     this.showScreen('levelup');
 
@@ -2628,11 +3015,113 @@ class UISystem extends BaseSystem {
       });
 
       container.appendChild(fragment);
-      this.levelUpState.buttons = buttons;
+      container.classList.remove('is-banishing');
+      // Action buttons follow the cards in the focus order
+      this.levelUpState.buttons = [...buttons, ...this.updateLevelUpActions()];
       this.focusLevelUpOption(0, { preventFocus: false });
     } else {
       this.levelUpState.buttons = [];
     }
+
+    this.renderEvolutionRecipes(this.domRefs.levelUp.evolutions);
+  }
+
+  renderEvolutionRecipes(container) {
+    const progression = this.getService('progression');
+    renderEvolutionRecipes(
+      container,
+      typeof progression?.getEvolutionRecipes === 'function'
+        ? progression.getEvolutionRecipes()
+        : []
+    );
+  }
+
+  /**
+   * Syncs the reroll/banish/skip buttons with the remaining charges.
+   * @returns {Array<HTMLButtonElement>} The enabled buttons, in focus order
+   */
+  updateLevelUpActions() {
+    const refs = this.domRefs.levelUp;
+    const { charges, banishMode } = this.levelUpState;
+
+    if (refs.rerollCount) {
+      refs.rerollCount.textContent = String(charges.reroll);
+    }
+    if (refs.banishCount) {
+      refs.banishCount.textContent = String(charges.banish);
+    }
+    if (refs.rerollBtn) {
+      refs.rerollBtn.disabled = charges.reroll <= 0;
+    }
+    if (refs.banishBtn) {
+      refs.banishBtn.disabled = charges.banish <= 0;
+      refs.banishBtn.classList.toggle('is-active', banishMode);
+      refs.banishBtn.setAttribute(
+        'aria-pressed',
+        banishMode ? 'true' : 'false'
+      );
+    }
+    if (refs.skipBtn) {
+      refs.skipBtn.disabled = false;
+    }
+
+    return [refs.rerollBtn, refs.banishBtn, refs.skipBtn].filter(
+      (button) => button && !button.disabled
+    );
+  }
+
+  /**
+   * @param {'reroll'|'banish'|'skip'} action
+   */
+  triggerLevelUpAction(action) {
+    if (!this.levelUpState.isVisible) {
+      return;
+    }
+
+    const progression = this.getService('progression');
+
+    switch (action) {
+      case 'reroll':
+        // Re-renders through the refreshed upgrade-options-ready event
+        progression?.rerollUpgradeOptions?.();
+        break;
+      case 'banish':
+        this.levelUpState.banishMode = !this.levelUpState.banishMode;
+        this.domRefs.levelUp.container?.classList.toggle(
+          'is-banishing',
+          this.levelUpState.banishMode
+        );
+        this.updateLevelUpActions();
+        if (this.levelUpState.banishMode) {
+          this.focusLevelUpOption(0, { preventFocus: false });
+        }
+        break;
+      case 'skip':
+        // Leave the screen first: skipping may grant a level with its own pick
+        this.showGameUI();
+        progression?.skipUpgradeSelection?.();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Picks an offered upgrade, or banishes it while banish mode is on.
+   * @param {string} upgradeId
+   */
+  chooseLevelUpOption(upgradeId) {
+    if (!this.levelUpState.banishMode) {
+      this.selectUpgrade(upgradeId);
+      return;
+    }
+
+    const progression = this.getService('progression');
+    if (!progression?.banishUpgrade?.(upgradeId)) {
+      this.levelUpState.banishMode = false;
+      this.domRefs.levelUp.container?.classList.remove('is-banishing');
+      this.updateLevelUpActions();
+    }
   }
 
   createUpgradeOptionButton(option, index) {
@@ -2641,13 +3130,14 @@ class UISystem extends BaseSystem {
     button.className = 'upgrade-option';
     button.dataset.upgradeId = option.id;
     button.dataset.index = `${index}`;
+    button.dataset.rarity = option.rarity?.id || 'common';
 
     const accentColors = this.resolveAccentColors(option);
     button.style.setProperty('--upgrade-accent', accentColors.accent);
     button.style.setProperty('--upgrade-accent-soft', accentColors.soft);
 
     button.innerHTML = this.buildUpgradeOptionMarkup(option);
-    button.addEventListener('click', () => this.selectUpgrade(option.id));
+    button.addEventListener('click', () => this.chooseLevelUpOption(option.id));
     button.addEventListener('mouseenter', () => {
       this.eventBus?.emit?.('ui-hover', { source: 'upgrade-selection', index });
       this.focusLevelUpOption(index, { preventFocus: true, fromPointer: true });
@@ -2724,6 +3214,18 @@ class UISystem extends BaseSystem {
             ${categoryIcon}
             ${category.label || 'Tecnologia'}
           </span>
+          ${
+            option.rarity?.label
+              ? `<span class="upgrade-option__rarity">${option.rarity.label}</span>`
+              : ''
+          }
+          ${
+            ensureArray(option.evolvesFrom).length
+              ? `<span class="upgrade-option__evolution">Evolui de: ${option.evolvesFrom
+                  .map((component) => component.name)
+                  .join(' + ')}</span>`
+              : ''
+          }
           <span class="upgrade-option__level">Nv. atual: ${currentLevel}/${
             maxLevel || Math.max(1, currentLevel)
           }</span>
@@ -2787,6 +3289,7 @@ class UISystem extends BaseSystem {
       level: payload.level ?? payload.newLevel,
       options,
       poolSize: this.levelUpState.poolSize,
+      charges: payload.charges,
       autoResolved: payload.autoResolved,
     });
   }
@@ -2871,9 +3374,15 @@ class UISystem extends BaseSystem {
       this.focusLevelUpOption(0, { preventFocus: false });
     }
 
+    const focused = this.levelUpState.buttons?.[this.levelUpState.focusIndex];
+    if (focused?.dataset?.levelUpAction) {
+      this.triggerLevelUpAction(focused.dataset.levelUpAction);
+      return;
+    }
+
     const option = this.levelUpState.options?.[this.levelUpState.focusIndex];
     if (option && option.id) {
-      this.selectUpgrade(option.id);
+      this.chooseLevelUpOption(option.id);
     }
   }
 
@@ -2907,6 +3416,8 @@ class UISystem extends BaseSystem {
       buttons: [],
       focusIndex: -1,
       poolSize: 0,
+      charges: { reroll: 0, banish: 0 },
+      banishMode: false,
     };
   }
 
@@ -2916,7 +3427,13 @@ class UISystem extends BaseSystem {
     let categoryId = null;
 
     if (option && typeof option === 'object') {
+      // Rare and better tiers take the rarity color over the upgrade's own
       if (
+        option.rarity?.tier > 0 &&
+        typeof option.rarity.themeColor === 'string'
+      ) {
+        accent = option.rarity.themeColor.trim();
+      } else if (
         typeof option.themeColor === 'string' &&
         option.themeColor.trim().length
       ) {
@@ -2996,7 +3513,54 @@ class UISystem extends BaseSystem {
   showGameOverScreen(data) {
     // Show gameover as overlay so game canvas stays visible with asteroids wandering
     this.showScreen('gameover', { overlay: true, show: true });
-    // Simplified game over screen - no stats display
+
+    const runHistory = this.getService('run-history');
+    const lastRun =
+      typeof runHistory?.getLastRun === 'function'
+        ? runHistory.getLastRun()
+        : null;
+    this.renderGameOverSummary(
+      lastRun,
+      lastRun ? runHistory.getRank(lastRun.id) : null
+    );
+  }
+
+  renderGameOverSummary(entry, rank = null) {
+    const refs = this.domRefs.gameOver;
+    if (!refs?.summary) {
+      return;
+    }
+
+    refs.summary.classList.toggle('hidden', !entry);
+    if (!entry) {
+      return;
+    }
+
+    const values = {
+      score: formatScore(entry.score),
+      wave: String(entry.wave),
+      kills: String(entry.kills),
+      combo: String(entry.maxCombo),
+      time: formatRunDuration(entry.playTime),
+      hull: describeRunHull(entry.hullId),
+      seed: String(entry.seed ?? '-'),
+      build: describeRunBuild(entry.build),
+      modifiers: entry.modifiers?.length
+        ? `${describeRunModifiers(entry.modifiers)} (${formatScoreMultiplier(
+            entry.scoreMultiplier
+          )})`
+        : 'None',
+    };
+    Object.entries(values).forEach(([key, value]) => {
+      if (refs[key]) {
+        refs[key].textContent = value;
+      }
+    });
+
+    if (refs.rank) {
+      refs.rank.classList.toggle('hidden', !rank);
+      refs.rank.textContent = rank === 1 ? 'New best run!' : `Rank #${rank}`;
+    }
   }
 }
 
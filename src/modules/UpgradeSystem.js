@@ -1,13 +1,22 @@
 import {
   PROGRESSION_UPGRADE_ROLL_COUNT,
   PROGRESSION_UPGRADE_FALLBACK_COUNT,
+  PROGRESSION_REROLL_CHARGES,
+  PROGRESSION_BANISH_CHARGES,
 } from '../core/GameConstants.js';
-import UPGRADE_LIBRARY, { UPGRADE_CATEGORIES } from '../data/upgrades/index.js';
+import UPGRADE_LIBRARY, {
+  UPGRADE_CATEGORIES,
+  UPGRADE_RARITIES,
+  DEFAULT_UPGRADE_RARITY,
+  UPGRADE_RARITY_ROLL,
+  EVOLUTION_ROLL_WEIGHT,
+} from '../data/upgrades/index.js';
 import { BaseSystem } from '../core/BaseSystem.js';
 import {
   MAGNETISM_FORCE,
   MAGNETISM_RADIUS,
 } from '../data/constants/gameplay.js';
+import { META_UNLOCKS_BY_ID } from '../data/metaUnlocks.js';
 
 const asArray = (value) => (Array.isArray(value) ? value : []);
 
@@ -49,6 +58,9 @@ class UpgradeSystem extends BaseSystem {
   initialize() {
     this.appliedUpgrades = new Map();
     this.pendingUpgradeOptions = [];
+    this.banishedUpgrades = new Set();
+    this.levelUpChargesUsed = { reroll: 0, banish: 0 };
+    this.levelsWithoutRare = 0;
     this.upgradeDefinitions = this.buildUpgradeDefinitions(UPGRADE_LIBRARY);
     this.upgradeLookup = this.buildUpgradeLookup(this.upgradeDefinitions);
     this.upgradeCategoryMap = this.buildUpgradeCategoryMap(UPGRADE_CATEGORIES);
@@ -66,6 +78,8 @@ class UpgradeSystem extends BaseSystem {
         playerService: 'player',
         uiService: 'ui',
         effectsService: 'effects',
+        metaProgressionService: 'meta-progression',
+        runModifierService: 'run-modifiers',
       },
       { force }
     );
@@ -96,8 +110,18 @@ class UpgradeSystem extends BaseSystem {
   }
 
   // === SISTEMA DE UPGRADES ===
-  prepareUpgradeOptions(count = PROGRESSION_UPGRADE_ROLL_COUNT) {
-    const eligible = asArray(this.upgradeDefinitions).filter((definition) =>
+  /**
+   * Rolls the upgrades offered at a level-up.
+   * @param {number} [count]
+   * @param {Object} [options]
+   * @param {Array<string>} [options.exclude] - Ids to leave out while enough
+   *   other upgrades remain (a reroll avoids repeating the current offer)
+   */
+  prepareUpgradeOptions(
+    count = PROGRESSION_UPGRADE_ROLL_COUNT,
+    { exclude = [] } = {}
+  ) {
+    const selectable = asArray(this.upgradeDefinitions).filter((definition) =>
       this.isUpgradeSelectable(definition)
     );
 
@@ -109,28 +133,23 @@ class UpgradeSystem extends BaseSystem {
       ? Math.max(0, Math.floor(numericCount))
       : fallbackCount;
     const desired = requested > 0 ? requested : fallbackCount;
+    const fresh = selectable.filter(
+      (definition) => !exclude.includes(definition.id)
+    );
+    const eligible =
+      fresh.length >= Math.min(desired, selectable.length) ? fresh : selectable;
     const cappedCount = Math.min(desired, eligible.length);
 
     if (!eligible.length || cappedCount === 0) {
       this.pendingUpgradeOptions = [];
       return {
         options: [],
-        poolSize: eligible.length,
+        poolSize: selectable.length,
         totalDefinitions: this.upgradeDefinitions.length,
       };
     }
 
-    let rng = this.randomForks?.selection || this.random;
-    if (!rng || typeof rng.int !== 'function') {
-      rng = this.random;
-    }
-
-    const pool = [...eligible];
-    for (let index = pool.length - 1; index > 0; index -= 1) {
-      const swapIndex = rng.int(0, index);
-      [pool[index], pool[swapIndex]] = [pool[swapIndex], pool[index]];
-    }
-    const selection = pool.slice(0, cappedCount);
+    const selection = this.rollUpgradeDefinitions(eligible, cappedCount);
     const options = selection
       .map((definition) => this.buildUpgradeOption(definition))
       .filter(Boolean);
@@ -139,7 +158,7 @@ class UpgradeSystem extends BaseSystem {
 
     return {
       options,
-      poolSize: eligible.length,
+      poolSize: selectable.length,
       totalDefinitions: this.upgradeDefinitions.length,
     };
   }
@@ -149,6 +168,237 @@ class UpgradeSystem extends BaseSystem {
     return options;
   }
 
+  // === RARIDADE, SORTE E PITY ===
+  /**
+   * Draws `count` distinct upgrades, each weighted by its rarity (see
+   * getUpgradeRollWeight()).
+   * @param {Array<Object>} candidates - Selectable upgrade definitions
+   * @param {number} count
+   * @returns {Array<Object>}
+   */
+  rollUpgradeDefinitions(candidates, count) {
+    let rng = this.randomForks?.selection || this.random;
+    if (!rng || typeof rng.int !== 'function') {
+      rng = this.random;
+    }
+
+    const context = {
+      luck: this.getUpgradeLuck(),
+      levelsWithoutRare: this.levelsWithoutRare,
+    };
+    const pool = [...asArray(candidates)];
+    const selection = [];
+
+    while (pool.length && selection.length < count) {
+      const index =
+        typeof rng.weightedPick === 'function'
+          ? rng.weightedPick(
+              pool.map((definition, poolIndex) => [
+                poolIndex,
+                this.getUpgradeRollWeight(definition, context),
+              ])
+            )
+          : rng.int(0, pool.length - 1);
+      selection.push(...pool.splice(index ?? 0, 1));
+    }
+
+    return selection;
+  }
+
+  /**
+   * @param {Object} definition
+   * @param {Object} [context]
+   * @param {number} [context.luck]
+   * @param {number} [context.levelsWithoutRare]
+   * @returns {number} Roll weight: the rarity weight, raised for non-common
+   *   tiers by luck and, past the pity threshold, by dry level-ups.
+   *   Evolutions use EVOLUTION_ROLL_WEIGHT.
+   */
+  getUpgradeRollWeight(definition, { luck = 0, levelsWithoutRare = 0 } = {}) {
+    if (definition?.evolution) {
+      return EVOLUTION_ROLL_WEIGHT;
+    }
+
+    const rarity = this.resolveUpgradeRarity(definition?.rarity);
+    if (rarity.tier <= 0) {
+      return rarity.weight;
+    }
+
+    const { luckWeightBonus, pity } = UPGRADE_RARITY_ROLL;
+    const dryLevels = Math.max(0, levelsWithoutRare - pity.threshold + 1);
+    const bonus =
+      Math.max(0, luck) * luckWeightBonus +
+      dryLevels * pity.weightBonusPerLevel;
+
+    return rarity.weight * (1 + bonus * rarity.tier);
+  }
+
+  /**
+   * Luck from run modifiers plus the `upgrade-luck` effects of the upgrades
+   * taken, minus those an evolution replaced. Derived on demand, so retries
+   * re-applying effects never stack it.
+   * @returns {number}
+   */
+  getUpgradeLuck() {
+    const effects =
+      typeof this.runModifierService?.getEffects === 'function'
+        ? this.runModifierService.getEffects()
+        : null;
+    let luck = Number.isFinite(effects?.upgradeLuck) ? effects.upgradeLuck : 0;
+
+    this.appliedUpgrades.forEach((level, upgradeId) => {
+      if (this.isUpgradeConsumedByEvolution(upgradeId)) {
+        return;
+      }
+
+      const levels = asArray(this.upgradeLookup?.get(upgradeId)?.levels);
+      levels.slice(0, level).forEach((levelDefinition) => {
+        asArray(levelDefinition?.effects).forEach((effect) => {
+          if (effect?.type === 'upgrade-luck') {
+            luck += Number(effect.value) || 0;
+          }
+        });
+      });
+    });
+
+    return luck;
+  }
+
+  /**
+   * Advances the pity timer after a level-up offer: any rare or better
+   * option resets it, otherwise the dry streak grows.
+   * @param {Array<Object>} options - Offered upgrade options
+   */
+  trackRarityPity(options) {
+    const hasRare = asArray(options).some(
+      (option) => (option?.rarity?.tier ?? 0) > 0
+    );
+    this.levelsWithoutRare = hasRare ? 0 : this.levelsWithoutRare + 1;
+  }
+
+  resolveUpgradeRarity(rarityId) {
+    return {
+      ...(UPGRADE_RARITIES[rarityId] ||
+        UPGRADE_RARITIES[DEFAULT_UPGRADE_RARITY]),
+    };
+  }
+
+  // === REROLL, BANIMENTO E CARGAS ===
+  /**
+   * Remaining level-up charges: the per-run base, plus meta-progression
+   * unlocks and `level-up-charges` effects of the upgrades taken (except
+   * those an evolution replaced), minus the charges already spent this run.
+   * @returns {{reroll: number, banish: number}}
+   */
+  getLevelUpCharges() {
+    const meta =
+      typeof this.metaProgressionService?.getLevelUpChargeBonus === 'function'
+        ? this.metaProgressionService.getLevelUpChargeBonus()
+        : null;
+    const granted = {
+      reroll: PROGRESSION_REROLL_CHARGES + (meta?.reroll || 0),
+      banish: PROGRESSION_BANISH_CHARGES + (meta?.banish || 0),
+    };
+
+    this.appliedUpgrades.forEach((level, upgradeId) => {
+      if (this.isUpgradeConsumedByEvolution(upgradeId)) {
+        return;
+      }
+
+      const levels = asArray(this.upgradeLookup?.get(upgradeId)?.levels);
+      levels.slice(0, level).forEach((levelDefinition) => {
+        asArray(levelDefinition?.effects).forEach((effect) => {
+          if (effect?.type === 'level-up-charges') {
+            granted.reroll += effect.reroll || 0;
+            granted.banish += effect.banish || 0;
+          }
+        });
+      });
+    });
+
+    return {
+      reroll: Math.max(0, granted.reroll - this.levelUpChargesUsed.reroll),
+      banish: Math.max(0, granted.banish - this.levelUpChargesUsed.banish),
+    };
+  }
+
+  /**
+   * Spends a reroll charge to replace every pending option.
+   * @returns {boolean} Whether a new set of options was offered
+   */
+  rerollUpgradeOptions() {
+    const current = asArray(this.pendingUpgradeOptions);
+    if (!current.length || this.getLevelUpCharges().reroll <= 0) {
+      return false;
+    }
+
+    this.levelUpChargesUsed.reroll += 1;
+    this.prepareUpgradeOptions(current.length, {
+      exclude: current.map((option) => option.id),
+    });
+    this.emitUpgradeOptionsRefreshed('reroll');
+    return true;
+  }
+
+  /**
+   * Spends a banish charge to remove an offered upgrade from the rest of the
+   * run. Its slot is refilled with an upgrade that is not already on offer.
+   * @param {string} upgradeId
+   * @returns {boolean}
+   */
+  banishUpgrade(upgradeId) {
+    const current = asArray(this.pendingUpgradeOptions);
+    const index = current.findIndex((option) => option.id === upgradeId);
+    if (index < 0 || this.getLevelUpCharges().banish <= 0) {
+      return false;
+    }
+
+    this.levelUpChargesUsed.banish += 1;
+    this.banishedUpgrades.add(upgradeId);
+
+    const offered = new Set(current.map((option) => option.id));
+    const candidates = asArray(this.upgradeDefinitions).filter(
+      (definition) =>
+        !offered.has(definition.id) && this.isUpgradeSelectable(definition)
+    );
+
+    const [replacementDefinition] = this.rollUpgradeDefinitions(candidates, 1);
+    const replacement = replacementDefinition
+      ? this.buildUpgradeOption(replacementDefinition)
+      : null;
+    const options = [...current];
+    if (replacement) {
+      options[index] = replacement;
+    } else {
+      options.splice(index, 1);
+    }
+    this.pendingUpgradeOptions = options;
+
+    this.eventBus?.emit?.('upgrade-banished', { upgradeId });
+    this.emitUpgradeOptionsRefreshed('banish');
+    return true;
+  }
+
+  getBanishedUpgrades() {
+    return Array.from(this.banishedUpgrades);
+  }
+
+  emitUpgradeOptionsRefreshed(reason) {
+    const options = asArray(this.pendingUpgradeOptions);
+    this.eventBus?.emit?.('upgrade-options-ready', {
+      level: this.level,
+      options,
+      poolSize: asArray(this.upgradeDefinitions).filter((definition) =>
+        this.isUpgradeSelectable(definition)
+      ).length,
+      totalDefinitions: this.upgradeDefinitions.length,
+      inventory: this.getUpgradeProgressSnapshot(),
+      charges: this.getLevelUpCharges(),
+      autoResolved: options.length === 0,
+      reason,
+    });
+  }
+
   isUpgradeSelectable(definition) {
     if (!definition || typeof definition !== 'object') {
       return false;
@@ -162,6 +412,18 @@ class UpgradeSystem extends BaseSystem {
       return false;
     }
 
+    if (this.banishedUpgrades?.has(definition.id)) {
+      return false;
+    }
+
+    if (this.isUpgradeExcludedByRunModifiers(definition.id)) {
+      return false;
+    }
+
+    if (this.isUpgradeExcludedByGroup(definition)) {
+      return false;
+    }
+
     if (
       Number.isFinite(definition.unlockLevel) &&
       this.level < definition.unlockLevel
@@ -188,6 +450,37 @@ class UpgradeSystem extends BaseSystem {
     );
   }
 
+  /**
+   * @param {string} upgradeId
+   * @returns {boolean} Whether an active run modifier (e.g. No Shield) bans it
+   */
+  isUpgradeExcludedByRunModifiers(upgradeId) {
+    const effects =
+      typeof this.runModifierService?.getEffects === 'function'
+        ? this.runModifierService.getEffects()
+        : null;
+    return Boolean(effects?.excludedUpgrades?.includes(upgradeId));
+  }
+
+  /**
+   * @param {Object} definition
+   * @returns {boolean} Whether another upgrade of its exclusive group (e.g. a
+   *   different secondary weapon) was already taken this run
+   */
+  isUpgradeExcludedByGroup(definition) {
+    const group = definition?.exclusiveGroup;
+    if (!group) {
+      return false;
+    }
+
+    return this.upgradeDefinitions.some(
+      (other) =>
+        other.exclusiveGroup === group &&
+        other.id !== definition.id &&
+        this.getUpgradeCount(other.id) > 0
+    );
+  }
+
   collectRawPrerequisites(definition, options = {}) {
     if (!definition || typeof definition !== 'object') {
       return [];
@@ -215,6 +508,33 @@ class UpgradeSystem extends BaseSystem {
       }
     });
 
+    // Evolutions need every component at its maximum level.
+    asArray(definition.evolution?.requires).forEach((componentId) => {
+      const level = Math.max(
+        1,
+        asArray(this.upgradeLookup?.get(componentId)?.levels).length
+      );
+      const { name } = this.describeUpgradeName(componentId);
+      result.push({
+        type: 'upgrade',
+        id: componentId,
+        level,
+        text: `Requires ${name} at max level (Lvl ${level}).`,
+      });
+    });
+
+    // Upgrades listed in the meta unlock tree need that node purchased.
+    const metaGate =
+      this.metaProgressionService?.getUpgradeGate?.(definition.id) || null;
+    if (
+      metaGate &&
+      !result.some(
+        (entry) => entry.type === 'meta-unlock' && entry.id === metaGate
+      )
+    ) {
+      result.push({ type: 'meta-unlock', id: metaGate, text: '' });
+    }
+
     return result;
   }
 
@@ -265,6 +585,18 @@ class UpgradeSystem extends BaseSystem {
         ? prerequisite.type.toLowerCase()
         : 'upgrade';
 
+    if (rawType === 'meta-unlock') {
+      const id = prerequisite.id || prerequisite.unlockId || null;
+      if (!id) {
+        return null;
+      }
+      return {
+        type: 'meta-unlock',
+        id,
+        text: prerequisite.text || prerequisite.description || '',
+      };
+    }
+
     if (
       rawType === 'player-level' ||
       rawType === 'playerlevel' ||
@@ -318,6 +650,14 @@ class UpgradeSystem extends BaseSystem {
       return this.getUpgradeCount(prerequisite.id) >= requiredLevel;
     }
 
+    if (prerequisite.type === 'meta-unlock') {
+      // Without a meta-progression service (tests, tools) nothing is gated.
+      const meta = this.metaProgressionService;
+      return typeof meta?.isUnlocked === 'function'
+        ? meta.isUnlocked(prerequisite.id)
+        : true;
+    }
+
     return true;
   }
 
@@ -338,6 +678,11 @@ class UpgradeSystem extends BaseSystem {
       return `${name} (${levelLabel})`;
     }
 
+    if (prerequisite.type === 'meta-unlock') {
+      const node = META_UNLOCKS_BY_ID[prerequisite.id];
+      return `Hangar unlock: ${node?.name || prerequisite.id}`;
+    }
+
     return '';
   }
 
@@ -438,6 +783,10 @@ class UpgradeSystem extends BaseSystem {
       themeColor: definition.themeColor || category.themeColor,
       category,
       tags: asArray(definition.tags),
+      rarity: this.resolveUpgradeRarity(definition.rarity),
+      evolvesFrom: asArray(definition.evolution?.requires).map((componentId) =>
+        this.describeUpgradeName(componentId)
+      ),
       currentLevel,
       maxLevel,
       unlockLevel: definition.unlockLevel ?? null,
@@ -517,6 +866,11 @@ class UpgradeSystem extends BaseSystem {
       return null;
     }
 
+    const rarity = UPGRADE_RARITIES[entry.rarity]
+      ? entry.rarity
+      : DEFAULT_UPGRADE_RARITY;
+    const allowsUniqueEffects = UPGRADE_RARITIES[rarity].allowsUniqueEffects;
+
     const levels = asArray(entry.levels).map((level, index) => {
       const rankValue = Number(level?.rank);
       const rank =
@@ -530,6 +884,15 @@ class UpgradeSystem extends BaseSystem {
             return null;
           }
 
+          // Unique effects are reserved for tiers that allow them (legendary)
+          if (effect.unique && !allowsUniqueEffects) {
+            console.warn(
+              `[${this.getSystemLabel()}] Unique effect ignored on ${rarity} upgrade:`,
+              id
+            );
+            return null;
+          }
+
           const payload =
             effect.payload && typeof effect.payload === 'object'
               ? { ...effect.payload }
@@ -571,6 +934,14 @@ class UpgradeSystem extends BaseSystem {
       themeColor:
         entry.themeColor || entry.color || DEFAULT_UPGRADE_CATEGORY.themeColor,
       unlockLevel: entry.unlockLevel ?? null,
+      rarity,
+      evolution: entry.evolution
+        ? {
+            requires: asArray(entry.evolution.requires),
+            hint: entry.evolution.hint || '',
+          }
+        : null,
+      exclusiveGroup: entry.exclusiveGroup || null,
       tags: asArray(entry.tags).map((tag) => `${tag}`),
       prerequisites: asArray(entry.prerequisites),
       name: entry.name || '',
@@ -745,6 +1116,19 @@ class UpgradeSystem extends BaseSystem {
     }
 
     const newLevel = currentLevel + 1;
+
+    // The evolution replaces its components: their effects are taken back
+    // before its own (which carry the components' strength) apply. They
+    // stay in appliedUpgrades for the recipe and run history views.
+    if (definition.evolution) {
+      definition.evolution.requires.forEach((componentId) => {
+        const component = this.upgradeLookup?.get(componentId);
+        if (component) {
+          this.revokeUpgradeEffects(component);
+        }
+      });
+    }
+
     this.appliedUpgrades.set(upgradeId, newLevel);
 
     this.applyUpgradeEffects(definition, levelDefinition, newLevel);
@@ -755,6 +1139,7 @@ class UpgradeSystem extends BaseSystem {
 
     this.eventBus?.emit?.('upgrade:purchased', {
       upgradeId,
+      rarity: definition.rarity,
       level: newLevel,
       previousLevel: currentLevel,
       maxLevel,
@@ -765,6 +1150,7 @@ class UpgradeSystem extends BaseSystem {
 
     this.eventBus?.emit?.('upgrade-applied', {
       upgradeId,
+      rarity: definition.rarity,
       level: newLevel,
       previousLevel: currentLevel,
       maxLevel,
@@ -780,13 +1166,41 @@ class UpgradeSystem extends BaseSystem {
       newLevel
     );
 
+    if (definition.evolution) {
+      this.eventBus?.emit?.('upgrade-evolved', {
+        upgradeId,
+        consumed: [...definition.evolution.requires],
+        summary,
+      });
+    }
+
     this.pendingUpgradeOptions = [];
 
     return true;
   }
 
-  applyUpgradeEffects(definition, levelDefinition, newLevel) {
-    const effects = asArray(levelDefinition?.effects);
+  /**
+   * Applies the effects of one upgrade level.
+   *
+   * With `revoke`, takes them back instead: effects run in reverse order,
+   * events carry `revoke: true` for their handlers to undo themselves and
+   * progression operations are inverted.
+   *
+   * @param {Object} definition
+   * @param {Object} levelDefinition
+   * @param {number} newLevel
+   * @param {Object} [options]
+   * @param {boolean} [options.revoke=false]
+   */
+  applyUpgradeEffects(
+    definition,
+    levelDefinition,
+    newLevel,
+    { revoke = false } = {}
+  ) {
+    const effects = revoke
+      ? [...asArray(levelDefinition?.effects)].reverse()
+      : asArray(levelDefinition?.effects);
 
     effects.forEach((effect) => {
       if (!effect || typeof effect !== 'object') {
@@ -796,7 +1210,25 @@ class UpgradeSystem extends BaseSystem {
       const type = effect.type || 'event';
 
       if (type === 'progression') {
-        this.applyProgressionEffect(effect);
+        this.applyProgressionEffect(
+          revoke ? this.invertProgressionEffect(effect) : effect
+        );
+        return;
+      }
+
+      // Counted from the applied upgrades by getLevelUpCharges()
+      if (type === 'level-up-charges') {
+        this.eventBus?.emit?.('level-up-charges-changed', {
+          charges: this.getLevelUpCharges(),
+        });
+        return;
+      }
+
+      // Counted from the applied upgrades by getUpgradeLuck()
+      if (type === 'upgrade-luck') {
+        this.eventBus?.emit?.('upgrade-luck-changed', {
+          luck: this.getUpgradeLuck(),
+        });
         return;
       }
 
@@ -807,6 +1239,9 @@ class UpgradeSystem extends BaseSystem {
           level: newLevel,
           category: definition.category,
         };
+        if (revoke) {
+          payload.revoke = true;
+        }
         this.eventBus?.emit?.(effect.event, payload);
         return;
       }
@@ -818,6 +1253,39 @@ class UpgradeSystem extends BaseSystem {
     });
   }
 
+  /**
+   * Takes back every applied level of an upgrade, newest first. The applied
+   * level itself is left as it is.
+   *
+   * @param {Object} definition
+   */
+  revokeUpgradeEffects(definition) {
+    const levels = asArray(definition?.levels);
+    const appliedLevel = Math.min(
+      this.getUpgradeCount(definition?.id),
+      levels.length
+    );
+
+    for (let index = appliedLevel - 1; index >= 0; index -= 1) {
+      this.applyUpgradeEffects(definition, levels[index], index + 1, {
+        revoke: true,
+      });
+    }
+  }
+
+  invertProgressionEffect(effect) {
+    const value = Number(effect.value);
+    switch (effect.operation) {
+      case 'multiply':
+        return value ? { ...effect, value: 1 / value } : null;
+      case 'add':
+        return { ...effect, value: -value };
+      default:
+        // A 'set' has nothing to go back to.
+        return null;
+    }
+  }
+
   applyProgressionEffect(effect) {
     if (!effect || typeof effect !== 'object') {
       return;
@@ -880,10 +1348,78 @@ class UpgradeSystem extends BaseSystem {
   }
 
   getUpgradeProgressSnapshot() {
-    return Array.from(this.appliedUpgrades.entries()).map(([id, level]) => ({
-      id,
-      level,
-    }));
+    return Array.from(this.appliedUpgrades.entries()).map(([id, level]) => {
+      const evolvedInto = this.getEvolutionConsuming(id);
+      return evolvedInto ? { id, level, evolvedInto } : { id, level };
+    });
+  }
+
+  // === EVOLUÇÕES ===
+  /**
+   * @param {string} upgradeId
+   * @returns {string|null} Id of the taken evolution that replaced this
+   *   upgrade in the build, if any
+   */
+  getEvolutionConsuming(upgradeId) {
+    const evolution = this.upgradeDefinitions.find(
+      (definition) =>
+        definition.evolution?.requires.includes(upgradeId) &&
+        this.getUpgradeCount(definition.id) > 0
+    );
+    return evolution ? evolution.id : null;
+  }
+
+  isUpgradeConsumedByEvolution(upgradeId) {
+    return this.getEvolutionConsuming(upgradeId) !== null;
+  }
+
+  describeUpgradeName(upgradeId) {
+    const definition = this.upgradeLookup?.get(upgradeId);
+    return {
+      id: upgradeId,
+      name: definition?.text?.name || definition?.name || upgradeId,
+      icon: definition?.icon || '✨',
+    };
+  }
+
+  /**
+   * Evolution recipes annotated with run progress, for the level-up and
+   * pause screens. Recipes never completed in any run (per the
+   * meta-progression codex) keep the result hidden behind their hint.
+   * @returns {Array<Object>}
+   */
+  getEvolutionRecipes() {
+    const meta = this.metaProgressionService;
+
+    return this.upgradeDefinitions
+      .filter((definition) => definition.evolution)
+      .map((definition) => {
+        const components = definition.evolution.requires.map((componentId) => ({
+          ...this.describeUpgradeName(componentId),
+          level: this.getUpgradeCount(componentId),
+          maxLevel: asArray(this.upgradeLookup?.get(componentId)?.levels)
+            .length,
+        }));
+        const evolved = this.getUpgradeCount(definition.id) > 0;
+        const ready =
+          !evolved &&
+          components.every(
+            (component) =>
+              component.maxLevel > 0 && component.level >= component.maxLevel
+          );
+        const discovered =
+          evolved ||
+          (typeof meta?.isEvolutionDiscovered === 'function' &&
+            meta.isEvolutionDiscovered(definition.id));
+
+        return {
+          ...this.describeUpgradeName(definition.id),
+          hint: definition.evolution.hint,
+          components,
+          status: evolved ? 'evolved' : ready ? 'ready' : 'in-progress',
+          discovered,
+        };
+      });
   }
 }
 
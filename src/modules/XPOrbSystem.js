@@ -1957,6 +1957,69 @@ class XPOrbSystem extends BaseSystem {
     };
   }
 
+  /**
+   * Captures uncollected orbs for run saves. Fusion animations are transient
+   * and are not persisted; fusing orbs are stored with their current value.
+   * @returns {{ version: number, orbs: Array<Object> }}
+   */
+  exportState() {
+    return {
+      version: 1,
+      orbs: this.getActiveOrbs().map((orb) => ({
+        x: orb.x,
+        y: orb.y,
+        value: orb.value,
+        class: orb.class,
+        tier: orb.tier,
+        age: orb.age,
+        source: orb.source,
+      })),
+    };
+  }
+
+  /**
+   * Replaces the active orbs with a payload produced by exportState(). Orbs
+   * are rebuilt without emitting `xp-orb-created`, so no spawn effects play.
+   * @param {{ orbs: Array<Object> }} snapshot
+   * @returns {boolean}
+   */
+  importState(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.orbs)) {
+      return false;
+    }
+
+    this.releaseAllOrbsToPool();
+    this.xpOrbs = [];
+    this.xpOrbPools = this.createEmptyOrbPools();
+    this.activeFusionAnimations = [];
+
+    snapshot.orbs.forEach((entry) => {
+      if (!entry || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+        return;
+      }
+
+      const resolvedConfig = this.resolveOrbClass(entry.value, {
+        className: entry.class,
+        tier: entry.tier,
+      });
+      const orb = this.acquireOrb();
+      this.initializeOrbState(
+        orb,
+        entry.x,
+        entry.y,
+        entry.value,
+        resolvedConfig,
+        {
+          age: Number.isFinite(entry.age) ? entry.age : 0,
+          source: entry.source || 'restore',
+        }
+      );
+      this.addOrbToPools(orb);
+    });
+
+    return true;
+  }
+
   reset() {
     super.reset();
     this.releaseAllOrbsToPool();
@@ -122,6 +122,41 @@ export class HealthHeartSystem {
     }
   }
 
+  exportState() {
+    return {
+      version: 1,
+      hearts: this.hearts
+        .filter((heart) => !heart.isCollected())
+        .map((heart) => ({
+          x: heart.x,
+          y: heart.y,
+          pulsePhase: heart.pulsePhase,
+          lifetime: heart.lifetime,
+        })),
+    };
+  }
+
+  importState(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.hearts)) {
+      return false;
+    }
+
+    this.hearts = [];
+    snapshot.hearts.forEach((entry) => {
+      if (!entry || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+        return;
+      }
+      const heart = new HealthHeart(entry.x, entry.y, {
+        pulsePhase: entry.pulsePhase,
+      });
+      heart.lifetime = Number.isFinite(entry.lifetime) ? entry.lifetime : 0;
+      this.hearts.push(heart);
+    });
+
+    debugLog(`[HealthHeartSystem] Restored ${this.hearts.length} heart(s)`);
+    return true;
+  }
+
   reset() {
     // Clear all hearts on game reset (new game or quit to menu)
     this.hearts = [];
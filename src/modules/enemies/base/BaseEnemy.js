@@ -31,6 +31,8 @@ import {
 } from '../../../data/constants/visual.js';
 import { GAME_HEIGHT, GAME_WIDTH } from '../../../core/GameConstants.js';
 import { resolveEventBus } from '../../../core/serviceUtils.js';
+import { StatusEffectController } from '../../StatusEffectController.js';
+import { getEliteAffix } from '../../../data/enemies/elite-affixes.js';
 
 let fallbackEnemyIdSequence = 0;
 
@@ -67,6 +69,17 @@ export class BaseEnemy {
     this.health = 100;
     this.maxHealth = 100;
     this.armor = 0;
+    this.resistances = null; // Damage type -> fraction resisted (data/damageTypes.js)
+
+    // Status effects (burn, slow, emp, shred - see data/statusEffects.js)
+    this.statusEffects = new StatusEffectController({
+      onTick: (amount, effect) => this.onStatusEffectTick(amount, effect),
+    });
+
+    // Elite affixes rolled by EnemyFactory (see data/enemies/elite-affixes.js)
+    this.eliteAffixes = [];
+    this.eliteShield = null;
+    this.eliteSpeedMultiplier = 1;
 
     // Lifecycle
     this.age = 0; // Time since spawn
@@ -87,6 +100,7 @@ export class BaseEnemy {
     // Metadata
     this.tags = new Set(); // For categorization: 'boss', 'minion', 'volatile'
     this.spawnedBy = null; // Parent enemy reference
+    this.formationGroupId = null; // WaveManager formation group, if any
   }
 
   /**
@@ -133,13 +147,16 @@ export class BaseEnemy {
 
     // Update position only when no movement component is responsible for integration
     if (!hasMovementComponent) {
-      this.x += this.vx * deltaTime;
-      this.y += this.vy * deltaTime;
+      const speedMultiplier = this.getSpeedMultiplier();
+      this.x += this.vx * deltaTime * speedMultiplier;
+      this.y += this.vy * deltaTime * speedMultiplier;
     }
 
     // Update rotation
     this.rotation += this.rotationSpeed * deltaTime;
 
+    this.updateEliteAffixes(deltaTime);
+
     const context = this.buildComponentContext(deltaTime);
     this._componentsInvoked = true;
     this.runComponentUpdate(context);
@@ -206,14 +223,19 @@ export class BaseEnemy {
    *
    * @param {number} amount - Damage amount
    * @param {Object} source - Damage source (for tracking)
+   * @param {Object} [context] - Extra damage details, e.g. `statusEffect`
    * @returns {boolean} True if enemy was destroyed
    */
-  takeDamage(amount, source = null) {
+  takeDamage(amount, source = null, context = {}) {
     if (!this.alive) return false;
 
+    if (this.eliteShield) {
+      this.eliteShield.cooldown = this.eliteShield.regenDelay;
+    }
+
     const healthComponent = this.getComponent('health');
     if (healthComponent && typeof healthComponent.takeDamage === 'function') {
-      healthComponent.takeDamage(this, amount, source);
+      healthComponent.takeDamage(this, amount, source, context);
       return this.health <= 0;
     }
 
@@ -234,6 +256,190 @@ export class BaseEnemy {
     return false;
   }
 
+  /**
+   * Applies a status effect (see data/statusEffects.js).
+   *
+   * @param {string} id - Effect id, e.g. 'burn'
+   * @param {Object} [options] - Duration, stacks, tickDamage and source
+   * @returns {Object|null} The active effect, or null when not applied
+   */
+  applyStatusEffect(id, options = {}) {
+    if (!this.alive || this.destroyed) return null;
+    return this.statusEffects.apply(id, options);
+  }
+
+  /**
+   * Advances status effect timers. Called by EnemyUpdateSystem every frame.
+   *
+   * @param {number} deltaTime - Time elapsed
+   */
+  updateStatusEffects(deltaTime) {
+    this.statusEffects.update(deltaTime);
+  }
+
+  /**
+   * Routes damage-over-time ticks through the damage sub-system so kills
+   * resolve like any other hit.
+   *
+   * @param {number} amount - Tick damage
+   * @param {Object} effect - Active effect from the controller
+   */
+  onStatusEffectTick(amount, effect) {
+    if (!this.alive || this.destroyed) return;
+
+    const options = {
+      cause: 'status-effect',
+      statusEffect: effect.id,
+      source: effect.source,
+    };
+    if (typeof this.system?.applyDamage === 'function') {
+      this.system.applyDamage(this, amount, options);
+      return;
+    }
+    this.takeDamage(amount, effect.source, options);
+  }
+
+  /**
+   * Movement scale from status effects (slow) and the fast elite affix.
+   *
+   * @returns {number}
+   */
+  getSpeedMultiplier() {
+    return this.statusEffects.getSpeedMultiplier() * this.eliteSpeedMultiplier;
+  }
+
+  /**
+   * Turns this enemy into an elite. Called by EnemyFactory.create() once the
+   * health component has scaled max health.
+   *
+   * @param {Array<string>} affixIds - Keys of ELITE_AFFIXES
+   */
+  applyEliteAffixes(affixIds = []) {
+    affixIds.forEach((id) => {
+      const affix = getEliteAffix(id);
+      if (!affix || this.hasEliteAffix(id)) {
+        return;
+      }
+
+      this.eliteAffixes.push(affix);
+
+      if (Number.isFinite(affix.speedMultiplier)) {
+        this.eliteSpeedMultiplier *= affix.speedMultiplier;
+      }
+
+      if (Number.isFinite(affix.shieldFraction)) {
+        this.shields =
+          (this.shields || 0) + this.maxHealth * affix.shieldFraction;
+        this.eliteShield = {
+          max: this.shields,
+          regenDelay: affix.regenDelay ?? 0,
+          regenRate: this.shields * (affix.regenPerSecond ?? 0),
+          cooldown: 0,
+        };
+      }
+    });
+  }
+
+  isElite() {
+    return this.eliteAffixes.length > 0;
+  }
+
+  hasEliteAffix(id) {
+    return this.eliteAffixes.some((affix) => affix.id === id);
+  }
+
+  /** @returns {number} Product of the affix reward multipliers */
+  getEliteRewardMultiplier() {
+    return this.eliteAffixes.reduce(
+      (multiplier, affix) => multiplier * (affix.rewardMultiplier ?? 1),
+      1
+    );
+  }
+
+  /**
+   * Regenerates the shielded affix once the enemy has gone `regenDelay`
+   * seconds without taking damage.
+   *
+   * @param {number} deltaTime - Time elapsed
+   */
+  updateEliteAffixes(deltaTime) {
+    const shield = this.eliteShield;
+    if (!shield) return;
+
+    if (shield.cooldown > 0) {
+      shield.cooldown -= deltaTime;
+      return;
+    }
+
+    this.shields = Math.min(
+      shield.max,
+      (this.shields || 0) + shield.regenRate * deltaTime
+    );
+  }
+
+  /**
+   * Vampiric affix: heals for the player health this enemy took away.
+   *
+   * @param {number} healthDamage - Player health lost to this enemy's hit
+   * @returns {number} Health restored
+   */
+  leechPlayerHealth(healthDamage) {
+    const affix = this.eliteAffixes.find((entry) =>
+      Number.isFinite(entry.leechFraction)
+    );
+    if (!affix || !this.alive || !(healthDamage > 0)) {
+      return 0;
+    }
+
+    const previous = this.health;
+    this.heal(healthDamage * affix.leechFraction);
+    return this.health - previous;
+  }
+
+  /**
+   * Splitting affix: spawns weaker, non-elite copies where this enemy died.
+   * They count toward the wave like boss minions do.
+   *
+   * @returns {Array<BaseEnemy>} The spawned copies
+   */
+  spawnEliteSplits() {
+    const affix = this.eliteAffixes.find((entry) =>
+      Number.isFinite(entry.splitCount)
+    );
+    const system = this.system;
+    if (!affix || typeof system?.acquireEnemyViaFactory !== 'function') {
+      return [];
+    }
+
+    const splits = [];
+    const count = Math.max(0, Math.floor(affix.splitCount));
+    const distance = Math.max(this.radius, 8);
+    for (let i = 0; i < count; i += 1) {
+      const angle = this.rotation + (Math.PI * 2 * i) / count;
+      const split = system.acquireEnemyViaFactory(this.type, {
+        x: this.x + Math.cos(angle) * distance,
+        y: this.y + Math.sin(angle) * distance,
+        vx: this.vx + Math.cos(angle) * 60,
+        vy: this.vy + Math.sin(angle) * 60,
+        wave: this.wave,
+        generation: this.generation + 1,
+        spawnedBy: this.id,
+        eliteAffixes: [],
+      });
+      if (!split) continue;
+
+      split.maxHealth = Math.max(1, this.maxHealth * affix.splitHealthFraction);
+      split.health = split.maxHealth;
+      split.spawnSource = 'elite-split';
+      system.waveManager?.registerDynamicMinion?.(split, {
+        sourceId: this.id,
+        minionType: this.type,
+      });
+      splits.push(split);
+    }
+    return splits;
+  }
+
   /**
    * Hook called when enemy takes damage.
    *
@@ -250,8 +456,13 @@ export class BaseEnemy {
    * @param {Object} source - What destroyed this enemy
    */
   onDestroyed(source, context = null) {
+    const wasAlive = this.alive;
     this.alive = false;
 
+    if (wasAlive && this.isElite()) {
+      this.spawnEliteSplits();
+    }
+
     const eventContext = context || {};
     const payload = {
       enemy: this,
@@ -390,6 +601,12 @@ export class BaseEnemy {
     this.health = 0;
     this.maxHealth = 100;
     this.armor = 0;
+    this.resistances = null;
+    this.statusEffects.clear();
+    this.eliteAffixes = [];
+    this.eliteShield = null;
+    this.eliteSpeedMultiplier = 1;
+    this.shields = 0;
 
     // Reset lifecycle
     this.age = 0;
@@ -403,6 +620,7 @@ export class BaseEnemy {
     // Clear metadata
     this.tags.clear();
     this.spawnedBy = null;
+    this.formationGroupId = null;
 
     // Reset components
     for (const component of this.components.values()) {
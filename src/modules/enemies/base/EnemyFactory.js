@@ -1,3 +1,4 @@
+import { BehaviorComponent } from '../components/BehaviorComponent.js';
 import { CollisionComponent } from '../components/CollisionComponent.js';
 import { HealthComponent } from '../components/HealthComponent.js';
 import { MovementComponent } from '../components/MovementComponent.js';
@@ -5,6 +6,11 @@ import { RenderComponent } from '../components/RenderComponent.js';
 import { WeaponComponent } from '../components/WeaponComponent.js';
 import { debugLog } from '../../../core/debugLogging.js';
 import { GameDebugLogger } from '../../../utils/dev/GameDebugLogger.js';
+import {
+  ELITE_SPAWN_CONFIG,
+  resolveEliteAffixWeights,
+  resolveEliteChance,
+} from '../../../data/enemies/elite-affixes.js';
 
 /**
  * Enemy Factory
@@ -221,6 +227,8 @@ export class EnemyFactory {
         this.applyComponents(enemy, componentConfig, finalConfig);
       }
 
+      this.applyEliteAffixes(enemy, type, finalConfig);
+
       // Apply default tags
       for (const tag of typeConfig.tags) {
         enemy.addTag(tag);
@@ -507,6 +515,63 @@ export class EnemyFactory {
     console.groupEnd();
   }
 
+  /**
+   * Turns eligible spawns into elites (see data/enemies/elite-affixes.js).
+   * Runs after the components so affixes can build on the scaled health.
+   *
+   * @param {BaseEnemy} enemy
+   * @param {string} type
+   * @param {Object} config - `eliteAffixes` forces a list; [] skips the roll
+   */
+  applyEliteAffixes(enemy, type, config = {}) {
+    if (typeof enemy?.applyEliteAffixes !== 'function') {
+      return;
+    }
+
+    const affixes = Array.isArray(config.eliteAffixes)
+      ? config.eliteAffixes
+      : this.rollEliteAffixes(type, enemy.wave);
+    if (affixes.length > 0) {
+      enemy.applyEliteAffixes(affixes);
+    }
+  }
+
+  /**
+   * Rolls the elite affixes for one spawn from the wave-gated weights.
+   *
+   * @param {string} type
+   * @param {number} wave
+   * @returns {Array<string>} Affix ids, empty for regular spawns
+   */
+  rollEliteAffixes(type, wave) {
+    const chance = resolveEliteChance(wave);
+    const weights = resolveEliteAffixWeights(type, wave);
+    if (chance <= 0 || Object.keys(weights).length === 0) {
+      return [];
+    }
+
+    // Only eligible spawns touch the scope, so early waves replay unchanged.
+    const random =
+      typeof this.system?.getRandomScope === 'function'
+        ? this.system.getRandomScope('elite-affixes')
+        : null;
+    if (!random || !random.chance(chance)) {
+      return [];
+    }
+
+    const affixes = [random.weightedPick(weights)];
+    if (
+      wave >= ELITE_SPAWN_CONFIG.secondAffixWave &&
+      random.chance(ELITE_SPAWN_CONFIG.secondAffixChance)
+    ) {
+      delete weights[affixes[0]];
+      if (Object.keys(weights).length > 0) {
+        affixes.push(random.weightedPick(weights));
+      }
+    }
+    return affixes;
+  }
+
   applyComponents(enemy, components = {}, finalConfig = {}) {
     if (!enemy || !components) {
       return;
@@ -520,6 +585,21 @@ export class EnemyFactory {
       }
     };
 
+    // Attached first so state changes apply before movement and weapon run
+    if (components.behavior) {
+      const existingBehavior = enemy.getComponent?.('behavior') || null;
+
+      if (existingBehavior) {
+        existingBehavior.reset(enemy);
+      } else {
+        enemy.addComponent(
+          'behavior',
+          this.createBehaviorComponent(components.behavior, enemy, finalConfig)
+        );
+        attachedCount++;
+      }
+    }
+
     if (components.movement) {
       const existingMovement = enemy.getComponent?.('movement') || null;
       enemy.movementStrategy =
@@ -651,6 +731,10 @@ export class EnemyFactory {
     }
   }
 
+  createBehaviorComponent(config = {}) {
+    return new BehaviorComponent(config);
+  }
+
   createMovementComponent(config = {}) {
     const component = new MovementComponent(config);
     if (typeof component.setStrategy === 'function' && config.strategy) {
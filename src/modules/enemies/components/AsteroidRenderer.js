@@ -21,6 +21,8 @@
  * ```
  */
 
+import { drawEliteAura, drawStatusEffectTint } from './RenderComponent.js';
+
 export class AsteroidRenderer {
   constructor(options = {}) {
     this.debugMode = options.debugMode || false;
@@ -78,6 +80,8 @@ export class AsteroidRenderer {
     if (typeof asteroid.draw === 'function') {
       asteroid.draw(ctx);
     }
+    drawStatusEffectTint(ctx, asteroid);
+    drawEliteAura(ctx, asteroid);
 
     // Debug rendering if enabled
     if (this.debugMode) {
@@ -0,0 +1,185 @@
+const getPlayerPosition = (context) => {
+  const position =
+    context?.playerPosition || context?.player?.position || context?.player;
+  return position && Number.isFinite(position.x) && Number.isFinite(position.y)
+    ? position
+    : null;
+};
+
+const distanceToPlayer = (enemy, context) => {
+  const target = getPlayerPosition(context);
+  return target ? Math.hypot(target.x - enemy.x, target.y - enemy.y) : Infinity;
+};
+
+const healthFraction = (enemy) =>
+  enemy.maxHealth > 0 ? (enemy.health ?? 0) / enemy.maxHealth : 1;
+
+// Living enemies around `enemy`, looked up through the physics SpatialHash
+const countAlliesNearby = (enemy, context, { radius, type = null }) => {
+  const physics =
+    context?.system?.getCachedPhysics?.() ?? context?.system?.physics ?? null;
+  if (typeof physics?.getNearbyEnemies !== 'function') {
+    return 0;
+  }
+
+  const radiusSq = radius * radius;
+  return physics
+    .getNearbyEnemies(enemy.x, enemy.y, radius)
+    .filter(
+      (other) =>
+        other !== enemy &&
+        other?.alive !== false &&
+        !other.destroyed &&
+        (!type || other.type === type) &&
+        (other.x - enemy.x) ** 2 + (other.y - enemy.y) ** 2 <= radiusSq
+    ).length;
+};
+
+const normalizeAllyQuery = (value) =>
+  typeof value === 'number'
+    ? { radius: value, count: 1 }
+    : { count: 1, ...value };
+
+const defaultConditions = {
+  playerInRange: (enemy, range, context) =>
+    distanceToPlayer(enemy, context) <= range,
+  playerOutOfRange: (enemy, range, context) =>
+    distanceToPlayer(enemy, context) > range,
+  healthBelow: (enemy, fraction) => healthFraction(enemy) < fraction,
+  healthAbove: (enemy, fraction) => healthFraction(enemy) > fraction,
+  allyNearby: (enemy, value, context) => {
+    const query = normalizeAllyQuery(value);
+    return countAlliesNearby(enemy, context, query) >= query.count;
+  },
+  noAllyNearby: (enemy, value, context) => {
+    const query = normalizeAllyQuery(value);
+    return countAlliesNearby(enemy, context, query) < query.count;
+  },
+  timeInState: (enemy, seconds, context, state) => state.elapsed >= seconds,
+};
+
+/**
+ * Data-driven state machine layered over the other enemy components.
+ *
+ * Each state can switch the movement strategy (and tune it through
+ * `movementConfig`), pick a weapon pattern or hold fire. Transitions are
+ * checked in order: the machine-level `transitions` first, from any state,
+ * then the current state's own; the first whose `when` holds wins. Fields a
+ * state leaves out fall back to what the enemy had when the machine started,
+ * so a formation strategy assigned at spawn survives a state that only
+ * changes the weapon.
+ *
+ * The component must run before movement and weapon in the update loop;
+ * EnemyFactory attaches it first.
+ */
+export class BehaviorComponent {
+  constructor(config = {}) {
+    this.config = { ...config };
+    this.states = config.states || {};
+    this.conditions = new Map(Object.entries(defaultConditions));
+  }
+
+  /**
+   * @param {string} name - Key usable in a transition's `when`
+   * @param {(enemy: Object, value: *, context: Object, state: Object) => boolean} handler
+   */
+  registerCondition(name, handler) {
+    if (!name || typeof handler !== 'function') {
+      return;
+    }
+    this.conditions.set(name, handler);
+  }
+
+  reset(enemy) {
+    if (!enemy) {
+      return;
+    }
+    if (enemy.behaviorState?.base) {
+      this.applyState(enemy, {});
+    }
+    enemy.behaviorState = null;
+    enemy.weaponsHeld = false;
+  }
+
+  update(context) {
+    const enemy = context?.enemy;
+    if (!enemy) {
+      return;
+    }
+
+    let state = enemy.behaviorState;
+    if (!state) {
+      state = enemy.behaviorState = {
+        current: null,
+        elapsed: 0,
+        base: {
+          movementStrategy: enemy.movementStrategy,
+          movementConfig: enemy.movementConfig,
+          weaponPattern: enemy.weaponPattern,
+        },
+      };
+      this.enterState(enemy, this.config.initial);
+    }
+
+    state.elapsed += context.deltaTime ?? 0;
+
+    const stateConfig = this.states[state.current] || {};
+    const transitions = [
+      ...(this.config.transitions || []),
+      ...(stateConfig.transitions || []),
+    ];
+    const next = transitions.find(
+      (transition) =>
+        transition.to !== state.current &&
+        this.states[transition.to] &&
+        this.evaluate(transition.when, enemy, context, state)
+    );
+    if (next) {
+      this.enterState(enemy, next.to);
+    }
+  }
+
+  /**
+   * @param {Object} when - Condition keys that must all hold; `any` takes a
+   *   list of such objects of which one must hold
+   * @returns {boolean}
+   */
+  evaluate(when, enemy, context, state) {
+    if (!when) {
+      return true;
+    }
+
+    return Object.entries(when).every(([name, value]) => {
+      if (name === 'any') {
+        return value.some((option) =>
+          this.evaluate(option, enemy, context, state)
+        );
+      }
+      const condition = this.conditions.get(name);
+      return condition ? condition(enemy, value, context, state) : false;
+    });
+  }
+
+  enterState(enemy, name) {
+    const state = enemy.behaviorState;
+    state.current = name;
+    state.elapsed = 0;
+    this.applyState(enemy, this.states[name] || {});
+  }
+
+  applyState(enemy, stateConfig) {
+    const { base } = enemy.behaviorState;
+
+    enemy.movementStrategy = stateConfig.movement || base.movementStrategy;
+    enemy.movementConfig = stateConfig.movementConfig
+      ? { ...base.movementConfig, ...stateConfig.movementConfig }
+      : base.movementConfig;
+
+    const weapon = stateConfig.weapon ?? true;
+    enemy.weaponsHeld = weapon === false;
+    enemy.weaponPattern =
+      typeof weapon === 'string' ? weapon : base.weaponPattern;
+  }
+}
+
+export default BehaviorComponent;
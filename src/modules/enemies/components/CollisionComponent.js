@@ -15,6 +15,7 @@ export class CollisionComponent {
       ['damage', this.handleDamage.bind(this)],
       ['destroy', this.handleDestroy.bind(this)],
       ['trigger', this.handleTrigger.bind(this)],
+      ['deflect', this.handleDeflect.bind(this)],
     ]);
   }
 
@@ -48,11 +49,30 @@ export class CollisionComponent {
   }
 
   handleCollision(context) {
-    const { enemy, other } = context;
+    const { enemy } = context;
     const handler = this.responses.get(
-      enemy.collisionResponse || this.response
+      context.response || enemy.collisionResponse || this.response
     );
-    handler?.(context);
+    return handler?.(context);
+  }
+
+  /**
+   * Whether the point lies inside the frontal shield (`shieldArc`, centred on
+   * `enemy.shieldAngle` or, failing that, the enemy's heading).
+   */
+  isInShieldArc(enemy, x, y) {
+    const arc = this.config.shieldArc;
+    if (!enemy || !(arc > 0)) {
+      return false;
+    }
+
+    const facing = enemy.shieldAngle ?? enemy.rotation ?? 0;
+    const angle = Math.atan2(y - enemy.y, x - enemy.x);
+    const delta = Math.atan2(
+      Math.sin(angle - facing),
+      Math.cos(angle - facing)
+    );
+    return Math.abs(delta) <= arc / 2;
   }
 
   resolveCollision(enemy, other) {
@@ -172,6 +192,36 @@ export class CollisionComponent {
     }
   }
 
+  /**
+   * Bounces a projectile off the frontal shield.
+   *
+   * @returns {boolean} True when the projectile hit the shield arc
+   */
+  handleDeflect({ enemy, other }) {
+    if (!enemy || !other || !this.isInShieldArc(enemy, other.x, other.y)) {
+      return false;
+    }
+
+    const dx = other.x - enemy.x;
+    const dy = other.y - enemy.y;
+    const distance = Math.max(Math.hypot(dx, dy), 1e-6);
+    const nx = dx / distance;
+    const ny = dy / distance;
+
+    const velAlongNormal = (other.vx ?? 0) * nx + (other.vy ?? 0) * ny;
+    if (velAlongNormal < 0) {
+      other.vx = (other.vx ?? 0) - 2 * velAlongNormal * nx;
+      other.vy = (other.vy ?? 0) - 2 * velAlongNormal * ny;
+    }
+
+    // Push the projectile clear so it does not strike the hull next frame
+    const clearance =
+      this.resolveRadius(enemy) + (other.radius ?? other.size ?? 3) + 1;
+    other.x = enemy.x + nx * clearance;
+    other.y = enemy.y + ny * clearance;
+    return true;
+  }
+
   handleTrigger({ enemy, system, payload = {} }) {
     if (!enemy) {
       return;
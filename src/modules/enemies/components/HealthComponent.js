@@ -35,6 +35,7 @@ export class HealthComponent {
       enemy.invulnerable = Boolean(config.invulnerable ?? enemy.invulnerable);
       enemy.invulnerabilityTimer =
         config.invulnerabilityDuration ?? enemy.invulnerabilityTimer ?? 0;
+      enemy.resistances = config.resistances ?? enemy.resistances ?? null;
       enemy.healthConfig = config;
       return;
     }
@@ -66,14 +67,24 @@ export class HealthComponent {
     enemy.invulnerable = Boolean(config.invulnerable ?? enemy.invulnerable);
     enemy.invulnerabilityTimer =
       config.invulnerabilityDuration ?? enemy.invulnerabilityTimer ?? 0;
+    enemy.resistances = config.resistances ?? enemy.resistances ?? null;
     enemy.healthConfig = config;
   }
 
+  /**
+   * Wave scaling for the enemy's base health, including the enemy-health
+   * multiplier of the active run modifiers.
+   *
+   * @param {Object} enemy
+   * @param {Object} config
+   * @returns {number}
+   */
   resolveWaveMultiplier(enemy, config) {
     if (!enemy) {
       return config.scaling ?? 1;
     }
-    const base = config.scaling ?? 1;
+    const base =
+      (config.scaling ?? 1) * this.resolveRunModifierMultiplier(enemy);
     const wave = enemy.wave ?? 1;
     if (!config.waveScaling) {
       return base;
@@ -82,6 +93,15 @@ export class HealthComponent {
     return base * (1 + perWave * Math.max(wave - 1, 0));
   }
 
+  resolveRunModifierMultiplier(enemy) {
+    const system = enemy?.system;
+    const effects =
+      system && typeof system.getRunModifierEffects === 'function'
+        ? system.getRunModifierEffects()
+        : null;
+    return effects?.enemyHealth ?? 1;
+  }
+
   takeDamage(enemy, amount, source, context = {}) {
     if (!enemy || !Number.isFinite(amount)) {
       return 0;
@@ -100,7 +120,10 @@ export class HealthComponent {
       enemy.shields -= absorbed;
       remaining -= absorbed;
       if (remaining <= 0) {
-        this.emitDamageEvent(enemy, absorbed, source, { type: 'shield' });
+        this.emitDamageEvent(enemy, absorbed, source, {
+          ...context,
+          type: 'shield',
+        });
         return effectiveDamage;
       }
     }
@@ -161,6 +184,7 @@ export class HealthComponent {
       amount,
       remaining: enemy.health,
       source,
+      statusEffect: context?.statusEffect ?? null,
       context,
     });
   }
@@ -16,6 +16,67 @@ const DEFAULT_BOUNDS = Object.freeze({
   bottom: GAME_HEIGHT,
 });
 
+// === GROUP MOVEMENT HELPERS ===
+
+// Formation group the enemy belongs to, as tracked by WaveManager
+const resolveFormationGroup = (enemy, system) =>
+  enemy?.formationGroupId
+    ? system?.waveManager?.getFormationGroup?.(enemy.formationGroupId) || null
+    : null;
+
+// Squadmates within `radius`, looked up through the physics SpatialHash and
+// falling back to the group roster when physics is unavailable
+const findGroupNeighbors = (enemy, system, radius) => {
+  const physics = system?.getCachedPhysics?.() ?? system?.physics ?? null;
+  const candidates =
+    typeof physics?.getNearbyEnemies === 'function'
+      ? physics.getNearbyEnemies(enemy.x, enemy.y, radius)
+      : resolveFormationGroup(enemy, system)?.members || [];
+
+  const radiusSq = radius * radius;
+  return candidates.filter(
+    (other) =>
+      other !== enemy &&
+      other?.alive !== false &&
+      other.formationGroupId === enemy.formationGroupId &&
+      (other.x - enemy.x) ** 2 + (other.y - enemy.y) ** 2 <= radiusSq
+  );
+};
+
+// Turns the velocity toward `desired`, limited by acceleration and maxSpeed,
+// then integrates the position
+const steerToward = (enemy, desired, options, deltaTime, bounds) => {
+  const velocity = enemy.velocity || { vx: enemy.vx ?? 0, vy: enemy.vy ?? 0 };
+  let dvx = desired.x - velocity.vx;
+  let dvy = desired.y - velocity.vy;
+  const change = length(dvx, dvy);
+  const maxChange = options.acceleration * deltaTime;
+  if (change > maxChange) {
+    dvx = (dvx / change) * maxChange;
+    dvy = (dvy / change) * maxChange;
+  }
+  velocity.vx += dvx;
+  velocity.vy += dvy;
+
+  const speed = length(velocity.vx, velocity.vy);
+  if (speed > options.maxSpeed) {
+    velocity.vx = (velocity.vx / speed) * options.maxSpeed;
+    velocity.vy = (velocity.vy / speed) * options.maxSpeed;
+  }
+
+  enemy.velocity = velocity;
+  enemy.vx = velocity.vx;
+  enemy.vy = velocity.vy;
+
+  enemy.x += velocity.vx * deltaTime;
+  enemy.y += velocity.vy * deltaTime;
+
+  if (speed > 1e-3) {
+    enemy.rotation = Math.atan2(velocity.vy, velocity.vx);
+  }
+  wrapScreenEdges(enemy, bounds);
+};
+
 const createDefaultStrategies = () => ({
   linear: ({ enemy, deltaTime, bounds }) => {
     // Always sync velocity from vx/vy properties to handle external modifications
@@ -390,6 +451,233 @@ const createDefaultStrategies = () => ({
 
     wrapScreenEdges(enemy, bounds);
   },
+  // Flee: run straight away from the player at full speed
+  flee: (args) => {
+    const { enemy, deltaTime, player, playerPosition, config, bounds } = args;
+    const threat = playerPosition || player?.position || player || null;
+    if (!threat) {
+      return defaultStrategies.linear(args);
+    }
+
+    const options = {
+      acceleration: config.acceleration ?? 240,
+      maxSpeed: config.maxSpeed ?? config.speed ?? 180,
+    };
+    const away = normalize(enemy.x - threat.x, enemy.y - threat.y);
+    steerToward(
+      enemy,
+      { x: away.x * options.maxSpeed, y: away.y * options.maxSpeed },
+      options,
+      deltaTime,
+      bounds
+    );
+  },
+
+  // Kamikaze: ram the player, faster and harder-turning than tracking
+  kamikaze: (args) => {
+    const { enemy, deltaTime, player, playerPosition, config, bounds } = args;
+    const target = playerPosition || player?.position || player || null;
+    if (!target) {
+      return defaultStrategies.linear(args);
+    }
+
+    const boost = config.kamikazeBoost ?? 1.6;
+    const options = {
+      acceleration: (config.acceleration ?? 240) * boost,
+      maxSpeed: (config.maxSpeed ?? config.speed ?? 180) * boost,
+    };
+    const toward = normalize(target.x - enemy.x, target.y - enemy.y);
+    steerToward(
+      enemy,
+      { x: toward.x * options.maxSpeed, y: toward.y * options.maxSpeed },
+      options,
+      deltaTime,
+      bounds
+    );
+  },
+
+  // Boids flocking: separation, alignment and cohesion among squadmates,
+  // plus a pull toward the player
+  flock: (args) => {
+    const { enemy, deltaTime, player, playerPosition, system, config, bounds } =
+      args;
+    const target = playerPosition || player?.position || player || null;
+    if (!target) {
+      return defaultStrategies.linear(args);
+    }
+
+    const options = {
+      acceleration: config.acceleration ?? 240,
+      maxSpeed: config.maxSpeed ?? config.speed ?? 180,
+      neighborRadius: config.neighborRadius ?? 140,
+      separationDistance: config.separationDistance ?? 45,
+      separationWeight: config.separationWeight ?? 1.8,
+      alignmentWeight: config.alignmentWeight ?? 0.6,
+      cohesionWeight: config.cohesionWeight ?? 0.5,
+      seekWeight: config.seekWeight ?? 1,
+    };
+
+    const separation = { x: 0, y: 0 };
+    const heading = { x: 0, y: 0 };
+    const center = { x: 0, y: 0 };
+    const neighbors = findGroupNeighbors(enemy, system, options.neighborRadius);
+    neighbors.forEach((other) => {
+      const dx = enemy.x - other.x;
+      const dy = enemy.y - other.y;
+      const distance = length(dx, dy);
+      if (distance > 1e-6 && distance < options.separationDistance) {
+        const push = 1 - distance / options.separationDistance;
+        separation.x += (dx / distance) * push;
+        separation.y += (dy / distance) * push;
+      }
+      heading.x += other.vx ?? 0;
+      heading.y += other.vy ?? 0;
+      center.x += other.x;
+      center.y += other.y;
+    });
+
+    const seek = normalize(target.x - enemy.x, target.y - enemy.y);
+    const steering = {
+      x: seek.x * options.seekWeight + separation.x * options.separationWeight,
+      y: seek.y * options.seekWeight + separation.y * options.separationWeight,
+    };
+
+    if (neighbors.length > 0) {
+      const alignment = normalize(heading.x, heading.y);
+      const cohesion = normalize(
+        center.x / neighbors.length - enemy.x,
+        center.y / neighbors.length - enemy.y
+      );
+      steering.x +=
+        alignment.x * options.alignmentWeight +
+        cohesion.x * options.cohesionWeight;
+      steering.y +=
+        alignment.y * options.alignmentWeight +
+        cohesion.y * options.cohesionWeight;
+    }
+
+    const direction = normalize(steering.x, steering.y);
+    steerToward(
+      enemy,
+      {
+        x: direction.x * options.maxSpeed,
+        y: direction.y * options.maxSpeed,
+      },
+      options,
+      deltaTime,
+      bounds
+    );
+  },
+
+  // V-formation: the first member leads toward the player, the rest hold
+  // slots trailing behind it on alternating wings
+  'v-formation': (args) => {
+    const { enemy, deltaTime, player, playerPosition, system, config, bounds } =
+      args;
+    const target = playerPosition || player?.position || player || null;
+    const group = resolveFormationGroup(enemy, system);
+    const slot = group ? group.members.indexOf(enemy) : -1;
+
+    const options = {
+      acceleration: config.acceleration ?? 240,
+      maxSpeed: config.maxSpeed ?? config.speed ?? 180,
+      spacing: config.formationSpacing ?? 44,
+      wingAngle: config.formationAngle ?? 0.6,
+      // Leader cruises below top speed so the wings can keep up
+      leaderSpeedFactor: config.leaderSpeedFactor ?? 0.8,
+      slotGain: config.slotGain ?? 2.5,
+    };
+
+    if (slot <= 0) {
+      if (!target) {
+        return defaultStrategies.linear(args);
+      }
+      const seek = normalize(target.x - enemy.x, target.y - enemy.y);
+      const speed = options.maxSpeed * options.leaderSpeedFactor;
+      steerToward(
+        enemy,
+        { x: seek.x * speed, y: seek.y * speed },
+        options,
+        deltaTime,
+        bounds
+      );
+      return;
+    }
+
+    const leader = group.members[0];
+    const heading =
+      length(leader.vx ?? 0, leader.vy ?? 0) > 1e-3
+        ? Math.atan2(leader.vy, leader.vx)
+        : leader.rotation ?? 0;
+    const rank = Math.ceil(slot / 2);
+    const side = slot % 2 === 1 ? 1 : -1;
+    const back = rank * options.spacing * Math.cos(options.wingAngle);
+    const lateral = side * rank * options.spacing * Math.sin(options.wingAngle);
+    const slotPosition = {
+      x: leader.x - Math.cos(heading) * back - Math.sin(heading) * lateral,
+      y: leader.y - Math.sin(heading) * back + Math.cos(heading) * lateral,
+    };
+
+    steerToward(
+      enemy,
+      {
+        x: (leader.vx ?? 0) + (slotPosition.x - enemy.x) * options.slotGain,
+        y: (leader.vy ?? 0) + (slotPosition.y - enemy.y) * options.slotGain,
+      },
+      options,
+      deltaTime,
+      bounds
+    );
+  },
+
+  // Encircle: members spread evenly on a rotating ring around the player.
+  // With two members this becomes a pincer from opposite sides
+  encircle: (args) => {
+    const { enemy, deltaTime, player, playerPosition, system, config, bounds } =
+      args;
+    const target = playerPosition || player?.position || player || null;
+    const group = resolveFormationGroup(enemy, system);
+    const slot = group ? group.members.indexOf(enemy) : -1;
+    if (!target || slot < 0) {
+      return defaultStrategies.orbit(args);
+    }
+
+    const options = {
+      acceleration: config.acceleration ?? 240,
+      maxSpeed: config.maxSpeed ?? config.speed ?? 180,
+      radius: config.encircleRadius ?? config.preferredDistance ?? 200,
+      rotationSpeed: config.encircleRotationSpeed ?? 0.4,
+      slotGain: config.slotGain ?? 2.5,
+    };
+
+    // The ring angle is shared group state, advanced once per frame by the
+    // first member
+    const state = group.state;
+    if (!Number.isFinite(state.ringAngle)) {
+      const first = group.members[0];
+      state.ringAngle = Math.atan2(first.y - target.y, first.x - target.x);
+    }
+    if (slot === 0) {
+      state.ringAngle += options.rotationSpeed * deltaTime;
+    }
+
+    const angle = state.ringAngle + (Math.PI * 2 * slot) / group.members.length;
+    const slotPosition = {
+      x: target.x + Math.cos(angle) * options.radius,
+      y: target.y + Math.sin(angle) * options.radius,
+    };
+
+    steerToward(
+      enemy,
+      {
+        x: (slotPosition.x - enemy.x) * options.slotGain,
+        y: (slotPosition.y - enemy.y) * options.slotGain,
+      },
+      options,
+      deltaTime,
+      bounds
+    );
+  },
 });
 
 const defaultStrategies = createDefaultStrategies();
@@ -426,10 +714,12 @@ export class MovementComponent {
       this.strategies.get(strategyName) || this.strategies.get('linear');
 
     const bounds = resolveBounds(context?.worldBounds);
+    // Slows and the fast elite affix scale the whole movement step
+    const speedMultiplier = context.enemy?.getSpeedMultiplier?.() ?? 1;
 
     handler?.({
       enemy: context.enemy,
-      deltaTime: context.deltaTime,
+      deltaTime: context.deltaTime * speedMultiplier,
       player: context.player,
       playerPosition: context.playerPosition,
       playerEntity: context.playerEntity,
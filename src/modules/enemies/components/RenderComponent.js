@@ -947,3 +947,90 @@ const drawDebugInfo = ({ enemy, ctx }) => {
   ctx.stroke();
   ctx.restore();
 };
+
+/**
+ * Draws the status effect tint (burn, slow, emp, shred) over an enemy in world
+ * space. Render systems call it right after the enemy's own draw so every
+ * enemy type gets the overlay without touching its renderer.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} enemy
+ */
+export const drawStatusEffectTint = (ctx, enemy) => {
+  const tint = enemy?.statusEffects?.getTint?.();
+  if (!ctx || !tint) {
+    return;
+  }
+
+  const radius =
+    Number.isFinite(enemy.radius) && enemy.radius > 0 ? enemy.radius : 16;
+  const pulse = 0.5 + 0.5 * Math.sin((enemy.age ?? 0) * 8);
+
+  ctx.save();
+  ctx.globalCompositeOperation = 'lighter';
+  ctx.globalAlpha = 0.16 + pulse * 0.12;
+  ctx.fillStyle = tint;
+  ctx.beginPath();
+  ctx.arc(enemy.x, enemy.y, radius * 1.05, 0, TAU);
+  ctx.fill();
+
+  ctx.globalAlpha = 0.45 + pulse * 0.3;
+  ctx.strokeStyle = tint;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(enemy.x, enemy.y, radius * 1.2, 0, TAU);
+  ctx.stroke();
+  ctx.restore();
+};
+
+/**
+ * Draws the elite aura (see data/enemies/elite-affixes.js): one rotating ring
+ * per affix in its color, plus an arc showing the regenerating shield.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} enemy
+ */
+export const drawEliteAura = (ctx, enemy) => {
+  const affixes = enemy?.eliteAffixes;
+  if (!ctx || !affixes?.length) {
+    return;
+  }
+
+  const radius =
+    Number.isFinite(enemy.radius) && enemy.radius > 0 ? enemy.radius : 16;
+  const age = enemy.age ?? 0;
+  const pulse = 0.5 + 0.5 * Math.sin(age * 4);
+
+  ctx.save();
+  ctx.globalCompositeOperation = 'lighter';
+  ctx.lineWidth = 2;
+  affixes.forEach((affix, index) => {
+    const ringRadius = radius * (1.35 + index * 0.2) + pulse * 2;
+    const start = age * (index % 2 === 0 ? 1.5 : -1.5);
+    ctx.globalAlpha = 0.35 + pulse * 0.35;
+    ctx.strokeStyle = affix.color;
+    ctx.setLineDash([6, 5]);
+    ctx.beginPath();
+    ctx.arc(enemy.x, enemy.y, ringRadius, start, start + TAU);
+    ctx.stroke();
+  });
+
+  const shield = enemy.eliteShield;
+  if (shield && shield.max > 0 && enemy.shields > 0) {
+    const ratio = Math.min(1, enemy.shields / shield.max);
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = affixes.find((affix) => affix.shieldFraction)?.color;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(
+      enemy.x,
+      enemy.y,
+      radius * 1.15,
+      -Math.PI / 2,
+      -Math.PI / 2 + TAU * ratio
+    );
+    ctx.stroke();
+  }
+  ctx.restore();
+};
@@ -343,6 +343,72 @@ const defaultPatterns = {
       }
     }
   },
+  beam: (component, context, state) => {
+    const enemy = context.enemy;
+    const config = {
+      damage: component.config.damage ?? enemy.beamDamage ?? 25,
+      cooldown: component.config.cooldown ?? 4,
+      fireRange: component.config.fireRange ?? 640,
+      chargeTime: component.config.chargeTime ?? 1.2,
+      lockTime: component.config.lockTime ?? 0.3,
+      beamWidth: component.config.beamWidth ?? 8,
+      beamDuration: component.config.beamDuration ?? 0.25,
+    };
+
+    state.cooldown = Math.max((state.cooldown ?? 0) - context.deltaTime, 0);
+
+    const playerPos =
+      context.player?.position || context.playerPosition || context.player;
+
+    if (state.charging) {
+      state.chargeTimer = (state.chargeTimer ?? 0) + context.deltaTime;
+      // Track the player until the lock window, then hold the line
+      state.locked = state.chargeTimer >= config.chargeTime - config.lockTime;
+      if (!state.locked && playerPos) {
+        state.aimAngle = Math.atan2(
+          playerPos.y - enemy.y,
+          playerPos.x - enemy.x
+        );
+      }
+      enemy.turretAngle = state.aimAngle;
+
+      if (state.chargeTimer < config.chargeTime) {
+        return;
+      }
+
+      component.fireBeam(context, {
+        angle: state.aimAngle,
+        length: config.fireRange,
+        width: config.beamWidth,
+        duration: config.beamDuration,
+        damage: config.damage,
+      });
+
+      state.charging = false;
+      state.locked = false;
+      state.chargeTimer = 0;
+      state.cooldown = config.cooldown;
+      return;
+    }
+
+    if (!playerPos || state.cooldown > 0) {
+      return;
+    }
+
+    const dx = playerPos.x - enemy.x;
+    const dy = playerPos.y - enemy.y;
+    if (Math.hypot(dx, dy) > config.fireRange) {
+      return;
+    }
+
+    state.charging = true;
+    state.locked = false;
+    state.chargeTimer = 0;
+    state.chargeTime = config.chargeTime;
+    state.beamRange = config.fireRange;
+    state.aimAngle = Math.atan2(dy, dx);
+    enemy.turretAngle = state.aimAngle;
+  },
 };
 
 export class WeaponComponent {
@@ -364,6 +430,9 @@ export class WeaponComponent {
       enemy.weaponState.burstTimer = 0;
       enemy.weaponState.burstRemaining = 0;
       enemy.weaponState.detonated = false;
+      enemy.weaponState.charging = false;
+      enemy.weaponState.locked = false;
+      enemy.weaponState.chargeTimer = 0;
     }
   }
 
@@ -373,6 +442,16 @@ export class WeaponComponent {
       return;
     }
 
+    // EMP and similar effects jam the weapon without resetting its cooldown
+    if (enemy.statusEffects?.isDisabled?.('weapons')) {
+      return;
+    }
+
+    // Behavior states can hold fire (see BehaviorComponent)
+    if (enemy.weaponsHeld) {
+      return;
+    }
+
     const state = ensureWeaponState(enemy);
     const patternName = resolvePattern(this, enemy);
     const handler = this.patterns.get(patternName);
@@ -416,6 +495,7 @@ export class WeaponComponent {
         spread: Math.abs(payload.spread ?? this.config.spread ?? 0),
         lifetime: payload.lifetime ?? this.config.lifetime ?? 2,
         explosionRadius: payload.explosionRadius,
+        statusEffect: payload.statusEffect ?? this.config.statusEffect ?? null,
       },
       pattern: payload.pattern ?? resolvePattern(this, enemy),
       source: {
@@ -425,4 +505,47 @@ export class WeaponComponent {
       },
     });
   }
+
+  /**
+   * Emits a hitscan beam along `payload.angle`. Unlike fire(), nothing is
+   * spawned: PhysicsSystem resolves the hit against the player right away.
+   */
+  fireBeam(context, payload = {}) {
+    const enemy = context?.enemy;
+    if (!enemy) {
+      return;
+    }
+
+    const bus = getEventBus(context);
+    if (!bus?.emit) {
+      return;
+    }
+
+    const angle = payload.angle ?? 0;
+    const length = payload.length ?? this.config.fireRange ?? 640;
+    const origin = { x: enemy.x, y: enemy.y };
+
+    bus.emit('enemy-beam-fired', {
+      enemy,
+      enemyId: enemy.id,
+      enemyType: enemy.type,
+      wave: enemy.wave,
+      origin,
+      end: {
+        x: origin.x + Math.cos(angle) * length,
+        y: origin.y + Math.sin(angle) * length,
+      },
+      angle,
+      length,
+      width: payload.width ?? this.config.beamWidth ?? 8,
+      duration: payload.duration ?? this.config.beamDuration ?? 0.25,
+      damage: payload.damage ?? this.config.damage ?? 25,
+      pattern: 'beam',
+      source: {
+        id: enemy.id,
+        type: enemy.type,
+        wave: enemy.wave,
+      },
+    });
+  }
 }
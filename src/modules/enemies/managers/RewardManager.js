@@ -40,6 +40,8 @@ import {
 import { DRONE_REWARDS } from '../../../data/enemies/drone.js';
 import { HUNTER_REWARDS } from '../../../data/enemies/hunter.js';
 import { MINE_REWARDS } from '../../../data/enemies/mine.js';
+import { SNIPER_REWARDS } from '../../../data/enemies/sniper.js';
+import { CARRIER_REWARDS } from '../../../data/enemies/carrier.js';
 import { BOSS_REWARDS } from '../../../data/enemies/boss.js';
 import { ENEMY_REWARDS } from '../../../data/constants/visual.js';
 import { debugLog } from '../../../core/debugLogging.js';
@@ -217,6 +219,24 @@ export class RewardManager {
       variantMultiplier: () => 1.0, // No variant scaling (yet)
     });
 
+    const sniperRewards = SNIPER_REWARDS;
+    // Sniper rewards: base orb count configured with total XP target
+    configs.set('sniper', {
+      totalXP: sniperRewards?.totalXP ?? 55,
+      baseOrbs: () => sniperRewards?.baseOrbs ?? 3,
+      sizeFactor: () => 1.0,
+      variantMultiplier: () => 1.0,
+    });
+
+    const carrierRewards = CARRIER_REWARDS;
+    // Carrier rewards: priority target, pays out above the other support ships
+    configs.set('carrier', {
+      totalXP: carrierRewards?.totalXP ?? 120,
+      baseOrbs: () => carrierRewards?.baseOrbs ?? 6,
+      sizeFactor: () => 1.0,
+      variantMultiplier: () => 1.0,
+    });
+
     const bossRewards = BOSS_REWARDS;
     // Boss rewards: base orb count configured with total XP target.
     configs.set('boss', {
@@ -280,12 +300,21 @@ export class RewardManager {
         : config.totalXP;
     const fallbackOrbValue = config.orbValue ?? ORB_VALUE ?? 5;
 
+    // Bonuses that apply to every drop; the situational ones in
+    // calculateBonusMultiplier() need a kill context this path lacks.
+    const rewardMultiplier =
+      this.getRunModifierRewardMultiplier() *
+      this.getEliteRewardMultiplier(enemy);
     const xpDistribution = this.buildXPDistribution({
       baseOrbCount,
       extraOrbCount: Math.max(0, orbCount - baseOrbCount),
       totalXP: resolvedTotalXP,
       fallbackOrbValue,
-    });
+    }).map((value) =>
+      rewardMultiplier === 1
+        ? value
+        : Math.max(1, Math.round(value * rewardMultiplier))
+    );
 
     const totalXP = xpDistribution.reduce((sum, value) => sum + value, 0);
 
@@ -523,9 +552,42 @@ export class RewardManager {
       multiplier *= 3.0;
     }
 
+    // Elite affix bonus (see data/enemies/elite-affixes.js)
+    multiplier *= this.getEliteRewardMultiplier(enemy);
+
+    // Run modifier bonus (e.g. Hardened Hulls)
+    multiplier *= this.getRunModifierRewardMultiplier();
+
     return multiplier;
   }
 
+  /**
+   * Reward multiplier of an elite's affixes; 1 for regular enemies.
+   *
+   * @param {BaseEnemy} enemy
+   * @returns {number}
+   */
+  getEliteRewardMultiplier(enemy) {
+    return typeof enemy?.getEliteRewardMultiplier === 'function'
+      ? enemy.getEliteRewardMultiplier()
+      : 1;
+  }
+
+  /**
+   * Reward multiplier of the active run modifiers. Unlike the situational
+   * bonuses above it applies to every drop.
+   *
+   * @returns {number}
+   */
+  getRunModifierRewardMultiplier() {
+    const enemySystem = this.enemySystem;
+    const effects =
+      enemySystem && typeof enemySystem.getRunModifierEffects === 'function'
+        ? enemySystem.getRunModifierEffects()
+        : null;
+    return effects?.rewards ?? 1;
+  }
+
   /**
    * Creates special reward for achieving milestones.
    *
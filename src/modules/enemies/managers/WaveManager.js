@@ -9,6 +9,7 @@
  * - Dynamic difficulty scaling
  * - Multiple enemy type support
  * - Procedural wave generation
+ * - Authored wave scripts (data/waves) with timed spawns
  * - Wave state tracking
  *
  * @example
@@ -38,15 +39,29 @@ import {
   PRESERVE_LEGACY_SIZE_DISTRIBUTION,
   STRICT_LEGACY_SPAWN_SEQUENCE,
   SUPPORT_ENEMY_PROGRESSION,
+  SUPPORT_GROUP_FORMATIONS,
   USE_WAVE_MANAGER,
   WAVE_BOSS_INTERVAL,
   WAVE_BREAK_TIME,
   WAVE_DURATION,
   WAVE_MANAGER_EMIT_LEGACY_WAVE_COMPLETED,
+  WAVE_SCRIPT_ID,
   WAVE_SPAWN_DELAY,
   WAVEMANAGER_HANDLES_ASTEROID_SPAWN,
 } from '../../../data/constants/gameplay.js';
 import { ENEMY_TYPES, BOSS_CONFIG } from '../../../data/constants/visual.js';
+import {
+  BOSS_ARCHETYPE_ROTATION,
+  DEFAULT_BOSS_ARCHETYPE,
+  getBossArchetype,
+  getBossArchetypeMinionTypes,
+} from '../../../data/enemies/boss.js';
+import { HAZARD_TYPES, HAZARD_WAVE_RULES } from '../../../data/hazards.js';
+import { getWaveScript } from '../../../data/waves/index.js';
+import {
+  WAVE_SCRIPT_EDGES,
+  validateWaveScript,
+} from '../../../data/waves/schema.js';
 
 export class WaveManager {
   /**
@@ -56,6 +71,8 @@ export class WaveManager {
    * @param {Object} dependencies.enemySystem - Reference to EnemySystem
    * @param {Object} dependencies.eventBus - Event bus for wave events
    * @param {Object} dependencies.random - Random service override
+   * @param {Object} [dependencies.waveScript] - Wave script to play instead of
+   *   the one selected by WAVE_SCRIPT_ID
    */
   constructor(dependencies = {}) {
     this.dependencies = normalizeDependencies(dependencies);
@@ -93,11 +110,12 @@ export class WaveManager {
       spawn: 'wave-manager:spawn',
       variants: 'wave-manager:variants',
       fragments: 'wave-manager:fragments',
+      hazards: 'wave-manager:hazards',
     };
     this.randomScopeSeeds = {};
     this.randomScopes = this.createRandomScopes(this.random);
     this.captureRandomScopeSeeds();
-    this.randomSequences = { spawn: 0, variants: 0, fragments: 0 };
+    this.randomSequences = { spawn: 0, variants: 0, fragments: 0, hazards: 0 };
     this._fallbackRandom = null;
 
     const enemyTypes = ENEMY_TYPES || {};
@@ -106,12 +124,16 @@ export class WaveManager {
       drone: enemyTypes.drone?.key || 'drone',
       mine: enemyTypes.mine?.key || 'mine',
       hunter: enemyTypes.hunter?.key || 'hunter',
+      sniper: enemyTypes.sniper?.key || 'sniper',
+      carrier: enemyTypes.carrier?.key || 'carrier',
     };
     this.bossEnemyKey = (BOSS_CONFIG && BOSS_CONFIG.key) || 'boss';
     this.enemyTypeDefaults = {
       drone: enemyTypes.drone || {},
       mine: enemyTypes.mine || {},
       hunter: enemyTypes.hunter || {},
+      sniper: enemyTypes.sniper || {},
+      carrier: enemyTypes.carrier || {},
     };
 
     // Wave state
@@ -145,6 +167,20 @@ export class WaveManager {
     // Wave configurations
     this.waveConfigs = this.loadWaveConfigurations();
 
+    // Authored wave script; procedural waves resume after its last wave
+    this.waveScript = null;
+    this.scheduledSpawns = [];
+    this.waveElapsed = 0;
+
+    // Support groups moving as a unit (flock, v-formation, encircle)
+    this.formationGroups = new Map();
+    this.formationGroupSequence = 0;
+    const initialScript =
+      this.dependencies.waveScript ?? getWaveScript(WAVE_SCRIPT_ID);
+    if (initialScript) {
+      this.loadWaveScript(initialScript);
+    }
+
     this.connectEventListeners();
 
     debugLog('[WaveManager] Initialized');
@@ -222,7 +258,7 @@ export class WaveManager {
 
       if (i >= 8) {
         const droneCount = this.computeSupportCount('drone', i, baseCount);
-        const droneGroup = this.createSupportGroup('drone', droneCount);
+        const droneGroup = this.createSupportGroup('drone', droneCount, i);
         if (droneGroup) {
           baseGroups.push(droneGroup);
         }
@@ -245,6 +281,96 @@ export class WaveManager {
     return configs;
   }
 
+  /**
+   * Loads an authored wave script. Wave N plays `script.waves[N - 1]` until
+   * the script runs out, then waves fall back to procedural generation.
+   *
+   * @param {Object} script - Wave script (see data/waves/schema.js)
+   * @returns {boolean} True when the script was valid and loaded
+   */
+  loadWaveScript(script) {
+    const errors = validateWaveScript(script);
+    if (errors.length > 0) {
+      console.warn(
+        `[WaveManager] Rejected wave script "${script?.id ?? 'unknown'}":`,
+        errors
+      );
+      return false;
+    }
+
+    this.waveScript = script;
+
+    const hasAsteroidGroups = script.waves.some((wave) =>
+      (wave.enemies || []).some((group) => group.type === 'asteroid')
+    );
+    if (hasAsteroidGroups && !this.shouldWaveManagerSpawnAsteroids()) {
+      debugLog(
+        `[WaveManager] Wave script "${script.id}" asteroid groups deferred to legacy asteroid spawning`
+      );
+    }
+
+    debugLog(
+      `[WaveManager] Loaded wave script "${script.id}" (${script.waves.length} waves)`
+    );
+    return true;
+  }
+
+  clearWaveScript() {
+    this.waveScript = null;
+  }
+
+  /**
+   * @param {number} waveNumber
+   * @returns {Object|null} Scripted wave entry, or null past the script
+   */
+  getScriptedWave(waveNumber) {
+    const waves = this.waveScript?.waves;
+    if (!Array.isArray(waves) || waveNumber < 1 || waveNumber > waves.length) {
+      return null;
+    }
+
+    return waves[waveNumber - 1] || null;
+  }
+
+  /**
+   * Builds a wave config from a scripted wave entry. Boss waves start from
+   * generateBossWave() so scripts only override what they author.
+   *
+   * @param {number} waveNumber
+   * @param {Object} scriptedWave - Entry of `waveScript.waves`
+   * @returns {Object} Wave configuration
+   */
+  buildScriptedWave(waveNumber, scriptedWave) {
+    const enemies = Array.isArray(scriptedWave.enemies)
+      ? scriptedWave.enemies.map((group) => ({ ...group }))
+      : null;
+    let config;
+
+    if (scriptedWave.boss) {
+      const bossOverrides =
+        typeof scriptedWave.boss === 'object' ? scriptedWave.boss : {};
+      config = this.generateBossWave(waveNumber, bossOverrides.archetype);
+      config.boss = { ...config.boss, ...bossOverrides };
+      if (enemies) {
+        config.enemies = enemies;
+        config.supportGroups = enemies.map((group) => ({ ...group }));
+        config.metadata.supportSummary = enemies.map((group) => ({
+          type: group.type,
+          count: group.count,
+        }));
+      }
+    } else {
+      config = { isBossWave: false, enemies: enemies || [] };
+    }
+
+    config.metadata = {
+      ...(config.metadata || {}),
+      scriptId: this.waveScript?.id ?? null,
+    };
+
+    return config;
+  }
+
   connectEventListeners() {
     const eventBus = this.eventBus;
     if (!eventBus || typeof eventBus.on !== 'function') {
@@ -309,18 +435,52 @@ export class WaveManager {
     return cloned;
   }
 
+  /**
+   * Boss cadence: every WAVE_BOSS_INTERVAL waves, or the shorter interval of
+   * an active run modifier (e.g. Boss Rush).
+   *
+   * @param {number} waveNumber
+   * @returns {boolean}
+   */
   isBossWave(waveNumber) {
     if (!Number.isFinite(waveNumber) || waveNumber <= 0) {
       return false;
     }
 
-    const interval = Number(WAVE_BOSS_INTERVAL) || 0;
-    if (interval <= 0) {
-      return false;
-    }
+    const interval = this.getBossInterval();
+    return interval > 0 && waveNumber % interval === 0;
+  }
 
-    const normalizedInterval = Math.max(1, Math.floor(interval));
-    return normalizedInterval > 0 && waveNumber % normalizedInterval === 0;
+  /**
+   * @returns {number} Waves between bosses, or 0 when bosses are disabled
+   */
+  getBossInterval() {
+    const runModifierEffects =
+      typeof this.enemySystem?.getRunModifierEffects === 'function'
+        ? this.enemySystem.getRunModifierEffects()
+        : null;
+    const interval =
+      runModifierEffects?.waves?.bossInterval ??
+      (Number(WAVE_BOSS_INTERVAL) || 0);
+    return interval > 0 ? Math.max(1, Math.floor(interval)) : 0;
+  }
+
+  /**
+   * Boss archetype for a wave: bosses cycle through BOSS_ARCHETYPE_ROTATION
+   * in order, so the first boss of a run is always the first entry.
+   *
+   * @param {number} waveNumber
+   * @returns {string} Archetype key
+   */
+  selectBossArchetype(waveNumber) {
+    const interval = this.getBossInterval();
+    const encounter =
+      interval > 0 ? Math.max(0, Math.floor(waveNumber / interval) - 1) : 0;
+
+    return (
+      BOSS_ARCHETYPE_ROTATION[encounter % BOSS_ARCHETYPE_ROTATION.length] ||
+      DEFAULT_BOSS_ARCHETYPE
+    );
   }
 
   /**
@@ -410,7 +570,11 @@ export class WaveManager {
         baseCount,
         support.weight
       );
-      const supportGroup = this.createSupportGroup(support.key, supportCount);
+      const supportGroup = this.createSupportGroup(
+        support.key,
+        supportCount,
+        waveNumber
+      );
       if (supportGroup) {
         enemies.push(supportGroup);
       }
@@ -672,28 +836,52 @@ export class WaveManager {
     return result;
   }
 
-  resolveBossDefaults() {
-    const base = BOSS_CONFIG || {};
+  /**
+   * Boss stats for a wave entry: BOSS_CONFIG overlaid with the archetype.
+   *
+   * @param {string} [archetypeKey]
+   * @returns {Object}
+   */
+  resolveBossDefaults(archetypeKey = DEFAULT_BOSS_ARCHETYPE) {
+    const archetype =
+      getBossArchetype(archetypeKey) ||
+      getBossArchetype(DEFAULT_BOSS_ARCHETYPE);
+    const { phases, ...archetypeStats } = archetype || {};
+    const base = { ...(BOSS_CONFIG || {}), ...archetypeStats };
+    const preferredMinions = archetype
+      ? getBossArchetypeMinionTypes(archetype)
+      : base.minionTypes;
     const enemySystem = this.enemySystem;
 
     const minionTypes =
       enemySystem &&
       typeof enemySystem.getAvailableBossMinionTypes === 'function'
-        ? enemySystem.getAvailableBossMinionTypes(base.minionTypes)
-        : this.filterAvailableMinionTypes(base.minionTypes);
+        ? enemySystem.getAvailableBossMinionTypes(preferredMinions)
+        : this.filterAvailableMinionTypes(preferredMinions);
 
-    return { ...base, minionTypes };
+    return { ...base, archetype: archetype?.key ?? null, minionTypes };
   }
 
-  generateBossWave(waveNumber) {
-    const bossDefaults = this.resolveBossDefaults();
+  /**
+   * @param {number} waveNumber
+   * @param {string} [archetypeKey] - Defaults to the rotation for the wave
+   * @returns {Object} Boss wave configuration
+   */
+  generateBossWave(waveNumber, archetypeKey) {
+    const bossDefaults = this.resolveBossDefaults(
+      archetypeKey || this.selectBossArchetype(waveNumber)
+    );
     const baseCount = this.computeBaseEnemyCount(waveNumber);
 
     const supportGroups = [];
 
     const droneCount = this.computeSupportCount('drone', waveNumber, baseCount);
     if (droneCount > 0) {
-      const droneGroup = this.createSupportGroup('drone', droneCount);
+      const droneGroup = this.createSupportGroup(
+        'drone',
+        droneCount,
+        waveNumber
+      );
       if (droneGroup) {
         supportGroups.push(droneGroup);
       }
@@ -728,6 +916,7 @@ export class WaveManager {
     const bossEntry = {
       type: this.bossEnemyKey || bossDefaults.key || 'boss',
       key: bossDefaults.key || this.bossEnemyKey || 'boss',
+      archetype: bossDefaults.archetype,
       count: 1,
       displayName: bossDefaults.displayName || 'Boss',
       radius: bossDefaults.radius,
@@ -739,6 +928,7 @@ export class WaveManager {
       entryPadding,
       entryDriftSpeed,
       rewards: bossDefaults.rewards ? { ...bossDefaults.rewards } : undefined,
+      minionTypes: [...bossDefaults.minionTypes],
       randomScope: 'boss-spawn',
       randomParentScope: 'spawn',
       metadata: {
@@ -1131,6 +1321,8 @@ export class WaveManager {
       drone: { startWave: 8, baseWeight: 1, weightScaling: 0.08 },
       mine: { startWave: 10, baseWeight: 1, weightScaling: 0.07 },
       hunter: { startWave: 13, baseWeight: 1, weightScaling: 0.1 },
+      sniper: { startWave: 15, baseWeight: 1, weightScaling: 0.08 },
+      carrier: { startWave: 11, baseWeight: 1, weightScaling: 0.05 },
     };
 
     const configuredRules = SUPPORT_ENEMY_PROGRESSION || {};
@@ -1214,6 +1406,18 @@ export class WaveManager {
           1 + Math.floor((waveNumber - 13) / 2),
           Math.max(1, Math.round(baseCount * 0.18))
         );
+      case 'sniper':
+        if (waveNumber < 15) return 0;
+        if (waveNumber <= 17) return 1;
+        return Math.max(
+          1 + Math.floor((waveNumber - 15) / 3),
+          Math.max(1, Math.round(baseCount * 0.1))
+        );
+      case 'carrier':
+        // Priority target: one per wave, a second escort only late
+        if (waveNumber < 11) return 0;
+        if (waveNumber <= 16) return 1;
+        return 1 + Math.floor((waveNumber - 11) / 6);
       default:
         return 0;
     }
@@ -1236,7 +1440,47 @@ export class WaveManager {
     return Math.max(baseline, weighted);
   }
 
-  createSupportGroup(kind, count) {
+  /**
+   * Builds a support group config and, when SUPPORT_GROUP_FORMATIONS allows
+   * it for this kind, size and wave, tags it with a `formation` so the group
+   * spawns as a unit.
+   *
+   * @param {string} kind - Support enemy key
+   * @param {number} count - Enemies in the group
+   * @param {number} [waveNumber] - Wave the group belongs to
+   * @returns {Object|null} Group config
+   */
+  createSupportGroup(kind, count, waveNumber = this.currentWave) {
+    const group = this.buildSupportGroup(kind, count);
+    const formation = group
+      ? this.resolveGroupFormation(kind, group.count, waveNumber)
+      : null;
+    if (formation) {
+      group.formation = formation;
+    }
+    return group;
+  }
+
+  /**
+   * @param {string} kind - Support enemy key
+   * @param {number} count - Enemies in the group
+   * @param {number} waveNumber
+   * @returns {string|null} Formation for the group, rotating by wave
+   */
+  resolveGroupFormation(kind, count, waveNumber) {
+    const rule = SUPPORT_GROUP_FORMATIONS?.[kind];
+    const formations = rule?.formations || [];
+    if (
+      !formations.length ||
+      count < (rule.minCount ?? 2) ||
+      !(waveNumber >= (rule.startWave ?? 1))
+    ) {
+      return null;
+    }
+    return formations[waveNumber % formations.length];
+  }
+
+  buildSupportGroup(kind, count) {
     if (!count || count <= 0) {
       return null;
     }
@@ -1290,6 +1534,31 @@ export class WaveManager {
           acceleration: hunterDefaults.acceleration,
         };
       }
+      case 'sniper': {
+        const sniperDefaults = defaults.sniper || {};
+        return {
+          type: this.enemyTypeKeys?.sniper || 'sniper',
+          count,
+          preferredDistance: sniperDefaults.preferredDistance,
+          beamDamage: sniperDefaults.beamDamage,
+          fireRange: sniperDefaults.fireRange,
+          speed: sniperDefaults.speed,
+          acceleration: sniperDefaults.acceleration,
+        };
+      }
+      case 'carrier': {
+        const carrierDefaults = defaults.carrier || {};
+        return {
+          type: this.enemyTypeKeys?.carrier || 'carrier',
+          count,
+          preferredDistance: carrierDefaults.preferredDistance,
+          launchInterval: carrierDefaults.launchInterval,
+          dronesPerLaunch: carrierDefaults.dronesPerLaunch,
+          maxActiveDrones: carrierDefaults.maxActiveDrones,
+          speed: carrierDefaults.speed,
+          acceleration: carrierDefaults.acceleration,
+        };
+      }
       default:
         return null;
     }
@@ -1317,16 +1586,27 @@ export class WaveManager {
     this.asteroidsKilledThisWave = 0;
     this.totalAsteroidEnemiesThisWave = 0;
     this.spawnQueue = [];
+    this.scheduledSpawns = [];
+    this.waveElapsed = 0;
     this._legacyRegisteredEnemies = new WeakSet();
     this._trackedDynamicMinions = new WeakSet();
+    this.formationGroups.clear();
 
     const waveNumber = this.currentWave;
     const waveManagerSpawnsAsteroids = this.shouldWaveManagerSpawnAsteroids();
     const legacyCompatibilityEnabled =
       this.isLegacyAsteroidCompatibilityEnabled();
+    const scriptedWave = this.getScriptedWave(waveNumber);
     let config;
 
-    if (this.isBossWave(waveNumber)) {
+    if (scriptedWave) {
+      config = this.buildScriptedWave(waveNumber, scriptedWave);
+      GameDebugLogger.log('WAVE', 'Scripted wave loaded', {
+        wave: waveNumber,
+        scriptId: this.waveScript.id,
+        isBossWave: Boolean(config.isBossWave),
+      });
+    } else if (this.isBossWave(waveNumber)) {
       GameDebugLogger.log('WAVE', 'Boss wave detected', { wave: waveNumber });
       config = this.generateBossWave(waveNumber);
       GameDebugLogger.log('WAVE', 'Boss wave config generated', {
@@ -1438,6 +1718,10 @@ export class WaveManager {
       this.spawnWave(effectiveConfig);
     }
 
+    this.spawnWaveHazards(
+      this.resolveWaveHazards(waveNumber, effectiveConfig, scriptedWave)
+    );
+
     debugLog(
       `[WaveManager] Started wave ${waveNumber} (${this.totalEnemiesThisWave} enemies${
         effectiveConfig.isBossWave ? ', boss wave' : ''
@@ -1538,8 +1822,12 @@ export class WaveManager {
       this.resolveWaveSpawnDelayMultiplier(waveConfig);
     this.spawnDelayMultiplier = spawnDelayMultiplier;
     const effectiveSpawnDelay = this.spawnDelay * spawnDelayMultiplier;
+    const immediateGroups = this.scheduleTimedGroups(
+      enemyGroups,
+      spawnDelayMultiplier
+    );
 
-    for (const enemyGroup of enemyGroups) {
+    for (const enemyGroup of immediateGroups) {
       if (!enemyGroup || typeof enemyGroup !== 'object') {
         continue;
       }
@@ -1552,7 +1840,10 @@ export class WaveManager {
       const isDrone = typeKey === 'drone';
       const isMine = typeKey === 'mine';
       const isHunter = typeKey === 'hunter';
-      const isTacticalEnemy = isDrone || isMine || isHunter;
+      const isSniper = typeKey === 'sniper';
+      const isCarrier = typeKey === 'carrier';
+      const isTacticalEnemy =
+        isDrone || isMine || isHunter || isSniper || isCarrier;
 
       if (isAsteroid && !waveManagerSpawnsAsteroids) {
         continue;
@@ -1563,6 +1854,11 @@ export class WaveManager {
         continue;
       }
 
+      const formationGroupId = enemyGroup.formation
+        ? enemyGroup.formationGroupId ??
+          this.createFormationGroup(enemyGroup.formation, typeKey)
+        : null;
+
       for (let i = 0; i < groupCount; i++) {
         const spawnContext =
           strictLegacySequence && isAsteroid
@@ -1572,7 +1868,14 @@ export class WaveManager {
         const useLegacyPositioning = PRESERVE_LEGACY_POSITIONING ?? true;
 
         let position;
-        if (useLegacyPositioning && isAsteroid) {
+        if (enemyGroup.spawn) {
+          position = this.resolveScriptedSpawnPosition(
+            enemyGroup.spawn,
+            worldBounds,
+            spawnContext.random,
+            { inbounds: !isAsteroid }
+          );
+        } else if (useLegacyPositioning && isAsteroid) {
           // Legacy: spawn on one of 4 edges (matches baseline behavior)
           position = this.calculateEdgeSpawnPosition(
             worldBounds,
@@ -1669,6 +1972,12 @@ export class WaveManager {
           count: _omittedCount,
           spawnIndexBase: groupSpawnIndexBase,
           metadata: groupMetadata,
+          delay: _omittedDelay,
+          interval: _omittedInterval,
+          spawn: _omittedSpawn,
+          variants: groupVariants,
+          formation: _omittedFormation,
+          formationGroupId: _omittedFormationGroupId,
           ...groupConfig
         } = enemyGroup;
 
@@ -1693,9 +2002,11 @@ export class WaveManager {
           ...groupConfig,
           type: groupConfig.type || enemyGroup.type,
           size: resolvedSize,
-          variant: Object.prototype.hasOwnProperty.call(groupConfig, 'variant')
-            ? groupConfig.variant
-            : enemyGroup.variant,
+          variant: groupVariants
+            ? this.pickScriptedVariant(groupVariants)
+            : Object.prototype.hasOwnProperty.call(groupConfig, 'variant')
+              ? groupConfig.variant
+              : enemyGroup.variant,
           x: position.x,
           y: position.y,
           wave: this.currentWave,
@@ -1790,6 +2101,10 @@ export class WaveManager {
           enemy[Symbol.for('ASTEROIDS_ROGUEFIELD:factoryRegistered')] = false;
         }
 
+        if (enemy && formationGroupId) {
+          this.assignFormationMember(formationGroupId, enemy);
+        }
+
         if (enemy) {
           this.enemiesSpawnedThisWave++;
           if (compatibilityMode && isAsteroid) {
@@ -1811,6 +2126,317 @@ export class WaveManager {
     }
   }
 
+  /**
+   * Moves groups with a scripted `delay`/`interval` into scheduledSpawns, one
+   * entry per enemy, and returns the groups that spawn right away.
+   *
+   * @param {Object[]} groups - Wave enemy groups
+   * @param {number} spawnDelayMultiplier - Pacing shared by the wave
+   * @returns {Object[]} Groups to spawn immediately
+   */
+  scheduleTimedGroups(groups, spawnDelayMultiplier) {
+    const immediate = [];
+
+    groups.forEach((group) => {
+      const delay = Math.max(0, Number(group?.delay) || 0);
+      const interval = Math.max(0, Number(group?.interval) || 0);
+      if (delay <= 0 && interval <= 0) {
+        immediate.push(group);
+        return;
+      }
+
+      const {
+        delay: _omittedDelay,
+        interval: _omittedInterval,
+        ...untimedGroup
+      } = group;
+      const count = Math.max(0, Math.floor(Number(group.count) || 0));
+      const spawnIndexBase = Number.isFinite(group.spawnIndexBase)
+        ? group.spawnIndexBase
+        : 0;
+      // Staggered members still join the same formation
+      if (group.formation && !untimedGroup.formationGroupId) {
+        untimedGroup.formationGroupId = this.createFormationGroup(
+          group.formation,
+          group.type
+        );
+      }
+
+      for (let i = 0; i < count; i++) {
+        const single = {
+          ...untimedGroup,
+          count: 1,
+          spawnIndexBase: spawnIndexBase + i,
+        };
+        const offset = delay + interval * i;
+
+        if (offset <= 0) {
+          immediate.push(single);
+        } else {
+          this.scheduledSpawns.push({
+            time: this.waveElapsed + offset,
+            group: single,
+            spawnDelayMultiplier,
+          });
+        }
+      }
+    });
+
+    this.scheduledSpawns.sort((a, b) => a.time - b.time);
+    return immediate;
+  }
+
+  /**
+   * Advances the wave clock and spawns scheduled entries that are due.
+   *
+   * @param {number} deltaTime - Time elapsed
+   */
+  processScheduledSpawns(deltaTime) {
+    this.waveElapsed += deltaTime;
+
+    while (
+      this.scheduledSpawns.length > 0 &&
+      this.scheduledSpawns[0].time <= this.waveElapsed
+    ) {
+      const entry = this.scheduledSpawns.shift();
+      this.spawnWave({
+        spawnDelayMultiplier: entry.spawnDelayMultiplier,
+        enemies: [entry.group],
+      });
+    }
+  }
+
+  /**
+   * Opens a formation group for a support group about to spawn.
+   *
+   * @param {string} formation - One of ENEMY_FORMATION_TYPES
+   * @param {string} type - Enemy type of the group
+   * @returns {string} Group id stored on members as `formationGroupId`
+   */
+  createFormationGroup(formation, type) {
+    this.formationGroupSequence += 1;
+    const id = `${formation}:${this.currentWave}:${this.formationGroupSequence}`;
+    this.formationGroups.set(id, {
+      id,
+      formation,
+      type,
+      members: [],
+      state: {},
+    });
+    return id;
+  }
+
+  /**
+   * Adds a spawned enemy to a formation group and switches it to the
+   * group's movement strategy.
+   *
+   * @param {string} groupId
+   * @param {Object} enemy
+   * @returns {boolean} True when the enemy joined the group
+   */
+  assignFormationMember(groupId, enemy) {
+    const group = this.formationGroups.get(groupId);
+    if (!group || !enemy) {
+      return false;
+    }
+
+    group.members.push(enemy);
+    enemy.formationGroupId = groupId;
+    enemy.movementStrategy = group.formation;
+    return true;
+  }
+
+  /**
+   * Formation group with its surviving members, in join order; the first one
+   * leads. Groups are dropped once every member is gone.
+   *
+   * @param {string} groupId
+   * @returns {{id: string, formation: string, type: string, members: Object[], state: Object}|null}
+   */
+  getFormationGroup(groupId) {
+    const group = this.formationGroups.get(groupId);
+    if (!group) {
+      return null;
+    }
+
+    group.members = group.members.filter(
+      (member) =>
+        member.alive && !member.destroyed && member.formationGroupId === groupId
+    );
+    if (group.members.length === 0) {
+      this.formationGroups.delete(groupId);
+      return null;
+    }
+    return group;
+  }
+
+  /**
+   * @param {{edge?: string, x?: number, y?: number}} spawn - Scripted spawn
+   * @param {Object} worldBounds - World dimensions {width, height}
+   * @param {Object} random - Random service instance
+   * @param {Object} [options]
+   * @param {boolean} [options.inbounds] - Pull edge spawns just inside the
+   *   screen; only asteroids drift in from off-screen on their own
+   * @returns {Object} Position {x, y}
+   */
+  resolveScriptedSpawnPosition(
+    spawn,
+    worldBounds,
+    random,
+    { inbounds = false } = {}
+  ) {
+    const width = worldBounds?.width || GAME_WIDTH || 800;
+    const height = worldBounds?.height || GAME_HEIGHT || 600;
+
+    if (!spawn.edge) {
+      return { x: spawn.x * width, y: spawn.y * height };
+    }
+
+    const position = this.calculateEdgeSpawnPosition(worldBounds, random, {
+      side: WAVE_SCRIPT_EDGES.indexOf(spawn.edge),
+    });
+    if (!inbounds) {
+      return position;
+    }
+
+    const inset = Math.min(40, width / 4, height / 4);
+    return {
+      x: clamp(position.x, inset, width - inset),
+      y: clamp(position.y, inset, height - inset),
+    };
+  }
+
+  /**
+   * @param {Object<string, number>} variants - Weighted asteroid variant mix
+   * @returns {string} Rolled variant
+   */
+  // === HAZARDS AMBIENTAIS ===
+  /**
+   * Picks the environmental hazards of a wave (see data/hazards.js). Scripted
+   * waves that list `hazards` get exactly those; other waves roll against
+   * HAZARD_WAVE_RULES on their own random scope, so hazards never shift the
+   * enemy spawn sequence.
+   *
+   * @param {number} waveNumber
+   * @param {Object} [waveConfig]
+   * @param {Object|null} [scriptedWave]
+   * @returns {Array<Object>} Entries with `type` and optional `x`/`y` as
+   *   fractions of the play field, `axis` and `direction` for flares
+   */
+  resolveWaveHazards(waveNumber, waveConfig = {}, scriptedWave = null) {
+    if (Array.isArray(scriptedWave?.hazards)) {
+      return scriptedWave.hazards.map((entry) => ({ ...entry }));
+    }
+
+    const rules = HAZARD_WAVE_RULES;
+    if (
+      waveNumber < rules.startWave ||
+      (rules.skipBossWaves && waveConfig?.isBossWave)
+    ) {
+      return [];
+    }
+
+    const available = Object.values(HAZARD_TYPES).filter(
+      (definition) => waveNumber >= definition.startWave
+    );
+    if (!available.length) {
+      return [];
+    }
+
+    const random = this.getRandomScope('hazards');
+    const chance = Math.min(
+      rules.maxChance,
+      rules.baseChance + (waveNumber - rules.startWave) * rules.chancePerWave
+    );
+    const rolls = waveNumber >= rules.extraHazardWave ? rules.maxPerWave : 1;
+    const hazards = [];
+
+    for (let roll = 0; roll < rolls; roll += 1) {
+      if (random.float() >= chance) {
+        continue;
+      }
+      hazards.push({
+        type: random.weightedPick(
+          available.map((definition) => [definition.id, definition.weight])
+        ),
+        x: random.float(),
+        y: random.float(),
+        axis: random.chance(0.5) ? 'x' : 'y',
+        direction: random.chance(0.5) ? 1 : -1,
+      });
+    }
+
+    return hazards;
+  }
+
+  /**
+   * Hands hazard entries to PhysicsSystem, which owns and simulates them.
+   * Round hazards that would land on the player are mirrored across the
+   * field center.
+   *
+   * @param {Array<Object>} hazards - From resolveWaveHazards()
+   * @returns {Array<Object>} The hazards PhysicsSystem created
+   */
+  spawnWaveHazards(hazards = []) {
+    if (!hazards.length) {
+      return [];
+    }
+
+    const physics =
+      this.enemySystem?.getCachedPhysics?.() ??
+      resolveService('physics', this.dependencies);
+    if (typeof physics?.spawnHazard !== 'function') {
+      return [];
+    }
+
+    const { edgeMargin, minPlayerDistance } = HAZARD_WAVE_RULES;
+    const width = GAME_WIDTH || 800;
+    const height = GAME_HEIGHT || 600;
+    const playerPosition = this.enemySystem?.getCachedPlayer?.()?.position;
+
+    return hazards
+      .map((entry) => {
+        let x =
+          edgeMargin + clamp(entry.x ?? 0.5, 0, 1) * (width - 2 * edgeMargin);
+        let y =
+          edgeMargin + clamp(entry.y ?? 0.5, 0, 1) * (height - 2 * edgeMargin);
+        if (
+          playerPosition &&
+          Math.hypot(x - playerPosition.x, y - playerPosition.y) <
+            minPlayerDistance
+        ) {
+          x = width - x;
+          y = height - y;
+        }
+
+        return physics.spawnHazard(entry.type, {
+          x,
+          y,
+          axis: entry.axis,
+          direction: entry.direction,
+          wave: this.currentWave,
+        });
+      })
+      .filter(Boolean);
+  }
+
+  pickScriptedVariant(variants) {
+    const variantRandom = this.resolveScopedRandom(
+      this.randomScopes?.variants,
+      'variants',
+      'scripted-variant'
+    );
+
+    if (typeof variantRandom?.weightedPick !== 'function') {
+      return (
+        Object.keys(variants).find((variant) => variants[variant] > 0) ||
+        'common'
+      );
+    }
+
+    return variantRandom.weightedPick(variants) || 'common';
+  }
+
   queueBossWaveSpawns(waveConfig = {}) {
     const queue = [];
 
@@ -2508,11 +3134,14 @@ export class WaveManager {
    *
    * @param {Object} worldBounds - World dimensions {width, height}
    * @param {Object} random - Random service instance
+   * @param {Object} [options]
+   * @param {number} [options.side] - Fixed side (0=top ... 3=left) instead of a random one
    * @returns {Object} Position {x, y}
    */
   calculateEdgeSpawnPosition(
     worldBounds,
-    random = this.getRandomScope('spawn')
+    random = this.getRandomScope('spawn'),
+    { side: fixedSide } = {}
   ) {
     const width = worldBounds?.width || GAME_WIDTH || 800;
     const height = worldBounds?.height || GAME_HEIGHT || 600;
@@ -2558,9 +3187,11 @@ export class WaveManager {
 
     // Select side: 0=top, 1=right, 2=bottom, 3=left
     const side =
-      typeof spawnRandom.int === 'function'
-        ? spawnRandom.int(0, 3)
-        : Math.min(3, Math.floor(getRange(0, 4)));
+      Number.isInteger(fixedSide) && fixedSide >= 0 && fixedSide <= 3
+        ? fixedSide
+        : typeof spawnRandom.int === 'function'
+          ? spawnRandom.int(0, 3)
+          : Math.min(3, Math.floor(getRange(0, 4)));
 
     let x;
     let y;
@@ -2685,7 +3316,12 @@ export class WaveManager {
     activeEnemiesCleared =
       this.getRemainingActiveEnemyCount(destroyedEnemy) === 0;
 
-    if (killsCleared && activeEnemiesCleared) {
+    // Scripted spawns still pending keep the wave open
+    if (
+      killsCleared &&
+      activeEnemiesCleared &&
+      this.scheduledSpawns.length === 0
+    ) {
       this.completeWave();
     }
   }
@@ -2796,6 +3432,7 @@ export class WaveManager {
 
     this._legacyRegisteredEnemies = new WeakSet();
     this._trackedDynamicMinions = new WeakSet();
+    this.scheduledSpawns = [];
 
     // Emit wave complete event
     if (this.eventBus) {
@@ -2826,6 +3463,10 @@ export class WaveManager {
    * @param {number} deltaTime - Time elapsed
    */
   update(deltaTime) {
+    if (this.waveInProgress && Number.isFinite(deltaTime) && deltaTime > 0) {
+      this.processScheduledSpawns(deltaTime);
+    }
+
     // Handle wave countdown
     if (!this.waveInProgress && this.waveCountdown > 0) {
       this.waveCountdown -= deltaTime;
@@ -2855,6 +3496,10 @@ export class WaveManager {
     this.asteroidsSpawnedThisWave = 0;
     this.asteroidsKilledThisWave = 0;
     this.spawnQueue = [];
+    this.scheduledSpawns = [];
+    this.waveElapsed = 0;
+    this.formationGroups.clear();
+    this.formationGroupSequence = 0;
     this.spawnTimer = 0;
     this.waveCountdown = 0;
     this.spawnDelayMultiplier = 1;
@@ -2867,6 +3512,7 @@ export class WaveManager {
       this.randomSequences.spawn = 0;
       this.randomSequences.variants = 0;
       this.randomSequences.fragments = 0;
+      this.randomSequences.hazards = 0;
     }
 
     this.connectEventListeners();
@@ -2946,7 +3592,83 @@ export class WaveManager {
       legacyFallbackActive: Boolean(
         this.legacyFallbackActive ?? !waveManagerSpawnsAsteroids
       ),
+      scheduledSpawns: this.scheduledSpawns.map((entry) => ({
+        delay: Math.max(0, entry.time - this.waveElapsed),
+        group: { ...entry.group },
+        spawnDelayMultiplier: entry.spawnDelayMultiplier,
+      })),
+    };
+  }
+
+  /**
+   * Restores counters captured by getState(), e.g. when resuming a saved run.
+   * Active enemies must already be restored by EnemySystem; this overwrites
+   * any registrations they triggered so the wave keeps its saved accounting.
+   *
+   * @param {Object} state - Payload produced by getState()
+   * @returns {boolean} True when the state was applied
+   */
+  restoreState(state) {
+    if (!state || typeof state !== 'object') {
+      return false;
+    }
+
+    const sanitizeCount = (value) =>
+      Number.isFinite(value) && value > 0 ? value : 0;
+
+    const totals = state.totals || {};
+    const spawned = state.counts?.spawned || {};
+    const killed = state.counts?.killed || {};
+
+    this.currentWave = sanitizeCount(state.currentWave);
+    this.waveInProgress = Boolean(state.inProgress);
+    this.wavePaused = Boolean(state.paused);
+    this.waveStartTime = this.waveInProgress ? Date.now() : 0;
+    this.waveEndTime = 0;
+    this.enemiesSpawnedThisWave = sanitizeCount(spawned.all);
+    this.enemiesKilledThisWave = sanitizeCount(killed.all);
+    this.asteroidsSpawnedThisWave = sanitizeCount(spawned.asteroids);
+    this.asteroidsKilledThisWave = sanitizeCount(killed.asteroids);
+    this.managerTotalsForWave = {
+      all: sanitizeCount(totals.all),
+      asteroids: sanitizeCount(totals.asteroids),
     };
+    // getState() reports planned totals, which stay at 0 while the legacy
+    // bridge counts asteroid spawns; completion checks need the live total.
+    this.totalEnemiesThisWave = Math.max(
+      this.managerTotalsForWave.all,
+      this.enemiesSpawnedThisWave
+    );
+    this.totalAsteroidEnemiesThisWave = Math.max(
+      this.managerTotalsForWave.asteroids,
+      this.asteroidsSpawnedThisWave
+    );
+    this.spawnQueue = [];
+    this.waveElapsed = 0;
+    this.scheduledSpawns = (
+      Array.isArray(state.scheduledSpawns) ? state.scheduledSpawns : []
+    )
+      .filter(
+        (entry) => entry && entry.group && typeof entry.group === 'object'
+      )
+      .map((entry) => ({
+        time: sanitizeCount(entry.delay),
+        group: { ...entry.group },
+        spawnDelayMultiplier: Number(entry.spawnDelayMultiplier) || 1,
+      }))
+      .sort((a, b) => a.time - b.time);
+    this.spawnTimer = 0;
+    this.waveCountdown = sanitizeCount(state.countdown);
+
+    if (typeof state.compatibilityMode === 'boolean') {
+      this.compatibilityModeActive = state.compatibilityMode;
+    }
+    if (typeof state.legacyFallbackActive === 'boolean') {
+      this.legacyFallbackActive = state.legacyFallbackActive;
+    }
+
+    debugLog(`[WaveManager] Restored wave ${this.currentWave} state`);
+    return true;
   }
 
   createRandomScopes(random) {
@@ -2961,12 +3683,15 @@ export class WaveManager {
       this.randomScopeLabels?.variants || 'wave-manager:variants';
     const fragmentLabel =
       this.randomScopeLabels?.fragments || 'wave-manager:fragments';
+    const hazardLabel =
+      this.randomScopeLabels?.hazards || 'wave-manager:hazards';
 
     const scopes = {
       base: baseRandom,
       spawn: baseRandom.fork(spawnLabel),
       variants: baseRandom.fork(variantLabel),
       fragments: baseRandom.fork(fragmentLabel),
+      hazards: baseRandom.fork(hazardLabel),
     };
 
     this.captureRandomScopeSeeds(scopes);
@@ -26,6 +26,7 @@ import { GameDebugLogger } from '../../../utils/dev/GameDebugLogger.js';
 import { ASTEROID_VARIANTS } from '../../../data/enemies/asteroid-configs.js';
 import { USE_WAVE_MANAGER } from '../../../data/constants/gameplay.js';
 import { resolveEventBus } from '../../../core/serviceUtils.js';
+import { resolveResistanceMultiplier } from '../../../data/damageTypes.js';
 
 class EnemyDamageSystem {
   /**
@@ -80,12 +81,19 @@ class EnemyDamageSystem {
   }
 
   /**
-   * Applies raw damage to the provided enemy instance.
+   * Applies raw damage to the provided enemy instance, scaled by the
+   * damage-taken multiplier of its status effects (shred) and by its
+   * resistance to the damage type.
    *
    * @param {Object} asteroid
    * @param {number} damage
    * @param {Object} [options]
-   * @returns {{ killed: boolean, remainingHealth: number, fragments: Array }}
+   * @param {string} [options.statusEffect] - Effect that dealt the damage;
+   *   forwarded to the `enemy-damaged` payload
+   * @param {string} [options.damageType] - Key of DAMAGE_TYPES; untyped
+   *   damage ignores resistances
+   * @returns {{ killed: boolean, remainingHealth: number, fragments: Array,
+   *   resistanceMultiplier: number }}
    */
   applyDamage(asteroid, damage, options = {}) {
     if (!asteroid || typeof asteroid.takeDamage !== 'function') {
@@ -96,7 +104,18 @@ class EnemyDamageSystem {
       return { killed: false, remainingHealth: 0, fragments: [] };
     }
 
-    const killed = asteroid.takeDamage(damage);
+    const damageTakenMultiplier =
+      asteroid.statusEffects?.getDamageTakenMultiplier?.() ?? 1;
+    const resistanceMultiplier = options.damageType
+      ? resolveResistanceMultiplier(asteroid.resistances, options.damageType)
+      : 1;
+    const killed = asteroid.takeDamage(
+      damage * damageTakenMultiplier * resistanceMultiplier,
+      options.source ?? null,
+      options.statusEffect
+        ? { cause: options.cause, statusEffect: options.statusEffect }
+        : {}
+    );
     const remainingHealth = Math.max(0, asteroid.health);
 
     if (killed) {
@@ -105,10 +124,20 @@ class EnemyDamageSystem {
         createFragments: options.createFragments !== false,
         triggerExplosion: options.triggerExplosion,
       });
-      return { killed: true, remainingHealth: 0, fragments };
+      return {
+        killed: true,
+        remainingHealth: 0,
+        fragments,
+        resistanceMultiplier,
+      };
     }
 
-    return { killed: false, remainingHealth, fragments: [] };
+    return {
+      killed: false,
+      remainingHealth,
+      fragments: [],
+      resistanceMultiplier,
+    };
   }
 
   /**
@@ -413,6 +442,9 @@ class EnemyDamageSystem {
    *
    * @param {number} amount
    * @param {Object} [context]
+   * @param {number} [context.invulnerabilityWindow=0.5] - Invulnerability
+   *   granted after a health hit; status effect ticks pass 0
+   * @param {string} [context.statusEffect] - Effect that dealt the damage
    * @returns {Object}
    */
   applyDirectDamageToPlayer(amount, context = {}) {
@@ -473,11 +505,19 @@ class EnemyDamageSystem {
       ? Math.max(0, previousShieldHP - currentShieldHP)
       : 0;
 
-    if (healthChanged && Number.isFinite(currentHealth) && currentHealth > 0) {
+    const invulnerabilityWindow = Number.isFinite(context.invulnerabilityWindow)
+      ? Math.max(0, context.invulnerabilityWindow)
+      : 0.5;
+    if (
+      healthChanged &&
+      invulnerabilityWindow > 0 &&
+      Number.isFinite(currentHealth) &&
+      currentHealth > 0
+    ) {
       if (typeof player.setInvulnerableTimer === 'function') {
-        player.setInvulnerableTimer(0.5);
+        player.setInvulnerableTimer(invulnerabilityWindow);
       } else {
-        player.invulnerableTimer = 0.5;
+        player.invulnerableTimer = invulnerabilityWindow;
       }
     }
 
@@ -505,6 +545,7 @@ class EnemyDamageSystem {
       damageSource,
       source: context.source || null,
       cause: damageCause,
+      statusEffect: context.statusEffect ?? null,
       shieldAbsorbed,
     };
 
@@ -604,6 +645,8 @@ class EnemyDamageSystem {
    * Applies shield explosion damage (and knockback) to nearby enemies.
    *
    * @param {Object} data
+   * @param {string} [data.cause='shield-explosion'] - Damage cause reported on kills
+   * @param {string} [data.statusEffect] - Status effect applied to survivors
    */
   handleShieldExplosionDamage(data) {
     if (!data || !data.position) {
@@ -658,7 +701,7 @@ class EnemyDamageSystem {
       }
 
       const damageResult = this.applyDamage(asteroid, actualDamage, {
-        cause: 'shield-explosion',
+        cause: data.cause || 'shield-explosion',
         createFragments: true,
         triggerExplosion: false,
       });
@@ -667,6 +710,10 @@ class EnemyDamageSystem {
         continue;
       }
 
+      if (data.statusEffect) {
+        asteroid.applyStatusEffect?.(data.statusEffect);
+      }
+
       if (distanceSq > 0) {
         const impulse = (300 * falloff) / Math.max(asteroid.mass, 1);
         const nx = dx / Math.max(distance, 0.001);
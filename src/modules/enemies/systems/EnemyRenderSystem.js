@@ -1,4 +1,8 @@
 import { GameDebugLogger } from '../../../utils/dev/GameDebugLogger.js';
+import {
+  drawEliteAura,
+  drawStatusEffectTint,
+} from '../components/RenderComponent.js';
 
 /**
  * EnemyRenderSystem centralizes rendering of all hostile entities tracked by
@@ -69,6 +73,8 @@ export class EnemyRenderSystem {
       if (typeof asteroid.draw === 'function') {
         asteroid.draw(ctx);
       }
+      drawStatusEffectTint(ctx, asteroid);
+      drawEliteAura(ctx, asteroid);
     });
   }
 }
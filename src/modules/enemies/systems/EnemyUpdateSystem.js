@@ -538,6 +538,10 @@ export class EnemyUpdateSystem {
         continue;
       }
 
+      if (!this.updateStatusEffects(enemy, deltaTime)) {
+        continue;
+      }
+
       if (useComponents && movementComponent) {
         movementComponent.update({
           enemy,
@@ -608,6 +612,10 @@ export class EnemyUpdateSystem {
         continue;
       }
 
+      if (!this.updateStatusEffects(enemy, deltaTime)) {
+        continue;
+      }
+
       const shouldUseComponents =
         useComponents &&
         enemy.useComponents &&
@@ -623,6 +631,19 @@ export class EnemyUpdateSystem {
     }
   }
 
+  /**
+   * Ticks the enemy's status effects before it moves.
+   * @param {Object} enemy
+   * @param {number} deltaTime
+   * @returns {boolean} False when damage over time destroyed the enemy
+   */
+  updateStatusEffects(enemy, deltaTime) {
+    if (typeof enemy.updateStatusEffects === 'function') {
+      enemy.updateStatusEffects(deltaTime);
+    }
+    return !enemy.destroyed;
+  }
+
   applyAsteroidOffscreenRecovery(asteroid, deltaTime) {
     if (!asteroid || asteroid.type !== 'asteroid') {
       return;
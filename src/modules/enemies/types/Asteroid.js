@@ -180,6 +180,17 @@ export class Asteroid extends BaseEnemy {
     this.spawnedBy = options.spawnedBy ?? null;
     this.generation = options.generation ?? 0;
 
+    const runModifierEffects =
+      this.system && typeof this.system.getRunModifierEffects === 'function'
+        ? this.system.getRunModifierEffects()
+        : null;
+
+    // Run modifiers (e.g. Volatile Field) override every variant choice.
+    const forcedVariant = runModifierEffects?.waves?.asteroidVariant;
+    if (forcedVariant && ASTEROID_VARIANTS[forcedVariant]) {
+      this.variant = forcedVariant;
+    }
+
     // WAVE-006: Auto-decide variant if not provided (delegates to EnemySystem)
     if (!this.variant || this.variant === 'auto') {
       if (this.system && typeof this.system.decideVariant === 'function') {
@@ -241,6 +252,7 @@ export class Asteroid extends BaseEnemy {
       ASTEROID_FRAGMENT_RULES.default;
 
     this.behavior = this.variantConfig?.behavior || null;
+    this.resistances = this.variantConfig?.resistances || null;
 
     // Copy movement strategy and config from variant config
     this.movementStrategy =
@@ -305,6 +317,15 @@ export class Asteroid extends BaseEnemy {
       this.vy = Math.sin(targetAngle + angleOffset) * entrySpeed;
     }
 
+    // Run modifiers (e.g. Asteroid Rush) speed up new asteroids and their
+    // fragments; restored snapshots already carry the scaled velocity.
+    const runSpeedMultiplier =
+      options.randomScope === 'snapshot'
+        ? 1
+        : runModifierEffects?.waves?.asteroidSpeed ?? 1;
+    this.vx *= runSpeedMultiplier;
+    this.vy *= runSpeedMultiplier;
+
     this.rotation = options.rotation ?? movementRandom.range(0, Math.PI * 2);
     const baseRotationSpeed =
       options.rotationSpeed ?? movementRandom.range(-0.75, 0.75);
@@ -313,7 +334,9 @@ export class Asteroid extends BaseEnemy {
 
     const baseHealth =
       ASTEROID_BASE_HEALTH[this.size] ?? ASTEROID_BASE_HEALTH.small ?? 10;
-    const waveMultiplier = this.computeWaveHealthMultiplier(this.wave);
+    const waveMultiplier =
+      this.computeWaveHealthMultiplier(this.wave) *
+      (runModifierEffects?.enemyHealth ?? 1);
     const variantHP = this.variantConfig?.hpMultiplier ?? 1;
 
     this.maxHealth = Math.max(
@@ -618,9 +641,10 @@ export class Asteroid extends BaseEnemy {
         this.updateParasiteBehavior(deltaTime);
       }
 
-      // Linear movement
-      this.x += this.vx * deltaTime;
-      this.y += this.vy * deltaTime;
+      // Linear movement (slowed by status effects)
+      const speedMultiplier = this.statusEffects.getSpeedMultiplier();
+      this.x += this.vx * deltaTime * speedMultiplier;
+      this.y += this.vy * deltaTime * speedMultiplier;
       this.rotation += this.rotationSpeed * deltaTime;
 
       // Screen wrapping
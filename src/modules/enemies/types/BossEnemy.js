@@ -2,6 +2,8 @@ import {
   BOSS_COMPONENTS,
   BOSS_CONFIG,
   BOSS_VISUAL_VARIANT,
+  DEFAULT_BOSS_ARCHETYPE,
+  getBossArchetype,
 } from '../../../data/enemies/boss.js';
 import RandomService from '../../../core/RandomService.js';
 import { BaseEnemy } from '../base/BaseEnemy.js';
@@ -22,29 +24,7 @@ const BASE_CONFIG = {
   acceleration: 120,
   contactDamage: 45,
   projectileDamage: 35,
-  spreadProjectileCount: 7,
-  spreadProjectileSpeed: 260,
-  spreadCooldown: 2.4,
-  spreadVariance: 0.45,
-  spreadArc: 0.85,
-  spreadAngleVariance: 0.12,
-  volleyBurstSize: 5,
-  volleyShotDelay: 0.16,
-  volleyCooldown: 1.35,
-  volleyVariance: 0.2,
-  volleyProjectileSpeed: 320,
-  volleySpread: 0.12,
   minionTypes: ['drone', 'hunter'],
-  spawnCooldown: 6.5,
-  spawnVariance: 1.1,
-  chargeCooldown: 6.2,
-  chargeDuration: 1.1,
-  chargeRecovery: 1.4,
-  chargeSpeedMultiplier: 3.1,
-  chargeProjectileCount: 10,
-  chargeProjectileSpeed: 420,
-  chargeProjectileVariance: 0.08,
-  chargeAimVariance: 0.18,
   phaseThresholds: [0.66, 0.33],
   phaseCount: 3,
   invulnerabilityDuration: 2.0,
@@ -74,6 +54,108 @@ const BOSS_DEFAULTS = {
       : [...BASE_CONFIG.phaseThresholds],
 };
 
+/**
+ * Attack handlers for the phase script, keyed by attack `type`. Each handler
+ * receives the boss, the attack state (`config`, `timer` plus its own
+ * fields), the frame delta and the resolved player target.
+ */
+const BOSS_ATTACK_HANDLERS = {
+  spread: (boss, attack, deltaTime, target) => {
+    attack.timer -= deltaTime;
+    if (attack.timer <= 0 && target?.position) {
+      boss.fireSpreadPattern(target.position, attack.config);
+      attack.timer = boss.computeAttackCooldown(attack.config);
+    }
+  },
+  volley: (boss, attack, deltaTime, target) => {
+    const config = attack.config;
+    if (attack.shotsRemaining > 0) {
+      attack.shotTimer -= deltaTime;
+      if (attack.shotTimer <= 0 && target?.position) {
+        boss.fireVolleyShot(target.position, config);
+        attack.shotsRemaining -= 1;
+        attack.shotTimer = config.shotDelay ?? 0.16;
+      }
+      return;
+    }
+
+    attack.timer -= deltaTime;
+    if (attack.timer <= 0 && target?.position) {
+      attack.shotsRemaining = Math.max(0, Math.floor(config.burstSize ?? 5));
+      attack.timer = boss.computeAttackCooldown(config);
+      boss.fireVolleyShot(target.position, config);
+      attack.shotsRemaining -= 1;
+      attack.shotTimer = config.shotDelay ?? 0.16;
+    }
+  },
+  ring: (boss, attack, deltaTime) => {
+    attack.timer -= deltaTime;
+    if (attack.timer <= 0) {
+      boss.fireRing(attack.config);
+      attack.timer = boss.computeAttackCooldown(attack.config);
+    }
+  },
+  charge: (boss, attack, deltaTime, target) => {
+    const config = attack.config;
+    switch (attack.state) {
+      case 'charging':
+        attack.stateTimer -= deltaTime;
+        if (attack.stateTimer <= 0) {
+          attack.state = 'recover';
+          attack.stateTimer = config.recovery ?? 1.4;
+          boss.triggerChargeBurst('end', config);
+        }
+        break;
+      case 'recover':
+        attack.stateTimer -= deltaTime;
+        if (attack.stateTimer <= 0) {
+          attack.state = 'idle';
+          attack.timer = boss.computeAttackCooldown(config);
+        }
+        break;
+      default:
+        attack.timer -= deltaTime;
+        if (attack.timer <= 0) {
+          attack.state = 'charging';
+          attack.stateTimer = config.duration ?? 1.1;
+          boss.beginCharge(target, config);
+        }
+        break;
+    }
+  },
+  sweep: (boss, attack, deltaTime, target) => {
+    const config = attack.config;
+    if (!attack.active) {
+      attack.timer -= deltaTime;
+      if (attack.timer <= 0 && target?.position) {
+        attack.active = true;
+        attack.elapsed = 0;
+        attack.shotTimer = 0;
+        attack.baseAngle = Math.atan2(
+          target.position.y - boss.y,
+          target.position.x - boss.x
+        );
+        attack.direction = boss.sampleVariance(1) < 0 ? -1 : 1;
+      }
+      return;
+    }
+
+    const duration = Math.max(0.1, config.duration ?? 1.6);
+    attack.elapsed += deltaTime;
+    attack.shotTimer -= deltaTime;
+    if (attack.shotTimer <= 0) {
+      const progress = Math.min(1, attack.elapsed / duration);
+      boss.fireSweepShot(attack, progress);
+      attack.shotTimer = Math.max(0.02, config.shotInterval ?? 0.05);
+    }
+
+    if (attack.elapsed >= duration) {
+      attack.active = false;
+      attack.timer = boss.computeAttackCooldown(config);
+    }
+  },
+};
+
 export class BossEnemy extends BaseEnemy {
   constructor(system, config = {}) {
     super(system, config);
@@ -84,6 +166,9 @@ export class BossEnemy extends BaseEnemy {
     this.patternRandom = null;
     this.minionRandom = null;
 
+    this.archetype = null;
+    this.displayName = BOSS_DEFAULTS.displayName;
+    this.phaseScripts = [];
     this.currentPhase = 0;
     this.phaseCount = BOSS_DEFAULTS.phaseCount ?? 3;
     this.phaseThresholds = [];
@@ -91,45 +176,16 @@ export class BossEnemy extends BaseEnemy {
     this._phaseThresholdMaxHealth = null;
     this.nextPhaseIndex = 0;
 
-    this.spreadCooldown = BOSS_DEFAULTS.spreadCooldown;
-    this.spreadCooldownVariance = BOSS_DEFAULTS.spreadVariance ?? 0;
-    this.spreadProjectileCount = BOSS_DEFAULTS.spreadProjectileCount ?? 5;
-    this.spreadProjectileSpeed = BOSS_DEFAULTS.spreadProjectileSpeed ?? 240;
-    this.spreadArc = BOSS_DEFAULTS.spreadArc ?? 0.75;
-    this.spreadAngleVariance = BOSS_DEFAULTS.spreadAngleVariance ?? 0;
-
-    this.volleyCooldown = BOSS_DEFAULTS.volleyCooldown ?? 1.5;
-    this.volleyCooldownVariance = BOSS_DEFAULTS.volleyVariance ?? 0;
-    this.volleyBurstSize = BOSS_DEFAULTS.volleyBurstSize ?? 4;
-    this.volleyShotDelay = BOSS_DEFAULTS.volleyShotDelay ?? 0.18;
-    this.volleyProjectileSpeed = BOSS_DEFAULTS.volleyProjectileSpeed ?? 320;
-    this.volleySpread = BOSS_DEFAULTS.volleySpread ?? 0.08;
-
-    this.spawnCooldown = BOSS_DEFAULTS.spawnCooldown ?? 8;
-    this.spawnVariance = BOSS_DEFAULTS.spawnVariance ?? 0;
+    this.attackStates = [];
     this.minionTypes = [...(BOSS_DEFAULTS.minionTypes ?? ['drone'])];
-
-    this.chargeCooldown = BOSS_DEFAULTS.chargeCooldown ?? 6;
-    this.chargeDuration = BOSS_DEFAULTS.chargeDuration ?? 1;
-    this.chargeRecovery = BOSS_DEFAULTS.chargeRecovery ?? 1.2;
-    this.chargeSpeedMultiplier = BOSS_DEFAULTS.chargeSpeedMultiplier ?? 3;
-    this.chargeProjectileCount = BOSS_DEFAULTS.chargeProjectileCount ?? 8;
-    this.chargeProjectileSpeed = BOSS_DEFAULTS.chargeProjectileSpeed ?? 420;
-    this.chargeProjectileVariance = BOSS_DEFAULTS.chargeProjectileVariance ?? 0;
-    this.chargeAimVariance = BOSS_DEFAULTS.chargeAimVariance ?? 0;
+    this.spawnTimer = 0;
+    this.spawnedMinions = [];
+    this.invulnerabilityWindowTimer = 0;
+    this._invulnerabilityOverride = null;
 
     this.projectileDamage = BOSS_DEFAULTS.projectileDamage ?? 30;
     this.contactDamage = BOSS_DEFAULTS.contactDamage ?? 40;
 
-    this.spreadTimer = 0;
-    this.volleyTimer = 0;
-    this.volleyShotTimer = 0;
-    this.volleyShotsRemaining = 0;
-    this.spawnTimer = 0;
-    this.chargeTimer = 0;
-    this.chargeState = 'idle';
-    this.chargeStateTimer = 0;
-
     this.invulnerable = false;
     this.invulnerabilityTimer = 0;
     this._lastInvulnerabilityState = null;
@@ -152,11 +208,10 @@ export class BossEnemy extends BaseEnemy {
     this._lastFallbackReason = null;
     this._invulnLog = 0;
     this._lastInvulnerabilityState = null;
-    this.weaponState = {};
     this.movementStrategy = 'seeking';
     this.movementConfig = null;
-    this.movementPhases = null;
     this._lastMovementPhase = null;
+    this._lastLoadoutPhase = null;
     this.renderStrategy =
       BOSS_COMPONENTS?.render?.strategy || 'procedural-boss';
     this.useComponents = false;
@@ -170,33 +225,28 @@ export class BossEnemy extends BaseEnemy {
     this.resetForPool();
     super.initialize(config);
 
+    const archetype =
+      getBossArchetype(config.archetype) ||
+      getBossArchetype(DEFAULT_BOSS_ARCHETYPE);
+    this.archetype = archetype?.key ?? null;
+    this.phaseScripts = Array.isArray(archetype?.phases)
+      ? archetype.phases
+      : [];
+
     const componentConfig = config.components ?? BOSS_COMPONENTS;
     if (componentConfig) {
-      this.weaponState = this.weaponState || {};
       this.movementStrategy = componentConfig?.movement?.strategy || 'seeking';
       this.renderStrategy =
         componentConfig?.render?.strategy || 'procedural-boss';
-      if (Array.isArray(componentConfig?.weapon?.patterns)) {
-        this.weaponPatterns = [...componentConfig.weapon.patterns];
-        this.weaponPattern =
-          this.weaponPattern || componentConfig.weapon.patterns[0];
-      } else if (componentConfig?.weapon?.pattern) {
-        this.weaponPattern = componentConfig.weapon.pattern;
-      }
-
-      if (Array.isArray(componentConfig?.movementPhases)) {
-        this.movementPhases = componentConfig.movementPhases.map((phase) => ({
-          ...phase,
-        }));
-      } else {
-        this.movementPhases = null;
-      }
     }
 
-    const defaults = BOSS_DEFAULTS;
+    // Archetype stats override the shared boss defaults; explicit config
+    // (wave entries, script overrides, snapshots) overrides both.
+    const defaults = { ...BOSS_DEFAULTS, ...(archetype || {}) };
 
     this.type = 'boss';
     this.addTag('boss');
+    this.displayName = config.displayName ?? defaults.displayName;
     this._missingTargetLogged = false;
     this._missingPlayerReferenceLogged = false;
     this._playerResolveLogged = false;
@@ -213,8 +263,14 @@ export class BossEnemy extends BaseEnemy {
 
     const baseHealth = config.health ?? defaults.health ?? 1500;
     const scaling = config.healthScaling ?? defaults.healthScaling ?? 1;
+    const runModifierEffects =
+      this.system && typeof this.system.getRunModifierEffects === 'function'
+        ? this.system.getRunModifierEffects()
+        : null;
     const scaledHealth =
-      baseHealth * Math.pow(Math.max(1, scaling), waveNumber - 1);
+      baseHealth *
+      Math.pow(Math.max(1, scaling), waveNumber - 1) *
+      (runModifierEffects?.enemyHealth ?? 1);
     this.maxHealth = Math.ceil(scaledHealth);
     this.health = config.currentHealth ?? this.maxHealth;
     this.healthInitialized = true;
@@ -241,56 +297,18 @@ export class BossEnemy extends BaseEnemy {
         ? defaults.entryDriftSpeed
         : Math.max(45, (this.speed || 0) * 0.8);
 
-    this.spreadProjectileCount =
-      config.spreadProjectileCount ?? defaults.spreadProjectileCount ?? 7;
-    this.spreadProjectileSpeed =
-      config.spreadProjectileSpeed ?? defaults.spreadProjectileSpeed ?? 260;
-    this.spreadCooldown =
-      config.spreadCooldown ?? defaults.spreadCooldown ?? 2.4;
-    this.spreadCooldownVariance =
-      config.spreadVariance ?? defaults.spreadVariance ?? 0;
-    this.spreadArc = config.spreadArc ?? defaults.spreadArc ?? 0.85;
-    this.spreadAngleVariance =
-      config.spreadAngleVariance ?? defaults.spreadAngleVariance ?? 0;
-
-    this.volleyBurstSize =
-      config.volleyBurstSize ?? defaults.volleyBurstSize ?? 5;
-    this.volleyShotDelay =
-      config.volleyShotDelay ?? defaults.volleyShotDelay ?? 0.16;
-    this.volleyCooldown =
-      config.volleyCooldown ?? defaults.volleyCooldown ?? 1.35;
-    this.volleyCooldownVariance =
-      config.volleyVariance ?? defaults.volleyVariance ?? 0;
-    this.volleyProjectileSpeed =
-      config.volleyProjectileSpeed ?? defaults.volleyProjectileSpeed ?? 320;
-    this.volleySpread = config.volleySpread ?? defaults.volleySpread ?? 0.12;
-
     this.minionTypes =
       Array.isArray(config.minionTypes) && config.minionTypes.length
         ? [...config.minionTypes]
         : [...(defaults.minionTypes || ['drone'])];
-    this.spawnCooldown = config.spawnCooldown ?? defaults.spawnCooldown ?? 6.5;
-    this.spawnVariance = config.spawnVariance ?? defaults.spawnVariance ?? 0;
-
-    this.chargeCooldown =
-      config.chargeCooldown ?? defaults.chargeCooldown ?? 6.2;
-    this.chargeDuration =
-      config.chargeDuration ?? defaults.chargeDuration ?? 1.1;
-    this.chargeRecovery =
-      config.chargeRecovery ?? defaults.chargeRecovery ?? 1.4;
-    this.chargeSpeedMultiplier =
-      config.chargeSpeedMultiplier ?? defaults.chargeSpeedMultiplier ?? 3.1;
-    this.chargeProjectileCount =
-      config.chargeProjectileCount ?? defaults.chargeProjectileCount ?? 10;
-    this.chargeProjectileSpeed =
-      config.chargeProjectileSpeed ?? defaults.chargeProjectileSpeed ?? 420;
-    this.chargeProjectileVariance =
-      config.chargeProjectileVariance ?? defaults.chargeProjectileVariance ?? 0;
-    this.chargeAimVariance =
-      config.chargeAimVariance ?? defaults.chargeAimVariance ?? 0;
 
     this.invulnerabilityDuration =
       config.invulnerabilityDuration ?? defaults.invulnerabilityDuration ?? 2;
+    this._invulnerabilityOverride = Number.isFinite(
+      config.invulnerabilityDuration
+    )
+      ? config.invulnerabilityDuration
+      : null;
 
     this.phaseColors =
       Array.isArray(config.phaseColors) && config.phaseColors.length
@@ -321,6 +339,7 @@ export class BossEnemy extends BaseEnemy {
     this.phaseCount = Math.max(
       1,
       config.phaseCount ??
+        (this.phaseScripts.length || null) ??
         defaults.phaseCount ??
         this.phaseThresholds.length + 1
     );
@@ -328,15 +347,6 @@ export class BossEnemy extends BaseEnemy {
     this.nextPhaseIndex = 0;
     this.syncPhaseThresholds(true);
 
-    this.spreadTimer = this.computeSpreadCooldown();
-    this.volleyTimer = this.computeVolleyCooldown();
-    this.volleyShotTimer = 0;
-    this.volleyShotsRemaining = 0;
-    this.spawnTimer = this.computeSpawnCooldown();
-    this.chargeTimer = this.chargeCooldown;
-    this.chargeState = 'idle';
-    this.chargeStateTimer = 0;
-
     this._lastUpdateLog = 0;
 
     this.invulnerable = false;
@@ -349,6 +359,7 @@ export class BossEnemy extends BaseEnemy {
 
     GameDebugLogger.log('SPAWN', 'BossEnemy initialized', {
       id: this.id,
+      archetype: this.archetype,
       wave: this.wave,
       position: { x: this.x, y: this.y },
       health: this.health,
@@ -439,51 +450,80 @@ export class BossEnemy extends BaseEnemy {
     );
   }
 
-  applyPhaseLoadout(force = false) {
-    const patterns = Array.isArray(this.weaponPatterns)
-      ? this.weaponPatterns
-      : [];
-    if (!patterns.length) {
-      return;
+  /**
+   * @returns {Object|null} Phase script entry for the current phase
+   */
+  getCurrentPhaseScript() {
+    if (!this.phaseScripts.length) {
+      return null;
     }
 
     const index = Math.min(
       Math.max(0, this.currentPhase || 0),
-      patterns.length - 1
+      this.phaseScripts.length - 1
     );
-    const nextPattern = patterns[index];
-    if (!force && this.weaponPattern === nextPattern) {
+    return this.phaseScripts[index] || null;
+  }
+
+  /**
+   * Arms the attacks, minion timer and invulnerability windows of the
+   * current phase script. Every attack starts on a fresh cooldown.
+   */
+  applyPhaseLoadout(force = false) {
+    const phase = this.getCurrentPhaseScript();
+    if (!phase) {
+      this.attackStates = [];
       return;
     }
-    this.weaponPattern = nextPattern;
+
+    if (!force && this._lastLoadoutPhase === this.currentPhase) {
+      return;
+    }
+
+    this.attackStates = (Array.isArray(phase.attacks) ? phase.attacks : [])
+      .filter((attack) => BOSS_ATTACK_HANDLERS[attack?.type])
+      .map((attack) => ({
+        type: attack.type,
+        config: attack,
+        timer: this.computeAttackCooldown(attack),
+        state: 'idle',
+        stateTimer: 0,
+        shotTimer: 0,
+        shotsRemaining: 0,
+        active: false,
+      }));
+
+    this.spawnTimer = phase.minions
+      ? this.computeSpawnCooldown(phase.minions)
+      : 0;
+
+    const windows = phase.invulnerability;
+    this.invulnerabilityWindowTimer =
+      windows?.interval > 0 && windows?.duration > 0 ? windows.interval : 0;
+    this._lastLoadoutPhase = this.currentPhase;
   }
 
   applyPhaseMovement(force = false) {
-    if (!Array.isArray(this.movementPhases) || !this.movementPhases.length) {
+    const phase = this.getCurrentPhaseScript();
+    if (!phase?.movement) {
       if (force) {
         this._lastMovementPhase = null;
       }
       return;
     }
 
-    const phaseIndex = Math.min(
-      Math.max(0, this.currentPhase || 0),
-      this.movementPhases.length - 1
-    );
-
-    if (!force && this._lastMovementPhase === phaseIndex) {
+    if (!force && this._lastMovementPhase === this.currentPhase) {
       return;
     }
 
-    const phaseConfig = this.movementPhases[phaseIndex] || {};
-    const { strategy, ...movementOverrides } = phaseConfig;
+    const { strategy, ...movementOverrides } = phase.movement;
 
     if (strategy) {
       this.movementStrategy = strategy;
     }
 
     this.movementConfig = { ...movementOverrides };
-    this._lastMovementPhase = phaseIndex;
+    this._lastMovementPhase = this.currentPhase;
   }
 
   onUpdate(deltaTime) {
@@ -504,6 +544,7 @@ export class BossEnemy extends BaseEnemy {
 
       GameDebugLogger.log('UPDATE', 'Boss.onUpdate()', {
         id: this.id,
+        archetype: this.archetype,
         position: { x: Math.round(this.x ?? 0), y: Math.round(this.y ?? 0) },
         velocity,
         health: this.health,
@@ -511,51 +552,32 @@ export class BossEnemy extends BaseEnemy {
         healthPercent,
         currentPhase: this.currentPhase,
         invulnerable: !!this.invulnerable,
-        chargeState: this.chargeState,
+        attacks: this.attackStates.map((attack) => attack.type),
       });
 
       this._lastUpdateLog = now;
     }
 
     this.updateInvulnerability(deltaTime);
+    this.updateInvulnerabilityWindows(deltaTime);
     this.updateFeedbackState(deltaTime);
 
     const target = this.resolvePlayerTarget();
 
-    switch (this.currentPhase) {
-      case 0:
-        this.handlePhaseIntro(deltaTime, target);
-        break;
-      case 1:
-        this.handlePhaseAssault(deltaTime, target);
-        break;
-      default:
-        this.handlePhaseFinale(deltaTime, target);
-        break;
-    }
+    this.updatePhaseAttacks(deltaTime, target);
+    this.updateMinionSpawns(deltaTime);
 
     this.renderPayload = this.buildRenderPayload();
   }
 
-  handlePhaseIntro(deltaTime, target) {
-    if (!(this.useComponents && this.components?.size > 0)) {
-      this.spreadTimer -= deltaTime;
-      if (this.spreadTimer <= 0 && target?.position) {
-        this.fireSpreadPattern(target.position);
-        this.spreadTimer = this.computeSpreadCooldown();
-      }
+  updatePhaseAttacks(deltaTime, target) {
+    if (this.statusEffects.isDisabled('weapons')) {
+      return;
     }
-  }
-
-  handlePhaseAssault(deltaTime, target) {
-    if (!(this.useComponents && this.components?.size > 0)) {
-      this.updateVolleyCycle(deltaTime, target);
+    for (let i = 0; i < this.attackStates.length; i += 1) {
+      const attack = this.attackStates[i];
+      BOSS_ATTACK_HANDLERS[attack.type](this, attack, deltaTime, target);
     }
-    this.updateMinionSpawns(deltaTime);
-  }
-
-  handlePhaseFinale(deltaTime, target) {
-    this.updateChargeState(deltaTime, target);
   }
 
   updateInvulnerability(deltaTime) {
@@ -640,33 +662,41 @@ export class BossEnemy extends BaseEnemy {
     });
   }
 
-  updateVolleyCycle(deltaTime, target) {
-    if (this.volleyShotsRemaining > 0) {
-      this.volleyShotTimer -= deltaTime;
-      if (this.volleyShotTimer <= 0 && target?.position) {
-        this.fireVolleyShot(target.position);
-        this.volleyShotsRemaining -= 1;
-        this.volleyShotTimer = this.volleyShotDelay;
-      }
+  /**
+   * Opens the recurring invulnerability windows of the current phase. The
+   * window timer only runs while the boss is vulnerable, so windows never
+   * overlap the phase-entry invulnerability.
+   */
+  updateInvulnerabilityWindows(deltaTime) {
+    const windows = this.getCurrentPhaseScript()?.invulnerability;
+    if (
+      this.invulnerable ||
+      !(windows?.interval > 0) ||
+      !(windows?.duration > 0)
+    ) {
       return;
     }
 
-    this.volleyTimer -= deltaTime;
-    if (this.volleyTimer <= 0 && target?.position) {
-      this.startVolley();
-      this.fireVolleyShot(target.position);
-      this.volleyShotsRemaining -= 1;
-      this.volleyShotTimer = this.volleyShotDelay;
+    this.invulnerabilityWindowTimer -= deltaTime;
+    if (this.invulnerabilityWindowTimer > 0) {
+      return;
     }
-  }
 
-  startVolley() {
-    this.volleyShotsRemaining = Math.max(0, Math.floor(this.volleyBurstSize));
-    this.volleyTimer = this.computeVolleyCooldown();
+    this.invulnerabilityWindowTimer = windows.interval;
+    this.invulnerable = true;
+    this.invulnerabilityTimer = windows.duration;
+    this.shieldImpactTimer = 0;
+    this.shieldImpactStrength = 0;
+
+    this.emitInvulnerabilityState(true, {
+      reason: 'phase-window',
+      timer: this.invulnerabilityTimer,
+    });
   }
 
   updateMinionSpawns(deltaTime) {
-    if (!this.minionTypes.length) {
+    const minions = this.getCurrentPhaseScript()?.minions;
+    if (!minions || !this.minionTypes.length) {
       return;
     }
 
@@ -675,37 +705,55 @@ export class BossEnemy extends BaseEnemy {
       return;
     }
 
-    this.spawnTimer = this.computeSpawnCooldown();
-    this.spawnMinion();
+    this.spawnTimer = this.computeSpawnCooldown(minions);
+    this.deployMinionSquad(minions);
   }
 
-  updateChargeState(deltaTime, target) {
-    switch (this.chargeState) {
-      case 'charging':
-        this.chargeStateTimer -= deltaTime;
-        if (this.chargeStateTimer <= 0) {
-          this.chargeState = 'recover';
-          this.chargeStateTimer = this.chargeRecovery;
-          this.triggerChargeBurst('end');
-        }
-        break;
-      case 'recover':
-        this.chargeStateTimer -= deltaTime;
-        if (this.chargeStateTimer <= 0) {
-          this.chargeState = 'idle';
-          this.chargeTimer = this.chargeCooldown;
-        }
-        break;
-      default:
-        this.chargeTimer -= deltaTime;
-        if (this.chargeTimer <= 0) {
-          this.beginCharge(target);
-        }
-        break;
+  /**
+   * Spawns one squad of a single minion type, spaced evenly around the boss.
+   * Squads are trimmed so the boss never has more than `maxActive` minions.
+   */
+  deployMinionSquad(minions) {
+    const allowedTypes = (minions.types || []).filter((type) =>
+      this.minionTypes.includes(type)
+    );
+    const type = this.pickMinionType(
+      allowedTypes.length ? allowedTypes : this.minionTypes
+    );
+    if (!type) {
+      return;
+    }
+
+    this.spawnedMinions = this.spawnedMinions.filter(
+      (minion) =>
+        minion && minion.alive !== false && minion.spawnedByBossId === this.id
+    );
+
+    let squadSize = Math.max(1, Math.floor(minions.squadSize ?? 1));
+    if (Number.isFinite(minions.maxActive)) {
+      squadSize = Math.min(
+        squadSize,
+        Math.max(0, minions.maxActive - this.spawnedMinions.length)
+      );
+    }
+    if (squadSize <= 0) {
+      return;
+    }
+
+    const baseAngle = this.patternRandom?.float
+      ? this.patternRandom.float() * Math.PI * 2
+      : Math.random() * Math.PI * 2;
+    const step = (Math.PI * 2) / squadSize;
+
+    for (let i = 0; i < squadSize; i += 1) {
+      const minion = this.spawnMinion(type, baseAngle + step * i);
+      if (minion) {
+        this.spawnedMinions.push(minion);
+      }
     }
   }
 
-  beginCharge(target) {
+  beginCharge(target, config = {}) {
     const aimPosition = target?.position || null;
     let angle = 0;
 
@@ -715,33 +763,31 @@ export class BossEnemy extends BaseEnemy {
       angle = Math.atan2(dy, dx);
     }
 
-    angle += this.sampleVariance(this.chargeAimVariance);
+    angle += this.sampleVariance(config.aimVariance);
 
-    const chargeSpeed = (this.speed || 0) * (this.chargeSpeedMultiplier || 3);
+    const chargeSpeed = (this.speed || 0) * (config.speedMultiplier || 3);
     this.vx = Math.cos(angle) * chargeSpeed;
     this.vy = Math.sin(angle) * chargeSpeed;
     this.rotation = angle;
 
-    this.chargeState = 'charging';
-    this.chargeStateTimer = this.chargeDuration;
-    this.triggerChargeBurst('start');
+    this.triggerChargeBurst('start', config);
   }
 
-  triggerChargeBurst(stage) {
-    if (!this.chargeProjectileCount || this.chargeProjectileCount <= 0) {
+  triggerChargeBurst(stage, config = {}) {
+    if (!config.projectileCount || config.projectileCount <= 0) {
       return;
     }
 
-    const count = Math.max(1, Math.floor(this.chargeProjectileCount));
+    const count = Math.max(1, Math.floor(config.projectileCount));
     const angleStep = (Math.PI * 2) / count;
-    const baseOffset = this.sampleVariance(this.chargeProjectileVariance);
+    const baseOffset = this.sampleVariance(config.projectileVariance);
 
     for (let i = 0; i < count; i += 1) {
       const angle = baseOffset + i * angleStep;
       this.emitBossProjectile({
         angle,
-        speed: this.chargeProjectileSpeed,
-        damage: this.projectileDamage,
+        speed: config.projectileSpeed,
+        damage: config.damage ?? this.projectileDamage,
         pattern: 'charge-burst',
         meta: { stage },
       });
@@ -768,42 +814,79 @@ export class BossEnemy extends BaseEnemy {
     }
   }
 
-  fireSpreadPattern(targetPosition) {
+  fireSpreadPattern(targetPosition, config = {}) {
     const dx = targetPosition.x - this.x;
     const dy = targetPosition.y - this.y;
     const baseAngle = Math.atan2(dy, dx);
 
-    const count = Math.max(1, Math.floor(this.spreadProjectileCount));
-    const arc = Math.max(0, this.spreadArc ?? 0);
+    const count = Math.max(1, Math.floor(config.projectileCount ?? 7));
+    const arc = Math.max(0, config.arc ?? 0);
     const startAngle = baseAngle - arc / 2;
     const step = count > 1 ? arc / (count - 1) : 0;
 
     for (let i = 0; i < count; i += 1) {
       const angle =
-        startAngle + step * i + this.sampleVariance(this.spreadAngleVariance);
+        startAngle + step * i + this.sampleVariance(config.angleVariance);
       this.emitBossProjectile({
         angle,
-        speed: this.spreadProjectileSpeed,
-        damage: this.projectileDamage,
+        speed: config.speed,
+        damage: config.damage ?? this.projectileDamage,
         pattern: 'spread',
       });
     }
   }
 
-  fireVolleyShot(targetPosition) {
+  fireVolleyShot(targetPosition, config = {}) {
     const dx = targetPosition.x - this.x;
     const dy = targetPosition.y - this.y;
     let angle = Math.atan2(dy, dx);
-    angle += this.sampleVariance(this.volleySpread);
+    angle += this.sampleVariance(config.spread);
 
     this.emitBossProjectile({
       angle,
-      speed: this.volleyProjectileSpeed,
-      damage: this.projectileDamage,
+      speed: config.speed,
+      damage: config.damage ?? this.projectileDamage,
       pattern: 'volley',
     });
   }
 
+  fireRing(config = {}) {
+    const count = Math.max(1, Math.floor(config.projectileCount ?? 12));
+    const angleStep = (Math.PI * 2) / count;
+    const baseOffset = this.sampleVariance(config.angleVariance);
+
+    for (let i = 0; i < count; i += 1) {
+      this.emitBossProjectile({
+        angle: baseOffset + i * angleStep,
+        speed: config.speed,
+        damage: config.damage ?? this.projectileDamage,
+        pattern: 'ring',
+      });
+    }
+  }
+
+  /**
+   * Fires one step of a laser sweep: every beam emits a projectile along the
+   * sweep angle, which travels across `arc` as `progress` goes from 0 to 1.
+   */
+  fireSweepShot(attack, progress) {
+    const config = attack.config;
+    const arc = config.arc ?? 1.4;
+    const beams = Math.max(1, Math.floor(config.beams ?? 1));
+    const sweepAngle =
+      attack.baseAngle + attack.direction * (progress - 0.5) * arc;
+
+    for (let i = 0; i < beams; i += 1) {
+      this.emitBossProjectile({
+        angle: sweepAngle + (i * Math.PI * 2) / beams,
+        speed: config.speed,
+        damage: config.damage ?? this.projectileDamage,
+        pattern: 'laser-sweep',
+        meta: { beam: i, progress },
+      });
+    }
+  }
+
   emitBossProjectile({ angle, speed, damage, pattern, meta = {} }) {
     if (!Number.isFinite(angle)) {
       return;
@@ -841,19 +924,11 @@ export class BossEnemy extends BaseEnemy {
     });
   }
 
-  spawnMinion() {
-    if (!this.system || !this.minionTypes.length) {
-      return;
-    }
-
-    const type = this.pickMinionType();
-    if (!type) {
-      return;
+  spawnMinion(type, angle) {
+    if (!this.system || !type) {
+      return null;
     }
 
-    const angle = this.patternRandom?.float
-      ? this.patternRandom.float() * Math.PI * 2
-      : Math.random() * Math.PI * 2;
     const distance = this.radius + 40;
 
     const spawnConfig = {
@@ -882,7 +957,7 @@ export class BossEnemy extends BaseEnemy {
           console.warn(
             `[BossEnemy] Minion type '${type}' not registered in factory. Minion spawn skipped.`
           );
-          return;
+          return null;
         }
       }
 
@@ -892,13 +967,13 @@ export class BossEnemy extends BaseEnemy {
         console.warn(
           `[BossEnemy] Factory failed to create minion of type '${type}'. Check factory configuration.`
         );
-        return;
+        return null;
       }
     } else {
       console.warn(
         `[BossEnemy] Factory not available for spawning minion type '${type}'.`
       );
-      return;
+      return null;
     }
 
     // Successfully created minion - register and tag it
@@ -946,7 +1021,7 @@ export class BossEnemy extends BaseEnemy {
           hasRegisterFunction:
             typeof this.system.registerActiveEnemy === 'function',
         });
-        return;
+        return null;
       }
 
       if (
@@ -967,20 +1042,22 @@ export class BossEnemy extends BaseEnemy {
         position: { x: Math.round(minion.x), y: Math.round(minion.y) },
       });
     }
+
+    return minion;
   }
 
-  pickMinionType() {
-    if (!this.minionTypes.length) {
+  pickMinionType(types = this.minionTypes) {
+    if (!types.length) {
       return null;
     }
 
     if (this.minionRandom && typeof this.minionRandom.int === 'function') {
-      const index = this.minionRandom.int(0, this.minionTypes.length - 1);
-      return this.minionTypes[index] || null;
+      const index = this.minionRandom.int(0, types.length - 1);
+      return types[index] || null;
     }
 
-    const index = Math.floor(Math.random() * this.minionTypes.length);
-    return this.minionTypes[index] || null;
+    const index = Math.floor(Math.random() * types.length);
+    return types[index] || null;
   }
 
   resolvePlayerTarget() {
@@ -1058,25 +1135,14 @@ export class BossEnemy extends BaseEnemy {
     return { player, position: position || null };
   }
 
-  computeSpreadCooldown() {
-    const base = Math.max(0.6, this.spreadCooldown || 0);
-    return Math.max(
-      0.45,
-      base + this.sampleVariance(this.spreadCooldownVariance)
-    );
+  computeAttackCooldown(config = {}) {
+    const base = Math.max(0.45, config.cooldown || 0);
+    return Math.max(0.3, base + this.sampleVariance(config.variance));
   }
 
-  computeVolleyCooldown() {
-    const base = Math.max(0.45, this.volleyCooldown || 0);
-    return Math.max(
-      0.3,
-      base + this.sampleVariance(this.volleyCooldownVariance)
-    );
-  }
-
-  computeSpawnCooldown() {
-    const base = Math.max(1, this.spawnCooldown || 0);
-    return Math.max(0.75, base + this.sampleVariance(this.spawnVariance));
+  computeSpawnCooldown(minions = {}) {
+    const base = Math.max(1, minions.cooldown || 0);
+    return Math.max(0.75, base + this.sampleVariance(minions.variance));
   }
 
   sampleVariance(variance = 0) {
@@ -1097,9 +1163,9 @@ export class BossEnemy extends BaseEnemy {
     return (Math.random() * 2 - 1) * value;
   }
 
-  takeDamage(amount, source = null) {
+  takeDamage(amount, source = null, context = {}) {
     if (this.getComponent && this.getComponent('health')) {
-      return super.takeDamage(amount, source);
+      return super.takeDamage(amount, source, context);
     }
 
     if (!this.alive || this.invulnerable) {
@@ -1218,22 +1284,21 @@ export class BossEnemy extends BaseEnemy {
     this.applyPhaseLoadout(true);
     this.applyPhaseMovement(true);
 
-    this.invulnerable = true;
-    this.invulnerabilityTimer = this.invulnerabilityDuration || 0;
-    this.shieldImpactTimer = 0;
-    this.shieldImpactStrength = 0;
-
-    this.emitInvulnerabilityState(true, {
-      reason: 'phase-transition',
-      timer: this.invulnerabilityTimer,
-    });
+    const entryInvulnerability =
+      this._invulnerabilityOverride ??
+      this.getCurrentPhaseScript()?.invulnerability?.onEnter ??
+      this.invulnerabilityDuration;
+    if (entryInvulnerability > 0) {
+      this.invulnerable = true;
+      this.invulnerabilityTimer = entryInvulnerability;
+      this.shieldImpactTimer = 0;
+      this.shieldImpactStrength = 0;
 
-    this.spreadTimer = this.computeSpreadCooldown();
-    this.volleyTimer = this.computeVolleyCooldown();
-    this.spawnTimer = this.computeSpawnCooldown();
-    this.chargeTimer = this.chargeCooldown;
-    this.chargeState = 'idle';
-    this.chargeStateTimer = 0;
+      this.emitInvulnerabilityState(true, {
+        reason: 'phase-transition',
+        timer: this.invulnerabilityTimer,
+      });
+    }
 
     const eventBus = this.getEventBus();
     if (eventBus?.emit) {
@@ -1376,20 +1441,16 @@ export class BossEnemy extends BaseEnemy {
     this.phaseCount = BOSS_DEFAULTS.phaseCount ?? 3;
     this.nextPhaseIndex = 0;
     this._phaseThresholdMaxHealth = null;
-    this.weaponPattern = null;
-    this.weaponPatterns = null;
+    this.archetype = null;
+    this.phaseScripts = [];
     this.movementConfig = null;
-    this.movementPhases = null;
     this._lastMovementPhase = null;
+    this._lastLoadoutPhase = null;
 
-    this.spreadTimer = 0;
-    this.volleyTimer = 0;
-    this.volleyShotTimer = 0;
-    this.volleyShotsRemaining = 0;
+    this.attackStates = [];
     this.spawnTimer = 0;
-    this.chargeTimer = 0;
-    this.chargeState = 'idle';
-    this.chargeStateTimer = 0;
+    this.spawnedMinions = [];
+    this.invulnerabilityWindowTimer = 0;
 
     this.invulnerable = false;
     this.invulnerabilityTimer = 0;
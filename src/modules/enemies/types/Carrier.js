@@ -0,0 +1,337 @@
+import {
+  CARRIER_COMPONENTS,
+  CARRIER_CONFIG,
+} from '../../../data/enemies/carrier.js';
+import { ENEMY_EFFECT_COLORS } from '../../../core/GameConstants.js';
+import RandomService from '../../../core/RandomService.js';
+import { BaseEnemy } from '../base/BaseEnemy.js';
+import { NeonGraphics } from '../../../utils/NeonGraphics.js';
+
+const CARRIER_DEFAULTS = CARRIER_CONFIG ?? {};
+
+// Angular spacing between drones launched in the same volley
+const LAUNCH_SPREAD = 0.5;
+
+/**
+ * Slow, armored enemy that shields its bow and launches drones from a
+ * stern hangar.
+ *
+ * The shield itself lives in the collision component (`shieldArc`); the
+ * carrier only turns `shieldAngle` toward the player, slower than the
+ * player can circle around it, so flanking is the way in. Launched drones
+ * are registered as dynamic minions and, optionally, self-destruct when
+ * the carrier dies.
+ */
+export class Carrier extends BaseEnemy {
+  constructor(system, config = {}) {
+    super(system, config);
+    this.type = 'carrier';
+
+    this.random = null;
+    this.maneuverRandom = null;
+
+    this.applyCarrierDefaults();
+
+    this.orbitDirection = 1;
+    this.destroyed = false;
+    this.shieldAngle = this.rotation;
+    this.launchTimer = this.launchInterval;
+    this.hangarDrones = new Set();
+    this.movementStrategy = 'orbit';
+    this.renderStrategy = 'procedural-diamond';
+    this.useComponents = false;
+
+    if (Object.keys(config).length > 0) {
+      this.initialize(config);
+    }
+  }
+
+  applyCarrierDefaults(config = {}) {
+    this.preferredDistance =
+      config.preferredDistance ?? CARRIER_DEFAULTS.preferredDistance ?? 320;
+    this.maxSpeed = config.maxSpeed ?? CARRIER_DEFAULTS.speed ?? 40;
+    this.acceleration =
+      config.acceleration ?? CARRIER_DEFAULTS.acceleration ?? 60;
+    this.shieldArc =
+      config.shieldArc ?? CARRIER_DEFAULTS.shieldArc ?? (Math.PI * 2) / 3;
+    this.shieldTurnRate =
+      config.shieldTurnRate ?? CARRIER_DEFAULTS.shieldTurnRate ?? 0.9;
+    this.launchInterval =
+      config.launchInterval ?? CARRIER_DEFAULTS.launchInterval ?? 7;
+    this.dronesPerLaunch =
+      config.dronesPerLaunch ?? CARRIER_DEFAULTS.dronesPerLaunch ?? 2;
+    this.maxActiveDrones =
+      config.maxActiveDrones ?? CARRIER_DEFAULTS.maxActiveDrones ?? 6;
+    this.launchSpeed =
+      config.launchSpeed ?? CARRIER_DEFAULTS.launchSpeed ?? 120;
+    this.selfDestructDrones =
+      config.selfDestructDrones ?? CARRIER_DEFAULTS.selfDestructDrones ?? true;
+  }
+
+  initialize(config = {}) {
+    this.resetForPool();
+    super.initialize(config);
+
+    const componentConfig = config.components ?? CARRIER_COMPONENTS;
+    if (componentConfig) {
+      this.movementStrategy = componentConfig?.movement?.strategy || 'orbit';
+      this.renderStrategy =
+        componentConfig?.render?.strategy || 'procedural-diamond';
+    }
+
+    this.radius = config.radius ?? CARRIER_DEFAULTS.radius ?? 30;
+    this.maxHealth =
+      config.maxHealth ?? config.health ?? CARRIER_DEFAULTS.health ?? 260;
+    this.health = config.health ?? this.maxHealth;
+
+    this.applyCarrierDefaults(config);
+
+    this.random = this.resolveRandom({ ...config, id: this.id });
+    this.maneuverRandom = this.random?.fork
+      ? this.random.fork('carrier:maneuver')
+      : this.random;
+
+    this.orbitDirection = config.orbitDirection ?? this.randomDirection();
+    this.destroyed = false;
+    this.shieldAngle = Number.isFinite(config.shieldAngle)
+      ? config.shieldAngle
+      : this.rotation || 0;
+    // First volley comes at half the interval so the carrier announces itself
+    this.launchTimer = this.launchInterval * 0.5;
+
+    return this;
+  }
+
+  resolveRandom(config = {}) {
+    if (config.random && typeof config.random.float === 'function') {
+      return config.random;
+    }
+
+    if (this.system && typeof this.system.getRandomScope === 'function') {
+      const scope = config.randomScope || 'carrier';
+      const generator = this.system.getRandomScope(scope, {
+        parentScope: config.randomParentScope || 'spawn',
+        label: `enemy:${this.type}:${config.id || this.id || 'spawn'}`,
+      });
+
+      if (generator && typeof generator.fork === 'function') {
+        return generator.fork(`${this.type}:core`);
+      }
+
+      return generator || null;
+    }
+
+    return new RandomService(`enemy:${this.type}`);
+  }
+
+  randomDirection() {
+    const randomSource = this.maneuverRandom || this.random;
+    if (randomSource && typeof randomSource.chance === 'function') {
+      return randomSource.chance(0.5) ? 1 : -1;
+    }
+    return 1;
+  }
+
+  onUpdate(deltaTime) {
+    if (!Number.isFinite(deltaTime) || deltaTime <= 0) {
+      return;
+    }
+
+    const player = this.system?.getCachedPlayer?.();
+    const target = player?.position;
+    if (!target || !Number.isFinite(target.x) || !Number.isFinite(target.y)) {
+      return;
+    }
+
+    this.turnShieldToward(target, deltaTime);
+
+    this.launchTimer -= deltaTime;
+    if (this.launchTimer <= 0) {
+      this.launchTimer = this.launchInterval;
+      this.launchDrones();
+    }
+  }
+
+  /**
+   * Rotates the shield toward a point, capped by `shieldTurnRate`.
+   *
+   * @param {{x: number, y: number}} target
+   * @param {number} deltaTime
+   */
+  turnShieldToward(target, deltaTime) {
+    const desired = Math.atan2(target.y - this.y, target.x - this.x);
+    const current = this.shieldAngle ?? 0;
+    const delta = Math.atan2(
+      Math.sin(desired - current),
+      Math.cos(desired - current)
+    );
+    const maxStep = this.shieldTurnRate * deltaTime;
+    this.shieldAngle = current + Math.max(-maxStep, Math.min(maxStep, delta));
+  }
+
+  /**
+   * @returns {number} Launched drones that are still alive and bound to this carrier
+   */
+  getActiveDroneCount() {
+    this.hangarDrones.forEach((drone) => {
+      if (!drone.alive || drone.destroyed || drone.spawnedBy !== this.id) {
+        this.hangarDrones.delete(drone);
+      }
+    });
+    return this.hangarDrones.size;
+  }
+
+  /**
+   * Launches a volley of drones out of the stern hangar, away from the
+   * shield, up to `maxActiveDrones`.
+   *
+   * @returns {Array<Object>} Drones spawned by this volley
+   */
+  launchDrones() {
+    const system = this.system;
+    if (typeof system?.acquireEnemyViaFactory !== 'function') {
+      return [];
+    }
+
+    const count = Math.min(
+      this.dronesPerLaunch,
+      this.maxActiveDrones - this.getActiveDroneCount()
+    );
+
+    const drones = [];
+    for (let i = 0; i < count; i += 1) {
+      const angle =
+        this.shieldAngle + Math.PI + (i - (count - 1) / 2) * LAUNCH_SPREAD;
+      const drone = system.acquireEnemyViaFactory('drone', {
+        x: this.x + Math.cos(angle) * this.radius,
+        y: this.y + Math.sin(angle) * this.radius,
+        vx: this.vx + Math.cos(angle) * this.launchSpeed,
+        vy: this.vy + Math.sin(angle) * this.launchSpeed,
+        wave: this.wave,
+        spawnedBy: this.id,
+        eliteAffixes: [],
+      });
+      if (!drone) continue;
+
+      drone.spawnSource = 'carrier-hangar';
+      this.hangarDrones.add(drone);
+      system.waveManager?.registerDynamicMinion?.(drone, {
+        sourceId: this.id,
+        minionType: 'drone',
+      });
+      drones.push(drone);
+    }
+    return drones;
+  }
+
+  /**
+   * Destroys every drone still bound to this carrier. Self-destructed drones
+   * grant no rewards.
+   *
+   * @returns {number} Number of drones destroyed
+   */
+  selfDestructHangarDrones() {
+    const drones = Array.from(this.hangarDrones);
+    this.hangarDrones.clear();
+
+    let destroyed = 0;
+    drones.forEach((drone) => {
+      if (!drone.alive || drone.destroyed || drone.spawnedBy !== this.id) {
+        return;
+      }
+      const lethal =
+        (drone.health ?? 0) + (drone.shields ?? 0) + (drone.armor ?? 0) + 1;
+      drone.takeDamage(
+        lethal,
+        { id: this.id, type: this.type, cause: 'self-destruct' },
+        { cause: 'self-destruct', skipRewards: true }
+      );
+      destroyed += 1;
+    });
+    return destroyed;
+  }
+
+  draw(ctx) {
+    if (!ctx) return;
+
+    const colors = ENEMY_EFFECT_COLORS.carrier;
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.shieldAngle ?? this.rotation);
+
+    // Broad hull with a notched hangar at the stern
+    const path = new Path2D();
+    const r = this.radius;
+    path.moveTo(r * 0.9, 0);
+    path.lineTo(r * 0.2, r * 0.75);
+    path.lineTo(-r, r * 0.55);
+    path.lineTo(-r * 0.7, 0);
+    path.lineTo(-r, -r * 0.55);
+    path.lineTo(r * 0.2, -r * 0.75);
+    path.closePath();
+
+    NeonGraphics.drawShape(ctx, path, colors.body, 2.0);
+
+    // Frontal shield arc
+    const halfArc = this.shieldArc / 2;
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.strokeStyle = colors.shield;
+    ctx.globalAlpha = 0.75;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(0, 0, r + 6, -halfArc, halfArc);
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  onDraw(ctx) {
+    if (!this.useComponents || !this.components?.size) {
+      // Fallback: Generate payload without components (for testing)
+      return {
+        type: 'carrier',
+        id: this.id,
+        x: this.x,
+        y: this.y,
+        radius: this.radius,
+        rotation: this.rotation || 0,
+        shieldAngle: this.shieldAngle || 0,
+        shieldArc: this.shieldArc,
+        colors: {
+          body: ENEMY_EFFECT_COLORS.carrier.body,
+          shield: ENEMY_EFFECT_COLORS.carrier.shield,
+        },
+      };
+    }
+
+    // RenderComponent handles drawing via BaseEnemy.draw()
+    return;
+  }
+
+  onDestroyed(source, context = {}) {
+    this.destroyed = true;
+    super.onDestroyed(source, context);
+
+    if (this.selfDestructDrones) {
+      this.selfDestructHangarDrones();
+    }
+  }
+
+  resetForPool() {
+    super.resetForPool();
+
+    this.random = null;
+    this.maneuverRandom = null;
+
+    this.applyCarrierDefaults();
+
+    this.orbitDirection = 1;
+    this.destroyed = false;
+    this.shieldAngle = 0;
+    this.launchTimer = this.launchInterval;
+    this.hangarDrones?.clear();
+  }
+}
+
+export default Carrier;
@@ -180,7 +180,12 @@ export class Mine extends BaseEnemy {
     this.detonated = true;
     this.explosionCause = { cause, context: resolvedContext };
 
-    const lethalDamage = Math.max(1, this.health || this.maxHealth || 1);
+    // Enough to get through armor and an elite shield too: a detonated mine
+    // that survived its own blast would sit inert forever.
+    const lethalDamage =
+      Math.max(1, this.health || this.maxHealth || 1) +
+      Math.max(0, this.shields || 0) +
+      Math.max(0, this.armor || 0);
     this.takeDamage(lethalDamage, {
       cause: 'mine-detonation',
       reason: cause,
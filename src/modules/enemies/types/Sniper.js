@@ -0,0 +1,231 @@
+import {
+  SNIPER_COMPONENTS,
+  SNIPER_CONFIG,
+} from '../../../data/enemies/sniper.js';
+import { ENEMY_EFFECT_COLORS } from '../../../core/GameConstants.js';
+import RandomService from '../../../core/RandomService.js';
+import { BaseEnemy } from '../base/BaseEnemy.js';
+import { NeonGraphics } from '../../../utils/NeonGraphics.js';
+
+const SNIPER_DEFAULTS = SNIPER_CONFIG ?? {};
+
+/**
+ * Long-range enemy that keeps its distance and fires a hitscan beam.
+ *
+ * Firing is driven by the WeaponComponent 'beam' pattern, which keeps the
+ * charge state in `weaponState`; the sniper only reads it to draw the aim
+ * line that telegraphs the shot.
+ */
+export class Sniper extends BaseEnemy {
+  constructor(system, config = {}) {
+    super(system, config);
+    this.type = 'sniper';
+
+    this.random = null;
+    this.maneuverRandom = null;
+
+    this.preferredDistance = SNIPER_DEFAULTS.preferredDistance ?? 430;
+    this.maxSpeed = SNIPER_DEFAULTS.speed ?? 90;
+    this.acceleration = SNIPER_DEFAULTS.acceleration ?? 160;
+    this.beamDamage = SNIPER_DEFAULTS.beamDamage ?? 28;
+    this.fireRange = SNIPER_DEFAULTS.fireRange ?? 680;
+
+    this.orbitDirection = 1;
+    this.destroyed = false;
+    this.turretAngle = this.rotation;
+    this.weaponState = {};
+    this.movementStrategy = 'orbit';
+    this.renderStrategy = 'procedural-diamond';
+    this.useComponents = false;
+
+    if (Object.keys(config).length > 0) {
+      this.initialize(config);
+    }
+  }
+
+  initialize(config = {}) {
+    this.resetForPool();
+    super.initialize(config);
+
+    const componentConfig = config.components ?? SNIPER_COMPONENTS;
+    if (componentConfig) {
+      this.weaponState = this.weaponState || {};
+      this.movementStrategy = componentConfig?.movement?.strategy || 'orbit';
+      this.renderStrategy =
+        componentConfig?.render?.strategy || 'procedural-diamond';
+      this.weaponPattern =
+        componentConfig?.weapon?.pattern || this.weaponPattern;
+    }
+
+    this.radius = config.radius ?? SNIPER_DEFAULTS.radius ?? 14;
+    this.maxHealth =
+      config.maxHealth ?? config.health ?? SNIPER_DEFAULTS.health ?? 36;
+    this.health = config.health ?? this.maxHealth;
+
+    this.preferredDistance =
+      config.preferredDistance ?? SNIPER_DEFAULTS.preferredDistance ?? 430;
+    this.maxSpeed = config.maxSpeed ?? SNIPER_DEFAULTS.speed ?? 90;
+    this.acceleration =
+      config.acceleration ?? SNIPER_DEFAULTS.acceleration ?? 160;
+    this.beamDamage = config.beamDamage ?? SNIPER_DEFAULTS.beamDamage ?? 28;
+    this.fireRange = config.fireRange ?? SNIPER_DEFAULTS.fireRange ?? 680;
+
+    this.random = this.resolveRandom({ ...config, id: this.id });
+    this.maneuverRandom = this.random?.fork
+      ? this.random.fork('sniper:maneuver')
+      : this.random;
+
+    this.orbitDirection = config.orbitDirection ?? this.randomDirection();
+    this.destroyed = false;
+    this.turretAngle = Number.isFinite(config.turretAngle)
+      ? config.turretAngle
+      : this.rotation || 0;
+
+    return this;
+  }
+
+  resolveRandom(config = {}) {
+    if (config.random && typeof config.random.float === 'function') {
+      return config.random;
+    }
+
+    if (this.system && typeof this.system.getRandomScope === 'function') {
+      const scope = config.randomScope || 'sniper';
+      const generator = this.system.getRandomScope(scope, {
+        parentScope: config.randomParentScope || 'spawn',
+        label: `enemy:${this.type}:${config.id || this.id || 'spawn'}`,
+      });
+
+      if (generator && typeof generator.fork === 'function') {
+        return generator.fork(`${this.type}:core`);
+      }
+
+      return generator || null;
+    }
+
+    return new RandomService(`enemy:${this.type}`);
+  }
+
+  randomDirection() {
+    const randomSource = this.maneuverRandom || this.random;
+    if (randomSource && typeof randomSource.chance === 'function') {
+      return randomSource.chance(0.5) ? 1 : -1;
+    }
+    return 1;
+  }
+
+  /**
+   * @returns {number} Charge progress of the pending beam (0-1), 0 when idle
+   */
+  getBeamChargeProgress() {
+    const state = this.weaponState;
+    if (!state?.charging || !(state.chargeTime > 0)) {
+      return 0;
+    }
+    return Math.min(1, (state.chargeTimer ?? 0) / state.chargeTime);
+  }
+
+  draw(ctx) {
+    if (!ctx) return;
+
+    this.drawAimLine(ctx);
+
+    ctx.save();
+    ctx.translate(this.x, this.y);
+    ctx.rotate(this.turretAngle ?? this.rotation);
+
+    // Long lance shape for Sniper
+    const path = new Path2D();
+    const r = this.radius;
+    path.moveTo(r * 1.5, 0);
+    path.lineTo(-r * 0.4, r * 0.55);
+    path.lineTo(-r, 0);
+    path.lineTo(-r * 0.4, -r * 0.55);
+    path.closePath();
+
+    NeonGraphics.drawShape(ctx, path, ENEMY_EFFECT_COLORS.sniper.body, 2.0);
+
+    ctx.restore();
+  }
+
+  /**
+   * Telegraph for the charging beam: a dashed line that tracks the player,
+   * turning solid once the aim locks.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawAimLine(ctx) {
+    const progress = this.getBeamChargeProgress();
+    if (progress <= 0) {
+      return;
+    }
+
+    const state = this.weaponState;
+    const angle = state.aimAngle ?? this.turretAngle ?? 0;
+    const range = state.beamRange ?? this.fireRange;
+    const colors = ENEMY_EFFECT_COLORS.sniper;
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    ctx.strokeStyle = state.locked ? colors.aimLocked : colors.aimLine;
+    ctx.globalAlpha = 0.25 + progress * 0.6;
+    ctx.lineWidth = state.locked ? 2 : 1;
+    ctx.setLineDash(state.locked ? [] : [10, 8]);
+    ctx.beginPath();
+    ctx.moveTo(this.x, this.y);
+    ctx.lineTo(
+      this.x + Math.cos(angle) * range,
+      this.y + Math.sin(angle) * range
+    );
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  onDraw(ctx) {
+    if (!this.useComponents || !this.components?.size) {
+      // Fallback: Generate payload without components (for testing)
+      return {
+        type: 'sniper',
+        id: this.id,
+        x: this.x,
+        y: this.y,
+        radius: this.radius,
+        rotation: this.rotation || 0,
+        turretAngle: this.turretAngle || 0,
+        chargeProgress: this.getBeamChargeProgress(),
+        colors: {
+          body: ENEMY_EFFECT_COLORS.sniper.body,
+          aimLine: ENEMY_EFFECT_COLORS.sniper.aimLine,
+        },
+      };
+    }
+
+    // RenderComponent handles drawing via BaseEnemy.draw()
+    return;
+  }
+
+  onDestroyed(source, context = {}) {
+    this.destroyed = true;
+    super.onDestroyed(source, context);
+  }
+
+  resetForPool() {
+    super.resetForPool();
+
+    this.random = null;
+    this.maneuverRandom = null;
+
+    this.preferredDistance = SNIPER_DEFAULTS.preferredDistance ?? 430;
+    this.maxSpeed = SNIPER_DEFAULTS.speed ?? 90;
+    this.acceleration = SNIPER_DEFAULTS.acceleration ?? 160;
+    this.beamDamage = SNIPER_DEFAULTS.beamDamage ?? 28;
+    this.fireRange = SNIPER_DEFAULTS.fireRange ?? 680;
+
+    this.orbitDirection = 1;
+    this.destroyed = false;
+    this.turretAngle = 0;
+    this.weaponState = {};
+  }
+}
+
+export default Sniper;
@@ -1,5 +1,7 @@
 // src/modules/ui/AAAHudLayout.js
 
+import { formatScore } from './LeaderboardOverlay.js';
+
 export class AAAHudLayout {
   constructor() {
     this._mounted = false;
@@ -11,6 +13,10 @@ export class AAAHudLayout {
     this._bossCriticalTimeout = null;
     this._bossPhaseMarkers = [];
     this._lastBossPhaseMarkerCount = null;
+    this._lastModifierKey = null;
+    this._lastSecondaryWeaponKey = null;
+    this._lastAbilityKey = null;
+    this._lastHazardAlertKey = null;
   }
 
   mount(container) {
@@ -84,6 +90,10 @@ export class AAAHudLayout {
     this._lastBossHealthPercent = null;
     this._bossPhaseMarkers = [];
     this._lastBossPhaseMarkerCount = null;
+    this._lastModifierKey = null;
+    this._lastSecondaryWeaponKey = null;
+    this._lastAbilityKey = null;
+    this._lastHazardAlertKey = null;
   }
 
   _cacheElements() {
@@ -97,8 +107,17 @@ export class AAAHudLayout {
 
     this.els = {
       timer: query('#ui-timer'),
+      score: query('#ui-score'),
       kills: query('#ui-kills'),
       combo: query('#ui-combo'),
+      modifiers: query('#ui-modifiers'),
+      modifierList: query('#ui-modifier-list'),
+      modifierScore: query('#ui-modifier-score'),
+      weaponMsg: query('#ui-weapon-msg'),
+      weaponIcon: query('#ui-weapon-icon'),
+      weaponName: query('#ui-weapon-name'),
+      weaponCooldown: query('#ui-weapon-cooldown'),
+      abilityBar: query('#ui-ability-bar'),
       bossPanel: query('#ui-boss-panel'),
       bossName: query('#ui-boss-name'),
       bossFill: query('#ui-boss-fill'),
@@ -117,6 +136,8 @@ export class AAAHudLayout {
       vel: query('#ui-velocity'),
       nextWaveBox: query('#el-wave-alert'),
       nextWaveTimer: query('#ui-next-wave-timer'),
+      hazardAlert: query('#ui-hazard-alert'),
+      hazardText: query('#ui-hazard-text'),
     };
   }
 
@@ -155,6 +176,114 @@ export class AAAHudLayout {
     if (combo !== undefined) this.els.combo.innerText = 'x' + combo;
   }
 
+  /** Atualiza a pontuação da run */
+  updateScore(score) {
+    if (!this.els || !this.els.score) {
+      return;
+    }
+
+    const text = formatScore(score);
+    if (this.els.score.innerText !== text) {
+      this.els.score.innerText = text;
+    }
+  }
+
+  /** Atualiza modificadores de run ativos e o multiplicador de pontuação */
+  updateModifiers(names, scoreMultiplier) {
+    if (!this.els || !this.els.modifiers) {
+      return;
+    }
+
+    const list = Array.isArray(names) ? names : [];
+    const multiplier = Number.isFinite(scoreMultiplier) ? scoreMultiplier : 1;
+    const key = `${list.join('|')}:${multiplier}`;
+    if (key === this._lastModifierKey) {
+      return;
+    }
+    this._lastModifierKey = key;
+
+    this.els.modifiers.classList.toggle('visible', list.length > 0);
+    this.els.modifierList.innerText = list.join(' · ');
+    this.els.modifierScore.innerText = `SCORE x${multiplier.toFixed(2)}`;
+  }
+
+  /** Atualiza o indicador da arma secundária e sua recarga */
+  updateSecondaryWeapon(state) {
+    if (!this.els || !this.els.weaponMsg) {
+      return;
+    }
+
+    const armed = Boolean(state);
+    const ratio = armed
+      ? Math.max(0, Math.min(1, Number(state.cooldownRatio) || 0))
+      : 0;
+    const key = armed ? `${state.id}:${Math.round(ratio * 50)}` : 'offline';
+    if (key === this._lastSecondaryWeaponKey) {
+      return;
+    }
+    this._lastSecondaryWeaponKey = key;
+
+    this.els.weaponMsg.classList.toggle('armed', armed);
+    this.els.weaponMsg.classList.toggle('ready', armed && ratio <= 0);
+    this.els.weaponIcon.innerText = armed ? state.icon || '' : '';
+    this.els.weaponName.innerText = armed
+      ? String(state.name || state.id).toUpperCase()
+      : 'OFFLINE';
+    this.els.weaponCooldown.style.width = armed
+      ? `${Math.round((1 - ratio) * 100)}%`
+      : '0%';
+  }
+
+  /** Atualiza os slots de habilidades ativas, suas cargas e recargas */
+  updateAbilities(states) {
+    if (!this.els || !this.els.abilityBar) {
+      return;
+    }
+
+    const slots = Array.isArray(states)
+      ? states.filter((state) => state.unlocked)
+      : [];
+    const key = slots
+      .map(
+        (state) =>
+          `${state.id}:${state.charges}:${Math.round(state.cooldownRatio * 20)}`
+      )
+      .join('|');
+    if (key === this._lastAbilityKey) {
+      return;
+    }
+    this._lastAbilityKey = key;
+
+    const bar = this.els.abilityBar;
+    bar.innerHTML = '';
+    slots.forEach((state) => {
+      const slot = document.createElement('div');
+      slot.className = 'ability-slot';
+      slot.classList.toggle('ready', state.charges > 0);
+      slot.title = state.name;
+      slot.style.setProperty('--ability-color', state.color);
+
+      const icon = document.createElement('span');
+      icon.className = 'ability-icon';
+      icon.innerText = state.icon;
+      slot.appendChild(icon);
+
+      if (state.maxCharges > 1) {
+        const charges = document.createElement('span');
+        charges.className = 'ability-charges';
+        charges.innerText = String(state.charges);
+        slot.appendChild(charges);
+      }
+
+      const cooldown = document.createElement('div');
+      cooldown.className = 'ability-cooldown';
+      cooldown.style.height = `${Math.round(state.cooldownRatio * 100)}%`;
+      slot.appendChild(cooldown);
+
+      bar.appendChild(slot);
+    });
+  }
+
   /** Atualiza telemetria de navega‡Æo */
   updateTelemetry(x, y, speed) {
     if (!this.els) {
@@ -427,9 +556,28 @@ export class AAAHudLayout {
     nextWaveTimer.innerText = safeSeconds;
   }
 
+  /**
+   * Atualiza o alerta de hazard ambiental (flare chegando, nebulosa...)
+   * @param {{label: string}|null} alert - null esconde o alerta
+   */
+  updateHazardAlert(alert) {
+    if (!this.els || !this.els.hazardAlert) {
+      return;
+    }
+
+    const label = alert?.label ? String(alert.label).toUpperCase() : '';
+    if (label === this._lastHazardAlertKey) {
+      return;
+    }
+    this._lastHazardAlertKey = label;
+
+    this.els.hazardAlert.classList.toggle('visible', Boolean(label));
+    this.els.hazardText.innerText = label;
+  }
+
   /**
    * Atualiza Radar
-   * @param {Array} blips - [{x: -1..1, y: -1..1, type: 'enemy'|'ally'}]
+   * @param {Array} blips - [{x: -1..1, y: -1..1, type: 'enemy'|'boss'|'hazard'}]
    */
   updateRadar(blips) {
     if (!this.els) {
@@ -452,6 +600,10 @@ export class AAAHudLayout {
             <!-- STATS (Top Left) -->
             <div class="stats-area hud-panel">
                 <div class="stats-grid">
+                    <div class="stat-block">
+                        <div class="stat-label"><i data-lucide="trophy" size="14"></i> SCORE</div>
+                        <div class="stat-value" id="ui-score">0</div>
+                    </div>
                     <div class="stat-block">
                         <div class="stat-label"><i data-lucide="clock" size="14"></i> TIME</div>
                         <div class="stat-value" id="ui-timer">00:00</div>
@@ -465,6 +617,11 @@ export class AAAHudLayout {
                     <div class="combo-label">COMBO</div>
                     <div class="combo-val" id="ui-combo">x0</div>
                 </div>
+                <div class="modifier-box" id="ui-modifiers">
+                    <div class="combo-label">MODIFIERS</div>
+                    <div class="modifier-list" id="ui-modifier-list"></div>
+                    <div class="modifier-score" id="ui-modifier-score">SCORE x1.00</div>
+                </div>
             </div>
 
             <!-- BOSS (Top Center) -->
@@ -511,15 +668,23 @@ export class AAAHudLayout {
                 <div class="next-wave-timer" id="ui-next-wave-timer">10</div>
             </div>
 
+            <!-- HAZARD ALERT (Center) -->
+            <div class="hazard-alert" id="ui-hazard-alert">
+                <span class="warning-light"><i data-lucide="alert-triangle" size="16"></i> <span id="ui-hazard-text"></span></span>
+            </div>
+
             <!-- VITALS (Bottom Left) -->
             <div class="status-area hud-panel">
                 <div class="locked-msg" id="ui-weapon-msg">
-                    <div style="color: var(--secondary-blue);"><i data-lucide="lock" size="24"></i></div>
+                    <div class="weapon-lock" style="color: var(--secondary-blue);"><i data-lucide="lock" size="24"></i></div>
+                    <div class="weapon-icon" id="ui-weapon-icon"></div>
                     <div>
-                        <div style="font-size:0.6rem; color:#88ccff; letter-spacing: 1px;">WEAPON SYSTEM</div>
-                        <div style="font-weight: bold; color: #fff;">LOCKED // LVL 5 REQ</div>
+                        <div style="font-size:0.6rem; color:#88ccff; letter-spacing: 1px;">SECONDARY WEAPON</div>
+                        <div style="font-weight: bold; color: #fff;" id="ui-weapon-name">OFFLINE</div>
+                        <div class="weapon-cooldown"><div class="weapon-cooldown-fill" id="ui-weapon-cooldown"></div></div>
                     </div>
                 </div>
+                <div class="ability-bar" id="ui-ability-bar"></div>
                 <div class="bars-container">
                     <div class="system-label" style="color: var(--secondary-blue)">❖ SHIELDS</div>
                     <div class="bar-wrapper" style="margin-bottom: 2px;">
@@ -608,6 +773,10 @@ export class AAAHudLayout {
             .combo-box { margin-top: 10px; opacity: 0.8; animation: pulse-text 2s infinite; }
             .combo-label { font-size: 0.9rem; color: var(--primary-cyan); letter-spacing: 2px; font-weight: 700; }
             .combo-val { font-size: 2.5rem; line-height: 0.8; font-family: 'Orbitron'; background: linear-gradient(to bottom, #fff, #ffae00); -webkit-background-clip: text; -webkit-text-fill-color: transparent; font-weight: 900; margin-left: -2px; }
+            .modifier-box { display: none; max-width: 240px; }
+            .modifier-box.visible { display: block; }
+            .modifier-list { font-size: 0.8rem; color: #fff; letter-spacing: 1px; line-height: 1.4; }
+            .modifier-score { font-family: 'Orbitron'; font-size: 0.9rem; color: #ffae00; margin-top: 2px; }
             
             /* BOSS */
             .boss-area { grid-column: 2; display: flex; flex-direction: column; align-items: center; padding-top: 20px; opacity: 0; transition: opacity 0.5s; }
@@ -641,6 +810,7 @@ export class AAAHudLayout {
             .blip { position: absolute; border-radius: 50%; transform: translate(-50%, -50%); transition: top 0.1s, left 0.1s; box-shadow: 0 0 8px 2px currentColor; }
             .blip.enemy { width: 6px; height: 6px; background: var(--danger-red); color: var(--danger-red); }
             .blip.boss { width: 10px; height: 10px; background: #fff; color: #fff; box-shadow: 0 0 14px 4px rgba(255, 255, 255, 0.9), 0 0 30px rgba(255, 0, 60, 0.8); animation: boss-blip 1.2s ease-in-out infinite; }
+            .blip.hazard { width: 9px; height: 9px; background: transparent; border: 1px solid #B388FF; color: #B388FF; opacity: 0.8; }
             .blip.player { top: 50%; left: 50%; width: 8px; height: 8px; background: #fff; border: 1px solid var(--primary-cyan); color: #fff; z-index: 15; box-shadow: 0 0 12px 4px rgba(255, 255, 255, 0.8); }
 
             /* NEXT WAVE */
@@ -649,10 +819,24 @@ export class AAAHudLayout {
             .next-wave-label { font-size: 1.4rem; color: var(--danger-red); letter-spacing: 6px; font-weight: 900; margin: 0; text-transform: uppercase; text-shadow: 0 0 15px rgba(0, 0, 0, 0.9), 0 0 5px var(--danger-red); line-height: 1.2; }
             .next-wave-timer { font-size: 4rem; line-height: 1; color: #fff; font-weight: 900; text-shadow: 0 0 20px var(--danger-red), 2px 2px 0 #000; margin-top: 10px; }
             .next-wave-box.visible .next-wave-timer { animation: alert-pulse 1s cubic-bezier(0.4, 0, 0.6, 1) infinite; }
+            .hazard-alert { position: absolute; top: 22%; left: 0; width: 100%; display: flex; justify-content: center; font-family: 'Orbitron'; opacity: 0; transition: opacity 0.3s; pointer-events: none; z-index: 100; }
+            .hazard-alert.visible { opacity: 1; }
             
             /* VITALS */
             .status-area { grid-row: 3; display: flex; flex-direction: column; justify-content: flex-end; padding-bottom: 20px; padding-left: 20px; }
             .locked-msg { border-left: 3px solid var(--secondary-blue); background: linear-gradient(90deg, rgba(0,170,255,0.15), transparent); padding: 8px 15px; margin-bottom: 25px; width: 220px; font-size: 0.9rem; display: flex; align-items: center; gap: 15px; }
+            .locked-msg .weapon-icon { display: none; font-size: 1.4rem; }
+            .locked-msg.armed .weapon-lock { display: none; }
+            .locked-msg.armed .weapon-icon { display: block; }
+            .weapon-cooldown { height: 3px; width: 140px; margin-top: 4px; background: rgba(255,255,255,0.1); }
+            .weapon-cooldown-fill { height: 100%; width: 0%; background: var(--secondary-blue); }
+            .locked-msg.ready .weapon-cooldown-fill { background: #ffae00; box-shadow: 0 0 6px #ffae00; }
+            .ability-bar { display: flex; gap: 8px; margin-bottom: 18px; }
+            .ability-slot { --ability-color: var(--secondary-blue); position: relative; width: 40px; height: 40px; display: flex; align-items: center; justify-content: center; border: 1px solid var(--ability-color); background: rgba(0, 20, 40, 0.6); opacity: 0.55; overflow: hidden; }
+            .ability-slot.ready { opacity: 1; box-shadow: 0 0 8px var(--ability-color); }
+            .ability-icon { font-size: 1.2rem; z-index: 1; }
+            .ability-charges { position: absolute; right: 2px; bottom: 0; font-family: 'Orbitron'; font-size: 0.65rem; color: #fff; z-index: 1; }
+            .ability-cooldown { position: absolute; left: 0; bottom: 0; width: 100%; background: rgba(0, 0, 0, 0.65); }
             .bars-container { transform: skewX(-15deg); }
             .bar-wrapper { display: flex; align-items: center; margin-bottom: 2px; }
             .health-bar-row { display: flex; height: 20px; gap: 4px; flex-grow: 1; min-width: 180px; }
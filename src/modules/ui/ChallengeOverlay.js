@@ -0,0 +1,286 @@
+// src/modules/ui/ChallengeOverlay.js
+
+import {
+  describeRunHull,
+  describeRunModifiers,
+  formatRunDuration,
+  formatScore,
+} from './LeaderboardOverlay.js';
+
+/**
+ * Main-menu overlay for the daily and weekly seeded challenges: shows the
+ * current challenge, launches it, shares it as a code and lists past scored
+ * results.
+ *
+ * UISystem owns the instance and routes `challenge-menu-requested` to
+ * open()/close(); it re-renders on `challenge-result-recorded`.
+ */
+export class ChallengeOverlay {
+  /**
+   * @param {Object} options
+   * @param {Object} options.refs - DOM nodes cached by UISystem
+   * @param {Function} options.getChallengeService - Returns the challenge service
+   * @param {Function} [options.emit] - Event bus emit, used for overlay events
+   */
+  constructor({ refs = {}, getChallengeService, emit } = {}) {
+    this.refs = refs;
+    this.getChallengeService =
+      typeof getChallengeService === 'function'
+        ? getChallengeService
+        : () => null;
+    this.emit = typeof emit === 'function' ? emit : () => {};
+    this.isOpen = false;
+    this.triggerId = null;
+    this.period = 'daily';
+    this.importedChallenge = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  bind() {
+    const {
+      overlay,
+      closeButtons,
+      periodButtons,
+      playButton,
+      shareButton,
+      importButton,
+    } = this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        this.close({ restoreFocus: true });
+      }
+    });
+
+    (closeButtons || []).forEach((button) => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.close({ restoreFocus: true });
+      });
+    });
+
+    (periodButtons || []).forEach((button) => {
+      button.addEventListener('click', () => {
+        this.period = button.dataset.period === 'weekly' ? 'weekly' : 'daily';
+        this.importedChallenge = null;
+        this.setCodeStatus('');
+        this.render();
+      });
+    });
+
+    playButton?.addEventListener('click', () => this.play());
+    shareButton?.addEventListener('click', () => this.shareCode());
+    importButton?.addEventListener('click', () => this.importCode());
+  }
+
+  open(triggerId = null) {
+    const { overlay, primaryAction } = this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    this.triggerId =
+      triggerId ||
+      (document.activeElement instanceof HTMLElement
+        ? document.activeElement.id || null
+        : null);
+    this.isOpen = true;
+    this.importedChallenge = null;
+    this.setCodeStatus('');
+    this.render();
+
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'challenge',
+      isOpen: true,
+      source: 'menu',
+    });
+
+    if (primaryAction instanceof HTMLElement) {
+      primaryAction.focus();
+    }
+  }
+
+  close({ restoreFocus = false } = {}) {
+    const { overlay } = this.refs;
+    if (!this.isOpen) {
+      this.triggerId = null;
+      return;
+    }
+
+    if (restoreFocus && this.triggerId) {
+      const trigger = document.getElementById(this.triggerId);
+      if (trigger instanceof HTMLElement) {
+        trigger.focus();
+      }
+    }
+
+    if (overlay) {
+      overlay.classList.add('hidden');
+      overlay.setAttribute('aria-hidden', 'true');
+    }
+
+    this.isOpen = false;
+    this.triggerId = null;
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'challenge',
+      isOpen: false,
+      source: 'menu',
+    });
+  }
+
+  handleKeyDown(event) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      event.preventDefault();
+      this.close({ restoreFocus: true });
+    }
+  }
+
+  getShownChallenge() {
+    const service = this.getChallengeService();
+    if (!service) {
+      return null;
+    }
+
+    return this.importedChallenge || service.getChallenge(this.period);
+  }
+
+  render() {
+    const service = this.getChallengeService();
+    const challenge = this.getShownChallenge();
+    const { periodButtons, key, hull, modifiers, status, playButton } =
+      this.refs;
+    const period = challenge?.period || this.period;
+
+    (periodButtons || []).forEach((button) => {
+      const isActive = button.dataset.period === period;
+      button.classList.toggle('is-active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    if (!service || !challenge) {
+      return;
+    }
+
+    const isCurrent = service.isCurrentChallenge(challenge);
+    const scoredAvailable = isCurrent && !challenge.attemptUsed;
+
+    if (key) {
+      key.textContent = challenge.key;
+    }
+    if (hull) {
+      hull.textContent = describeRunHull(challenge.hullId);
+    }
+    if (modifiers) {
+      modifiers.textContent = describeRunModifiers(challenge.modifiers);
+    }
+    if (status) {
+      if (scoredAvailable) {
+        status.textContent = 'Scored attempt available.';
+      } else if (challenge.result) {
+        status.textContent = `Scored: ${formatScore(challenge.result.score)} points, wave ${challenge.result.wave}, ${challenge.result.kills} kills. Further runs are practice.`;
+      } else if (isCurrent) {
+        status.textContent = 'Attempt used. Further runs are practice.';
+      } else {
+        status.textContent = 'Shared challenge - practice run, not scored.';
+      }
+    }
+    if (playButton) {
+      playButton.textContent = scoredAvailable ? 'Launch' : 'Practice';
+    }
+
+    this.renderLeaderboard(service.getLeaderboard(period));
+  }
+
+  renderLeaderboard(entries) {
+    const { rows, empty } = this.refs;
+    if (!rows) {
+      return;
+    }
+
+    rows.innerHTML = '';
+    if (empty) {
+      empty.classList.toggle('hidden', entries.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    entries.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      [
+        String(index + 1),
+        entry.key.replace(/^(daily|weekly)-/, ''),
+        formatScore(entry.score),
+        String(entry.wave),
+        String(entry.kills),
+        String(entry.maxCombo),
+        formatRunDuration(entry.playTime),
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      fragment.appendChild(row);
+    });
+
+    rows.appendChild(fragment);
+  }
+
+  play() {
+    const service = this.getChallengeService();
+    const challenge = this.getShownChallenge();
+    if (!service || !challenge) {
+      return;
+    }
+
+    service.launch(challenge, { source: 'challenge-menu' });
+  }
+
+  shareCode() {
+    const service = this.getChallengeService();
+    const challenge = this.getShownChallenge();
+    const { codeField } = this.refs;
+    if (!service || !challenge || !codeField) {
+      return;
+    }
+
+    codeField.value = service.exportChallengeCode(challenge);
+    codeField.select?.();
+    this.setCodeStatus('Code ready - share it so others can play this run.');
+  }
+
+  importCode() {
+    const service = this.getChallengeService();
+    const { codeField } = this.refs;
+    if (!service || !codeField) {
+      return;
+    }
+
+    try {
+      this.importedChallenge = service.importChallengeCode(codeField.value);
+      this.setCodeStatus(`Loaded ${this.importedChallenge.key}.`);
+    } catch (error) {
+      console.warn('[ChallengeOverlay] Import rejected:', error);
+      this.setCodeStatus('That code could not be read.');
+    }
+    this.render();
+  }
+
+  setCodeStatus(message) {
+    if (this.refs.codeStatus) {
+      this.refs.codeStatus.textContent = message;
+    }
+  }
+}
+
+export default ChallengeOverlay;
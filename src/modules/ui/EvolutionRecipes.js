@@ -0,0 +1,82 @@
+// src/modules/ui/EvolutionRecipes.js
+
+const STATUS_LABELS = {
+  evolved: 'Evolved',
+  ready: 'Ready',
+  'in-progress': '',
+};
+
+/**
+ * Renders the evolution codex shown on the level-up and pause screens.
+ *
+ * Recipes come from ProgressionSystem.getEvolutionRecipes(). Undiscovered
+ * recipes hide the result behind "???" and the recipe hint; component
+ * progress is always shown so the player can plan toward it.
+ *
+ * @param {HTMLElement|null} container - Section that receives the list
+ * @param {Array<Object>} recipes
+ */
+export function renderEvolutionRecipes(container, recipes = []) {
+  if (!container) {
+    return;
+  }
+
+  const list = Array.isArray(recipes) ? recipes : [];
+  container.innerHTML = '';
+  container.hidden = list.length === 0;
+  if (!list.length) {
+    return;
+  }
+
+  const title = document.createElement('h3');
+  title.className = 'evolution-recipes__title';
+  title.textContent = 'Evolutions';
+  container.appendChild(title);
+
+  const items = document.createElement('ul');
+  items.className = 'evolution-recipes__list';
+
+  list.forEach((recipe) => {
+    const item = document.createElement('li');
+    item.className = 'evolution-recipe';
+    item.dataset.evolutionId = recipe.id;
+    item.dataset.status = recipe.status;
+    item.classList.toggle('is-discovered', Boolean(recipe.discovered));
+
+    const components = document.createElement('span');
+    components.className = 'evolution-recipe__components';
+    components.textContent = recipe.components
+      .map(
+        (component) =>
+          `${component.icon} ${component.name} ${component.level}/${component.maxLevel}`
+      )
+      .join(' + ');
+    item.appendChild(components);
+
+    const result = document.createElement('span');
+    result.className = 'evolution-recipe__result';
+    result.textContent = recipe.discovered
+      ? `→ ${recipe.icon} ${recipe.name}`
+      : '→ ???';
+    item.appendChild(result);
+
+    if (!recipe.discovered && recipe.hint) {
+      const hint = document.createElement('p');
+      hint.className = 'evolution-recipe__hint';
+      hint.textContent = recipe.hint;
+      item.appendChild(hint);
+    }
+
+    const statusLabel = STATUS_LABELS[recipe.status];
+    if (statusLabel) {
+      const status = document.createElement('span');
+      status.className = 'evolution-recipe__status';
+      status.textContent = statusLabel;
+      item.appendChild(status);
+    }
+
+    items.appendChild(item);
+  });
+
+  container.appendChild(items);
+}
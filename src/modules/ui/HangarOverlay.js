@@ -0,0 +1,236 @@
+// src/modules/ui/HangarOverlay.js
+
+const BLOCKED_REASON_LABELS = {
+  'requires-unlock': 'Requires previous unlock',
+  'insufficient-currency': 'Not enough salvage',
+};
+
+/**
+ * Main-menu overlay for spending salvage on the meta unlock tree and for
+ * moving progress between browsers with export/import codes.
+ *
+ * UISystem owns the instance and routes `hangar-menu-requested` to
+ * open()/close(); the overlay re-renders on `meta-progression-changed`.
+ */
+export class HangarOverlay {
+  /**
+   * @param {Object} options
+   * @param {Object} options.refs - DOM nodes cached by UISystem
+   * @param {Function} options.getMetaProgression - Returns the meta-progression service
+   * @param {Function} [options.emit] - Event bus emit, used for ui-hover and overlay events
+   */
+  constructor({ refs = {}, getMetaProgression, emit } = {}) {
+    this.refs = refs;
+    this.getMetaProgression =
+      typeof getMetaProgression === 'function'
+        ? getMetaProgression
+        : () => null;
+    this.emit = typeof emit === 'function' ? emit : () => {};
+    this.isOpen = false;
+    this.triggerId = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  bind() {
+    const { overlay, list, closeButtons, exportButton, importButton } =
+      this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        this.close({ restoreFocus: true });
+      }
+    });
+
+    (closeButtons || []).forEach((button) => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.close({ restoreFocus: true });
+      });
+    });
+
+    if (list) {
+      list.addEventListener('click', (event) => {
+        const button =
+          event.target instanceof Element
+            ? event.target.closest('[data-unlock-id]')
+            : null;
+        if (button instanceof HTMLButtonElement && !button.disabled) {
+          this.purchase(button.dataset.unlockId);
+        }
+      });
+    }
+
+    exportButton?.addEventListener('click', () => this.exportProgress());
+    importButton?.addEventListener('click', () => this.importProgress());
+  }
+
+  open(triggerId = null) {
+    const { overlay, primaryAction } = this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    this.triggerId =
+      triggerId ||
+      (document.activeElement instanceof HTMLElement
+        ? document.activeElement.id || null
+        : null);
+    this.isOpen = true;
+    this.setTransferStatus('');
+    this.render();
+
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'hangar',
+      isOpen: true,
+      source: 'menu',
+    });
+
+    if (primaryAction instanceof HTMLElement) {
+      primaryAction.focus();
+    }
+  }
+
+  close({ restoreFocus = false } = {}) {
+    const { overlay } = this.refs;
+    if (!this.isOpen) {
+      this.triggerId = null;
+      return;
+    }
+
+    if (restoreFocus && this.triggerId) {
+      const trigger = document.getElementById(this.triggerId);
+      if (trigger instanceof HTMLElement) {
+        trigger.focus();
+      }
+    }
+
+    if (overlay) {
+      overlay.classList.add('hidden');
+      overlay.setAttribute('aria-hidden', 'true');
+    }
+
+    this.isOpen = false;
+    this.triggerId = null;
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'hangar',
+      isOpen: false,
+      source: 'menu',
+    });
+  }
+
+  handleKeyDown(event) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      event.preventDefault();
+      this.close({ restoreFocus: true });
+    }
+  }
+
+  render() {
+    const { currency, list } = this.refs;
+    const meta = this.getMetaProgression();
+    if (!meta) {
+      return;
+    }
+
+    if (currency) {
+      currency.textContent = String(meta.getCurrency());
+    }
+
+    if (!list) {
+      return;
+    }
+
+    list.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+
+    meta.getUnlockTree().forEach((node) => {
+      const item = document.createElement('li');
+      item.className = 'hangar-unlock';
+      item.classList.toggle('is-unlocked', node.unlocked);
+
+      const name = document.createElement('h3');
+      name.className = 'hangar-unlock__name';
+      name.textContent = node.name;
+      item.appendChild(name);
+
+      const description = document.createElement('p');
+      description.className = 'hangar-unlock__description';
+      description.textContent = node.description;
+      item.appendChild(description);
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn--secondary hangar-unlock__action';
+      button.dataset.unlockId = node.id;
+      button.disabled = !node.purchasable;
+      button.textContent = node.unlocked ? 'Owned' : `Unlock · ${node.cost}`;
+      if (!node.unlocked && BLOCKED_REASON_LABELS[node.blockedReason]) {
+        button.title = BLOCKED_REASON_LABELS[node.blockedReason];
+      }
+      item.appendChild(button);
+
+      fragment.appendChild(item);
+    });
+
+    list.appendChild(fragment);
+  }
+
+  purchase(nodeId) {
+    const meta = this.getMetaProgression();
+    if (!meta || !nodeId) {
+      return;
+    }
+
+    const result = meta.purchase(nodeId);
+    if (!result.ok) {
+      this.setTransferStatus(BLOCKED_REASON_LABELS[result.reason] || '');
+    }
+    this.render();
+  }
+
+  exportProgress() {
+    const meta = this.getMetaProgression();
+    const { transferField } = this.refs;
+    if (!meta || !transferField) {
+      return;
+    }
+
+    transferField.value = meta.exportData();
+    transferField.select?.();
+    this.setTransferStatus('Code ready - copy it to keep your progress.');
+  }
+
+  importProgress() {
+    const meta = this.getMetaProgression();
+    const { transferField } = this.refs;
+    if (!meta || !transferField) {
+      return;
+    }
+
+    const imported = meta.importData(transferField.value);
+    this.setTransferStatus(
+      imported ? 'Progress imported.' : 'That code could not be read.'
+    );
+    this.render();
+  }
+
+  setTransferStatus(message) {
+    if (this.refs.transferStatus) {
+      this.refs.transferStatus.textContent = message;
+    }
+  }
+}
+
+export default HangarOverlay;
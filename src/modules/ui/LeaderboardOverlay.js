@@ -0,0 +1,263 @@
+// src/modules/ui/LeaderboardOverlay.js
+
+import UPGRADE_LIBRARY from '../../data/upgrades/index.js';
+import { getShipModelById } from '../../data/shipModels.js';
+import { getRunModifier } from '../../data/runModifiers.js';
+import { RUN_HISTORY_SORT_KEYS } from '../../services/RunHistoryService.js';
+
+const UPGRADE_NAMES = new Map(
+  UPGRADE_LIBRARY.map((upgrade) => [upgrade.id, upgrade.name || upgrade.id])
+);
+
+/**
+ * Formats seconds as m:ss for run summaries.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatRunDuration(seconds) {
+  const total = Number.isFinite(seconds) ? Math.max(0, Math.floor(seconds)) : 0;
+  const minutes = Math.floor(total / 60);
+  const remainder = String(total % 60).padStart(2, '0');
+  return `${minutes}:${remainder}`;
+}
+
+/**
+ * @param {number} score
+ * @returns {string} Score with thousands separators, e.g. "12,450"
+ */
+export function formatScore(score) {
+  const total = Number.isFinite(score) ? Math.max(0, Math.floor(score)) : 0;
+  return total.toLocaleString('en-US');
+}
+
+/**
+ * @param {string|null} hullId
+ * @returns {string} Display name of the hull
+ */
+export function describeRunHull(hullId) {
+  const hull = hullId ? getShipModelById(hullId) : null;
+  return hull?.name || hullId || 'Unknown Hull';
+}
+
+/**
+ * @param {Array<{id: string, level: number}>} build
+ * @returns {string} Comma-separated upgrade list, e.g. "Energy Shield ×2"
+ */
+export function describeRunBuild(build) {
+  if (!Array.isArray(build) || build.length === 0) {
+    return 'No upgrades';
+  }
+
+  return build
+    .map(({ id, level }) => {
+      const name = UPGRADE_NAMES.get(id) || id;
+      return level > 1 ? `${name} ×${level}` : name;
+    })
+    .join(', ');
+}
+
+/**
+ * @param {Array<string>} modifiers - Run modifier ids
+ * @returns {string} Comma-separated modifier names, or "None"
+ */
+export function describeRunModifiers(modifiers) {
+  if (!Array.isArray(modifiers) || modifiers.length === 0) {
+    return 'None';
+  }
+
+  return modifiers.map((id) => getRunModifier(id)?.name || id).join(', ');
+}
+
+/**
+ * @param {number} scoreMultiplier
+ * @returns {string} e.g. "×1.50", or "-" for unmodified runs
+ */
+export function formatScoreMultiplier(scoreMultiplier) {
+  return Number.isFinite(scoreMultiplier) && scoreMultiplier !== 1
+    ? `×${scoreMultiplier.toFixed(2)}`
+    : '-';
+}
+
+/**
+ * Main-menu overlay listing the best local runs, sortable by column.
+ *
+ * UISystem owns the instance and routes `leaderboard-menu-requested` to
+ * open()/close(); it re-renders on `run-recorded`.
+ */
+export class LeaderboardOverlay {
+  /**
+   * @param {Object} options
+   * @param {Object} options.refs - DOM nodes cached by UISystem
+   * @param {Function} options.getRunHistory - Returns the run-history service
+   * @param {Function} [options.emit] - Event bus emit, used for overlay events
+   */
+  constructor({ refs = {}, getRunHistory, emit } = {}) {
+    this.refs = refs;
+    this.getRunHistory =
+      typeof getRunHistory === 'function' ? getRunHistory : () => null;
+    this.emit = typeof emit === 'function' ? emit : () => {};
+    this.isOpen = false;
+    this.triggerId = null;
+    this.sortBy = 'score';
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  bind() {
+    const { overlay, closeButtons, sortButtons } = this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        this.close({ restoreFocus: true });
+      }
+    });
+
+    (closeButtons || []).forEach((button) => {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.close({ restoreFocus: true });
+      });
+    });
+
+    (sortButtons || []).forEach((button) => {
+      button.addEventListener('click', () => {
+        this.setSort(button.dataset.sort);
+      });
+    });
+  }
+
+  open(triggerId = null) {
+    const { overlay, primaryAction } = this.refs;
+    if (!overlay) {
+      return;
+    }
+
+    this.triggerId =
+      triggerId ||
+      (document.activeElement instanceof HTMLElement
+        ? document.activeElement.id || null
+        : null);
+    this.isOpen = true;
+    this.render();
+
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'leaderboard',
+      isOpen: true,
+      source: 'menu',
+    });
+
+    if (primaryAction instanceof HTMLElement) {
+      primaryAction.focus();
+    }
+  }
+
+  close({ restoreFocus = false } = {}) {
+    const { overlay } = this.refs;
+    if (!this.isOpen) {
+      this.triggerId = null;
+      return;
+    }
+
+    if (restoreFocus && this.triggerId) {
+      const trigger = document.getElementById(this.triggerId);
+      if (trigger instanceof HTMLElement) {
+        trigger.focus();
+      }
+    }
+
+    if (overlay) {
+      overlay.classList.add('hidden');
+      overlay.setAttribute('aria-hidden', 'true');
+    }
+
+    this.isOpen = false;
+    this.triggerId = null;
+    this.emit('ui-overlay-visibility-changed', {
+      overlay: 'leaderboard',
+      isOpen: false,
+      source: 'menu',
+    });
+  }
+
+  handleKeyDown(event) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    if (event.key === 'Escape' || event.key === 'Esc') {
+      event.preventDefault();
+      this.close({ restoreFocus: true });
+    }
+  }
+
+  setSort(sortBy) {
+    if (!RUN_HISTORY_SORT_KEYS.includes(sortBy)) {
+      return;
+    }
+
+    this.sortBy = sortBy;
+    this.render();
+  }
+
+  render() {
+    const { rows, empty, sortButtons } = this.refs;
+    const history = this.getRunHistory();
+
+    (sortButtons || []).forEach((button) => {
+      const isActive = button.dataset.sort === this.sortBy;
+      button.classList.toggle('is-active', isActive);
+      button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    if (!rows) {
+      return;
+    }
+
+    const entries = history
+      ? history.getLeaderboard({ sortBy: this.sortBy })
+      : [];
+    rows.innerHTML = '';
+
+    if (empty) {
+      empty.classList.toggle('hidden', entries.length > 0);
+    }
+
+    const fragment = document.createDocumentFragment();
+    entries.forEach((entry, index) => {
+      const row = document.createElement('tr');
+      row.title = `${describeRunBuild(entry.build)}\nModifiers: ${describeRunModifiers(entry.modifiers)}`;
+
+      [
+        String(index + 1),
+        formatScore(entry.score),
+        String(entry.wave),
+        String(entry.kills),
+        String(entry.maxCombo),
+        formatRunDuration(entry.playTime),
+        describeRunHull(entry.hullId),
+        formatScoreMultiplier(entry.scoreMultiplier),
+        entry.seed ?? '-',
+        entry.recordedAt
+          ? new Date(entry.recordedAt).toLocaleDateString()
+          : '-',
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = String(value);
+        row.appendChild(cell);
+      });
+
+      fragment.appendChild(row);
+    });
+
+    rows.appendChild(fragment);
+  }
+}
+
+export default LeaderboardOverlay;
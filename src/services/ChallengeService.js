@@ -0,0 +1,472 @@
+import RandomService from '../core/RandomService.js';
+import { debugLog } from '../core/debugLogging.js';
+import { RUN_MODIFIERS } from '../data/runModifiers.js';
+import { getAllShipModels } from '../data/shipModels.js';
+import { decodeShareCode, encodeShareCode } from '../utils/shareCode.js';
+import { compareRunEntries } from './RunHistoryService.js';
+
+/**
+ * ChallengeService derives the daily and weekly seeded challenges (seed,
+ * hull and run modifiers) from the calendar (UTC, so every player gets the
+ * same run), tracks the single scored
+ * attempt allowed per period and keeps the challenge leaderboard apart from
+ * the regular run history.
+ *
+ * Launching a challenge emits `challenge-run-requested`; GameSessionService
+ * applies the seed and hull. Results come from RunHistoryService's
+ * `run-recorded` event while the scored challenge run is active.
+ */
+export const CHALLENGE_FORMAT = 'roguefield-challenges';
+export const CHALLENGE_FORMAT_VERSION = 1;
+export const CHALLENGE_CODE_FORMAT = 'roguefield-challenge';
+export const CHALLENGE_CODE_VERSION = 1;
+
+export const CHALLENGE_PERIODS = Object.freeze(['daily', 'weekly']);
+export const CHALLENGE_RESULTS_LIMIT = 30;
+
+/** Run modifiers drawn for each period's challenge. */
+export const CHALLENGE_MODIFIER_COUNTS = Object.freeze({ daily: 1, weekly: 2 });
+
+const CHALLENGE_STORAGE_KEYS = {
+  state: 'roguefield.challenges',
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the parsed payload and must return a payload for the next version.
+ */
+const CHALLENGE_MIGRATIONS = {};
+
+function createInitialState() {
+  return {
+    attempts: {},
+    results: { daily: [], weekly: [] },
+  };
+}
+
+function padNumber(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * ISO-8601 week number (weeks start on Monday, week 1 holds the first
+ * Thursday of the year), computed in UTC.
+ * @param {Date} date
+ * @returns {{ year: number, week: number }}
+ */
+function getIsoWeek(date) {
+  const day = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+  return { year: day.getUTCFullYear(), week };
+}
+
+/**
+ * @param {string} period - 'daily' or 'weekly'
+ * @param {Date} [date]
+ * @returns {string} Period key, e.g. "daily-2026-10-19" or "weekly-2026-W42"
+ */
+export function getChallengeKey(period, date = new Date()) {
+  if (period === 'weekly') {
+    const { year, week } = getIsoWeek(date);
+    return `weekly-${year}-W${padNumber(week)}`;
+  }
+
+  return `daily-${date.getUTCFullYear()}-${padNumber(
+    date.getUTCMonth() + 1
+  )}-${padNumber(date.getUTCDate())}`;
+}
+
+/**
+ * Builds the challenge definition for a period key. The key doubles as the
+ * run seed; the hull and the run modifiers are drawn from generators seeded
+ * with the same key.
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export function createChallengeFromKey(key) {
+  const match = /^(daily|weekly)-/.exec(typeof key === 'string' ? key : '');
+  if (!match) {
+    return null;
+  }
+
+  const period = match[1];
+  const hull = new RandomService(`${key}:hull`).pick(getAllShipModels());
+
+  const modifierRandom = new RandomService(`${key}:modifiers`);
+  const pool = RUN_MODIFIERS.map((modifier) => modifier.id);
+  const modifiers = [];
+  while (modifiers.length < CHALLENGE_MODIFIER_COUNTS[period] && pool.length) {
+    modifiers.push(...pool.splice(modifierRandom.int(0, pool.length - 1), 1));
+  }
+
+  return {
+    key,
+    period,
+    seed: key,
+    hullId: hull?.id || null,
+    modifiers,
+  };
+}
+
+function isKnownHull(hullId) {
+  return getAllShipModels().some((hull) => hull.id === hullId);
+}
+
+function sanitizeResult(result) {
+  if (!result || typeof result !== 'object' || typeof result.key !== 'string') {
+    return null;
+  }
+
+  const value = (input) =>
+    Number.isFinite(input) && input > 0 ? Math.floor(input) : 0;
+
+  return {
+    key: result.key,
+    id: typeof result.id === 'string' ? result.id : result.key,
+    recordedAt: value(result.recordedAt),
+    hullId: typeof result.hullId === 'string' ? result.hullId : null,
+    score: value(result.score),
+    wave: value(result.wave),
+    kills: value(result.kills),
+    maxCombo: value(result.maxCombo),
+    playTime:
+      Number.isFinite(result.playTime) && result.playTime > 0
+        ? result.playTime
+        : 0,
+  };
+}
+
+export default class ChallengeService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   * @param {Function} [options.now] - Clock override (tests)
+   */
+  constructor({ eventBus, now } = {}) {
+    if (!eventBus) {
+      throw new Error('[ChallengeService] Missing event bus instance');
+    }
+
+    this.eventBus = eventBus;
+    this.now = typeof now === 'function' ? now : () => new Date();
+    this.state = ChallengeService.loadState() || createInitialState();
+    this.activeRun = null;
+
+    this.eventHandlers = {
+      runStarted: (payload) => {
+        this.activeRun = payload?.challenge || null;
+      },
+      runRecorded: (payload) => this.handleRunRecorded(payload),
+    };
+
+    this.eventBus.on('game-started', this.eventHandlers.runStarted);
+    this.eventBus.on('run-recorded', this.eventHandlers.runRecorded);
+  }
+
+  /**
+   * @param {string} [period='daily']
+   * @returns {Object} Current challenge for the period, with attempt status
+   */
+  getChallenge(period = 'daily') {
+    const key = getChallengeKey(
+      CHALLENGE_PERIODS.includes(period) ? period : 'daily',
+      this.now()
+    );
+    return this.describeChallenge(createChallengeFromKey(key));
+  }
+
+  describeChallenge(challenge) {
+    const attempt = this.state.attempts[challenge.key] || null;
+    return {
+      ...challenge,
+      modifiers: [...challenge.modifiers],
+      attemptUsed: Boolean(attempt),
+      result:
+        this.state.results[challenge.period]?.find(
+          (entry) => entry.key === challenge.key
+        ) || null,
+    };
+  }
+
+  isCurrentChallenge(challenge) {
+    return (
+      Boolean(challenge) &&
+      challenge.key === getChallengeKey(challenge.period, this.now())
+    );
+  }
+
+  /**
+   * Starts a challenge run. Only the first launch of the current period's
+   * challenge is scored; later launches and shared codes for other periods
+   * are practice runs.
+   * @param {Object|string} challengeOrPeriod - Challenge definition or period name
+   * @param {Object} [options]
+   * @param {string} [options.source='menu']
+   * @returns {{ challenge: Object, scored: boolean }|null}
+   */
+  launch(challengeOrPeriod = 'daily', { source = 'menu' } = {}) {
+    let challenge =
+      typeof challengeOrPeriod === 'string'
+        ? this.getChallenge(challengeOrPeriod)
+        : challengeOrPeriod;
+
+    // Shared codes for the current period are rebuilt from the key so an
+    // edited code cannot swap the hull or modifiers of a scored attempt.
+    if (this.isCurrentChallenge(challenge)) {
+      challenge = createChallengeFromKey(challenge.key);
+    }
+    if (!challenge?.key || !isKnownHull(challenge.hullId)) {
+      console.warn('[ChallengeService] Cannot launch an invalid challenge.');
+      return null;
+    }
+
+    const scored =
+      this.isCurrentChallenge(challenge) && !this.state.attempts[challenge.key];
+    if (scored) {
+      this.state.attempts[challenge.key] = { startedAt: this.now().getTime() };
+      this.pruneAttempts();
+      this.persist();
+    }
+
+    const payload = {
+      challenge: {
+        key: challenge.key,
+        period: challenge.period,
+        seed: challenge.seed,
+        hullId: challenge.hullId,
+        modifiers: [...(challenge.modifiers || [])],
+        scored,
+      },
+      source,
+    };
+    this.eventBus.emit('challenge-run-requested', payload);
+    debugLog(
+      `[Challenge] Launching ${challenge.key} (${scored ? 'scored' : 'practice'})`
+    );
+    return payload;
+  }
+
+  handleRunRecorded(payload = {}) {
+    const run = this.activeRun;
+    const entry = payload?.entry;
+    if (!run?.scored || !entry) {
+      return;
+    }
+
+    const result = sanitizeResult({ ...entry, key: run.key });
+    const results = this.state.results[run.period] || [];
+    this.state.results[run.period] = [
+      result,
+      ...results.filter((existing) => existing.key !== run.key),
+    ].slice(0, CHALLENGE_RESULTS_LIMIT);
+    this.persist();
+
+    this.eventBus.emit('challenge-result-recorded', {
+      period: run.period,
+      key: run.key,
+      result: { ...result },
+      rank: this.getRank(run.period, run.key),
+    });
+  }
+
+  /**
+   * @param {string} [period='daily']
+   * @param {Object} [options]
+   * @param {string} [options.sortBy='score']
+   * @returns {Array<Object>} Scored results for past and current periods
+   */
+  getLeaderboard(period = 'daily', { sortBy = 'score' } = {}) {
+    return [...(this.state.results[period] || [])]
+      .sort((a, b) => compareRunEntries(a, b, sortBy))
+      .map((entry) => ({ ...entry }));
+  }
+
+  getRank(period, key) {
+    const index = this.getLeaderboard(period).findIndex(
+      (entry) => entry.key === key
+    );
+    return index >= 0 ? index + 1 : null;
+  }
+
+  /**
+   * @param {Object} challenge
+   * @returns {string} Share code carrying the seed, hull and modifiers
+   */
+  exportChallengeCode(challenge) {
+    return encodeShareCode({
+      format: CHALLENGE_CODE_FORMAT,
+      version: CHALLENGE_CODE_VERSION,
+      key: challenge.key,
+      period: challenge.period,
+      seed: challenge.seed,
+      hullId: challenge.hullId,
+      modifiers: [...(challenge.modifiers || [])],
+    });
+  }
+
+  /**
+   * @param {string} code
+   * @returns {Object} Challenge definition with attempt status
+   * @throws {Error} When the code is not a supported challenge code
+   */
+  importChallengeCode(code) {
+    const payload = decodeShareCode(code);
+    if (payload?.format !== CHALLENGE_CODE_FORMAT) {
+      throw new Error('[ChallengeService] Not a challenge code');
+    }
+
+    if (Number(payload.version) > CHALLENGE_CODE_VERSION) {
+      throw new Error(
+        `[ChallengeService] Challenge code version ${payload.version} is newer than supported version ${CHALLENGE_CODE_VERSION}`
+      );
+    }
+
+    if (
+      !CHALLENGE_PERIODS.includes(payload.period) ||
+      typeof payload.key !== 'string' ||
+      !isKnownHull(payload.hullId)
+    ) {
+      throw new Error('[ChallengeService] Challenge code is incomplete');
+    }
+
+    return this.describeChallenge({
+      key: payload.key,
+      period: payload.period,
+      seed: payload.seed ?? payload.key,
+      hullId: payload.hullId,
+      modifiers: Array.isArray(payload.modifiers) ? payload.modifiers : [],
+    });
+  }
+
+  /**
+   * Attempts are only checked for the current period, so older markers are
+   * dropped to keep storage small.
+   */
+  pruneAttempts() {
+    const current = new Set(
+      CHALLENGE_PERIODS.map((period) => getChallengeKey(period, this.now()))
+    );
+    Object.keys(this.state.attempts).forEach((key) => {
+      if (!current.has(key)) {
+        delete this.state.attempts[key];
+      }
+    });
+  }
+
+  serialize() {
+    return {
+      format: CHALLENGE_FORMAT,
+      version: CHALLENGE_FORMAT_VERSION,
+      attempts: { ...this.state.attempts },
+      results: {
+        daily: this.state.results.daily.map((entry) => ({ ...entry })),
+        weekly: this.state.results.weekly.map((entry) => ({ ...entry })),
+      },
+    };
+  }
+
+  persist() {
+    ChallengeService.persistState(this.serialize());
+  }
+
+  destroy() {
+    this.eventBus.off('game-started', this.eventHandlers.runStarted);
+    this.eventBus.off('run-recorded', this.eventHandlers.runRecorded);
+  }
+
+  /**
+   * Validates stored challenge data and upgrades it to the current version.
+   * @param {Object} payload
+   * @returns {Object} Internal state
+   * @throws {Error} When the payload is not supported challenge data
+   */
+  static parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[ChallengeService] Payload must be an object');
+    }
+
+    if (payload.format !== CHALLENGE_FORMAT) {
+      throw new Error(
+        `[ChallengeService] Unsupported format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('[ChallengeService] Missing a valid version');
+    }
+
+    if (version > CHALLENGE_FORMAT_VERSION) {
+      throw new Error(
+        `[ChallengeService] Version ${version} is newer than supported version ${CHALLENGE_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < CHALLENGE_FORMAT_VERSION) {
+      const migrate = CHALLENGE_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[ChallengeService] No migration available from version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    const state = createInitialState();
+    if (migrated.attempts && typeof migrated.attempts === 'object') {
+      Object.entries(migrated.attempts).forEach(([key, attempt]) => {
+        if (createChallengeFromKey(key) && attempt) {
+          state.attempts[key] = {
+            startedAt: Number(attempt.startedAt) || 0,
+          };
+        }
+      });
+    }
+
+    CHALLENGE_PERIODS.forEach((period) => {
+      const results = migrated.results?.[period];
+      state.results[period] = (Array.isArray(results) ? results : [])
+        .map(sanitizeResult)
+        .filter(Boolean)
+        .slice(0, CHALLENGE_RESULTS_LIMIT);
+    });
+
+    return state;
+  }
+
+  static persistState(payload) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(
+        CHALLENGE_STORAGE_KEYS.state,
+        JSON.stringify(payload)
+      );
+    } catch (error) {
+      console.warn('[ChallengeService] Failed to persist state:', error);
+    }
+  }
+
+  static loadState() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(CHALLENGE_STORAGE_KEYS.state);
+      return raw ? ChallengeService.parse(JSON.parse(raw)) : null;
+    } catch (error) {
+      console.warn('[ChallengeService] Failed to load state:', error);
+      return null;
+    }
+  }
+}
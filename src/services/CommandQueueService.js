@@ -26,6 +26,11 @@ export default class CommandQueueService {
         typeof hooks?.onConsume === 'function' ? hooks.onConsume : null,
       onClear: typeof hooks?.onClear === 'function' ? hooks.onClear : null,
     };
+    this.hookListeners = {
+      onEnqueue: new Set(),
+      onConsume: new Set(),
+      onClear: new Set(),
+    };
 
     this.frameCounter = Number.isFinite(initialFrame) ? initialFrame : 0;
     this.lastConsumedFrame = this.frameCounter - 1;
@@ -152,16 +157,10 @@ export default class CommandQueueService {
       this.stats.dropped += overflow.length;
     }
 
-    if (this.hooks.onEnqueue) {
-      try {
-        this.hooks.onEnqueue({
-          entry: this.cloneEntry(entry),
-          stats: this.getStats(),
-        });
-      } catch (error) {
-        console.warn('[CommandQueueService] onEnqueue hook failed:', error);
-      }
-    }
+    this.invokeHook('onEnqueue', () => ({
+      entry: this.cloneEntry(entry),
+      stats: this.getStats(),
+    }));
 
     return this.cloneEntry(entry);
   }
@@ -213,18 +212,12 @@ export default class CommandQueueService {
 
     const clonedEntries = consumed.map((entry) => this.cloneEntry(entry));
 
-    if (this.hooks.onConsume) {
-      try {
-        this.hooks.onConsume({
-          frame: targetFrame,
-          entries: clonedEntries,
-          stats: this.getStats(),
-          consumerId,
-        });
-      } catch (error) {
-        console.warn('[CommandQueueService] onConsume hook failed:', error);
-      }
-    }
+    this.invokeHook('onConsume', () => ({
+      frame: targetFrame,
+      entries: clonedEntries,
+      stats: this.getStats(),
+      consumerId,
+    }));
 
     return clonedEntries;
   }
@@ -274,15 +267,48 @@ export default class CommandQueueService {
     this.stats.cleared += 1;
     this.nextDefaultFrame = this.lastConsumedFrame + 1;
 
-    if (this.hooks.onClear) {
+    this.invokeHook('onClear', () => ({ reason, stats: this.getStats() }));
+
+    return cleared;
+  }
+
+  /**
+   * Registers an additional listener for one of the instrumentation hooks
+   * (`onEnqueue`, `onConsume`, `onClear`) without replacing the hook supplied
+   * at construction time.
+   * @param {string} hookName
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe callback
+   */
+  addHook(hookName, handler) {
+    const listeners = this.hookListeners[hookName];
+    if (!listeners || typeof handler !== 'function') {
+      return () => {};
+    }
+
+    listeners.add(handler);
+    return () => {
+      listeners.delete(handler);
+    };
+  }
+
+  invokeHook(hookName, buildPayload) {
+    const primary = this.hooks[hookName];
+    const listeners = this.hookListeners[hookName];
+    if (!primary && (!listeners || listeners.size === 0)) {
+      return;
+    }
+
+    const payload = buildPayload();
+    const handlers = primary ? [primary, ...listeners] : [...listeners];
+
+    handlers.forEach((handler) => {
       try {
-        this.hooks.onClear({ reason, stats: this.getStats() });
+        handler(payload);
       } catch (error) {
-        console.warn('[CommandQueueService] onClear hook failed:', error);
+        console.warn(`[CommandQueueService] ${hookName} hook failed:`, error);
       }
-    }
-
-    return cleared;
+    });
   }
 
   getStats() {
@@ -25,6 +25,19 @@ const RANDOM_STORAGE_KEYS = {
 
 const GAME_OVER_SCREEN_DELAY_MS = 3000;
 
+export const RUN_SAVE_FORMAT = 'roguefield-run-save';
+export const RUN_SAVE_FORMAT_VERSION = 1;
+
+const RUN_SAVE_STORAGE_KEYS = {
+  current: 'roguefield.savedRun',
+};
+
+/**
+ * Migrations keyed by the save version they upgrade from. Each migration
+ * receives the parsed payload and must return a payload for the next version.
+ */
+const RUN_SAVE_MIGRATIONS = {};
+
 export default class GameSessionService {
   /**
    * @param {Object} options
@@ -56,6 +69,8 @@ export default class GameSessionService {
       seed: null,
       source: 'unknown',
     };
+    this.activeChallenge = null;
+    this.seedInfoBeforeChallenge = null;
     this.currentRandomSnapshot = null;
     this.currentRandomScope = 'uninitialized';
     this.randomSnapshot = null;
@@ -69,6 +84,7 @@ export default class GameSessionService {
     this.retryCountdownElement = this.lookupDomElement('retry-countdown');
     this.retryButtonElement = this.lookupDomElement('retry-game-btn');
     this.retryCountElement = this.lookupDomElement('retry-count');
+    this.continueRunButtonElement = this.lookupDomElement('continue-run-btn');
     this.retryCountdownHideTimeout = null;
     this.retryCountdownFollowupTimeout = null;
 
@@ -81,7 +97,11 @@ export default class GameSessionService {
       playerDied: (data) => this.handlePlayerDiedEvent(data),
       togglePause: (payload) => this.handleTogglePauseEvent(payload),
       exitToMenuRequested: (payload) => this.exitToMenu(payload || {}),
-      activateShieldPressed: () => this.handleActivateShieldPressedEvent(),
+      saveAndQuitRequested: (payload) => this.saveAndExitToMenu(payload || {}),
+      challengeRunRequested: (payload) =>
+        this.startChallengeRun(payload?.challenge, payload || {}),
+      activateAbilityPressed: (payload) =>
+        this.handleActivateAbilityPressedEvent(payload),
       progressionReset: (payload) => this.handleProgressionResetEvent(payload),
     };
 
@@ -217,6 +237,7 @@ export default class GameSessionService {
 
     this.setupDomEventListeners();
     this.setupGlobalEventListeners();
+    this.refreshContinueRunButton();
   }
 
   /**
@@ -437,10 +458,22 @@ export default class GameSessionService {
     };
 
     switch (id) {
+      case 'continue-run-btn': {
+        preventDefault();
+        this.emitCreditsMenuRequest({ open: false, source: id });
+        if (!this.continueSavedRun({ source: id })) {
+          console.warn('[GameSessionService] No saved run could be resumed.');
+        }
+        break;
+      }
       case 'start-game-btn':
       case 'restart-game-btn': {
         preventDefault();
         this.emitCreditsMenuRequest({ open: false, source: id });
+        // Only one run can be in flight: a fresh run from the menu discards
+        // the saved one. Replays and challenges start through other paths
+        // and leave it for later.
+        this.clearSavedRun();
         this.startNewRun({ source: id });
         break;
       }
@@ -470,6 +503,33 @@ export default class GameSessionService {
         });
         break;
       }
+      case 'menu-challenge-btn': {
+        preventDefault();
+        this.eventBus.emit('challenge-menu-requested', {
+          open: true,
+          source: 'menu',
+          triggerId: 'menu-challenge-btn',
+        });
+        break;
+      }
+      case 'menu-leaderboard-btn': {
+        preventDefault();
+        this.eventBus.emit('leaderboard-menu-requested', {
+          open: true,
+          source: 'menu',
+          triggerId: 'menu-leaderboard-btn',
+        });
+        break;
+      }
+      case 'menu-hangar-btn': {
+        preventDefault();
+        this.eventBus.emit('hangar-menu-requested', {
+          open: true,
+          source: 'menu',
+          triggerId: 'menu-hangar-btn',
+        });
+        break;
+      }
       default:
         break;
     }
@@ -529,8 +589,16 @@ export default class GameSessionService {
       this.globalEventHandlers.exitToMenuRequested
     );
     register(
-      'activate-shield-pressed',
-      this.globalEventHandlers.activateShieldPressed
+      'save-and-quit-requested',
+      this.globalEventHandlers.saveAndQuitRequested
+    );
+    register(
+      'challenge-run-requested',
+      this.globalEventHandlers.challengeRunRequested
+    );
+    register(
+      'activate-ability-pressed',
+      this.globalEventHandlers.activateAbilityPressed
     );
     register('progression-reset', this.globalEventHandlers.progressionReset);
   }
@@ -557,6 +625,18 @@ export default class GameSessionService {
     this.globalEventUnsubscribes = [];
   }
 
+  /**
+   * Releases listeners and pending timers so the service can be discarded
+   * (e.g. when a headless runner tears down its container between sessions).
+   */
+  destroy() {
+    this.clearRetryCountdownTimers();
+    this.clearPendingGameOverTransition();
+    this.cancelQuitExplosionTimer({ restorePlayer: false });
+    this.teardownDomEventListeners();
+    this.teardownGlobalEventListeners();
+  }
+
   handleScreenChangedEvent(data) {
     if (!data || typeof data.screen !== 'string') {
       return;
@@ -592,17 +672,20 @@ export default class GameSessionService {
     this.togglePause({ source: payload?.source || 'toggle-pause' });
   }
 
-  handleActivateShieldPressedEvent() {
-    if (this.getScreen() !== 'playing') {
+  handleActivateAbilityPressedEvent(payload = {}) {
+    if (this.getScreen() !== 'playing' || !payload?.abilityId) {
       return;
     }
 
     const player = this.resolveServiceInstance('player');
-    if (player && typeof player.activateShield === 'function') {
+    if (player && typeof player.activateAbility === 'function') {
       try {
-        player.activateShield();
+        player.activateAbility(payload.abilityId);
       } catch (error) {
-        console.warn('[GameSessionService] Failed to activate shield:', error);
+        console.warn(
+          `[GameSessionService] Failed to activate ${payload.abilityId}:`,
+          error
+        );
       }
     }
   }
@@ -678,7 +761,27 @@ export default class GameSessionService {
     return true;
   }
 
-  startNewRun({ source = 'unknown' } = {}) {
+  /**
+   * Starts a fresh run.
+   * @param {Object} [options]
+   * @param {string} [options.source='unknown']
+   * @param {string} [options.hullId] - Overrides the configured hull
+   * @param {Object} [options.challenge] - Challenge payload; its modifiers win
+   * @param {Array<string>} [options.modifiers] - Run modifier ids; defaults to
+   *   the main-menu selection
+   */
+  startNewRun({
+    source = 'unknown',
+    hullId,
+    challenge = null,
+    modifiers,
+  } = {}) {
+    if (challenge) {
+      this.activeChallenge = { ...challenge };
+    } else {
+      this.clearActiveChallenge();
+    }
+
     try {
       this.prepareRandomForScope('run.start', { mode: 'reset' });
     } catch (error) {
@@ -698,6 +801,10 @@ export default class GameSessionService {
 
     this._suppressWaveKickoff = false;
 
+    const activeModifiers = this.activateRunModifiers(
+      challenge ? challenge.modifiers : modifiers
+    );
+
     try {
       this.resetSystems({ manageRandom: false });
     } catch (error) {
@@ -707,10 +814,47 @@ export default class GameSessionService {
       );
     }
 
-    this.applyConfiguredPlayerHull();
+    this.applyConfiguredPlayerHull({ hullId });
 
     this.ensureWaveKickoff({ reason: 'session-start' });
 
+    this.enterPlayingState({ reason: 'start-new-run' });
+
+    // Emit game-started event for audio feedback
+    this.emitGameStarted({
+      source,
+      timestamp: Date.now(),
+      challenge: this.getActiveChallenge(),
+      modifiers: activeModifiers,
+    });
+
+    debugLog('[GameSessionService] Run started successfully!', { source });
+  }
+
+  /**
+   * Activates the run modifiers for the run about to start. Must run before
+   * resetSystems() so reset stats and wave plans see the new effects.
+   * @param {Array<string>} [ids] - Recorded set; the menu selection when omitted
+   * @returns {Array<string>} Active modifier ids
+   */
+  activateRunModifiers(ids) {
+    const runModifiers = this.resolveServiceInstance('run-modifiers');
+    if (typeof runModifiers?.activate !== 'function') {
+      return [];
+    }
+
+    return runModifiers.activate(
+      Array.isArray(ids) ? ids : runModifiers.getSelectedIds()
+    );
+  }
+
+  /**
+   * Shows the game UI, unpauses and marks the session as running. Shared by
+   * fresh starts and resumed saves.
+   * @param {Object} options
+   * @param {string} options.reason - Session state transition reason
+   */
+  enterPlayingState({ reason }) {
     const ui = this.resolveServiceInstance('ui');
     if (ui && typeof ui.showGameUI === 'function') {
       try {
@@ -739,23 +883,100 @@ export default class GameSessionService {
     this.setScreen('playing');
     this.emitScreenChanged('playing', { source: 'session.start' });
 
-    // Emit game-started event for audio feedback
-    this.emitGameStarted({ source, timestamp: Date.now() });
-
     const wasPaused = this.isPaused();
     this.setPaused(false);
     if (wasPaused) {
       this.emitPauseState({ source: 'session.start' });
     }
 
-    this.setSessionState('running', { reason: 'start-new-run' });
+    this.setSessionState('running', { reason });
 
     if (this.gameState) {
       this.gameState.lastTime =
         typeof performance !== 'undefined' ? performance.now() : Date.now();
     }
+  }
 
-    debugLog('[GameSessionService] Run started successfully!', { source });
+  /**
+   * Starts a run seeded from a recorded replay. The replay service must
+   * already be in playback mode so the run is not recorded again.
+   * @param {Object} replay - Normalized replay payload
+   * @returns {boolean}
+   */
+  startReplayRun(replay) {
+    if (!replay || !replay.seed) {
+      console.warn('[GameSessionService] Cannot start replay without a seed.');
+      return false;
+    }
+
+    const seed = GameSessionService.parseSeedCandidate(replay.seed.seed);
+    if (seed === null) {
+      console.warn('[GameSessionService] Replay seed is invalid.');
+      return false;
+    }
+
+    this.clearActiveChallenge();
+    this.applySeedInfo({ seed, source: 'replay' });
+
+    this.startNewRun({
+      source: 'replay',
+      hullId: replay.hullId || undefined,
+      modifiers: replay.modifiers || [],
+    });
+    return true;
+  }
+
+  /**
+   * Starts a seeded challenge run with its fixed hull. The regular seed is
+   * restored by the next non-challenge start.
+   * @param {Object} challenge - Payload from ChallengeService.launch()
+   * @param {Object} [options]
+   * @param {string} [options.source='challenge']
+   * @returns {boolean}
+   */
+  startChallengeRun(challenge, { source = 'challenge' } = {}) {
+    const seed = GameSessionService.parseSeedCandidate(challenge?.seed);
+    if (seed === null) {
+      console.warn('[GameSessionService] Challenge seed is invalid.');
+      return false;
+    }
+
+    if (!this.activeChallenge) {
+      this.seedInfoBeforeChallenge = { ...this.seedInfo };
+    }
+
+    this.applySeedInfo({ seed, source: 'challenge' });
+    this.startNewRun({
+      source,
+      hullId: challenge.hullId || undefined,
+      challenge,
+    });
+    return true;
+  }
+
+  getActiveChallenge() {
+    return this.activeChallenge ? { ...this.activeChallenge } : null;
+  }
+
+  clearActiveChallenge() {
+    if (!this.activeChallenge) {
+      return;
+    }
+
+    this.activeChallenge = null;
+    if (this.seedInfoBeforeChallenge && this.seedInfo.source === 'challenge') {
+      this.applySeedInfo(this.seedInfoBeforeChallenge);
+    }
+    this.seedInfoBeforeChallenge = null;
+  }
+
+  applySeedInfo({ seed, source }) {
+    this.seedInfo.seed = seed;
+    this.seedInfo.source = source;
+    if (this.gameState) {
+      this.gameState.randomSeed = seed;
+      this.gameState.randomSeedSource = source;
+    }
   }
 
   handlePlayerDeath(data = {}) {
@@ -1287,6 +1508,9 @@ export default class GameSessionService {
       effects: 'effects',
       combat: 'combat',
       renderer: 'renderer',
+      'meta-progression': 'metaProgression',
+      'run-modifiers': 'runModifiers',
+      score: 'score',
     };
 
     const directKey = aliasMap[name] || name;
@@ -1315,9 +1539,21 @@ export default class GameSessionService {
         ? settings.getCategoryValues('gameplay') || null
         : null;
 
-    return typeof gameplaySettings?.selectedHull === 'string'
-      ? gameplaySettings.selectedHull
-      : DEFAULT_HULL_ID;
+    const selectedHull =
+      typeof gameplaySettings?.selectedHull === 'string'
+        ? gameplaySettings.selectedHull
+        : DEFAULT_HULL_ID;
+
+    // A selection can outlive its unlock (imported or reset meta progress).
+    const metaProgression = this.resolveServiceInstance('meta-progression');
+    if (
+      typeof metaProgression?.isHullUnlocked === 'function' &&
+      !metaProgression.isHullUnlocked(selectedHull)
+    ) {
+      return DEFAULT_HULL_ID;
+    }
+
+    return selectedHull;
   }
 
   resolveHullDefinition(hullId) {
@@ -1563,10 +1799,39 @@ export default class GameSessionService {
   }
 
   createDeathSnapshot() {
+    const snapshot = this.captureRunSnapshot({ scope: 'death.snapshot' });
+    if (!snapshot) {
+      return null;
+    }
+
+    this.deathSnapshot = snapshot;
+    this.randomSnapshot = snapshot.random;
+
+    if (this.gameState) {
+      this.gameState.deathSnapshot = snapshot;
+      if (snapshot.random) {
+        this.gameState.randomSnapshot = snapshot.random;
+      }
+    }
+
+    debugLog('[Retry] Death snapshot created', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Captures player (ability slots included), progression, enemy, physics,
+   * score and RNG state without storing it. Used by the retry flow and by
+   * run saves.
+   * @param {Object} [options]
+   * @param {string} [options.scope='run.snapshot'] - RNG log scope
+   * @returns {Object|null}
+   */
+  captureRunSnapshot({ scope = 'run.snapshot' } = {}) {
     const player = this.resolveServiceInstance('player');
     const enemies = this.resolveServiceInstance('enemies');
     const physics = this.resolveServiceInstance('physics');
     const progression = this.resolveServiceInstance('progression');
+    const score = this.resolveServiceInstance('score');
 
     if (!player || !enemies || !physics || !progression) {
       console.warn(
@@ -1581,7 +1846,7 @@ export default class GameSessionService {
         randomSnapshot = this.random.serialize();
       } catch (error) {
         console.warn(
-          '[Random] Failed to serialize RNG during death snapshot:',
+          `[Random] Failed to serialize RNG during ${scope}:`,
           error
         );
       }
@@ -1593,7 +1858,7 @@ export default class GameSessionService {
     }
 
     if (randomSnapshot) {
-      this.logRandomSnapshot('death.snapshot', randomSnapshot, {
+      this.logRandomSnapshot(scope, randomSnapshot, {
         mode: 'snapshot',
       });
     }
@@ -1612,6 +1877,14 @@ export default class GameSessionService {
       playerSnapshot.upgrades = [...player.upgrades];
     }
 
+    if (typeof player.abilities?.exportState === 'function') {
+      playerSnapshot.abilities = player.abilities.exportState();
+    }
+
+    if (Number.isFinite(player.lastStand?.spent)) {
+      playerSnapshot.lastStandSpent = player.lastStand.spent;
+    }
+
     const progressionSnapshot =
       typeof progression.serialize === 'function'
         ? progression.serialize()
@@ -1631,28 +1904,17 @@ export default class GameSessionService {
           ? physics.exportState()
           : null;
 
-    const snapshot = {
+    return {
       player: playerSnapshot,
       progression: progressionSnapshot,
       enemies: enemySnapshot,
       physics: physicsSnapshot,
+      score:
+        typeof score?.exportState === 'function' ? score.exportState() : null,
       timestamp: Date.now(),
       randomSeed: this.gameState?.randomSeed ?? this.seedInfo.seed,
       random: randomSnapshot,
     };
-
-    this.deathSnapshot = snapshot;
-    this.randomSnapshot = randomSnapshot;
-
-    if (this.gameState) {
-      this.gameState.deathSnapshot = snapshot;
-      if (randomSnapshot) {
-        this.gameState.randomSnapshot = randomSnapshot;
-      }
-    }
-
-    debugLog('[Retry] Death snapshot created', snapshot);
-    return snapshot;
   }
 
   restoreFromSnapshot({ snapshot } = {}) {
@@ -1860,6 +2122,24 @@ export default class GameSessionService {
       }
     }
 
+    // Phoenix Core charges and slot capacities come from the upgrades
+    // re-applied above.
+    if (typeof player.restoreSpentLastStands === 'function') {
+      player.restoreSpentLastStands(payload.player?.lastStandSpent);
+    }
+
+    if (
+      payload.player?.abilities &&
+      typeof player.abilities?.importState === 'function'
+    ) {
+      player.abilities.importState(payload.player.abilities);
+    }
+
+    const score = this.resolveServiceInstance('score');
+    if (payload.score && typeof score?.importState === 'function') {
+      score.importState(payload.score);
+    }
+
     this.deathSnapshot = payload;
     if (payload.random) {
       this.randomSnapshot = payload.random;
@@ -1938,6 +2218,12 @@ export default class GameSessionService {
         return;
       }
 
+      // Components an evolution replaced have no effects left; the
+      // evolution's own carry their strength.
+      if (progression.isUpgradeConsumedByEvolution?.(upgradeId)) {
+        return;
+      }
+
       const definition =
         upgradeLookup && typeof upgradeLookup.get === 'function'
           ? upgradeLookup.get(upgradeId)
@@ -1992,6 +2278,245 @@ export default class GameSessionService {
     return { reapplied, total, errors };
   }
 
+  /**
+   * Builds a complete run save: the retry snapshot plus wave progress,
+   * uncollected XP orbs and health hearts. Upgrade ranks travel inside the
+   * progression snapshot (`appliedUpgrades`), the score in `snapshot.score`.
+   * @returns {Object|null}
+   */
+  createRunSave() {
+    const snapshot = this.captureRunSnapshot({ scope: 'run.save' });
+    if (!snapshot) {
+      return null;
+    }
+
+    const enemies = this.resolveServiceInstance('enemies');
+    const xpOrbs = this.resolveServiceInstance('xp-orbs');
+    const healthHearts = this.resolveServiceInstance('healthHearts');
+    const runModifiers = this.resolveServiceInstance('run-modifiers');
+    const waveManager = enemies?.waveManager || null;
+
+    return {
+      format: RUN_SAVE_FORMAT,
+      version: RUN_SAVE_FORMAT_VERSION,
+      savedAt: Date.now(),
+      seed: this.getSeedInfo(),
+      retryCount: this.getRetryCount(),
+      modifiers:
+        typeof runModifiers?.getActiveIds === 'function'
+          ? runModifiers.getActiveIds()
+          : [],
+      snapshot,
+      wave:
+        typeof waveManager?.getState === 'function'
+          ? waveManager.getState()
+          : null,
+      xpOrbs:
+        typeof xpOrbs?.exportState === 'function' ? xpOrbs.exportState() : null,
+      healthHearts:
+        typeof healthHearts?.exportState === 'function'
+          ? healthHearts.exportState()
+          : null,
+    };
+  }
+
+  /**
+   * Writes the current run to storage. Only allowed while a run is live.
+   * @param {Object} [options]
+   * @param {string} [options.source='unknown']
+   * @returns {Object|null} The stored save, or null when nothing was saved
+   */
+  saveRun({ source = 'unknown' } = {}) {
+    const state = this.getSessionState();
+    if (
+      this.getScreen() !== 'playing' ||
+      (state !== 'running' && state !== 'paused')
+    ) {
+      console.warn('[GameSessionService] Cannot save outside an active run.');
+      return null;
+    }
+
+    // A challenge allows one scored attempt; saving would let it be replayed.
+    if (this.activeChallenge) {
+      console.warn('[GameSessionService] Challenge runs cannot be saved.');
+      return null;
+    }
+
+    const save = this.createRunSave();
+    if (!save || !GameSessionService.persistRunSave(save)) {
+      return null;
+    }
+
+    this.refreshContinueRunButton();
+    this.eventBus.emit('run-saved', {
+      source,
+      wave: save.wave?.currentWave ?? null,
+      savedAt: save.savedAt,
+    });
+    debugLog('[GameSessionService] Run saved', { source });
+    return save;
+  }
+
+  /**
+   * Pause-menu "Save & Quit": saves the run, then leaves for the menu without
+   * the quit explosion so the saved state is what the player last saw.
+   * @param {Object} [payload]
+   * @returns {boolean}
+   */
+  saveAndExitToMenu(payload = {}) {
+    const source = payload?.source || 'unknown';
+    if (!this.saveRun({ source })) {
+      return false;
+    }
+
+    this.eventBus.emit('exit-to-menu-requested', { source: 'save-and-quit' });
+    return true;
+  }
+
+  hasSavedRun() {
+    return GameSessionService.loadRunSave() !== null;
+  }
+
+  clearSavedRun() {
+    GameSessionService.clearRunSave();
+    this.refreshContinueRunButton();
+  }
+
+  /**
+   * Rebuilds the session from the stored run save. Saves are single-use: the
+   * stored copy is removed once the run resumes.
+   * @param {Object} [options]
+   * @param {string} [options.source='unknown']
+   * @returns {boolean}
+   */
+  continueSavedRun({ source = 'unknown' } = {}) {
+    const save = GameSessionService.loadRunSave();
+    if (!save) {
+      this.refreshContinueRunButton();
+      return false;
+    }
+
+    this.clearActiveChallenge();
+
+    this.clearRetryCountdownTimers();
+    this.clearPendingGameOverTransition();
+    this.cancelQuitExplosionTimer({ restorePlayer: false });
+    this.isRetryCountdownActive = false;
+    this.clearDeathSnapshot();
+    this.hideRetryCountdown();
+
+    const seed = GameSessionService.parseSeedCandidate(save.seed?.seed);
+    if (seed !== null) {
+      this.applySeedInfo({ seed, source: save.seed?.source || 'saved-run' });
+    }
+
+    // Wave state comes from the save; keep resets from starting wave 1.
+    this._suppressWaveKickoff = true;
+
+    this.activateRunModifiers(save.modifiers);
+
+    try {
+      this.resetSystems({ manageRandom: false });
+    } catch (error) {
+      console.error(
+        '[GameSessionService] Failed to reset systems during continue:',
+        error
+      );
+    }
+
+    const restored = this.restoreFromSnapshot({ snapshot: save.snapshot });
+    // restoreFromSnapshot() keeps the payload for retries; a resumed run
+    // should capture a fresh snapshot when the player next dies.
+    this.clearDeathSnapshot();
+
+    if (!restored) {
+      this._suppressWaveKickoff = false;
+      return false;
+    }
+
+    this.applyRunSaveExtras(save);
+    this._suppressWaveKickoff = false;
+
+    this.setRetryCount(Number.isFinite(save.retryCount) ? save.retryCount : 1);
+    this.setRetryButtonEnabled(this.getRetryCount() > 0);
+    this.clearSavedRun();
+
+    this.enterPlayingState({ reason: 'continue-saved-run' });
+
+    this.eventBus.emit('run-resumed', {
+      source,
+      wave: save.wave?.currentWave ?? null,
+      savedAt: save.savedAt,
+    });
+
+    debugLog('[GameSessionService] Saved run resumed', { source });
+    return true;
+  }
+
+  /**
+   * Applies the parts of a run save that the retry snapshot does not cover.
+   * @param {Object} save - Normalized run save
+   */
+  applyRunSaveExtras(save) {
+    const player = this.resolveServiceInstance('player');
+    const enemies = this.resolveServiceInstance('enemies');
+    const xpOrbs = this.resolveServiceInstance('xp-orbs');
+    const healthHearts = this.resolveServiceInstance('healthHearts');
+
+    // Retries heal to full; a resumed run keeps the health it was saved with.
+    const savedHealth = save.snapshot?.player?.health;
+    if (player && Number.isFinite(savedHealth) && savedHealth > 0) {
+      player.health = Number.isFinite(player.maxHealth)
+        ? Math.min(savedHealth, player.maxHealth)
+        : savedHealth;
+    }
+
+    const waveManager = enemies?.waveManager || null;
+    if (save.wave && typeof waveManager?.restoreState === 'function') {
+      try {
+        waveManager.restoreState(save.wave);
+      } catch (error) {
+        console.warn(
+          '[GameSessionService] Failed to restore wave state:',
+          error
+        );
+      }
+    }
+
+    if (save.xpOrbs && typeof xpOrbs?.importState === 'function') {
+      try {
+        xpOrbs.importState(save.xpOrbs);
+      } catch (error) {
+        console.warn('[GameSessionService] Failed to restore XP orbs:', error);
+      }
+    }
+
+    if (save.healthHearts && typeof healthHearts?.importState === 'function') {
+      try {
+        healthHearts.importState(save.healthHearts);
+      } catch (error) {
+        console.warn(
+          '[GameSessionService] Failed to restore health hearts:',
+          error
+        );
+      }
+    }
+  }
+
+  refreshContinueRunButton() {
+    let element = this.continueRunButtonElement;
+    if (!element || !element.isConnected) {
+      element = this.lookupDomElement('continue-run-btn');
+      this.continueRunButtonElement = element;
+    }
+
+    if (!element || !element.classList) {
+      return;
+    }
+
+    element.classList.toggle('hidden', !this.hasSavedRun());
+  }
+
   findSafeSpawnPoint() {
     const fallback = {
       x: GAME_WIDTH / 2,
@@ -2084,6 +2609,7 @@ export default class GameSessionService {
     this.setRetryCount(0);
     this.setRetryButtonEnabled(false);
     this.clearDeathSnapshot();
+    this.refreshContinueRunButton();
 
     if (this.gameState) {
       this.gameState.randomScope = 'menu';
@@ -2194,6 +2720,148 @@ export default class GameSessionService {
     }
   }
 
+  /**
+   * Validates a run save and upgrades it to the current format version.
+   * @param {string|Object} input - Raw JSON or parsed payload
+   * @returns {Object} Normalized save
+   * @throws {Error} When the payload is not a supported run save
+   */
+  static parseRunSave(input) {
+    let payload = input;
+    if (typeof input === 'string') {
+      try {
+        payload = JSON.parse(input);
+      } catch (error) {
+        throw new Error(
+          `[GameSessionService] Run save is not valid JSON: ${error.message}`
+        );
+      }
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[GameSessionService] Run save must be an object');
+    }
+
+    if (payload.format !== RUN_SAVE_FORMAT) {
+      throw new Error(
+        `[GameSessionService] Unsupported run save format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(
+        '[GameSessionService] Run save is missing a valid version'
+      );
+    }
+
+    if (version > RUN_SAVE_FORMAT_VERSION) {
+      throw new Error(
+        `[GameSessionService] Run save version ${version} is newer than supported version ${RUN_SAVE_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < RUN_SAVE_FORMAT_VERSION) {
+      const migrate = RUN_SAVE_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[GameSessionService] No migration available from run save version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    if (!migrated.snapshot || typeof migrated.snapshot !== 'object') {
+      throw new Error('[GameSessionService] Run save is missing its snapshot');
+    }
+
+    return {
+      format: RUN_SAVE_FORMAT,
+      version: RUN_SAVE_FORMAT_VERSION,
+      savedAt: Number.isFinite(migrated.savedAt) ? migrated.savedAt : null,
+      seed: {
+        seed: migrated.seed?.seed ?? null,
+        source: migrated.seed?.source || 'unknown',
+      },
+      retryCount: Number.isFinite(migrated.retryCount)
+        ? migrated.retryCount
+        : null,
+      modifiers: Array.isArray(migrated.modifiers) ? migrated.modifiers : [],
+      snapshot: migrated.snapshot,
+      wave: migrated.wave || null,
+      xpOrbs: migrated.xpOrbs || null,
+      healthHearts: migrated.healthHearts || null,
+    };
+  }
+
+  /**
+   * @param {Object} save - Payload produced by createRunSave()
+   * @returns {boolean} True when the save was written
+   */
+  static persistRunSave(save) {
+    if (typeof window === 'undefined' || !window.localStorage || !save) {
+      return false;
+    }
+
+    try {
+      window.localStorage.setItem(
+        RUN_SAVE_STORAGE_KEYS.current,
+        JSON.stringify(save)
+      );
+      return true;
+    } catch (error) {
+      console.warn('[GameSessionService] Failed to persist run save:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Loads and migrates the stored run save. Unreadable saves are discarded.
+   * @returns {Object|null}
+   */
+  static loadRunSave() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    let raw = null;
+    try {
+      raw = window.localStorage.getItem(RUN_SAVE_STORAGE_KEYS.current);
+    } catch (error) {
+      console.warn('[GameSessionService] Failed to read run save:', error);
+      return null;
+    }
+
+    if (!raw) {
+      return null;
+    }
+
+    try {
+      return GameSessionService.parseRunSave(raw);
+    } catch (error) {
+      console.warn(
+        '[GameSessionService] Discarding unreadable run save:',
+        error
+      );
+      GameSessionService.clearRunSave();
+      return null;
+    }
+  }
+
+  static clearRunSave() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return;
+    }
+
+    try {
+      window.localStorage.removeItem(RUN_SAVE_STORAGE_KEYS.current);
+    } catch (error) {
+      console.warn('[GameSessionService] Failed to clear run save:', error);
+    }
+  }
+
   /**
    * Outputs a formatted snapshot log message.
    * @param {string} scope
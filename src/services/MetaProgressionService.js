@@ -0,0 +1,504 @@
+import { META_PROGRESSION_REWARDS } from '../data/constants/gameplay.js';
+import {
+  META_UNLOCK_TREE,
+  META_UNLOCKS_BY_ID,
+  META_HULL_GATES,
+  META_UPGRADE_GATES,
+} from '../data/metaUnlocks.js';
+import { UPGRADE_EVOLUTIONS } from '../data/upgrades/evolutions.js';
+import { debugLog } from '../core/debugLogging.js';
+import { decodeShareCode, encodeShareCode } from '../utils/shareCode.js';
+
+/**
+ * MetaProgressionService keeps the roguelite layer that survives between runs:
+ * a salvage balance banked from cleared waves and defeated bosses, and the
+ * permanent unlock tree defined in data/metaUnlocks.js.
+ *
+ * Salvage is banked as it is earned (not at run end) so closing the tab
+ * mid-run never loses it. Replay playback does not earn salvage, and gates
+ * hulls and upgrades with the unlocks the replay was recorded with.
+ *
+ * It also keeps the evolution codex: recipes from data/upgrades/evolutions.js
+ * the player has completed in any run, which the level-up and pause screens
+ * reveal instead of the recipe hint.
+ */
+export const META_PROGRESSION_FORMAT = 'roguefield-meta';
+export const META_PROGRESSION_FORMAT_VERSION = 1;
+
+const META_PROGRESSION_STORAGE_KEYS = {
+  state: 'roguefield.metaProgression',
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the parsed payload and must return a payload for the next version.
+ */
+const META_PROGRESSION_MIGRATIONS = {};
+
+function createInitialState() {
+  return {
+    currency: 0,
+    lifetimeCurrency: 0,
+    unlocks: [],
+    evolutions: [],
+    stats: {
+      wavesCleared: 0,
+      bossesDefeated: 0,
+    },
+  };
+}
+
+function sanitizeCount(value) {
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+export default class MetaProgressionService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   * @param {Function} [options.serviceResolver] - Lazy resolver used to detect replay playback
+   */
+  constructor({ eventBus, serviceResolver = null } = {}) {
+    if (!eventBus) {
+      throw new Error('[MetaProgressionService] Missing event bus instance');
+    }
+
+    this.eventBus = eventBus;
+    this.serviceResolver =
+      typeof serviceResolver === 'function' ? serviceResolver : null;
+
+    this.state = MetaProgressionService.loadState() || createInitialState();
+    this.runEarnings = 0;
+
+    this.eventHandlers = {
+      runStarted: () => {
+        this.runEarnings = 0;
+      },
+      waveComplete: (payload) => this.handleWaveComplete(payload),
+      bossDefeated: (payload) => this.handleBossDefeated(payload),
+      upgradeEvolved: (payload) => this.handleUpgradeEvolved(payload),
+    };
+
+    this.eventBus.on('game-started', this.eventHandlers.runStarted);
+    this.eventBus.on('wave-complete', this.eventHandlers.waveComplete);
+    this.eventBus.on('boss-defeated', this.eventHandlers.bossDefeated);
+    this.eventBus.on('upgrade-evolved', this.eventHandlers.upgradeEvolved);
+  }
+
+  resolveService(name) {
+    if (!this.serviceResolver) {
+      return null;
+    }
+
+    try {
+      return this.serviceResolver(name) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isReplayPlayback() {
+    const replay = this.resolveService('replay');
+    return typeof replay?.isPlaying === 'function' && replay.isPlaying();
+  }
+
+  handleWaveComplete(payload = {}) {
+    if (this.isReplayPlayback()) {
+      return;
+    }
+
+    this.state.stats.wavesCleared += 1;
+    this.earnCurrency(META_PROGRESSION_REWARDS.perWaveCleared, {
+      reason: 'wave-cleared',
+      wave: payload?.wave ?? null,
+    });
+  }
+
+  handleBossDefeated(payload = {}) {
+    if (this.isReplayPlayback()) {
+      return;
+    }
+
+    this.state.stats.bossesDefeated += 1;
+    this.earnCurrency(META_PROGRESSION_REWARDS.perBossDefeated, {
+      reason: 'boss-defeated',
+      wave: payload?.wave ?? null,
+    });
+  }
+
+  handleUpgradeEvolved(payload = {}) {
+    if (this.isReplayPlayback()) {
+      return;
+    }
+
+    this.discoverEvolution(payload?.upgradeId);
+  }
+
+  isEvolutionDiscovered(evolutionId) {
+    return this.state.evolutions.includes(evolutionId);
+  }
+
+  /**
+   * Records an evolution recipe in the codex.
+   * @param {string} evolutionId
+   * @returns {boolean} Whether the recipe was newly discovered
+   */
+  discoverEvolution(evolutionId) {
+    const known = UPGRADE_EVOLUTIONS.some(
+      (recipe) => recipe.id === evolutionId
+    );
+    if (!known || this.isEvolutionDiscovered(evolutionId)) {
+      return false;
+    }
+
+    this.state.evolutions.push(evolutionId);
+    this.persist();
+    this.emitChanged('evolution-discovered');
+    return true;
+  }
+
+  /**
+   * Adds salvage to the bank and persists it immediately.
+   * @param {number} amount
+   * @param {Object} [meta] - Extra fields forwarded with the event
+   * @returns {number} New balance
+   */
+  earnCurrency(amount, meta = {}) {
+    const value = sanitizeCount(amount);
+    if (value === 0) {
+      return this.state.currency;
+    }
+
+    this.state.currency += value;
+    this.state.lifetimeCurrency += value;
+    this.runEarnings += value;
+    this.persist();
+
+    this.eventBus.emit('meta-currency-earned', {
+      ...meta,
+      amount: value,
+      balance: this.state.currency,
+      runEarnings: this.runEarnings,
+    });
+    this.emitChanged('currency-earned');
+    return this.state.currency;
+  }
+
+  getCurrency() {
+    return this.state.currency;
+  }
+
+  getRunEarnings() {
+    return this.runEarnings;
+  }
+
+  isUnlocked(nodeId) {
+    return this.getActiveUnlocks().includes(nodeId);
+  }
+
+  /**
+   * Unlocks gating the current run: the recorded ones during replay playback
+   * (see ReplayService.getPlaybackUnlocks()), the owned ones otherwise.
+   * @returns {Array<string>}
+   */
+  getActiveUnlocks() {
+    if (this.isReplayPlayback()) {
+      const recorded = this.resolveService('replay').getPlaybackUnlocks?.();
+      if (Array.isArray(recorded)) {
+        return recorded;
+      }
+    }
+
+    return this.state.unlocks;
+  }
+
+  /**
+   * @returns {Array<string>} Ids of the owned unlock nodes
+   */
+  getUnlockedIds() {
+    return [...this.state.unlocks];
+  }
+
+  isHullUnlocked(hullId) {
+    const nodeId = META_HULL_GATES[hullId];
+    return !nodeId || this.isUnlocked(nodeId);
+  }
+
+  /**
+   * @param {string} upgradeId
+   * @returns {string|null} Id of the node gating the upgrade, if any
+   */
+  getUpgradeGate(upgradeId) {
+    return META_UPGRADE_GATES[upgradeId] || null;
+  }
+
+  /**
+   * @returns {{reroll: number, banish: number}} Level-up charges added to
+   *   every run by owned nodes (the recorded bonus during replay playback)
+   */
+  getLevelUpChargeBonus() {
+    const recorded = this.isReplayPlayback()
+      ? this.resolveService('replay').getPlaybackLevelUpChargeBonus?.()
+      : null;
+    if (recorded) {
+      return { ...recorded };
+    }
+
+    return this.getActiveUnlocks().reduce(
+      (total, nodeId) => {
+        const charges = META_UNLOCKS_BY_ID[nodeId]?.levelUpCharges;
+        total.reroll += charges?.reroll || 0;
+        total.banish += charges?.banish || 0;
+        return total;
+      },
+      { reroll: 0, banish: 0 }
+    );
+  }
+
+  /**
+   * Reports whether a node can be bought right now and why not otherwise.
+   * @param {string} nodeId
+   * @returns {{ ok: boolean, reason: string|null }}
+   */
+  checkPurchase(nodeId) {
+    const node = META_UNLOCKS_BY_ID[nodeId];
+    if (!node) {
+      return { ok: false, reason: 'unknown-node' };
+    }
+
+    if (this.isUnlocked(nodeId)) {
+      return { ok: false, reason: 'already-unlocked' };
+    }
+
+    const missing = (node.requires || []).filter((id) => !this.isUnlocked(id));
+    if (missing.length > 0) {
+      return { ok: false, reason: 'requires-unlock' };
+    }
+
+    if (this.state.currency < node.cost) {
+      return { ok: false, reason: 'insufficient-currency' };
+    }
+
+    return { ok: true, reason: null };
+  }
+
+  /**
+   * Buys an unlock node with banked salvage.
+   * @param {string} nodeId
+   * @returns {{ ok: boolean, reason: string|null }}
+   */
+  purchase(nodeId) {
+    const result = this.checkPurchase(nodeId);
+    if (!result.ok) {
+      return result;
+    }
+
+    const node = META_UNLOCKS_BY_ID[nodeId];
+    this.state.currency -= node.cost;
+    this.state.unlocks.push(nodeId);
+    this.persist();
+
+    this.eventBus.emit('meta-unlock-purchased', {
+      id: nodeId,
+      cost: node.cost,
+      balance: this.state.currency,
+      unlocks: { ...node.unlocks },
+    });
+    this.emitChanged('unlock-purchased');
+    debugLog(`[MetaProgression] Unlocked ${nodeId}`);
+    return result;
+  }
+
+  /**
+   * Unlock tree annotated with ownership and purchase availability, for UI.
+   * @returns {Array<Object>}
+   */
+  getUnlockTree() {
+    return META_UNLOCK_TREE.map((node) => {
+      const purchase = this.checkPurchase(node.id);
+      return {
+        ...node,
+        unlocked: this.isUnlocked(node.id),
+        purchasable: purchase.ok,
+        blockedReason: purchase.reason,
+      };
+    });
+  }
+
+  getStats() {
+    return {
+      currency: this.state.currency,
+      lifetimeCurrency: this.state.lifetimeCurrency,
+      unlockCount: this.state.unlocks.length,
+      ...this.state.stats,
+    };
+  }
+
+  serialize() {
+    return {
+      format: META_PROGRESSION_FORMAT,
+      version: META_PROGRESSION_FORMAT_VERSION,
+      currency: this.state.currency,
+      lifetimeCurrency: this.state.lifetimeCurrency,
+      unlocks: [...this.state.unlocks],
+      evolutions: [...this.state.evolutions],
+      stats: { ...this.state.stats },
+    };
+  }
+
+  /**
+   * @returns {string} Share code that importData() accepts
+   */
+  exportData() {
+    return encodeShareCode(this.serialize());
+  }
+
+  /**
+   * Replaces local progress with an exported code or payload.
+   * @param {string|Object} input
+   * @returns {boolean}
+   */
+  importData(input) {
+    let state;
+    try {
+      const payload =
+        typeof input === 'string' ? decodeShareCode(input) : input;
+      state = MetaProgressionService.parse(payload);
+    } catch (error) {
+      console.warn('[MetaProgressionService] Import rejected:', error);
+      return false;
+    }
+
+    this.state = state;
+    this.persist();
+    this.emitChanged('imported');
+    return true;
+  }
+
+  /**
+   * Wipes all meta progress (settings "reset progress" flows, tests).
+   */
+  reset() {
+    this.state = createInitialState();
+    this.runEarnings = 0;
+    this.persist();
+    this.emitChanged('reset');
+  }
+
+  emitChanged(reason) {
+    this.eventBus.emit('meta-progression-changed', {
+      reason,
+      ...this.getStats(),
+    });
+  }
+
+  persist() {
+    MetaProgressionService.persistState(this.serialize());
+  }
+
+  destroy() {
+    this.eventBus.off('game-started', this.eventHandlers.runStarted);
+    this.eventBus.off('wave-complete', this.eventHandlers.waveComplete);
+    this.eventBus.off('boss-defeated', this.eventHandlers.bossDefeated);
+    this.eventBus.off('upgrade-evolved', this.eventHandlers.upgradeEvolved);
+  }
+
+  /**
+   * Validates a serialized payload and upgrades it to the current version.
+   * Unknown unlock ids are dropped so removed nodes do not linger.
+   * @param {Object} payload
+   * @returns {Object} Internal state
+   * @throws {Error} When the payload is not a supported meta-progression save
+   */
+  static parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[MetaProgressionService] Payload must be an object');
+    }
+
+    if (payload.format !== META_PROGRESSION_FORMAT) {
+      throw new Error(
+        `[MetaProgressionService] Unsupported format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('[MetaProgressionService] Missing a valid version');
+    }
+
+    if (version > META_PROGRESSION_FORMAT_VERSION) {
+      throw new Error(
+        `[MetaProgressionService] Version ${version} is newer than supported version ${META_PROGRESSION_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < META_PROGRESSION_FORMAT_VERSION) {
+      const migrate = META_PROGRESSION_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[MetaProgressionService] No migration available from version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    const unlocks = Array.isArray(migrated.unlocks)
+      ? migrated.unlocks.filter(
+          (id, index, list) =>
+            META_UNLOCKS_BY_ID[id] && list.indexOf(id) === index
+        )
+      : [];
+
+    const evolutions = Array.isArray(migrated.evolutions)
+      ? migrated.evolutions.filter(
+          (id, index, list) =>
+            UPGRADE_EVOLUTIONS.some((recipe) => recipe.id === id) &&
+            list.indexOf(id) === index
+        )
+      : [];
+
+    return {
+      currency: sanitizeCount(migrated.currency),
+      lifetimeCurrency: sanitizeCount(migrated.lifetimeCurrency),
+      unlocks,
+      evolutions,
+      stats: {
+        wavesCleared: sanitizeCount(migrated.stats?.wavesCleared),
+        bossesDefeated: sanitizeCount(migrated.stats?.bossesDefeated),
+      },
+    };
+  }
+
+  static persistState(payload) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(
+        META_PROGRESSION_STORAGE_KEYS.state,
+        JSON.stringify(payload)
+      );
+    } catch (error) {
+      console.warn('[MetaProgressionService] Failed to persist state:', error);
+    }
+  }
+
+  static loadState() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(
+        META_PROGRESSION_STORAGE_KEYS.state
+      );
+      return raw ? MetaProgressionService.parse(JSON.parse(raw)) : null;
+    } catch (error) {
+      console.warn('[MetaProgressionService] Failed to load state:', error);
+      return null;
+    }
+  }
+}
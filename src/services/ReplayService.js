@@ -0,0 +1,741 @@
+import { debugLog } from '../core/debugLogging.js';
+
+/**
+ * ReplayService records deterministic input replays and plays them back.
+ *
+ * A recording captures the seed provenance reported by
+ * GameSessionService.getSeedInfo(), the delta time of every simulated frame
+ * and each command drained from the CommandQueueService during that frame,
+ * plus the meta-progression unlocks owned when the run started and the
+ * reroll/banish charge bonus they grant, since both shape the level-ups and
+ * playback must not depend on the local profile.
+ * Inputs that bypass the queue (ability activations and level-up picks,
+ * rerolls, banishes and skips) are stored as frame-tagged events. Playback
+ * re-injects the recorded commands frame-by-frame so the run can be
+ * re-simulated through the regular updateGame() path without live input.
+ */
+export const REPLAY_FORMAT = 'roguefield-replay';
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Level-up decisions, replayed in order as each set of options is offered
+const LEVEL_UP_EVENT_TYPES = new Set([
+  'upgrade',
+  'upgrade-reroll',
+  'upgrade-banish',
+  'upgrade-skip',
+]);
+
+const REPLAY_STORAGE_KEYS = {
+  last: 'roguefield.lastReplay',
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the parsed payload and must return a payload for the next version.
+ */
+const REPLAY_MIGRATIONS = {};
+
+function cloneCommandPayload(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  const { timestamp, context, ...rest } = payload;
+  try {
+    return JSON.parse(JSON.stringify(rest));
+  } catch (error) {
+    console.warn('[ReplayService] Failed to clone command payload:', error);
+    return null;
+  }
+}
+
+function isSameMovePayload(a, b) {
+  if (!a || !b || !a.binary || !b.binary) {
+    return false;
+  }
+
+  return (
+    a.binary.up === b.binary.up &&
+    a.binary.down === b.binary.down &&
+    a.binary.left === b.binary.left &&
+    a.binary.right === b.binary.right &&
+    a.axes?.x === b.axes?.x &&
+    a.axes?.y === b.axes?.y
+  );
+}
+
+export default class ReplayService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   * @param {Object} options.commandQueue - CommandQueueService instance
+   * @param {Function} [options.serviceResolver] - Lazy resolver for session/ui/progression
+   */
+  constructor({ eventBus, commandQueue, serviceResolver = null } = {}) {
+    if (!eventBus) {
+      throw new Error('[ReplayService] Missing event bus instance');
+    }
+
+    if (!commandQueue) {
+      throw new Error('[ReplayService] Missing command queue instance');
+    }
+
+    this.eventBus = eventBus;
+    this.commandQueue = commandQueue;
+    this.serviceResolver =
+      typeof serviceResolver === 'function' ? serviceResolver : null;
+
+    this.mode = 'idle';
+    this.recording = null;
+    this.playback = null;
+    this.frameIndex = 0;
+    this.lastRecordedMove = null;
+    this.lastReplay = null;
+
+    this.unsubscribeConsumeHook = this.commandQueue.addHook(
+      'onConsume',
+      (payload) => this.handleCommandsConsumed(payload)
+    );
+
+    this.eventHandlers = {
+      gameStarted: (payload) => this.handleGameStarted(payload),
+      abilityPressed: (payload) =>
+        this.recordEvent({ type: 'ability', abilityId: payload?.abilityId }),
+      upgradeApplied: (payload) => this.handleUpgradeApplied(payload),
+      upgradeBanished: (payload) => this.handleUpgradeBanished(payload),
+      upgradeSkipped: () => this.recordEvent({ type: 'upgrade-skip' }),
+      upgradeOptionsReady: (payload) => this.handleUpgradeOptions(payload),
+      runEnded: (payload) => this.handleRunEnded(payload),
+    };
+
+    this.eventBus.on('game-started', this.eventHandlers.gameStarted);
+    this.eventBus.on(
+      'activate-ability-pressed',
+      this.eventHandlers.abilityPressed
+    );
+    this.eventBus.on('upgrade-applied', this.eventHandlers.upgradeApplied);
+    this.eventBus.on('upgrade-banished', this.eventHandlers.upgradeBanished);
+    this.eventBus.on('upgrade-skipped', this.eventHandlers.upgradeSkipped);
+    this.eventBus.on(
+      'upgrade-options-ready',
+      this.eventHandlers.upgradeOptionsReady
+    );
+    this.eventBus.on('player-died', this.eventHandlers.runEnded);
+    this.eventBus.on('exit-to-menu-requested', this.eventHandlers.runEnded);
+  }
+
+  resolveService(name) {
+    if (!this.serviceResolver) {
+      return null;
+    }
+
+    try {
+      return this.serviceResolver(name) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'recording';
+  }
+
+  isPlaying() {
+    return this.mode === 'playback';
+  }
+
+  // ========================================
+  // RECORDING
+  // ========================================
+
+  /**
+   * Starts a new recording for the current run.
+   * @param {Object} [options]
+   * @param {{ seed: *, source?: string }} [options.seedInfo]
+   * @param {string} [options.hullId]
+   * @param {Array<string>} [options.modifiers] - Active run modifier ids
+   * @returns {boolean}
+   */
+  startRecording({ seedInfo, hullId = null, modifiers = [] } = {}) {
+    if (this.isPlaying()) {
+      return false;
+    }
+
+    const session = this.resolveService('game-session');
+    const resolvedSeedInfo =
+      seedInfo ||
+      (session && typeof session.getSeedInfo === 'function'
+        ? session.getSeedInfo()
+        : { seed: null, source: 'unknown' });
+    const meta = this.resolveService('meta-progression');
+
+    this.recording = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      seed: {
+        seed: resolvedSeedInfo?.seed ?? null,
+        source: resolvedSeedInfo?.source || 'unknown',
+      },
+      hullId: typeof hullId === 'string' ? hullId : null,
+      modifiers: Array.isArray(modifiers) ? [...modifiers] : [],
+      unlocks:
+        typeof meta?.getUnlockedIds === 'function'
+          ? meta.getUnlockedIds()
+          : null,
+      levelUpChargeBonus:
+        typeof meta?.getLevelUpChargeBonus === 'function'
+          ? { ...meta.getLevelUpChargeBonus() }
+          : null,
+      deltas: [],
+      commands: [],
+      events: [],
+    };
+    this.frameIndex = 0;
+    this.lastRecordedMove = null;
+    this.mode = 'recording';
+
+    debugLog('[ReplayService] Recording started', this.recording.seed);
+    return true;
+  }
+
+  /**
+   * Finalizes the active recording.
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=true] - Store the replay in localStorage
+   * @returns {Object|null} Replay payload
+   */
+  stopRecording({ persist = true } = {}) {
+    if (!this.isRecording() || !this.recording) {
+      return null;
+    }
+
+    const replay = this.recording;
+    replay.frameCount = replay.deltas.length;
+
+    this.recording = null;
+    this.mode = 'idle';
+    this.lastReplay = replay;
+
+    if (persist) {
+      ReplayService.persistLastReplay(replay);
+    }
+
+    debugLog(
+      `[ReplayService] Recording stopped (${replay.frameCount} frames, ${replay.commands.length} commands)`
+    );
+    return replay;
+  }
+
+  handleGameStarted(payload = {}) {
+    if (this.isPlaying()) {
+      return;
+    }
+
+    if (this.isRecording()) {
+      this.stopRecording();
+    }
+
+    const player = this.resolveService('player');
+    this.startRecording({
+      hullId:
+        typeof player?.currentHull?.id === 'string'
+          ? player.currentHull.id
+          : null,
+      modifiers: payload.modifiers,
+    });
+  }
+
+  handleRunEnded() {
+    if (this.isRecording()) {
+      this.stopRecording();
+    }
+  }
+
+  handleCommandsConsumed({ entries } = {}) {
+    if (!this.isRecording() || !Array.isArray(entries)) {
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const payload = cloneCommandPayload(entry?.payload);
+      if (!payload) {
+        return;
+      }
+
+      if (entry.type === 'move') {
+        if (isSameMovePayload(payload, this.lastRecordedMove)) {
+          return;
+        }
+        this.lastRecordedMove = payload;
+      }
+
+      this.recording.commands.push({
+        frame: this.frameIndex,
+        type: entry.type,
+        payload,
+      });
+    });
+  }
+
+  handleUpgradeApplied(payload = {}) {
+    if (!this.isRecording() || typeof payload?.upgradeId !== 'string') {
+      return;
+    }
+
+    this.recordEvent({ type: 'upgrade', upgradeId: payload.upgradeId });
+  }
+
+  handleUpgradeBanished(payload = {}) {
+    if (!this.isRecording() || typeof payload?.upgradeId !== 'string') {
+      return;
+    }
+
+    this.recordEvent({ type: 'upgrade-banish', upgradeId: payload.upgradeId });
+  }
+
+  recordEvent(event) {
+    if (!this.isRecording() || !event) {
+      return;
+    }
+
+    this.recording.events.push({ frame: this.frameIndex, ...event });
+  }
+
+  // ========================================
+  // FRAME LIFECYCLE
+  // ========================================
+
+  /**
+   * Marks the start of a simulated frame.
+   *
+   * While recording, stores the delta time. During playback, injects the
+   * recorded commands and returns the recorded delta time.
+   * @param {number} deltaTime
+   * @returns {number} Delta time the simulation should use for this frame
+   */
+  beginFrame(deltaTime) {
+    if (this.isRecording()) {
+      this.recording.deltas.push(deltaTime);
+      return deltaTime;
+    }
+
+    if (!this.isPlaying()) {
+      return deltaTime;
+    }
+
+    const { replay } = this.playback;
+    if (this.frameIndex >= replay.deltas.length) {
+      this.finishPlayback({ reason: 'complete' });
+      return deltaTime;
+    }
+
+    this.injectPlaybackCommands();
+    this.dispatchPlaybackEvents();
+
+    return replay.deltas[this.frameIndex];
+  }
+
+  endFrame() {
+    if (!this.isRecording() && !this.isPlaying()) {
+      return;
+    }
+
+    this.frameIndex += 1;
+
+    if (
+      this.isPlaying() &&
+      this.frameIndex >= this.playback.replay.deltas.length
+    ) {
+      this.finishPlayback({ reason: 'complete' });
+    }
+  }
+
+  // ========================================
+  // PLAYBACK
+  // ========================================
+
+  /**
+   * Prepares playback of a replay. The caller is responsible for starting the
+   * run (see GameSessionService.startReplayRun) and driving updateGame().
+   * @param {Object|string} replayOrJson
+   * @returns {Object} Normalized replay payload
+   */
+  startPlayback(replayOrJson) {
+    const replay = ReplayService.parse(replayOrJson);
+
+    if (this.isRecording()) {
+      this.stopRecording();
+    }
+
+    this.playback = {
+      replay,
+      commandCursor: 0,
+      eventCursor: 0,
+      upgradeCursor: 0,
+      upgrades: replay.events.filter((event) =>
+        LEVEL_UP_EVENT_TYPES.has(event.type)
+      ),
+    };
+    this.frameIndex = 0;
+    this.mode = 'playback';
+
+    this.eventBus.emit?.('replay-playback-started', {
+      frameCount: replay.deltas.length,
+      seed: { ...replay.seed },
+    });
+
+    return replay;
+  }
+
+  /**
+   * Meta-progression unlocks the replay was recorded with.
+   * @returns {Array<string>|null} Null when not playing, or when the replay
+   *   predates unlock recording (the local profile applies then)
+   */
+  getPlaybackUnlocks() {
+    return this.isPlaying() ? this.playback.replay.unlocks : null;
+  }
+
+  /**
+   * Level-up charge bonus the replay was recorded with.
+   * @returns {{reroll: number, banish: number}|null} Null when not playing, or
+   *   when the replay predates bonus recording
+   */
+  getPlaybackLevelUpChargeBonus() {
+    return this.isPlaying() ? this.playback.replay.levelUpChargeBonus : null;
+  }
+
+  finishPlayback({ reason = 'stopped' } = {}) {
+    if (!this.isPlaying()) {
+      return;
+    }
+
+    const framesPlayed = this.frameIndex;
+    const frameCount = this.playback.replay.deltas.length;
+    this.playback = null;
+    this.mode = 'idle';
+
+    this.eventBus.emit?.('replay-playback-finished', {
+      reason,
+      framesPlayed,
+      frameCount,
+    });
+  }
+
+  injectPlaybackCommands() {
+    const { replay } = this.playback;
+    const { commands } = replay;
+
+    while (
+      this.playback.commandCursor < commands.length &&
+      commands[this.playback.commandCursor].frame <= this.frameIndex
+    ) {
+      const command = commands[this.playback.commandCursor];
+      this.playback.commandCursor += 1;
+
+      try {
+        this.commandQueue.enqueue(
+          { ...command.payload, type: command.type },
+          { source: 'replay' }
+        );
+      } catch (error) {
+        console.warn('[ReplayService] Failed to inject command:', error);
+      }
+    }
+  }
+
+  dispatchPlaybackEvents() {
+    const { events } = this.playback.replay;
+
+    while (
+      this.playback.eventCursor < events.length &&
+      events[this.playback.eventCursor].frame <= this.frameIndex
+    ) {
+      const event = events[this.playback.eventCursor];
+      this.playback.eventCursor += 1;
+
+      if (event.type === 'ability') {
+        this.eventBus.emit?.('activate-ability-pressed', {
+          abilityId: event.abilityId,
+          source: 'replay',
+        });
+      }
+    }
+  }
+
+  handleUpgradeOptions(payload = {}) {
+    if (this.isRecording() && payload?.reason === 'reroll') {
+      this.recordEvent({ type: 'upgrade-reroll' });
+      return;
+    }
+
+    if (!this.isPlaying()) {
+      return;
+    }
+
+    const next = this.playback.upgrades[this.playback.upgradeCursor];
+    if (!next) {
+      console.warn('[ReplayService] Level-up offered with no recorded pick.');
+      return;
+    }
+
+    this.playback.upgradeCursor += 1;
+
+    if (next.type !== 'upgrade') {
+      this.replayLevelUpAction(next);
+      return;
+    }
+
+    const offered = Array.isArray(payload.options)
+      ? payload.options.map((option) => option?.id)
+      : [];
+    if (offered.length > 0 && !offered.includes(next.upgradeId)) {
+      console.warn(
+        '[ReplayService] Replay desync: recorded upgrade was not offered.',
+        { frame: this.frameIndex, upgradeId: next.upgradeId, offered }
+      );
+    }
+
+    const ui = this.resolveService('ui');
+    if (ui && typeof ui.selectUpgrade === 'function') {
+      ui.selectUpgrade(next.upgradeId);
+      return;
+    }
+
+    const progression = this.resolveService('progression');
+    if (progression && typeof progression.applyUpgrade === 'function') {
+      progression.applyUpgrade(next.upgradeId);
+    }
+  }
+
+  /**
+   * Re-applies a recorded reroll, banish or skip. Rerolls and banishes
+   * re-offer options, which dispatches the next recorded decision.
+   * @param {{type: string, upgradeId?: string}} event
+   */
+  replayLevelUpAction(event) {
+    const progression = this.resolveService('progression');
+    if (!progression) {
+      return;
+    }
+
+    if (event.type === 'upgrade-reroll') {
+      progression.rerollUpgradeOptions?.();
+    } else if (event.type === 'upgrade-banish') {
+      progression.banishUpgrade?.(event.upgradeId);
+    } else if (event.type === 'upgrade-skip') {
+      this.resolveService('ui')?.showGameUI?.();
+      progression.skipUpgradeSelection?.();
+    }
+  }
+
+  // ========================================
+  // SERIALIZATION
+  // ========================================
+
+  getLastReplay() {
+    return this.lastReplay;
+  }
+
+  /**
+   * Serializes a replay to a JSON string suitable for saving to disk.
+   * @param {Object} [replay]
+   * @returns {string|null}
+   */
+  exportReplay(replay = this.lastReplay) {
+    if (!replay) {
+      return null;
+    }
+
+    return JSON.stringify(replay);
+  }
+
+  /**
+   * Triggers a browser download of the given replay.
+   * @param {Object} [replay]
+   * @returns {boolean}
+   */
+  downloadReplay(replay = this.lastReplay) {
+    const json = this.exportReplay(replay);
+    if (
+      !json ||
+      typeof document === 'undefined' ||
+      typeof Blob === 'undefined'
+    ) {
+      return false;
+    }
+
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `roguefield-replay-${replay.seed?.seed ?? 'unknown'}.json`;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    URL.revokeObjectURL(url);
+    return true;
+  }
+
+  destroy() {
+    if (typeof this.unsubscribeConsumeHook === 'function') {
+      this.unsubscribeConsumeHook();
+      this.unsubscribeConsumeHook = null;
+    }
+
+    if (typeof this.eventBus?.off === 'function') {
+      this.eventBus.off('game-started', this.eventHandlers.gameStarted);
+      this.eventBus.off(
+        'activate-ability-pressed',
+        this.eventHandlers.abilityPressed
+      );
+      this.eventBus.off('upgrade-applied', this.eventHandlers.upgradeApplied);
+      this.eventBus.off('upgrade-banished', this.eventHandlers.upgradeBanished);
+      this.eventBus.off('upgrade-skipped', this.eventHandlers.upgradeSkipped);
+      this.eventBus.off(
+        'upgrade-options-ready',
+        this.eventHandlers.upgradeOptionsReady
+      );
+      this.eventBus.off('player-died', this.eventHandlers.runEnded);
+      this.eventBus.off('exit-to-menu-requested', this.eventHandlers.runEnded);
+    }
+
+    this.mode = 'idle';
+    this.recording = null;
+    this.playback = null;
+  }
+
+  /**
+   * Parses and validates a replay payload, migrating older versions.
+   * @param {Object|string} input
+   * @returns {Object}
+   */
+  static parse(input) {
+    let payload = input;
+    if (typeof input === 'string') {
+      try {
+        payload = JSON.parse(input);
+      } catch (error) {
+        throw new Error(
+          `[ReplayService] Invalid replay JSON: ${error.message}`
+        );
+      }
+    }
+
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[ReplayService] Replay payload must be an object');
+    }
+
+    if (payload.format !== REPLAY_FORMAT) {
+      throw new Error(
+        `[ReplayService] Unsupported replay format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('[ReplayService] Replay is missing a valid version');
+    }
+
+    if (version > REPLAY_FORMAT_VERSION) {
+      throw new Error(
+        `[ReplayService] Replay version ${version} is newer than supported version ${REPLAY_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < REPLAY_FORMAT_VERSION) {
+      const migrate = REPLAY_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[ReplayService] No migration available from replay version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    const deltas = Array.isArray(migrated.deltas)
+      ? migrated.deltas.map((value) => (Number.isFinite(value) ? value : 0))
+      : [];
+
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_FORMAT_VERSION,
+      createdAt: migrated.createdAt || null,
+      seed: {
+        seed: migrated.seed?.seed ?? null,
+        source: migrated.seed?.source || 'unknown',
+      },
+      hullId: typeof migrated.hullId === 'string' ? migrated.hullId : null,
+      modifiers: Array.isArray(migrated.modifiers)
+        ? migrated.modifiers.filter((id) => typeof id === 'string')
+        : [],
+      unlocks: Array.isArray(migrated.unlocks)
+        ? migrated.unlocks.filter((id) => typeof id === 'string')
+        : null,
+      levelUpChargeBonus: migrated.levelUpChargeBonus
+        ? {
+            reroll: Number(migrated.levelUpChargeBonus.reroll) || 0,
+            banish: Number(migrated.levelUpChargeBonus.banish) || 0,
+          }
+        : null,
+      frameCount: deltas.length,
+      deltas,
+      commands: (Array.isArray(migrated.commands) ? migrated.commands : [])
+        .filter(
+          (command) =>
+            command &&
+            Number.isFinite(command.frame) &&
+            typeof command.type === 'string'
+        )
+        .sort((a, b) => a.frame - b.frame),
+      events: (Array.isArray(migrated.events) ? migrated.events : [])
+        .filter(
+          (event) =>
+            event &&
+            Number.isFinite(event.frame) &&
+            typeof event.type === 'string'
+        )
+        .sort((a, b) => a.frame - b.frame),
+    };
+  }
+
+  /**
+   * Persists the latest replay to localStorage for crash reports.
+   * @param {Object} replay
+   */
+  static persistLastReplay(replay) {
+    if (typeof window === 'undefined' || !window.localStorage || !replay) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(
+        REPLAY_STORAGE_KEYS.last,
+        JSON.stringify(replay)
+      );
+    } catch (error) {
+      console.warn('[ReplayService] Failed to persist last replay:', error);
+    }
+  }
+
+  /**
+   * Loads the replay stored by persistLastReplay().
+   * @returns {Object|null}
+   */
+  static loadLastReplay() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(REPLAY_STORAGE_KEYS.last);
+      return raw ? ReplayService.parse(raw) : null;
+    } catch (error) {
+      console.warn('[ReplayService] Failed to load last replay:', error);
+      return null;
+    }
+  }
+}
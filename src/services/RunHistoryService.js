@@ -0,0 +1,446 @@
+import { debugLog } from '../core/debugLogging.js';
+
+/**
+ * RunHistoryService records a summary of every finished run (seed, hull,
+ * score, wave reached, kills, best combo, play time, upgrade build and run
+ * modifiers with their score multiplier) and keeps the most recent entries in local
+ * storage for the game-over panel and the leaderboard screen. Entries that
+ * still place on a leaderboard are kept however old they are.
+ *
+ * A run is recorded when the player dies or quits from the pause menu.
+ * Retrying continues the same run, so a later death updates the existing
+ * entry instead of adding a new one. Save & Quit does not end the run: it is
+ * recorded once it ends after being continued. Replay playback is never
+ * recorded.
+ */
+export const RUN_HISTORY_FORMAT = 'roguefield-run-history';
+export const RUN_HISTORY_FORMAT_VERSION = 1;
+
+export const RUN_HISTORY_MAX_ENTRIES = 50;
+export const RUN_HISTORY_LEADERBOARD_SIZE = 10;
+
+/**
+ * Leaderboard orderings. Ties fall through to the next comparator so the
+ * ranking is stable regardless of storage order.
+ */
+export const RUN_HISTORY_SORT_KEYS = Object.freeze([
+  'score',
+  'wave',
+  'kills',
+  'maxCombo',
+  'playTime',
+  'recordedAt',
+]);
+
+const RUN_HISTORY_STORAGE_KEYS = {
+  entries: 'roguefield.runHistory',
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the parsed payload and must return a payload for the next version.
+ */
+const RUN_HISTORY_MIGRATIONS = {};
+
+function sanitizeCount(value) {
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+function sanitizeDuration(value) {
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+function sanitizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string') {
+    return null;
+  }
+
+  return {
+    id: entry.id,
+    recordedAt: sanitizeCount(entry.recordedAt),
+    seed: entry.seed ?? null,
+    hullId: typeof entry.hullId === 'string' ? entry.hullId : null,
+    score: sanitizeCount(entry.score),
+    wave: sanitizeCount(entry.wave),
+    kills: sanitizeCount(entry.kills),
+    maxCombo: sanitizeCount(entry.maxCombo),
+    playTime: sanitizeDuration(entry.playTime),
+    level: sanitizeCount(entry.level),
+    retriesUsed: sanitizeCount(entry.retriesUsed),
+    build: Array.isArray(entry.build)
+      ? entry.build
+          .filter((item) => item && typeof item.id === 'string')
+          .map((item) => ({ id: item.id, level: sanitizeCount(item.level) }))
+      : [],
+    modifiers: Array.isArray(entry.modifiers)
+      ? entry.modifiers.filter((id) => typeof id === 'string')
+      : [],
+    scoreMultiplier:
+      Number.isFinite(entry.scoreMultiplier) && entry.scoreMultiplier > 0
+        ? entry.scoreMultiplier
+        : 1,
+  };
+}
+
+export function compareRunEntries(a, b, sortBy = 'score') {
+  const order = [
+    sortBy,
+    ...RUN_HISTORY_SORT_KEYS.filter((key) => key !== sortBy),
+  ];
+
+  for (const key of order) {
+    const difference = (b[key] ?? 0) - (a[key] ?? 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Keeps the newest RUN_HISTORY_MAX_ENTRIES entries plus the top
+ * RUN_HISTORY_LEADERBOARD_SIZE of every sort key.
+ * @param {Array<Object>} entries - Newest first
+ * @returns {Array<Object>} Retained entries, newest first
+ */
+function retainEntries(entries) {
+  const kept = new Set(entries.slice(0, RUN_HISTORY_MAX_ENTRIES));
+  RUN_HISTORY_SORT_KEYS.forEach((key) => {
+    [...entries]
+      .sort((a, b) => compareRunEntries(a, b, key))
+      .slice(0, RUN_HISTORY_LEADERBOARD_SIZE)
+      .forEach((entry) => kept.add(entry));
+  });
+  return entries.filter((entry) => kept.has(entry));
+}
+
+export default class RunHistoryService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   * @param {Function} [options.serviceResolver] - Lazy resolver for the systems sampled at death
+   */
+  constructor({ eventBus, serviceResolver = null } = {}) {
+    if (!eventBus) {
+      throw new Error('[RunHistoryService] Missing event bus instance');
+    }
+
+    this.eventBus = eventBus;
+    this.serviceResolver =
+      typeof serviceResolver === 'function' ? serviceResolver : null;
+
+    this.entries = RunHistoryService.loadEntries() || [];
+    this.activeRun = null;
+    this.lastRecordedId = null;
+
+    this.eventHandlers = {
+      runStarted: () => this.beginRun(),
+      runResumed: () => {
+        if (!this.activeRun) {
+          this.beginRun();
+        }
+      },
+      comboUpdated: (payload) => this.trackCombo(payload?.comboCount),
+      playerDied: () => this.recordRun(),
+      exitToMenu: (payload) => {
+        // Save & Quit also exits through here, but that run is not over
+        if (payload?.source === 'pause-menu') {
+          this.recordRun({ reason: 'quit' });
+          this.activeRun = null;
+        }
+      },
+    };
+
+    this.eventBus.on('game-started', this.eventHandlers.runStarted);
+    this.eventBus.on('run-resumed', this.eventHandlers.runResumed);
+    this.eventBus.on('combo-updated', this.eventHandlers.comboUpdated);
+    this.eventBus.on('player-died', this.eventHandlers.playerDied);
+    this.eventBus.on('exit-to-menu-requested', this.eventHandlers.exitToMenu);
+  }
+
+  resolveService(name) {
+    if (!this.serviceResolver) {
+      return null;
+    }
+
+    try {
+      return this.serviceResolver(name) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isReplayPlayback() {
+    const replay = this.resolveService('replay');
+    return typeof replay?.isPlaying === 'function' && replay.isPlaying();
+  }
+
+  beginRun() {
+    if (this.isReplayPlayback()) {
+      this.activeRun = null;
+      return;
+    }
+
+    const startedAt = Date.now();
+    this.activeRun = {
+      id: `run-${startedAt.toString(36)}`,
+      maxCombo: 0,
+      deaths: 0,
+    };
+  }
+
+  trackCombo(comboCount) {
+    if (!this.activeRun) {
+      return;
+    }
+
+    this.activeRun.maxCombo = Math.max(
+      this.activeRun.maxCombo,
+      sanitizeCount(comboCount)
+    );
+  }
+
+  /**
+   * Samples the live systems into a history entry.
+   * @returns {Object|null}
+   */
+  captureRunSummary() {
+    if (!this.activeRun) {
+      return null;
+    }
+
+    const session = this.resolveService('game-session');
+    const player = this.resolveService('player');
+    const enemies = this.resolveService('enemies');
+    const progression = this.resolveService('progression');
+    const runModifiers = this.resolveService('run-modifiers');
+    const score = this.resolveService('score');
+
+    const seedInfo =
+      typeof session?.getSeedInfo === 'function' ? session.getSeedInfo() : null;
+    const waveState =
+      typeof enemies?.getWaveState === 'function'
+        ? enemies.getWaveState()
+        : null;
+    const sessionStats =
+      typeof enemies?.getSessionStats === 'function'
+        ? enemies.getSessionStats()
+        : null;
+
+    if (typeof progression?.getComboState === 'function') {
+      this.trackCombo(progression.getComboState()?.comboCount);
+    }
+
+    const build =
+      typeof progression?.getAllUpgrades === 'function'
+        ? Array.from(progression.getAllUpgrades().entries())
+            // Upgrades fused into an evolution are listed as the evolution
+            .filter(([id]) => !progression.isUpgradeConsumedByEvolution?.(id))
+            .map(([id, level]) => ({ id, level }))
+        : [];
+
+    return sanitizeEntry({
+      id: this.activeRun.id,
+      recordedAt: Date.now(),
+      seed: seedInfo?.seed ?? null,
+      hullId: player?.currentHull?.id ?? null,
+      score: typeof score?.getScore === 'function' ? score.getScore() : 0,
+      wave: waveState?.current,
+      kills: sessionStats?.totalKills,
+      maxCombo: this.activeRun.maxCombo,
+      playTime: sessionStats?.timeElapsed,
+      level:
+        typeof progression?.getLevel === 'function'
+          ? progression.getLevel()
+          : 0,
+      retriesUsed: this.activeRun.deaths,
+      build,
+      modifiers:
+        typeof runModifiers?.getActiveIds === 'function'
+          ? runModifiers.getActiveIds()
+          : [],
+      scoreMultiplier:
+        typeof runModifiers?.getScoreMultiplier === 'function'
+          ? runModifiers.getScoreMultiplier()
+          : 1,
+    });
+  }
+
+  /**
+   * Records (or updates, after a retry) the active run.
+   * @param {Object} [options]
+   * @param {string} [options.reason='death'] - 'death' or 'quit'; only deaths
+   *   count towards the retries used
+   * @returns {Object|null} The stored entry
+   */
+  recordRun({ reason = 'death' } = {}) {
+    if (this.isReplayPlayback()) {
+      return null;
+    }
+
+    const entry = this.captureRunSummary();
+    if (!entry) {
+      return null;
+    }
+
+    if (reason === 'death') {
+      this.activeRun.deaths += 1;
+    }
+    this.entries = retainEntries([
+      entry,
+      ...this.entries.filter((existing) => existing.id !== entry.id),
+    ]);
+    this.lastRecordedId = entry.id;
+    this.persist();
+
+    const rank = this.getRank(entry.id);
+    this.eventBus.emit('run-recorded', { entry: { ...entry }, rank });
+    debugLog(`[RunHistory] Recorded ${entry.id} (rank ${rank ?? '-'})`);
+    return entry;
+  }
+
+  /**
+   * @returns {Object|null} Entry recorded for the most recent death or quit
+   */
+  getLastRun() {
+    const entry = this.entries.find((item) => item.id === this.lastRecordedId);
+    return entry ? { ...entry } : null;
+  }
+
+  getHistory() {
+    return this.entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.sortBy='score'] - One of RUN_HISTORY_SORT_KEYS
+   * @param {number} [options.limit] - Number of entries to return
+   * @returns {Array<Object>}
+   */
+  getLeaderboard({
+    sortBy = 'score',
+    limit = RUN_HISTORY_LEADERBOARD_SIZE,
+  } = {}) {
+    const key = RUN_HISTORY_SORT_KEYS.includes(sortBy) ? sortBy : 'score';
+    return [...this.entries]
+      .sort((a, b) => compareRunEntries(a, b, key))
+      .slice(0, Math.max(0, limit))
+      .map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * @param {string} entryId
+   * @param {string} [sortBy='score']
+   * @returns {number|null} 1-based leaderboard position, or null when not in the top N
+   */
+  getRank(entryId, sortBy = 'score') {
+    const index = this.getLeaderboard({ sortBy }).findIndex(
+      (entry) => entry.id === entryId
+    );
+    return index >= 0 ? index + 1 : null;
+  }
+
+  clear() {
+    this.entries = [];
+    this.lastRecordedId = null;
+    this.persist();
+    this.eventBus.emit('run-history-cleared');
+  }
+
+  serialize() {
+    return {
+      format: RUN_HISTORY_FORMAT,
+      version: RUN_HISTORY_FORMAT_VERSION,
+      entries: this.entries.map((entry) => ({ ...entry })),
+    };
+  }
+
+  persist() {
+    RunHistoryService.persistEntries(this.serialize());
+  }
+
+  destroy() {
+    this.eventBus.off('game-started', this.eventHandlers.runStarted);
+    this.eventBus.off('run-resumed', this.eventHandlers.runResumed);
+    this.eventBus.off('combo-updated', this.eventHandlers.comboUpdated);
+    this.eventBus.off('player-died', this.eventHandlers.playerDied);
+    this.eventBus.off('exit-to-menu-requested', this.eventHandlers.exitToMenu);
+  }
+
+  /**
+   * Validates a serialized history and upgrades it to the current version.
+   * @param {Object} payload
+   * @returns {Array<Object>} Entries, newest first
+   * @throws {Error} When the payload is not a supported run history
+   */
+  static parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[RunHistoryService] Payload must be an object');
+    }
+
+    if (payload.format !== RUN_HISTORY_FORMAT) {
+      throw new Error(
+        `[RunHistoryService] Unsupported format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('[RunHistoryService] Missing a valid version');
+    }
+
+    if (version > RUN_HISTORY_FORMAT_VERSION) {
+      throw new Error(
+        `[RunHistoryService] Version ${version} is newer than supported version ${RUN_HISTORY_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < RUN_HISTORY_FORMAT_VERSION) {
+      const migrate = RUN_HISTORY_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[RunHistoryService] No migration available from version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    return retainEntries(
+      (Array.isArray(migrated.entries) ? migrated.entries : [])
+        .map(sanitizeEntry)
+        .filter(Boolean)
+    );
+  }
+
+  static persistEntries(payload) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(
+        RUN_HISTORY_STORAGE_KEYS.entries,
+        JSON.stringify(payload)
+      );
+    } catch (error) {
+      console.warn('[RunHistoryService] Failed to persist history:', error);
+    }
+  }
+
+  static loadEntries() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(RUN_HISTORY_STORAGE_KEYS.entries);
+      return raw ? RunHistoryService.parse(JSON.parse(raw)) : null;
+    } catch (error) {
+      console.warn('[RunHistoryService] Failed to load history:', error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,304 @@
+import { RUN_MODIFIERS, RUN_MODIFIERS_BY_ID } from '../data/runModifiers.js';
+import { debugLog } from '../core/debugLogging.js';
+
+/**
+ * RunModifierService keeps the modifiers picked on the main menu and the set
+ * active for the current run.
+ *
+ * The menu selection persists between sessions. GameSessionService activates
+ * a set whenever a run starts (the selection for regular runs, the recorded
+ * set for challenges, replays and resumed saves) and systems read the merged
+ * effects through getEffects() while the run plays.
+ */
+export const RUN_MODIFIERS_FORMAT = 'roguefield-run-modifiers';
+export const RUN_MODIFIERS_FORMAT_VERSION = 1;
+
+const RUN_MODIFIERS_STORAGE_KEYS = {
+  selection: 'roguefield.runModifiers',
+};
+
+/**
+ * Migrations keyed by the version they upgrade from. Each migration receives
+ * the parsed payload and must return a payload for the next version.
+ */
+const RUN_MODIFIERS_MIGRATIONS = {};
+
+/**
+ * Drops unknown and duplicate ids and returns the rest in catalogue order, so
+ * the same set always produces the same label and share payload.
+ * @param {Array<string>} ids
+ * @returns {Array<string>}
+ */
+export function sanitizeRunModifierIds(ids) {
+  if (!Array.isArray(ids)) {
+    return [];
+  }
+
+  return RUN_MODIFIERS.filter((modifier) => ids.includes(modifier.id)).map(
+    (modifier) => modifier.id
+  );
+}
+
+function multiplier(value) {
+  return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+/**
+ * Merges the hooks of a modifier set into the values systems consume.
+ * @param {Array<string>} ids
+ * @returns {Object}
+ */
+export function resolveRunModifierEffects(ids) {
+  const effects = {
+    playerStats: {},
+    waves: { bossInterval: null, asteroidVariant: null, asteroidSpeed: 1 },
+    enemyHealth: 1,
+    rewards: 1,
+    excludedUpgrades: [],
+    upgradeLuck: 0,
+  };
+
+  sanitizeRunModifierIds(ids).forEach((id) => {
+    const hooks = RUN_MODIFIERS_BY_ID[id].hooks || {};
+
+    Object.entries(hooks.playerStats || {}).forEach(([stat, value]) => {
+      effects.playerStats[stat] =
+        (effects.playerStats[stat] ?? 1) * multiplier(value);
+    });
+
+    const waves = hooks.waves || {};
+    if (Number.isInteger(waves.bossInterval) && waves.bossInterval > 0) {
+      effects.waves.bossInterval = Math.min(
+        effects.waves.bossInterval ?? Infinity,
+        waves.bossInterval
+      );
+    }
+    if (typeof waves.asteroidVariant === 'string') {
+      effects.waves.asteroidVariant = waves.asteroidVariant;
+    }
+    effects.waves.asteroidSpeed *= multiplier(waves.asteroidSpeed);
+
+    effects.enemyHealth *= multiplier(hooks.enemyHealth);
+    effects.rewards *= multiplier(hooks.rewards);
+
+    if (Number.isFinite(hooks.upgrades?.luck)) {
+      effects.upgradeLuck += hooks.upgrades.luck;
+    }
+
+    (hooks.upgrades?.excluded || []).forEach((upgradeId) => {
+      if (!effects.excludedUpgrades.includes(upgradeId)) {
+        effects.excludedUpgrades.push(upgradeId);
+      }
+    });
+  });
+
+  return effects;
+}
+
+/**
+ * @param {Array<string>} ids
+ * @returns {number} Product of the score multipliers of the set, to 2 decimals
+ */
+export function getRunModifierScoreMultiplier(ids) {
+  const product = sanitizeRunModifierIds(ids).reduce(
+    (total, id) => total * multiplier(RUN_MODIFIERS_BY_ID[id].scoreMultiplier),
+    1
+  );
+  return Math.round(product * 100) / 100;
+}
+
+export default class RunModifierService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   */
+  constructor({ eventBus } = {}) {
+    if (!eventBus) {
+      throw new Error('[RunModifierService] Missing event bus instance');
+    }
+
+    this.eventBus = eventBus;
+    this.selected = RunModifierService.loadSelection() || [];
+    this.active = [];
+    this.effects = resolveRunModifierEffects(this.active);
+  }
+
+  /**
+   * Catalogue annotated with the menu selection, for UI.
+   * @returns {Array<Object>}
+   */
+  getCatalogue() {
+    return RUN_MODIFIERS.map((modifier) => ({
+      ...modifier,
+      selected: this.selected.includes(modifier.id),
+    }));
+  }
+
+  getSelectedIds() {
+    return [...this.selected];
+  }
+
+  /**
+   * Replaces the menu selection used by the next regular run.
+   * @param {Array<string>} ids
+   * @returns {Array<string>} The stored selection
+   */
+  setSelected(ids) {
+    this.selected = sanitizeRunModifierIds(ids);
+    this.persist();
+    this.emitChanged('selection');
+    return this.getSelectedIds();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether the modifier is selected afterwards
+   */
+  toggle(id) {
+    if (!RUN_MODIFIERS_BY_ID[id]) {
+      return false;
+    }
+
+    const isSelected = this.selected.includes(id);
+    this.setSelected(
+      isSelected
+        ? this.selected.filter((selectedId) => selectedId !== id)
+        : [...this.selected, id]
+    );
+    return !isSelected;
+  }
+
+  /**
+   * Sets the modifiers of the run that is about to start. Called before the
+   * systems reset so their stats and wave plans pick up the new effects.
+   * @param {Array<string>} ids
+   * @returns {Array<string>} The active set
+   */
+  activate(ids) {
+    this.active = sanitizeRunModifierIds(ids);
+    this.effects = resolveRunModifierEffects(this.active);
+    this.emitChanged('activated');
+
+    if (this.active.length > 0) {
+      debugLog(
+        `[RunModifiers] Active: ${this.active.join(', ')} (x${this.getScoreMultiplier()})`
+      );
+    }
+    return this.getActiveIds();
+  }
+
+  getActiveIds() {
+    return [...this.active];
+  }
+
+  getActiveModifiers() {
+    return this.active.map((id) => RUN_MODIFIERS_BY_ID[id]);
+  }
+
+  /**
+   * @returns {Object} Merged effects of the active set (see resolveRunModifierEffects)
+   */
+  getEffects() {
+    return this.effects;
+  }
+
+  getScoreMultiplier() {
+    return getRunModifierScoreMultiplier(this.active);
+  }
+
+  emitChanged(reason) {
+    this.eventBus.emit('run-modifiers-changed', {
+      reason,
+      selected: this.getSelectedIds(),
+      active: this.getActiveIds(),
+      scoreMultiplier: this.getScoreMultiplier(),
+    });
+  }
+
+  serialize() {
+    return {
+      format: RUN_MODIFIERS_FORMAT,
+      version: RUN_MODIFIERS_FORMAT_VERSION,
+      selected: this.getSelectedIds(),
+    };
+  }
+
+  persist() {
+    RunModifierService.persistSelection(this.serialize());
+  }
+
+  /**
+   * Validates a serialized selection and upgrades it to the current version.
+   * Unknown modifier ids are dropped so removed modifiers do not linger.
+   * @param {Object} payload
+   * @returns {Array<string>} Selected ids
+   * @throws {Error} When the payload is not a supported selection
+   */
+  static parse(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('[RunModifierService] Payload must be an object');
+    }
+
+    if (payload.format !== RUN_MODIFIERS_FORMAT) {
+      throw new Error(
+        `[RunModifierService] Unsupported format: ${String(payload.format)}`
+      );
+    }
+
+    let version = Number(payload.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('[RunModifierService] Missing a valid version');
+    }
+
+    if (version > RUN_MODIFIERS_FORMAT_VERSION) {
+      throw new Error(
+        `[RunModifierService] Version ${version} is newer than supported version ${RUN_MODIFIERS_FORMAT_VERSION}`
+      );
+    }
+
+    let migrated = payload;
+    while (version < RUN_MODIFIERS_FORMAT_VERSION) {
+      const migrate = RUN_MODIFIERS_MIGRATIONS[version];
+      if (typeof migrate !== 'function') {
+        throw new Error(
+          `[RunModifierService] No migration available from version ${version}`
+        );
+      }
+      migrated = migrate(migrated);
+      version += 1;
+    }
+
+    return sanitizeRunModifierIds(migrated.selected);
+  }
+
+  static persistSelection(payload) {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return;
+    }
+
+    try {
+      window.localStorage.setItem(
+        RUN_MODIFIERS_STORAGE_KEYS.selection,
+        JSON.stringify(payload)
+      );
+    } catch (error) {
+      console.warn('[RunModifierService] Failed to persist selection:', error);
+    }
+  }
+
+  static loadSelection() {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+
+    try {
+      const raw = window.localStorage.getItem(
+        RUN_MODIFIERS_STORAGE_KEYS.selection
+      );
+      return raw ? RunModifierService.parse(JSON.parse(raw)) : null;
+    } catch (error) {
+      console.warn('[RunModifierService] Failed to load selection:', error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,284 @@
+import { SCORE_VALUES, SCORE_WAVE_BONUS } from '../data/scoring.js';
+
+/**
+ * ScoreService turns a run into a single comparable number for the HUD,
+ * the run history and the challenge leaderboards.
+ *
+ * Points come from player kills (by enemy type, or by asteroid size and
+ * variant), boss defeats, XP orbs and wave clears, with no-damage and
+ * speed-clear bonuses on top. Kills are scaled by the progression combo
+ * multiplier and every award by the active run modifiers. Each award emits
+ * `score-changed`; kill and boss awards carry a position for floating popups.
+ *
+ * Values live in data/scoring.js. The score resets on `game-started` and
+ * carries over retries; run saves restore it through importState().
+ */
+
+/**
+ * @param {Object} data - `enemy-destroyed` payload
+ * @returns {number} Points for the kill before combo and run modifiers
+ */
+export function getEnemyScoreValue(data = {}) {
+  const enemy = data.enemy || null;
+  const type = enemy?.type ?? data.enemyType ?? data.type ?? null;
+
+  let points;
+  if (type === 'asteroid') {
+    const size = enemy?.size ?? data.size;
+    const variant = enemy?.variant ?? data.variant;
+    points =
+      (SCORE_VALUES.asteroidSizes[size] ?? SCORE_VALUES.defaultEnemy) *
+      (SCORE_VALUES.asteroidVariants[variant] ?? 1);
+  } else {
+    points = SCORE_VALUES.enemies[type] ?? SCORE_VALUES.defaultEnemy;
+  }
+
+  if (typeof enemy?.isElite === 'function' && enemy.isElite()) {
+    points *= SCORE_VALUES.eliteMultiplier;
+  }
+
+  return points;
+}
+
+/**
+ * @param {number} wave
+ * @param {Object} result
+ * @param {number} result.duration - Seconds the wave took
+ * @param {boolean} result.damaged - Whether the hull lost health
+ * @returns {{clear: number, noDamage: number, speedClear: number}}
+ */
+export function getWaveScoreBonus(wave, { duration, damaged }) {
+  const waveNumber = Math.max(1, Math.floor(wave) || 1);
+  const { speedClear } = SCORE_WAVE_BONUS;
+
+  const parTime = Math.min(
+    speedClear.maxParTime,
+    speedClear.parTime + speedClear.parTimePerWave * waveNumber
+  );
+  const secondsUnderPar =
+    Number.isFinite(duration) && duration > 0
+      ? Math.max(0, Math.floor(parTime - duration))
+      : 0;
+
+  return {
+    clear: SCORE_WAVE_BONUS.clearPerWave * waveNumber,
+    noDamage: damaged
+      ? 0
+      : SCORE_WAVE_BONUS.noDamage +
+        SCORE_WAVE_BONUS.noDamagePerWave * waveNumber,
+    speedClear: Math.min(
+      speedClear.maxBonus,
+      secondsUnderPar * speedClear.pointsPerSecond
+    ),
+  };
+}
+
+export default class ScoreService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventBus - Global event bus instance
+   * @param {Function} [options.serviceResolver] - Lazy resolver for progression and run modifiers
+   */
+  constructor({ eventBus, serviceResolver = null } = {}) {
+    if (!eventBus) {
+      throw new Error('[ScoreService] Missing event bus instance');
+    }
+
+    this.eventBus = eventBus;
+    this.serviceResolver =
+      typeof serviceResolver === 'function' ? serviceResolver : null;
+
+    this.reset();
+
+    this.eventHandlers = {
+      runStarted: () => {
+        this.reset();
+        this.emitScoreChanged({ delta: 0, reason: 'reset' });
+      },
+      enemyDestroyed: (payload) => this.handleEnemyDestroyed(payload),
+      bossDefeated: (payload) => this.handleBossDefeated(payload),
+      orbCollected: (payload) => this.handleOrbCollected(payload),
+      waveStarted: () => this.beginWave(),
+      waveComplete: (payload) => this.handleWaveComplete(payload),
+      healthChanged: (payload) => this.trackHealth(payload?.current),
+    };
+
+    this.eventBus.on('game-started', this.eventHandlers.runStarted);
+    this.eventBus.on('enemy-destroyed', this.eventHandlers.enemyDestroyed);
+    this.eventBus.on('boss-defeated', this.eventHandlers.bossDefeated);
+    this.eventBus.on('xp-orb-collected', this.eventHandlers.orbCollected);
+    this.eventBus.on('wave-started', this.eventHandlers.waveStarted);
+    this.eventBus.on('wave-complete', this.eventHandlers.waveComplete);
+    this.eventBus.on('player-health-changed', this.eventHandlers.healthChanged);
+  }
+
+  resolveService(name) {
+    if (!this.serviceResolver) {
+      return null;
+    }
+
+    try {
+      return this.serviceResolver(name) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  reset() {
+    this.score = 0;
+    this.waveDamaged = false;
+    this.lastHealth = null;
+  }
+
+  getScore() {
+    return this.score;
+  }
+
+  getComboMultiplier() {
+    const progression = this.resolveService('progression');
+    const multiplier =
+      typeof progression?.getComboState === 'function'
+        ? progression.getComboState()?.multiplier
+        : null;
+    return Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 1;
+  }
+
+  getModifierMultiplier() {
+    const runModifiers = this.resolveService('run-modifiers');
+    const multiplier =
+      typeof runModifiers?.getScoreMultiplier === 'function'
+        ? runModifiers.getScoreMultiplier()
+        : null;
+    return Number.isFinite(multiplier) && multiplier > 0 ? multiplier : 1;
+  }
+
+  isPlayerKill(payload) {
+    if (payload?.context?.skipRewards) {
+      return false;
+    }
+
+    // Same rule that feeds the combo counter
+    const progression = this.resolveService('progression');
+    return (
+      typeof progression?.isPlayerResponsibleForEnemyDeath === 'function' &&
+      progression.isPlayerResponsibleForEnemyDeath(payload)
+    );
+  }
+
+  handleEnemyDestroyed(payload = {}) {
+    const type = payload?.enemy?.type ?? payload?.enemyType ?? payload?.type;
+    if (type === 'boss' || !this.isPlayerKill(payload)) {
+      return;
+    }
+
+    const comboMultiplier = this.getComboMultiplier();
+    this.award(getEnemyScoreValue(payload) * comboMultiplier, {
+      reason: 'kill',
+      position: payload.position ?? null,
+      comboMultiplier,
+    });
+  }
+
+  handleBossDefeated(payload = {}) {
+    this.award(SCORE_VALUES.boss, {
+      reason: 'boss',
+      position: payload?.position ?? null,
+    });
+  }
+
+  handleOrbCollected(payload = {}) {
+    const value = Number(payload?.value);
+    if (!Number.isFinite(value) || value <= 0) {
+      return;
+    }
+
+    // Orbs are picked up in bursts; no popup position keeps the field readable
+    this.award(value * SCORE_VALUES.orbPointsPerXp, { reason: 'orb' });
+  }
+
+  beginWave() {
+    this.waveDamaged = false;
+  }
+
+  trackHealth(current) {
+    if (!Number.isFinite(current)) {
+      return;
+    }
+
+    if (Number.isFinite(this.lastHealth) && current < this.lastHealth) {
+      this.waveDamaged = true;
+    }
+    this.lastHealth = current;
+  }
+
+  handleWaveComplete(payload = {}) {
+    const bonuses = getWaveScoreBonus(payload?.wave, {
+      duration: payload?.duration,
+      damaged: this.waveDamaged,
+    });
+
+    this.award(bonuses.clear + bonuses.noDamage + bonuses.speedClear, {
+      reason: 'wave-clear',
+      wave: payload?.wave ?? null,
+      bonuses,
+    });
+  }
+
+  /**
+   * Adds points scaled by the run modifier multiplier.
+   * @param {number} points
+   * @param {Object} details - Extra fields for the `score-changed` payload
+   * @returns {number} Points actually awarded
+   */
+  award(points, { reason, position = null, ...details } = {}) {
+    const delta = Math.round(points * this.getModifierMultiplier());
+    if (!Number.isFinite(delta) || delta <= 0) {
+      return 0;
+    }
+
+    this.score += delta;
+    this.emitScoreChanged({ delta, reason, position, ...details });
+    return delta;
+  }
+
+  emitScoreChanged({ delta, reason, position = null, ...details }) {
+    this.eventBus.emit('score-changed', {
+      score: this.score,
+      delta,
+      reason,
+      position,
+      ...details,
+    });
+  }
+
+  exportState() {
+    return { score: this.score, waveDamaged: this.waveDamaged };
+  }
+
+  importState(state) {
+    if (!state || typeof state !== 'object') {
+      return;
+    }
+
+    this.score =
+      Number.isFinite(state.score) && state.score > 0
+        ? Math.floor(state.score)
+        : 0;
+    this.waveDamaged = Boolean(state.waveDamaged);
+    this.lastHealth = null;
+    this.emitScoreChanged({ delta: 0, reason: 'restore' });
+  }
+
+  destroy() {
+    this.eventBus.off('game-started', this.eventHandlers.runStarted);
+    this.eventBus.off('enemy-destroyed', this.eventHandlers.enemyDestroyed);
+    this.eventBus.off('boss-defeated', this.eventHandlers.bossDefeated);
+    this.eventBus.off('xp-orb-collected', this.eventHandlers.orbCollected);
+    this.eventBus.off('wave-started', this.eventHandlers.waveStarted);
+    this.eventBus.off('wave-complete', this.eventHandlers.waveComplete);
+    this.eventBus.off(
+      'player-health-changed',
+      this.eventHandlers.healthChanged
+    );
+  }
+}
@@ -0,0 +1,417 @@
+/**
+ * HeadlessSimulationRunner boots the production service manifest without a
+ * DOM and plays seeded sessions with a bot or scripted player, collecting
+ * per-wave balance metrics.
+ *
+ * Presentation services (input, UI, audio, renderers) are replaced with inert
+ * stand-ins; every gameplay system runs its real implementation, so changes to
+ * WaveManager, RewardManager or upgrade data are reflected directly.
+ *
+ * @example
+ * ```javascript
+ * const runner = new HeadlessSimulationRunner({ bot: 'evasive', maxWaves: 5 });
+ * const report = runner.run({ runs: 10, baseSeed: 1000 });
+ * console.log(HeadlessSimulationRunner.toCsv(report));
+ * ```
+ */
+
+import { DIContainer } from '../core/DIContainer.js';
+import { ServiceRegistry } from '../core/ServiceRegistry.js';
+import { GamePools } from '../core/GamePools.js';
+import { applyDebugPreference } from '../core/debugLogging.js';
+import { bootstrapServices } from '../bootstrap/bootstrapServices.js';
+import {
+  SIMULATION_LOOP_CONFIG,
+  SIMULATION_UPDATE_ORDER,
+} from '../data/constants/gameplay.js';
+import { createHeadlessServiceOverrides } from './headlessServices.js';
+import { resolveSimulationBot } from './simulationBots.js';
+
+export const SIMULATION_CSV_COLUMNS = Object.freeze([
+  'seed',
+  'bot',
+  'outcome',
+  'wave',
+  'cleared',
+  'timeToClear',
+  'xpEarned',
+  'damageTaken',
+  'enemiesKilled',
+  'levelReached',
+]);
+
+function roundMetric(value, digits = 3) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+export default class HeadlessSimulationRunner {
+  /**
+   * @param {Object} [options={}]
+   * @param {string|Function|Object} [options.bot='evasive'] - Bot id, scripted function or bot object
+   * @param {number} [options.tickRate] - Simulation ticks per second
+   * @param {number} [options.maxWaves=10] - Stop a session after clearing this many waves
+   * @param {number} [options.maxDurationSeconds=900] - Simulated time cap per session
+   * @param {string} [options.hullId] - Optional hull override for every session
+   */
+  constructor(options = {}) {
+    const {
+      bot = 'evasive',
+      tickRate = SIMULATION_LOOP_CONFIG.tickRate,
+      maxWaves = 10,
+      maxDurationSeconds = 900,
+      hullId,
+    } = options;
+
+    this.bot = resolveSimulationBot(bot);
+    this.stepDuration = 1 / (tickRate > 0 ? tickRate : 60);
+    this.maxWaves = Math.max(1, Math.floor(maxWaves));
+    this.maxDurationSeconds = Math.max(this.stepDuration, maxDurationSeconds);
+    this.hullId = hullId;
+
+    this.container = null;
+    this.services = null;
+    this.activeRun = null;
+    this.eventSubscriptions = [];
+  }
+
+  /**
+   * Creates a DI container seeded with `seed` and resolves the manifest, the
+   * same way app.js boots a page load. Forked RNG streams are derived at
+   * construction time, so every session gets a fresh container rather than
+   * reusing one across seeds.
+   * @param {number|string} seed
+   * @returns {Object} Resolved services
+   */
+  boot(seed) {
+    this.teardown();
+    applyDebugPreference(false, { persist: false });
+
+    const gameState = {
+      screen: 'menu',
+      isPaused: false,
+      canvas: null,
+      ctx: null,
+      initialized: false,
+      lastTime: 0,
+    };
+    const manifestContext = {
+      gameState,
+      seed,
+      serviceOverrides: createHeadlessServiceOverrides(),
+    };
+
+    this.container = new DIContainer();
+    this.container.verbose = false;
+    ServiceRegistry.setupServices(this.container, manifestContext);
+
+    const { services } = bootstrapServices({
+      container: this.container,
+      manifestContext,
+    });
+
+    const session = services['game-session'];
+    if (!session || typeof session.startNewRun !== 'function') {
+      throw new Error('[HeadlessSimulationRunner] Missing game session');
+    }
+    session.initialize({ seedInfo: { seed, source: 'simulation' } });
+
+    this.services = services;
+    this.subscribeMetrics(services['event-bus']);
+    return services;
+  }
+
+  subscribeMetrics(eventBus) {
+    const subscribe = (eventName, handler) => {
+      eventBus.on(eventName, handler);
+      this.eventSubscriptions.push({ eventName, handler });
+    };
+
+    subscribe('wave-started', (payload = {}) => {
+      this.openWave(payload.wave);
+    });
+    // WaveManager emits 'wave-complete'; the legacy loop emits 'wave-completed'.
+    subscribe('wave-complete', (payload = {}) => {
+      this.closeWave(payload);
+    });
+    subscribe('wave-completed', (payload = {}) => {
+      this.closeWave(payload);
+    });
+    subscribe('xp-collected', (payload = {}) => {
+      this.recordWaveMetric('xpEarned', Number(payload.value) || 0);
+    });
+    subscribe('player-took-damage', (payload = {}) => {
+      this.recordWaveMetric('damageTaken', Number(payload.damage) || 0);
+    });
+    subscribe('upgrade-options-ready', (payload = {}) => {
+      this.handleUpgradeOptions(payload);
+    });
+  }
+
+  openWave(waveNumber) {
+    const run = this.activeRun;
+    if (!run) {
+      return;
+    }
+
+    run.currentWave = {
+      wave: Number.isFinite(waveNumber) ? waveNumber : run.waves.length + 1,
+      startedAt: run.elapsed,
+      cleared: false,
+      timeToClear: null,
+      xpEarned: 0,
+      damageTaken: 0,
+      enemiesKilled: null,
+      levelReached: null,
+    };
+    run.waves.push(run.currentWave);
+  }
+
+  closeWave(payload) {
+    const run = this.activeRun;
+    const wave = run?.currentWave;
+    if (!wave || wave.cleared) {
+      return;
+    }
+
+    wave.cleared = true;
+    wave.timeToClear = run.elapsed - wave.startedAt;
+    wave.enemiesKilled = Number.isFinite(payload.enemiesKilled)
+      ? payload.enemiesKilled
+      : null;
+    wave.levelReached = this.getPlayerLevel();
+    run.wavesCleared += 1;
+  }
+
+  recordWaveMetric(key, amount) {
+    const run = this.activeRun;
+    if (!run) {
+      return;
+    }
+
+    run.totals[key] += amount;
+    if (run.currentWave) {
+      run.currentWave[key] += amount;
+    }
+  }
+
+  handleUpgradeOptions(payload) {
+    const run = this.activeRun;
+    const options = Array.isArray(payload.options) ? payload.options : [];
+    if (!run || options.length === 0) {
+      return;
+    }
+
+    const choice =
+      typeof this.bot.chooseUpgrade === 'function'
+        ? this.bot.chooseUpgrade(options, this.services)
+        : options[0]?.id;
+    const progression = this.services.progression;
+    if (choice && progression?.applyUpgrade?.(choice)) {
+      run.upgrades.push(choice);
+    }
+  }
+
+  getPlayerLevel() {
+    const progression = this.services?.progression;
+    return typeof progression?.getLevel === 'function'
+      ? progression.getLevel()
+      : null;
+  }
+
+  /**
+   * Boots a fresh container and plays one seeded session to death, the wave
+   * limit or the time cap.
+   * @param {number|string} seed
+   * @returns {Object} Session metrics
+   */
+  runSession(seed) {
+    const services = this.boot(seed);
+    const session = services['game-session'];
+    const commandQueue = services['command-queue'];
+
+    this.activeRun = {
+      elapsed: 0,
+      waves: [],
+      currentWave: null,
+      wavesCleared: 0,
+      upgrades: [],
+      totals: { xpEarned: 0, damageTaken: 0 },
+    };
+    const run = this.activeRun;
+
+    session.startNewRun({ source: 'simulation', hullId: this.hullId });
+
+    const botContext = {
+      player: services.player,
+      enemies: services.enemies,
+      xpOrbs: services['xp-orbs'],
+      progression: services.progression,
+    };
+
+    let outcome = 'time-limit';
+    while (run.elapsed < this.maxDurationSeconds) {
+      const binary = this.bot.getMovement(botContext) || {};
+      this.enqueueMovement(commandQueue, binary);
+
+      GamePools.update(this.stepDuration);
+      SIMULATION_UPDATE_ORDER.forEach((name) => {
+        services[name]?.update?.(this.stepDuration);
+      });
+      run.elapsed += this.stepDuration;
+
+      if (session.getSessionState() === 'player-died') {
+        outcome = 'died';
+        break;
+      }
+
+      if (run.wavesCleared >= this.maxWaves) {
+        outcome = 'wave-limit';
+        break;
+      }
+    }
+
+    const finalLevel = this.getPlayerLevel();
+    this.activeRun = null;
+    this.teardown();
+
+    return {
+      seed,
+      bot: this.bot.id,
+      outcome,
+      durationSeconds: roundMetric(run.elapsed),
+      wavesCleared: run.wavesCleared,
+      finalLevel,
+      totalXp: run.totals.xpEarned,
+      totalDamageTaken: run.totals.damageTaken,
+      upgrades: run.upgrades,
+      waves: run.waves.map(({ startedAt, ...wave }) => ({
+        ...wave,
+        startedAt: roundMetric(startedAt),
+        timeToClear: roundMetric(wave.timeToClear),
+      })),
+    };
+  }
+
+  enqueueMovement(commandQueue, binary) {
+    const movement = {
+      up: Boolean(binary.up),
+      down: Boolean(binary.down),
+      left: Boolean(binary.left),
+      right: Boolean(binary.right),
+    };
+    const x = (movement.right ? 1 : 0) - (movement.left ? 1 : 0);
+    const y = (movement.down ? 1 : 0) - (movement.up ? 1 : 0);
+
+    commandQueue.enqueue(
+      {
+        type: 'move',
+        source: 'simulation',
+        axes: { x, y },
+        binary: movement,
+        magnitude: Math.min(1, Math.hypot(x, y)),
+      },
+      { source: 'simulation' }
+    );
+  }
+
+  /**
+   * Runs several sessions. Seeds come from `seeds`, or `runs` consecutive
+   * integers starting at `baseSeed`.
+   * @param {Object} [options={}]
+   * @param {Array<number|string>} [options.seeds]
+   * @param {number} [options.runs=1]
+   * @param {number} [options.baseSeed=1]
+   * @returns {{ config: Object, runs: Array<Object> }}
+   */
+  run({ seeds, runs = 1, baseSeed = 1 } = {}) {
+    const seedList =
+      Array.isArray(seeds) && seeds.length > 0
+        ? seeds
+        : Array.from(
+            { length: Math.max(1, Math.floor(runs)) },
+            (_, i) => baseSeed + i
+          );
+
+    return {
+      config: {
+        bot: this.bot.id,
+        tickRate: roundMetric(1 / this.stepDuration),
+        maxWaves: this.maxWaves,
+        maxDurationSeconds: this.maxDurationSeconds,
+        hullId: this.hullId ?? null,
+      },
+      runs: seedList.map((seed) => this.runSession(seed)),
+    };
+  }
+
+  /**
+   * Flattens a report into one CSV row per wave.
+   * @param {{ runs: Array<Object> }} report
+   * @returns {string}
+   */
+  static toCsv(report) {
+    const rows = [SIMULATION_CSV_COLUMNS.join(',')];
+
+    (report?.runs || []).forEach((run) => {
+      run.waves.forEach((wave) => {
+        const row = {
+          seed: run.seed,
+          bot: run.bot,
+          outcome: run.outcome,
+          ...wave,
+        };
+        rows.push(
+          SIMULATION_CSV_COLUMNS.map((column) =>
+            row[column] === null || row[column] === undefined
+              ? ''
+              : String(row[column])
+          ).join(',')
+        );
+      });
+    });
+
+    return rows.join('\n');
+  }
+
+  /**
+   * Destroys the current container's services and releases pooled objects so
+   * the next boot starts from a clean event bus and pool state.
+   */
+  teardown() {
+    if (!this.services) {
+      return;
+    }
+
+    const eventBus = this.services['event-bus'];
+    this.eventSubscriptions.forEach(({ eventName, handler }) => {
+      eventBus?.off?.(eventName, handler);
+    });
+    this.eventSubscriptions = [];
+
+    // Reverse resolution order: dependants go before the pools they release into.
+    Object.entries(this.services)
+      .reverse()
+      .forEach(([name, service]) => {
+        if (name === 'event-bus' || typeof service?.destroy !== 'function') {
+          return;
+        }
+        try {
+          service.destroy();
+        } catch (error) {
+          console.warn(
+            `[HeadlessSimulationRunner] Failed to destroy "${name}":`,
+            error
+          );
+        }
+      });
+
+    this.services['garbage-collector']?.shutdown?.();
+
+    this.services = null;
+    this.container = null;
+  }
+
+  dispose() {
+    this.teardown();
+  }
+}
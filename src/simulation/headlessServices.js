@@ -0,0 +1,59 @@
+/**
+ * Service overrides that let the real service manifest boot without a DOM,
+ * canvas or Web Audio context. Gameplay systems keep their production
+ * implementations; only presentation and device-input services are replaced.
+ */
+
+/**
+ * Manifest entries that depend on browser APIs during construction or update.
+ * @type {ReadonlyArray<string>}
+ */
+export const HEADLESS_SERVICE_NAMES = Object.freeze([
+  'input',
+  'ui',
+  'audio',
+  'renderer',
+  'menu-background',
+]);
+
+/**
+ * Creates a service that accepts any method call and does nothing. Callers in
+ * the gameplay systems already guard with `typeof service.method === 'function'`,
+ * so every property resolves to a no-op function.
+ * @param {string} name - Service name, exposed for debugging
+ * @returns {Object}
+ */
+export function createInertService(name) {
+  const noop = () => undefined;
+  const target = { headless: true, serviceName: name };
+
+  return new Proxy(target, {
+    get(object, property) {
+      if (Object.prototype.hasOwnProperty.call(object, property)) {
+        return object[property];
+      }
+
+      // Avoid being mistaken for a thenable or an iterable.
+      if (property === 'then' || typeof property === 'symbol') {
+        return undefined;
+      }
+
+      return noop;
+    },
+  });
+}
+
+/**
+ * Builds the `serviceOverrides` map consumed by createServiceManifest().
+ * @param {Object<string, Function>} [extraOverrides] - Additional or replacement factories
+ * @returns {Object<string, Function>}
+ */
+export function createHeadlessServiceOverrides(extraOverrides = {}) {
+  const overrides = {};
+
+  HEADLESS_SERVICE_NAMES.forEach((name) => {
+    overrides[name] = () => createInertService(name);
+  });
+
+  return { ...overrides, ...extraOverrides };
+}
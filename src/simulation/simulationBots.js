@@ -0,0 +1,129 @@
+/**
+ * Player policies used by the headless simulation runner. A bot receives the
+ * live gameplay services each tick and returns a binary movement intent in
+ * the same shape InputSystem publishes as `move` commands.
+ */
+
+const IDLE_MOVEMENT = Object.freeze({
+  up: false,
+  down: false,
+  left: false,
+  right: false,
+});
+
+const EVASIVE_THREAT_RADIUS = 220;
+const EVASIVE_ORB_RADIUS = 320;
+const EVASIVE_TURN_TOLERANCE = 0.3;
+const EVASIVE_THRUST_TOLERANCE = 0.6;
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function steerTowards(player, heading) {
+  const angle = typeof player.getAngle === 'function' ? player.getAngle() : 0;
+  const delta = wrapAngle(heading - angle);
+
+  return {
+    up: Math.abs(delta) < EVASIVE_THRUST_TOLERANCE,
+    down: false,
+    // Left applies counter-clockwise torque (angle decreases).
+    left: delta < -EVASIVE_TURN_TOLERANCE,
+    right: delta > EVASIVE_TURN_TOLERANCE,
+  };
+}
+
+/**
+ * Never touches the controls; useful as a lower bound for wave difficulty.
+ */
+function createIdleBot() {
+  return {
+    id: 'idle',
+    getMovement() {
+      return { ...IDLE_MOVEMENT };
+    },
+  };
+}
+
+/**
+ * Flees from nearby enemies weighted by proximity and drifts towards the
+ * closest XP orb when nothing is threatening. Combat stays on auto-aim.
+ */
+function createEvasiveBot() {
+  return {
+    id: 'evasive',
+    getMovement({ player, enemies, xpOrbs }) {
+      const position = player?.getPosition?.();
+      if (!position) {
+        return { ...IDLE_MOVEMENT };
+      }
+
+      let fleeX = 0;
+      let fleeY = 0;
+      const activeEnemies = enemies?.getActiveEnemies?.() || [];
+      for (const enemy of activeEnemies) {
+        const dx = position.x - enemy.x;
+        const dy = position.y - enemy.y;
+        const distance = Math.hypot(dx, dy) - (enemy.radius || 0);
+        if (distance >= EVASIVE_THREAT_RADIUS) {
+          continue;
+        }
+        const weight = 1 / Math.max(distance, 1);
+        fleeX += dx * weight;
+        fleeY += dy * weight;
+      }
+
+      if (fleeX !== 0 || fleeY !== 0) {
+        return steerTowards(player, Math.atan2(fleeY, fleeX));
+      }
+
+      let closestOrb = null;
+      let closestDistance = EVASIVE_ORB_RADIUS;
+      const orbs = xpOrbs?.getActiveOrbs?.() || [];
+      for (const orb of orbs) {
+        const distance = Math.hypot(orb.x - position.x, orb.y - position.y);
+        if (distance < closestDistance) {
+          closestDistance = distance;
+          closestOrb = orb;
+        }
+      }
+
+      if (!closestOrb) {
+        return { ...IDLE_MOVEMENT };
+      }
+
+      return steerTowards(
+        player,
+        Math.atan2(closestOrb.y - position.y, closestOrb.x - position.x)
+      );
+    },
+  };
+}
+
+export const SIMULATION_BOTS = Object.freeze({
+  idle: createIdleBot,
+  evasive: createEvasiveBot,
+});
+
+/**
+ * Resolves a bot from a registered id, a custom `{ getMovement }` object or a
+ * bare function `(context) => movement` (scripted player).
+ * @param {string|Function|Object} [bot='evasive']
+ * @returns {{ id: string, getMovement: Function, chooseUpgrade?: Function }}
+ */
+export function resolveSimulationBot(bot = 'evasive') {
+  if (typeof bot === 'function') {
+    return { id: bot.name || 'scripted', getMovement: bot };
+  }
+
+  if (bot && typeof bot.getMovement === 'function') {
+    return { id: 'custom', ...bot };
+  }
+
+  const factory = SIMULATION_BOTS[bot];
+  if (!factory) {
+    throw new Error(`[simulationBots] Unknown bot "${bot}"`);
+  }
+
+  return factory();
+}
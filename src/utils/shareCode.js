@@ -0,0 +1,46 @@
+// Share code helpers for copy/paste payloads (meta-progression exports, seeds)
+// Encodes JSON as URL-safe base64 so codes survive chat apps and query strings
+
+/**
+ * Encodes a JSON-serializable payload as a URL-safe base64 string.
+ * @param {*} payload - Value to encode
+ * @returns {string} Share code
+ */
+export function encodeShareCode(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decodes a share code produced by encodeShareCode().
+ * @param {string} code - Share code (whitespace is ignored)
+ * @returns {*} Decoded payload
+ * @throws {Error} When the code is not valid base64 JSON
+ */
+export function decodeShareCode(code) {
+  if (typeof code !== 'string' || !code.trim()) {
+    throw new Error('[shareCode] Share code must be a non-empty string');
+  }
+
+  const normalized = code.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  const padded = normalized.padEnd(
+    normalized.length + ((4 - (normalized.length % 4)) % 4),
+    '='
+  );
+
+  try {
+    const binary = atob(padded);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`[shareCode] Invalid share code: ${error.message}`);
+  }
+}
@@ -50,6 +50,10 @@ export function createDeterministicRandom(options = {}) {
       }
       throw new Error('Cannot pick from an empty array');
     },
+    weightedPick(entries) {
+      const [first] = Array.isArray(entries) ? entries : [];
+      return Array.isArray(first) ? first[0] : first;
+    },
   };
 }
 
@@ -276,6 +280,25 @@ export function createSettingsStub(values = null) {
   };
 }
 
+/**
+ * Create an in-memory localStorage stub with spied accessors.
+ *
+ * @returns {{getItem: ReturnType<typeof vi.fn>, setItem: ReturnType<typeof vi.fn>, removeItem: ReturnType<typeof vi.fn>}}
+ * @example
+ * const storage = createStorageStub();
+ * vi.stubGlobal('window', { localStorage: storage });
+ * storage.setItem('key', 1);
+ * expect(storage.getItem('key')).toBe('1');
+ */
+export function createStorageStub() {
+  const entries = new Map();
+  return {
+    getItem: vi.fn((key) => (entries.has(key) ? entries.get(key) : null)),
+    setItem: vi.fn((key, value) => entries.set(key, String(value))),
+    removeItem: vi.fn((key) => entries.delete(key)),
+  };
+}
+
 /**
  * Create an AudioContext stub compatible with the audio module tests.
  *
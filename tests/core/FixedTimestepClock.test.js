@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { FixedTimestepClock } from '../../src/core/FixedTimestepClock.js';
+
+function runFrames(clock, frameSeconds, frameCount) {
+  let steps = 0;
+  for (let i = 0; i < frameCount; i += 1) {
+    steps += clock.advance(frameSeconds).steps;
+  }
+  return steps;
+}
+
+describe('FixedTimestepClock', () => {
+  it('produces the same tick count for one second at 30, 60 and 144 Hz', () => {
+    const ticks = [30, 60, 144].map((refreshRate) =>
+      runFrames(
+        new FixedTimestepClock({ tickRate: 60 }),
+        1 / refreshRate,
+        refreshRate
+      )
+    );
+
+    ticks.forEach((count) => {
+      expect(count).toBeGreaterThanOrEqual(59);
+      expect(count).toBeLessThanOrEqual(60);
+    });
+  });
+
+  it('caps catch-up steps and records the dropped time', () => {
+    const clock = new FixedTimestepClock({ tickRate: 60, maxCatchUpSteps: 5 });
+
+    const { steps, stepDuration } = clock.advance(1);
+
+    expect(steps).toBe(5);
+    expect(stepDuration).toBeCloseTo(1 / 60);
+    expect(clock.getStats().droppedTime).toBeCloseTo(1 - 5 / 60, 5);
+    expect(clock.advance(0).steps).toBe(0);
+  });
+
+  it('exposes leftover time as an interpolation alpha and resets it', () => {
+    const clock = new FixedTimestepClock({ tickRate: 50 });
+
+    const result = clock.advance(0.03);
+
+    expect(result.steps).toBe(1);
+    expect(result.alpha).toBeCloseTo(0.5, 5);
+
+    clock.reset();
+    expect(clock.getAlpha()).toBe(0);
+    expect(clock.getStats().tickCount).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+import { afterAll, describe, expect, it } from 'vitest';
+import HeadlessSimulationRunner, {
+  SIMULATION_CSV_COLUMNS,
+} from '../../../src/simulation/HeadlessSimulationRunner.js';
+
+const runner = new HeadlessSimulationRunner({
+  bot: 'evasive',
+  maxWaves: 1,
+  maxDurationSeconds: 90,
+});
+
+afterAll(() => {
+  runner.dispose();
+});
+
+describe('HeadlessSimulationRunner', () => {
+  it('plays seeded sessions reproducibly through the real service manifest', () => {
+    const report = runner.run({ seeds: [4242, 4242] });
+    const [first, second] = report.runs;
+
+    expect(report.config).toMatchObject({ bot: 'evasive', maxWaves: 1 });
+    expect(first.waves.length).toBeGreaterThan(0);
+    expect(first.waves[0]).toMatchObject({ wave: 1 });
+    expect(first.waves[0]).toHaveProperty('xpEarned');
+    expect(first.waves[0]).toHaveProperty('damageTaken');
+    expect(first.waves[0]).toHaveProperty('levelReached');
+    expect(first.durationSeconds).toBeGreaterThan(0);
+    // Each session boots a fresh container, so equal seeds replay identically.
+    expect(second).toEqual(first);
+  });
+
+  it('flattens reports into one CSV row per wave', () => {
+    const csv = HeadlessSimulationRunner.toCsv({
+      runs: [
+        {
+          seed: 7,
+          bot: 'idle',
+          outcome: 'died',
+          waves: [
+            {
+              wave: 1,
+              cleared: true,
+              timeToClear: 30.5,
+              xpEarned: 120,
+              damageTaken: 0,
+              enemiesKilled: 12,
+              levelReached: 2,
+            },
+            {
+              wave: 2,
+              cleared: false,
+              timeToClear: null,
+              xpEarned: 40,
+              damageTaken: 100,
+              enemiesKilled: null,
+              levelReached: null,
+            },
+          ],
+        },
+      ],
+    });
+
+    expect(csv.split('\n')).toStrictEqual([
+      SIMULATION_CSV_COLUMNS.join(','),
+      '7,idle,died,1,true,30.5,120,0,12,2',
+      '7,idle,died,2,false,,40,100,,',
+    ]);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import BossEnemy from '../../src/modules/enemies/types/BossEnemy.js';
+import { BOSS_ARCHETYPES } from '../../src/data/enemies/boss.js';
+
+const createBoss = (config = {}) => {
+  const eventBus = { on: vi.fn(), off: vi.fn(), emit: vi.fn() };
+  let minionCount = 0;
+  const system = {
+    dependencies: { eventBus },
+    getCachedPlayer: () => ({ x: 400, y: 500 }),
+    acquireEnemyViaFactory: vi.fn((type, spawnConfig) => {
+      minionCount += 1;
+      return {
+        id: `minion-${minionCount}`,
+        type,
+        alive: true,
+        x: spawnConfig.x,
+        y: spawnConfig.y,
+        addTag: vi.fn(),
+      };
+    }),
+    registerActiveEnemy: vi.fn(() => true),
+  };
+  const boss = new BossEnemy(system);
+  boss.initialize({ id: 'boss-test', x: 400, y: 200, wave: 1, ...config });
+  return { boss, eventBus, system };
+};
+
+const firedPatterns = (eventBus) =>
+  eventBus.emit.mock.calls
+    .filter(([event]) => event === 'enemy-fired')
+    .map(([, payload]) => payload.meta.pattern);
+
+describe('boss archetype phase scripts', () => {
+  it('declares one phase per threshold band with known attack types', () => {
+    Object.values(BOSS_ARCHETYPES).forEach((archetype) => {
+      expect(archetype.phases).toHaveLength(
+        archetype.phaseThresholds.length + 1
+      );
+      archetype.phases.forEach((phase) => {
+        expect(typeof phase.movement.strategy).toBe('string');
+        phase.attacks.forEach((attack) => {
+          expect(['spread', 'volley', 'charge', 'ring', 'sweep']).toContain(
+            attack.type
+          );
+        });
+      });
+    });
+  });
+
+  it('falls back to the default archetype and applies archetype stats', () => {
+    expect(createBoss().boss.archetype).toBe('apex-overlord');
+
+    const { boss } = createBoss({ archetype: 'hive-carrier' });
+    expect(boss).toMatchObject({
+      archetype: 'hive-carrier',
+      displayName: 'Hive Carrier',
+      maxHealth: 1800,
+      radius: 72,
+      phaseCount: 3,
+      movementStrategy: 'seeking',
+    });
+    expect(boss.attackStates.map((attack) => attack.type)).toEqual(['ring']);
+  });
+
+  it('deploys minion squads up to the phase cap', () => {
+    const { boss, system } = createBoss({
+      archetype: 'hive-carrier',
+      minionTypes: ['drone'],
+    });
+
+    boss.spawnTimer = 0;
+    boss.updateMinionSpawns(0.1);
+    expect(system.acquireEnemyViaFactory).toHaveBeenCalledTimes(3);
+    expect(
+      system.acquireEnemyViaFactory.mock.calls.every(
+        ([type]) => type === 'drone'
+      )
+    ).toBe(true);
+
+    boss.spawnTimer = 0;
+    boss.updateMinionSpawns(0.1);
+    boss.spawnTimer = 0;
+    boss.updateMinionSpawns(0.1);
+    expect(boss.spawnedMinions).toHaveLength(6);
+    expect(system.acquireEnemyViaFactory).toHaveBeenCalledTimes(6);
+  });
+
+  it('sweeps laser shots across the scripted arc', () => {
+    const { boss, eventBus } = createBoss({ archetype: 'lance-sweeper' });
+    const [sweep] = boss.attackStates;
+    sweep.timer = 0;
+
+    for (let i = 0; i < 40; i += 1) {
+      boss.updatePhaseAttacks(0.05, boss.resolvePlayerTarget());
+    }
+
+    const shots = eventBus.emit.mock.calls
+      .filter(([event]) => event === 'enemy-fired')
+      .map(([, payload]) => payload);
+    expect(shots.length).toBeGreaterThan(20);
+    expect(shots.every((shot) => shot.meta.pattern === 'laser-sweep')).toBe(
+      true
+    );
+    const angles = shots.map((shot) => shot.projectile.angle);
+    expect(Math.max(...angles) - Math.min(...angles)).toBeCloseTo(
+      sweep.config.arc,
+      1
+    );
+    expect(sweep.active).toBe(false);
+  });
+
+  it('switches attacks on phase change and opens scripted invulnerability windows', () => {
+    const { boss, eventBus } = createBoss({ archetype: 'hive-carrier' });
+
+    boss.takeDamage(boss.maxHealth * 0.45);
+    expect(boss.currentPhase).toBe(1);
+    expect(boss.invulnerabilityTimer).toBe(2);
+    expect(boss.movementStrategy).toBe('orbit');
+    expect(boss.attackStates.map((attack) => attack.type)).toEqual(['spread']);
+
+    boss.onUpdate(2.1);
+    expect(boss.invulnerable).toBe(false);
+
+    boss.onUpdate(9);
+    expect(boss.invulnerable).toBe(true);
+    expect(boss.invulnerabilityTimer).toBe(2.5);
+    const windowEvent = eventBus.emit.mock.calls.find(
+      ([event, payload]) =>
+        event === 'boss-invulnerability-changed' &&
+        payload.reason === 'phase-window'
+    );
+    expect(windowEvent).toBeTruthy();
+    expect(firedPatterns(eventBus)).toContain('spread');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+
+import CombatSystem from '../../src/modules/CombatSystem.js';
+import { resolveResistanceMultiplier } from '../../src/data/damageTypes.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+
+function createEnemy(resistances = null) {
+  return {
+    id: 'e1',
+    x: 0,
+    y: 0,
+    health: 100,
+    resistances,
+    takeDamage(amount) {
+      this.health -= amount;
+      return this.health <= 0;
+    },
+  };
+}
+
+function createCombat() {
+  const eventBus = createEventBusMock();
+  const combat = new CombatSystem({
+    eventBus,
+    player: { getStats: () => null },
+    enemies: { getActiveEnemies: () => [] },
+  });
+  return { combat, eventBus };
+}
+
+const lastBulletHit = (eventBus) =>
+  eventBus.emit.mock.calls.filter(([name]) => name === 'bullet-hit').pop()[1];
+
+describe('CombatSystem critical hits and damage types', () => {
+  it('scales hits by the enemy resistance to the bullet damage type', () => {
+    const { combat, eventBus } = createCombat();
+    const iron = createEnemy({ kinetic: 0.4, plasma: -0.25 });
+
+    combat.processBulletHit({ x: 0, y: 0, damage: 20 }, iron, {});
+    expect(iron.health).toBe(88);
+    expect(lastBulletHit(eventBus)).toMatchObject({
+      damageType: 'kinetic',
+      critical: false,
+      resisted: true,
+      effectiveDamage: 12,
+    });
+
+    combat.processBulletHit(
+      { x: 0, y: 0, damage: 20, damageType: 'plasma' },
+      iron,
+      {}
+    );
+    expect(iron.health).toBe(63);
+    expect(lastBulletHit(eventBus).resisted).toBe(false);
+
+    expect(resolveResistanceMultiplier({ kinetic: 5 }, 'kinetic')).toBeCloseTo(
+      0.1
+    );
+  });
+
+  it('crits with the player stats but never on splash damage', () => {
+    const { combat, eventBus } = createCombat();
+    const enemy = createEnemy();
+    combat.lastKnownPlayerStats = { critChance: 1, critMultiplier: 2 };
+
+    combat.processBulletHit({ x: 0, y: 0, damage: 10 }, enemy, {});
+    expect(enemy.health).toBe(80);
+    expect(lastBulletHit(eventBus)).toMatchObject({
+      critical: true,
+      requestedDamage: 20,
+    });
+
+    combat.processBulletHit(
+      { x: 0, y: 0, damage: 10, splash: true },
+      enemy,
+      {}
+    );
+    expect(enemy.health).toBe(70);
+    expect(lastBulletHit(eventBus).critical).toBe(false);
+  });
+
+  it('switches the primary damage type through upgrades until progression resets', () => {
+    const { combat, eventBus } = createCombat();
+    eventBus.emit('upgrade-primary-damage-type', { damageType: 'plasma' });
+    expect(combat.primaryDamageType).toBe('plasma');
+
+    eventBus.emit('progression-reset');
+    expect(combat.primaryDamageType).toBe('kinetic');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import CombatSystem from '../../src/modules/CombatSystem.js';
+import CommandQueueService from '../../src/services/CommandQueueService.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+
+const PLAYER_POS = { x: 400, y: 300 };
+
+function createCombat(enemies = []) {
+  const queue = new CommandQueueService();
+  const player = {
+    getPosition: () => ({ ...PLAYER_POS }),
+    getAngle: () => 0,
+    getStats: () => ({ damage: 10, multishot: 1 }),
+  };
+  const combat = new CombatSystem({
+    eventBus: createEventBusMock(),
+    player,
+    enemies: { getActiveEnemies: () => enemies },
+    'command-queue': queue,
+  });
+  const shots = [];
+  vi.spyOn(combat, 'createBullet').mockImplementation((from, to) => {
+    shots.push(Math.atan2(to.y - from.y, to.x - from.x));
+  });
+  vi.spyOn(combat, 'updateBullets').mockImplementation(() => {});
+  return { combat, queue, shots };
+}
+
+describe('CombatSystem manual weapons', () => {
+  it('fires only while firePrimary is held, toward the aim point', () => {
+    const { combat, queue, shots } = createCombat();
+    queue.enqueue({ type: 'aim', manual: true, point: { x: 400, y: 100 } });
+    combat.update(0.5);
+
+    expect(combat.isManualAimEnabled()).toBe(true);
+    expect(shots).toHaveLength(0);
+
+    queue.enqueue({ type: 'firePrimary', phase: 'pressed' });
+    combat.update(0.5);
+    expect(shots).toHaveLength(1);
+    expect(shots[0]).toBeCloseTo(-Math.PI / 2);
+
+    queue.enqueue({ type: 'firePrimary', phase: 'released' });
+    combat.update(0.5);
+    expect(shots).toHaveLength(1);
+  });
+
+  it('uses the stick direction and returns to auto-targeting on request', () => {
+    const enemy = { id: 'e1', x: 400, y: 500, vx: 0, vy: 0 };
+    const { combat, queue, shots } = createCombat([enemy]);
+    queue.enqueue({ type: 'aim', manual: true, direction: { x: -1, y: 0 } });
+    queue.enqueue({ type: 'firePrimary', phase: 'pressed' });
+    combat.update(0.5);
+    expect(shots[0]).toBeCloseTo(Math.PI);
+
+    queue.enqueue({ type: 'aim', manual: false });
+    combat.update(0.5);
+    expect(combat.isManualAimEnabled()).toBe(false);
+    expect(combat.getCurrentTarget()).toBe(enemy);
+    expect(shots[1]).toBeCloseTo(Math.PI / 2);
+  });
+
+  it('bends shots toward enemies in the assist cone once the suite is installed', () => {
+    const enemy = { id: 'e1', x: 600, y: 315, vx: 0, vy: 0 };
+    const aimAngle = 0;
+    const enemyAngle = Math.atan2(15, 200);
+    const { combat, queue, shots } = createCombat([enemy]);
+    queue.enqueue({ type: 'aim', manual: true, point: { x: 700, y: 300 } });
+    queue.enqueue({ type: 'firePrimary', phase: 'pressed' });
+
+    combat.update(0.5);
+    expect(shots[0]).toBeCloseTo(aimAngle);
+
+    combat.applyAimingUpgrade({ level: 1 });
+    combat.update(0.5);
+    expect(shots[1]).toBeCloseTo(enemyAngle * 0.5);
+
+    enemy.y = 420;
+    combat.update(0.5);
+    expect(shots[2]).toBeCloseTo(aimAngle);
+  });
+});
@@ -0,0 +1,171 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+
+import CombatSystem from '../../src/modules/CombatSystem.js';
+import CommandQueueService from '../../src/services/CommandQueueService.js';
+import { GamePools } from '../../src/core/GamePools.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+
+function createEnemy(id, x, y, health = 100) {
+  return { id, x, y, vx: 0, vy: 0, radius: 10, health };
+}
+
+function createCombat(enemies = []) {
+  const queue = new CommandQueueService();
+  const eventBus = createEventBusMock();
+  const enemySystem = {
+    getActiveEnemies: () => enemies.filter((enemy) => !enemy.destroyed),
+    applyDamage: vi.fn((enemy, damage) => {
+      enemy.health -= damage;
+      enemy.destroyed = enemy.health <= 0;
+      return { killed: enemy.destroyed, remainingHealth: enemy.health };
+    }),
+  };
+  const combat = new CombatSystem({
+    eventBus,
+    player: {
+      getPosition: () => ({ x: 400, y: 300 }),
+      getAngle: () => 0,
+      getStats: () => null,
+    },
+    enemies: enemySystem,
+    'command-queue': queue,
+  });
+  return { combat, queue, eventBus, enemySystem };
+}
+
+const emitted = (eventBus, event) =>
+  eventBus.emit.mock.calls
+    .filter(([name]) => name === event)
+    .map(([, payload]) => payload);
+
+describe('CombatSystem secondary weapons', () => {
+  beforeAll(() => {
+    GamePools.initialize();
+  });
+
+  afterAll(() => {
+    GamePools.destroy();
+  });
+
+  it('equips through upgrades and fires on its own cooldown while held', () => {
+    const { combat, queue } = createCombat();
+    const shots = [];
+    vi.spyOn(combat, 'createBullet').mockImplementation(
+      (from, to, damage, options) => shots.push({ damage, options })
+    );
+
+    combat.applySecondaryWeaponUpgrade({ weaponId: 'homing-missiles' });
+    combat.applySecondaryWeaponUpgrade({
+      weaponId: 'homing-missiles',
+      add: { projectiles: 1 },
+      multiply: { damage: 1.5 },
+    });
+    combat.update(0.1);
+    expect(shots).toHaveLength(0);
+
+    queue.enqueue({ type: 'fireSecondary', phase: 'pressed' });
+    combat.update(0.1);
+    expect(shots).toHaveLength(3);
+    expect(shots[0].damage).toBe(60);
+    expect(shots[0].options.behavior).toBe('homing');
+    expect(combat.getSecondaryWeaponState()).toMatchObject({
+      id: 'homing-missiles',
+      ready: false,
+      cooldownRatio: 1,
+    });
+
+    combat.update(1);
+    expect(shots).toHaveLength(3);
+    combat.update(1.5);
+    expect(shots).toHaveLength(6);
+
+    combat.applySecondaryWeaponUpgrade({ weaponId: 'railgun' });
+    expect(combat.getSecondaryWeaponState()).toMatchObject({
+      id: 'railgun',
+      ready: true,
+    });
+  });
+
+  it('lets piercing rounds hit each enemy once until pierce runs out', () => {
+    const enemies = [
+      createEnemy('a', 0, 0),
+      createEnemy('b', 0, 0),
+      createEnemy('c', 0, 0),
+    ];
+    const { combat, enemySystem } = createCombat(enemies);
+    const bullet = { x: 0, y: 0, damage: 30, pierce: 1, hitIds: [] };
+
+    combat.processBulletHit(bullet, enemies[0], enemySystem);
+    combat.processBulletHit(bullet, enemies[0], enemySystem);
+    expect(bullet.hit).toBeFalsy();
+    combat.processBulletHit(bullet, enemies[1], enemySystem);
+    expect(bullet.hit).toBe(true);
+    combat.processBulletHit(bullet, enemies[2], enemySystem);
+
+    expect(enemies.map((enemy) => enemy.health)).toEqual([70, 70, 100]);
+  });
+
+  it('splashes enemies around the impact point', () => {
+    const enemies = [
+      createEnemy('direct', 100, 100),
+      createEnemy('near', 130, 100),
+      createEnemy('far', 300, 100),
+    ];
+    const { combat, eventBus, enemySystem } = createCombat(enemies);
+    const bullet = {
+      x: 100,
+      y: 100,
+      damage: 40,
+      explosionRadius: 30,
+      splashMultiplier: 0.5,
+    };
+
+    combat.processBulletHit(bullet, enemies[0], enemySystem);
+
+    expect(enemies.map((enemy) => enemy.health)).toEqual([60, 80, 100]);
+    expect(emitted(eventBus, 'secondary-weapon-detonated')).toEqual([
+      expect.objectContaining({ radius: 30, damage: 20 }),
+    ]);
+  });
+
+  it('arms mines and detonates them when an enemy comes close', () => {
+    const enemy = createEnemy('e1', 700, 300);
+    const { combat, queue, eventBus } = createCombat([enemy]);
+    combat.applySecondaryWeaponUpgrade({ weaponId: 'proximity-mine' });
+    queue.enqueue({ type: 'fireSecondary', phase: 'pressed' });
+    combat.update(0.1);
+    queue.enqueue({ type: 'fireSecondary', phase: 'released' });
+    expect(combat.getBulletCount()).toBe(1);
+    for (let i = 0; i < 10; i += 1) {
+      combat.update(0.1);
+    }
+    expect(combat.getBulletCount()).toBe(1);
+    expect(enemy.health).toBe(100);
+
+    const [mine] = combat.getBullets();
+    enemy.x = mine.x + 50;
+    enemy.y = mine.y;
+    combat.update(0.1);
+
+    expect(combat.getBulletCount()).toBe(0);
+    expect(enemy.health).toBe(20);
+    expect(emitted(eventBus, 'secondary-weapon-detonated')).toHaveLength(1);
+  });
+
+  it('removes the oldest mine without detonating it past the active limit', () => {
+    const { combat, queue, eventBus } = createCombat();
+    combat.applySecondaryWeaponUpgrade({ weaponId: 'proximity-mine' });
+    queue.enqueue({ type: 'fireSecondary', phase: 'pressed' });
+    combat.update(0.1);
+    const [oldest] = combat.getBullets();
+
+    for (let i = 0; i < 3; i += 1) {
+      combat.secondaryCooldownTimer = 0;
+      combat.update(0.1);
+    }
+
+    expect(combat.getBulletCount()).toBe(3);
+    expect(combat.getBullets()).not.toContain(oldest);
+    expect(emitted(eventBus, 'secondary-weapon-detonated')).toEqual([]);
+  });
+});
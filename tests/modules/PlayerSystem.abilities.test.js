@@ -0,0 +1,179 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import PlayerSystem from '../../src/modules/PlayerSystem.js';
+import { AbilityController } from '../../src/modules/AbilityController.js';
+import {
+  ACTIVE_ABILITIES,
+  getAbilityIdForBinding,
+} from '../../src/data/abilities.js';
+import { GAME_WIDTH } from '../../src/core/GameConstants.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { cleanupGlobalState, setupGlobalMocks } from '../__helpers__/setup.js';
+
+const emitted = (eventBus, eventName) =>
+  eventBus.emit.mock.calls
+    .filter(([name]) => name === eventName)
+    .map(([, payload]) => payload);
+
+describe('Active abilities', () => {
+  let eventBus;
+
+  beforeEach(() => {
+    setupGlobalMocks();
+    eventBus = createEventBusMock();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+  });
+
+  it('maps control bindings to ability ids', () => {
+    Object.values(ACTIVE_ABILITIES).forEach((definition) => {
+      expect(getAbilityIdForBinding(definition.binding)).toBe(definition.id);
+    });
+    expect(getAbilityIdForBinding('pause')).toBeNull();
+  });
+
+  it('banks charges and regenerates them one cooldown at a time', () => {
+    let activations = 0;
+    const abilities = new AbilityController({
+      handlers: { dash: { activate: () => (activations += 1) } },
+    });
+    const { cooldown, charges } = ACTIVE_ABILITIES.dash;
+
+    for (let i = 0; i < charges; i += 1) {
+      expect(abilities.activate('dash')).toEqual({
+        activated: true,
+        reason: null,
+      });
+    }
+    expect(abilities.activate('dash')).toEqual({
+      activated: false,
+      reason: 'cooldown',
+    });
+    expect(activations).toBe(charges);
+
+    abilities.update(cooldown);
+    expect(abilities.getSlot('dash').charges).toBe(1);
+    expect(abilities.getSlot('dash').cooldownTimer).toBe(cooldown);
+
+    abilities.update(cooldown);
+    expect(abilities.getSlot('dash').charges).toBe(charges);
+    expect(abilities.getSlot('dash').cooldownTimer).toBe(0);
+
+    expect(abilities.activate('time-slow').reason).toBe('unknown');
+  });
+
+  it('does not spend a charge when the handler refuses', () => {
+    const abilities = new AbilityController({
+      handlers: { 'emp-pulse': { activate: () => false } },
+    });
+
+    expect(abilities.activate('emp-pulse').reason).toBe('unavailable');
+    expect(abilities.getSlot('emp-pulse').charges).toBe(1);
+    expect(abilities.getSlot('emp-pulse').cooldownTimer).toBe(0);
+  });
+
+  it('keeps the shield cooldown on the framework until it breaks', () => {
+    const player = new PlayerSystem({ eventBus });
+
+    expect(player.activateAbility('shield')).toBe(false);
+    expect(emitted(eventBus, 'shield-activation-failed')).toEqual([
+      expect.objectContaining({ reason: 'locked' }),
+    ]);
+
+    player.applyShieldLevel(1);
+    expect(player.activateShield()).toBe(true);
+    expect(player.isShieldActive).toBe(true);
+    expect(player.shieldCooldownTimer).toBe(0);
+
+    player.breakShield();
+    expect(player.shieldCooldownTimer).toBe(player.shieldMaxCooldown);
+    expect(player.activateShield()).toBe(false);
+    expect(emitted(eventBus, 'ability-activation-failed').at(-1)).toEqual({
+      abilityId: 'shield',
+      reason: 'cooldown',
+    });
+
+    player.abilities.update(player.shieldMaxCooldown);
+    expect(player.shieldCooldownTimer).toBe(0);
+    expect(player.shieldHP).toBe(player.shieldMaxHP);
+    expect(emitted(eventBus, 'shield-recharged')).toHaveLength(1);
+    expect(player.activateShield()).toBe(true);
+  });
+
+  it('blinks along the velocity with wrap-around and invulnerability', () => {
+    const player = new PlayerSystem({ eventBus });
+    const { distance, invulnerability } = ACTIVE_ABILITIES.dash;
+    player.position = { x: GAME_WIDTH - 50, y: 200 };
+    player.velocity = { vx: 120, vy: 0 };
+
+    expect(player.activateAbility('dash')).toBe(true);
+
+    expect(player.position.x).toBeCloseTo(distance - 50);
+    expect(player.position.y).toBeCloseTo(200);
+    expect(player.invulnerableTimer).toBeGreaterThanOrEqual(invulnerability);
+    expect(emitted(eventBus, 'player-dashed')).toEqual([
+      {
+        from: { x: GAME_WIDTH - 50, y: 200 },
+        to: player.getPosition(),
+        invulnerability,
+      },
+    ]);
+    expect(emitted(eventBus, 'ability-activated')).toEqual([
+      {
+        abilityId: 'dash',
+        charges: ACTIVE_ABILITIES.dash.charges - 1,
+        cooldown: ACTIVE_ABILITIES.dash.cooldown,
+      },
+    ]);
+  });
+
+  it('emits time-slow and EMP pulses for the effect and enemy systems', () => {
+    const player = new PlayerSystem({ eventBus });
+
+    expect(player.activateAbility('time-slow')).toBe(true);
+    expect(player.activateAbility('emp-pulse')).toBe(true);
+    expect(player.activateAbility('emp-pulse')).toBe(false);
+
+    const { scale, duration, transition } = ACTIVE_ABILITIES['time-slow'];
+    expect(emitted(eventBus, 'player-time-slow')).toEqual([
+      expect.objectContaining({ scale, duration, transition }),
+    ]);
+
+    const { radius, damage, statusEffect } = ACTIVE_ABILITIES['emp-pulse'];
+    expect(emitted(eventBus, 'player-emp-pulse')).toEqual([
+      expect.objectContaining({ radius, damage, statusEffect }),
+    ]);
+    expect(emitted(eventBus, 'ability-activation-failed')).toEqual([
+      { abilityId: 'emp-pulse', reason: 'cooldown' },
+    ]);
+
+    const states = player.getAbilityStates();
+    expect(states.map((state) => state.id)).toEqual(
+      Object.keys(ACTIVE_ABILITIES)
+    );
+    expect(states.find((state) => state.id === 'emp-pulse')).toMatchObject({
+      unlocked: true,
+      charges: 0,
+      cooldownRatio: 1,
+    });
+  });
+
+  it('blocks abilities while dead and restores every slot on reset', () => {
+    const player = new PlayerSystem({ eventBus });
+    player.activateAbility('dash');
+
+    player.isDead = true;
+    expect(player.activateAbility('dash')).toBe(false);
+    expect(emitted(eventBus, 'ability-activation-failed').at(-1)).toEqual({
+      abilityId: 'dash',
+      reason: 'dead',
+    });
+
+    player.abilities.reset();
+    expect(player.abilities.getSlot('dash')).toMatchObject({
+      charges: ACTIVE_ABILITIES.dash.charges,
+      cooldownTimer: 0,
+    });
+  });
+});
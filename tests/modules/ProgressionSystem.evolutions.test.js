@@ -0,0 +1,214 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import ProgressionSystem from '../../src/modules/ProgressionSystem.js';
+import PlayerSystem from '../../src/modules/PlayerSystem.js';
+import RandomService from '../../src/core/RandomService.js';
+import MetaProgressionService from '../../src/services/MetaProgressionService.js';
+import UPGRADE_LIBRARY, {
+  EVOLUTION_ROLL_WEIGHT,
+  UPGRADE_EVOLUTIONS,
+} from '../../src/data/upgrades/index.js';
+import { CRITICAL_HIT_CONFIG } from '../../src/data/damageTypes.js';
+import { renderEvolutionRecipes } from '../../src/modules/ui/EvolutionRecipes.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createStorageStub } from '../__helpers__/stubs.js';
+import { cleanupGlobalState, setupGlobalMocks } from '../__helpers__/setup.js';
+
+const noop = () => {};
+
+function createProgression({ meta = null } = {}) {
+  const eventBus = createEventBusMock();
+  const progression = new ProgressionSystem({
+    random: new RandomService(11),
+    eventBus,
+    player: {},
+    ui: {},
+    effects: {},
+    'xp-orbs': { attachProgression: noop },
+    'meta-progression': meta,
+  });
+  progression.refreshInjectedServices({ force: true });
+  progression.level = 10;
+  return { progression, eventBus };
+}
+
+function maxOut(progression, upgradeId) {
+  const levels = progression.upgradeLookup.get(upgradeId).levels.length;
+  while (progression.getUpgradeCount(upgradeId) < levels) {
+    expect(progression.applyUpgrade(upgradeId)).toBe(true);
+  }
+}
+
+const isAvailable = (progression, upgradeId) =>
+  progression.isUpgradeSelectable(progression.upgradeLookup.get(upgradeId));
+
+// Just enough DOM for renderEvolutionRecipes()
+function createElementStub() {
+  const element = {
+    children: [],
+    dataset: {},
+    classList: { toggle: noop },
+    text: '',
+    appendChild: (child) => element.children.push(child),
+    set innerHTML(value) {
+      element.children = [];
+    },
+    set textContent(value) {
+      element.text = value;
+    },
+    get textContent() {
+      return [
+        element.text,
+        ...element.children.map((child) => child.textContent),
+      ]
+        .filter(Boolean)
+        .join(' ');
+    },
+  };
+  return element;
+}
+
+describe('ProgressionSystem upgrade evolutions', () => {
+  beforeEach(() => {
+    setupGlobalMocks();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+    vi.unstubAllGlobals();
+  });
+
+  it('declares recipes whose components exist in the library', () => {
+    expect(UPGRADE_EVOLUTIONS.length).toBeGreaterThan(0);
+    UPGRADE_EVOLUTIONS.forEach((recipe) => {
+      expect(UPGRADE_LIBRARY.some((upgrade) => upgrade.id === recipe.id)).toBe(
+        true
+      );
+      recipe.requires.forEach((componentId) => {
+        expect(
+          UPGRADE_LIBRARY.some((upgrade) => upgrade.id === componentId)
+        ).toBe(true);
+      });
+    });
+  });
+
+  it('joins the pool only once every component is maxed', () => {
+    const { progression } = createProgression();
+    expect(isAvailable(progression, 'plasma_tempest')).toBe(false);
+
+    maxOut(progression, 'plasma');
+    expect(isAvailable(progression, 'plasma_tempest')).toBe(false);
+
+    maxOut(progression, 'multishot');
+    expect(isAvailable(progression, 'plasma_tempest')).toBe(true);
+
+    const evolution = progression.upgradeLookup.get('plasma_tempest');
+    expect(progression.getUpgradeRollWeight(evolution)).toBe(
+      EVOLUTION_ROLL_WEIGHT
+    );
+
+    const option = progression.buildUpgradeOption(evolution);
+    expect(option.evolvesFrom.map((component) => component.id)).toEqual([
+      'plasma',
+      'multishot',
+    ]);
+  });
+
+  it('replaces its components in the build when taken', () => {
+    const { progression, eventBus } = createProgression();
+    maxOut(progression, 'plasma');
+    maxOut(progression, 'multishot');
+
+    expect(progression.applyUpgrade('plasma_tempest')).toBe(true);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'upgrade-evolved',
+      expect.objectContaining({
+        upgradeId: 'plasma_tempest',
+        consumed: ['plasma', 'multishot'],
+      })
+    );
+    expect(progression.isUpgradeConsumedByEvolution('plasma')).toBe(true);
+    expect(progression.isUpgradeConsumedByEvolution('shield')).toBe(false);
+    expect(isAvailable(progression, 'plasma_tempest')).toBe(false);
+
+    const [recipe] = progression
+      .getEvolutionRecipes()
+      .filter((entry) => entry.id === 'plasma_tempest');
+    expect(recipe.status).toBe('evolved');
+    expect(recipe.discovered).toBe(true);
+  });
+
+  it("revokes the components' effects so only its own apply", () => {
+    const { progression, eventBus } = createProgression();
+    const player = new PlayerSystem({ eventBus });
+    const { damage, multishot } = player;
+
+    maxOut(progression, 'plasma');
+    maxOut(progression, 'multishot');
+    expect(progression.applyUpgrade('plasma_tempest')).toBe(true);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'upgrade-damage-boost',
+      expect.objectContaining({ upgradeId: 'plasma', revoke: true })
+    );
+    expect(player.damage).toBe(Math.floor(damage * 2.4));
+    expect(player.multishot).toBe(multishot + 4);
+
+    maxOut(progression, 'critical_optics');
+    maxOut(progression, 'targeting_suite');
+    expect(progression.applyUpgrade('deadeye_array')).toBe(true);
+    expect(player.critChance).toBeCloseTo(
+      CRITICAL_HIT_CONFIG.baseChance + 0.37
+    );
+    expect(player.critMultiplier).toBeCloseTo(
+      CRITICAL_HIT_CONFIG.baseMultiplier + 1.5
+    );
+  });
+
+  it('names each maxed component it requires', () => {
+    const { progression } = createProgression();
+    const prerequisites = progression.describePrerequisites(
+      progression.upgradeLookup.get('plasma_tempest')
+    );
+
+    expect(prerequisites.map((entry) => entry.text)).toEqual([
+      `Requires ${progression.describeUpgradeName('plasma').name} at max level (Lvl 3).`,
+      `Requires ${progression.describeUpgradeName('multishot').name} at max level (Lvl 3).`,
+    ]);
+  });
+
+  it('keeps undiscovered recipes hidden until meta-progression records them', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+
+    const metaBus = createEventBusMock();
+    const meta = new MetaProgressionService({ eventBus: metaBus });
+    const { progression } = createProgression({ meta });
+
+    const hidden = progression
+      .getEvolutionRecipes()
+      .find((entry) => entry.id === 'deadeye_array');
+    expect(hidden).toMatchObject({ status: 'in-progress', discovered: false });
+
+    vi.stubGlobal('document', { createElement: createElementStub });
+    const container = createElementStub();
+    renderEvolutionRecipes(container, [hidden]);
+    expect(container.textContent).toContain('???');
+    expect(container.textContent).toContain(hidden.hint);
+    expect(container.textContent).not.toContain(hidden.name);
+
+    metaBus.emit('upgrade-evolved', { upgradeId: 'deadeye_array' });
+    expect(meta.isEvolutionDiscovered('deadeye_array')).toBe(true);
+    expect(meta.discoverEvolution('deadeye_array')).toBe(false);
+    expect(meta.discoverEvolution('unknown_evolution')).toBe(false);
+
+    const reloaded = new MetaProgressionService({
+      eventBus: createEventBusMock(),
+    });
+    expect(reloaded.isEvolutionDiscovered('deadeye_array')).toBe(true);
+
+    const revealed = progression
+      .getEvolutionRecipes()
+      .find((entry) => entry.id === 'deadeye_array');
+    renderEvolutionRecipes(container, [revealed]);
+    expect(container.textContent).toContain(revealed.name);
+    expect(container.textContent).not.toContain('???');
+  });
+});
@@ -0,0 +1,168 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import ProgressionSystem from '../../src/modules/ProgressionSystem.js';
+import RandomService from '../../src/core/RandomService.js';
+import {
+  PROGRESSION_BANISH_CHARGES,
+  PROGRESSION_REROLL_CHARGES,
+  PROGRESSION_SKIP_HEAL_FRACTION,
+  PROGRESSION_SKIP_XP_FRACTION,
+} from '../../src/core/GameConstants.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { cleanupGlobalState, setupGlobalMocks } from '../__helpers__/setup.js';
+
+const noop = () => {};
+
+function createProgression({ player = {}, meta = null } = {}) {
+  const eventBus = createEventBusMock();
+  const progression = new ProgressionSystem({
+    random: new RandomService(99),
+    eventBus,
+    player,
+    ui: {},
+    effects: {},
+    'xp-orbs': { attachProgression: noop },
+    'meta-progression': meta,
+  });
+  progression.level = 10;
+  return { progression, eventBus };
+}
+
+const offeredIds = (progression) =>
+  progression.pendingUpgradeOptions.map((option) => option.id);
+
+describe('ProgressionSystem level-up choices', () => {
+  beforeEach(() => {
+    setupGlobalMocks();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+  });
+
+  it('rerolls every option once per charge', () => {
+    const { progression, eventBus } = createProgression();
+    expect(progression.getLevelUpCharges()).toEqual({
+      reroll: PROGRESSION_REROLL_CHARGES,
+      banish: PROGRESSION_BANISH_CHARGES,
+    });
+
+    progression.prepareUpgradeOptions(3);
+    const first = offeredIds(progression);
+    expect(progression.rerollUpgradeOptions()).toBe(true);
+
+    const rerolled = offeredIds(progression);
+    expect(rerolled).toHaveLength(3);
+    expect(rerolled.some((id) => first.includes(id))).toBe(false);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'upgrade-options-ready',
+      expect.objectContaining({
+        reason: 'reroll',
+        charges: { reroll: PROGRESSION_REROLL_CHARGES - 1, banish: 1 },
+      })
+    );
+
+    for (let used = 1; used < PROGRESSION_REROLL_CHARGES; used += 1) {
+      progression.rerollUpgradeOptions();
+    }
+    expect(progression.rerollUpgradeOptions()).toBe(false);
+  });
+
+  it('banishes an upgrade for the rest of the run and survives snapshots', () => {
+    const { progression } = createProgression();
+
+    progression.prepareUpgradeOptions(3);
+    const [banished, ...kept] = offeredIds(progression);
+    expect(progression.banishUpgrade(banished)).toBe(true);
+
+    const refreshed = offeredIds(progression);
+    expect(refreshed).toHaveLength(3);
+    expect(refreshed).not.toContain(banished);
+    expect(refreshed.slice(1)).toEqual(kept);
+    expect(progression.getLevelUpCharges().banish).toBe(
+      PROGRESSION_BANISH_CHARGES - 1
+    );
+
+    for (let roll = 0; roll < 20; roll += 1) {
+      expect(
+        progression.prepareUpgradeOptions(5).options.map((option) => option.id)
+      ).not.toContain(banished);
+    }
+
+    const snapshot = progression.serialize();
+    progression.reset();
+    expect(progression.getBanishedUpgrades()).toEqual([]);
+    expect(progression.getLevelUpCharges().banish).toBe(
+      PROGRESSION_BANISH_CHARGES
+    );
+
+    progression.deserialize(snapshot, { suppressEvents: true });
+    expect(progression.getBanishedUpgrades()).toEqual([banished]);
+    expect(progression.getLevelUpCharges().banish).toBe(
+      PROGRESSION_BANISH_CHARGES - 1
+    );
+  });
+
+  it('adds charges from upgrades and meta-progression unlocks', () => {
+    const meta = { getLevelUpChargeBonus: () => ({ reroll: 1, banish: 1 }) };
+    const { progression, eventBus } = createProgression({ meta });
+    progression.refreshInjectedServices({ force: true });
+
+    expect(progression.getLevelUpCharges()).toEqual({
+      reroll: PROGRESSION_REROLL_CHARGES + 1,
+      banish: PROGRESSION_BANISH_CHARGES + 1,
+    });
+
+    progression.applyUpgrade('probability_core');
+    progression.applyUpgrade('probability_core');
+    expect(progression.getLevelUpCharges()).toEqual({
+      reroll: PROGRESSION_REROLL_CHARGES + 1 + 3,
+      banish: PROGRESSION_BANISH_CHARGES + 1 + 2,
+    });
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'level-up-charges-changed',
+      expect.any(Object)
+    );
+  });
+
+  it('skips a choice for a repair, or for experience with a full hull', () => {
+    const player = {
+      health: 40,
+      maxHealth: 100,
+      heal: vi.fn(function heal(amount) {
+        this.health = Math.min(this.maxHealth, this.health + amount);
+      }),
+    };
+    const { progression, eventBus } = createProgression({ player });
+
+    expect(progression.skipUpgradeSelection()).toBeNull();
+
+    progression.prepareUpgradeOptions(3);
+    expect(progression.skipUpgradeSelection()).toEqual({
+      reward: 'heal',
+      amount: 100 * PROGRESSION_SKIP_HEAL_FRACTION,
+    });
+    expect(player.heal).toHaveBeenCalledWith(
+      100 * PROGRESSION_SKIP_HEAL_FRACTION
+    );
+    expect(progression.pendingUpgradeOptions).toEqual([]);
+
+    player.health = player.maxHealth;
+    progression.currentCombo = 8;
+    progression.updateComboMultiplier();
+    progression.prepareUpgradeOptions(3);
+    const expected = Math.round(
+      progression.experienceToNext * PROGRESSION_SKIP_XP_FRACTION
+    );
+    expect(progression.skipUpgradeSelection()).toEqual({
+      reward: 'xp',
+      amount: expected,
+    });
+    // Bonus experience ignores the combo multiplier
+    expect(progression.experience).toBe(expected);
+    expect(eventBus.emit).toHaveBeenCalledWith('upgrade-skipped', {
+      reward: 'xp',
+      amount: expected,
+      level: progression.level,
+    });
+  });
+});
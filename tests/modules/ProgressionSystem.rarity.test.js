@@ -0,0 +1,235 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import ProgressionSystem from '../../src/modules/ProgressionSystem.js';
+import PlayerSystem from '../../src/modules/PlayerSystem.js';
+import UISystem from '../../src/modules/UISystem.js';
+import RandomService from '../../src/core/RandomService.js';
+import UPGRADE_LIBRARY, {
+  UPGRADE_RARITIES,
+  UPGRADE_RARITY_ROLL,
+} from '../../src/data/upgrades/index.js';
+import { resolveRunModifierEffects } from '../../src/services/RunModifierService.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { cleanupGlobalState, setupGlobalMocks } from '../__helpers__/setup.js';
+
+const noop = () => {};
+
+function createProgression({ runModifiers = [] } = {}) {
+  const eventBus = createEventBusMock();
+  const effects = resolveRunModifierEffects(runModifiers);
+  const progression = new ProgressionSystem({
+    random: new RandomService(7),
+    eventBus,
+    player: {},
+    ui: {},
+    effects: {},
+    'xp-orbs': { attachProgression: noop },
+    'run-modifiers': { getEffects: () => effects },
+  });
+  progression.refreshInjectedServices({ force: true });
+  progression.level = 10;
+  return { progression, eventBus };
+}
+
+function countRolls(progression, candidates, rolls) {
+  const counts = {};
+  for (let roll = 0; roll < rolls; roll += 1) {
+    const [picked] = progression.rollUpgradeDefinitions(candidates, 1);
+    counts[picked.id] = (counts[picked.id] || 0) + 1;
+  }
+  return counts;
+}
+
+describe('ProgressionSystem upgrade rarity', () => {
+  beforeEach(() => {
+    setupGlobalMocks();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+  });
+
+  it('declares a known rarity on every upgrade and keeps unique effects legendary', () => {
+    UPGRADE_LIBRARY.forEach((upgrade) => {
+      expect(UPGRADE_RARITIES).toHaveProperty(upgrade.rarity);
+      const hasUnique = upgrade.levels.some((level) =>
+        level.effects.some((effect) => effect.unique)
+      );
+      if (hasUnique) {
+        expect(UPGRADE_RARITIES[upgrade.rarity].allowsUniqueEffects).toBe(true);
+      }
+    });
+
+    const { progression } = createProgression();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(noop);
+    const forged = progression.normalizeUpgradeDefinition({
+      id: 'forged',
+      rarity: 'rare',
+      levels: [
+        {
+          effects: [
+            { type: 'event', event: 'upgrade-last-stand', unique: true },
+            { type: 'event', event: 'upgrade-multishot' },
+          ],
+        },
+      ],
+    });
+    expect(forged.levels[0].effects.map((effect) => effect.event)).toEqual([
+      'upgrade-multishot',
+    ]);
+    expect(warn).toHaveBeenCalled();
+
+    const phoenix = progression.upgradeLookup.get('phoenix_core');
+    expect(phoenix.rarity).toBe('legendary');
+    expect(phoenix.levels[0].effects[0].unique).toBe(true);
+  });
+
+  it('can still offer Phoenix Core in a No Shield run', () => {
+    const { progression } = createProgression({ runModifiers: ['no-shield'] });
+    const isSelectable = (id) =>
+      progression.isUpgradeSelectable(progression.upgradeLookup.get(id));
+
+    expect(isSelectable('shield')).toBe(false);
+    expect(isSelectable('phoenix_core')).toBe(true);
+  });
+
+  it('weights rolls by rarity and raises rare odds with luck and pity', () => {
+    const { progression } = createProgression();
+    const candidates = [
+      { id: 'plain', rarity: 'common' },
+      { id: 'shiny', rarity: 'legendary' },
+    ];
+    const { common, legendary } = UPGRADE_RARITIES;
+
+    expect(progression.getUpgradeRollWeight(candidates[0])).toBe(common.weight);
+    expect(progression.getUpgradeRollWeight(candidates[1])).toBe(
+      legendary.weight
+    );
+
+    const baseline = countRolls(progression, candidates, 2000);
+    expect(baseline.plain).toBeGreaterThan(baseline.shiny * 5);
+
+    const lucky = { luck: 2 };
+    const luckyWeight =
+      legendary.weight *
+      (1 + 2 * UPGRADE_RARITY_ROLL.luckWeightBonus * legendary.tier);
+    expect(progression.getUpgradeRollWeight(candidates[1], lucky)).toBe(
+      luckyWeight
+    );
+    expect(progression.getUpgradeRollWeight(candidates[0], lucky)).toBe(
+      common.weight
+    );
+
+    const { threshold } = UPGRADE_RARITY_ROLL.pity;
+    const commonOffer = [{ id: 'plain', rarity: { ...common } }];
+    for (let level = 1; level < threshold; level += 1) {
+      progression.trackRarityPity(commonOffer);
+    }
+    expect(
+      progression.getUpgradeRollWeight(candidates[1], {
+        levelsWithoutRare: progression.levelsWithoutRare,
+      })
+    ).toBe(legendary.weight);
+
+    for (let level = 0; level < 4; level += 1) {
+      progression.trackRarityPity(commonOffer);
+    }
+    const pity = countRolls(progression, candidates, 2000);
+    expect(pity.shiny).toBeGreaterThan(baseline.shiny * 3);
+
+    progression.trackRarityPity([{ id: 'shiny', rarity: { ...legendary } }]);
+    expect(progression.levelsWithoutRare).toBe(0);
+  });
+
+  it('adds luck from upgrades and run modifiers, and tracks pity per level-up', () => {
+    const { progression } = createProgression({
+      runModifiers: ['hardened-hulls'],
+    });
+    expect(progression.getUpgradeLuck()).toBe(1);
+
+    progression.applyUpgrade('probability_core');
+    expect(progression.getUpgradeLuck()).toBe(2);
+
+    const { options } = progression.prepareUpgradeOptions(3);
+    options.forEach((option) => {
+      expect(option.rarity).toEqual(
+        expect.objectContaining({
+          id: expect.any(String),
+          tier: expect.any(Number),
+        })
+      );
+    });
+
+    progression.levelsWithoutRare = 5;
+    const snapshot = progression.serialize();
+    progression.reset();
+    expect(progression.levelsWithoutRare).toBe(0);
+    progression.deserialize(snapshot, { suppressEvents: true });
+    expect(progression.levelsWithoutRare).toBe(5);
+  });
+
+  it('colors rare cards with the rarity accent', () => {
+    const context = {
+      currentVisualPreferences: null,
+      hexToRgba: UISystem.prototype.hexToRgba,
+      resolveAssistAccent: UISystem.prototype.resolveAssistAccent,
+    };
+    const resolve = (option) =>
+      UISystem.prototype.resolveAccentColors.call(context, option);
+
+    expect(
+      resolve({ themeColor: '#123456', rarity: { ...UPGRADE_RARITIES.common } })
+        .accent
+    ).toBe('#123456');
+    expect(
+      resolve({ themeColor: '#123456', rarity: { ...UPGRADE_RARITIES.epic } })
+        .accent
+    ).toBe(UPGRADE_RARITIES.epic.themeColor);
+  });
+
+  it('revives the ship once per Phoenix Core charge', () => {
+    const eventBus = createEventBusMock();
+    const player = new PlayerSystem({ eventBus });
+    eventBus.emit('upgrade-last-stand', {
+      charges: 1,
+      healFraction: 0.4,
+      invulnerability: 3,
+    });
+
+    player.takeDamage(player.maxHealth * 2);
+    expect(player.health).toBe(Math.round(player.maxHealth * 0.4));
+    expect(player.invulnerableTimer).toBe(3);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'player-last-stand',
+      expect.objectContaining({ remainingCharges: 0 })
+    );
+
+    player.setInvulnerableTimer(0.5);
+    expect(player.invulnerableTimer).toBe(3);
+
+    player.takeDamage(player.maxHealth * 2);
+    expect(player.health).toBe(0);
+
+    player.resetStats();
+    expect(player.lastStand.charges).toBe(0);
+  });
+
+  it('keeps spent Phoenix Core charges spent when upgrades are re-applied', () => {
+    const eventBus = createEventBusMock();
+    const player = new PlayerSystem({ eventBus });
+    const grant = () =>
+      eventBus.emit('upgrade-last-stand', { charges: 1, healFraction: 0.4 });
+
+    grant();
+    player.takeDamage(player.maxHealth * 2);
+    const { spent } = player.lastStand;
+    expect(spent).toBe(1);
+
+    player.resetStats();
+    grant();
+    player.restoreSpentLastStands(spent);
+    expect(player.lastStand).toMatchObject({ charges: 0, spent: 1 });
+
+    player.takeDamage(player.maxHealth * 2);
+    expect(player.health).toBe(0);
+  });
+});
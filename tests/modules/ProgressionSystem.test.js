@@ -115,3 +115,42 @@ describe('ProgressionSystem determinism', () => {
     });
   });
 });
+
+describe('ProgressionSystem exclusive upgrade groups', () => {
+  beforeEach(() => {
+    setupGlobalMocks();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+  });
+
+  it('offers only one secondary weapon per run', () => {
+    const progression = new ProgressionSystem({
+      random: new RandomService(7),
+      eventBus: createEventBusMock(),
+      player: {},
+      ui: {},
+      effects: {},
+      'xp-orbs': {
+        attachProgression: noop,
+      },
+    });
+    progression.level = 10;
+    const secondaryIds = progression.upgradeDefinitions
+      .filter((definition) => definition.exclusiveGroup === 'secondary-weapon')
+      .map((definition) => definition.id);
+    expect(secondaryIds).toEqual([
+      'homing_missiles',
+      'railgun',
+      'flak_burst',
+      'proximity_mines',
+    ]);
+
+    progression.appliedUpgrades.set('railgun', 1);
+    const selectable = secondaryIds.filter((id) =>
+      progression.isUpgradeSelectable(progression.upgradeLookup.get(id))
+    );
+    expect(selectable).toEqual(['railgun']);
+  });
+});
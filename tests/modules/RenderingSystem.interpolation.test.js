@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import RandomService from '../../src/core/RandomService.js';
+import RenderingSystem from '../../src/modules/RenderingSystem.js';
+import { GAME_WIDTH } from '../../src/core/GameConstants.js';
+
+function createRenderer() {
+  const enemies = { asteroids: [{ id: 'a1', x: 100, y: 100 }] };
+  const combat = {
+    bullets: [{ x: 10, y: 20 }],
+    enemyBullets: [{ x: 300, y: 300 }],
+  };
+  const xpOrbs = { xpOrbs: [{ x: 50, y: 60 }] };
+  const renderer = new RenderingSystem({
+    random: new RandomService('rendering:interpolation'),
+    enemies,
+    combat,
+    'xp-orbs': xpOrbs,
+  });
+  return { renderer, enemies, combat, xpOrbs };
+}
+
+describe('RenderingSystem entity interpolation', () => {
+  it('draws enemies, projectiles and orbs between the last two steps', () => {
+    const { renderer, enemies, combat, xpOrbs } = createRenderer();
+    const [asteroid] = enemies.asteroids;
+    const [bullet] = combat.bullets;
+    const [enemyBullet] = combat.enemyBullets;
+    const [orb] = xpOrbs.xpOrbs;
+
+    renderer.captureInterpolationState();
+    asteroid.x = 110;
+    bullet.y = 40;
+    enemyBullet.x = 280;
+    orb.x = 54;
+
+    renderer.interpolationAlpha = 0.5;
+    renderer.applyInterpolatedPositions();
+    expect(asteroid.x).toBeCloseTo(105);
+    expect(bullet.y).toBeCloseTo(30);
+    expect(enemyBullet.x).toBeCloseTo(290);
+    expect(orb.x).toBeCloseTo(52);
+
+    renderer.restoreSimulatedPositions();
+    expect(asteroid.x).toBe(110);
+    expect(bullet.y).toBe(40);
+    expect(enemyBullet.x).toBe(280);
+    expect(orb.x).toBe(54);
+  });
+
+  it('leaves new and wrapped entities at their simulated positions', () => {
+    const { renderer, enemies } = createRenderer();
+    const [asteroid] = enemies.asteroids;
+
+    renderer.captureInterpolationState();
+    asteroid.x = GAME_WIDTH - 5;
+    const spawned = { x: 400, y: 400 };
+    enemies.asteroids.push(spawned);
+
+    renderer.interpolationAlpha = 0.25;
+    renderer.applyInterpolatedPositions();
+    expect(asteroid.x).toBe(GAME_WIDTH - 5);
+    expect(spawned.x).toBe(400);
+
+    renderer.restoreSimulatedPositions();
+    renderer.interpolationAlpha = 1;
+    renderer.applyInterpolatedPositions();
+    expect(renderer.interpolatedEntities).toHaveLength(0);
+  });
+});
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { StatusEffectController } from '../../src/modules/StatusEffectController.js';
+import { BaseEnemy } from '../../src/modules/enemies/base/BaseEnemy.js';
+import { HealthComponent } from '../../src/modules/enemies/components/HealthComponent.js';
+import { MovementComponent } from '../../src/modules/enemies/components/MovementComponent.js';
+import PlayerSystem from '../../src/modules/PlayerSystem.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { cleanupGlobalState, setupGlobalMocks } from '../__helpers__/setup.js';
+
+const createEnemy = () => {
+  const eventBus = createEventBusMock();
+  const enemy = new BaseEnemy({ eventBus });
+  enemy.initialize({ id: 'e1', x: 100, y: 100, vx: 100, vy: 0 });
+  enemy.addComponent('health', new HealthComponent());
+  enemy.getComponent('health').initialize(enemy, { health: 100 });
+  return { enemy, eventBus };
+};
+
+describe('StatusEffectController', () => {
+  it('stacks burn up to its cap and ticks damage per stack until it expires', () => {
+    const onTick = vi.fn();
+    const effects = new StatusEffectController({ onTick });
+
+    effects.apply('burn', { stacks: 2 });
+    effects.apply('burn', { stacks: 9 });
+    expect(effects.getStacks('burn')).toBe(5);
+
+    effects.update(1);
+    expect(onTick).toHaveBeenCalledTimes(2);
+    expect(onTick.mock.calls[0][0]).toBe(20);
+    expect(onTick.mock.calls[0][1].id).toBe('burn');
+
+    effects.update(2.5);
+    expect(onTick).toHaveBeenCalledTimes(6);
+    expect(effects.has('burn')).toBe(false);
+  });
+
+  it('refreshes slow instead of stacking and aggregates modifiers', () => {
+    const effects = new StatusEffectController();
+
+    effects.apply('slow');
+    effects.update(2);
+    effects.apply('slow');
+    expect(effects.getStacks('slow')).toBe(1);
+    expect(effects.getActiveEffects()).toEqual([
+      { id: 'slow', stacks: 1, remaining: 2.5 },
+    ]);
+
+    effects.apply('shred', { stacks: 3 });
+    effects.apply('emp');
+    expect(effects.getSpeedMultiplier()).toBeCloseTo(0.6);
+    expect(effects.getDamageTakenMultiplier()).toBeCloseTo(1.3);
+    expect(effects.isDisabled('weapons')).toBe(true);
+    expect(effects.getTint()).toBe('#B388FF');
+    expect(effects.apply('unknown')).toBeNull();
+  });
+});
+
+describe('status effects on enemies', () => {
+  it('reports the effect that dealt damage in enemy-damaged', () => {
+    const { enemy, eventBus } = createEnemy();
+
+    enemy.applyStatusEffect('burn', { stacks: 2 });
+    enemy.updateStatusEffects(0.5);
+
+    expect(enemy.health).toBe(92);
+    const damaged = eventBus.emit.mock.calls.find(
+      ([event]) => event === 'enemy-damaged'
+    )[1];
+    expect(damaged).toMatchObject({
+      enemyId: 'e1',
+      amount: 8,
+      statusEffect: 'burn',
+    });
+  });
+
+  it('slows movement and jams weapons while the effects last', () => {
+    const { enemy } = createEnemy();
+    const movement = new MovementComponent({ strategy: 'linear' });
+
+    enemy.applyStatusEffect('slow');
+    movement.update({ enemy, deltaTime: 1 });
+    expect(enemy.x).toBeCloseTo(160);
+
+    enemy.applyStatusEffect('emp');
+    expect(enemy.statusEffects.isDisabled('weapons')).toBe(true);
+
+    enemy.resetForPool();
+    expect(enemy.statusEffects.getActiveEffects()).toEqual([]);
+  });
+});
+
+describe('status effects on the player', () => {
+  beforeEach(() => {
+    setupGlobalMocks();
+  });
+
+  afterEach(() => {
+    cleanupGlobalState();
+  });
+
+  it('blocks the shield under EMP and amplifies damage under shred', () => {
+    const eventBus = createEventBusMock();
+    const player = new PlayerSystem({ eventBus });
+    player.shieldUpgradeLevel = 1;
+    player.shieldMaxHP = 50;
+
+    player.applyStatusEffect('emp');
+    expect(player.isWeaponSystemDisabled()).toBe(true);
+    expect(player.activateShield()).toBe(false);
+    expect(eventBus.emit).toHaveBeenCalledWith('shield-activation-failed', {
+      reason: 'emp',
+      level: 1,
+    });
+
+    player.applyStatusEffect('shred', { stacks: 2 });
+    player.takeDamage(10);
+    expect(player.health).toBe(88);
+
+    player.reset();
+    expect(player.isWeaponSystemDisabled()).toBe(false);
+  });
+});
@@ -1,6 +1,9 @@
 import { describe, expect, it, vi } from 'vitest';
 import { WaveManager } from '../../src/modules/enemies/managers/WaveManager.js';
 import * as CONSTANTS from '../../src/core/GameConstants.js';
+import RandomService from '../../src/core/RandomService.js';
+import { WAVE_SCRIPTS } from '../../src/data/waves/index.js';
+import { validateWaveScript } from '../../src/data/waves/schema.js';
 import { createDeterministicRandom } from '../__helpers__/stubs.js';
 import { withWaveOverrides } from '../__helpers__/setup.js';
 
@@ -240,3 +243,229 @@ describe('WaveManager support enemy weights', () => {
     );
   });
 });
+
+function createScriptHarness(waveScript) {
+  const random = new RandomService(7);
+  const eventBus = { on: vi.fn(), off: vi.fn(), emit: vi.fn() };
+  const activeEnemies = [];
+  let sequence = 0;
+  const enemySystem = {
+    asteroids: activeEnemies,
+    getCachedWorld: () => ({
+      getBounds: () => ({ width: 800, height: 600 }),
+    }),
+    getCachedPlayer: () => null,
+    acquireEnemyViaFactory: vi.fn((type, config) => ({
+      id: `${type}-${sequence++}`,
+      type,
+      alive: true,
+      destroyed: false,
+      config,
+    })),
+    registerActiveEnemy: vi.fn((enemy) => {
+      activeEnemies.push(enemy);
+      return enemy;
+    }),
+  };
+  const manager = new WaveManager({
+    enemySystem,
+    random,
+    eventBus,
+    waveScript,
+  });
+  return { manager, activeEnemies, eventBus };
+}
+
+function destroyAll(manager, enemies) {
+  enemies.forEach((enemy) => {
+    enemy.alive = false;
+    enemy.destroyed = true;
+    manager.onEnemyDestroyed({ enemy });
+  });
+}
+
+describe('WaveManager wave scripts', () => {
+  const script = {
+    id: 'test-script',
+    waves: [
+      {
+        enemies: [
+          {
+            type: 'asteroid',
+            count: 3,
+            size: 'small',
+            variants: { iron: 1, gold: 1 },
+            spawn: { x: 0.25, y: 0.5 },
+          },
+          {
+            type: 'drone',
+            count: 2,
+            spawn: { edge: 'top' },
+            delay: 2,
+            interval: 1,
+          },
+        ],
+      },
+      { boss: { displayName: 'Warden', health: 999 }, enemies: [] },
+    ],
+  };
+
+  it('validates bundled scripts and reports authoring errors', () => {
+    Object.values(WAVE_SCRIPTS).forEach((bundled) => {
+      expect(validateWaveScript(bundled)).toEqual([]);
+    });
+
+    const errors = validateWaveScript({
+      id: 'broken',
+      waves: [
+        {
+          enemies: [
+            { type: 'dragon', count: 0 },
+            { type: 'drone', count: 1, variant: 'iron' },
+            { type: 'asteroid', count: 1, spawn: { edge: 'up' } },
+          ],
+        },
+        { boss: { armor: 5 } },
+      ],
+    });
+    expect(errors).toEqual([
+      expect.stringContaining('waves[0].enemies[0].type'),
+      expect.stringContaining('waves[0].enemies[0].count'),
+      expect.stringContaining('waves[0].enemies[1].variant only applies'),
+      expect.stringContaining('waves[0].enemies[2].spawn.edge'),
+      expect.stringContaining('waves[1].boss.armor'),
+    ]);
+    expect(validateWaveScript({ id: 'empty', waves: [] })).toEqual([
+      'waves must be a non-empty array',
+    ]);
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { manager } = createScriptHarness({ id: 'bad', waves: [{}] });
+    expect(manager.waveScript).toBeNull();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('spawns scripted groups on their timeline and positions', async () => {
+    await withWaveOverrides(
+      { useManager: true, managerHandlesAsteroids: true },
+      () => {
+        const { manager, activeEnemies } = createScriptHarness(script);
+
+        manager.startNextWave();
+        const asteroids = activeEnemies.filter((e) => e.type === 'asteroid');
+        expect(asteroids).toHaveLength(3);
+        asteroids.forEach(({ config }) => {
+          expect(['iron', 'gold']).toContain(config.variant);
+          expect(config).toMatchObject({ size: 'small', x: 200, y: 300 });
+          expect(config).not.toHaveProperty('variants');
+        });
+        expect(manager.totalEnemiesThisWave).toBe(5);
+
+        manager.update(1.9);
+        expect(activeEnemies).toHaveLength(3);
+        manager.update(0.2);
+        expect(activeEnemies).toHaveLength(4);
+        manager.update(1);
+        const drones = activeEnemies.filter((e) => e.type === 'drone');
+        expect(drones).toHaveLength(2);
+        drones.forEach(({ config }) => {
+          expect(config.y).toBe(40);
+          expect(config).not.toHaveProperty('delay');
+        });
+        expect(drones.map(({ config }) => config.spawnIndex)).toEqual([0, 1]);
+      }
+    );
+  });
+
+  it('keeps the wave open until scheduled spawns land and restores them', async () => {
+    await withWaveOverrides(
+      { useManager: true, managerHandlesAsteroids: true },
+      () => {
+        const { manager, activeEnemies } = createScriptHarness(script);
+
+        manager.startNextWave();
+        destroyAll(manager, [...activeEnemies]);
+        expect(manager.waveInProgress).toBe(true);
+
+        manager.update(2.5);
+        const saved = manager.getState();
+        expect(saved.scheduledSpawns).toEqual([
+          expect.objectContaining({
+            delay: expect.closeTo(0.5, 5),
+            group: expect.objectContaining({ type: 'drone', count: 1 }),
+          }),
+        ]);
+
+        const { manager: resumed, activeEnemies: resumedEnemies } =
+          createScriptHarness(script);
+        resumed.restoreState(saved);
+        resumed.update(0.6);
+        expect(resumedEnemies.map((e) => e.type)).toEqual(['drone']);
+
+        destroyAll(manager, activeEnemies.slice(3));
+        manager.update(1);
+        destroyAll(manager, activeEnemies.slice(4));
+        expect(manager.waveInProgress).toBe(false);
+      }
+    );
+  });
+
+  it('applies boss overrides and falls back to procedural waves after the script', async () => {
+    await withWaveOverrides(
+      { useManager: true, managerHandlesAsteroids: true },
+      () => {
+        const { manager } = createScriptHarness(script);
+
+        const bossWave = manager.buildScriptedWave(2, script.waves[1]);
+        expect(bossWave).toMatchObject({
+          isBossWave: true,
+          enemies: [],
+          boss: { displayName: 'Warden', health: 999, count: 1 },
+          metadata: { scriptId: 'test-script' },
+        });
+
+        expect(manager.getScriptedWave(3)).toBeNull();
+        manager.currentWave = 2;
+        const spy = vi.spyOn(manager, 'generateDynamicWave');
+        manager.startNextWave();
+        expect(spy).toHaveBeenCalledWith(3);
+
+        manager.clearWaveScript();
+        expect(manager.getScriptedWave(1)).toBeNull();
+      }
+    );
+  });
+
+  it('rotates boss archetypes by wave and lets scripts pick one', () => {
+    const manager = createWaveManager();
+
+    expect(
+      [5, 10, 15, 20].map((wave) => manager.generateBossWave(wave).boss)
+    ).toEqual([
+      expect.objectContaining({ archetype: 'apex-overlord' }),
+      expect.objectContaining({
+        archetype: 'hive-carrier',
+        displayName: 'Hive Carrier',
+        health: 1800,
+      }),
+      expect.objectContaining({ archetype: 'lance-sweeper' }),
+      expect.objectContaining({ archetype: 'apex-overlord' }),
+    ]);
+
+    const scripted = manager.buildScriptedWave(5, {
+      boss: { archetype: 'lance-sweeper', health: 999 },
+    });
+    expect(scripted.boss).toMatchObject({
+      archetype: 'lance-sweeper',
+      displayName: 'Lance Sweeper',
+      health: 999,
+    });
+    expect(
+      validateWaveScript({
+        id: 'unknown-boss',
+        waves: [{ boss: { archetype: 'kraken' } }],
+      })
+    ).toEqual([expect.stringContaining('waves[0].boss.archetype')]);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { EnemyFactory } from '../../../src/modules/enemies/base/EnemyFactory.js';
+import { BaseEnemy } from '../../../src/modules/enemies/base/BaseEnemy.js';
+import { BehaviorComponent } from '../../../src/modules/enemies/components/BehaviorComponent.js';
+import { DRONE_COMPONENTS } from '../../../src/data/enemies/drone.js';
+import { createEventBusMock } from '../../__helpers__/mocks.js';
+
+class TestDrone extends BaseEnemy {
+  constructor(system) {
+    super(system);
+    this.type = 'drone';
+  }
+}
+
+function createDrone(player) {
+  const system = {
+    eventBus: createEventBusMock(),
+    getCachedPlayer: () => player,
+  };
+  const factory = new EnemyFactory(system);
+  factory.registerType('drone', {
+    class: TestDrone,
+    defaults: { components: DRONE_COMPONENTS },
+  });
+  return { drone: factory.create('drone', { x: 0, y: 0 }), system };
+}
+
+describe('enemy behavior state machine', () => {
+  it('turns a wounded drone near the player into a kamikaze that holds fire', () => {
+    const player = { position: { x: 400, y: 0 } };
+    const { drone, system } = createDrone(player);
+    expect([...drone.components.keys()][0]).toBe('behavior');
+
+    // A strategy assigned at spawn (e.g. a formation) is kept while hunting
+    drone.movementStrategy = 'flock';
+    drone.update(0.016);
+    expect(drone.behaviorState.current).toBe('hunt');
+    expect(drone.movementStrategy).toBe('flock');
+
+    drone.health = drone.maxHealth * 0.3;
+    drone.update(0.016);
+    expect(drone.behaviorState.current).toBe('hunt');
+
+    player.position = { x: 150, y: 0 };
+    drone.update(0.016);
+    expect(drone.behaviorState.current).toBe('kamikaze');
+    expect(drone.movementStrategy).toBe('kamikaze');
+    expect(drone.weaponsHeld).toBe(true);
+
+    system.eventBus.emit.mockClear();
+    drone.update(5);
+    expect(system.eventBus.emit).not.toHaveBeenCalledWith(
+      'enemy-fired',
+      expect.anything()
+    );
+
+    drone.resetForPool();
+    expect(drone.behaviorState).toBeNull();
+    expect(drone.weaponsHeld).toBe(false);
+  });
+
+  it('evaluates global, grouped and custom conditions in order', () => {
+    const enemy = {
+      x: 0,
+      y: 0,
+      health: 100,
+      maxHealth: 100,
+      movementStrategy: 'orbit',
+      movementConfig: { maxSpeed: 100 },
+      weaponPattern: 'single',
+    };
+    const ally = { x: 50, y: 0, alive: true, type: 'hunter' };
+    const physics = { getNearbyEnemies: vi.fn(() => [enemy, ally]) };
+    const context = {
+      enemy,
+      deltaTime: 1,
+      playerPosition: { x: 900, y: 0 },
+      system: { getCachedPhysics: () => physics },
+    };
+    const behavior = new BehaviorComponent({
+      initial: 'patrol',
+      transitions: [{ to: 'panic', when: { panicked: true } }],
+      states: {
+        patrol: {
+          transitions: [
+            {
+              to: 'rally',
+              when: {
+                any: [
+                  { playerInRange: 200 },
+                  { allyNearby: { radius: 80, type: 'hunter' } },
+                ],
+              },
+            },
+          ],
+        },
+        rally: {
+          weapon: 'burst',
+          movementConfig: { maxSpeed: 160 },
+          transitions: [{ to: 'patrol', when: { timeInState: 3 } }],
+        },
+        panic: { movement: 'flee', weapon: false },
+      },
+    });
+    behavior.registerCondition('panicked', (target) => target.panicked);
+
+    behavior.update(context);
+    expect(enemy.behaviorState.current).toBe('rally');
+    expect(enemy.weaponPattern).toBe('burst');
+    expect(enemy.movementConfig).toEqual({ maxSpeed: 160 });
+    expect(enemy.movementStrategy).toBe('orbit');
+
+    behavior.update(context);
+    behavior.update(context);
+    expect(enemy.behaviorState.current).toBe('rally');
+    behavior.update(context);
+    expect(enemy.behaviorState.current).toBe('patrol');
+    expect(enemy.weaponPattern).toBe('single');
+    expect(enemy.movementConfig).toEqual({ maxSpeed: 100 });
+
+    enemy.panicked = true;
+    behavior.update(context);
+    expect(enemy.behaviorState.current).toBe('panic');
+    expect(enemy.movementStrategy).toBe('flee');
+    expect(enemy.weaponsHeld).toBe(true);
+
+    behavior.reset(enemy);
+    expect(enemy.movementStrategy).toBe('orbit');
+    expect(enemy.weaponsHeld).toBe(false);
+  });
+});
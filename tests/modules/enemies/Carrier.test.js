@@ -0,0 +1,109 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import CombatSystem from '../../../src/modules/CombatSystem.js';
+import { EnemyFactory } from '../../../src/modules/enemies/base/EnemyFactory.js';
+import { BaseEnemy } from '../../../src/modules/enemies/base/BaseEnemy.js';
+import { Carrier } from '../../../src/modules/enemies/types/Carrier.js';
+import {
+  CARRIER_COMPONENTS,
+  CARRIER_CONFIG,
+} from '../../../src/data/enemies/carrier.js';
+import { createEventBusMock } from '../../__helpers__/mocks.js';
+
+class TestDrone extends BaseEnemy {
+  constructor(system) {
+    super(system);
+    this.type = 'drone';
+  }
+}
+
+function createCarrier() {
+  const player = { position: { x: 300, y: 0 } };
+  const system = {
+    eventBus: createEventBusMock(),
+    getCachedPlayer: () => player,
+    waveManager: { registerDynamicMinion: vi.fn() },
+  };
+  const factory = new EnemyFactory(system);
+  factory.registerType('carrier', {
+    class: Carrier,
+    defaults: { ...CARRIER_CONFIG, components: CARRIER_COMPONENTS },
+  });
+  factory.registerType('drone', {
+    class: TestDrone,
+    defaults: { components: { health: { base: 40 } } },
+  });
+  system.acquireEnemyViaFactory = (type, config) =>
+    factory.create(type, config);
+
+  const carrier = factory.create('carrier', { id: 'c1', x: 0, y: 0 });
+  return { carrier, system, player };
+}
+
+const hitEvents = (eventBus) =>
+  eventBus.emit.mock.calls.filter(([name]) => name === 'bullet-hit');
+
+describe('shield carrier', () => {
+  it('deflects rounds on its frontal arc but takes damage from the flank', () => {
+    const { carrier, system } = createCarrier();
+    const combat = new CombatSystem({
+      eventBus: system.eventBus,
+      player: { getStats: () => null },
+      enemies: { getActiveEnemies: () => [] },
+    });
+    const health = carrier.health;
+
+    const frontal = { x: 28, y: 4, vx: -500, vy: 0, damage: 20 };
+    combat.processBulletHit(frontal, carrier, {});
+    expect(carrier.health).toBe(health);
+    expect(frontal.vx).toBeGreaterThan(0);
+    expect(hitEvents(system.eventBus).pop()[1]).toMatchObject({
+      blocked: true,
+      deflected: true,
+      damage: 0,
+    });
+
+    combat.processBulletHit(frontal, carrier, {});
+    expect(carrier.health).toBe(health);
+
+    combat.processBulletHit(
+      { x: -28, y: 0, vx: 500, vy: 0, damage: 20 },
+      carrier,
+      {}
+    );
+    expect(carrier.health).toBeLessThan(health);
+  });
+
+  it('launches drones as dynamic minions and self-destructs them on death', () => {
+    const { carrier, system, player } = createCarrier();
+    const { launchInterval, maxActiveDrones, dronesPerLaunch } = CARRIER_CONFIG;
+
+    player.position = { x: 0, y: 300 };
+    carrier.update(launchInterval * 0.5);
+    expect(carrier.shieldAngle).toBeGreaterThan(0);
+    expect(carrier.getActiveDroneCount()).toBe(dronesPerLaunch);
+    expect(system.waveManager.registerDynamicMinion).toHaveBeenCalledWith(
+      expect.objectContaining({
+        spawnedBy: 'c1',
+        spawnSource: 'carrier-hangar',
+      }),
+      { sourceId: 'c1', minionType: 'drone' }
+    );
+
+    for (let i = 0; i < 5; i += 1) {
+      carrier.launchDrones();
+    }
+    expect(carrier.getActiveDroneCount()).toBe(maxActiveDrones);
+
+    const drones = Array.from(carrier.hangarDrones);
+    carrier.takeDamage(carrier.health + 100);
+    expect(drones.every((drone) => !drone.alive)).toBe(true);
+
+    const droneDeaths = system.eventBus.emit.mock.calls.filter(
+      ([name, payload]) =>
+        name === 'enemy-destroyed' && payload.enemy.type === 'drone'
+    );
+    expect(droneDeaths).toHaveLength(maxActiveDrones);
+    expect(droneDeaths[0][1].context.skipRewards).toBe(true);
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { EnemyFactory } from '../../../src/modules/enemies/base/EnemyFactory.js';
+import { BaseEnemy } from '../../../src/modules/enemies/base/BaseEnemy.js';
+import { Mine } from '../../../src/modules/enemies/types/Mine.js';
+import {
+  MINE_COMPONENTS,
+  MINE_CONFIG,
+} from '../../../src/data/enemies/mine.js';
+import {
+  resolveEliteAffixWeights,
+  resolveEliteChance,
+} from '../../../src/data/enemies/elite-affixes.js';
+import { createEventBusMock } from '../../__helpers__/mocks.js';
+import { createEnemySystemHarness } from '../../__helpers__/asteroid-helpers.js';
+
+class TestDrone extends BaseEnemy {
+  constructor(system) {
+    super(system);
+    this.type = 'drone';
+  }
+}
+
+function createFactory(random = null) {
+  const system = {
+    eventBus: createEventBusMock(),
+    getRandomScope: vi.fn(() => random),
+  };
+  const factory = new EnemyFactory(system);
+  factory.registerType('drone', {
+    class: TestDrone,
+    defaults: { components: { health: { base: 40 } } },
+  });
+  system.acquireEnemyViaFactory = (type, config) =>
+    factory.create(type, config);
+  return { factory, system };
+}
+
+const alwaysElite = {
+  chance: () => true,
+  weightedPick: (weights) => Object.keys(weights)[0],
+};
+
+describe('elite affixes', () => {
+  it('gates the elite roll and affix pool by wave', () => {
+    const { factory, system } = createFactory(alwaysElite);
+
+    expect(factory.create('drone', { wave: 2 }).isElite()).toBe(false);
+    expect(system.getRandomScope).not.toHaveBeenCalled();
+    expect(resolveEliteChance(2)).toBe(0);
+    expect(Object.keys(resolveEliteAffixWeights('drone', 5))).toEqual([
+      'shielded',
+      'fast',
+    ]);
+    expect(Object.keys(resolveEliteAffixWeights('mine', 12))).toEqual([
+      'shielded',
+      'splitting',
+    ]);
+
+    const elite = factory.create('drone', { wave: 12 });
+    expect(elite.eliteAffixes.map((affix) => affix.id)).toEqual([
+      'shielded',
+      'fast',
+    ]);
+    expect(elite.getSpeedMultiplier()).toBeCloseTo(1.4);
+  });
+
+  it('absorbs damage with a shield that regenerates after a delay', () => {
+    const { factory } = createFactory();
+    const enemy = factory.create('drone', {
+      wave: 1,
+      eliteAffixes: ['shielded'],
+    });
+    expect(enemy.shields).toBe(20);
+
+    enemy.takeDamage(30);
+    expect(enemy.shields).toBe(0);
+    expect(enemy.health).toBe(30);
+
+    enemy.update(2);
+    expect(enemy.shields).toBe(0);
+    enemy.update(1);
+    enemy.update(1);
+    expect(enemy.shields).toBeCloseTo(5);
+
+    enemy.resetForPool();
+    expect(enemy.isElite()).toBe(false);
+    expect(enemy.shields).toBe(0);
+  });
+
+  it('destroys a shielded mine when it detonates', () => {
+    const { factory } = createFactory();
+    factory.registerType('mine', {
+      class: Mine,
+      defaults: { ...MINE_CONFIG, components: MINE_COMPONENTS },
+    });
+    const mine = factory.create('mine', {
+      wave: 5,
+      eliteAffixes: ['shielded'],
+    });
+    expect(mine.shields).toBeGreaterThan(0);
+
+    mine.triggerDetonation('timeout');
+
+    expect(mine.detonated).toBe(true);
+    expect(mine.alive).toBe(false);
+  });
+
+  it('keeps affixes and shields across a snapshot restore without rerolling', () => {
+    const { enemySystem } = createEnemySystemHarness();
+    const elite = enemySystem.acquireEnemyViaFactory('drone', {
+      wave: 12,
+      x: 200,
+      y: 200,
+      eliteAffixes: ['shielded', 'fast'],
+    });
+    enemySystem.acquireEnemyViaFactory('drone', {
+      wave: 12,
+      x: 400,
+      y: 200,
+      eliteAffixes: [],
+    });
+    elite.takeDamage(elite.shields / 2);
+    const { shields } = elite;
+
+    const snapshot = enemySystem.exportState();
+    const roll = vi.spyOn(enemySystem.factory, 'rollEliteAffixes');
+    expect(enemySystem.importState(snapshot)).toBe(true);
+
+    const [restoredElite, restoredPlain] = enemySystem
+      .getActiveEnemies()
+      .filter((enemy) => enemy.type === 'drone')
+      .sort((a, b) => a.x - b.x);
+    expect(restoredElite.eliteAffixes.map((affix) => affix.id)).toEqual([
+      'shielded',
+      'fast',
+    ]);
+    expect(restoredElite.shields).toBeCloseTo(shields);
+    expect(restoredElite.eliteShield.cooldown).toBeGreaterThan(0);
+    expect(restoredPlain.isElite()).toBe(false);
+    expect(roll).not.toHaveBeenCalled();
+  });
+
+  it('leeches player health and splits into weaker regular copies on death', () => {
+    const { factory } = createFactory();
+    const enemy = factory.create('drone', {
+      wave: 10,
+      eliteAffixes: ['vampiric', 'splitting'],
+    });
+
+    enemy.health = 10;
+    expect(enemy.leechPlayerHealth(5)).toBe(10);
+    expect(enemy.health).toBe(20);
+
+    const spawned = vi.spyOn(enemy, 'spawnEliteSplits');
+    enemy.takeDamage(100);
+    const splits = spawned.mock.results[0].value;
+
+    expect(splits).toHaveLength(2);
+    expect(splits[0]).toMatchObject({
+      maxHealth: 20,
+      health: 20,
+      generation: 1,
+      spawnSource: 'elite-split',
+    });
+    expect(splits.every((split) => !split.isElite())).toBe(true);
+  });
+});
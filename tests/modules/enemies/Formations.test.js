@@ -0,0 +1,141 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { WaveManager } from '../../../src/modules/enemies/managers/WaveManager.js';
+import { MovementComponent } from '../../../src/modules/enemies/components/MovementComponent.js';
+import { SUPPORT_GROUP_FORMATIONS } from '../../../src/data/constants/gameplay.js';
+import { validateWaveScript } from '../../../src/data/waves/schema.js';
+import { createDeterministicRandom } from '../../__helpers__/stubs.js';
+
+const WORLD = { width: 10000, height: 10000 };
+
+function createFormation(formation, count) {
+  const random = createDeterministicRandom({ floatValue: 0.5 });
+  const manager = new WaveManager({
+    enemySystem: { getRandomScope: () => random },
+    random,
+    eventBus: null,
+  });
+  const groupId = manager.createFormationGroup(formation, 'drone');
+  const members = Array.from({ length: count }, (_, index) => {
+    const enemy = {
+      id: `d${index}`,
+      x: 1000 + index * 10,
+      y: 1000 + index * 5,
+      vx: 0,
+      vy: 0,
+      alive: true,
+    };
+    manager.assignFormationMember(groupId, enemy);
+    return enemy;
+  });
+  return { manager, groupId, members };
+}
+
+function simulate(members, system, config, player, seconds) {
+  const movement = new MovementComponent({
+    acceleration: 600,
+    maxSpeed: 180,
+    ...config,
+  });
+  const steps = Math.round(seconds * 60);
+  for (let step = 0; step < steps; step += 1) {
+    members.forEach((enemy) =>
+      movement.update({
+        enemy,
+        deltaTime: 1 / 60,
+        player,
+        playerPosition: player.position,
+        system,
+        worldBounds: WORLD,
+      })
+    );
+  }
+}
+
+describe('formation groups', () => {
+  it('tags larger support groups with a formation and tracks surviving members', () => {
+    const { manager, groupId, members } = createFormation('v-formation', 3);
+    const { startWave, minCount, formations } = SUPPORT_GROUP_FORMATIONS.drone;
+
+    expect(
+      manager.createSupportGroup('drone', minCount, startWave - 1)
+    ).not.toHaveProperty('formation');
+    expect(
+      manager.createSupportGroup('drone', minCount - 1, startWave)
+    ).not.toHaveProperty('formation');
+    expect(
+      manager.createSupportGroup('drone', minCount, startWave).formation
+    ).toBe(formations[startWave % formations.length]);
+
+    expect(members[1].movementStrategy).toBe('v-formation');
+    members[0].alive = false;
+    expect(manager.getFormationGroup(groupId).members).toEqual(
+      members.slice(1)
+    );
+    members[1].alive = false;
+    members[2].formationGroupId = null;
+    expect(manager.getFormationGroup(groupId)).toBeNull();
+
+    const errors = validateWaveScript({
+      id: 'formation-check',
+      waves: [
+        { enemies: [{ type: 'drone', count: 4, formation: 'encircle' }] },
+        { enemies: [{ type: 'drone', count: 4, formation: 'square' }] },
+      ],
+    });
+    expect(errors).toEqual([
+      expect.stringContaining('waves[1].enemies[0].formation'),
+    ]);
+  });
+
+  it('keeps v-formation wings behind the leader on alternating sides', () => {
+    const { manager, members } = createFormation('v-formation', 3);
+    const player = { position: { x: 4000, y: 1000 } };
+
+    simulate(members, { waveManager: manager }, {}, player, 4);
+
+    const [leader, right, left] = members;
+    expect(leader.vx).toBeGreaterThan(0);
+    expect(right.x).toBeLessThan(leader.x);
+    expect(left.x).toBeLessThan(leader.x);
+    expect(right.y).toBeGreaterThan(leader.y);
+    expect(left.y).toBeLessThan(leader.y);
+  });
+
+  it('spreads encircling members evenly around the player', () => {
+    const { manager, members } = createFormation('encircle', 2);
+    const player = { position: { x: 1300, y: 1000 } };
+
+    simulate(
+      members,
+      { waveManager: manager },
+      { encircleRadius: 150 },
+      player,
+      6
+    );
+
+    const [a, b] = members;
+    const distanceTo = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+    expect(distanceTo(a, player.position)).toBeCloseTo(150, -1);
+    expect(distanceTo(b, player.position)).toBeCloseTo(150, -1);
+    expect(distanceTo(a, b)).toBeCloseTo(300, -1);
+  });
+
+  it('flocks with squadmates found through the physics spatial hash', () => {
+    const { manager, members } = createFormation('flock', 2);
+    const outsider = { x: 1012, y: 1002, vx: 0, vy: 0, alive: true };
+    const physics = {
+      getNearbyEnemies: vi.fn(() => [...members, outsider]),
+    };
+    const system = { waveManager: manager, getCachedPhysics: () => physics };
+    const player = { position: { x: 1000, y: 3000 } };
+
+    members[1].x = members[0].x + 4;
+    members[1].y = members[0].y;
+    simulate(members, system, {}, player, 0.5);
+
+    expect(physics.getNearbyEnemies).toHaveBeenCalled();
+    expect(Math.abs(members[1].x - members[0].x)).toBeGreaterThan(20);
+    expect(members.every((enemy) => enemy.vy > 0)).toBe(true);
+  });
+});
@@ -133,6 +133,26 @@ describe('RewardManager', () => {
       expect(xpValues.reduce((sum, value) => sum + value, 0)).toBe(45);
     });
 
+    it('scales drops of elite enemies by their affix reward multiplier', () => {
+      const createXPOrb = vi.fn();
+      const deterministicRandom = createDeterministicRandom({ intValue: 2 });
+
+      const rewardManager = new RewardManager({
+        xpOrbSystem: { createXPOrb },
+        random: deterministicRandom,
+      });
+      const elite = createTestEnemy('drone', {
+        wave: 1,
+        getEliteRewardMultiplier: () => 1.5,
+      });
+
+      rewardManager.dropRewards(elite);
+
+      const xpValues = createXPOrb.mock.calls.map((call) => call[2]);
+      expect(xpValues).toEqual([23, 23]);
+      expect(rewardManager.calculateBonusMultiplier(elite)).toBe(1.5);
+    });
+
     it('logs a warning when dropping rewards for unknown enemy types', () => {
       const createXPOrb = vi.fn();
       const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
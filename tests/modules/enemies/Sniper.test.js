@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+
+import PhysicsSystem from '../../../src/modules/PhysicsSystem.js';
+import { WeaponComponent } from '../../../src/modules/enemies/components/WeaponComponent.js';
+import { Sniper } from '../../../src/modules/enemies/types/Sniper.js';
+import { SNIPER_COMPONENTS } from '../../../src/data/enemies/sniper.js';
+import { createEventBusMock } from '../../__helpers__/mocks.js';
+
+const beamEvents = (eventBus) =>
+  eventBus.emit.mock.calls.filter(([name]) => name === 'enemy-beam-fired');
+
+function createSniper() {
+  const eventBus = createEventBusMock();
+  const sniper = new Sniper({ eventBus }, { id: 's1', x: 0, y: 0 });
+  const weapon = new WeaponComponent(SNIPER_COMPONENTS.weapon);
+  const player = { position: { x: 300, y: 0 } };
+  const tick = (deltaTime) =>
+    weapon.update({
+      enemy: sniper,
+      deltaTime,
+      player,
+      system: { eventBus },
+    });
+  return { sniper, player, eventBus, tick };
+}
+
+describe('sniper beam', () => {
+  it('tracks the player while charging, then locks the aim and fires', () => {
+    const { sniper, player, eventBus, tick } = createSniper();
+    const { chargeTime, lockTime } = SNIPER_COMPONENTS.weapon;
+
+    tick(0.1);
+    expect(sniper.weaponState.charging).toBe(true);
+
+    player.position = { x: 0, y: 300 };
+    tick(0.2);
+    expect(sniper.weaponState.aimAngle).toBeCloseTo(Math.PI / 2);
+    expect(sniper.getBeamChargeProgress()).toBeGreaterThan(0);
+
+    tick(chargeTime - lockTime - 0.2);
+    expect(sniper.weaponState.locked).toBe(true);
+
+    player.position = { x: -300, y: 0 };
+    tick(lockTime - 0.05);
+    expect(beamEvents(eventBus)).toHaveLength(0);
+
+    tick(0.1);
+    const [[, beam]] = beamEvents(eventBus);
+    expect(beam.angle).toBeCloseTo(Math.PI / 2);
+    expect(beam).toMatchObject({
+      enemyType: 'sniper',
+      damage: SNIPER_COMPONENTS.weapon.damage,
+      source: { id: 's1', type: 'sniper' },
+    });
+    expect(sniper.getBeamChargeProgress()).toBe(0);
+
+    tick(1);
+    expect(sniper.weaponState.charging).toBe(false);
+  });
+
+  it('hits the player along the beam through the projectile damage path', () => {
+    const eventBus = createEventBusMock();
+    const physics = new PhysicsSystem({ eventBus });
+    const player = { position: { x: 200, y: 12 } };
+    const beam = {
+      origin: { x: 0, y: 0 },
+      end: { x: 600, y: 0 },
+      width: 8,
+      damage: 28,
+      player,
+      source: { id: 's1', type: 'sniper' },
+    };
+
+    expect(physics.resolveEnemyBeamHit(beam).hit).toBe(true);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'player-hit-by-projectile',
+      expect.objectContaining({ damage: 28, pattern: 'beam' })
+    );
+
+    player.position = { x: 200, y: 40 };
+    expect(physics.resolveEnemyBeamHit(beam).hit).toBe(false);
+    player.position = { x: 640, y: 0 };
+    expect(physics.resolveEnemyBeamHit(beam).hit).toBe(false);
+  });
+});
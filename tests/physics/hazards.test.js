@@ -0,0 +1,216 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import PhysicsSystem from '../../src/modules/PhysicsSystem.js';
+import CombatSystem from '../../src/modules/CombatSystem.js';
+import { StatusEffectController } from '../../src/modules/StatusEffectController.js';
+import { WaveManager } from '../../src/modules/enemies/managers/WaveManager.js';
+import { HAZARD_TYPES, HAZARD_WAVE_RULES } from '../../src/data/hazards.js';
+import { validateWaveScript } from '../../src/data/waves/schema.js';
+import { GAME_HEIGHT, GAME_WIDTH } from '../../src/core/GameConstants.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createDeterministicRandom } from '../__helpers__/stubs.js';
+
+function createShip(x, y) {
+  const statusEffects = new StatusEffectController();
+  return {
+    position: { x, y },
+    velocity: { vx: 0, vy: 0 },
+    statusEffects,
+    applyStatusEffect: (id, options) => statusEffects.apply(id, options),
+    isTargetingJammed: () => statusEffects.isDisabled('targeting'),
+  };
+}
+
+function createEnemy(id, x, y, type = 'drone') {
+  const statusEffects = new StatusEffectController();
+  return {
+    id,
+    type,
+    x,
+    y,
+    vx: 0,
+    vy: 0,
+    radius: 12,
+    alive: true,
+    statusEffects,
+    applyStatusEffect: (effect, options) =>
+      statusEffects.apply(effect, options),
+    takeDamage: vi.fn(),
+  };
+}
+
+function createPhysics({ player = null, bullets = [], orbs = [] } = {}) {
+  const eventBus = createEventBusMock();
+  const xpOrbs = {
+    getActiveOrbs: () => orbs,
+    invalidateSpatialIndex: vi.fn(),
+  };
+  const physics = new PhysicsSystem({
+    eventBus,
+    player,
+    combat: { bullets, enemyBullets: [] },
+    'xp-orbs': xpOrbs,
+  });
+  return { physics, eventBus, xpOrbs };
+}
+
+describe('environmental hazards', () => {
+  it('pulls ships, asteroids, bullets and orbs into a gravity well until it expires', () => {
+    const player = createShip(300, 300);
+    const bullet = { x: 400, y: 220, vx: 0, vy: 0, life: 1, type: 'player' };
+    const swallowed = { x: 400, y: 310, vx: 0, vy: 0, life: 1, type: 'player' };
+    const orb = { x: 400, y: 400, collected: false };
+    const { physics, eventBus, xpOrbs } = createPhysics({
+      player,
+      bullets: [bullet, swallowed],
+      orbs: [orb],
+    });
+    const asteroid = createEnemy('a1', 500, 300, 'asteroid');
+    const boss = createEnemy('b1', 400, 380, 'boss');
+    const outside = createEnemy('d1', 700, 300);
+    [asteroid, boss, outside].forEach((enemy) => physics.registerEnemy(enemy));
+
+    const well = physics.spawnHazard('gravity-well', { x: 400, y: 300 });
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'hazard-spawned',
+      expect.objectContaining({ id: well.id, type: 'gravity-well' })
+    );
+
+    physics.updateHazards(0.1);
+
+    expect(player.velocity.vx).toBeGreaterThan(0);
+    expect(asteroid.vx).toBeLessThan(0);
+    expect(bullet.vy).toBeGreaterThan(0);
+    expect(swallowed.life).toBe(0);
+    expect(orb.y).toBeLessThan(400);
+    expect(xpOrbs.invalidateSpatialIndex).toHaveBeenCalled();
+    expect(boss.vy).toBe(0);
+    expect(outside.vx).toBe(0);
+
+    physics.updateHazards(HAZARD_TYPES['gravity-well'].duration);
+    expect(physics.getHazards()).toHaveLength(0);
+    expect(eventBus.emit).toHaveBeenCalledWith('hazard-expired', {
+      id: well.id,
+      type: 'gravity-well',
+    });
+  });
+
+  it('slows and blinds ships in a nebula, and sweeps a flare across the field once', () => {
+    const player = createShip(100, 100);
+    const { physics, eventBus } = createPhysics({ player });
+    const hidden = createEnemy('d1', 110, 110);
+    const exposed = createEnemy('d2', 600, 100);
+    const rock = createEnemy('a1', 600, 500, 'asteroid');
+    [hidden, exposed, rock].forEach((enemy) => physics.registerEnemy(enemy));
+
+    physics.spawnHazard('nebula', { x: 100, y: 100 });
+    physics.updateHazards(0.016);
+
+    expect(player.isTargetingJammed()).toBe(true);
+    expect(player.statusEffects.getSpeedMultiplier()).toBeLessThan(1);
+    expect(hidden.statusEffects.has('nebula')).toBe(true);
+    expect(exposed.statusEffects.has('nebula')).toBe(false);
+
+    const combat = new CombatSystem({
+      eventBus,
+      player: { getStats: () => null, getPosition: () => ({ x: 400, y: 100 }) },
+      enemies: { getActiveEnemies: () => [hidden, exposed] },
+      physics,
+    });
+    combat.resolveCachedServices({ cachedPhysics: 'physics' });
+    expect(combat.isValidTarget(hidden)).toBe(false);
+    expect(combat.isValidTarget(exposed)).toBe(true);
+
+    physics.clearHazards();
+    const { warningTime, sweepSpeed, damage } = HAZARD_TYPES['solar-flare'];
+    const flare = physics.spawnHazard('solar-flare', { axis: 'x' });
+    physics.updateHazards(warningTime / 2);
+    expect(flare.phase).toBe('warning');
+
+    const step = 0.05;
+    let elapsed = warningTime / 2;
+    while (physics.getHazards().length) {
+      physics.updateHazards(step);
+      elapsed += step;
+    }
+
+    const playerHits = eventBus.emit.mock.calls.filter(
+      ([name]) => name === 'player-hit-by-projectile'
+    );
+    expect(playerHits).toHaveLength(1);
+    expect(playerHits[0][1]).toMatchObject({ damage, pattern: 'solar-flare' });
+    expect(exposed.takeDamage).toHaveBeenCalledTimes(1);
+    expect(hidden.takeDamage).toHaveBeenCalledTimes(1);
+    expect(rock.takeDamage).not.toHaveBeenCalled();
+    expect(elapsed).toBeCloseTo(
+      warningTime + (GAME_WIDTH + flare.width) / sweepSpeed,
+      0
+    );
+  });
+
+  it('rolls hazards per wave on their own random scope and honours scripted waves', () => {
+    const random = {
+      ...createDeterministicRandom({ floatValue: 0 }),
+      weightedPick: (entries) => entries[0][0],
+    };
+    const physics = {
+      spawnHazard: vi.fn((type, options) => ({ type, ...options })),
+    };
+    const player = { position: { x: 100, y: 100 } };
+    const manager = new WaveManager({
+      enemySystem: {
+        getRandomScope: () => random,
+        getCachedPhysics: () => physics,
+        getCachedPlayer: () => player,
+      },
+      random,
+      eventBus: null,
+    });
+
+    const { startWave, extraHazardWave, maxPerWave } = HAZARD_WAVE_RULES;
+    expect(manager.resolveWaveHazards(startWave - 1)).toEqual([]);
+    expect(
+      manager.resolveWaveHazards(extraHazardWave, { isBossWave: true })
+    ).toEqual([]);
+    expect(manager.resolveWaveHazards(startWave)).toEqual([
+      expect.objectContaining({ type: 'nebula' }),
+    ]);
+    expect(manager.resolveWaveHazards(extraHazardWave)).toHaveLength(
+      maxPerWave
+    );
+
+    const scripted = manager.resolveWaveHazards(
+      2,
+      {},
+      {
+        hazards: [{ type: 'gravity-well', x: 0, y: 0 }],
+      }
+    );
+    const [spawned] = manager.spawnWaveHazards(scripted);
+    expect(physics.spawnHazard).toHaveBeenCalledWith(
+      'gravity-well',
+      expect.any(Object)
+    );
+    // Placed on top of the player, so it is mirrored across the field center
+    expect(spawned.x).toBe(GAME_WIDTH - HAZARD_WAVE_RULES.edgeMargin);
+    expect(spawned.y).toBe(GAME_HEIGHT - HAZARD_WAVE_RULES.edgeMargin);
+
+    const errors = validateWaveScript({
+      id: 'hazard-check',
+      waves: [
+        {
+          enemies: [{ type: 'drone', count: 1 }],
+          hazards: [{ type: 'solar-flare', axis: 'y', direction: -1 }],
+        },
+        {
+          enemies: [{ type: 'drone', count: 1 }],
+          hazards: [{ type: 'nebula', axis: 'x' }, { type: 'wormhole' }],
+        },
+      ],
+    });
+    expect(errors).toEqual([
+      expect.stringContaining('waves[1].hazards[0].axis'),
+      expect.stringContaining('waves[1].hazards[1].type'),
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import ChallengeService, {
+  CHALLENGE_MODIFIER_COUNTS,
+  createChallengeFromKey,
+  getChallengeKey,
+} from '../../src/services/ChallengeService.js';
+import { getRunModifier } from '../../src/data/runModifiers.js';
+import { encodeShareCode } from '../../src/utils/shareCode.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createStorageStub } from '../__helpers__/stubs.js';
+
+function createHarness(date = '2026-10-19T12:00:00Z') {
+  const eventBus = createEventBusMock();
+  const clock = { date: new Date(date) };
+  const challenges = new ChallengeService({
+    eventBus,
+    now: () => clock.date,
+  });
+  const requested = vi.fn((payload) => {
+    eventBus.emit('game-started', { challenge: payload.challenge });
+  });
+  eventBus.on('challenge-run-requested', requested);
+  return { eventBus, challenges, clock, requested };
+}
+
+function recordDeath(eventBus, entry) {
+  eventBus.emit('run-recorded', {
+    entry: {
+      id: 'run-1',
+      recordedAt: 1,
+      hullId: 'solar-slicer',
+      playTime: 90,
+      maxCombo: 4,
+      ...entry,
+    },
+    rank: 1,
+  });
+}
+
+describe('ChallengeService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('derives stable UTC period keys, seeds and hulls from the calendar', () => {
+    const date = new Date('2026-01-01T23:30:00Z');
+    expect(getChallengeKey('daily', date)).toBe('daily-2026-01-01');
+    expect(getChallengeKey('weekly', date)).toBe('weekly-2026-W01');
+    expect(getChallengeKey('weekly', new Date('2027-01-01T00:00:00Z'))).toBe(
+      'weekly-2026-W53'
+    );
+
+    const challenge = createChallengeFromKey('daily-2026-10-19');
+    expect(challenge).toMatchObject({
+      period: 'daily',
+      seed: 'daily-2026-10-19',
+    });
+    expect(createChallengeFromKey('daily-2026-10-19')).toEqual(challenge);
+
+    const weekly = createChallengeFromKey('weekly-2026-W42');
+    [challenge, weekly].forEach(({ period, modifiers }) => {
+      expect(modifiers).toHaveLength(CHALLENGE_MODIFIER_COUNTS[period]);
+      expect(new Set(modifiers).size).toBe(modifiers.length);
+      modifiers.forEach((id) => expect(getRunModifier(id)).not.toBeNull());
+    });
+    expect(createChallengeFromKey('bogus')).toBeNull();
+  });
+
+  it('scores only the first attempt of the current period', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+    const { eventBus, challenges, clock, requested } = createHarness();
+
+    const first = challenges.launch('daily');
+    expect(first.challenge).toMatchObject({
+      key: 'daily-2026-10-19',
+      scored: true,
+    });
+    expect(challenges.serialize().attempts['daily-2026-10-19']).toEqual({
+      startedAt: clock.date.getTime(),
+    });
+    recordDeath(eventBus, { wave: 6, kills: 40 });
+
+    const second = challenges.launch('daily');
+    expect(second.challenge.scored).toBe(false);
+    recordDeath(eventBus, { id: 'run-2', wave: 12, kills: 99 });
+
+    expect(requested).toHaveBeenCalledTimes(2);
+    expect(challenges.getLeaderboard('daily')).toEqual([
+      expect.objectContaining({ key: 'daily-2026-10-19', wave: 6, kills: 40 }),
+    ]);
+
+    const reloaded = createHarness().challenges;
+    expect(reloaded.getChallenge('daily')).toMatchObject({
+      attemptUsed: true,
+      result: expect.objectContaining({ wave: 6 }),
+    });
+    expect(reloaded.getChallenge('weekly').attemptUsed).toBe(false);
+  });
+
+  it('keeps challenge results out of regular runs', () => {
+    const { eventBus, challenges } = createHarness();
+
+    challenges.launch('weekly');
+    eventBus.emit('game-started', { challenge: null });
+    recordDeath(eventBus, { wave: 3, kills: 10 });
+
+    expect(challenges.getLeaderboard('weekly')).toEqual([]);
+  });
+
+  it('round-trips share codes and plays other periods as practice', () => {
+    const { challenges, clock } = createHarness();
+    const code = challenges.exportChallengeCode(challenges.getChallenge());
+
+    clock.date = new Date('2026-10-20T08:00:00Z');
+    const imported = challenges.importChallengeCode(code);
+    expect(imported).toMatchObject({
+      key: 'daily-2026-10-19',
+      seed: 'daily-2026-10-19',
+    });
+    expect(challenges.launch(imported).challenge.scored).toBe(false);
+
+    expect(() => challenges.importChallengeCode('nope')).toThrow();
+    expect(() =>
+      challenges.importChallengeCode(
+        encodeShareCode({ format: 'roguefield-meta', version: 1 })
+      )
+    ).toThrow(/Not a challenge code/);
+  });
+
+  it('rebuilds tampered codes for the current period from the key', () => {
+    const { challenges } = createHarness();
+    const canonical = challenges.getChallenge('daily');
+    const tampered = {
+      ...canonical,
+      seed: 'something-easier',
+      modifiers: ['double-xp'],
+    };
+
+    const launched = challenges.launch(tampered);
+    expect(launched.challenge).toMatchObject({
+      seed: canonical.seed,
+      hullId: canonical.hullId,
+      modifiers: canonical.modifiers,
+      scored: true,
+    });
+  });
+});
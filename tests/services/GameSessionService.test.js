@@ -1,6 +1,9 @@
 import { describe, it, expect, vi, afterEach } from 'vitest';
 
-import GameSessionService from '../../src/services/GameSessionService.js';
+import GameSessionService, {
+  RUN_SAVE_FORMAT,
+  RUN_SAVE_FORMAT_VERSION,
+} from '../../src/services/GameSessionService.js';
 import { BULLET_SIZE } from '../../src/core/GameConstants.js';
 import {
   DEFAULT_HULL_ID,
@@ -9,9 +12,14 @@ import {
 } from '../../src/data/shipModels.js';
 import { BOSS_PHYSICS_CONFIG } from '../../src/data/enemies/boss.js';
 import PhysicsSystem from '../../src/modules/PhysicsSystem.js';
+import { AbilityController } from '../../src/modules/AbilityController.js';
+import { ACTIVE_ABILITIES } from '../../src/data/abilities.js';
 import { createEventBusMock } from '../__helpers__/mocks.js';
 // Optimization: use centralized createRandomServiceStatefulStub()
-import { createRandomServiceStatefulStub } from '../__helpers__/stubs.js';
+import {
+  createRandomServiceStatefulStub,
+  createStorageStub,
+} from '../__helpers__/stubs.js';
 
 const ASTEROID_POOL_ID = Symbol.for('ASTEROIDS_ROGUEFIELD:asteroidPoolId');
 
@@ -361,6 +369,21 @@ describe('GameSessionService lifecycle flows', () => {
     expect(player.currentHull.id).toBe(DEFAULT_HULL_ID);
   });
 
+  it('starts a replay run with the recorded seed and hull', () => {
+    const { service, player, random } = createServiceHarness();
+
+    const started = service.startReplayRun({
+      seed: { seed: 31337, source: 'url' },
+      hullId: SOLAR_SLICER_HULL_ID,
+    });
+
+    expect(started).toBe(true);
+    expect(service.getSeedInfo()).toEqual({ seed: 31337, source: 'replay' });
+    expect(random.reset).toHaveBeenLastCalledWith(31337);
+    expect(player.currentHull.id).toBe(SOLAR_SLICER_HULL_ID);
+    expect(service.getScreen()).toBe('playing');
+  });
+
   it('restores the snapshot hull before retry state recovery completes', () => {
     const { service, player } = createServiceHarness();
 
@@ -387,6 +410,34 @@ describe('GameSessionService lifecycle flows', () => {
     expect(player.currentHull.id).toBe(SOLAR_SLICER_HULL_ID);
   });
 
+  it('carries the score and ability cooldowns across a retry', () => {
+    const { service, player } = createServiceHarness();
+    const score = {
+      exportState: vi.fn(() => ({ score: 1200, waveDamaged: true })),
+      importState: vi.fn(),
+    };
+    service.services.score = score;
+    player.abilities = new AbilityController();
+    player.abilities.startCooldown('dash');
+    player.abilities.update(1);
+    player.lastStand = { charges: 0, spent: 1 };
+    player.restoreSpentLastStands = vi.fn();
+
+    const snapshot = service.createDeathSnapshot();
+    player.abilities.reset();
+
+    expect(service.restoreFromSnapshot({ snapshot })).toBe(true);
+    expect(score.importState).toHaveBeenCalledWith({
+      score: 1200,
+      waveDamaged: true,
+    });
+    expect(player.abilities.getSlot('dash')).toMatchObject({
+      charges: ACTIVE_ABILITIES.dash.charges - 1,
+      cooldownTimer: ACTIVE_ABILITIES.dash.cooldown - 1,
+    });
+    expect(player.restoreSpentLastStands).toHaveBeenCalledWith(1);
+  });
+
   it('rebuilds boss collision membership across the full retry restore flow', () => {
     const { service, eventBus } = createServiceHarness();
     const physics = new PhysicsSystem({ eventBus });
@@ -515,3 +566,172 @@ describe('GameSessionService lifecycle flows', () => {
     expect(spawnPoint).toEqual({ x: 600, y: 450 });
   });
 });
+
+describe('GameSessionService run saves', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('saves from pause and rebuilds the run from the stored save', () => {
+    const storage = createStorageStub();
+    vi.stubGlobal('window', { localStorage: storage });
+
+    const harness = createServiceHarness();
+    const { service, enemies, player, eventBus } = harness;
+    const waveState = { currentWave: 4, inProgress: true, countdown: 0 };
+    enemies.waveManager = {
+      getState: vi.fn(() => waveState),
+      restoreState: vi.fn(() => true),
+    };
+    const xpOrbs = service.resolveServiceInstance('xp-orbs');
+    xpOrbs.exportState = vi.fn(() => ({ version: 1, orbs: [{ x: 1, y: 2 }] }));
+    xpOrbs.importState = vi.fn(() => true);
+    const healthHearts = service.resolveServiceInstance('healthHearts');
+    healthHearts.exportState = vi.fn(() => ({ version: 1, hearts: [] }));
+    healthHearts.importState = vi.fn(() => true);
+
+    service.startNewRun({ source: 'test' });
+    service.togglePause();
+    player.health = 40;
+
+    expect(service.saveAndExitToMenu({ source: 'pause-menu' })).toBe(true);
+    expect(service.hasSavedRun()).toBe(true);
+    expect(eventBus.emit).toHaveBeenCalledWith('exit-to-menu-requested', {
+      source: 'save-and-quit',
+    });
+
+    expect(service.getScreen()).toBe('menu');
+
+    expect(service.continueSavedRun({ source: 'test' })).toBe(true);
+
+    expect(enemies.waveManager.restoreState).toHaveBeenCalledWith(waveState);
+    expect(xpOrbs.importState).toHaveBeenCalledWith({
+      version: 1,
+      orbs: [{ x: 1, y: 2 }],
+    });
+    expect(healthHearts.importState).toHaveBeenCalled();
+    expect(player.health).toBe(40);
+    expect(service.getScreen()).toBe('playing');
+    expect(service.getSessionState()).toBe('running');
+    expect(service.hasDeathSnapshot()).toBe(false);
+    expect(service.hasSavedRun()).toBe(false);
+  });
+
+  it('keeps the saved run when a replay or challenge starts', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+    const { service } = createServiceHarness();
+
+    service.startNewRun({ source: 'test' });
+    expect(service.saveRun({ source: 'test' })).not.toBeNull();
+
+    service.startReplayRun({ seed: { seed: 31337, source: 'url' } });
+    service.startNewRun({
+      source: 'challenge',
+      challenge: { key: 'daily', seed: 'daily', modifiers: [] },
+    });
+    expect(service.hasSavedRun()).toBe(true);
+
+    service.handleDocumentClick({
+      target: { closest: () => ({ id: 'start-game-btn' }) },
+    });
+    expect(service.hasSavedRun()).toBe(false);
+  });
+
+  it('does not re-apply upgrades an evolution replaced', () => {
+    const { service } = createServiceHarness();
+    const definition = (id) => ({ id, levels: [{ effects: [] }] });
+    const progression = {
+      upgradeLookup: new Map(
+        ['plasma', 'plasma_tempest', 'shield'].map((id) => [id, definition(id)])
+      ),
+      applyUpgradeEffects: vi.fn(),
+      isUpgradeConsumedByEvolution: (id) => id === 'plasma',
+    };
+
+    const result = service.reapplyProgressionUpgrades({
+      progression,
+      snapshot: {
+        appliedUpgrades: [
+          ['plasma', 1],
+          ['shield', 1],
+          ['plasma_tempest', 1],
+        ],
+      },
+    });
+
+    expect(result.reapplied).toBe(2);
+    expect(
+      progression.applyUpgradeEffects.mock.calls.map(([upgrade]) => upgrade.id)
+    ).toEqual(['shield', 'plasma_tempest']);
+  });
+
+  it('refuses to save outside an active run', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+    const { service } = createServiceHarness();
+
+    expect(service.saveRun({ source: 'test' })).toBeNull();
+    expect(service.hasSavedRun()).toBe(false);
+  });
+
+  it('rejects unsupported run saves and discards unreadable stored saves', () => {
+    expect(() =>
+      GameSessionService.parseRunSave({
+        format: RUN_SAVE_FORMAT,
+        version: RUN_SAVE_FORMAT_VERSION + 1,
+        snapshot: {},
+      })
+    ).toThrow(/newer than supported/);
+    expect(() =>
+      GameSessionService.parseRunSave({ format: 'other', version: 1 })
+    ).toThrow(/Unsupported run save format/);
+
+    const storage = createStorageStub();
+    storage.setItem('roguefield.savedRun', '{not json');
+    vi.stubGlobal('window', { localStorage: storage });
+
+    expect(GameSessionService.loadRunSave()).toBeNull();
+    expect(storage.removeItem).toHaveBeenCalledWith('roguefield.savedRun');
+  });
+});
+
+describe('GameSessionService challenge runs', () => {
+  it('applies the challenge seed and hull, then restores the regular seed', () => {
+    const { service, eventBus, player } = createServiceHarness();
+    const started = vi.fn();
+    eventBus.on('game-started', started);
+
+    eventBus.emit('challenge-run-requested', {
+      challenge: {
+        key: 'daily-2026-10-19',
+        period: 'daily',
+        seed: 'daily-2026-10-19',
+        hullId: 'solar-slicer',
+        modifiers: [],
+        scored: true,
+      },
+      source: 'test',
+    });
+
+    expect(service.getSeedInfo()).toEqual({
+      seed: 'daily-2026-10-19',
+      source: 'challenge',
+    });
+    expect(player.currentHull.id).toBe('solar-slicer');
+    expect(started).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        challenge: expect.objectContaining({ key: 'daily-2026-10-19' }),
+      })
+    );
+
+    service.setPaused(true);
+    service.setSessionState('paused');
+    expect(service.saveRun({ source: 'test' })).toBeNull();
+
+    service.startNewRun({ source: 'test' });
+    expect(service.getSeedInfo()).toEqual({ seed: 99, source: 'test' });
+    expect(service.getActiveChallenge()).toBeNull();
+    expect(started).toHaveBeenLastCalledWith(
+      expect.objectContaining({ challenge: null })
+    );
+  });
+});
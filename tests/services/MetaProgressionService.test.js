@@ -0,0 +1,154 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import MetaProgressionService, {
+  META_PROGRESSION_FORMAT,
+  META_PROGRESSION_FORMAT_VERSION,
+} from '../../src/services/MetaProgressionService.js';
+import { META_PROGRESSION_REWARDS } from '../../src/data/constants/gameplay.js';
+import { SOLAR_SLICER_HULL_ID } from '../../src/data/shipModels.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createStorageStub } from '../__helpers__/stubs.js';
+
+function createHarness({
+  replayPlaying = false,
+  replayUnlocks = null,
+  replayChargeBonus = null,
+} = {}) {
+  const eventBus = createEventBusMock();
+  const replay = {
+    isPlaying: () => replayPlaying,
+    getPlaybackUnlocks: () => replayUnlocks,
+    getPlaybackLevelUpChargeBonus: () => replayChargeBonus,
+  };
+  const meta = new MetaProgressionService({
+    eventBus,
+    serviceResolver: (name) => (name === 'replay' ? replay : null),
+  });
+  return { eventBus, meta };
+}
+
+describe('MetaProgressionService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('banks salvage for cleared waves and defeated bosses', () => {
+    const storage = createStorageStub();
+    vi.stubGlobal('window', { localStorage: storage });
+    const { eventBus, meta } = createHarness();
+
+    eventBus.emit('game-started', {});
+    eventBus.emit('wave-complete', { wave: 1 });
+    eventBus.emit('wave-complete', { wave: 2 });
+    eventBus.emit('boss-defeated', { wave: 5 });
+
+    const expected =
+      META_PROGRESSION_REWARDS.perWaveCleared * 2 +
+      META_PROGRESSION_REWARDS.perBossDefeated;
+    expect(meta.getCurrency()).toBe(expected);
+    expect(meta.getRunEarnings()).toBe(expected);
+    expect(meta.getStats()).toMatchObject({
+      wavesCleared: 2,
+      bossesDefeated: 1,
+    });
+
+    const reloaded = createHarness().meta;
+    expect(reloaded.getCurrency()).toBe(expected);
+    expect(reloaded.getRunEarnings()).toBe(0);
+  });
+
+  it('does not earn salvage while a replay is playing', () => {
+    const { eventBus, meta } = createHarness({ replayPlaying: true });
+
+    eventBus.emit('wave-complete', { wave: 1 });
+    eventBus.emit('boss-defeated', { wave: 5 });
+
+    expect(meta.getCurrency()).toBe(0);
+  });
+
+  it('enforces cost and prerequisites when purchasing unlocks', () => {
+    const { eventBus, meta } = createHarness();
+
+    expect(meta.isHullUnlocked(SOLAR_SLICER_HULL_ID)).toBe(false);
+    expect(meta.purchase('inertial-dampeners')).toEqual({
+      ok: false,
+      reason: 'insufficient-currency',
+    });
+
+    meta.earnCurrency(500);
+    expect(meta.purchase('solar-slicer-blueprint')).toEqual({
+      ok: false,
+      reason: 'requires-unlock',
+    });
+
+    const purchased = vi.fn();
+    eventBus.on('meta-unlock-purchased', purchased);
+
+    expect(meta.purchase('inertial-dampeners').ok).toBe(true);
+    expect(meta.purchase('inertial-dampeners').reason).toBe('already-unlocked');
+    expect(meta.purchase('solar-slicer-blueprint').ok).toBe(true);
+
+    expect(purchased).toHaveBeenCalledTimes(2);
+    expect(meta.getCurrency()).toBe(500 - 120 - 200);
+    expect(meta.isHullUnlocked(SOLAR_SLICER_HULL_ID)).toBe(true);
+    expect(meta.getUpgradeGate('braking_system')).toBe('inertial-dampeners');
+  });
+
+  it('gates the run with the recorded unlocks during replay playback', () => {
+    const recorded = createHarness({
+      replayPlaying: true,
+      replayUnlocks: ['inertial-dampeners', 'solar-slicer-blueprint'],
+    }).meta;
+    expect(recorded.isHullUnlocked(SOLAR_SLICER_HULL_ID)).toBe(true);
+    expect(recorded.isUnlocked('inertial-dampeners')).toBe(true);
+    expect(recorded.getUnlockedIds()).toEqual([]);
+
+    const uplinked = createHarness({
+      replayPlaying: true,
+      replayUnlocks: ['targeting-research', 'tactical-uplink'],
+      replayChargeBonus: { reroll: 2, banish: 0 },
+    }).meta;
+    expect(uplinked.getLevelUpChargeBonus()).toEqual({ reroll: 2, banish: 0 });
+
+    // Replays without recorded unlocks use the local profile
+    const legacy = createHarness({ replayPlaying: true }).meta;
+    legacy.earnCurrency(100);
+    legacy.purchase('targeting-research');
+    expect(legacy.isUnlocked('targeting-research')).toBe(true);
+    expect(legacy.isHullUnlocked(SOLAR_SLICER_HULL_ID)).toBe(false);
+  });
+
+  it('round-trips progress through export codes', () => {
+    const source = createHarness().meta;
+    source.earnCurrency(300);
+    source.purchase('targeting-research');
+    source.discoverEvolution('plasma_tempest');
+    const code = source.exportData();
+
+    const target = createHarness().meta;
+    expect(target.importData(code)).toBe(true);
+    expect(target.getCurrency()).toBe(200);
+    expect(target.isUnlocked('targeting-research')).toBe(true);
+    expect(target.isEvolutionDiscovered('plasma_tempest')).toBe(true);
+
+    expect(target.importData('not a code')).toBe(false);
+    expect(target.getCurrency()).toBe(200);
+  });
+
+  it('rejects saves from a newer format version and drops unknown unlocks', () => {
+    expect(() =>
+      MetaProgressionService.parse({
+        format: META_PROGRESSION_FORMAT,
+        version: META_PROGRESSION_FORMAT_VERSION + 1,
+      })
+    ).toThrow(/newer than supported/);
+
+    const state = MetaProgressionService.parse({
+      format: META_PROGRESSION_FORMAT,
+      version: META_PROGRESSION_FORMAT_VERSION,
+      currency: 40,
+      unlocks: ['targeting-research', 'removed-node', 'targeting-research'],
+    });
+    expect(state.currency).toBe(40);
+    expect(state.unlocks).toEqual(['targeting-research']);
+  });
+});
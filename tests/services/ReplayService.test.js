@@ -0,0 +1,204 @@
+import { describe, expect, it, vi } from 'vitest';
+import CommandQueueService from '../../src/services/CommandQueueService.js';
+import ReplayService, {
+  REPLAY_FORMAT,
+  REPLAY_FORMAT_VERSION,
+} from '../../src/services/ReplayService.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+
+function createMove(up, left = false) {
+  return {
+    type: 'move',
+    axes: { x: left ? -1 : 0, y: up ? -1 : 0 },
+    binary: { up, down: false, left, right: false },
+    magnitude: up || left ? 1 : 0,
+    timestamp: 123,
+  };
+}
+
+function simulateFrame(replay, queue, deltaTime, move) {
+  const dt = replay.beginFrame(deltaTime);
+  if (move && !replay.isPlaying()) {
+    queue.enqueue(move);
+  }
+  const consumed = queue.consume({ types: ['move'], consumerId: 'player' });
+  replay.endFrame();
+  return { dt, consumed };
+}
+
+function createHarness() {
+  const eventBus = createEventBusMock();
+  const queue = new CommandQueueService();
+  const session = {
+    getSeedInfo: () => ({ seed: 4242, source: 'url' }),
+  };
+  const replay = new ReplayService({
+    eventBus,
+    commandQueue: queue,
+    serviceResolver: (name) => (name === 'game-session' ? session : null),
+  });
+  return { eventBus, queue, replay };
+}
+
+describe('ReplayService', () => {
+  it('records seed info, frame deltas, drained commands and events', () => {
+    const { eventBus, queue, replay } = createHarness();
+
+    eventBus.emit('game-started', { source: 'test' });
+    expect(replay.isRecording()).toBe(true);
+
+    simulateFrame(replay, queue, 0.016, createMove(true));
+    simulateFrame(replay, queue, 0.015, createMove(true));
+    eventBus.emit('activate-ability-pressed', { abilityId: 'shield' });
+    simulateFrame(replay, queue, 0.014, createMove(false, true));
+    eventBus.emit('upgrade-applied', { upgradeId: 'plasma' });
+
+    eventBus.emit('player-died', {});
+    const recorded = replay.getLastReplay();
+
+    expect(replay.isRecording()).toBe(false);
+    expect(recorded.format).toBe(REPLAY_FORMAT);
+    expect(recorded.version).toBe(REPLAY_FORMAT_VERSION);
+    expect(recorded.seed).toStrictEqual({ seed: 4242, source: 'url' });
+    expect(recorded.deltas).toStrictEqual([0.016, 0.015, 0.014]);
+    // Repeated identical move commands are deduplicated
+    expect(recorded.commands.map((command) => command.frame)).toStrictEqual([
+      0, 2,
+    ]);
+    expect(recorded.commands[0].payload.timestamp).toBeUndefined();
+    expect(recorded.events).toStrictEqual([
+      { frame: 2, type: 'ability', abilityId: 'shield' },
+      { frame: 3, type: 'upgrade', upgradeId: 'plasma' },
+    ]);
+  });
+
+  it('replays recorded commands and deltas frame-by-frame', () => {
+    const { eventBus, queue, replay } = createHarness();
+
+    eventBus.emit('game-started', {});
+    simulateFrame(replay, queue, 0.016, createMove(true));
+    simulateFrame(replay, queue, 0.012, createMove(false, true));
+    eventBus.emit('activate-ability-pressed', { abilityId: 'shield' });
+    simulateFrame(replay, queue, 0.01, createMove(false, true));
+    const json = replay.exportReplay(replay.stopRecording({ persist: false }));
+
+    const abilityEvents = [];
+    eventBus.on('activate-ability-pressed', (payload) =>
+      abilityEvents.push(payload)
+    );
+
+    replay.startPlayback(json);
+    expect(replay.isPlaying()).toBe(true);
+
+    const frames = [];
+    while (replay.isPlaying()) {
+      frames.push(simulateFrame(replay, queue, 1, null));
+    }
+
+    expect(frames.map((frame) => frame.dt)).toStrictEqual([0.016, 0.012, 0.01]);
+    expect(frames[0].consumed[0].payload.binary.up).toBe(true);
+    expect(frames[1].consumed[0].payload.binary.left).toBe(true);
+    expect(frames[2].consumed).toHaveLength(0);
+    expect(abilityEvents).toStrictEqual([
+      { abilityId: 'shield', source: 'replay' },
+    ]);
+    expect(eventBus.emit).toHaveBeenCalledWith(
+      'replay-playback-finished',
+      expect.objectContaining({ reason: 'complete', framesPlayed: 3 })
+    );
+  });
+
+  it('records and replays level-up rerolls, banishes and skips in order', () => {
+    const { eventBus, queue, replay } = createHarness();
+    const offer = (reason) =>
+      eventBus.emit('upgrade-options-ready', {
+        options: [{ id: 'plasma' }, { id: 'shield_boost' }],
+        reason,
+      });
+
+    eventBus.emit('game-started', {});
+    simulateFrame(replay, queue, 0.016, null);
+    offer();
+    offer('reroll');
+    eventBus.emit('upgrade-banished', { upgradeId: 'shield_boost' });
+    offer('banish');
+    eventBus.emit('upgrade-applied', { upgradeId: 'plasma' });
+    simulateFrame(replay, queue, 0.016, null);
+    offer();
+    eventBus.emit('upgrade-skipped', { reward: 'heal', amount: 15 });
+    const recorded = replay.stopRecording({ persist: false });
+
+    expect(recorded.events.map((event) => event.type)).toStrictEqual([
+      'upgrade-reroll',
+      'upgrade-banish',
+      'upgrade',
+      'upgrade-skip',
+    ]);
+
+    const progression = {
+      rerollUpgradeOptions: vi.fn(() => offer('reroll')),
+      banishUpgrade: vi.fn(() => offer('banish')),
+      applyUpgrade: vi.fn(),
+      skipUpgradeSelection: vi.fn(),
+    };
+    replay.serviceResolver = (name) =>
+      name === 'progression' ? progression : null;
+
+    replay.startPlayback(recorded);
+    offer();
+    expect(progression.rerollUpgradeOptions).toHaveBeenCalledTimes(1);
+    expect(progression.banishUpgrade).toHaveBeenCalledWith('shield_boost');
+    expect(progression.applyUpgrade).toHaveBeenCalledWith('plasma');
+    expect(progression.skipUpgradeSelection).not.toHaveBeenCalled();
+
+    offer();
+    expect(progression.skipUpgradeSelection).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the meta unlocks and charge bonus the run started with', () => {
+    const { eventBus, queue, replay } = createHarness();
+    const meta = {
+      getUnlockedIds: () => ['targeting-research', 'tactical-uplink'],
+      getLevelUpChargeBonus: () => ({ reroll: 1, banish: 1 }),
+    };
+    replay.serviceResolver = (name) =>
+      name === 'meta-progression' ? meta : null;
+
+    eventBus.emit('game-started', {});
+    simulateFrame(replay, queue, 0.016, null);
+    const json = replay.exportReplay(replay.stopRecording({ persist: false }));
+    expect(replay.getPlaybackUnlocks()).toBeNull();
+
+    replay.startPlayback(json);
+    expect(replay.getPlaybackUnlocks()).toStrictEqual([
+      'targeting-research',
+      'tactical-uplink',
+    ]);
+    expect(replay.getPlaybackLevelUpChargeBonus()).toStrictEqual({
+      reroll: 1,
+      banish: 1,
+    });
+
+    // Replays recorded before unlocks were stored fall back to the profile
+    replay.startPlayback({
+      ...JSON.parse(json),
+      unlocks: undefined,
+      levelUpChargeBonus: undefined,
+    });
+    expect(replay.getPlaybackUnlocks()).toBeNull();
+    expect(replay.getPlaybackLevelUpChargeBonus()).toBeNull();
+  });
+
+  it('rejects unknown formats and replays newer than the supported version', () => {
+    expect(() => ReplayService.parse('{not json')).toThrow(/Invalid replay/);
+    expect(() => ReplayService.parse({ format: 'other', version: 1 })).toThrow(
+      /Unsupported replay format/
+    );
+    expect(() =>
+      ReplayService.parse({
+        format: REPLAY_FORMAT,
+        version: REPLAY_FORMAT_VERSION + 1,
+      })
+    ).toThrow(/newer than supported/);
+  });
+});
@@ -0,0 +1,196 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import RunHistoryService, {
+  RUN_HISTORY_FORMAT,
+  RUN_HISTORY_FORMAT_VERSION,
+  RUN_HISTORY_MAX_ENTRIES,
+} from '../../src/services/RunHistoryService.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createStorageStub } from '../__helpers__/stubs.js';
+
+function createHarness({ replayPlaying = false } = {}) {
+  const eventBus = createEventBusMock();
+  const run = {
+    seed: 1234,
+    wave: 1,
+    kills: 0,
+    time: 0,
+    combo: 0,
+    upgrades: new Map(),
+  };
+  const services = {
+    'game-session': { getSeedInfo: () => ({ seed: run.seed, source: 'url' }) },
+    player: { currentHull: { id: 'solar-slicer' } },
+    enemies: {
+      getWaveState: () => ({ current: run.wave }),
+      getSessionStats: () => ({ totalKills: run.kills, timeElapsed: run.time }),
+    },
+    progression: {
+      getComboState: () => ({ comboCount: run.combo }),
+      getAllUpgrades: () => new Map(run.upgrades),
+      getLevel: () => 3,
+    },
+    replay: { isPlaying: () => replayPlaying },
+  };
+  const history = new RunHistoryService({
+    eventBus,
+    serviceResolver: (name) => services[name] || null,
+  });
+  return { eventBus, history, run };
+}
+
+function playRun(harness, { wave, kills, time, combo = 0 }) {
+  const { eventBus, run } = harness;
+  eventBus.emit('game-started', {});
+  Object.assign(run, { wave, kills, time, combo });
+  eventBus.emit('player-died', {});
+  return harness.history.getLastRun();
+}
+
+describe('RunHistoryService', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('records seed, hull, wave, kills, best combo, time and build on death', () => {
+    const harness = createHarness();
+    const { eventBus, history, run } = harness;
+    const recorded = vi.fn();
+    eventBus.on('run-recorded', recorded);
+
+    eventBus.emit('game-started', {});
+    eventBus.emit('combo-updated', { comboCount: 9 });
+    eventBus.emit('combo-broken', { comboCount: 0 });
+    Object.assign(run, { wave: 6, kills: 48, time: 312.5, combo: 2 });
+    run.upgrades.set('plasma', 2);
+    eventBus.emit('player-died', {});
+
+    const entry = history.getLastRun();
+    expect(entry).toMatchObject({
+      seed: 1234,
+      hullId: 'solar-slicer',
+      wave: 6,
+      kills: 48,
+      maxCombo: 9,
+      playTime: 312.5,
+      level: 3,
+      build: [{ id: 'plasma', level: 2 }],
+    });
+    expect(recorded).toHaveBeenCalledWith({
+      entry: expect.objectContaining({ id: entry.id }),
+      rank: 1,
+    });
+  });
+
+  it('updates the same entry when a retried run dies again', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1_000);
+    const harness = createHarness();
+    const { eventBus, history, run } = harness;
+
+    const first = playRun(harness, { wave: 3, kills: 10, time: 60 });
+    vi.setSystemTime(5_000);
+    run.wave = 5;
+    eventBus.emit('player-died', {});
+
+    expect(history.getHistory()).toHaveLength(1);
+    expect(history.getLastRun()).toMatchObject({
+      id: first.id,
+      wave: 5,
+      retriesUsed: 1,
+    });
+  });
+
+  it('sorts the leaderboard by the requested key and persists it', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+    vi.useFakeTimers();
+    const harness = createHarness();
+
+    vi.setSystemTime(1_000);
+    playRun(harness, { wave: 4, kills: 80, time: 200 });
+    vi.setSystemTime(2_000);
+    playRun(harness, { wave: 7, kills: 30, time: 400 });
+    vi.setSystemTime(3_000);
+    playRun(harness, { wave: 4, kills: 90, time: 100 });
+
+    const byWave = harness.history.getLeaderboard();
+    expect(byWave.map((entry) => [entry.wave, entry.kills])).toEqual([
+      [7, 30],
+      [4, 90],
+      [4, 80],
+    ]);
+
+    const byKills = harness.history.getLeaderboard({
+      sortBy: 'kills',
+      limit: 1,
+    });
+    expect(byKills.map((entry) => entry.kills)).toEqual([90]);
+
+    const reloaded = createHarness().history;
+    expect(reloaded.getLeaderboard()).toEqual(byWave);
+  });
+
+  it('records runs quit from the pause menu but not Save & Quit', () => {
+    const harness = createHarness();
+    const { eventBus, history, run } = harness;
+
+    const died = playRun(harness, { wave: 2, kills: 5, time: 30 });
+    run.wave = 4;
+    eventBus.emit('exit-to-menu-requested', { source: 'pause-menu' });
+    expect(history.getHistory()).toHaveLength(1);
+    expect(history.getLastRun()).toMatchObject({
+      id: died.id,
+      wave: 4,
+      retriesUsed: 1,
+    });
+
+    eventBus.emit('game-started', {});
+    eventBus.emit('exit-to-menu-requested', { source: 'save-and-quit' });
+    eventBus.emit('exit-to-menu-requested', { source: 'gameover' });
+    expect(history.getHistory()).toHaveLength(1);
+  });
+
+  it('ignores replay playback', () => {
+    const harness = createHarness({ replayPlaying: true });
+    playRun(harness, { wave: 9, kills: 100, time: 500 });
+
+    expect(harness.history.getHistory()).toEqual([]);
+    expect(harness.history.getLastRun()).toBeNull();
+  });
+
+  it('rejects newer formats and caps stored entries outside the leaderboards', () => {
+    expect(() =>
+      RunHistoryService.parse({
+        format: RUN_HISTORY_FORMAT,
+        version: RUN_HISTORY_FORMAT_VERSION + 1,
+        entries: [],
+      })
+    ).toThrow(/newer than supported/);
+
+    const entries = RunHistoryService.parse({
+      format: RUN_HISTORY_FORMAT,
+      version: RUN_HISTORY_FORMAT_VERSION,
+      entries: [
+        ...Array.from({ length: RUN_HISTORY_MAX_ENTRIES + 5 }, (_, index) => ({
+          id: `run-${index}`,
+          wave: index,
+        })),
+        { wave: 3 },
+      ],
+    });
+    // The oldest runs reached the highest waves, so they stay on the board
+    expect(entries).toHaveLength(RUN_HISTORY_MAX_ENTRIES + 5);
+    expect(entries[0]).toMatchObject({ id: 'run-0', build: [] });
+    expect(entries.at(-1).id).toBe(`run-${RUN_HISTORY_MAX_ENTRIES + 4}`);
+
+    const capped = RunHistoryService.parse({
+      format: RUN_HISTORY_FORMAT,
+      version: RUN_HISTORY_FORMAT_VERSION,
+      entries: Array.from(
+        { length: RUN_HISTORY_MAX_ENTRIES + 5 },
+        (_, index) => ({ id: `run-${index}`, wave: 1 })
+      ),
+    });
+    expect(capped).toHaveLength(RUN_HISTORY_MAX_ENTRIES);
+  });
+});
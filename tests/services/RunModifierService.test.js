@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import RunModifierService, {
+  RUN_MODIFIERS_FORMAT,
+  RUN_MODIFIERS_FORMAT_VERSION,
+  getRunModifierScoreMultiplier,
+  resolveRunModifierEffects,
+  sanitizeRunModifierIds,
+} from '../../src/services/RunModifierService.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+import { createStorageStub } from '../__helpers__/stubs.js';
+
+describe('RunModifierService', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps known ids in catalogue order', () => {
+    expect(
+      sanitizeRunModifierIds(['boss-rush', 'unknown', 'glass-cannon'])
+    ).toEqual(['glass-cannon', 'boss-rush']);
+    expect(sanitizeRunModifierIds('glass-cannon')).toEqual([]);
+  });
+
+  it('stacks modifier hooks into merged effects', () => {
+    const effects = resolveRunModifierEffects([
+      'glass-cannon',
+      'asteroid-rush',
+      'no-shield',
+      'volatile-field',
+      'boss-rush',
+      'hardened-hulls',
+    ]);
+
+    expect(effects.playerStats).toEqual({ damage: 2, maxHealth: 0.5 });
+    expect(effects.waves).toEqual({
+      bossInterval: 3,
+      asteroidVariant: 'volatile',
+      asteroidSpeed: 2,
+    });
+    expect(effects.enemyHealth).toBe(1.5);
+    expect(effects.rewards).toBe(1.25);
+    expect(effects.excludedUpgrades).toEqual(['shield', 'deflector_shield']);
+  });
+
+  it('multiplies score multipliers across the set', () => {
+    expect(getRunModifierScoreMultiplier([])).toBe(1);
+    expect(getRunModifierScoreMultiplier(['boss-rush'])).toBe(1.5);
+    expect(getRunModifierScoreMultiplier(['glass-cannon', 'boss-rush'])).toBe(
+      1.95
+    );
+  });
+
+  it('persists the menu selection and activates runs independently', () => {
+    vi.stubGlobal('window', { localStorage: createStorageStub() });
+    const eventBus = createEventBusMock();
+    const service = new RunModifierService({ eventBus });
+
+    expect(service.toggle('boss-rush')).toBe(true);
+    expect(service.toggle('glass-cannon')).toBe(true);
+    expect(service.toggle('boss-rush')).toBe(false);
+    expect(service.getSelectedIds()).toEqual(['glass-cannon']);
+    expect(service.getActiveIds()).toEqual([]);
+
+    service.activate(['hardened-hulls']);
+    expect(service.getEffects().enemyHealth).toBe(1.5);
+    expect(service.getScoreMultiplier()).toBe(1.15);
+    expect(eventBus.emit).toHaveBeenLastCalledWith(
+      'run-modifiers-changed',
+      expect.objectContaining({
+        reason: 'activated',
+        selected: ['glass-cannon'],
+        active: ['hardened-hulls'],
+      })
+    );
+
+    const reloaded = new RunModifierService({ eventBus });
+    expect(reloaded.getSelectedIds()).toEqual(['glass-cannon']);
+    expect(reloaded.getActiveIds()).toEqual([]);
+  });
+
+  it('rejects unsupported selection payloads', () => {
+    expect(() => RunModifierService.parse(null)).toThrow(
+      '[RunModifierService] Payload must be an object'
+    );
+    expect(() => RunModifierService.parse({ format: 'other' })).toThrow(
+      'Unsupported format'
+    );
+    expect(() =>
+      RunModifierService.parse({
+        format: RUN_MODIFIERS_FORMAT,
+        version: RUN_MODIFIERS_FORMAT_VERSION + 1,
+        selected: [],
+      })
+    ).toThrow('newer than supported');
+    expect(
+      RunModifierService.parse({
+        format: RUN_MODIFIERS_FORMAT,
+        version: RUN_MODIFIERS_FORMAT_VERSION,
+        selected: ['removed-modifier', 'boss-rush'],
+      })
+    ).toEqual(['boss-rush']);
+  });
+});
@@ -0,0 +1,170 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import ScoreService, {
+  getWaveScoreBonus,
+} from '../../src/services/ScoreService.js';
+import RunHistoryService from '../../src/services/RunHistoryService.js';
+import ProgressionSystem from '../../src/modules/ProgressionSystem.js';
+import { SCORE_VALUES, SCORE_WAVE_BONUS } from '../../src/data/scoring.js';
+import { createEventBusMock } from '../__helpers__/mocks.js';
+
+function createHarness({ combo = 1, modifiers = 1 } = {}) {
+  const eventBus = createEventBusMock();
+  const state = { combo, modifiers };
+  const services = {
+    progression: {
+      getComboState: () => ({ multiplier: state.combo }),
+      isPlayerResponsibleForEnemyDeath:
+        ProgressionSystem.prototype.isPlayerResponsibleForEnemyDeath,
+    },
+    'run-modifiers': { getScoreMultiplier: () => state.modifiers },
+  };
+  const score = new ScoreService({
+    eventBus,
+    serviceResolver: (name) => services[name] || null,
+  });
+  services.score = score;
+  return { eventBus, score, services, state };
+}
+
+describe('ScoreService', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('scores player kills by type, size and variant with the combo multiplier', () => {
+    const { eventBus, score, state } = createHarness({ combo: 1.5 });
+    const changed = vi.fn();
+    eventBus.on('score-changed', changed);
+
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'asteroid', size: 'large', variant: 'iron' },
+      position: { x: 10, y: 20 },
+      cause: 'damage',
+    });
+    const asteroidPoints =
+      SCORE_VALUES.asteroidSizes.large *
+      SCORE_VALUES.asteroidVariants.iron *
+      1.5;
+    expect(score.getScore()).toBe(asteroidPoints);
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        score: asteroidPoints,
+        delta: asteroidPoints,
+        reason: 'kill',
+        position: { x: 10, y: 20 },
+      })
+    );
+
+    state.combo = 1;
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'hunter', isElite: () => true },
+      source: { owner: 'player', cause: 'player-bullet' },
+      context: {},
+    });
+    const eliteHunter =
+      SCORE_VALUES.enemies.hunter * SCORE_VALUES.eliteMultiplier;
+    expect(score.getScore()).toBe(asteroidPoints + eliteHunter);
+
+    // Not the player's doing, self-destructs and the boss kill event pay nothing
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'drone' },
+      cause: 'hazard',
+    });
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'drone' },
+      source: { owner: 'player', cause: 'player-bullet' },
+      context: { skipRewards: true },
+    });
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'boss' },
+      source: { owner: 'player', cause: 'player-bullet' },
+    });
+    expect(score.getScore()).toBe(asteroidPoints + eliteHunter);
+
+    eventBus.emit('boss-defeated', { position: { x: 0, y: 0 } });
+    eventBus.emit('xp-orb-collected', {
+      value: 12,
+      position: { x: 5, y: 5 },
+    });
+    expect(score.getScore()).toBe(
+      asteroidPoints +
+        eliteHunter +
+        SCORE_VALUES.boss +
+        12 * SCORE_VALUES.orbPointsPerXp
+    );
+    expect(changed).toHaveBeenLastCalledWith(
+      expect.objectContaining({ reason: 'orb', position: null })
+    );
+  });
+
+  it('pays wave clear, no-damage and speed-clear bonuses scaled by run modifiers', () => {
+    const { eventBus, score } = createHarness({ modifiers: 2 });
+
+    eventBus.emit('wave-started', { wave: 3 });
+    eventBus.emit('player-health-changed', { current: 100, max: 100 });
+    eventBus.emit('wave-complete', { wave: 3, duration: 20 });
+
+    const clean = getWaveScoreBonus(3, { duration: 20, damaged: false });
+    expect(clean).toEqual({
+      clear: SCORE_WAVE_BONUS.clearPerWave * 3,
+      noDamage:
+        SCORE_WAVE_BONUS.noDamage + SCORE_WAVE_BONUS.noDamagePerWave * 3,
+      speedClear:
+        (SCORE_WAVE_BONUS.speedClear.parTime +
+          SCORE_WAVE_BONUS.speedClear.parTimePerWave * 3 -
+          20) *
+        SCORE_WAVE_BONUS.speedClear.pointsPerSecond,
+    });
+    const cleanTotal = (clean.clear + clean.noDamage + clean.speedClear) * 2;
+    expect(score.getScore()).toBe(cleanTotal);
+
+    eventBus.emit('wave-started', { wave: 4 });
+    eventBus.emit('player-health-changed', { current: 80, max: 100 });
+    eventBus.emit('player-health-changed', { current: 100, max: 100 });
+    eventBus.emit('wave-complete', { wave: 4, duration: 600 });
+    expect(score.getScore()).toBe(
+      cleanTotal + SCORE_WAVE_BONUS.clearPerWave * 4 * 2
+    );
+
+    expect(
+      getWaveScoreBonus(40, { duration: 0.5, damaged: true }).speedClear
+    ).toBe(SCORE_WAVE_BONUS.speedClear.maxBonus);
+  });
+
+  it('resets per run, survives run saves and ranks the run history by score', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1_000);
+    const { eventBus, score, services } = createHarness();
+    const history = new RunHistoryService({
+      eventBus,
+      serviceResolver: (name) => services[name] || null,
+    });
+
+    eventBus.emit('game-started', {});
+    eventBus.emit('boss-defeated', {});
+    eventBus.emit('player-died', {});
+    expect(history.getLastRun().score).toBe(SCORE_VALUES.boss);
+
+    const saved = score.exportState();
+    vi.setSystemTime(2_000);
+    eventBus.emit('game-started', {});
+    expect(score.getScore()).toBe(0);
+    eventBus.emit('enemy-destroyed', {
+      enemy: { type: 'drone' },
+      cause: 'player-bullet',
+    });
+    eventBus.emit('player-died', {});
+
+    expect(history.getLeaderboard().map((entry) => entry.score)).toEqual([
+      SCORE_VALUES.boss,
+      SCORE_VALUES.enemies.drone,
+    ]);
+
+    score.importState(saved);
+    expect(score.getScore()).toBe(SCORE_VALUES.boss);
+
+    score.destroy();
+    eventBus.emit('boss-defeated', {});
+    expect(score.getScore()).toBe(SCORE_VALUES.boss);
+  });
+});